@@ -0,0 +1,199 @@
+/**
+ * Quiz flow tests: answering, moving on, scoring, the results page and
+ * starting over, driven through the rendered component as a learner would.
+ */
+
+import { screen, fireEvent } from '@testing-library/react';
+import { createMemoryStorage } from '../lib/storage';
+import { fixtureSet, renderQuiz, options } from './helpers/quiz';
+
+// Five questions so every getScoreMessage band is reachable: 5/5, 4/5, 3/5, 2/5, 1/5
+const { questions } = fixtureSet();
+
+// Answer the current question and go on to the next one (or the results)
+const answer = (correct) => {
+  fireEvent.click(options()[correct ? 0 : 1]);
+  fireEvent.click(screen.getByRole('button', { name: /Next Question|See Results/ }));
+};
+
+const playThrough = (correctCount) => {
+  questions.forEach((q, index) => answer(index < correctCount));
+};
+
+describe('answering a question', () => {
+  it('starts on the first question with placeholders filled in', () => {
+    renderQuiz({ environment: { primary: 'lab.example' } });
+    expect(screen.getByText('Question 1 of 5')).toBeInTheDocument();
+    expect(screen.getByText('Question 1 about lab.example?')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Next Question' })).not.toBeInTheDocument();
+  });
+
+  it('shows the explanation and locks the options once answered', () => {
+    renderQuiz();
+    fireEvent.click(options()[0]);
+
+    expect(screen.getByText('Correct! ✓')).toBeInTheDocument();
+    expect(screen.getByText('Explanation 1.')).toBeInTheDocument();
+    expect(screen.getByText('Score: 1/1')).toBeInTheDocument();
+
+    // A second click on another option changes nothing
+    fireEvent.click(options()[1]);
+    expect(screen.getByText('Score: 1/1')).toBeInTheDocument();
+    expect(screen.queryByText('Not quite...')).not.toBeInTheDocument();
+  });
+
+  it('does not score a wrong answer', () => {
+    renderQuiz();
+    fireEvent.click(options()[2]);
+    expect(screen.getByText('Not quite...')).toBeInTheDocument();
+    expect(screen.getByText('Score: 0/1')).toBeInTheDocument();
+  });
+
+  it('reports each answer through onAnswer', () => {
+    const onAnswer = jest.fn();
+    renderQuiz({ onAnswer });
+    fireEvent.click(options()[3]);
+    expect(onAnswer).toHaveBeenCalledWith('q1', 3, false, expect.any(Number));
+  });
+
+  it('reports the authored option index when options are shuffled', () => {
+    const onAnswer = jest.fn();
+    renderQuiz({ onAnswer, shuffle: true });
+    const question = Number(screen.getByRole('heading', { name: /Question \d about/ }).textContent.match(/Question (\d) about/)[1]);
+    const shown = options().findIndex((option) => option.textContent.includes(`Wrong ${question}b`));
+    // Authored third, shown elsewhere with this seed
+    expect(shown).not.toBe(2);
+    fireEvent.click(options()[shown]);
+    expect(onAnswer).toHaveBeenCalledWith(`q${question}`, 2, false, expect.any(Number));
+  });
+
+  it('reports exam answers through onAnswer before onComplete', () => {
+    const events = [];
+    renderQuiz({
+      mode: 'exam',
+      onAnswer: (questionId) => events.push(questionId),
+      onComplete: () => events.push('complete')
+    });
+    fireEvent.click(screen.getByRole('button', { name: /Finish exam/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Submit exam' }));
+    expect(events).toEqual(['q1', 'q2', 'q3', 'q4', 'q5', 'complete']);
+  });
+});
+
+describe('moving through the quiz', () => {
+  it('advances to the next question with a fresh answer state', () => {
+    renderQuiz();
+    answer(true);
+
+    expect(screen.getByText('Question 2 of 5')).toBeInTheDocument();
+    expect(screen.queryByText('Explanation 1.')).not.toBeInTheDocument();
+    expect(options().every((option) => option.getAttribute('aria-checked') === 'false')).toBe(true);
+    expect(screen.getByText('Score: 1/1')).toBeInTheDocument();
+  });
+
+  it('offers the results instead of a next question on the last one', () => {
+    renderQuiz();
+    [1, 2, 3, 4].forEach(() => answer(true));
+    fireEvent.click(options()[0]);
+    expect(screen.getByRole('button', { name: 'See Results' })).toBeInTheDocument();
+  });
+
+  it('reports the finished attempt through onComplete', () => {
+    const onComplete = jest.fn();
+    renderQuiz({ onComplete });
+    playThrough(3);
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    const result = onComplete.mock.calls[0][0];
+    expect(result).toMatchObject({ questionSetId: 'fixture', mode: 'quiz', score: 3, total: 5, percent: 60 });
+    expect(result.answers.map((a) => a.correct)).toEqual([true, true, true, false, false]);
+    expect(result.topics).toEqual([{ id: 'records', label: 'DNS Records', correct: 3, total: 5 }]);
+  });
+});
+
+describe('results page', () => {
+  it.each([
+    [5, "Perfect! You've mastered DNS! 🎉"],
+    [4, 'Excellent work! You have a strong grasp of DNS concepts. 🌟'],
+    [3, 'Good job! You understand the fundamentals. Keep practicing! 👍'],
+    [2, 'Not bad! Review the explanations and try again. 📚'],
+    [1, 'Keep learning! DNS takes time to master. Review and retry! 💪'],
+    [0, 'Keep learning! DNS takes time to master. Review and retry! 💪']
+  ])('shows the message for %i of 5 correct', (correctCount, message) => {
+    renderQuiz();
+    playThrough(correctCount);
+
+    expect(screen.getByText('Quiz Complete! 🎓')).toBeInTheDocument();
+    expect(screen.getByText(`${correctCount}/5`)).toBeInTheDocument();
+    expect(screen.getByText(message)).toBeInTheDocument();
+  });
+
+  it('adds pass or fail when a pass mark is set', () => {
+    const onComplete = jest.fn();
+    renderQuiz({ passMark: 70, onComplete });
+    playThrough(3);
+    expect(onComplete.mock.calls[0][0].passed).toBe(false);
+  });
+});
+
+describe('starting over', () => {
+  it('resets the question, score and answers on Try Again', () => {
+    const onRestart = jest.fn();
+    renderQuiz({ onRestart });
+    playThrough(4);
+    fireEvent.click(screen.getByRole('button', { name: /Try Again/ }));
+
+    expect(onRestart).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('Question 1 of 5')).toBeInTheDocument();
+    expect(screen.getByText('Score: 0/0')).toBeInTheDocument();
+    expect(screen.queryByText('Explanation 1.')).not.toBeInTheDocument();
+  });
+
+  it('records every completed attempt in the history', () => {
+    const storage = createMemoryStorage();
+    renderQuiz({ storage });
+    playThrough(2);
+    fireEvent.click(screen.getByRole('button', { name: /Try Again/ }));
+    playThrough(5);
+
+    const history = JSON.parse(storage.getItem('dnsQuiz:history'));
+    expect(history.map((attempt) => attempt.score)).toEqual([5, 2]);
+  });
+});
+
+describe('study mode', () => {
+  it('keeps the most overdue questions first when shuffling', () => {
+    const storage = createMemoryStorage();
+    const card = (daysOverdue) => ({
+      ease: 2.5,
+      interval: 1,
+      repetitions: 1,
+      due: new Date(Date.now() - daysOverdue * 24 * 60 * 60 * 1000).toISOString(),
+      lastReviewed: new Date(Date.now() - (daysOverdue + 1) * 24 * 60 * 60 * 1000).toISOString()
+    });
+    storage.setItem('dnsQuiz:study:fixture', JSON.stringify({ q4: card(1), q2: card(5), q5: card(3) }));
+    renderQuiz({ storage, mode: 'study', shuffle: true, seed: 'study' });
+
+    const shown = questions.map(() => {
+      const question = screen.getByRole('heading', { name: /Question \d about/ }).textContent.match(/Question (\d) about/)[1];
+      answer(true);
+      return `q${question}`;
+    });
+    // Overdue ones by due date, then the ones never studied
+    expect(shown).toEqual(['q2', 'q5', 'q4', 'q1', 'q3']);
+  });
+});
+
+describe('resuming', () => {
+  it('offers an unfinished attempt with its own question count', () => {
+    const storage = createMemoryStorage();
+    const { unmount } = renderQuiz({ storage, questionCount: 3 });
+    answer(true);
+    unmount();
+
+    renderQuiz({ storage, seed: undefined });
+    expect(screen.getByText('Question 2 of 3, score 1')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /Resume where you left off/ }));
+    expect(screen.getByText('Question 2 of 3')).toBeInTheDocument();
+  });
+});
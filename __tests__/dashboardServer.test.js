@@ -0,0 +1,151 @@
+/**
+ * Dashboard server tests: checking submitted attempts, and the HTTP API run
+ * against a fake store, so better-sqlite3 isn't needed.
+ *
+ * @jest-environment node
+ */
+
+import { Readable } from 'node:stream';
+import { resolve } from 'node:path';
+import { validateAttempt, createRequestHandler } from '../server/dashboardServer.mjs';
+
+const attempt = {
+  learner: { id: 'ana', name: 'Ana' },
+  questionSetId: 'fixture',
+  title: 'Fixture Quiz',
+  seed: 'abc',
+  mode: 'quiz',
+  date: '2026-10-01T10:00:00.000Z',
+  score: 1.5,
+  total: 2,
+  percent: 75,
+  durationMs: 60000,
+  answers: [
+    { questionId: 'q1', option: 2, correct: false, elapsedMs: 30000 },
+    { questionId: 'q2', option: null, correct: false, credit: 0.5, elapsedMs: 30000 }
+  ]
+};
+
+const withAnswer = (changes) => ({ ...attempt, answers: [{ ...attempt.answers[0], ...changes }] });
+
+describe('validateAttempt', () => {
+  it('accepts what the dashboard reporter submits', () => {
+    expect(validateAttempt(attempt)).toEqual([]);
+    expect(validateAttempt({ ...attempt, passed: true, answers: [] })).toEqual([]);
+  });
+
+  it('lists every problem with the attempt', () => {
+    expect(validateAttempt(null)).toEqual(['Expected an attempt object']);
+    expect(validateAttempt({ ...attempt, learner: { id: '', name: ' ' }, score: -1, date: 'yesterday' })).toEqual([
+      'learner.id must be a non-empty string',
+      'learner.name must be a non-empty string',
+      'date must be an ISO timestamp',
+      'score must be a number of at least 0'
+    ]);
+    expect(validateAttempt({ ...attempt, answers: 'none' })).toEqual(['answers must be a list of at most 1000']);
+    expect(validateAttempt(withAnswer({ option: 1.5 }))).toEqual(['answers[0].option must be an option index or null']);
+  });
+
+  it('only takes a number from 0 to 1 as an answer credit', () => {
+    expect(validateAttempt(withAnswer({ credit: 1 }))).toEqual([]);
+    expect(validateAttempt(withAnswer({ credit: null }))).toEqual([]);
+    ['0.5', true, {}, -0.5, 2].forEach((credit) => {
+      expect(validateAttempt(withAnswer({ credit }))).toEqual(['answers[0].credit must be a number from 0 to 1']);
+    });
+  });
+});
+
+describe('request handler', () => {
+  const request = (method, url, { body, headers = {} } = {}) =>
+    Object.assign(Readable.from(body === undefined ? [] : [Buffer.from(body)]), { method, url, headers });
+
+  const response = () => {
+    const res = {
+      status: null,
+      headers: {},
+      body: '',
+      writeHead: (status, headers = {}) => Object.assign(res, { status, headers }),
+      end: (body = '') => Object.assign(res, { body: String(body) })
+    };
+    return res;
+  };
+
+  const fakeStore = () => ({
+    added: [],
+    addAttempt(submitted) {
+      this.added.push(submitted);
+      return { id: 7, created: this.added.length === 1 };
+    },
+    questionSets: () => [{ id: 'fixture', title: 'Fixture Quiz', attempts: 1, learners: 1, latest: attempt.date }],
+    attempts: (questionSetId) => (questionSetId === 'fixture' ? [{ id: 7, ...attempt }] : [])
+  });
+
+  const send = async (handler, ...args) => {
+    const res = response();
+    await handler(request(...args), res);
+    const json = res.headers['Content-Type'] === 'application/json';
+    return { status: res.status, headers: res.headers, body: json ? JSON.parse(res.body) : res.body };
+  };
+
+  it('stores a submitted attempt, answering 201 and then 200 for a resubmission', async () => {
+    const store = fakeStore();
+    const handler = createRequestHandler(store, { token: 'secret' });
+    const body = JSON.stringify(attempt);
+    expect(await send(handler, 'POST', '/api/attempts', { body })).toMatchObject({ status: 201, body: { id: 7 } });
+    expect(await send(handler, 'POST', '/api/attempts', { body })).toMatchObject({ status: 200, body: { id: 7 } });
+    expect(store.added).toEqual([attempt, attempt]);
+  });
+
+  it('refuses a body that is not JSON, an invalid attempt or one that is too large', async () => {
+    const store = fakeStore();
+    const handler = createRequestHandler(store);
+    expect(await send(handler, 'POST', '/api/attempts', { body: '{' })).toMatchObject({
+      status: 400,
+      body: { error: 'Request body is not valid JSON' }
+    });
+    expect(await send(handler, 'POST', '/api/attempts', { body: JSON.stringify(withAnswer({ credit: 'all' })) })).toMatchObject({
+      status: 400,
+      body: { error: 'Invalid attempt', problems: ['answers[0].credit must be a number from 0 to 1'] }
+    });
+    expect(await send(handler, 'POST', '/api/attempts', { body: 'x'.repeat(1024 * 1024 + 1) })).toMatchObject({
+      status: 413,
+      body: { error: 'Request body too large' }
+    });
+    expect(store.added).toEqual([]);
+  });
+
+  it('needs the token to read results', async () => {
+    const handler = createRequestHandler(fakeStore(), { token: 'secret' });
+    expect((await send(handler, 'GET', '/api/question-sets')).status).toBe(401);
+    expect((await send(handler, 'GET', '/api/question-sets', { headers: { authorization: 'Bearer wrong' } })).status).toBe(401);
+
+    const authorization = { authorization: 'Bearer secret' };
+    expect(await send(handler, 'GET', '/api/question-sets', { headers: authorization })).toMatchObject({
+      status: 200,
+      body: [{ id: 'fixture', attempts: 1 }]
+    });
+    expect(await send(handler, 'GET', '/api/attempts?questionSet=fixture', { headers: authorization })).toMatchObject({
+      status: 200,
+      body: [{ id: 7, learner: { id: 'ana' } }]
+    });
+    expect((await send(handler, 'GET', '/api/attempts', { headers: authorization })).status).toBe(404);
+  });
+
+  it('answers CORS preflights and refuses other methods', async () => {
+    const handler = createRequestHandler(fakeStore());
+    const preflight = await send(handler, 'OPTIONS', '/api/attempts');
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect((await send(handler, 'DELETE', '/api/attempts')).status).toBe(405);
+  });
+
+  it('serves the dashboard page without leaving its directory', async () => {
+    const handler = createRequestHandler(fakeStore(), { root: resolve(__dirname, '../dashboard') });
+    const page = await send(handler, 'GET', '/');
+    expect(page.status).toBe(200);
+    expect(page.headers['Content-Type']).toBe('text/html; charset=utf-8');
+    expect((await send(handler, 'GET', '/..%2fpackage.json')).status).toBe(403);
+    expect((await send(handler, 'GET', '/missing.js')).status).toBe(404);
+    expect(await send(handler, 'GET', '/%E0%A4%A')).toMatchObject({ status: 400, body: 'Bad request\n' });
+  });
+});
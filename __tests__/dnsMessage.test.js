@@ -0,0 +1,144 @@
+/**
+ * DNS message encoding and decoding: round trips through the wire format,
+ * name compression, the TCP length prefix, EDNS, the field breakdown used to
+ * annotate hex dumps, and malformed messages.
+ */
+
+import { encodeMessage, decodeMessage } from '../lib/dnsMessage';
+
+const response = {
+  id: 0x9d41,
+  opcode: 'QUERY',
+  status: 'NOERROR',
+  flags: { qr: true, aa: true, tc: false, rd: true, ra: true, ad: false, cd: false },
+  question: { name: 'example.com.', type: 'MX' },
+  answer: [
+    { name: 'example.com.', type: 'MX', ttl: 3600, data: '10 mail.example.com.' },
+    { name: 'example.com.', type: 'MX', ttl: 3600, data: '20 mail2.example.com.' }
+  ],
+  authority: [
+    { name: 'example.com.', type: 'NS', ttl: 86400, data: 'ns1.example.com.' }
+  ],
+  additional: [
+    { name: 'mail.example.com.', type: 'A', ttl: 3600, data: '192.0.2.25' },
+    { name: 'mail.example.com.', type: 'AAAA', ttl: 3600, data: '2001:db8::25' }
+  ]
+};
+
+const query = {
+  id: 0x5e3a,
+  flags: { rd: true },
+  question: { name: 'www.example.com.', type: 'A' },
+  edns: { udpSize: 1232 }
+};
+
+const roundTrip = (message, options) => decodeMessage(encodeMessage(message, options), options).message;
+
+describe('round trips', () => {
+  it('decodes an encoded response back to the same message', () => {
+    expect(roundTrip(response)).toEqual(response);
+  });
+
+  it.each([
+    ['SOA', 'ns1.example.com. hostmaster.example.com. 2024010101 7200 3600 1209600 300'],
+    ['TXT', '"v=spf1 mx -all" "second string"'],
+    ['SRV', '10 60 5060 sip.example.com.'],
+    ['CAA', '0 issue "letsencrypt.org"'],
+    ['DS', '12345 13 2 49FD46E6C4B45C55D4AC69CBD3CD34AC1AFE51DE'],
+    ['PTR', 'www.example.com.'],
+    ['CNAME', 'www.example.com.'],
+    ['TYPE65', '\\# 3 000102']
+  ])('keeps %s record data', (type, data) => {
+    const record = { name: 'example.com.', type, ttl: 300, data };
+    expect(roundTrip({ ...response, answer: [record], authority: [], additional: [] }).answer).toEqual([record]);
+  });
+});
+
+describe('compression', () => {
+  it('points repeated names back at their first occurrence', () => {
+    const bytes = encodeMessage(response);
+    // The 'example' label is only spelled out once, in the question
+    const label = [7, ...Buffer.from('example')].join(',');
+    expect(Array.from(bytes).join(',').split(label)).toHaveLength(2);
+
+    const { groups } = decodeMessage(bytes);
+    const owner = groups.find((group) => group.section === 'answer').fields[0];
+    expect(Array.from(bytes.subarray(owner.start, owner.end))).toEqual([0xc0, 0x0c]);
+    expect(owner).toMatchObject({ value: 'example.com.', pointer: 12 });
+  });
+
+  it('does not compress names in record types that may not be compressed', () => {
+    const record = { name: 'example.com.', type: 'SRV', ttl: 300, data: '10 60 5060 example.com.' };
+    const bytes = encodeMessage({ id: 1, flags: {}, question: { name: 'example.com.', type: 'SRV' }, answer: [record] });
+    const spelledOut = [7, ...Buffer.from('example'), 3, ...Buffer.from('com'), 0];
+    expect(Array.from(bytes.subarray(bytes.length - spelledOut.length))).toEqual(spelledOut);
+  });
+});
+
+describe('transport and EDNS', () => {
+  it('prefixes a TCP message with its length', () => {
+    const udp = encodeMessage(query);
+    const tcp = encodeMessage(query, { tcp: true });
+    expect(tcp.length).toBe(udp.length + 2);
+    expect((tcp[0] << 8) | tcp[1]).toBe(udp.length);
+    expect(decodeMessage(tcp, { tcp: true }).groups[0].section).toBe('transport');
+  });
+
+  it('reads the OPT record into edns', () => {
+    const message = roundTrip({ ...query, edns: { udpSize: 4096, do: true, options: [{ code: 10, data: '0102030405060708' }] } });
+    expect(message.edns).toEqual({ udpSize: 4096, do: true, version: 0, options: [{ code: 10, data: '0102030405060708' }] });
+    expect(message.additional).toEqual([]);
+  });
+
+  it('ends a query with the 11-byte OPT record', () => {
+    const bytes = encodeMessage(query);
+    expect(Array.from(bytes.subarray(bytes.length - 11))).toEqual([0, 0, 41, 0x04, 0xd0, 0, 0, 0, 0, 0, 0]);
+  });
+});
+
+describe('field breakdown', () => {
+  it.each([
+    ['a UDP response', response, false],
+    ['a TCP query', query, true]
+  ])('covers every byte of %s exactly once', (label, message, tcp) => {
+    const bytes = encodeMessage(message, { tcp });
+    const fields = decodeMessage(bytes, { tcp }).groups.flatMap((group) => group.fields);
+    let offset = 0;
+    fields.forEach((field) => {
+      expect(field.start).toBe(offset);
+      expect(field.end).toBeGreaterThan(field.start);
+      offset = field.end;
+    });
+    expect(offset).toBe(bytes.length);
+  });
+
+  it('summarises the header flags', () => {
+    const [header] = decodeMessage(encodeMessage(response)).groups;
+    expect(header.summary).toMatch(/qr aa rd ra/);
+  });
+});
+
+describe('malformed messages', () => {
+  it('rejects a message cut short', () => {
+    const bytes = encodeMessage(response);
+    expect(() => decodeMessage(bytes.subarray(0, 8))).toThrow(/ends at byte 8/);
+    expect(() => decodeMessage(bytes.subarray(0, bytes.length - 3))).toThrow(/ends at byte/);
+  });
+
+  it('rejects compression pointers that point forwards or at themselves', () => {
+    const bytes = encodeMessage({ id: 1, flags: {}, question: { name: 'a.', type: 'A' } });
+    const loop = Uint8Array.from([...bytes.subarray(0, 12), 0xc0, 12, 0, 1, 0, 1]);
+    const forward = Uint8Array.from([...bytes.subarray(0, 12), 0xc0, 14, 0, 0, 1, 0, 1]);
+    expect(() => decodeMessage(loop)).toThrow(/does not point backwards/);
+    expect(() => decodeMessage(forward)).toThrow(/does not point backwards/);
+  });
+
+  it('rejects a TCP length that does not match the message', () => {
+    const bytes = encodeMessage(query, { tcp: true });
+    expect(() => decodeMessage(bytes.subarray(0, bytes.length - 1), { tcp: true })).toThrow(/TCP length/);
+  });
+
+  it('refuses to encode record data it cannot parse', () => {
+    expect(() => encodeMessage({ ...query, answer: [{ name: 'a.', type: 'A', ttl: 1, data: '192.0.2' }] })).toThrow();
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Exam grading tests: the pass mark is compared with the exact score, not
+ * the rounded percentage shown on the results page.
+ */
+
+import { examOutcome } from '../lib/exam';
+
+describe('examOutcome', () => {
+  it('passes a score exactly on the pass mark', () => {
+    expect(examOutcome(7, 10, 70)).toEqual({ percent: 70, passed: true });
+  });
+
+  it('passes a score on the pass mark whose percentage is not exact in floating point', () => {
+    expect(examOutcome(29, 50, 58)).toEqual({ percent: 58, passed: true });
+    expect(examOutcome(57, 100, 57)).toEqual({ percent: 57, passed: true });
+  });
+
+  it('fails a score just below the pass mark that rounds up to it', () => {
+    expect(examOutcome(139, 200, 70)).toEqual({ percent: 70, passed: false });
+  });
+
+  it('fails an empty attempt', () => {
+    expect(examOutcome(0, 0, 70)).toEqual({ percent: 0, passed: false });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Shared fixtures for tests that play the quiz through the rendered
+ * component: a small question set and a render helper with settings that
+ * make attempts predictable (no shuffle, a fixed seed, English, throwaway
+ * storage).
+ */
+
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import DNSQuiz from '../../Quiz';
+import { createMemoryStorage } from '../../lib/storage';
+
+/**
+ * A set of multiple-choice questions whose first option is always right:
+ * "Question n about {{primary}}?" with "Right n", "Wrong na", "Wrong nb"
+ * and "Wrong nc", and "Explanation n." once answered.
+ *
+ * @param {{ count?: number, hints?: boolean }} [options] - hints adds "Hint n."
+ */
+export const fixtureSet = ({ count = 5, hints = false } = {}) => ({
+  id: 'fixture',
+  title: 'Fixture Quiz',
+  topics: [{ id: 'records', label: 'DNS Records' }],
+  questions: Array.from({ length: count }, (_, index) => {
+    const n = index + 1;
+    return {
+      id: `q${n}`,
+      topics: ['records'],
+      question: `Question ${n} about {{primary}}?`,
+      options: [`Right ${n}`, `Wrong ${n}a`, `Wrong ${n}b`, `Wrong ${n}c`],
+      correct: 0,
+      ...(hints && { hint: `Hint ${n}.` }),
+      explanation: `Explanation ${n}.`
+    };
+  })
+});
+
+/**
+ * Render the quiz straight into a practice attempt on the five-question
+ * fixture set; any prop can be overridden.
+ */
+export const renderQuiz = (props = {}) =>
+  render(
+    <DNSQuiz
+      questionSet={fixtureSet()}
+      mode="quiz"
+      shuffle={false}
+      seed="test"
+      locale="en"
+      showLanguageSwitcher={false}
+      storage={createMemoryStorage()}
+      {...props}
+    />
+  );
+
+/** The current question's options, in display order. */
+export const options = () => within(screen.getByRole('radiogroup')).getAllByRole('radio');
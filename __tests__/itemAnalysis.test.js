@@ -0,0 +1,217 @@
+/**
+ * Instructor dashboard: item statistics and learner histories, the reporter
+ * that submits attempts with each chosen option in its authored position,
+ * and the dashboard rendered against a fake server.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import InstructorDashboard from '../components/InstructorDashboard';
+import { analyzeItems, learnerHistories, discriminationIndex } from '../lib/itemAnalysis';
+import { createDashboardReporter, createDashboardClient } from '../lib/dashboard';
+import { shuffleOptions, authoredOption } from '../lib/shuffle';
+import { createRng } from '../lib/random';
+import { fixtureSet, renderQuiz } from './helpers/quiz';
+
+const questions = [
+  { id: 'mx', type: 'choice', question: 'Which record holds mail routing?', options: ['A', 'MX', 'NS', 'TXT'], correct: 1 },
+  { id: 'ns', type: 'choice', question: 'Which record delegates a zone?', options: ['NS', 'SOA', 'PTR', 'CNAME'], correct: 0 },
+  { id: 'order', type: 'ordering', question: 'Put the resolution steps in order.', items: ['Root', 'TLD', 'Authoritative'] }
+];
+
+let nextId = 1;
+
+// An attempt scored by how many of its answers are correct
+const attempt = (learner, answers, date = '2026-10-01T10:00:00.000Z') => ({
+  id: nextId++,
+  learner: { id: learner.toLowerCase(), name: learner },
+  questionSetId: 'records',
+  mode: 'quiz',
+  date,
+  score: answers.filter((answer) => answer.correct).length,
+  total: answers.length,
+  percent: Math.round((answers.filter((answer) => answer.correct).length / answers.length) * 100),
+  durationMs: 60000,
+  answers: answers.map((answer) => ({ elapsedMs: 10000, ...answer }))
+});
+
+const mx = (option) => ({ questionId: 'mx', option, correct: option === 1 });
+const ns = (option) => ({ questionId: 'ns', option, correct: option === 0 });
+const order = (correct) => ({ questionId: 'order', option: null, correct, credit: correct ? 1 : 0.5 });
+
+// Strong learners pick the NS distractor, weak ones guess right: a broken item
+const cohort = [
+  attempt('Ana', [mx(1), ns(1), order(true)]),
+  attempt('Ben', [mx(1), ns(1), order(true)]),
+  attempt('Caro', [mx(1), ns(1), order(false)]),
+  attempt('Dev', [mx(2), ns(0), order(false)]),
+  attempt('Eli', [mx(3), ns(0), order(false)]),
+  attempt('Ana', [mx(2), ns(0), order(false)], '2026-10-05T10:00:00.000Z')
+];
+
+describe('item analysis', () => {
+  const byId = (items) => Object.fromEntries(items.map((item) => [item.questionId, item]));
+
+  it('computes percent correct, average time and option counts', () => {
+    const items = byId(analyzeItems(questions, cohort));
+    expect(items.mx).toMatchObject({ responses: 6, percentCorrect: 50, averageTimeMs: 10000, optionCounts: [0, 3, 2, 1], topDistractor: 2 });
+    expect(items.order).toMatchObject({ responses: 6, percentCorrect: 33.3, optionCounts: null, topDistractor: null });
+  });
+
+  it('separates strong from weak learners with the discrimination index', () => {
+    const items = byId(analyzeItems(questions, cohort));
+    expect(items.mx.discrimination).toBe(1);
+    expect(items.mx.flags).toEqual([]);
+    expect(items.ns.discrimination).toBe(-1);
+  });
+
+  it('flags a distractor chosen more than the answer and poor discrimination', () => {
+    const items = byId(analyzeItems(questions, cohort));
+    expect(items.ns.optionCounts).toEqual([3, 3, 0, 0]);
+    expect(items.ns.flags).toEqual(['negative']);
+
+    const popular = analyzeItems(questions, [...cohort, attempt('Fay', [ns(1)])]).find((item) => item.questionId === 'ns');
+    expect(popular.flags).toEqual(['distractor', 'negative']);
+
+    const flat = Array.from({ length: 5 }, (_, n) => ({ answer: { correct: true }, attempt: { score: n, total: 4 } }));
+    expect(discriminationIndex(flat)).toBe(0);
+    expect(analyzeItems([questions[0]], flat.map(() => attempt('Gus', [mx(1)])))[0].flags).toEqual(['weak']);
+  });
+
+  it('leaves out the discrimination index for too few answers', () => {
+    const [item] = analyzeItems([questions[0]], cohort.slice(0, 4));
+    expect(item.discrimination).toBeNull();
+    expect(item.flags).toEqual([]);
+  });
+
+  it('lists unanswered questions and ones the set no longer has', () => {
+    const items = analyzeItems(questions, [attempt('Ana', [mx(1), { questionId: 'gone', option: 0, correct: false }])]);
+    expect(items.map((item) => item.questionId)).toEqual(['mx', 'ns', 'order', 'gone']);
+    expect(items[1]).toMatchObject({ responses: 0, percentCorrect: null, averageTimeMs: null, optionCounts: [0, 0, 0, 0] });
+    expect(items[3]).toMatchObject({ question: null, responses: 1, optionCounts: null });
+  });
+
+  it('collects each learner history, newest first, sorted by name', () => {
+    const learners = learnerHistories(cohort);
+    expect(learners.map((learner) => learner.name)).toEqual(['Ana', 'Ben', 'Caro', 'Dev', 'Eli']);
+    expect(learners[0]).toMatchObject({ id: 'ana', best: 67, latest: 33 });
+    expect(learners[0].attempts.map((a) => a.date.slice(0, 10))).toEqual(['2026-10-05', '2026-10-01']);
+  });
+});
+
+describe('authored options', () => {
+  it('maps a shuffled choice back to the option as written', () => {
+    const shuffled = shuffleOptions(questions[0], createRng('options'));
+    expect(shuffled.options[shuffled.correct]).toBe('MX');
+    shuffled.options.forEach((option, index) => {
+      expect(questions[0].options[authoredOption(shuffled, index)]).toBe(option);
+    });
+    expect(authoredOption(questions[0], 2)).toBe(2);
+    expect(authoredOption(shuffled, null)).toBeNull();
+  });
+});
+
+describe('dashboard reporter', () => {
+  it('submits the finished attempt with authored option positions', () => {
+    const fetch = jest.fn(() => Promise.resolve({ ok: true, status: 201 }));
+    const reporter = createDashboardReporter({ server: 'http://lab.test:8788/', learner: { id: 'ana', name: 'Ana' }, fetch });
+    renderQuiz({ questionSet: fixtureSet({ count: 2 }), shuffle: true, seed: 'shuffled', reporter });
+
+    [/Wrong 1b/, /Right 2/].forEach((name) => {
+      fireEvent.click(screen.getByRole('radio', { name }));
+      fireEvent.click(screen.getByRole('button', { name: /Next Question|See Results/ }));
+    });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://lab.test:8788/api/attempts');
+    expect(init.method).toBe('POST');
+    const body = JSON.parse(init.body);
+    expect(body).toMatchObject({ learner: { id: 'ana', name: 'Ana' }, questionSetId: 'fixture', title: 'Fixture Quiz', score: 1, total: 2 });
+    const options = Object.fromEntries(body.answers.map((answer) => [answer.questionId, answer.option]));
+    expect(options).toEqual({ q1: 2, q2: 0 });
+  });
+
+  it('passes a rejected or failed submission to onError', async () => {
+    const onError = jest.fn();
+    const rejected = createDashboardReporter({ server: 'http://lab.test', learner: { id: 'a', name: 'A' }, fetch: () => Promise.resolve({ ok: false, status: 400 }), onError });
+    const offline = createDashboardReporter({ server: 'http://lab.test', learner: { id: 'a', name: 'A' }, fetch: () => Promise.reject(new Error('offline')), onError });
+    const result = { questionSetId: 'fixture', seed: 1, mode: 'quiz', date: '2026-10-01T10:00:00.000Z', score: 0, total: 0, percent: 0, durationMs: 0, answers: [] };
+    rejected.completed(result);
+    offline.completed(result);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(onError.mock.calls.map(([error]) => error.message)).toEqual([expect.stringMatching(/400/), 'offline']);
+  });
+
+  it('sends the token when reading and reports the status of a refusal', async () => {
+    const fetch = jest.fn(() => Promise.resolve({ ok: false, status: 401 }));
+    const client = createDashboardClient({ server: 'http://lab.test', token: 'secret', fetch });
+    await expect(client.attempts('a b')).rejects.toMatchObject({ status: 401 });
+    expect(fetch).toHaveBeenCalledWith('http://lab.test/api/attempts?questionSet=a%20b', { headers: { Authorization: 'Bearer secret' } });
+  });
+});
+
+describe('instructor dashboard', () => {
+  const questionSet = {
+    id: 'records',
+    title: 'Records',
+    topics: [{ id: 'records', label: 'DNS Records' }],
+    questions: questions.slice(0, 2).map(({ type, ...question }) => ({ ...question, topics: ['records'], explanation: 'Because.' }))
+  };
+
+  // A server that wants the token "secret" when one is given
+  const fakeServer = (token) =>
+    jest.fn((url, { headers = {} } = {}) => {
+      if (token && headers.Authorization !== `Bearer ${token}`) return Promise.resolve({ ok: false, status: 401 });
+      const body = url.endsWith('/api/question-sets')
+        ? [{ id: 'records', title: 'Records', attempts: cohort.length, learners: 5, latest: cohort[0].date }]
+        : cohort;
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+    });
+
+  const renderDashboard = (fetch) =>
+    render(<InstructorDashboard server="http://lab.test" questionSet={questionSet} fetch={fetch} locale="en" />);
+
+  it('lists flagged questions first and shows how often each option was chosen', async () => {
+    renderDashboard(fakeServer());
+    expect(await screen.findByText('6 attempts · 5 learners')).toBeInTheDocument();
+
+    const rows = (await screen.findAllByRole('button', { expanded: false })).map((button) => button.textContent);
+    expect(rows[0]).toMatch(/Which record delegates a zone\?/);
+    expect(screen.getByText('Negative discrimination')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Which record holds mail routing\?/ }));
+    const breakdown = screen.getByRole('heading', { name: 'Chosen options' }).parentElement;
+    expect(within(breakdown).getByText(/B\. MX/)).toHaveTextContent('(correct answer)');
+    expect(within(breakdown).getByText('3 · 50%')).toBeInTheDocument();
+  });
+
+  it('shows each learner history', async () => {
+    renderDashboard(fakeServer());
+    fireEvent.click(await screen.findByRole('button', { name: 'Learners' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Ana' }));
+    const history = screen.getByText('2026-10-05 10:00').closest('ul');
+    expect(within(history).getByText('1/3 · 33%')).toBeInTheDocument();
+    expect(within(history).getByText('2/3 · 67%')).toBeInTheDocument();
+  });
+
+  it('asks for the access token when the server wants one', async () => {
+    const fetch = fakeServer('secret');
+    renderDashboard(fetch);
+    expect(await screen.findByText('This dashboard server needs an access token to show results.')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Token'), { target: { value: 'wrong' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Show results' }));
+    expect(await screen.findByText(/did not accept that token/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Token'), { target: { value: 'secret' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Show results' }));
+    expect(await screen.findByText('6 attempts · 5 learners')).toBeInTheDocument();
+  });
+
+  it('says so when the server cannot be reached', async () => {
+    renderDashboard(() => Promise.reject(new TypeError('Failed to fetch')));
+    expect(await screen.findByRole('alert')).toHaveTextContent('The dashboard server at http://lab.test could not be reached.');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Content integrity checks for the built-in question bank: every question
+ * loads, has four distinct options and a valid answer, every placeholder
+ * resolves in every language, every hint keeps the answer back, every
+ * packet encodes, every scenario can be solved, and no question is a copy
+ * of another.
+ */
+
+import defaultQuestionSet from '../data/defaultQuestionSet';
+import { loadQuestionSet, localizeQuestionSet, resolveQuestion, resolveScenario, exportQuestionSet, DIFFICULTIES } from '../lib/questionSet';
+import { validateSchema, QUESTION_SET_SCHEMA } from '../lib/questionSetSchema';
+import { generateEnvironment } from '../lib/environment';
+import { createRng } from '../lib/random';
+import { LOCALES } from '../lib/i18n';
+import { encodeMessage, decodeMessage } from '../lib/dnsMessage';
+import { createSandbox } from '../lib/dnsSandbox';
+import { shortestSolution } from '../lib/scenarios';
+
+const set = loadQuestionSet(defaultQuestionSet);
+const choiceQuestions = set.questions.filter((q) => q.type === 'choice');
+
+// Several environments, so a placeholder that only works for one generated name is caught
+const environments = ['alpha', 'bravo', 'charlie', 'delta'].map((seed) =>
+  generateEnvironment(createRng(seed, 'domains'))
+);
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+describe('question set', () => {
+  it('matches the shared question set schema', () => {
+    expect(validateSchema(JSON.parse(exportQuestionSet(defaultQuestionSet)), QUESTION_SET_SCHEMA)).toEqual([]);
+  });
+
+  it('only uses declared topics and known difficulties', () => {
+    const topicIds = set.topics.map((topic) => topic.id);
+    set.questions.forEach((q) => {
+      expect(q.topics.length).toBeGreaterThan(0);
+      q.topics.forEach((topic) => expect(topicIds).toContain(topic));
+      expect(DIFFICULTIES).toContain(q.difficulty);
+    });
+  });
+
+  it('has an explanation for every question', () => {
+    set.questions.forEach((q) => expect(q.explanation.trim()).not.toBe(''));
+  });
+
+  it.each(LOCALES.map(({ code }) => code))('has a hint for every question in %s that keeps the answer back', (locale) => {
+    localizeQuestionSet(set, locale).questions.forEach((q) => {
+      expect({ id: q.id, hint: typeof q.hint }).toEqual({ id: q.id, hint: 'string' });
+      if (q.type === 'choice') {
+        expect({ id: q.id, revealed: normalize(q.hint).includes(normalize(q.options[q.correct])) })
+          .toEqual({ id: q.id, revealed: false });
+      }
+    });
+  });
+});
+
+describe.each(choiceQuestions.map((q) => [q.id, q]))('%s', (id, question) => {
+  it('has exactly four options', () => {
+    expect(question.options).toHaveLength(4);
+  });
+
+  it('has a correct index pointing at one of them', () => {
+    expect(Number.isInteger(question.correct)).toBe(true);
+    expect(question.correct).toBeGreaterThanOrEqual(0);
+    expect(question.correct).toBeLessThan(question.options.length);
+  });
+
+  it('has options that stay distinct once placeholders are filled in', () => {
+    environments.forEach((environment) => {
+      const { options } = resolveQuestion(question, environment);
+      expect(new Set(options.map(normalize)).size).toBe(options.length);
+    });
+  });
+});
+
+describe('placeholders', () => {
+  it.each(LOCALES.map(({ code }) => code))('all resolve in %s', (locale) => {
+    const localized = localizeQuestionSet(set, locale);
+    environments.forEach((environment) => {
+      localized.questions.forEach((q) => {
+        const resolved = JSON.stringify(resolveQuestion(q, environment));
+        expect({ id: q.id, unresolved: resolved.match(/\{\{[^}]*\}\}/g) }).toEqual({ id: q.id, unresolved: null });
+      });
+    });
+  });
+
+  it('have a translated option, item and pair for every original one', () => {
+    Object.values(defaultQuestionSet.translations).forEach((translation) => {
+      Object.entries(translation.questions).forEach(([id, translated]) => {
+        const original = set.questions.find((q) => q.id === id);
+        expect(original).toBeDefined();
+        ['options', 'items', 'pairs'].forEach((field) => {
+          if (translated[field]) expect(translated[field]).toHaveLength(original[field].length);
+        });
+      });
+    });
+  });
+});
+
+describe('packets', () => {
+  it.each(set.questions.filter((q) => q.packet).map((q) => [q.id, q]))('%s encodes and decodes in every environment', (id, question) => {
+    environments.forEach((environment) => {
+      const { packet } = resolveQuestion(question, environment);
+      const tcp = packet.transport === 'tcp';
+      expect(decodeMessage(encodeMessage(packet.message, { tcp }), { tcp }).message.id).toBe(packet.message.id);
+    });
+  });
+});
+
+describe('scenarios', () => {
+  it.each(set.scenarios.map((s) => [s.id, s]))('%s can be solved and uses declared topics', (id, scenario) => {
+    const topicIds = set.topics.map((topic) => topic.id);
+    expect(shortestSolution(scenario)).toBeGreaterThan(0);
+    scenario.topics.forEach((topic) => expect(topicIds).toContain(topic));
+    expect(DIFFICULTIES).toContain(scenario.difficulty);
+  });
+
+  it.each(LOCALES.map(({ code }) => code))('all resolve in %s', (locale) => {
+    const localized = localizeQuestionSet(set, locale);
+    environments.forEach((environment) => {
+      localized.scenarios.forEach((s) => {
+        const resolved = JSON.stringify(resolveScenario(s, environment));
+        expect({ id: s.id, unresolved: resolved.match(/\{\{[^}]*\}\}/g) }).toEqual({ id: s.id, unresolved: null });
+      });
+    });
+  });
+
+  it('have translations for known steps only', () => {
+    Object.values(defaultQuestionSet.translations).forEach((translation) => {
+      Object.entries(translation.scenarios || {}).forEach(([id, translated]) => {
+        const original = set.scenarios.find((s) => s.id === id);
+        expect(original).toBeDefined();
+        Object.keys(translated.steps || {}).forEach((stepId) => {
+          expect(original.steps.map((step) => step.id)).toContain(stepId);
+        });
+      });
+    });
+  });
+
+  it('run every command in the broken sandbox', () => {
+    environments.forEach((environment) => {
+      set.scenarios.forEach((s) => {
+        const resolved = resolveScenario(s, environment);
+        const sandbox = createSandbox(environment, 'bank', resolved.faults);
+        resolved.steps.flatMap((step) => step.choices || []).filter((choice) => choice.command).forEach((choice) => {
+          expect(sandbox.run(choice.command)).toMatch(/status: (NOERROR|NXDOMAIN)/);
+        });
+      });
+    });
+  });
+});
+
+describe('duplicates', () => {
+  it('has unique question ids', () => {
+    const ids = set.questions.map((q) => q.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('has no two questions with the same text', () => {
+    const seen = new Map();
+    set.questions.forEach((q) => {
+      const text = normalize(q.question);
+      expect({ id: q.id, duplicateOf: seen.get(text) }).toEqual({ id: q.id, duplicateOf: undefined });
+      seen.set(text, q.id);
+    });
+  });
+
+  it('has no two questions with the same options and answer', () => {
+    const seen = new Map();
+    choiceQuestions.forEach((q) => {
+      const key = `${[...q.options].map(normalize).sort().join('|')}#${normalize(q.options[q.correct])}`;
+      expect({ id: q.id, duplicateOf: seen.get(key) }).toEqual({ id: q.id, duplicateOf: undefined });
+      seen.set(key, q.id);
+    });
+  });
+});
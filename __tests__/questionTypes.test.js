@@ -0,0 +1,215 @@
+/**
+ * Multi-select, ordering and matching questions: partial-credit grading,
+ * option shuffling and scrambling, loading and the import schema, and a
+ * quiz played through with one question of each type.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import DNSQuiz from '../Quiz';
+import { answerCredit, checkMultiSelect, checkOrdering, checkMatching } from '../lib/questionTypes';
+import { shuffleOptions, scrambledOrder } from '../lib/shuffle';
+import { loadQuestionSet } from '../lib/questionSet';
+import { validateSchema, QUESTION_SET_SCHEMA } from '../lib/questionSetSchema';
+import { createRng } from '../lib/random';
+import { createMemoryStorage } from '../lib/storage';
+
+const multi = {
+  id: 'multi',
+  type: 'multi',
+  topics: ['records'],
+  question: 'Which of these are address records?',
+  options: ['A', 'AAAA', 'MX', 'TXT'],
+  correct: [0, 1],
+  explanation: 'A and AAAA map names to addresses.'
+};
+
+const order = {
+  id: 'order',
+  type: 'order',
+  topics: ['records'],
+  question: 'Order these zones from the root down.',
+  items: ['Root', 'Top-level domain', 'Second-level domain'],
+  explanation: 'Names are delegated from the root down.'
+};
+
+const match = {
+  id: 'match',
+  type: 'match',
+  topics: ['records'],
+  question: 'Match each record to its purpose.',
+  pairs: [
+    { prompt: 'MX', answer: 'Mail exchanger' },
+    { prompt: 'NS', answer: 'Delegation' },
+    { prompt: 'PTR', answer: 'Reverse lookup' }
+  ],
+  explanation: 'Each record type has one job.'
+};
+
+const setOf = (...questions) => ({
+  id: 'types',
+  title: 'Question Types',
+  topics: [{ id: 'records', label: 'DNS Records' }],
+  questions
+});
+
+describe('checkMultiSelect', () => {
+  it('gives full credit for exactly the correct options', () => {
+    expect(checkMultiSelect(multi, [0, 1])).toEqual({ correct: true, credit: 1, missed: [], wrong: [] });
+  });
+
+  it('gives a share of the credit for each correct pick', () => {
+    expect(checkMultiSelect(multi, [1])).toMatchObject({ correct: false, credit: 0.5, missed: [0] });
+  });
+
+  it('takes a share away for each wrong pick, never below zero', () => {
+    expect(checkMultiSelect(multi, [0, 1, 2])).toMatchObject({ credit: 0.5, wrong: [2] });
+    expect(checkMultiSelect(multi, [0, 1, 2, 3]).credit).toBe(0);
+    expect(checkMultiSelect(multi, [2, 3]).credit).toBe(0);
+  });
+});
+
+describe('checkOrdering', () => {
+  it('gives full credit for the authored order', () => {
+    expect(checkOrdering(order, [0, 1, 2])).toEqual({ correct: true, credit: 1, placed: [true, true, true] });
+  });
+
+  it('gives credit for each pair in the right relative order', () => {
+    expect(checkOrdering(order, [1, 0, 2])).toEqual({ correct: false, credit: 0.667, placed: [false, false, true] });
+    expect(checkOrdering(order, [2, 1, 0]).credit).toBe(0);
+  });
+});
+
+describe('checkMatching', () => {
+  it('gives an equal share for each pair matched right', () => {
+    expect(checkMatching(match, [0, 1, 2])).toEqual({ correct: true, credit: 1, matched: [true, true, true] });
+    expect(checkMatching(match, [1, 0, 2])).toEqual({ correct: false, credit: 0.333, matched: [false, false, true] });
+  });
+
+  it('counts prompts left unmatched as wrong', () => {
+    expect(checkMatching(match, [0, null, null]).credit).toBe(0.333);
+  });
+
+  it('accepts either pair when two share an answer', () => {
+    const shared = { pairs: [{ prompt: 'A', answer: 'Address' }, { prompt: 'AAAA', answer: 'Address' }] };
+    expect(checkMatching(shared, [1, 0]).correct).toBe(true);
+  });
+});
+
+describe('answerCredit', () => {
+  it('uses the recorded credit, or 1 or 0 for answers without one', () => {
+    expect(answerCredit({ correct: false, credit: 0.5 })).toBe(0.5);
+    expect(answerCredit({ correct: true })).toBe(1);
+    expect(answerCredit({ correct: false })).toBe(0);
+  });
+});
+
+describe('shuffling', () => {
+  it('keeps every correct index of a multi-select on its option', () => {
+    ['one', 'two', 'three'].forEach((seed) => {
+      const shuffled = shuffleOptions(multi, createRng(seed, 'options'));
+      expect(shuffled.correct.map((index) => shuffled.options[index])).toEqual(['A', 'AAAA']);
+    });
+  });
+
+  it('leaves options with fixedOptions in authored order without changing later shuffles', () => {
+    const fixed = { ...multi, fixedOptions: true };
+    const rng = createRng('one', 'options');
+    expect(shuffleOptions(fixed, rng)).toBe(fixed);
+    const unflagged = createRng('one', 'options');
+    shuffleOptions(multi, unflagged);
+    expect(shuffleOptions(multi, rng)).toEqual(shuffleOptions(multi, unflagged));
+  });
+
+  it('never starts an ordering question in its solved order', () => {
+    ['one', 'two', 'three', 'four'].forEach((seed) => {
+      expect(scrambledOrder(2, createRng(seed, 'arrange'))).toEqual([1, 0]);
+      expect(scrambledOrder(4, createRng(seed, 'arrange'))).not.toEqual([0, 1, 2, 3]);
+    });
+  });
+});
+
+describe('loading', () => {
+  it('accepts all three types and passes the import schema', () => {
+    expect(() => loadQuestionSet(setOf(multi, order, match))).not.toThrow();
+    expect(validateSchema(setOf(multi, order, match), QUESTION_SET_SCHEMA)).toEqual([]);
+  });
+
+  it('rejects a multi-select with an out-of-range or repeated answer', () => {
+    expect(() => loadQuestionSet(setOf({ ...multi, correct: [0, 4] }))).toThrow();
+    expect(() => loadQuestionSet(setOf({ ...multi, correct: [1, 1] }))).toThrow();
+  });
+
+  it('rejects ordering and matching questions with fewer than two entries', () => {
+    expect(() => loadQuestionSet(setOf({ ...order, items: ['.'] }))).toThrow(/two items/);
+    expect(() => loadQuestionSet(setOf({ ...match, pairs: [{ prompt: 'MX', answer: '' }, match.pairs[1]] }))).toThrow(/two pairs/);
+  });
+
+  it('rejects translations that change the number of items or pairs', () => {
+    const translations = { de: { questions: { order: { items: ['.', 'com.'] } } } };
+    expect(() => loadQuestionSet({ ...setOf(order), translations })).toThrow();
+  });
+});
+
+describe('playing each type', () => {
+  const renderQuiz = (questions, props = {}) =>
+    render(
+      <DNSQuiz
+        questionSet={setOf(...questions)}
+        mode="quiz"
+        shuffle={false}
+        seed="test"
+        locale="en"
+        showLanguageSwitcher={false}
+        storage={createMemoryStorage()}
+        {...props}
+      />
+    );
+
+  it('takes a wrong pick off the credit of a right one', () => {
+    const onAnswer = jest.fn();
+    renderQuiz([multi], { onAnswer });
+    const boxes = within(screen.getByRole('group')).getAllByRole('checkbox');
+    fireEvent.click(boxes[2]);
+    fireEvent.click(boxes[0]);
+    expect(boxes[0]).toHaveAttribute('aria-checked', 'true');
+    fireEvent.click(screen.getByRole('button', { name: 'Check Answer' }));
+
+    expect(screen.getByText('Not quite...')).toBeInTheDocument();
+    expect(screen.getByText('Missed')).toBeInTheDocument();
+    expect(screen.getByText('Wrong pick')).toBeInTheDocument();
+    expect(screen.getByText('Score: 0/1')).toBeInTheDocument();
+    expect(onAnswer).toHaveBeenCalledWith('multi', [0, 2], false, expect.any(Number));
+  });
+
+  it('orders items with the move buttons', () => {
+    renderQuiz([order]);
+    const labels = () => within(screen.getByRole('list')).getAllByRole('listitem').map((item) => item.textContent);
+    expect(labels()).not.toEqual(order.items.map((item, index) => `${index + 1}.${item}`));
+
+    // Put the scrambled list back in order by moving each item up to its place from the top down
+    order.items.forEach((text, position) => {
+      while (labels().findIndex((label) => label.endsWith(text)) > position) {
+        fireEvent.click(screen.getByRole('button', { name: `Move "${text}" up` }));
+      }
+    });
+    expect(labels()).toEqual(order.items.map((item, index) => `${index + 1}.${item}`));
+    expect(screen.getByText(/moved to position \d of 3/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Check Order' }));
+    expect(screen.getByText('Correct! ✓')).toBeInTheDocument();
+    expect(screen.getAllByText('In place')).toHaveLength(3);
+  });
+
+  it('needs every prompt matched before checking', () => {
+    renderQuiz([match]);
+    const check = screen.getByRole('button', { name: 'Check Matches' });
+    expect(check).toBeDisabled();
+    match.pairs.forEach((pair, index) => {
+      fireEvent.change(screen.getByLabelText(pair.prompt), { target: { value: String(index === 2 ? 2 : 1 - index) } });
+    });
+    fireEvent.click(check);
+    expect(screen.getByText(/Partly correct: 33\s?% credit/)).toBeInTheDocument();
+    expect(screen.getAllByLabelText('Matched wrongly')).toHaveLength(2);
+    expect(screen.getByText('Score: 0.333/1')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Quiz night server tests: scoring and ranking, the room protocol driven
+ * through fake connections and a fake clock, and the WebSocket framing and
+ * static files over a real server on a free local port.
+ *
+ * @jest-environment node
+ */
+
+import { connect } from 'node:net';
+import { get as httpGet } from 'node:http';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { scoreAnswer, rankPlayers, createQuizNight, startQuizNightServer } from '../server/quizNightServer.mjs';
+
+describe('scoreAnswer', () => {
+  it('gives a right answer its base points and a speed bonus that runs out at the limit', () => {
+    expect(scoreAnswer(true, 0, 20)).toBe(1000);
+    expect(scoreAnswer(true, 10000, 20)).toBe(750);
+    expect(scoreAnswer(true, 25000, 20)).toBe(500);
+    expect(scoreAnswer(false, 0, 20)).toBe(0);
+  });
+});
+
+describe('rankPlayers', () => {
+  it('orders by score, then name, and gives tied scores the same rank', () => {
+    const players = [
+      { name: 'Bo', score: 900, correct: 1, socket: {} },
+      { name: 'Cy', score: 500, correct: 1, socket: null },
+      { name: 'Al', score: 900, correct: 1, socket: {} }
+    ];
+    expect(rankPlayers(players)).toEqual([
+      { name: 'Al', score: 900, correct: 1, connected: true, rank: 1 },
+      { name: 'Bo', score: 900, correct: 1, connected: true, rank: 1 },
+      { name: 'Cy', score: 500, correct: 1, connected: false, rank: 3 }
+    ]);
+  });
+});
+
+describe('rooms', () => {
+  let clock;
+  let night;
+
+  const fakeConnection = () => {
+    const connection = {
+      sent: [],
+      closed: false,
+      send: (message) => connection.sent.push(message),
+      close: () => {
+        connection.closed = true;
+      },
+      last: () => connection.sent[connection.sent.length - 1]
+    };
+    return connection;
+  };
+
+  // A connection attached to the quiz night, with the handlers the transport would call
+  const attach = () => {
+    const connection = fakeConnection();
+    return { connection, ...night.connect(connection) };
+  };
+
+  const openRoom = () => {
+    const host = attach();
+    host.message({ type: 'host', title: 'Friday Night', seed: 'abc', total: 2 });
+    return host;
+  };
+
+  const question = {
+    type: 'question',
+    index: 0,
+    question: 'Which record names the mail servers?',
+    options: ['A', 'MX', 'NS', 'TXT'],
+    correct: 1,
+    timeLimit: 10
+  };
+
+  beforeEach(() => {
+    clock = 0;
+    let draw = 0;
+    night = createQuizNight({ now: () => clock, random: () => draw++ % 32 });
+  });
+
+  it('opens a room with a code and lets players join it by that code', () => {
+    const host = openRoom();
+    expect(host.connection.sent).toEqual([{ type: 'room', code: 'ABCD' }]);
+    expect(openRoom().connection.last()).toEqual({ type: 'room', code: 'EFGH' });
+
+    const ana = attach();
+    ana.message({ type: 'join', code: 'ZZZZ', name: 'Ana' });
+    expect(ana.connection.last()).toEqual({ type: 'error', reason: 'noRoom' });
+    ana.message({ type: 'join', code: 'ABCD', name: '  ' });
+    expect(ana.connection.last()).toEqual({ type: 'error', reason: 'noName' });
+    ana.message({ type: 'join', code: ' abcd ', name: ' Ana ' });
+    expect(ana.connection.last()).toMatchObject({ type: 'joined', code: 'ABCD', name: 'Ana', title: 'Friday Night', total: 2, score: 0 });
+    expect(host.connection.last()).toMatchObject({ type: 'players', players: [{ name: 'Ana', rank: 1 }], answered: 0 });
+
+    const impostor = attach();
+    impostor.message({ type: 'join', code: 'ABCD', name: 'Ana' });
+    expect(impostor.connection.last()).toEqual({ type: 'error', reason: 'nameTaken' });
+  });
+
+  it('scores answers for correctness and speed and ranks the players on reveal', () => {
+    const host = openRoom();
+    const players = ['Ana', 'Bo', 'Cy'].map((name) => {
+      const player = attach();
+      player.message({ type: 'join', code: 'ABCD', name });
+      return player;
+    });
+    const [ana, bo, cy] = players;
+
+    host.message(question);
+    // The answer stays on the server
+    expect(ana.connection.last()).toEqual({
+      type: 'question',
+      index: 0,
+      total: 2,
+      question: question.question,
+      options: question.options,
+      timeLimit: 10,
+      remaining: 10000
+    });
+
+    clock = 2000;
+    ana.message({ type: 'answer', index: 0, choice: 1 });
+    expect(ana.connection.last()).toEqual({ type: 'answered', index: 0, choice: 1 });
+    // A second answer, a stale question or an option that isn't there are ignored
+    ana.message({ type: 'answer', index: 0, choice: 2 });
+    bo.message({ type: 'answer', index: 1, choice: 1 });
+    bo.message({ type: 'answer', index: 0, choice: 4 });
+    clock = 5000;
+    bo.message({ type: 'answer', index: 0, choice: 1 });
+    cy.message({ type: 'answer', index: 0, choice: 0 });
+    expect(host.connection.last()).toMatchObject({ type: 'players', answered: 3 });
+
+    host.message({ type: 'reveal' });
+    const reveal = ana.connection.last();
+    expect(reveal.results).toEqual([
+      { name: 'Ana', choice: 1, correct: true, points: 900 },
+      { name: 'Bo', choice: 1, correct: true, points: 750 },
+      { name: 'Cy', choice: 0, correct: false, points: 0 }
+    ]);
+    expect(reveal.leaderboard.map(({ name, score, rank }) => [name, score, rank])).toEqual([
+      ['Ana', 900, 1],
+      ['Bo', 750, 2],
+      ['Cy', 0, 3]
+    ]);
+    expect(host.connection.last()).toEqual(reveal);
+  });
+
+  it('takes answers just after the clock runs out for no bonus, and refuses later ones', () => {
+    const host = openRoom();
+    const [ana, bo] = ['Ana', 'Bo'].map((name) => {
+      const player = attach();
+      player.message({ type: 'join', code: 'ABCD', name });
+      return player;
+    });
+    host.message(question);
+    clock = 10500;
+    ana.message({ type: 'answer', index: 0, choice: 1 });
+    clock = 11001;
+    bo.message({ type: 'answer', index: 0, choice: 1 });
+    expect(bo.connection.last()).toEqual({ type: 'error', reason: 'tooLate' });
+
+    host.message({ type: 'reveal' });
+    expect(ana.connection.last().results.map((result) => result.points)).toEqual([500, 0]);
+  });
+
+  it('keeps the score of a player who rejoins, and closes the room with the host', () => {
+    const host = openRoom();
+    const ana = attach();
+    ana.message({ type: 'join', code: 'ABCD', name: 'Ana' });
+    host.message(question);
+    ana.message({ type: 'answer', index: 0, choice: 1 });
+    host.message({ type: 'reveal' });
+    ana.close();
+    expect(host.connection.last().players).toEqual([{ name: 'Ana', score: 1000, correct: 1, connected: false, rank: 1 }]);
+
+    const again = attach();
+    again.message({ type: 'join', code: 'ABCD', name: 'Ana' });
+    expect(again.connection.last()).toMatchObject({ type: 'joined', score: 1000 });
+
+    host.close();
+    expect(again.connection.last()).toEqual({ type: 'closed' });
+    expect(again.connection.closed).toBe(true);
+    expect(night.rooms.has('ABCD')).toBe(false);
+  });
+});
+
+describe('server', () => {
+  let root;
+  let server;
+  let port;
+  const sockets = [];
+
+  beforeAll(async () => {
+    root = mkdtempSync(join(tmpdir(), 'quiz-night-'));
+    writeFileSync(join(root, 'index.html'), '<!doctype html><title>Quiz</title>');
+    server = startQuizNightServer({ port: 0, host: '127.0.0.1', staticDir: root });
+    await new Promise((resolveListening) => server.on('listening', resolveListening));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    // Closing as browsers do lets the server end its side; a dropped connection waits for the heartbeat
+    sockets.forEach((socket) => socket.end(clientFrame(0x8, Buffer.alloc(0))));
+    await new Promise((resolveClosed) => server.close(resolveClosed));
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  const get = (path) =>
+    new Promise((resolveResponse, reject) => {
+      httpGet({ host: '127.0.0.1', port, path, agent: false }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => resolveResponse({ status: res.statusCode, body }));
+      }).on('error', reject);
+    });
+
+  // A client frame: always masked unless told otherwise, as browsers send them
+  const clientFrame = (opcode, payload, { fin = true, masked = true } = {}) => {
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    const header = payload.length < 126 ? Buffer.alloc(2) : Buffer.alloc(4);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (payload.length < 126) {
+      header[1] = (masked ? 0x80 : 0) | payload.length;
+    } else {
+      header[1] = (masked ? 0x80 : 0) | 126;
+      header.writeUInt16BE(payload.length, 2);
+    }
+    if (!masked) return Buffer.concat([header, payload]);
+    return Buffer.concat([header, mask, payload.map((byte, index) => byte ^ mask[index % 4])]);
+  };
+
+  // A raw WebSocket client that reads the server's unmasked frames one at a time
+  const openSocket = () =>
+    new Promise((resolveClient, reject) => {
+      const socket = connect(port, '127.0.0.1');
+      sockets.push(socket);
+      let buffer = Buffer.alloc(0);
+      let handshake = null;
+      const frames = [];
+      const waiting = [];
+      const deliver = () => {
+        while (frames.length > 0 && waiting.length > 0) waiting.shift()(frames.shift());
+      };
+
+      const client = {
+        handshake: () => handshake,
+        write: (bytes) => socket.write(bytes),
+        send: (message) => socket.write(clientFrame(0x1, Buffer.from(JSON.stringify(message)))),
+        frame: () =>
+          new Promise((resolveFrame) => {
+            waiting.push(resolveFrame);
+            deliver();
+          }),
+        message: async () => JSON.parse((await client.frame()).payload.toString('utf8'))
+      };
+
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        if (handshake === null) {
+          const end = buffer.indexOf('\r\n\r\n');
+          if (end === -1) return;
+          handshake = buffer.subarray(0, end).toString('latin1');
+          buffer = buffer.subarray(end + 4);
+          resolveClient(client);
+        }
+        while (buffer.length >= 2) {
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+          if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          }
+          if (buffer.length < offset + length) break;
+          frames.push({ opcode: buffer[0] & 0x0f, payload: buffer.subarray(offset, offset + length) });
+          buffer = buffer.subarray(offset + length);
+        }
+        deliver();
+      });
+      socket.on('error', reject);
+      socket.write(
+        'GET / HTTP/1.1\r\n' +
+        'Host: localhost\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+        'Sec-WebSocket-Version: 13\r\n\r\n'
+      );
+    });
+
+  it('accepts the WebSocket handshake and relays messages both ways', async () => {
+    const host = await openSocket();
+    // The sample key and answer from RFC 6455
+    expect(host.handshake()).toMatch(/^HTTP\/1.1 101 /);
+    expect(host.handshake()).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+    host.send({ type: 'host', title: 'x'.repeat(200), total: 1 });
+    const { type, code } = await host.message();
+    expect(type).toBe('room');
+
+    // A fragmented message, split across TCP writes, with a 16-bit length
+    const player = await openSocket();
+    const joinMessage = Buffer.from(JSON.stringify({ type: 'join', code, name: 'Ana', padding: 'y'.repeat(150) }));
+    const first = clientFrame(0x1, joinMessage.subarray(0, 100), { fin: false });
+    const rest = clientFrame(0x0, joinMessage.subarray(100));
+    player.write(first.subarray(0, 5));
+    player.write(Buffer.concat([first.subarray(5), rest]));
+    const joined = await player.message();
+    expect(joined).toMatchObject({ type: 'joined', code, name: 'Ana', title: 'x'.repeat(200) });
+    expect(await host.message()).toMatchObject({ type: 'players', players: [{ name: 'Ana' }] });
+  });
+
+  it('answers pings, and closes on a frame the client did not mask', async () => {
+    const client = await openSocket();
+    client.write(clientFrame(0x9, Buffer.from('hi')));
+    const pong = await client.frame();
+    expect(pong.opcode).toBe(0xa);
+    expect(pong.payload.toString()).toBe('hi');
+
+    client.write(clientFrame(0x1, Buffer.from('{}'), { masked: false }));
+    const close = await client.frame();
+    expect(close.opcode).toBe(0x8);
+    expect(close.payload.readUInt16BE(0)).toBe(1002);
+  });
+
+  it('serves the static files and answers a malformed path with 400', async () => {
+    expect(await get('/')).toEqual({ status: 200, body: '<!doctype html><title>Quiz</title>' });
+    expect((await get('/missing.js')).status).toBe(404);
+    expect((await get('/..%2fpackage.json')).status).toBe(403);
+    expect(await get('/%E0%A4%A')).toEqual({ status: 400, body: 'Bad request\n' });
+    // The server is still up afterwards
+    expect((await get('/')).status).toBe(200);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * LMS reporting tests: xAPI statements and SCORM interactions describe a
+ * question's options, correct response and the learner's response in
+ * authored order, whatever the attempt's shuffle. SCORM typed answers fit
+ * their interaction type, and a status the LMS already has is kept.
+ */
+
+import { createXapiReporter } from '../lib/xapi';
+import { createScormReporter } from '../lib/scorm';
+import { shuffleOptions, unshuffledOptions } from '../lib/shuffle';
+import { createRng } from '../lib/random';
+
+const choice = {
+  id: 'mx',
+  type: 'choice',
+  question: 'Which record names the mail servers?',
+  options: ['A', 'MX', 'TXT', 'PTR'],
+  correct: 1,
+  explanation: '...'
+};
+
+const multi = { ...choice, id: 'mail', type: 'multi', options: ['MX', 'A', 'TXT', 'SRV'], correct: [0, 2] };
+
+// The same questions as two attempts showed them
+const attempts = ['one', 'two'].map((seed) => ({
+  choice: shuffleOptions(choice, createRng(seed, 'options')),
+  multi: shuffleOptions(multi, createRng(seed, 'options'))
+}));
+
+// Where an attempt displayed the option with this text
+const shownIndex = (question, text) => question.options.indexOf(text);
+
+describe('unshuffledOptions', () => {
+  it('restores the authored options and correct answer', () => {
+    // The two attempts must really differ for the tests below to mean anything
+    expect(attempts[0].choice.options).not.toEqual(attempts[1].choice.options);
+    expect(attempts[0].multi.options).not.toEqual(attempts[1].multi.options);
+    attempts.forEach((shown) => {
+      expect(unshuffledOptions(shown.choice)).toEqual(choice);
+      expect(unshuffledOptions(shown.multi)).toEqual(multi);
+    });
+  });
+});
+
+describe('xAPI', () => {
+  const answered = (shown) => {
+    const statements = [];
+    const reporter = createXapiReporter({ transport: { send: (batch) => statements.push(...batch) }, actor: { name: 'Test' } });
+    reporter.attempted({ questionSetId: 'fixture', title: 'Fixture', seed: 'x', mode: 'quiz' });
+    const choiceIndex = shownIndex(shown.choice, 'TXT');
+    reporter.answered(shown.choice, { questionId: 'mx', choice: choiceIndex, correct: false, elapsedMs: 1000 });
+    reporter.answered(shown.multi, {
+      questionId: 'mail',
+      choices: [shownIndex(shown.multi, 'TXT'), shownIndex(shown.multi, 'MX')],
+      correct: true,
+      elapsedMs: 1000
+    });
+    return statements.slice(1);
+  };
+
+  it('sends the same definition and authored responses for every shuffle', () => {
+    const [first, second] = attempts.map(answered);
+    expect(first.map((s) => s.object.definition)).toEqual(second.map((s) => s.object.definition));
+    expect(first[0].object.definition.choices.map((c) => c.description['en-US'])).toEqual(choice.options);
+    expect(first[0].object.definition.correctResponsesPattern).toEqual(['1']);
+    expect(first.map((s) => s.result.response)).toEqual(['2', '0[,]2']);
+    expect(second.map((s) => s.result.response)).toEqual(['2', '0[,]2']);
+  });
+});
+
+describe('SCORM', () => {
+  // An LMS runtime API for either version, starting from the data model values given
+  const fakeLms = (values = {}) => {
+    const calls = [];
+    const set = (key, value) => {
+      calls.push([key, value]);
+      values[key] = value;
+      return 'true';
+    };
+    const get = (key) => values[key] ?? '';
+    const ok = () => 'true';
+    return {
+      values,
+      calls,
+      api: { Initialize: ok, SetValue: set, GetValue: get, Commit: ok, Terminate: ok },
+      api12: { LMSInitialize: ok, LMSSetValue: set, LMSGetValue: get, LMSCommit: ok, LMSFinish: ok }
+    };
+  };
+
+  it('records authored patterns and responses', () => {
+    const { values, api } = fakeLms();
+    const reporter = createScormReporter({ api, version: '2004' });
+    reporter.attempted();
+    attempts.forEach((shown) => {
+      reporter.answered(shown.choice, { questionId: 'mx', choice: shownIndex(shown.choice, 'MX'), correct: true, elapsedMs: 1000 });
+      expect(values['cmi.interactions.0.correct_responses.0.pattern']).toBe('1');
+      expect(values['cmi.interactions.0.learner_response']).toBe('1');
+    });
+  });
+
+  it('reports zone files as long fill-ins on SCORM 2004, cut to each type\'s limit', () => {
+    const zone = { id: 'zone', type: 'zone', question: 'Fix the zone.', explanation: '...' };
+    const command = { id: 'dig', type: 'choice', question: 'Look up the MX records.', command: { answers: ['dig MX example.com'] } };
+    const zoneFile = 'x'.repeat(3000);
+
+    const lms2004 = fakeLms();
+    const reporter2004 = createScormReporter({ api: lms2004.api, version: '2004' });
+    reporter2004.attempted();
+    reporter2004.answered(zone, { questionId: 'zone', zone: zoneFile, correct: true, elapsedMs: 1000 });
+    expect(lms2004.values['cmi.interactions.0.type']).toBe('long-fill-in');
+    expect(lms2004.values['cmi.interactions.0.learner_response']).toBe(zoneFile);
+    reporter2004.answered(command, { questionId: 'dig', command: zoneFile, correct: false, elapsedMs: 1000 });
+    expect(lms2004.values['cmi.interactions.0.type']).toBe('fill-in');
+    expect(lms2004.values['cmi.interactions.0.learner_response']).toHaveLength(250);
+
+    // SCORM 1.2 has no long fill-in
+    const lms12 = fakeLms();
+    const reporter12 = createScormReporter({ api: lms12.api12, version: '1.2' });
+    reporter12.attempted();
+    reporter12.answered(zone, { questionId: 'zone', zone: zoneFile, correct: true, elapsedMs: 1000 });
+    expect(lms12.values['cmi.interactions.0.type']).toBe('fill-in');
+    expect(lms12.values['cmi.interactions.0.student_response']).toHaveLength(255);
+  });
+
+  it('marks a new module incomplete once, and keeps a status the LMS already has', () => {
+    const fresh = fakeLms({ 'cmi.completion_status': 'unknown' });
+    const reporter = createScormReporter({ api: fresh.api, version: '2004' });
+    reporter.attempted();
+    reporter.completed({ score: 2, total: 2, percent: 100, passed: true, durationMs: 1000 });
+    // Try Again
+    reporter.attempted();
+    expect(fresh.calls.filter(([key]) => key === 'cmi.completion_status').map(([, value]) => value)).toEqual(['incomplete', 'completed']);
+    expect(fresh.values['cmi.success_status']).toBe('passed');
+
+    // A later visit to a module the learner already passed
+    const passed = fakeLms({ 'cmi.core.lesson_status': 'passed' });
+    createScormReporter({ api: passed.api12, version: '1.2' }).attempted();
+    expect(passed.values['cmi.core.lesson_status']).toBe('passed');
+    expect(passed.calls).toEqual([]);
+  });
+});
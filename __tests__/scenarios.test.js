@@ -0,0 +1,213 @@
+/**
+ * Troubleshooting scenarios: finding the shortest diagnosis, scoring and
+ * keeping the best result, loading and translating scenarios, sandbox
+ * faults, and a case played through in scenario mode.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import DNSQuiz from '../Quiz';
+import { shortestSolution, followPath, scoreScenario, betterResult } from '../lib/scenarios';
+import { loadQuestionSet, localizeQuestionSet, resolveScenario, exportQuestionSet } from '../lib/questionSet';
+import { validateSchema, QUESTION_SET_SCHEMA } from '../lib/questionSetSchema';
+import { createSandbox } from '../lib/dnsSandbox';
+import { generateEnvironment } from '../lib/environment';
+import { createRng } from '../lib/random';
+import { createMemoryStorage, createQuizStore } from '../lib/storage';
+
+const scenario = {
+  id: 'mx-target',
+  title: 'Mail bounces',
+  topics: ['records'],
+  difficulty: 'beginner',
+  brief: 'Mail to {{primary}} bounces.',
+  faults: { remove: [{ name: 'mail.{{primary}}' }] },
+  steps: [
+    {
+      id: 'start',
+      text: 'Where do you start?',
+      choices: [
+        { text: 'Look up the MX records', command: 'dig {{primary}} MX', next: 'mx' },
+        { text: 'Restart the mail server', next: 'restart' },
+        { text: 'Give up', next: 'gave-up' }
+      ]
+    },
+    {
+      id: 'restart',
+      text: 'Nothing changes.',
+      choices: [{ text: 'Look up the MX records', command: 'dig {{primary}} MX', next: 'mx' }]
+    },
+    {
+      id: 'mx',
+      text: 'The MX points at mail.{{primary}}.',
+      choices: [
+        { text: 'Look up the mail host', command: 'dig mail.{{primary}}', next: 'nxdomain' },
+        { text: 'Restart the mail server', next: 'restart' }
+      ]
+    },
+    {
+      id: 'nxdomain',
+      text: 'NXDOMAIN. Your hypothesis?',
+      choices: [{ text: 'The MX target has no address', next: 'solved' }]
+    },
+    { id: 'solved', text: 'Correct.', outcome: 'solved' },
+    { id: 'gave-up', text: 'The bounces continue.', outcome: 'unsolved' }
+  ],
+  explanation: 'An MX target needs an address record.'
+};
+
+const setOf = (...scenarios) => ({
+  id: 'scenarios',
+  title: 'Scenarios',
+  topics: [{ id: 'records', label: 'DNS Records' }],
+  questions: [
+    { id: 'q1', topics: ['records'], question: 'Which record holds mail routing?', options: ['A', 'MX', 'NS', 'TXT'], correct: 1, explanation: 'MX.' }
+  ],
+  scenarios
+});
+
+const environment = generateEnvironment(createRng('scenarios', 'domains'));
+
+describe('scoring', () => {
+  it('finds the fewest choices that solve the case', () => {
+    expect(shortestSolution(scenario)).toBe(3);
+    expect(shortestSolution({ ...scenario, steps: scenario.steps.filter((step) => step.id !== 'solved') })).toBeNull();
+  });
+
+  it('follows a path of choices to the step reached', () => {
+    const { visited, current } = followPath(scenario, [1, 0]);
+    expect(visited.map(({ step, choice }) => [step.id, choice.text])).toEqual([
+      ['start', 'Restart the mail server'],
+      ['restart', 'Look up the MX records']
+    ]);
+    expect(current.id).toBe('mx');
+  });
+
+  it('gives full credit for the shortest diagnosis and less for a longer one', () => {
+    expect(scoreScenario(scenario, [0, 0, 0])).toEqual({ solved: true, steps: 3, optimal: 3, credit: 1 });
+    expect(scoreScenario(scenario, [1, 0, 1, 0, 0, 0])).toEqual({ solved: true, steps: 6, optimal: 3, credit: 0.5 });
+    expect(scoreScenario(scenario, [2])).toEqual({ solved: false, steps: 1, optimal: 3, credit: 0 });
+  });
+
+  it('keeps a solved result over an unsolved one, then the higher credit', () => {
+    const solved = { solved: true, steps: 6, optimal: 3, credit: 0.5 };
+    const unsolved = { solved: false, steps: 1, optimal: 3, credit: 0 };
+    const perfect = { solved: true, steps: 3, optimal: 3, credit: 1 };
+    expect(betterResult(undefined, unsolved)).toBe(unsolved);
+    expect(betterResult(solved, unsolved)).toBe(solved);
+    expect(betterResult(unsolved, solved)).toBe(solved);
+    expect(betterResult(solved, perfect)).toBe(perfect);
+    expect(betterResult(perfect, solved)).toBe(perfect);
+  });
+});
+
+describe('loading', () => {
+  it('accepts a scenario and passes the import schema', () => {
+    const loaded = loadQuestionSet(setOf(scenario));
+    expect(loaded.scenarios).toHaveLength(1);
+    expect(validateSchema(JSON.parse(exportQuestionSet(setOf(scenario))), QUESTION_SET_SCHEMA)).toEqual([]);
+  });
+
+  it('rejects steps that lead nowhere or end ambiguously', () => {
+    const withStep = (id, changes) => ({
+      ...scenario,
+      steps: scenario.steps.map((step) => (step.id === id ? { ...step, ...changes } : step))
+    });
+    expect(() => loadQuestionSet(setOf(withStep('restart', { choices: [{ text: 'Wait', next: 'nowhere' }] })))).toThrow(/known next step/);
+    expect(() => loadQuestionSet(setOf(withStep('gave-up', { outcome: undefined })))).toThrow();
+    expect(() => loadQuestionSet(setOf(withStep('solved', { choices: scenario.steps[0].choices })))).toThrow();
+  });
+
+  it('rejects a scenario that cannot be solved and duplicate ids', () => {
+    const unsolvable = { ...scenario, steps: scenario.steps.map((step) => (step.id === 'solved' ? { ...step, outcome: 'unsolved' } : step)) };
+    expect(() => loadQuestionSet(setOf(unsolvable))).toThrow(/can't be solved/);
+    expect(() => loadQuestionSet(setOf(scenario, scenario))).toThrow(/Duplicate scenario id/);
+  });
+
+  it('rejects translations that change the number of choices', () => {
+    const translations = { de: { scenarios: { 'mx-target': { steps: { start: { choices: ['MX abfragen'] } } } } } };
+    expect(() => loadQuestionSet({ ...setOf(scenario), translations })).toThrow();
+  });
+
+  it('translates step text and choices, keeping commands and links', () => {
+    const translations = {
+      de: { scenarios: { 'mx-target': { title: 'E-Mails kommen zurück', steps: { start: { choices: ['MX abfragen', 'Neu starten', 'Aufgeben'] } } } } }
+    };
+    const [localized] = localizeQuestionSet(loadQuestionSet({ ...setOf(scenario), translations }), 'de').scenarios;
+    expect(localized.title).toBe('E-Mails kommen zurück');
+    expect(localized.steps[0].choices[0]).toEqual({ text: 'MX abfragen', command: 'dig {{primary}} MX', next: 'mx' });
+    expect(localized.steps[1].text).toBe('Nothing changes.');
+  });
+});
+
+describe('faults', () => {
+  it('fills placeholders in the faults and commands', () => {
+    const resolved = resolveScenario(scenario, environment);
+    expect(resolved.faults.remove).toEqual([{ name: `mail.${environment.primary}` }]);
+    expect(resolved.steps[0].choices[0].command).toBe(`dig ${environment.primary} MX`);
+  });
+
+  it('removes records from the sandbox before the first query', () => {
+    const { faults } = resolveScenario(scenario, environment);
+    expect(createSandbox(environment, 'healthy').run(`dig mail.${environment.primary}`)).toMatch(/status: NOERROR/);
+    expect(createSandbox(environment, 'broken', faults).run(`dig mail.${environment.primary}`)).toMatch(/status: NXDOMAIN/);
+  });
+
+  it('adds wrong records to the closest enclosing zone', () => {
+    const faults = { remove: [{ name: `api.${environment.cluster}`, type: 'A' }], add: [{ name: `api.${environment.cluster}`, type: 'A', data: '192.0.2.99' }] };
+    const output = createSandbox(environment, 'wrong', faults).run(`dig @ns1.${environment.primary} api.${environment.cluster}`);
+    expect(output).toMatch(/flags: qr aa/);
+    expect(output).toMatch(/300\tIN\tA\t192\.0\.2\.99/);
+  });
+});
+
+describe('scenario mode', () => {
+  const renderScenarios = (storage = createMemoryStorage()) =>
+    render(
+      <DNSQuiz
+        questionSet={setOf(scenario)}
+        mode="scenario"
+        seed="test"
+        locale="en"
+        showLanguageSwitcher={false}
+        storage={storage}
+      />
+    );
+
+  const choose = (text) => fireEvent.click(screen.getByRole('button', { name: new RegExp(`^${text}`) }));
+
+  it('plays a case through to the root cause and keeps the best result', () => {
+    const storage = createMemoryStorage();
+    renderScenarios(storage);
+    expect(screen.getByText('Not played yet')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Start case: Mail bounces' }));
+
+    choose('Restart the mail server');
+    expect(screen.getByText('Nothing changes.')).toBeInTheDocument();
+    choose('Look up the MX records');
+    expect(screen.getByText(/IN\s+MX\s+10 mail\./)).toBeInTheDocument();
+    choose('Look up the mail host');
+    expect(screen.getByText(/status: NXDOMAIN/)).toBeInTheDocument();
+    choose('The MX target has no address');
+
+    const status = screen.getByRole('status');
+    expect(within(status).getByText('Root cause found')).toBeInTheDocument();
+    expect(within(status).getByText(/You took 4 steps; the shortest diagnosis takes 3\. Score: 75%/)).toBeInTheDocument();
+    expect(screen.getByText('An MX target needs an address record.')).toBeInTheDocument();
+    expect(createQuizStore(storage).loadScenarioResults('scenarios')['mx-target']).toMatchObject({ solved: true, credit: 0.75 });
+
+    // A worse run does not replace the best result
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+    choose('Give up');
+    expect(within(screen.getByRole('status')).getByText('Case not solved')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'All scenarios' }));
+    expect(screen.getByText('Best: solved in 4 steps (75%)')).toBeInTheDocument();
+  });
+
+  it('returns to the start screen, which can open the scenarios again', () => {
+    renderScenarios();
+    fireEvent.click(screen.getByRole('button', { name: 'Back to the start screen' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Open 1 scenario' }));
+    expect(screen.getByRole('heading', { name: 'Troubleshooting scenarios' })).toBeInTheDocument();
+  });
+});
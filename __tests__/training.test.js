@@ -0,0 +1,145 @@
+/**
+ * Training aid tests: hint credit, which options a 50/50 removes, the
+ * certainty-based marks and calibration verdicts, and a training attempt
+ * played through the rendered quiz.
+ */
+
+import { screen, fireEvent, within } from '@testing-library/react';
+import { hintedCredit, fiftyFifty, confidenceScore, calibrationReport } from '../lib/training';
+import { fixtureSet, renderQuiz as renderFixture, options } from './helpers/quiz';
+
+const questionSet = fixtureSet({ count: 3, hints: true });
+const renderQuiz = (props = {}) => renderFixture({ questionSet, ...props });
+const next = () => fireEvent.click(screen.getByRole('button', { name: /Next Question|See Results/ }));
+const rate = (level) => fireEvent.click(screen.getByRole('button', { name: new RegExp(`^${level}`) }));
+
+describe('hintedCredit', () => {
+  it('takes the hint cost off the credit an answer would have earned', () => {
+    expect(hintedCredit({ correct: true }, 0.5)).toBe(0.5);
+    expect(hintedCredit({ correct: false, credit: 0.5 }, 0.25)).toBe(0.375);
+    expect(hintedCredit({ correct: false }, 0.5)).toBe(0);
+  });
+});
+
+describe('fiftyFifty', () => {
+  const question = { id: 'q1', type: 'choice', options: ['a', 'b', 'c', 'd'], correct: 2 };
+
+  it('removes two wrong options, the same two for the same seed', () => {
+    const removed = fiftyFifty(question, 'seed');
+    expect(removed).toHaveLength(2);
+    expect(removed).not.toContain(2);
+    expect(fiftyFifty(question, 'seed')).toEqual(removed);
+  });
+
+  it('is not offered when it would leave only the answer, for fixed options or for other question types', () => {
+    expect(fiftyFifty({ ...question, options: ['a', 'b', 'c'] }, 'seed')).toBeNull();
+    expect(fiftyFifty({ ...question, fixedOptions: true }, 'seed')).toBeNull();
+    expect(fiftyFifty({ ...question, type: 'multi', correct: [0] }, 'seed')).toBeNull();
+  });
+});
+
+describe('confidence marks', () => {
+  const answers = [
+    { questionId: 'a', correct: true, confidence: 'high' },
+    { questionId: 'b', correct: false, confidence: 'high' },
+    { questionId: 'c', correct: true, confidence: 'low' },
+    { questionId: 'd', correct: false, confidence: 'low' },
+    { questionId: 'e', correct: true }
+  ];
+
+  it('scores rated answers only, against all of them right at high confidence', () => {
+    expect(confidenceScore(answers)).toEqual({ score: 3 - 6 + 1 + 0, max: 12, rated: 4 });
+  });
+
+  it('compares the accuracy at each level with the range it suits', () => {
+    const report = calibrationReport(answers);
+    expect(report.levels).toEqual([
+      { level: 'low', answered: 2, correct: 1, percent: 50, verdict: 'calibrated' },
+      { level: 'medium', answered: 0, correct: 0, percent: null, verdict: null },
+      { level: 'high', answered: 2, correct: 1, percent: 50, verdict: 'over' }
+    ]);
+    expect(report.confidentlyWrong).toEqual(['b']);
+  });
+
+  it('calls right answers at low confidence underconfident', () => {
+    const report = calibrationReport([1, 2, 3].map((n) => ({ questionId: `q${n}`, correct: true, confidence: 'low' })));
+    expect(report.levels[0].verdict).toBe('under');
+  });
+});
+
+describe('a training attempt', () => {
+  it('offers nothing without the training prop', () => {
+    renderQuiz();
+    expect(screen.queryByRole('button', { name: /Hint/ })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /50\/50/ })).not.toBeInTheDocument();
+  });
+
+  it('shows the hint and takes its cost off a right answer', () => {
+    renderQuiz({ training: { confidence: false } });
+    fireEvent.click(screen.getByRole('button', { name: 'Hint (costs 50% of the points)' }));
+    expect(screen.getByText('Hint 1.')).toBeInTheDocument();
+
+    fireEvent.click(options()[0]);
+    expect(screen.getByText('You took the hint, so this answer earns 0.5 points.')).toBeInTheDocument();
+    expect(screen.getByText('Score: 0.5/1')).toBeInTheDocument();
+  });
+
+  it('removes two wrong options with a 50/50, once per attempt by default', () => {
+    renderQuiz({ training: { confidence: false } });
+    fireEvent.click(screen.getByRole('button', { name: '50/50 (1 left)' }));
+
+    const removed = options().filter((option) => option.getAttribute('aria-disabled') === 'true');
+    expect(removed).toHaveLength(2);
+    expect(removed.map((option) => option.textContent)).not.toContain('Right 1');
+
+    // A removed option can't be picked
+    fireEvent.click(removed[0]);
+    expect(screen.queryByText('Not quite...')).not.toBeInTheDocument();
+
+    fireEvent.click(options()[0]);
+    next();
+    expect(screen.getByRole('button', { name: '50/50 (0 left)' })).toBeDisabled();
+  });
+
+  it('asks for a confidence rating before checking the answer', () => {
+    const onComplete = jest.fn();
+    renderQuiz({ training: true, onComplete });
+
+    fireEvent.click(options()[1]);
+    expect(screen.queryByText('Not quite...')).not.toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'How sure are you?' })).toBeInTheDocument();
+
+    // The answer can still change until it is rated
+    fireEvent.click(options()[0]);
+    rate('Certain');
+    expect(screen.getByText('Correct! ✓')).toBeInTheDocument();
+    expect(screen.getByText('Confidence: Certain (+3 marks)')).toBeInTheDocument();
+    next();
+
+    fireEvent.click(options()[1]);
+    rate('Certain');
+    next();
+    fireEvent.click(options()[0]);
+    rate('Not sure');
+    next();
+
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ confidenceScore: { score: -2, max: 9 } }));
+    expect(onComplete.mock.calls[0][0].answers.map((answer) => answer.confidence)).toEqual(['high', 'high', 'low']);
+  });
+
+  it('lists the answers that were wrong at high confidence on the results page', () => {
+    renderQuiz({ training: true });
+    [[1, 'Certain'], [0, 'Certain'], [0, 'Fairly sure']].forEach(([index, level]) => {
+      fireEvent.click(options()[index]);
+      rate(level);
+      next();
+    });
+
+    expect(screen.getByText('Confidence-weighted score: -1 of 9 marks')).toBeInTheDocument();
+    expect(screen.getByText('Overconfident')).toBeInTheDocument();
+    expect(screen.getByText('1 confident mistake')).toBeInTheDocument();
+    const mistake = screen.getByText(/^Question 1 about/).closest('li');
+    expect(within(mistake).getByText('Right 1')).toBeInTheDocument();
+    expect(within(mistake).getByText('Explanation 1.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Answer Options
+ *
+ * Multiple choice options as an ARIA radio group: arrow keys move between
+ * options, Space or Enter picks one, and useOptionShortcuts adds number and
+ * letter shortcuts for the whole page. Each option carries its letter, and
+ * revealed answers are marked with icons and text, not colour alone.
+ * Options removed by a 50/50 stay in place, struck through and disabled,
+ * so letters and shortcuts keep pointing at the same options.
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const OPTION_LETTERS = 'ABCDEFGHI';
+
+/**
+ * Option index for a shortcut key: '1'-'9' or 'a'-'i' (either case), or -1.
+ */
+export const shortcutIndex = (key, count) => {
+  if (key.length !== 1) return -1;
+  const digit = '123456789'.indexOf(key);
+  const index = digit !== -1 ? digit : OPTION_LETTERS.indexOf(key.toUpperCase());
+  return index < count ? index : -1;
+};
+
+/**
+ * Letter shown on, and typed for, the option at this index.
+ */
+export const optionLetter = (index) => OPTION_LETTERS[index];
+
+// Typing in the sandbox, command or zone editor must not answer the question
+const isEditable = (element) =>
+  Boolean(element) && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+
+const isInteractive = (element) =>
+  isEditable(element) || (Boolean(element) && ['BUTTON', 'A'].includes(element.tagName));
+
+/**
+ * Page-wide keyboard shortcuts for the question on screen. Number and letter
+ * keys call onSelect while count > 0; Enter calls onNext when given, unless
+ * focus is on a control that handles Enter itself.
+ *
+ * @param {Object} options
+ * @param {number} options.count - Number of selectable options, 0 to disable
+ * @param {(index: number) => void} [options.onSelect]
+ * @param {() => void} [options.onNext]
+ */
+export const useOptionShortcuts = ({ count, onSelect, onNext }) => {
+  // Read through a ref so the listener is only attached once
+  const latest = useRef();
+  latest.current = { count, onSelect, onNext };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+      const { count: optionCount, onSelect: select, onNext: next } = latest.current;
+
+      if (event.key === 'Enter') {
+        if (next && !isInteractive(event.target)) {
+          event.preventDefault();
+          next();
+        }
+        return;
+      }
+      if (isEditable(event.target)) return;
+      const index = shortcutIndex(event.key, optionCount);
+      if (index !== -1 && select) {
+        event.preventDefault();
+        select(index);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
+
+const AnswerOptions = ({
+  options,
+  selected = null,
+  correct,
+  revealed = false,
+  locked = false,
+  removed = [],
+  labelledBy,
+  hint,
+  onSelect
+}) => {
+  const theme = useTheme();
+  const { t } = useI18n();
+  const buttons = useRef([]);
+  const disabled = revealed || locked;
+  // Roving tabindex: Tab enters the group on the chosen option, arrows move within it
+  const tabStop = selected !== null ? selected : options.findIndex((option, index) => !removed.includes(index));
+
+  const handleKeyDown = (event) => {
+    const moves = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 };
+    const index = buttons.current.indexOf(event.target);
+    let next;
+    if (moves[event.key]) next = (index + moves[event.key] + options.length) % options.length;
+    else if (event.key === 'Home') next = 0;
+    else if (event.key === 'End') next = options.length - 1;
+    else return;
+    event.preventDefault();
+    buttons.current[next].focus();
+  };
+
+  return (
+    <div>
+      <div role="radiogroup" aria-labelledby={labelledBy} onKeyDown={handleKeyDown} className="space-y-3">
+        {options.map((option, index) => {
+          const isSelected = selected === index;
+          const isRemoved = removed.includes(index);
+          let buttonClass = `w-full text-left p-4 rounded-lg border-2 transition ${theme.ring} `;
+
+          if (revealed) {
+            if (index === correct) {
+              buttonClass += 'border-green-500 bg-green-50 text-green-900';
+            } else if (isSelected) {
+              buttonClass += 'border-red-500 bg-red-50 text-red-900';
+            } else {
+              buttonClass += 'border-gray-200 bg-gray-50 text-gray-500';
+            }
+          } else if (isRemoved) {
+            buttonClass += 'border-gray-200 bg-gray-50 text-gray-400 line-through';
+          } else {
+            buttonClass += isSelected ? theme.selected : `border-gray-300 ${theme.selectable}`;
+            if (locked) buttonClass += ' opacity-60';
+          }
+
+          return (
+            <button
+              key={index}
+              ref={(element) => { buttons.current[index] = element; }}
+              role="radio"
+              aria-checked={isSelected}
+              aria-disabled={disabled || isRemoved}
+              aria-keyshortcuts={`${index + 1} ${OPTION_LETTERS[index]}`}
+              tabIndex={index === tabStop ? 0 : -1}
+              onClick={() => !disabled && !isRemoved && onSelect(index)}
+              className={buttonClass}
+            >
+              <div className="flex items-center gap-3">
+                <span
+                  aria-hidden="true"
+                  className={`flex-shrink-0 w-7 h-7 rounded-full border-2 border-current flex items-center justify-center text-sm font-semibold ${isSelected ? 'ring-2 ring-current ring-offset-1' : ''}`}
+                >
+                  {OPTION_LETTERS[index]}
+                </span>
+                <span className="font-medium flex-1">
+                  {option}
+                  {isRemoved && <span className="sr-only"> ({t('options.removed')})</span>}
+                </span>
+                {revealed && index === correct && (
+                  <span className="flex items-center gap-1 text-sm font-semibold text-green-700 flex-shrink-0">
+                    <CheckCircle className="text-green-600" size={24} />
+                    {t(isSelected ? 'options.yourAnswerCorrect' : 'options.correctAnswer')}
+                  </span>
+                )}
+                {revealed && isSelected && index !== correct && (
+                  <span className="flex items-center gap-1 text-sm font-semibold text-red-700 flex-shrink-0">
+                    <XCircle className="text-red-600" size={24} />
+                    {t('options.yourAnswer')}
+                  </span>
+                )}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+      {hint && <p className="mt-3 text-xs text-gray-500">{hint}</p>}
+    </div>
+  );
+};
+
+export default AnswerOptions;
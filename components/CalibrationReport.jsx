@@ -0,0 +1,97 @@
+/**
+ * Calibration Report
+ *
+ * The results page's comparison of confidence with accuracy for an attempt
+ * with confidence ratings: the confidence-weighted score, how often the
+ * learner was right at each level against the range that level suits, and
+ * every question answered wrongly at high confidence - the misconceptions
+ * most likely to cause an outage - with its explanation. Renders nothing
+ * when no answer was rated.
+ */
+
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { calibrationReport, CONFIDENCE_RANGES, signedMark } from '../lib/training';
+import { useI18n } from './I18nContext';
+
+const VERDICT_STYLES = {
+  over: 'text-red-800 bg-red-100',
+  under: 'text-yellow-800 bg-yellow-100',
+  calibrated: 'text-green-800 bg-green-100'
+};
+
+const CalibrationReport = ({ questions, answers }) => {
+  const { t, formatNumber, formatPercent } = useI18n();
+  const report = calibrationReport(answers);
+  if (report.rated === 0) return null;
+
+  const confidentlyWrong = report.confidentlyWrong.map((id) => questions.find((q) => q.id === id)).filter(Boolean);
+
+  return (
+    <div className="mt-6 text-left">
+      <h3 className="text-sm font-semibold text-gray-700 mb-1">{t('calibration.heading')}</h3>
+      <p className="text-sm text-gray-700 mb-3">
+        {t('calibration.score', { score: signedMark(report.score, formatNumber), max: report.max })}
+      </p>
+      <table className="w-full text-sm mb-2">
+        <thead className="text-gray-600 border-b border-gray-200">
+          <tr>
+            <th scope="col" className="py-1 text-left font-semibold">{t('calibration.level')}</th>
+            <th scope="col" className="py-1 text-right font-semibold">{t('calibration.answers')}</th>
+            <th scope="col" className="py-1 text-right font-semibold">{t('calibration.correct')}</th>
+            <th scope="col" className="py-1 text-right font-semibold">{t('calibration.target')}</th>
+            <th scope="col" className="py-1"><span className="sr-only">{t('calibration.verdict')}</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.levels.filter((level) => level.answered > 0).map((level) => {
+            const [low, high] = CONFIDENCE_RANGES[level.level];
+            return (
+              <tr key={level.level} className="border-b border-gray-100">
+                <th scope="row" className="py-1 text-left font-normal text-gray-800">{t(`confidence.${level.level}`)}</th>
+                <td className="py-1 text-right">{formatNumber(level.answered)}</td>
+                <td className="py-1 text-right">{formatPercent(level.percent)}</td>
+                <td className="py-1 text-right text-gray-600">
+                  {t('calibration.range', { low: formatPercent(low * 100), high: formatPercent(high * 100) })}
+                </td>
+                <td className="py-1 text-right">
+                  <span className={`text-xs font-semibold px-2 py-0.5 rounded ${VERDICT_STYLES[level.verdict]}`}>
+                    {t(`calibration.${level.verdict}`)}
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mb-4">{t('calibration.note')}</p>
+
+      <h3 className="text-sm font-semibold text-gray-700 mb-1 flex items-center gap-1">
+        <ShieldAlert aria-hidden="true" size={16} className={confidentlyWrong.length > 0 ? 'text-red-600' : 'text-gray-500'} />
+        {t('calibration.confidentlyWrong', { count: confidentlyWrong.length })}
+      </h3>
+      {confidentlyWrong.length === 0 ? (
+        <p className="text-sm text-gray-600">{t('calibration.noneConfidentlyWrong')}</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-2">{t('calibration.confidentlyWrongIntro')}</p>
+          <ul className="space-y-3">
+            {confidentlyWrong.map((q) => (
+              <li key={q.id} className="bg-red-50 border-l-4 border-red-500 rounded p-3 text-sm">
+                <p className="font-semibold text-gray-800">{q.question}</p>
+                {q.type === 'choice' && (
+                  <p className="text-green-800 mt-1">
+                    <span className="font-semibold">{t('review.correctAnswer')}</span> {q.options[q.correct]}
+                  </p>
+                )}
+                <p className="text-gray-700 mt-1 leading-relaxed">{q.explanation}</p>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationReport;
@@ -0,0 +1,78 @@
+/**
+ * Typed Command Answer
+ *
+ * Free-text alternative to multiple choice for dig/nslookup questions. The
+ * learner types a command, which is checked by meaning (see
+ * lib/digCommand.js) rather than by exact text.
+ */
+
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, Terminal } from 'lucide-react';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const CommandAnswer = ({ command, answered, typed, result, onSubmit }) => {
+  const [input, setInput] = useState('');
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (input.trim()) onSubmit(input.trim());
+  };
+
+  return (
+    <div>
+      <p className="text-gray-700 mb-4">{command.prompt}</p>
+
+      {!answered ? (
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <div className={`flex-1 flex items-center gap-2 border-2 border-gray-300 rounded-lg px-3 ${theme.focus}`}>
+            <Terminal className="text-gray-400 flex-shrink-0" size={18} />
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="dig ..."
+              autoFocus
+              autoCapitalize="off"
+              autoCorrect="off"
+              spellCheck={false}
+              className="flex-1 py-3 font-mono text-sm outline-none bg-transparent"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!input.trim()}
+            className={`${theme.primary} px-6 py-3 rounded-lg font-semibold transition disabled:opacity-50`}
+          >
+            {t('command.check')}
+          </button>
+        </form>
+      ) : (
+        <div className="space-y-2 text-sm">
+          <div
+            className={`flex items-center justify-between gap-2 p-3 rounded-lg border-2 font-mono ${result.correct ? 'border-green-500 bg-green-50 text-green-900' : 'border-red-500 bg-red-50 text-red-900'}`}
+          >
+            <span>{typed}</span>
+            {result.correct ? (
+              <CheckCircle className="text-green-600 flex-shrink-0" size={20} />
+            ) : (
+              <XCircle className="text-red-600 flex-shrink-0" size={20} />
+            )}
+          </div>
+          {!result.correct && (
+            <>
+              <p className="text-red-800">{t('command.differences', { differences: result.differences.join(', ') })}</p>
+              <p className="text-gray-700">
+                {t('command.expected')} <span className="font-mono bg-gray-100 px-2 py-0.5 rounded">{command.answers[0]}</span>
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommandAnswer;
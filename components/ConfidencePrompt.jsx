@@ -0,0 +1,52 @@
+/**
+ * Confidence Prompt
+ *
+ * Asks how sure the learner is before a training answer is checked. Each
+ * level shows the marks it earns for a right and a wrong answer, so the
+ * cost of overconfidence is clear before choosing. Focus moves to the
+ * prompt when it appears.
+ */
+
+import React, { useEffect, useId, useRef } from 'react';
+import { CONFIDENCE_LEVELS, CONFIDENCE_MARKS, signedMark } from '../lib/training';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const ConfidencePrompt = ({ onRate }) => {
+  const theme = useTheme();
+  const { t, formatNumber } = useI18n();
+  const headingId = useId();
+  const heading = useRef(null);
+
+  useEffect(() => {
+    heading.current.focus();
+  }, []);
+
+  return (
+    <div role="group" aria-labelledby={headingId} className="bg-white rounded-lg p-6 shadow-md mb-6">
+      <h4 id={headingId} ref={heading} tabIndex={-1} className="font-semibold text-gray-800 mb-1 focus:outline-none">
+        {t('confidence.heading')}
+      </h4>
+      <p className="text-sm text-gray-600 mb-4">{t('confidence.intro')}</p>
+      <div className="grid sm:grid-cols-3 gap-2">
+        {CONFIDENCE_LEVELS.map((level) => (
+          <button
+            key={level}
+            onClick={() => onRate(level)}
+            className={`${theme.secondary} ${theme.ring} px-4 py-3 rounded-lg font-semibold transition text-left`}
+          >
+            <span className="block">{t(`confidence.${level}`)}</span>
+            <span className="block text-xs font-normal">
+              {t('confidence.marks', {
+                right: signedMark(CONFIDENCE_MARKS[level].right, formatNumber),
+                wrong: signedMark(CONFIDENCE_MARKS[level].wrong, formatNumber)
+              })}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ConfidencePrompt;
@@ -0,0 +1,109 @@
+/**
+ * DNS Sandbox
+ *
+ * A terminal for running dig against the simulated DNS hierarchy (see
+ * lib/dnsSandbox.js). Questions can embed one with pre-run commands; the
+ * learner can keep typing queries, let the clock run to expire cached
+ * records, or flush the resolver cache.
+ */
+
+import React, { useState } from 'react';
+import { Terminal } from 'lucide-react';
+import { createSandbox } from '../lib/dnsSandbox';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const DnsSandbox = ({ environment, seed, scenario = {} }) => {
+  const [session] = useState(() => {
+    const sandbox = createSandbox(environment, seed);
+    const history = (scenario.commands || []).map((command) => ({ command, output: sandbox.run(command) }));
+    return { sandbox, history };
+  });
+  const [history, setHistory] = useState(session.history);
+  const [input, setInput] = useState('');
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const command = input.trim();
+    if (!command) return;
+    setHistory([...history, { command, output: session.sandbox.run(command) }]);
+    setInput('');
+  };
+
+  const addNote = (note) => setHistory([...history, { note }]);
+
+  const handleWait = () => {
+    session.sandbox.advance(300);
+    addNote(t('sandbox.waited'));
+  };
+
+  const handleFlush = () => {
+    session.sandbox.flushCache();
+    addNote(t('sandbox.flushed'));
+  };
+
+  return (
+    <div className="mb-6">
+      {scenario.prompt && <p className="text-gray-700 mb-3">{scenario.prompt}</p>}
+
+      <div className="bg-gray-900 text-gray-100 rounded-lg p-4 font-mono text-xs overflow-x-auto max-h-96 overflow-y-auto">
+        {history.length === 0 && (
+          <p className="text-gray-400">
+            {t('sandbox.ready', {
+              resolver: environment.dnsIp,
+              primary: environment.primary,
+              secondary: environment.secondary,
+              node: environment.nodeIp
+            })}
+          </p>
+        )}
+        {history.map((entry, index) =>
+          entry.note ? (
+            <p key={index} className="text-yellow-300 mb-3">; {entry.note}</p>
+          ) : (
+            <div key={index} className="mb-3">
+              <p className="text-green-400">$ {entry.command}</p>
+              <pre className="whitespace-pre" style={{ tabSize: 8 }}>{entry.output}</pre>
+            </div>
+          )
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex gap-2 mt-2">
+        <div className={`flex-1 flex items-center gap-2 border-2 border-gray-300 rounded-lg px-3 ${theme.focus}`}>
+          <Terminal className="text-gray-400 flex-shrink-0" size={18} />
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="dig ..."
+            aria-label={t('sandbox.commandLabel')}
+            autoCapitalize="off"
+            autoCorrect="off"
+            spellCheck={false}
+            className="flex-1 py-2 font-mono text-sm outline-none bg-transparent"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!input.trim()}
+          className="bg-gray-800 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-900 transition disabled:opacity-50"
+        >
+          {t('sandbox.run')}
+        </button>
+      </form>
+      <div className="flex gap-4 mt-2 text-sm">
+        <button onClick={handleWait} className={`${theme.link} transition`}>
+          {t('sandbox.wait')}
+        </button>
+        <button onClick={handleFlush} className={`${theme.link} transition`}>
+          {t('sandbox.flush')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DnsSandbox;
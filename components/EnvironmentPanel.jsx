@@ -0,0 +1,43 @@
+/**
+ * Environment Panel
+ *
+ * Lists the generated lab environment the questions are written against -
+ * the homelab, cluster and public domains, the lab network and its DNS
+ * server - so the learner can tell the names and addresses apart. Quiz
+ * night screens show it too: everyone in a room plays in the same lab.
+ */
+
+import React from 'react';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+/** Environment keys shown, with the catalog key of each label. */
+const ROWS = [
+  ['primary', 'domains.primary'],
+  ['cluster', 'domains.cluster'],
+  ['secondary', 'domains.secondary'],
+  ['subnet', 'environment.subnet'],
+  ['ulaSubnet', 'environment.ulaSubnet'],
+  ['dnsIp', 'environment.dnsIp']
+];
+
+const EnvironmentPanel = ({ environment }) => {
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <div className={`mb-4 bg-white rounded-lg p-4 shadow-sm border-l-4 ${theme.outline}`}>
+      <h4 className="text-sm font-semibold text-gray-700 mb-2">📚 {t('environment.heading')}</h4>
+      <div className="text-xs text-gray-600 space-y-1">
+        {ROWS.filter(([key]) => environment[key]).map(([key, label]) => (
+          <div key={key}>
+            <span className={`font-mono ${theme.tint} px-2 py-0.5 rounded`}>{environment[key]}</span>{' '}
+            <span className="text-gray-500">- {t(label)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EnvironmentPanel;
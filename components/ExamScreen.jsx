@@ -0,0 +1,231 @@
+/**
+ * Exam Screen
+ *
+ * Runs a timed exam: answers stay editable and unmarked, questions can be
+ * flagged and revisited in any order, and the attempt is submitted by the
+ * learner or automatically when the time runs out (see lib/exam.js).
+ * Number and letter keys pick an option, as in the quiz.
+ */
+
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { ArrowLeft, ArrowRight, Clock, Flag } from 'lucide-react';
+import { formatDuration, gradeExam } from '../lib/exam';
+import DnsSandbox from './DnsSandbox';
+import PacketDump from './PacketDump';
+import AnswerOptions, { useOptionShortcuts, optionLetter } from './AnswerOptions';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const ExamScreen = ({ title, questions, environment, seed, exam, onSubmit }) => {
+  const [current, setCurrent] = useState(0);
+  const [responses, setResponses] = useState({});
+  const [flagged, setFlagged] = useState({});
+  const [elapsed, setElapsed] = useState(0);
+  const [spent, setSpent] = useState({});
+  const [confirming, setConfirming] = useState(false);
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  const currentRef = useRef(current);
+  currentRef.current = current;
+  const submitted = useRef(false);
+  const headingId = useId();
+  const heading = useRef(null);
+  const hasMounted = useRef(false);
+
+  const question = questions[current];
+  const { timeLimit, questionTimeLimit } = exam;
+  const isExpired = (q) => Boolean(questionTimeLimit) && (spent[q.id] || 0) >= questionTimeLimit;
+
+  // One tick per second, charged to the overall clock and the question on screen
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const id = questions[currentRef.current].id;
+      setElapsed((seconds) => seconds + 1);
+      setSpent((previous) => ({ ...previous, [id]: (previous[id] || 0) + 1 }));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [questions]);
+
+  const submit = (timedOut) => {
+    if (submitted.current) return;
+    submitted.current = true;
+    onSubmit(gradeExam(questions, responses, spent, flagged), { durationMs: elapsed * 1000, timedOut });
+  };
+
+  useEffect(() => {
+    if (timeLimit && elapsed >= timeLimit) {
+      submit(true);
+      return;
+    }
+    if (isExpired(question)) {
+      // Move on to the next question that still has time, or hand in
+      const next = questions.findIndex((q, index) => index > current && !isExpired(q));
+      const earlier = questions.findIndex((q) => !isExpired(q));
+      if (next !== -1) setCurrent(next);
+      else if (earlier !== -1) setCurrent(earlier);
+      else submit(true);
+    }
+  });
+
+  // Moving between questions takes focus to the new one, not on the first render
+  useEffect(() => {
+    if (hasMounted.current) heading.current.focus();
+    hasMounted.current = true;
+  }, [current]);
+
+  const goTo = (index) => {
+    setConfirming(false);
+    setCurrent(index);
+  };
+
+  const choose = (index) => setResponses({ ...responses, [question.id]: index });
+
+  const answeredCount = questions.filter((q) => responses[q.id] !== undefined).length;
+  const flaggedCount = questions.filter((q) => flagged[q.id]).length;
+  const remaining = questionTimeLimit
+    ? questionTimeLimit - (spent[question.id] || 0)
+    : timeLimit
+      ? timeLimit - elapsed
+      : null;
+  const locked = isExpired(question);
+
+  useOptionShortcuts({ count: locked || confirming ? 0 : question.options.length, onSelect: choose });
+
+  return (
+    <div className={`max-w-2xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">{title}</h2>
+        <div
+          role="timer"
+          aria-label={t(remaining !== null ? 'exam.timeRemaining' : 'exam.timeElapsed')}
+          className={`flex items-center gap-2 font-mono text-lg font-semibold ${remaining !== null && remaining <= 60 ? 'text-red-600' : 'text-gray-700'}`}
+        >
+          <Clock size={20} />
+          {formatDuration(remaining !== null ? remaining : elapsed)}
+        </div>
+      </div>
+      <p aria-live="assertive" className="sr-only">
+        {!questionTimeLimit && remaining !== null && remaining <= 60 ? t('exam.lastMinute') : ''}
+      </p>
+
+      <nav className="flex flex-wrap gap-1 mb-4" aria-label={t('exam.questions')}>
+        {questions.map((q, index) => {
+          let chipClass = `w-8 h-8 rounded text-xs font-semibold border-2 transition relative ${theme.ring} `;
+          if (index === current) chipClass += `${theme.outline} `;
+          else chipClass += 'border-transparent ';
+          if (isExpired(q)) chipClass += 'bg-gray-200 text-gray-400';
+          else if (responses[q.id] !== undefined) chipClass += `${theme.bar} text-white`;
+          else chipClass += `bg-white text-gray-700 ${theme.selectable}`;
+
+          return (
+            <button
+              key={q.id}
+              onClick={() => goTo(index)}
+              className={chipClass}
+              title={flagged[q.id] ? t('exam.flaggedBadge') : undefined}
+              aria-current={index === current ? 'step' : undefined}
+              aria-label={[
+                t('exam.chip', { number: index + 1 }),
+                t(responses[q.id] !== undefined ? 'exam.answered' : 'exam.notAnswered'),
+                flagged[q.id] && t('exam.flagged'),
+                isExpired(q) && t('exam.timeUp')
+              ].filter(Boolean).join(', ')}
+            >
+              {index + 1}
+              {flagged[q.id] && <span className="absolute -top-1 -right-1 w-2 h-2 rounded-full bg-yellow-500" />}
+            </button>
+          );
+        })}
+      </nav>
+
+      <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <h3
+            id={headingId}
+            ref={heading}
+            tabIndex={-1}
+            className="text-xl font-semibold text-gray-800 focus:outline-none"
+          >
+            {current + 1}. {question.question}
+          </h3>
+          <button
+            onClick={() => setFlagged({ ...flagged, [question.id]: !flagged[question.id] })}
+            aria-pressed={Boolean(flagged[question.id])}
+            className={`${theme.ring} flex items-center gap-1 text-sm px-3 py-1 rounded-full border transition flex-shrink-0 ${flagged[question.id] ? 'border-yellow-500 bg-yellow-50 text-yellow-800' : 'border-gray-300 text-gray-600 hover:border-yellow-400'}`}
+          >
+            <Flag size={14} />
+            {t(flagged[question.id] ? 'exam.flaggedBadge' : 'exam.flag')}
+          </button>
+        </div>
+
+        {question.sandbox && (
+          <DnsSandbox key={question.id} environment={environment} seed={`${seed}:${question.id}`} scenario={question.sandbox} />
+        )}
+        {question.packet && <PacketDump key={question.id} packet={question.packet} />}
+
+        {locked && <p className="text-sm text-gray-500 mb-3">{t('exam.questionTimeUp')}</p>}
+
+        <AnswerOptions
+          options={question.options}
+          selected={responses[question.id] ?? null}
+          locked={locked}
+          labelledBy={headingId}
+          hint={t('exam.keys', { count: question.options.length, letter: optionLetter(question.options.length - 1) })}
+          onSelect={choose}
+        />
+      </div>
+
+      <div className="flex justify-between gap-3 mb-4">
+        <button
+          onClick={() => goTo(current - 1)}
+          disabled={current === 0}
+          className={`${theme.secondary} px-6 py-3 rounded-lg font-semibold transition flex items-center gap-2 disabled:opacity-50`}
+        >
+          <ArrowLeft size={20} />
+          {t('exam.previous')}
+        </button>
+        <button
+          onClick={() => goTo(current + 1)}
+          disabled={current === questions.length - 1}
+          className={`${theme.secondary} px-6 py-3 rounded-lg font-semibold transition flex items-center gap-2 disabled:opacity-50`}
+        >
+          {t('exam.next')}
+          <ArrowRight size={20} />
+        </button>
+      </div>
+
+      {confirming ? (
+        <div className="bg-white rounded-lg p-4 shadow-sm text-center">
+          <p className="text-gray-700 mb-3">
+            {t('exam.confirm', { answered: answeredCount, total: questions.length })}
+            {flaggedCount > 0 ? `, ${t('exam.confirmFlagged', { count: flaggedCount })}` : ''}. {t('exam.confirmFinal')}
+          </p>
+          <div className="flex gap-3 justify-center">
+            <button
+              onClick={() => setConfirming(false)}
+              className={`${theme.link} font-semibold px-6 py-2 transition`}
+            >
+              {t('exam.keepWorking')}
+            </button>
+            <button
+              onClick={() => submit(false)}
+              className={`${theme.primary} px-6 py-2 rounded-lg font-semibold transition`}
+            >
+              {t('exam.submit')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setConfirming(true)}
+          className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition`}
+        >
+          {t('exam.finish', { answered: answeredCount, total: questions.length })}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ExamScreen;
@@ -0,0 +1,13 @@
+/**
+ * I18n Context
+ *
+ * Makes the translator for the active locale (see lib/i18n.js) available
+ * to every quiz screen, alongside the theme.
+ */
+
+import { createContext, useContext } from 'react';
+import { createTranslator } from '../lib/i18n';
+
+export const I18nContext = createContext(createTranslator());
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,408 @@
+/**
+ * Instructor Dashboard
+ *
+ * Cohort results from the dashboard server (server/dashboardServer.mjs):
+ * every learner's attempt history, and item statistics for each question -
+ * percent correct, discrimination index, average time and how often each
+ * option was chosen (see lib/itemAnalysis.js). Questions that look broken
+ * or misleading are flagged and, by default, listed first.
+ *
+ * A standalone component with its own theme and translator, like DNSQuiz;
+ * dashboard/main.jsx mounts it on a page the server can serve. The question
+ * set supplies the text of questions and options; attempts store only ids
+ * and option positions.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, CheckCircle, ChevronDown, ChevronRight, RefreshCw } from 'lucide-react';
+import defaultQuestionSet from '../data/defaultQuestionSet';
+import { loadQuestionSet, localizeQuestionSet } from '../lib/questionSet';
+import { createDashboardClient } from '../lib/dashboard';
+import { analyzeItems, learnerHistories, MIN_RESPONSES } from '../lib/itemAnalysis';
+import { formatDuration } from '../lib/exam';
+import { resolveTheme } from '../lib/theme';
+import { createTranslator, detectLocale, matchLocale } from '../lib/i18n';
+import { ThemeContext, useTheme } from './ThemeContext';
+import { I18nContext, useI18n } from './I18nContext';
+
+const SORTS = {
+  // Flagged questions first, the most flags at the top, then the hardest
+  problems: (a, b) => b.flags.length - a.flags.length || a.percentCorrect - b.percentCorrect,
+  correct: (a, b) => a.percentCorrect - b.percentCorrect,
+  discrimination: (a, b) => (a.discrimination ?? Infinity) - (b.discrimination ?? Infinity),
+  order: () => 0
+};
+
+const FLAG_STYLES = {
+  distractor: 'text-amber-800 bg-amber-100',
+  negative: 'text-red-800 bg-red-100',
+  weak: 'text-yellow-800 bg-yellow-100'
+};
+
+const optionLetter = (index) => String.fromCharCode(65 + index);
+
+// Unanswered questions go last whatever the order
+const sortItems = (items, sort) => [
+  ...items.filter((item) => item.responses > 0).sort(SORTS[sort]),
+  ...items.filter((item) => item.responses === 0)
+];
+
+const OptionBreakdown = ({ item }) => {
+  const { t, formatPercent } = useI18n();
+
+  if (!item.optionCounts) {
+    return <p className="text-sm text-gray-600">{t('dashboard.noOptions')}</p>;
+  }
+  const chosen = item.optionCounts.reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-700 mb-2">{t('dashboard.options')}</h4>
+      <ul className="space-y-2">
+        {item.question.options.map((option, index) => {
+          const count = item.optionCounts[index];
+          const percent = chosen > 0 ? (count / chosen) * 100 : 0;
+          const correct = index === item.question.correct;
+          const distractor = index === item.topDistractor;
+          return (
+            <li key={index} className="text-sm">
+              <div className="flex justify-between gap-4 mb-1">
+                <span className={`flex items-start gap-2 ${correct ? 'text-green-800 font-semibold' : 'text-gray-700'}`}>
+                  {correct && <CheckCircle aria-hidden="true" size={16} className="mt-0.5 flex-shrink-0" />}
+                  {!correct && distractor && <AlertTriangle aria-hidden="true" size={16} className="mt-0.5 flex-shrink-0 text-amber-600" />}
+                  <span>
+                    {optionLetter(index)}. {option}
+                    {correct && <span className="sr-only"> ({t('dashboard.correctOption')})</span>}
+                  </span>
+                </span>
+                <span className="text-gray-600 whitespace-nowrap">{count} · {formatPercent(percent)}</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className={`h-2 rounded-full ${correct ? 'bg-green-500' : distractor ? 'bg-amber-500' : 'bg-gray-400'}`}
+                  style={{ width: `${percent}%` }}
+                />
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+const ItemTable = ({ items }) => {
+  const [sort, setSort] = useState('problems');
+  const [open, setOpen] = useState(null);
+  const theme = useTheme();
+  const { t, formatNumber, formatPercent } = useI18n();
+
+  return (
+    <div>
+      <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+        {t('dashboard.sort')}
+        <select value={sort} onChange={(e) => setSort(e.target.value)} className="border border-gray-300 rounded px-2 py-1">
+          {Object.keys(SORTS).map((key) => (
+            <option key={key} value={key}>{t(`dashboard.sort.${key}`)}</option>
+          ))}
+        </select>
+      </label>
+
+      <table className="w-full text-sm bg-white rounded-lg shadow-sm">
+        <thead className="text-left text-gray-600 border-b border-gray-200">
+          <tr>
+            <th scope="col" className="p-3">{t('dashboard.question')}</th>
+            <th scope="col" className="p-3 text-right">{t('dashboard.responses')}</th>
+            <th scope="col" className="p-3 text-right">{t('dashboard.percentCorrect')}</th>
+            <th scope="col" className="p-3 text-right">{t('dashboard.discrimination')}</th>
+            <th scope="col" className="p-3 text-right">{t('dashboard.averageTime')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sortItems(items, sort).map((item) => {
+            const expanded = open === item.questionId;
+            return (
+              <React.Fragment key={item.questionId}>
+                <tr className="border-b border-gray-100 align-top">
+                  <td className="p-3">
+                    <button
+                      onClick={() => setOpen(expanded ? null : item.questionId)}
+                      aria-expanded={expanded}
+                      className={`text-left flex items-start gap-1 rounded ${theme.ring}`}
+                    >
+                      {expanded
+                        ? <ChevronDown aria-hidden="true" size={16} className="mt-0.5 flex-shrink-0" />
+                        : <ChevronRight aria-hidden="true" size={16} className="mt-0.5 flex-shrink-0" />}
+                      <span>
+                        <span className="text-gray-800">{item.question ? item.question.question : t('dashboard.unknownQuestion')}</span>
+                        <span className="block font-mono text-xs text-gray-500">{item.questionId}</span>
+                      </span>
+                    </button>
+                    {item.flags.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2 ml-5">
+                        {item.flags.map((flag) => (
+                          <span key={flag} className={`text-xs font-semibold px-2 py-0.5 rounded ${FLAG_STYLES[flag]}`}>
+                            {t(`dashboard.flag.${flag}`)}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  <td className="p-3 text-right">{formatNumber(item.responses)}</td>
+                  <td className="p-3 text-right">{item.percentCorrect === null ? '–' : formatPercent(item.percentCorrect)}</td>
+                  <td className="p-3 text-right">
+                    {item.discrimination === null ? (
+                      <span title={t('dashboard.notEnough', { count: MIN_RESPONSES })}>
+                        –<span className="sr-only"> ({t('dashboard.notEnough', { count: MIN_RESPONSES })})</span>
+                      </span>
+                    ) : formatNumber(item.discrimination)}
+                  </td>
+                  <td className="p-3 text-right whitespace-nowrap">
+                    {item.averageTimeMs === null ? '–' : formatDuration(item.averageTimeMs / 1000)}
+                  </td>
+                </tr>
+                {expanded && (
+                  <tr className="border-b border-gray-100">
+                    <td colSpan={5} className="px-8 py-4 bg-gray-50">
+                      {item.question ? <OptionBreakdown item={item} /> : <p className="text-sm text-gray-600">{t('dashboard.unknownQuestion')}</p>}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const LearnerTable = ({ learners }) => {
+  const [open, setOpen] = useState(null);
+  const theme = useTheme();
+  const { t, formatPercent } = useI18n();
+
+  return (
+    <table className="w-full text-sm bg-white rounded-lg shadow-sm">
+      <thead className="text-left text-gray-600 border-b border-gray-200">
+        <tr>
+          <th scope="col" className="p-3">{t('dashboard.learner')}</th>
+          <th scope="col" className="p-3 text-right">{t('dashboard.attemptCount')}</th>
+          <th scope="col" className="p-3 text-right">{t('dashboard.best')}</th>
+          <th scope="col" className="p-3 text-right">{t('dashboard.latest')}</th>
+          <th scope="col" className="p-3 text-right">{t('dashboard.lastDate')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {learners.map((learner) => {
+          const expanded = open === learner.id;
+          return (
+            <React.Fragment key={learner.id}>
+              <tr className="border-b border-gray-100">
+                <td className="p-3">
+                  <button
+                    onClick={() => setOpen(expanded ? null : learner.id)}
+                    aria-expanded={expanded}
+                    className={`text-left flex items-center gap-1 font-semibold text-gray-800 rounded ${theme.ring}`}
+                  >
+                    {expanded ? <ChevronDown aria-hidden="true" size={16} /> : <ChevronRight aria-hidden="true" size={16} />}
+                    {learner.name}
+                  </button>
+                </td>
+                <td className="p-3 text-right">{learner.attempts.length}</td>
+                <td className="p-3 text-right">{formatPercent(learner.best)}</td>
+                <td className="p-3 text-right">{formatPercent(learner.latest)}</td>
+                <td className="p-3 text-right">{learner.attempts[0].date.slice(0, 10)}</td>
+              </tr>
+              {expanded && (
+                <tr className="border-b border-gray-100">
+                  <td colSpan={5} className="px-8 py-4 bg-gray-50">
+                    <h4 className="sr-only">{t('dashboard.history', { name: learner.name })}</h4>
+                    <ul className="space-y-1">
+                      {learner.attempts.map((attempt) => (
+                        <li key={attempt.id} className="flex flex-wrap gap-x-4 text-gray-700">
+                          <span className="font-mono">{attempt.date.slice(0, 16).replace('T', ' ')}</span>
+                          <span>{t(`dashboard.mode.${attempt.mode}`)}</span>
+                          <span>{attempt.score}/{attempt.total} · {formatPercent(attempt.percent)}</span>
+                          {attempt.passed !== undefined && (
+                            <span className={attempt.passed ? 'text-green-700 font-semibold' : 'text-red-700 font-semibold'}>
+                              {t(attempt.passed ? 'results.pass' : 'results.fail')}
+                            </span>
+                          )}
+                          <span>{formatDuration(attempt.durationMs / 1000)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+const Dashboard = ({ server, questionSet = defaultQuestionSet, token: initialToken, fetch }) => {
+  const [token, setToken] = useState(initialToken);
+  const [tokenDraft, setTokenDraft] = useState('');
+  const [needsToken, setNeedsToken] = useState(false);
+  const [sets, setSets] = useState(null);
+  const [setId, setSetId] = useState(null);
+  const [attempts, setAttempts] = useState(null);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState('items');
+  // Bumped by the refresh button to fetch everything again
+  const [reload, setReload] = useState(0);
+  const theme = useTheme();
+  const { t, locale } = useI18n();
+
+  const client = useMemo(() => createDashboardClient({ server, token, fetch }), [server, token, fetch]);
+  const localizedSet = useMemo(() => localizeQuestionSet(loadQuestionSet(questionSet), locale), [questionSet, locale]);
+
+  const handleError = (e) => {
+    if (e.status === 401) setNeedsToken(true);
+    else setError(t('dashboard.unreachable', { server }));
+  };
+
+  useEffect(() => {
+    let current = true;
+    setError(null);
+    client.questionSets().then((list) => {
+      if (!current) return;
+      setNeedsToken(false);
+      setSets(list);
+      setSetId((selected) => {
+        if (list.some((set) => set.id === selected)) return selected;
+        return list.some((set) => set.id === localizedSet.id) ? localizedSet.id : (list[0] || {}).id || null;
+      });
+    }, (e) => current && handleError(e));
+    return () => {
+      current = false;
+    };
+  }, [client, reload]);
+
+  useEffect(() => {
+    if (!setId) return undefined;
+    let current = true;
+    setAttempts(null);
+    client.attempts(setId).then((list) => current && setAttempts(list), (e) => current && handleError(e));
+    return () => {
+      current = false;
+    };
+  }, [client, setId, reload]);
+
+  // Question text is only known for the set the dashboard was given
+  const questions = setId === localizedSet.id ? localizedSet.questions : [];
+  const items = useMemo(() => (attempts ? analyzeItems(questions, attempts) : []), [questions, attempts]);
+  const learners = useMemo(() => (attempts ? learnerHistories(attempts) : []), [attempts]);
+  const activeSet = sets && sets.find((set) => set.id === setId);
+
+  const renderBody = () => {
+    if (needsToken) {
+      return (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setToken(tokenDraft);
+          }}
+          className="bg-white rounded-lg p-6 shadow-md max-w-md"
+        >
+          <h2 className="text-lg font-semibold text-gray-800 mb-2">{t('dashboard.tokenHeading')}</h2>
+          <p className="text-sm text-gray-600 mb-4">{t(token ? 'dashboard.tokenRejected' : 'dashboard.tokenIntro')}</p>
+          <label className="block text-sm font-semibold text-gray-700 mb-1" htmlFor="dashboard-token">{t('dashboard.tokenLabel')}</label>
+          <input
+            id="dashboard-token"
+            type="password"
+            value={tokenDraft}
+            onChange={(e) => setTokenDraft(e.target.value)}
+            className="w-full border border-gray-300 rounded px-3 py-2 mb-4"
+          />
+          <button type="submit" disabled={!tokenDraft} className={`${theme.primary} px-6 py-2 rounded-lg font-semibold transition disabled:opacity-50`}>
+            {t('dashboard.tokenSubmit')}
+          </button>
+        </form>
+      );
+    }
+    if (error) return <p role="alert" className="text-red-800 bg-red-50 rounded-lg p-4">{error}</p>;
+    if (!sets) return <p className="text-gray-600">{t('dashboard.loading')}</p>;
+    if (sets.length === 0) return <p className="text-gray-600">{t('dashboard.empty')}</p>;
+
+    return (
+      <>
+        <div className="bg-white rounded-lg p-4 mb-4 shadow-sm flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            {t('dashboard.questionSet')}
+            <select value={setId || ''} onChange={(e) => setSetId(e.target.value)} className="border border-gray-300 rounded px-2 py-1">
+              {sets.map((set) => (
+                <option key={set.id} value={set.id}>{set.title || set.id}</option>
+              ))}
+            </select>
+          </label>
+          {activeSet && (
+            <span className="text-gray-500 ml-auto">
+              {t('dashboard.attempts', { count: activeSet.attempts })} · {t('dashboard.learners', { count: activeSet.learners })}
+            </span>
+          )}
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          {['items', 'learners'].map((name) => (
+            <button
+              key={name}
+              onClick={() => setView(name)}
+              aria-pressed={view === name}
+              className={`px-4 py-2 rounded-lg font-semibold transition ${view === name ? theme.primary : theme.secondary}`}
+            >
+              {t(`dashboard.view.${name}`)}
+            </button>
+          ))}
+        </div>
+
+        {!attempts ? (
+          <p className="text-gray-600">{t('dashboard.loading')}</p>
+        ) : view === 'items' ? (
+          <ItemTable items={items} />
+        ) : (
+          <LearnerTable learners={learners} />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className={`max-w-5xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      <div className="flex justify-between items-center gap-4 mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">{t('dashboard.title')}</h1>
+        <button
+          onClick={() => setReload(reload + 1)}
+          className={`${theme.link} font-semibold transition flex items-center gap-1`}
+        >
+          <RefreshCw size={18} />
+          {t('dashboard.refresh')}
+        </button>
+      </div>
+      {renderBody()}
+    </div>
+  );
+};
+
+// Provides its own theme and translator, since it is not rendered inside DNSQuiz
+const InstructorDashboard = ({ theme, locale, ...props }) => {
+  const resolvedTheme = useMemo(() => resolveTheme(theme), [theme]);
+  const activeLocale = matchLocale(locale) || detectLocale();
+  const i18n = useMemo(() => createTranslator(activeLocale), [activeLocale]);
+
+  return (
+    <ThemeContext.Provider value={resolvedTheme}>
+      <I18nContext.Provider value={i18n}>
+        <div lang={activeLocale}>
+          <Dashboard {...props} />
+        </div>
+      </I18nContext.Provider>
+    </ThemeContext.Provider>
+  );
+};
+
+export default InstructorDashboard;
@@ -0,0 +1,33 @@
+/**
+ * Language Switcher
+ *
+ * Picks the locale for UI strings and question content from the locales
+ * in lib/i18n.js. Each language is listed under its own name.
+ */
+
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { LOCALES } from '../lib/i18n';
+import { useI18n } from './I18nContext';
+
+const LanguageSwitcher = ({ onChange }) => {
+  const { locale, t } = useI18n();
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-600">
+      <Globe size={16} />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={locale}
+        onChange={(e) => onChange(e.target.value)}
+        className="border border-gray-300 rounded px-2 py-1 bg-white"
+      >
+        {LOCALES.map(({ code, label }) => (
+          <option key={code} value={code} lang={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,53 @@
+/**
+ * Leaderboard
+ *
+ * Quiz night standings as sent by the server: rank, name, correct answers
+ * and points. The viewing player's own row is highlighted, and players who
+ * have dropped off stay listed with their score.
+ */
+
+import React from 'react';
+import { Trophy } from 'lucide-react';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+const Leaderboard = ({ entries, highlight = null, heading }) => {
+  const theme = useTheme();
+  const { t, formatNumber } = useI18n();
+
+  return (
+    <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+        <Trophy size={20} className={theme.accent} />
+        {heading || t('night.leaderboard')}
+      </h3>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('night.noPlayers')}</p>
+      ) : (
+        <ol className="space-y-2">
+          {entries.map((entry) => (
+            <li
+              key={entry.name}
+              className={`flex items-center gap-3 rounded-lg px-3 py-2 ${entry.name === highlight ? theme.tint : 'bg-gray-50'} ${entry.connected ? '' : 'opacity-60'}`}
+            >
+              <span className="w-8 text-center font-bold text-gray-700">
+                {MEDALS[entry.rank] || formatNumber(entry.rank)}
+              </span>
+              <span className="flex-1 font-medium text-gray-800">
+                {entry.name}
+                {entry.name === highlight && <span className="text-gray-500"> ({t('night.you')})</span>}
+                {!entry.connected && <span className="text-xs text-gray-500"> · {t('night.offline')}</span>}
+              </span>
+              <span className="text-sm text-gray-500">{t('night.correctCount', { count: entry.correct })}</span>
+              <span className="w-20 text-right font-mono font-semibold text-gray-800">{formatNumber(entry.score)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,88 @@
+/**
+ * Matching Answer
+ *
+ * Each prompt gets a dropdown of every answer, offered in an order scrambled
+ * from the attempt seed. Checking needs an answer for every prompt. Once
+ * answered, each row shows whether it was matched right and, if not, what
+ * belongs there (see checkMatching in lib/questionTypes.js).
+ */
+
+import React, { useId, useState } from 'react';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { createRng } from '../lib/random';
+import { scrambledOrder } from '../lib/shuffle';
+import { checkMatching } from '../lib/questionTypes';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const MatchingAnswer = ({ pairs, answered, submitted, seed, labelledBy, onSubmit }) => {
+  const [answerOrder] = useState(() => scrambledOrder(pairs.length, createRng(seed, 'arrange')));
+  const [matches, setMatches] = useState(() => pairs.map(() => null));
+  const theme = useTheme();
+  const { t } = useI18n();
+  const rowId = useId();
+
+  const current = answered ? submitted : matches;
+  const result = answered ? checkMatching({ pairs }, submitted) : null;
+  const complete = matches.every((match) => match !== null);
+
+  const handleChange = (index, value) =>
+    setMatches(matches.map((match, other) => (other === index ? (value === '' ? null : Number(value)) : match)));
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">{t('match.hint')}</p>
+      <div role="group" aria-labelledby={labelledBy} className="space-y-3 mb-4">
+        {pairs.map((pair, index) => {
+          let rowClass = 'p-3 rounded-lg border-2 ';
+          if (answered) rowClass += result.matched[index] ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50';
+          else rowClass += 'border-gray-300 bg-white';
+
+          return (
+            <div key={index} className={rowClass}>
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                <label htmlFor={`${rowId}-${index}`} className="font-semibold text-gray-800 sm:w-1/3">
+                  {pair.prompt}
+                </label>
+                <select
+                  id={`${rowId}-${index}`}
+                  value={current[index] ?? ''}
+                  onChange={(e) => handleChange(index, e.target.value)}
+                  disabled={answered}
+                  className={`flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white ${theme.ring}`}
+                >
+                  <option value="">{t('match.choose')}</option>
+                  {answerOrder.map((answerIndex) => (
+                    <option key={answerIndex} value={answerIndex}>{pairs[answerIndex].answer}</option>
+                  ))}
+                </select>
+                {answered && (
+                  result.matched[index]
+                    ? <CheckCircle aria-label={t('match.right')} className="text-green-600 flex-shrink-0" size={20} />
+                    : <XCircle aria-label={t('match.wrong')} className="text-red-600 flex-shrink-0" size={20} />
+                )}
+              </div>
+              {answered && !result.matched[index] && (
+                <p className="text-sm text-green-800 mt-2">
+                  <span className="font-semibold">{t('review.correctAnswer')}</span> {pair.answer}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {!answered && (
+        <button
+          onClick={() => onSubmit(matches)}
+          disabled={!complete}
+          className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition disabled:opacity-50`}
+        >
+          {t('match.check')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MatchingAnswer;
@@ -0,0 +1,95 @@
+/**
+ * Multi-Select Answer
+ *
+ * Options the learner ticks any number of before checking the answer. Once
+ * answered, every option shows whether it was a correct pick, a correct one
+ * that was missed, or a wrong pick; partial credit is worked out by
+ * checkMultiSelect in lib/questionTypes.js.
+ */
+
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, Circle } from 'lucide-react';
+import { optionLetter } from './AnswerOptions';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const MultiSelectAnswer = ({ options, correct, answered, chosen = [], labelledBy, onSubmit }) => {
+  const [picked, setPicked] = useState([]);
+  const theme = useTheme();
+  const { t } = useI18n();
+  const selection = answered ? chosen : picked;
+
+  const toggle = (index) => {
+    if (answered) return;
+    setPicked(picked.includes(index)
+      ? picked.filter((other) => other !== index)
+      : [...picked, index].sort((a, b) => a - b));
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">{t('multi.hint')}</p>
+      <div role="group" aria-labelledby={labelledBy} className="space-y-3 mb-4">
+        {options.map((option, index) => {
+          const isPicked = selection.includes(index);
+          const isRight = correct.includes(index);
+          let buttonClass = `w-full text-left p-4 rounded-lg border-2 transition ${theme.ring} `;
+
+          if (answered) {
+            if (isRight && isPicked) buttonClass += 'border-green-500 bg-green-50 text-green-900';
+            else if (isRight) buttonClass += 'border-green-500 border-dashed bg-white text-green-900';
+            else if (isPicked) buttonClass += 'border-red-500 bg-red-50 text-red-900';
+            else buttonClass += 'border-gray-200 bg-gray-50 text-gray-500';
+          } else {
+            buttonClass += isPicked ? theme.selected : `border-gray-300 ${theme.selectable}`;
+          }
+
+          return (
+            <button
+              key={index}
+              role="checkbox"
+              aria-checked={isPicked}
+              aria-disabled={answered}
+              onClick={() => toggle(index)}
+              className={buttonClass}
+            >
+              <div className="flex items-center gap-3">
+                <span
+                  aria-hidden="true"
+                  className={`flex-shrink-0 w-7 h-7 rounded border-2 border-current flex items-center justify-center text-sm font-semibold ${isPicked ? 'ring-2 ring-current ring-offset-1' : ''}`}
+                >
+                  {optionLetter(index)}
+                </span>
+                <span className="font-medium flex-1">{option}</span>
+                {answered && isRight && (
+                  <span className="flex items-center gap-1 text-sm font-semibold text-green-700 flex-shrink-0">
+                    {isPicked ? <CheckCircle className="text-green-600" size={24} /> : <Circle className="text-green-600" size={24} />}
+                    {t(isPicked ? 'options.yourAnswerCorrect' : 'multi.missed')}
+                  </span>
+                )}
+                {answered && isPicked && !isRight && (
+                  <span className="flex items-center gap-1 text-sm font-semibold text-red-700 flex-shrink-0">
+                    <XCircle className="text-red-600" size={24} />
+                    {t('multi.wrongPick')}
+                  </span>
+                )}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      {!answered && (
+        <button
+          onClick={() => onSubmit(picked)}
+          disabled={picked.length === 0}
+          className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition disabled:opacity-50`}
+        >
+          {t('multi.check')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelectAnswer;
@@ -0,0 +1,124 @@
+/**
+ * Ordering Answer
+ *
+ * A scrambled list the learner puts in order by dragging items or with each
+ * item's move up and move down buttons; moves are announced for screen
+ * readers. The starting order comes from the attempt seed so a replay starts
+ * the same. Once answered, each item shows whether it ended up in its place
+ * (see checkOrdering in lib/questionTypes.js).
+ */
+
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, CheckCircle, XCircle, GripVertical } from 'lucide-react';
+import { createRng } from '../lib/random';
+import { scrambledOrder } from '../lib/shuffle';
+import { checkOrdering } from '../lib/questionTypes';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const OrderingAnswer = ({ items, answered, submitted, seed, labelledBy, onSubmit }) => {
+  const [order, setOrder] = useState(() => scrambledOrder(items.length, createRng(seed, 'arrange')));
+  const [dragged, setDragged] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  const current = answered ? submitted : order;
+  const result = answered ? checkOrdering({ items }, submitted) : null;
+
+  // Move the item at position `from` to position `to`
+  const move = (from, to) => {
+    if (answered || to < 0 || to >= order.length || from === to) return;
+    const next = [...order];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    setOrder(next);
+    setAnnouncement(t('order.moved', { item: items[item], position: to + 1, total: items.length }));
+  };
+
+  const handleDrop = (event, position) => {
+    event.preventDefault();
+    if (dragged !== null) move(dragged, position);
+    setDragged(null);
+  };
+
+  // aria-disabled rather than disabled, so focus stays on a button that reaches the end of the list
+  const iconButton = `p-1 rounded text-gray-500 hover:text-gray-800 aria-disabled:opacity-30 ${theme.ring}`;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">{t('order.hint')}</p>
+      <ol aria-labelledby={labelledBy} className="space-y-2 mb-4">
+        {current.map((item, position) => {
+          let itemClass = 'flex items-center gap-3 p-3 rounded-lg border-2 bg-white ';
+          if (answered) {
+            itemClass += result.placed[position] ? 'border-green-500 bg-green-50 text-green-900' : 'border-red-500 bg-red-50 text-red-900';
+          } else {
+            itemClass += dragged === position ? 'border-dashed border-gray-400 opacity-60' : 'border-gray-300';
+          }
+
+          return (
+            <li
+              key={item}
+              draggable={!answered}
+              onDragStart={(event) => {
+                // Firefox only starts a drag that carries data
+                if (event.dataTransfer) event.dataTransfer.setData('text/plain', items[item]);
+                setDragged(position);
+              }}
+              onDragOver={(event) => event.preventDefault()}
+              onDrop={(event) => handleDrop(event, position)}
+              onDragEnd={() => setDragged(null)}
+              className={itemClass}
+            >
+              {!answered && <GripVertical aria-hidden="true" className="text-gray-400 flex-shrink-0 cursor-grab" size={18} />}
+              <span aria-hidden="true" className="w-6 text-sm font-semibold text-gray-500 flex-shrink-0">{position + 1}.</span>
+              <span className="flex-1 font-medium">{items[item]}</span>
+              {answered ? (
+                <span className={`flex items-center gap-1 text-sm font-semibold flex-shrink-0 ${result.placed[position] ? 'text-green-700' : 'text-red-700'}`}>
+                  {result.placed[position] ? (
+                    <CheckCircle className="text-green-600" size={20} />
+                  ) : (
+                    <XCircle className="text-red-600" size={20} />
+                  )}
+                  {result.placed[position] ? t('order.inPlace') : t('order.belongsAt', { position: item + 1 })}
+                </span>
+              ) : (
+                <span className="flex flex-shrink-0">
+                  <button
+                    onClick={() => move(position, position - 1)}
+                    aria-disabled={position === 0}
+                    aria-label={t('order.moveUp', { item: items[item] })}
+                    className={iconButton}
+                  >
+                    <ArrowUp size={18} />
+                  </button>
+                  <button
+                    onClick={() => move(position, position + 1)}
+                    aria-disabled={position === current.length - 1}
+                    aria-label={t('order.moveDown', { item: items[item] })}
+                    className={iconButton}
+                  >
+                    <ArrowDown size={18} />
+                  </button>
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      <p aria-live="polite" className="sr-only">{announcement}</p>
+
+      {!answered && (
+        <button
+          onClick={() => onSubmit(order)}
+          className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition`}
+        >
+          {t('order.check')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default OrderingAnswer;
@@ -0,0 +1,155 @@
+/**
+ * Packet Dump
+ *
+ * A DNS message as a hex dump with an ASCII column, for packet decoding
+ * questions (see lib/dnsMessage.js). The annotated version, shown with the
+ * explanation, tints the bytes by section and lists every field with its
+ * decoded value. Hovering or focusing a field highlights its bytes, and
+ * hovering a byte highlights its field; for a compressed name, the bytes its
+ * pointer leads to are outlined too.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { encodeMessage, decodeMessage } from '../lib/dnsMessage';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const BYTES_PER_ROW = 16;
+
+const SECTION_TINTS = {
+  transport: 'bg-gray-700',
+  header: 'bg-slate-700',
+  question: 'bg-sky-900',
+  answer: 'bg-emerald-900',
+  authority: 'bg-amber-900',
+  additional: 'bg-purple-900'
+};
+
+const offsetLabel = (offset) => offset.toString(16).padStart(4, '0');
+
+const hexByte = (byte) => byte.toString(16).padStart(2, '0');
+
+const asciiByte = (byte) => (byte > 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.');
+
+const PacketDump = ({ packet, annotated = false }) => {
+  const [active, setActive] = useState(null);
+  const theme = useTheme();
+  const { t } = useI18n();
+  const tcp = packet.transport === 'tcp';
+
+  const decoded = useMemo(() => {
+    try {
+      const bytes = encodeMessage(packet.message, { tcp });
+      const { groups } = decodeMessage(bytes, { tcp });
+      // The group and field every byte belongs to, for tints and hover lookups
+      const owners = [];
+      groups.forEach((group) => group.fields.forEach((field) => {
+        for (let index = field.start; index < field.end; index++) owners[index] = { group, field };
+      }));
+      return { bytes, groups, owners };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [packet, tcp]);
+
+  if (decoded.error) {
+    return <p className="mb-6 text-sm text-red-700 bg-red-50 rounded-lg p-3">{t('packet.invalid', { message: decoded.error })}</p>;
+  }
+
+  const { bytes, groups, owners } = decoded;
+  const pointedField = active && active.pointer !== undefined ? owners[active.pointer].field : null;
+
+  const byteClass = (index) => {
+    if (active && index >= active.start && index < active.end) return 'bg-yellow-300 text-gray-900';
+    if (pointedField && index >= active.pointer && index < pointedField.end) return 'outline outline-1 outline-yellow-300';
+    return annotated ? SECTION_TINTS[owners[index].group.section] : '';
+  };
+
+  const rows = [];
+  for (let start = 0; start < bytes.length; start += BYTES_PER_ROW) rows.push(start);
+
+  return (
+    <div className="mb-6">
+      {packet.prompt && !annotated && <p className="text-gray-700 mb-3">{packet.prompt}</p>}
+      <p className="text-sm text-gray-600 mb-2">
+        {t('packet.caption', { count: bytes.length, transport: tcp ? 'TCP' : 'UDP' })}
+      </p>
+
+      <div
+        className="bg-gray-900 text-gray-100 rounded-lg p-4 font-mono text-xs overflow-x-auto"
+        onMouseLeave={annotated ? () => setActive(null) : undefined}
+      >
+        {rows.map((start) => {
+          const row = Array.from(bytes.subarray(start, start + BYTES_PER_ROW));
+          return (
+            <div key={start} className="flex gap-4 whitespace-pre leading-5">
+              <span className="text-gray-500">{offsetLabel(start)}</span>
+              <span>
+                {row.map((byte, column) => {
+                  const index = start + column;
+                  return (
+                    <React.Fragment key={index}>
+                      {column > 0 && (column === BYTES_PER_ROW / 2 ? '  ' : ' ')}
+                      <span
+                        onMouseEnter={annotated ? () => setActive(owners[index].field) : undefined}
+                        className={`rounded-sm ${byteClass(index)}`}
+                      >
+                        {hexByte(byte)}
+                      </span>
+                    </React.Fragment>
+                  );
+                })}
+                {' '.repeat((BYTES_PER_ROW - row.length) * 3 + (row.length <= BYTES_PER_ROW / 2 ? 1 : 0))}
+              </span>
+              <span aria-hidden="true" className="text-gray-400">{row.map(asciiByte).join('')}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {annotated && (
+        <div className="mt-4">
+          <h4 className="font-semibold text-gray-800 mb-1">{t('packet.breakdown')}</h4>
+          <p className="text-sm text-gray-600 mb-3">{t('packet.breakdownHint')}</p>
+          <ol className="space-y-3">
+            {groups.map((group) => (
+              <li key={group.fields[0].start}>
+                <p className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+                  <span aria-hidden="true" className={`inline-block w-3 h-3 rounded-sm flex-shrink-0 ${SECTION_TINTS[group.section]}`} />
+                  {t(`packet.section.${group.opt ? 'opt' : group.section}`)}
+                  <span className="font-mono font-normal text-gray-600 break-all">{group.summary}</span>
+                </p>
+                <ul className="mt-1 font-mono text-xs">
+                  {group.fields.map((field) => (
+                    <li
+                      key={field.start}
+                      tabIndex={0}
+                      onMouseEnter={() => setActive(field)}
+                      onMouseLeave={() => setActive(null)}
+                      onFocus={() => setActive(field)}
+                      onBlur={() => setActive(null)}
+                      className={`flex gap-3 px-2 py-1 rounded ${theme.ring} ${active === field ? 'bg-yellow-100' : 'hover:bg-gray-50'}`}
+                    >
+                      <span className="w-24 flex-shrink-0 text-gray-500">
+                        {offsetLabel(field.start)} · {t('packet.length', { count: field.end - field.start })}
+                      </span>
+                      <span className="w-32 flex-shrink-0 font-semibold text-gray-800">{field.label}</span>
+                      <span className="flex-1 break-all text-gray-700">
+                        {field.value}
+                        {field.pointer !== undefined && (
+                          <span className="text-gray-500"> ({t('packet.pointer', { offset: offsetLabel(field.pointer) })})</span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PacketDump;
@@ -0,0 +1,431 @@
+/**
+ * Question Authoring
+ *
+ * Screen for writing a question set without hand-editing data files: a
+ * form for each question (text, options with the correct one marked and
+ * whether they may be shuffled, explanation, an optional hint, topics, difficulty) next to a live preview of the question
+ * as the quiz shows it, with this session's lab environment filled in.
+ * Every edit is checked (lib/authoring.js) and problems are shown at the
+ * field; a set without problems can be exported as JSON or played.
+ */
+
+import React, { useEffect, useId, useState } from 'react';
+import { ArrowLeft, Download, Play, Plus, Trash2 } from 'lucide-react';
+import { newQuestion, slugify, validateAuthoredSet } from '../lib/authoring';
+import { DIFFICULTIES } from '../lib/questionSet';
+import { optionLetter } from './AnswerOptions';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// Option letters and shortcuts run out after I
+const MAX_OPTIONS = 9;
+
+// Re-key a question's translations in every locale, or drop them when `to` is null
+const moveTranslations = (translations, from, to) =>
+  Object.fromEntries(Object.entries(translations).map(([locale, translation]) => {
+    const { [from]: entry, ...others } = translation.questions || {};
+    return [locale, { ...translation, questions: entry && to && !others[to] ? { ...others, [to]: entry } : others }];
+  }));
+
+// Translated options only line up while the count matches, so they go when options are added or removed
+const dropTranslatedOptions = (translations, id) =>
+  Object.fromEntries(Object.entries(translations).map(([locale, translation]) => {
+    const entry = translation.questions && translation.questions[id];
+    if (!entry || !entry.options) return [locale, translation];
+    const { options, ...rest } = entry;
+    return [locale, { ...translation, questions: { ...translation.questions, [id]: rest } }];
+  }));
+
+const QuestionAuthoring = ({ initialSet, environment, renderPreview, onChange, onExport, onUse, onDiscard, onClose }) => {
+  const [draft, setDraft] = useState(initialSet);
+  const [selected, setSelected] = useState(0);
+  const [newTopic, setNewTopic] = useState('');
+  const theme = useTheme();
+  const { t } = useI18n();
+  const fieldId = useId();
+
+  useEffect(() => {
+    onChange(draft);
+  }, [draft]);
+
+  const validation = validateAuthoredSet(draft, environment);
+  const question = draft.questions[selected];
+  const problems = question ? validation.questions[selected] : [];
+  // The preview needs a question the quiz can load; duplicates and unknown placeholders still render
+  const previewable = question && !problems.some((p) => ['correct', 'options', 'id'].includes(p.field));
+
+  const updateSet = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  const updateQuestion = (changes) =>
+    setDraft((current) => {
+      const previous = current.questions[selected];
+      let { translations } = current;
+      // Translations are keyed by question id, so they follow a rename
+      if (translations && changes.id !== undefined && !current.questions.some((q) => q.id === changes.id)) {
+        translations = moveTranslations(translations, previous.id, changes.id);
+      }
+      if (translations && changes.options && changes.options.length !== previous.options.length) {
+        translations = dropTranslatedOptions(translations, previous.id);
+      }
+      return {
+        ...current,
+        questions: current.questions.map((q, index) => (index === selected ? { ...q, ...changes } : q)),
+        ...(translations && { translations })
+      };
+    });
+
+  const handleAddQuestion = () => {
+    setDraft((current) => ({ ...current, questions: [...current.questions, newQuestion(current.questions.map((q) => q.id))] }));
+    setSelected(draft.questions.length);
+  };
+
+  const handleDeleteQuestion = () => {
+    setDraft((current) => ({
+      ...current,
+      questions: current.questions.filter((q, index) => index !== selected),
+      ...(current.translations && { translations: moveTranslations(current.translations, current.questions[selected].id, null) })
+    }));
+    setSelected(Math.max(0, selected - 1));
+  };
+
+  const handleOptionChange = (index, value) =>
+    updateQuestion({ options: question.options.map((option, i) => (i === index ? value : option)) });
+
+  const handleRemoveOption = (index) => {
+    const { correct } = question;
+    updateQuestion({
+      options: question.options.filter((option, i) => i !== index),
+      // Keep pointing at the same option; removing the correct one leaves it for the author to pick again
+      correct: index < correct ? correct - 1 : index === correct ? null : correct
+    });
+  };
+
+  const toggleTopic = (id) =>
+    updateQuestion({
+      topics: question.topics.includes(id) ? question.topics.filter((topic) => topic !== id) : [...question.topics, id]
+    });
+
+  const handleAddTopic = (event) => {
+    event.preventDefault();
+    const label = newTopic.trim();
+    const id = slugify(label);
+    if (!id) return;
+    if (!draft.topics.some((topic) => topic.id === id)) updateSet({ topics: [...draft.topics, { id, label }] });
+    if (!question.topics.includes(id)) updateQuestion({ topics: [...question.topics, id] });
+    setNewTopic('');
+  };
+
+  const messages = (list) => list.map((p) => t(`author.problem.${p.code}`, p.params));
+  const problemsFor = (list, field) => messages(list.filter((p) => p.field === field));
+
+  // aria props and the message list for one field
+  const field = (list, name) => {
+    const found = problemsFor(list, name);
+    const id = `${fieldId}-${name.replace(':', '-')}`;
+    return {
+      props: found.length > 0 ? { 'aria-invalid': true, 'aria-describedby': id } : {},
+      errors: found.length > 0 && (
+        <ul id={id} className="mt-1 text-sm text-red-700 space-y-0.5">
+          {found.map((message) => <li key={message}>{message}</li>)}
+        </ul>
+      )
+    };
+  };
+
+  const inputClass = `w-full border border-gray-300 rounded-lg px-3 py-2 text-sm ${theme.ring}`;
+  const labelClass = 'block text-sm font-semibold text-gray-700 mb-1';
+  const smallButton = `${theme.secondary} px-3 py-1.5 rounded-lg text-sm font-semibold transition flex items-center gap-1 disabled:opacity-50`;
+
+  const setTitle = field(validation.set, 'title');
+  const setId = field(validation.set, 'setId');
+  const idField = field(problems, 'id');
+  const questionField = field(problems, 'question');
+  const explanationField = field(problems, 'explanation');
+  const hintField = field(problems, 'hint');
+  const listProblems = [...problemsFor(problems, 'options'), ...problemsFor(problems, 'correct'),
+    ...['command', 'zone', 'sandbox', 'packet', 'translations'].flatMap((name) => problemsFor(problems, name))];
+
+  return (
+    <div className={`max-w-6xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      <div className="flex justify-between items-start gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">{t('author.heading')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('author.intro')}</p>
+        </div>
+        <button onClick={onClose} className={`${theme.link} text-sm font-semibold flex items-center gap-1 flex-shrink-0`}>
+          <ArrowLeft size={16} />
+          {t('author.close')}
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg p-6 shadow-md mb-6 grid sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${fieldId}-title`} className={labelClass}>{t('author.setTitle')}</label>
+          <input
+            id={`${fieldId}-title`}
+            value={draft.title}
+            onChange={(e) => updateSet({ title: e.target.value })}
+            className={inputClass}
+            {...setTitle.props}
+          />
+          {setTitle.errors}
+        </div>
+        <div>
+          <label htmlFor={`${fieldId}-set-id`} className={labelClass}>{t('author.setId')}</label>
+          <input
+            id={`${fieldId}-set-id`}
+            value={draft.id}
+            onChange={(e) => updateSet({ id: e.target.value })}
+            className={`${inputClass} font-mono`}
+            {...setId.props}
+          />
+          {setId.errors}
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg p-6 shadow-md">
+          <div className="flex flex-wrap items-end gap-2 mb-6">
+            <div className="flex-1 min-w-0">
+              <label htmlFor={`${fieldId}-picker`} className={labelClass}>{t('author.question')}</label>
+              <select
+                id={`${fieldId}-picker`}
+                value={selected}
+                onChange={(e) => setSelected(Number(e.target.value))}
+                className={inputClass}
+              >
+                {draft.questions.map((q, index) => (
+                  <option key={index} value={index}>
+                    {validation.questions[index].length > 0 ? '⚠ ' : ''}
+                    {index + 1}. {q.id}{q.question ? ` - ${q.question.slice(0, 50)}` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button onClick={handleAddQuestion} className={smallButton}>
+              <Plus size={16} />
+              {t('author.addQuestion')}
+            </button>
+            <button onClick={handleDeleteQuestion} disabled={!question} className={smallButton}>
+              <Trash2 size={16} />
+              {t('author.deleteQuestion')}
+            </button>
+          </div>
+          {problemsFor(validation.set, 'questions').map((message) => (
+            <p key={message} className="text-sm text-red-700 mb-4">{message}</p>
+          ))}
+
+          {question && (
+            <div className="space-y-5">
+              <div>
+                <label htmlFor={`${fieldId}-id`} className={labelClass}>{t('author.id')}</label>
+                <input
+                  id={`${fieldId}-id`}
+                  value={question.id}
+                  onChange={(e) => updateQuestion({ id: e.target.value })}
+                  className={`${inputClass} font-mono`}
+                  {...idField.props}
+                />
+                {idField.errors}
+              </div>
+
+              <div>
+                <label htmlFor={`${fieldId}-text`} className={labelClass}>{t('author.questionText')}</label>
+                <textarea
+                  id={`${fieldId}-text`}
+                  value={question.question || ''}
+                  onChange={(e) => updateQuestion({ question: e.target.value })}
+                  rows={3}
+                  className={inputClass}
+                  {...questionField.props}
+                />
+                {questionField.errors}
+              </div>
+
+              {question.type === 'choice' ? (
+                <fieldset>
+                  <legend className={labelClass}>{t('author.options')}</legend>
+                  <p className="text-xs text-gray-500 mb-2">{t('author.optionsHint')}</p>
+                  <div className="space-y-2">
+                    {question.options.map((option, index) => {
+                      const optionField = field(problems, `option:${index}`);
+                      return (
+                        <div key={index}>
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="radio"
+                              name={`${fieldId}-correct`}
+                              checked={question.correct === index}
+                              onChange={() => updateQuestion({ correct: index })}
+                              aria-label={t('author.markCorrect', { letter: optionLetter(index) })}
+                            />
+                            <span aria-hidden="true" className="w-5 text-sm font-semibold text-gray-600">{optionLetter(index)}</span>
+                            <input
+                              value={option}
+                              onChange={(e) => handleOptionChange(index, e.target.value)}
+                              aria-label={t('author.option', { letter: optionLetter(index) })}
+                              className={`${inputClass} flex-1`}
+                              {...optionField.props}
+                            />
+                            <button
+                              onClick={() => handleRemoveOption(index)}
+                              aria-label={t('author.removeOption', { letter: optionLetter(index) })}
+                              className="text-gray-500 hover:text-red-700 p-1"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
+                          {optionField.errors}
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <button
+                    onClick={() => updateQuestion({ options: [...question.options, ''] })}
+                    disabled={question.options.length >= MAX_OPTIONS}
+                    className={`${smallButton} mt-2`}
+                  >
+                    <Plus size={16} />
+                    {t('author.addOption')}
+                  </button>
+                  <label className="flex items-center gap-1 text-sm text-gray-700 mt-2">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(question.fixedOptions)}
+                      onChange={(e) => updateQuestion({ fixedOptions: e.target.checked || undefined })}
+                    />
+                    {t('author.fixedOptions')}
+                  </label>
+                </fieldset>
+              ) : (
+                <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">{t('author.otherType', { type: question.type })}</p>
+              )}
+              {listProblems.length > 0 && (
+                <ul className="text-sm text-red-700 space-y-0.5">
+                  {listProblems.map((message) => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+
+              <div>
+                <label htmlFor={`${fieldId}-explanation`} className={labelClass}>{t('author.explanation')}</label>
+                <textarea
+                  id={`${fieldId}-explanation`}
+                  value={question.explanation || ''}
+                  onChange={(e) => updateQuestion({ explanation: e.target.value })}
+                  rows={5}
+                  className={inputClass}
+                  {...explanationField.props}
+                />
+                {explanationField.errors}
+              </div>
+
+              <div>
+                <label htmlFor={`${fieldId}-hint`} className={labelClass}>{t('author.hint')}</label>
+                <textarea
+                  id={`${fieldId}-hint`}
+                  value={question.hint || ''}
+                  onChange={(e) => updateQuestion({ hint: e.target.value || undefined })}
+                  rows={2}
+                  className={inputClass}
+                  {...hintField.props}
+                />
+                {hintField.errors}
+              </div>
+
+              <fieldset>
+                <legend className={labelClass}>{t('author.topics')}</legend>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2">
+                  {draft.topics.map((topic) => (
+                    <label key={topic.id} className="flex items-center gap-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={question.topics.includes(topic.id)}
+                        onChange={() => toggleTopic(topic.id)}
+                      />
+                      {topic.label}
+                    </label>
+                  ))}
+                </div>
+                <form onSubmit={handleAddTopic} className="flex gap-2">
+                  <input
+                    value={newTopic}
+                    onChange={(e) => setNewTopic(e.target.value)}
+                    aria-label={t('author.newTopic')}
+                    placeholder={t('author.newTopic')}
+                    className={`${inputClass} flex-1`}
+                  />
+                  <button type="submit" disabled={!slugify(newTopic)} className={smallButton}>
+                    <Plus size={16} />
+                    {t('author.addTopic')}
+                  </button>
+                </form>
+              </fieldset>
+
+              <div>
+                <label htmlFor={`${fieldId}-difficulty`} className={labelClass}>{t('author.difficulty')}</label>
+                <select
+                  id={`${fieldId}-difficulty`}
+                  value={question.difficulty}
+                  onChange={(e) => updateQuestion({ difficulty: e.target.value })}
+                  className={inputClass}
+                >
+                  {DIFFICULTIES.map((difficulty) => (
+                    <option key={difficulty} value={difficulty}>{t(`level.${difficulty}`)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <details className="text-sm text-gray-600">
+                <summary className="cursor-pointer font-semibold">{t('author.placeholders')}</summary>
+                <dl className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 font-mono text-xs">
+                  {Object.entries(environment).map(([name, value]) => (
+                    <React.Fragment key={name}>
+                      <dt>{`{{${name}}}`}</dt>
+                      <dd className="text-gray-500 truncate">{value}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </details>
+            </div>
+          )}
+        </div>
+
+        <section aria-label={t('author.preview')}>
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('author.preview')}</h3>
+          {previewable ? (
+            renderPreview(question, draft)
+          ) : (
+            <p className="bg-white rounded-lg p-6 shadow-md text-sm text-gray-600">{t('author.noPreview')}</p>
+          )}
+        </section>
+      </div>
+
+      <div className="mt-6 flex flex-wrap items-center gap-3">
+        <p role="status" className={`text-sm font-semibold flex-1 ${validation.count > 0 ? 'text-red-700' : 'text-green-700'}`}>
+          {validation.count > 0 ? t('author.problems', { count: validation.count }) : t('author.ready')}
+        </p>
+        <button onClick={onDiscard} className={`${theme.link} px-2 py-2 text-sm font-semibold transition`}>
+          {t('author.discard')}
+        </button>
+        <button
+          onClick={() => onExport(draft)}
+          disabled={validation.count > 0}
+          className={`${theme.secondary} px-4 py-2 rounded-lg text-sm font-semibold transition flex items-center gap-2 disabled:opacity-50`}
+        >
+          <Download size={16} />
+          {t('author.export')}
+        </button>
+        <button
+          onClick={() => onUse(draft)}
+          disabled={validation.count > 0}
+          className={`${theme.primary} px-4 py-2 rounded-lg text-sm font-semibold transition flex items-center gap-2 disabled:opacity-50`}
+        >
+          <Play size={16} />
+          {t('author.use')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionAuthoring;
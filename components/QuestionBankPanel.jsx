@@ -0,0 +1,74 @@
+/**
+ * Question Bank Panel
+ *
+ * Start screen panel for sharing question sets as JSON: import a file
+ * (validated against lib/questionSetSchema.js), export the active set, open
+ * it in the authoring screen when that is enabled, or go back to the
+ * built-in questions after an import.
+ */
+
+import React, { useState } from 'react';
+import { Download, Pencil, Upload } from 'lucide-react';
+import { importQuestionSet } from '../lib/questionSet';
+import { readFileAsText } from '../lib/download';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const QuestionBankPanel = ({ title, questionCount, imported, onImport, onExport, onEdit, onReset }) => {
+  const [error, setError] = useState(null);
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    // Clear the input so picking the same file again after fixing it re-triggers
+    event.target.value = '';
+    if (!file) return;
+    try {
+      onImport(importQuestionSet(await readFileAsText(file)));
+      setError(null);
+    } catch (e) {
+      setError(`${t('bank.importFailed', { file: file.name })}\n${e.message}`);
+    }
+  };
+
+  const buttonClass = `${theme.secondary} px-4 py-2 rounded-lg text-sm font-semibold transition flex items-center gap-2 cursor-pointer`;
+
+  return (
+    <div className="bg-white rounded-lg p-6 shadow-md mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('bank.heading')}</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {t(imported ? 'bank.imported' : 'bank.using', { title, count: questionCount })}
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <label className={buttonClass}>
+          <Upload size={16} />
+          {t('bank.import')}
+          <input type="file" accept="application/json,.json" onChange={handleFile} className="sr-only" />
+        </label>
+        <button onClick={onExport} className={buttonClass}>
+          <Download size={16} />
+          {t('bank.export')}
+        </button>
+        {onEdit && (
+          <button onClick={onEdit} className={buttonClass}>
+            <Pencil size={16} />
+            {t('bank.edit')}
+          </button>
+        )}
+        {imported && (
+          <button onClick={onReset} className={`${theme.link} px-2 py-2 text-sm font-semibold transition`}>
+            {t('bank.reset')}
+          </button>
+        )}
+      </div>
+      {error && (
+        <p role="alert" className="mt-4 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg p-3 whitespace-pre-line">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default QuestionBankPanel;
@@ -0,0 +1,267 @@
+/**
+ * Quiz Night Host
+ *
+ * The shared screen for a quiz night: opens a room on the quiz night server,
+ * shows the room code while players join, then puts up one question at a
+ * time for everyone. A question closes when the clock runs out, when every
+ * connected player has answered, or when the host reveals it early; the
+ * answer, how the room voted and the leaderboard follow.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { ArrowRight, CheckCircle, Clock, Users } from 'lucide-react';
+import { countChoices } from '../lib/quizNight';
+import { optionLetter } from './AnswerOptions';
+import EnvironmentPanel from './EnvironmentPanel';
+import PacketDump from './PacketDump';
+import Leaderboard from './Leaderboard';
+import { useQuizNight, useCountdown } from './useQuizNight';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const QuizNightHost = ({ server, timeLimit, title, questions, seed, environment, onExit }) => {
+  const theme = useTheme();
+  const { t, formatNumber } = useI18n();
+  const [code, setCode] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [answered, setAnswered] = useState(0);
+  // 'lobby' until the first question, then 'question' and 'reveal' in turn, then 'ended'
+  const [phase, setPhase] = useState('lobby');
+  const [index, setIndex] = useState(0);
+  const [deadline, setDeadline] = useState(null);
+  const [reveal, setReveal] = useState(null);
+  const revealSent = useRef(false);
+
+  const { send, lost } = useQuizNight(
+    server,
+    { type: 'host', title, seed, environment, total: questions.length },
+    (message) => {
+      if (message.type === 'room') {
+        setCode(message.code);
+      } else if (message.type === 'players') {
+        setPlayers(message.players);
+        setAnswered(message.answered);
+      } else if (message.type === 'reveal') {
+        setReveal(message);
+        setPlayers(message.leaderboard);
+        setDeadline(null);
+        setPhase('reveal');
+      } else if (message.type === 'ended') {
+        setPlayers(message.leaderboard);
+        setPhase('ended');
+      }
+    }
+  );
+
+  const secondsLeft = useCountdown(deadline);
+  const connectedCount = players.filter((player) => player.connected).length;
+
+  const openQuestion = (nextIndex) => {
+    const question = questions[nextIndex];
+    send({
+      type: 'question',
+      index: nextIndex,
+      question: question.question,
+      options: question.options,
+      correct: question.correct,
+      timeLimit
+    });
+    revealSent.current = false;
+    setIndex(nextIndex);
+    setReveal(null);
+    setAnswered(0);
+    setDeadline(Date.now() + timeLimit * 1000);
+    setPhase('question');
+  };
+
+  const revealAnswer = () => {
+    if (revealSent.current) return;
+    revealSent.current = true;
+    send({ type: 'reveal' });
+  };
+
+  // Close the question once time is up or everyone still connected has answered
+  useEffect(() => {
+    if (phase !== 'question') return;
+    if (secondsLeft === 0 || (connectedCount > 0 && answered >= connectedCount)) revealAnswer();
+  }, [phase, secondsLeft, answered, connectedCount]);
+
+  const handleNext = () => {
+    if (index < questions.length - 1) openQuestion(index + 1);
+    else send({ type: 'end' });
+  };
+
+  if (lost) {
+    return (
+      <div className={`max-w-2xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg text-center`}>
+        <p role="alert" className="text-lg text-red-800 mb-6">{t('night.connectionLost')}</p>
+        <button onClick={onExit} className={`${theme.secondary} px-8 py-3 rounded-lg font-semibold transition`}>
+          {t('night.backToStart')}
+        </button>
+      </div>
+    );
+  }
+
+  const question = questions[index];
+  const counts = reveal ? countChoices(reveal.results, question.options.length) : null;
+
+  return (
+    <div className={`max-w-2xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      <div className="flex justify-between items-start mb-4 gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">{title}</h2>
+          <p className="text-sm text-gray-600 flex items-center gap-1 mt-1">
+            <Users size={16} />
+            {t('night.players', { count: connectedCount })}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-xs font-semibold text-gray-500 uppercase">{t('night.code')}</p>
+          <p className={`text-3xl font-mono font-bold tracking-widest ${theme.accent}`}>
+            {code || '····'}
+          </p>
+        </div>
+      </div>
+
+      <EnvironmentPanel environment={environment} />
+
+      {phase === 'lobby' && (
+        <>
+          <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+            <p className="text-gray-700 mb-4">{code ? t('night.joinAt') : t('night.connecting')}</p>
+            {players.length > 0 ? (
+              <ul className="flex flex-wrap gap-2" aria-live="polite">
+                {players.map((player) => (
+                  <li key={player.name} className={`${theme.tint} px-3 py-1 rounded-full text-sm font-medium text-gray-800`}>
+                    {player.name}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-500">{t('night.noPlayers')}</p>
+            )}
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3 justify-center">
+            <button
+              onClick={onExit}
+              className={`${theme.secondary} px-8 py-3 rounded-lg font-semibold transition`}
+            >
+              {t('night.cancel')}
+            </button>
+            <button
+              onClick={() => openQuestion(0)}
+              disabled={!code || connectedCount === 0}
+              className={`${theme.primary} px-8 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50`}
+            >
+              {t('night.start')}
+              <ArrowRight size={20} />
+            </button>
+          </div>
+        </>
+      )}
+
+      {(phase === 'question' || phase === 'reveal') && (
+        <>
+          <div className="flex justify-between items-center mb-4 text-sm font-semibold text-gray-600">
+            <span>{t('quiz.position', { current: index + 1, total: questions.length })}</span>
+            {phase === 'question' ? (
+              <span className="flex items-center gap-4">
+                <span aria-live="polite">{t('night.answeredCount', { answered, count: connectedCount })}</span>
+                <span
+                  aria-label={t('night.timeLeft')}
+                  className={`flex items-center gap-1 font-mono text-lg ${secondsLeft <= 5 ? 'text-red-600' : 'text-gray-700'}`}
+                >
+                  <Clock size={18} />
+                  {formatNumber(secondsLeft ?? timeLimit)}
+                </span>
+              </span>
+            ) : (
+              <span>{t('night.timeUp')}</span>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+            <h3 className="text-xl font-semibold text-gray-800 mb-6">{question.question}</h3>
+            {question.packet && <PacketDump key={question.id} packet={question.packet} annotated={phase === 'reveal'} />}
+            <ol className="space-y-3">
+              {question.options.map((option, optionIndex) => {
+                const isCorrect = reveal && optionIndex === reveal.correct;
+                return (
+                  <li
+                    key={optionIndex}
+                    className={`flex items-center gap-3 p-4 rounded-lg border-2 ${isCorrect ? 'border-green-500 bg-green-50 text-green-900' : reveal ? 'border-gray-200 bg-gray-50 text-gray-500' : 'border-gray-300 text-gray-800'}`}
+                  >
+                    <span
+                      aria-hidden="true"
+                      className="flex-shrink-0 w-7 h-7 rounded-full border-2 border-current flex items-center justify-center text-sm font-semibold"
+                    >
+                      {optionLetter(optionIndex)}
+                    </span>
+                    <span className="font-medium flex-1">{option}</span>
+                    {isCorrect && (
+                      <span className="flex items-center gap-1 text-sm font-semibold text-green-700 flex-shrink-0">
+                        <CheckCircle className="text-green-600" size={24} />
+                        {t('options.correctAnswer')}
+                      </span>
+                    )}
+                    {counts && (
+                      <span className="w-16 text-right text-sm font-semibold flex-shrink-0">
+                        {t('night.votes', { count: counts[optionIndex] })}
+                      </span>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+
+          {phase === 'question' ? (
+            <button
+              onClick={revealAnswer}
+              className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition`}
+            >
+              {t('night.reveal')}
+            </button>
+          ) : (
+            <>
+              <div role="status" className="rounded-lg p-6 mb-6 bg-green-50 border-2 border-green-200">
+                <p className="text-green-800 leading-relaxed">{question.explanation}</p>
+              </div>
+              <Leaderboard entries={players} />
+              <button
+                onClick={handleNext}
+                className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2`}
+              >
+                {index < questions.length - 1 ? (
+                  <>
+                    {t('night.next')}
+                    <ArrowRight size={20} />
+                  </>
+                ) : (
+                  t('night.finish')
+                )}
+              </button>
+            </>
+          )}
+        </>
+      )}
+
+      {phase === 'ended' && (
+        <>
+          <Leaderboard entries={players} heading={t('night.finalResults')} />
+          <p className="text-xs text-gray-400 text-center mb-4">
+            {t('results.seed')} <span className="font-mono">{seed}</span>
+          </p>
+          <button
+            onClick={onExit}
+            className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition`}
+          >
+            {t('night.backToStart')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuizNightHost;
@@ -0,0 +1,73 @@
+/**
+ * Quiz Night Panel
+ *
+ * Start screen panel for playing together: host a quiz night with the
+ * topics and question count picked above, or join one from this device
+ * with the room code shown on the host's screen.
+ */
+
+import React, { useState } from 'react';
+import { LogIn, Users } from 'lucide-react';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const QuizNightPanel = ({ questionCount, onHost, onJoin }) => {
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  const canJoin = code.trim().length > 0 && name.trim().length > 0;
+
+  const handleJoin = (event) => {
+    event.preventDefault();
+    if (canJoin) onJoin({ code: code.trim().toUpperCase(), name: name.trim() });
+  };
+
+  const inputClass = `border border-gray-300 rounded-lg px-3 py-2 text-sm ${theme.ring}`;
+
+  return (
+    <div className="bg-white rounded-lg p-6 shadow-md mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('night.heading')}</h3>
+      <p className="text-sm text-gray-600 mb-4">{t('night.intro')}</p>
+      <button
+        onClick={onHost}
+        disabled={questionCount === 0}
+        className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50 mb-4`}
+      >
+        <Users size={20} />
+        {t('night.host', { count: questionCount })}
+      </button>
+      <form onSubmit={handleJoin} className="flex flex-wrap gap-2">
+        <input
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          aria-label={t('night.code')}
+          placeholder={t('night.code')}
+          maxLength={4}
+          autoCapitalize="characters"
+          autoComplete="off"
+          className={`${inputClass} w-32 font-mono uppercase`}
+        />
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          aria-label={t('night.name')}
+          placeholder={t('night.name')}
+          maxLength={20}
+          className={`${inputClass} flex-1 min-w-0`}
+        />
+        <button
+          type="submit"
+          disabled={!canJoin}
+          className={`${theme.primary} px-4 py-2 rounded-lg text-sm font-semibold transition flex items-center gap-2 disabled:opacity-50`}
+        >
+          <LogIn size={16} />
+          {t('night.join')}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default QuizNightPanel;
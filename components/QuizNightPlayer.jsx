@@ -0,0 +1,241 @@
+/**
+ * Quiz Night Player
+ *
+ * A player's own device during a quiz night: joins the room by code and
+ * name, then shows each question the host puts up with a countdown. One
+ * answer per question; faster correct answers score more. After each
+ * reveal the player sees their points and place on the leaderboard. If the
+ * connection drops, rejoining under the same name keeps the score.
+ */
+
+import React, { useId, useState } from 'react';
+import { CheckCircle, Clock, XCircle } from 'lucide-react';
+import AnswerOptions, { useOptionShortcuts, optionLetter } from './AnswerOptions';
+import EnvironmentPanel from './EnvironmentPanel';
+import Leaderboard from './Leaderboard';
+import { useQuizNight, useCountdown } from './useQuizNight';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const QuizNightPlayer = ({ server, code, name, onExit }) => {
+  const theme = useTheme();
+  const { t, formatNumber } = useI18n();
+  const questionHeadingId = useId();
+  const [room, setRoom] = useState(null);
+  const [error, setError] = useState(null);
+  // 'joining', 'waiting', 'question', 'reveal', 'ended' or 'closed'
+  const [phase, setPhase] = useState('joining');
+  const [question, setQuestion] = useState(null);
+  const [deadline, setDeadline] = useState(null);
+  const [choice, setChoice] = useState(null);
+  const [tooLate, setTooLate] = useState(false);
+  const [reveal, setReveal] = useState(null);
+  const [leaderboard, setLeaderboard] = useState([]);
+
+  const { send, lost, reconnect } = useQuizNight(server, { type: 'join', code, name }, (message) => {
+    if (message.type === 'joined') {
+      setRoom(message);
+      setPhase('waiting');
+    } else if (message.type === 'question') {
+      setQuestion(message);
+      setChoice(null);
+      setTooLate(false);
+      setReveal(null);
+      setDeadline(Date.now() + message.remaining);
+      setPhase('question');
+    } else if (message.type === 'answered') {
+      setChoice(message.choice);
+    } else if (message.type === 'reveal') {
+      setReveal(message);
+      setLeaderboard(message.leaderboard);
+      setDeadline(null);
+      setPhase('reveal');
+    } else if (message.type === 'ended') {
+      setLeaderboard(message.leaderboard);
+      setPhase('ended');
+    } else if (message.type === 'closed') {
+      setPhase('closed');
+    } else if (message.type === 'error') {
+      if (message.reason === 'tooLate') setTooLate(true);
+      else setError(message.reason);
+    }
+  });
+
+  const secondsLeft = useCountdown(deadline);
+  const locked = choice !== null || secondsLeft === 0;
+
+  const handleAnswer = (index) => {
+    if (locked) return;
+    setChoice(index);
+    send({ type: 'answer', index: question.index, choice: index });
+  };
+
+  useOptionShortcuts({
+    count: phase === 'question' && !locked ? question.options.length : 0,
+    onSelect: handleAnswer
+  });
+
+  const panel = (content) => (
+    <div className={`max-w-2xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      {room && (
+        <div className="flex justify-between items-center mb-4 text-sm text-gray-600">
+          <span className="font-semibold">{room.title}</span>
+          <span>
+            {name} · <span className="font-mono">{room.code}</span>
+          </span>
+        </div>
+      )}
+      {content}
+    </div>
+  );
+
+  const leaveButton = (label) => (
+    <button onClick={onExit} className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition`}>
+      {label}
+    </button>
+  );
+
+  if (error) {
+    return panel(
+      <>
+        <p role="alert" className="text-lg text-red-800 mb-6 text-center">{t(`night.error.${error}`)}</p>
+        {leaveButton(t('night.backToStart'))}
+      </>
+    );
+  }
+
+  if (phase === 'closed' || (lost && phase === 'ended')) {
+    return panel(
+      <>
+        {leaderboard.length > 0 && <Leaderboard entries={leaderboard} highlight={name} heading={t('night.finalResults')} />}
+        {phase === 'closed' && <p role="status" className="text-gray-700 mb-6 text-center">{t('night.closed')}</p>}
+        {leaveButton(t('night.backToStart'))}
+      </>
+    );
+  }
+
+  if (lost) {
+    return panel(
+      <>
+        <p role="alert" className="text-lg text-red-800 mb-6 text-center">{t('night.connectionLost')}</p>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <button
+            onClick={reconnect}
+            className={`flex-1 ${theme.primary} px-6 py-3 rounded-lg font-semibold transition`}
+          >
+            {t('night.rejoin')}
+          </button>
+          <button onClick={onExit} className={`flex-1 ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition`}>
+            {t('night.leave')}
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  if (phase === 'joining') {
+    return panel(<p role="status" className="text-gray-700 text-center">{t('night.connecting')}</p>);
+  }
+
+  if (phase === 'waiting') {
+    return panel(
+      <>
+        <EnvironmentPanel environment={room.environment} />
+        <p role="status" className="text-lg text-gray-700 text-center my-6">{t('night.waiting', { name })}</p>
+        {leaveButton(t('night.leave'))}
+      </>
+    );
+  }
+
+  if (phase === 'ended') {
+    const own = leaderboard.find((entry) => entry.name === name);
+    return panel(
+      <>
+        {own && (
+          <p className={`text-3xl font-bold text-center mb-6 ${theme.accent}`}>
+            {t('night.place', { rank: own.rank, total: leaderboard.length })}
+          </p>
+        )}
+        <Leaderboard entries={leaderboard} highlight={name} heading={t('night.finalResults')} />
+        {leaveButton(t('night.backToStart'))}
+      </>
+    );
+  }
+
+  const result = reveal ? reveal.results.find((entry) => entry.name === name) : null;
+  const own = reveal ? reveal.leaderboard.find((entry) => entry.name === name) : null;
+
+  return panel(
+    <>
+      <EnvironmentPanel environment={room.environment} />
+
+      <div className="flex justify-between items-center mb-4 text-sm font-semibold text-gray-600">
+        <span>{t('quiz.position', { current: question.index + 1, total: question.total })}</span>
+        {phase === 'question' && (
+          <span
+            aria-label={t('night.timeLeft')}
+            className={`flex items-center gap-1 font-mono text-lg ${secondsLeft <= 5 ? 'text-red-600' : 'text-gray-700'}`}
+          >
+            <Clock size={18} />
+            {formatNumber(secondsLeft ?? question.timeLimit)}
+          </span>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+        <h3 id={questionHeadingId} className="text-xl font-semibold text-gray-800 mb-6">{question.question}</h3>
+        <AnswerOptions
+          options={question.options}
+          selected={choice}
+          correct={reveal ? reveal.correct : null}
+          revealed={phase === 'reveal'}
+          locked={locked}
+          labelledBy={questionHeadingId}
+          hint={phase === 'question' && !locked
+            ? t('exam.keys', { count: question.options.length, letter: optionLetter(question.options.length - 1) })
+            : null}
+          onSelect={handleAnswer}
+        />
+      </div>
+
+      <div role="status" aria-atomic="true">
+        {phase === 'question' && locked && (
+          <p className="text-center text-gray-700 mb-6">
+            {t(tooLate ? 'night.tooLate' : choice !== null ? 'night.locked' : 'night.timeUp')}
+          </p>
+        )}
+        {phase === 'reveal' && (
+          <div className={`rounded-lg p-6 mb-6 flex items-center gap-3 ${result && result.correct ? 'bg-green-50 border-2 border-green-200' : 'bg-red-50 border-2 border-red-200'}`}>
+            {result && result.correct ? (
+              <CheckCircle className="text-green-600 flex-shrink-0" size={24} />
+            ) : (
+              <XCircle className="text-red-600 flex-shrink-0" size={24} />
+            )}
+            <div>
+              <p className={`font-bold text-lg ${result && result.correct ? 'text-green-900' : 'text-red-900'}`}>
+                {result && result.choice !== null
+                  ? t(result.correct ? 'quiz.correct' : 'quiz.incorrect')
+                  : t('night.noAnswer')}
+                {result && result.points > 0 && ` ${t('night.earned', { count: result.points })}`}
+              </p>
+              {own && (
+                <p className="text-gray-700">
+                  {t('night.place', { rank: own.rank, total: reveal.leaderboard.length })}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {phase === 'reveal' && (
+        <>
+          <Leaderboard entries={leaderboard} highlight={name} />
+          <p className="text-sm text-gray-500 text-center">{t('night.waitingNext')}</p>
+        </>
+      )}
+    </>
+  );
+};
+
+export default QuizNightPlayer;
@@ -0,0 +1,230 @@
+/**
+ * Answer Review
+ *
+ * Lists every question from a finished attempt with the learner's choice,
+ * the correct option and the full explanation. Can be narrowed to incorrect
+ * answers or a single topic, and offers a retry limited to missed questions.
+ * Partly right answers count as missed and show the credit they earned.
+ */
+
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, AlertTriangle, ArrowLeft, RotateCcw } from 'lucide-react';
+import { checkZoneExercise } from '../lib/zoneFile';
+import { checkMatching } from '../lib/questionTypes';
+import { ZoneDiagnostics } from './ZoneExercise';
+import { optionLetter } from './AnswerOptions';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+// Picked options as 'A. text · C. text'
+const optionList = (indexes, options) => indexes.map((index) => `${optionLetter(index)}. ${options[index]}`).join(' · ');
+
+// An answer line: what the learner gave, and what was right when that differs
+const AnswerLines = ({ correct, given, expected }) => {
+  const { t } = useI18n();
+  return (
+    <>
+      <div className={correct ? 'text-green-800' : 'text-red-800'}>
+        <span className="font-semibold">{t('review.yourAnswer')}</span> {given}
+      </div>
+      {!correct && (
+        <div className="text-green-800">
+          <span className="font-semibold">{t('review.correctAnswer')}</span> {expected}
+        </div>
+      )}
+    </>
+  );
+};
+
+const OrderList = ({ order, items }) => (
+  <ol className="list-decimal ml-6 mt-1">
+    {order.map((item) => <li key={item}>{items[item]}</li>)}
+  </ol>
+);
+
+const ReviewScreen = ({ questions, answers, topics = [], onBack, onRetryMissed }) => {
+  const [incorrectOnly, setIncorrectOnly] = useState(false);
+  const [topicFilter, setTopicFilter] = useState('all');
+  const theme = useTheme();
+  const { t, formatPercent } = useI18n();
+
+  const answerById = new Map(answers.map((answer) => [answer.questionId, answer]));
+  const missedCount = answers.filter((answer) => !answer.correct).length;
+
+  // Only offer topics that actually appear in this attempt
+  const usedTopics = topics.filter((topic) =>
+    questions.some((q) => q.topics.includes(topic.id))
+  );
+
+  const visible = questions.filter((q) => {
+    const answer = answerById.get(q.id);
+    if (!answer) return false;
+    if (incorrectOnly && answer.correct) return false;
+    if (topicFilter !== 'all' && !q.topics.includes(topicFilter)) return false;
+    return true;
+  });
+
+  return (
+    <div className={`max-w-2xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">{t('review.heading')}</h2>
+        <button
+          onClick={onBack}
+          className={`${theme.link} font-semibold transition flex items-center gap-1`}
+        >
+          <ArrowLeft size={18} />
+          {t('review.back')}
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg p-4 mb-4 shadow-sm flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={incorrectOnly}
+            onChange={(e) => setIncorrectOnly(e.target.checked)}
+          />
+          {t('review.incorrectOnly')}
+        </label>
+        {usedTopics.length > 0 && (
+          <label className="flex items-center gap-2 text-gray-700">
+            {t('review.topic')}
+            <select
+              value={topicFilter}
+              onChange={(e) => setTopicFilter(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              <option value="all">{t('review.allTopics')}</option>
+              {usedTopics.map((topic) => (
+                <option key={topic.id} value={topic.id}>{topic.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <span className="text-gray-500 ml-auto">
+          {t('review.showing', { visible: visible.length, total: answers.length })}
+        </span>
+      </div>
+
+      {missedCount > 0 && (
+        <button
+          onClick={onRetryMissed}
+          className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 mb-4`}
+        >
+          <RotateCcw size={20} />
+          {t('review.retryMissed', { count: missedCount })}
+        </button>
+      )}
+
+      <div className="space-y-4">
+        {visible.length === 0 && (
+          <p className="text-center text-gray-600 py-8">{t('review.noMatches')}</p>
+        )}
+        {visible.map((q) => {
+          const answer = answerById.get(q.id);
+          const number = questions.indexOf(q) + 1;
+          const partial = !answer.correct && answer.credit > 0;
+
+          return (
+            <div
+              key={q.id}
+              className={`bg-white rounded-lg p-5 shadow-sm border-l-4 ${answer.correct ? 'border-green-500' : partial ? 'border-yellow-500' : 'border-red-500'}`}
+            >
+              <div className="flex items-start gap-3 mb-3">
+                {answer.correct ? (
+                  <CheckCircle className="text-green-600 mt-0.5 flex-shrink-0" size={20} />
+                ) : partial ? (
+                  <AlertTriangle className="text-yellow-600 mt-0.5 flex-shrink-0" size={20} />
+                ) : (
+                  <XCircle className="text-red-600 mt-0.5 flex-shrink-0" size={20} />
+                )}
+                <h3 className="font-semibold text-gray-800">
+                  <span className="sr-only">{t(answer.correct ? 'review.correct' : partial ? 'review.partial' : 'review.incorrect')} </span>
+                  {number}. {q.question}
+                  {answer.flagged && (
+                    <span className="ml-2 text-xs font-semibold text-yellow-800 bg-yellow-100 px-2 py-0.5 rounded">
+                      {t('exam.flaggedBadge')}
+                    </span>
+                  )}
+                </h3>
+              </div>
+              {answer.choices !== undefined ? (
+                <div className="text-sm space-y-1 mb-3 ml-8">
+                  <AnswerLines
+                    correct={answer.correct}
+                    given={optionList(answer.choices, q.options)}
+                    expected={optionList(q.correct, q.options)}
+                  />
+                </div>
+              ) : answer.order !== undefined ? (
+                <div className="text-sm space-y-1 mb-3 ml-8">
+                  <AnswerLines
+                    correct={answer.correct}
+                    given={<OrderList order={answer.order} items={q.items} />}
+                    expected={<OrderList order={q.items.map((item, index) => index)} items={q.items} />}
+                  />
+                </div>
+              ) : answer.matches !== undefined ? (
+                <ul className="text-sm space-y-1 mb-3 ml-8">
+                  {q.pairs.map((pair, index) => {
+                    const matched = checkMatching(q, answer.matches).matched[index];
+                    const chosen = answer.matches[index] === null ? null : q.pairs[answer.matches[index]];
+                    return (
+                      <li key={index} className={matched ? 'text-green-800' : 'text-red-800'}>
+                        <span className="font-semibold">{pair.prompt}</span>{' → '}
+                        {chosen ? chosen.answer : <span className="italic">{t('review.noAnswer')}</span>}
+                        {!matched && (
+                          <span className="text-green-800">
+                            {' '}<span className="font-semibold">{t('review.correctAnswer')}</span> {pair.answer}
+                          </span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              ) : answer.zone !== undefined ? (
+                <div className="text-sm mb-3 ml-8">
+                  <pre className="bg-gray-50 rounded p-3 font-mono text-xs overflow-x-auto mb-2">{answer.zone}</pre>
+                  {!answer.correct && (
+                    <ZoneDiagnostics diagnostics={checkZoneExercise(answer.zone, q.zone).diagnostics} />
+                  )}
+                </div>
+              ) : (
+                <div className="text-sm space-y-1 mb-3 ml-8">
+                  <p className={answer.correct ? 'text-green-800' : 'text-red-800'}>
+                    <span className="font-semibold">{t('review.yourAnswer')}</span>{' '}
+                    {answer.command !== undefined ? (
+                      <span className="font-mono">{answer.command}</span>
+                    ) : answer.choice === null ? (
+                      <span className="italic">{t('review.noAnswer')}</span>
+                    ) : (
+                      q.options[answer.choice]
+                    )}
+                  </p>
+                  {!answer.correct && (
+                    <p className="text-green-800">
+                      <span className="font-semibold">{t('review.correctAnswer')}</span>{' '}
+                      {answer.command !== undefined ? (
+                        <span className="font-mono">{q.command.answers[0]}</span>
+                      ) : (
+                        q.options[q.correct]
+                      )}
+                    </p>
+                  )}
+                </div>
+              )}
+              {partial && (
+                <p className="text-sm font-semibold text-yellow-800 mb-3 ml-8">
+                  {t('review.credit', { percent: formatPercent(answer.credit * 100) })}
+                </p>
+              )}
+              <p className="text-sm text-gray-700 leading-relaxed ml-8">{q.explanation}</p>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewScreen;
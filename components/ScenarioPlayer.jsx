@@ -0,0 +1,164 @@
+/**
+ * Scenario Player
+ *
+ * Plays one troubleshooting scenario (see lib/scenarios.js): the incident
+ * brief, then a step at a time, each choice adding to a transcript of what
+ * was done and what dig printed. Commands run in a sandbox with the
+ * scenario's faults applied, in the order they are chosen, so the resolver
+ * cache behaves as it would on a real network. The case ends at a step
+ * without choices, with a score for how directly the root cause was found.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { ArrowLeft, ArrowRight, CheckCircle, XCircle, RotateCcw, Terminal } from 'lucide-react';
+import { createSandbox } from '../lib/dnsSandbox';
+import { followPath, scoreScenario } from '../lib/scenarios';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const ScenarioPlayer = ({ scenario, topics = [], environment, seed, onFinish, onRetry, onBack }) => {
+  const [sandbox] = useState(() => createSandbox(environment, seed, scenario.faults));
+  const [path, setPath] = useState([]);
+  // The output of each choice's command, by position in the path
+  const [outputs, setOutputs] = useState([]);
+  const [result, setResult] = useState(null);
+  const theme = useTheme();
+  const { t, formatPercent } = useI18n();
+
+  const { visited, current } = followPath(scenario, path);
+  const choices = current.choices || [];
+
+  // Focus follows the case to each new step, but not on mount
+  const stepHeading = useRef(null);
+  const hasMounted = useRef(false);
+  useEffect(() => {
+    if (hasMounted.current && stepHeading.current) stepHeading.current.focus();
+    hasMounted.current = true;
+  }, [path.length]);
+
+  const handleChoose = (index) => {
+    const choice = choices[index];
+    const nextPath = [...path, index];
+    setPath(nextPath);
+    setOutputs([...outputs, choice.command ? sandbox.run(choice.command) : null]);
+
+    if (!followPath(scenario, nextPath).current.choices?.length) {
+      const score = { ...scoreScenario(scenario, nextPath), date: new Date().toISOString() };
+      setResult(score);
+      onFinish(score);
+    }
+  };
+
+  const topicLabels = scenario.topics
+    .map((id) => (topics.find((topic) => topic.id === id) || { label: id }).label)
+    .join(', ');
+
+  return (
+    <div>
+      <div className="flex justify-between items-start gap-4 mb-2">
+        <h2 className="text-2xl font-bold text-gray-800">{scenario.title}</h2>
+        <span className="text-sm font-semibold text-gray-600 whitespace-nowrap">
+          {t('scenario.stepsTaken', { count: path.length })}
+        </span>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        {t(`level.${scenario.difficulty}`)}{topicLabels && ` · ${topicLabels}`}
+      </p>
+
+      <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+        <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-2">{t('scenario.brief')}</h3>
+        <p className="text-gray-800">{scenario.brief}</p>
+      </div>
+
+      <ol className="space-y-4 mb-6">
+        {visited.map(({ step, choice }, index) => (
+          <li key={index} className="bg-white rounded-lg p-4 shadow">
+            <p className="text-gray-700 mb-3">{step.text}</p>
+            <p className="text-sm font-semibold text-gray-800 flex items-center gap-2">
+              <ArrowRight aria-hidden="true" size={16} className="flex-shrink-0" />
+              <span className="sr-only">{t('scenario.youChose')}</span>
+              {choice.text}
+            </p>
+            {outputs[index] !== null && (
+              <div className="mt-3 bg-gray-900 text-gray-100 rounded-lg p-4 font-mono text-xs overflow-x-auto max-h-80 overflow-y-auto">
+                <p className="text-green-400">$ {choice.command}</p>
+                <pre className="whitespace-pre" style={{ tabSize: 8 }}>{outputs[index]}</pre>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+        <h3 ref={stepHeading} tabIndex={-1} className="sr-only">
+          {result ? t(result.solved ? 'scenario.solved' : 'scenario.unsolved') : t('scenario.next')}
+        </h3>
+        <p className="text-lg text-gray-800 mb-4">{current.text}</p>
+
+        {choices.length > 0 && (
+          <div className="space-y-3">
+            <p className="font-semibold text-gray-700">{t('scenario.next')}</p>
+            {choices.map((choice, index) => (
+              <button
+                key={index}
+                onClick={() => handleChoose(index)}
+                className={`w-full text-left p-4 rounded-lg border-2 border-gray-300 bg-white transition ${theme.selectable} ${theme.ring}`}
+              >
+                <span className="font-medium text-gray-800">{choice.text}</span>
+                {choice.command && (
+                  <span className="mt-1 flex items-center gap-2 font-mono text-sm text-gray-600">
+                    <Terminal aria-hidden="true" size={14} className="flex-shrink-0" />
+                    {choice.command}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {result && (
+        <div role="status" className={`mb-6 p-6 rounded-lg ${result.solved ? 'bg-green-50 border-2 border-green-200' : 'bg-red-50 border-2 border-red-200'}`}>
+          <p className={`flex items-center gap-2 text-lg font-bold mb-2 ${result.solved ? 'text-green-900' : 'text-red-900'}`}>
+            {result.solved ? <CheckCircle aria-hidden="true" size={22} /> : <XCircle aria-hidden="true" size={22} />}
+            {t(result.solved ? 'scenario.solved' : 'scenario.unsolved')}
+          </p>
+          <p className={result.solved ? 'text-green-800' : 'text-red-800'}>
+            {result.solved
+              ? t('scenario.score', { count: result.steps, optimal: result.optimal })
+              : t('scenario.noCredit')}
+            {' '}{t('scenario.credit', { percent: formatPercent(result.credit * 100) })}
+          </p>
+        </div>
+      )}
+
+      {result && (
+        <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+          <h3 className="font-semibold text-gray-800 mb-2">{t('scenario.debrief')}</h3>
+          <p className="text-gray-700">{scenario.explanation}</p>
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-3 justify-center">
+        <button
+          onClick={onBack}
+          className={`${theme.secondary} px-8 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2`}
+        >
+          <ArrowLeft size={20} />
+          {t('scenario.list')}
+        </button>
+        {result && (
+          <button
+            onClick={onRetry}
+            className={`${theme.primary} px-8 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2`}
+          >
+            <RotateCcw size={20} />
+            {t('scenario.retry')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioPlayer;
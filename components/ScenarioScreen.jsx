@@ -0,0 +1,91 @@
+/**
+ * Scenario Screen
+ *
+ * Scenario mode: lists the question set's troubleshooting scenarios with
+ * the best result so far, and plays the one picked (see ScenarioPlayer).
+ * Every case is set in the attempt's lab environment, shown above it.
+ */
+
+import React, { useState } from 'react';
+import { ArrowLeft, ArrowRight, CheckCircle } from 'lucide-react';
+import { resolveScenario } from '../lib/questionSet';
+import EnvironmentPanel from './EnvironmentPanel';
+import ScenarioPlayer from './ScenarioPlayer';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const ScenarioScreen = ({ scenarios, topics = [], environment, seed, results = {}, onResult, onClose }) => {
+  const [active, setActive] = useState(null);
+  // Bumped on every retry so the player starts over with a fresh sandbox
+  const [run, setRun] = useState(0);
+  const theme = useTheme();
+  const { t, formatPercent } = useI18n();
+
+  const activeScenario = active && scenarios.find((scenario) => scenario.id === active);
+
+  const bestLabel = (best) => {
+    if (!best) return t('scenario.notPlayed');
+    if (!best.solved) return t('scenario.notSolved');
+    return t('scenario.best', { count: best.steps, percent: formatPercent(best.credit * 100) });
+  };
+
+  return (
+    <div className={`max-w-2xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      <EnvironmentPanel environment={environment} />
+
+      {activeScenario ? (
+        <ScenarioPlayer
+          key={`${active}-${run}`}
+          scenario={resolveScenario(activeScenario, environment)}
+          topics={topics}
+          environment={environment}
+          seed={`${seed}-${active}-${run}`}
+          onFinish={(result) => onResult(active, result)}
+          onRetry={() => setRun(run + 1)}
+          onBack={() => setActive(null)}
+        />
+      ) : (
+        <>
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('scenario.heading')}</h2>
+          <p className="text-gray-600 mb-6">{t('scenario.intro')}</p>
+
+          <ul className="space-y-4 mb-6">
+            {scenarios.map((scenario) => {
+              const best = results[scenario.id];
+              return (
+                <li key={scenario.id} className="bg-white rounded-lg p-6 shadow-md">
+                  <div className="flex justify-between items-start gap-4 mb-1">
+                    <h3 className="text-lg font-semibold text-gray-800">{scenario.title}</h3>
+                    <span className="text-sm text-gray-600 whitespace-nowrap">{t(`level.${scenario.difficulty}`)}</span>
+                  </div>
+                  <p className={`text-sm mb-4 flex items-center gap-1 ${best && best.solved ? 'text-green-700 font-semibold' : 'text-gray-500'}`}>
+                    {best && best.solved && <CheckCircle aria-hidden="true" size={16} />}
+                    {bestLabel(best)}
+                  </p>
+                  <button
+                    onClick={() => {
+                      setActive(scenario.id);
+                      setRun(run + 1);
+                    }}
+                    aria-label={`${t('scenario.start')}: ${scenario.title}`}
+                    className={`${theme.primary} px-6 py-2 rounded-lg font-semibold transition flex items-center gap-2`}
+                  >
+                    {t('scenario.start')}
+                    <ArrowRight size={18} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <button onClick={onClose} className={`text-sm ${theme.link} font-semibold transition flex items-center gap-1`}>
+            <ArrowLeft size={16} />
+            {t('scenario.back')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioScreen;
@@ -0,0 +1,267 @@
+/**
+ * Start Screen
+ *
+ * Lets the learner pick which topics to be quizzed on and how many
+ * questions to answer before an attempt begins, start an adaptive quiz or a
+ * timed exam, or start a spaced-repetition study session with today's due
+ * questions. Question sets with troubleshooting scenarios get a panel that
+ * opens scenario mode. Trainers
+ * can also import and export the question set here, and groups can host or
+ * join a quiz night.
+ */
+
+import React, { useState } from 'react';
+import { ArrowRight, BookOpen, Clock, Gauge, Wrench } from 'lucide-react';
+import { countByTopic, filterByTopics } from '../lib/topics';
+import { countDue, getStudyQueue, masteryByTopic } from '../lib/srs';
+import { formatDuration } from '../lib/exam';
+import QuestionBankPanel from './QuestionBankPanel';
+import QuizNightPanel from './QuizNightPanel';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const COUNT_PRESETS = [10, 25];
+
+const StartScreen = ({
+  title,
+  questions,
+  topics = [],
+  initialTopics = null,
+  initialCount = null,
+  studyCards = {},
+  exam,
+  adaptive,
+  onStart,
+  onStartAdaptive,
+  onStartExam,
+  onStartStudy,
+  scenarioCount = 0,
+  onOpenScenarios,
+  onHostNight,
+  onJoinNight,
+  importedSet = false,
+  onImportSet,
+  onExportSet,
+  onEditSet,
+  onResetSet
+}) => {
+  const [selectedTopics, setSelectedTopics] = useState(initialTopics || []);
+  const [count, setCount] = useState(initialCount);
+  const theme = useTheme();
+  const { t, formatPercent } = useI18n();
+
+  const topicCounts = countByTopic(questions);
+  const pool = filterByTopics(questions, selectedTopics);
+  const available = pool.length;
+  const { due, unseen } = countDue(pool, studyCards);
+  const studyQueueLength = getStudyQueue(pool, studyCards).length;
+  const mastery = masteryByTopic(questions, studyCards, topics);
+  const effectiveCount = count ? Math.min(count, available) : available;
+  // Exams and quiz nights only use multiple-choice questions
+  const examAvailable = pool.filter((q) => q.type === 'choice').length;
+  const examCount = count ? Math.min(count, examAvailable) : examAvailable;
+
+  const toggleTopic = (id) => {
+    setSelectedTopics((current) =>
+      current.includes(id) ? current.filter((topic) => topic !== id) : [...current, id]
+    );
+  };
+
+  const handleStart = () => {
+    onStart({
+      topics: selectedTopics.length > 0 ? selectedTopics : null,
+      count: count && count < available ? count : null
+    });
+  };
+
+  const handleStartExam = () => {
+    onStartExam({
+      topics: selectedTopics.length > 0 ? selectedTopics : null,
+      count: count && count < examAvailable ? count : null
+    });
+  };
+
+  const handleHostNight = () => {
+    onHostNight({
+      topics: selectedTopics.length > 0 ? selectedTopics : null,
+      count: count && count < examAvailable ? count : null
+    });
+  };
+
+  const chipClass = (active) =>
+    `px-4 py-2 rounded-lg border-2 text-sm font-medium transition ${theme.ring} ` +
+    (active
+      ? theme.selected
+      : `border-gray-300 text-gray-700 ${theme.selectable}`);
+
+  return (
+    <div className={`max-w-2xl mx-auto p-6 ${theme.surface} rounded-lg shadow-lg`}>
+      <h2 className="text-3xl font-bold text-gray-800 mb-2">{title}</h2>
+      <p className="text-gray-600 mb-6">{t('start.intro')}</p>
+
+      {topics.length > 0 && (
+        <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">{t('start.topics')}</h3>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => setSelectedTopics([])}
+              aria-pressed={selectedTopics.length === 0}
+              className={chipClass(selectedTopics.length === 0)}
+            >
+              {t('start.allTopics')}
+            </button>
+            {topics.filter((topic) => topicCounts[topic.id]).map((topic) => (
+              <button
+                key={topic.id}
+                onClick={() => toggleTopic(topic.id)}
+                aria-pressed={selectedTopics.includes(topic.id)}
+                className={chipClass(selectedTopics.includes(topic.id))}
+              >
+                {topic.label} <span className="text-gray-400">({topicCounts[topic.id]})</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">{t('start.count')}</h3>
+        <div className="flex flex-wrap gap-2">
+          {COUNT_PRESETS.filter((preset) => preset < available).map((preset) => (
+            <button
+              key={preset}
+              onClick={() => setCount(preset)}
+              aria-pressed={count === preset}
+              className={chipClass(count === preset)}
+            >
+              {preset}
+            </button>
+          ))}
+          <button
+            onClick={() => setCount(null)}
+            aria-pressed={!count || count >= available}
+            className={chipClass(!count || count >= available)}
+          >
+            {t('start.all', { count: available })}
+          </button>
+        </div>
+      </div>
+
+      <button
+        onClick={handleStart}
+        disabled={available === 0}
+        className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50`}
+      >
+        {t('start.start', { count: effectiveCount })}
+        <ArrowRight size={20} />
+      </button>
+
+      {onStartAdaptive && adaptive && (
+        <div className="bg-white rounded-lg p-6 shadow-md mt-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('start.adaptive')}</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            {t('start.adaptiveIntro', { min: adaptive.minQuestions, max: Math.min(adaptive.maxQuestions, available) })}
+          </p>
+          <button
+            onClick={() => onStartAdaptive({ topics: selectedTopics.length > 0 ? selectedTopics : null })}
+            disabled={available === 0}
+            className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50`}
+          >
+            <Gauge size={20} />
+            {t('start.startAdaptive')}
+          </button>
+        </div>
+      )}
+
+      {onStartExam && exam && (
+        <div className="bg-white rounded-lg p-6 shadow-md mt-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('start.exam')}</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            {exam.questionTimeLimit
+              ? t('start.examPerQuestion', { time: formatDuration(exam.questionTimeLimit) })
+              : exam.timeLimit
+                ? t('start.examTotal', { time: formatDuration(exam.timeLimit) })
+                : t('start.examUntimed')}
+            {' · '}{t('start.examRules', { passMark: formatPercent(exam.passMark) })}
+          </p>
+          <button
+            onClick={handleStartExam}
+            disabled={examAvailable === 0}
+            className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50`}
+          >
+            <Clock size={20} />
+            {t('start.startExam', { count: examCount })}
+          </button>
+        </div>
+      )}
+
+      {onStartStudy && (
+        <div className="bg-white rounded-lg p-6 shadow-md mt-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-800">{t('start.study')}</h3>
+            <span className={`text-sm font-semibold ${theme.accent}`}>
+              {t('start.due', { count: due })}
+              {unseen > 0 ? ` · ${t('start.unseen', { count: unseen })}` : ''}
+            </span>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">{t('start.studyIntro')}</p>
+          {mastery.length > 0 && (
+            <div className="space-y-2 mb-4">
+              {mastery.map((topic) => (
+                <div key={topic.id} className="text-sm">
+                  <div className="flex justify-between text-gray-700 mb-1">
+                    <span>{topic.label}</span>
+                    <span>{t('start.mastered', { percent: formatPercent(topic.percent) })}</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div className="bg-green-500 h-2 rounded-full" style={{ width: `${topic.percent}%` }} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          <button
+            onClick={() => onStartStudy({ topics: selectedTopics.length > 0 ? selectedTopics : null })}
+            disabled={studyQueueLength === 0}
+            className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50`}
+          >
+            <BookOpen size={20} />
+            {studyQueueLength > 0 ? t('start.startStudy', { count: studyQueueLength }) : t('start.nothingDue')}
+          </button>
+        </div>
+      )}
+
+      {onOpenScenarios && scenarioCount > 0 && (
+        <div className="bg-white rounded-lg p-6 shadow-md mt-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('start.scenarios')}</h3>
+          <p className="text-sm text-gray-600 mb-4">{t('start.scenariosIntro')}</p>
+          <button
+            onClick={onOpenScenarios}
+            className={`w-full ${theme.secondary} px-6 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2`}
+          >
+            <Wrench size={20} />
+            {t('start.openScenarios', { count: scenarioCount })}
+          </button>
+        </div>
+      )}
+
+      {onHostNight && (
+        <QuizNightPanel questionCount={examCount} onHost={handleHostNight} onJoin={onJoinNight} />
+      )}
+
+      {onImportSet && (
+        <QuestionBankPanel
+          title={title}
+          questionCount={questions.length}
+          imported={importedSet}
+          onImport={onImportSet}
+          onExport={onExportSet}
+          onEdit={onEditSet}
+          onReset={onResetSet}
+        />
+      )}
+    </div>
+  );
+};
+
+export default StartScreen;
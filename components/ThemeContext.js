@@ -0,0 +1,13 @@
+/**
+ * Theme Context
+ *
+ * Makes the resolved theme (see lib/theme.js) available to every quiz
+ * screen without threading it through each component's props.
+ */
+
+import { createContext, useContext } from 'react';
+import { THEMES } from '../lib/theme';
+
+export const ThemeContext = createContext(THEMES.indigo);
+
+export const useTheme = () => useContext(ThemeContext);
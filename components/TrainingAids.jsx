@@ -0,0 +1,63 @@
+/**
+ * Training Aids
+ *
+ * The hint and 50/50 buttons above a question's answers in training
+ * attempts, and the hint once taken. The hint button says what it costs;
+ * the 50/50 button how many are left in the attempt. Both go once the
+ * question is answered, the hint text stays.
+ */
+
+import React from 'react';
+import { Divide, Lightbulb } from 'lucide-react';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+const TrainingAids = ({
+  hint,
+  hintShown,
+  hintCost,
+  canRemove,
+  lifelinesLeft,
+  answered,
+  onHint,
+  onFiftyFifty
+}) => {
+  const theme = useTheme();
+  const { t, formatPercent } = useI18n();
+  const buttonClass = `${theme.secondary} ${theme.ring} px-3 py-1.5 rounded-lg font-semibold transition flex items-center gap-1 disabled:opacity-50`;
+  const offerHint = Boolean(hint) && !hintShown;
+
+  return (
+    <>
+      {!answered && (offerHint || canRemove) && (
+        <div className="flex flex-wrap gap-2 mb-4 text-sm">
+          {offerHint && (
+            <button onClick={onHint} className={buttonClass}>
+              <Lightbulb aria-hidden="true" size={16} />
+              {t('training.hint', { percent: formatPercent(hintCost * 100) })}
+            </button>
+          )}
+          {canRemove && (
+            <button onClick={onFiftyFifty} disabled={lifelinesLeft <= 0} className={buttonClass}>
+              <Divide aria-hidden="true" size={16} />
+              {t('training.fiftyFifty', { count: Math.max(0, lifelinesLeft) })}
+            </button>
+          )}
+        </div>
+      )}
+      {/* Always rendered so screen readers announce the hint when it appears */}
+      <div aria-live="polite">
+        {hint && hintShown && (
+          <div className="flex items-start gap-2 bg-amber-50 border border-amber-200 rounded-lg p-3 mb-4 text-sm text-amber-900">
+            <Lightbulb aria-hidden="true" size={18} className="mt-0.5 flex-shrink-0" />
+            <p>
+              <span className="font-semibold">{t('training.hintLabel')}</span> {hint}
+            </p>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default TrainingAids;
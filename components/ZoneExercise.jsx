@@ -0,0 +1,105 @@
+/**
+ * Zone File Exercise
+ *
+ * An editor for writing or fixing a BIND zone file. Problems are listed by
+ * line as the learner types; submitting grades the zone against the
+ * exercise's required records (see lib/zoneFile.js).
+ */
+
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { checkZone, checkZoneExercise } from '../lib/zoneFile';
+import { useTheme } from './ThemeContext';
+import { useI18n } from './I18nContext';
+
+export const ZoneDiagnostics = ({ diagnostics }) => {
+  const { t } = useI18n();
+
+  return (
+    <ul className="space-y-1 text-sm">
+      {diagnostics.map((diagnostic, index) => (
+        <li
+          key={index}
+          className={`flex items-start gap-2 ${diagnostic.severity === 'error' ? 'text-red-800' : 'text-yellow-800'}`}
+        >
+          {diagnostic.severity === 'error' ? (
+            <XCircle className="text-red-600 mt-0.5 flex-shrink-0" size={16} />
+          ) : (
+            <AlertTriangle className="text-yellow-600 mt-0.5 flex-shrink-0" size={16} />
+          )}
+          <span>
+            <span className="font-mono">{t('zone.line', { line: diagnostic.line })}</span> {diagnostic.message}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const ZoneExercise = ({ zone, answered, submitted, onSubmit }) => {
+  const [text, setText] = useState(zone.starter);
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  const current = answered ? submitted : text;
+  const { diagnostics } = checkZone(current, zone.origin);
+  const result = answered ? checkZoneExercise(submitted, zone) : null;
+  const lineCount = current.split('\n').length;
+
+  return (
+    <div>
+      <p className="text-gray-700 mb-4">{zone.prompt}</p>
+
+      <div className={`flex border-2 border-gray-300 rounded-lg overflow-hidden ${theme.focus} mb-4`}>
+        <pre className="bg-gray-50 text-gray-400 text-right font-mono text-sm py-3 px-2 select-none leading-6">
+          {Array.from({ length: lineCount }, (_, index) => index + 1).join('\n')}
+        </pre>
+        <textarea
+          value={current}
+          onChange={(e) => setText(e.target.value)}
+          readOnly={answered}
+          rows={Math.max(lineCount, 8)}
+          wrap="off"
+          spellCheck={false}
+          aria-label={t('zone.editorLabel', { origin: zone.origin })}
+          className="flex-1 font-mono text-sm py-3 px-3 outline-none resize-none leading-6 bg-white"
+        />
+      </div>
+
+      {diagnostics.length > 0 ? (
+        <div className="mb-4">
+          <ZoneDiagnostics diagnostics={diagnostics} />
+        </div>
+      ) : (
+        <p className="text-sm text-green-800 flex items-center gap-2 mb-4">
+          <CheckCircle className="text-green-600" size={16} />
+          {t('zone.clean')}
+        </p>
+      )}
+
+      {result && result.missing.length > 0 && (
+        <div className="text-sm text-red-800 mb-4">
+          <p className="font-semibold mb-1">{t('zone.missing')}</p>
+          <ul className="list-disc ml-6 font-mono">
+            {result.missing.map((requirement, index) => (
+              <li key={index}>
+                {requirement.name} {requirement.type}{requirement.data ? ` ${requirement.data}` : ''}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!answered && (
+        <button
+          onClick={() => onSubmit(text)}
+          className={`w-full ${theme.primary} px-6 py-3 rounded-lg font-semibold transition`}
+        >
+          {t('zone.check')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ZoneExercise;
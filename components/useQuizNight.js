@@ -0,0 +1,66 @@
+/**
+ * Quiz Night Hooks
+ *
+ * useQuizNight keeps one connection to the quiz night server open for the
+ * lifetime of a host or player screen (see lib/quizNight.js), and
+ * useCountdown turns a question's deadline into whole seconds left.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { connectQuizNight } from '../lib/quizNight';
+
+/**
+ * Connect to the server and send `hello` (the host or join message) once
+ * connected. Messages go to the latest onMessage, so handlers can close over
+ * fresh state. reconnect() opens a new connection and sends `hello` again.
+ *
+ * @param {string} server - WebSocket URL
+ * @param {Object} hello
+ * @param {(message: Object) => void} onMessage
+ * @returns {{ send: (message: Object) => void, lost: boolean, reconnect: () => void }}
+ */
+export const useQuizNight = (server, hello, onMessage) => {
+  const latest = useRef(onMessage);
+  latest.current = onMessage;
+  const connection = useRef(null);
+  const [lost, setLost] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const opened = connectQuizNight(server, {
+      onMessage: (message) => latest.current(message),
+      onClose: () => setLost(true)
+    });
+    opened.send(hello);
+    connection.current = opened;
+    return () => opened.close();
+  }, [server, attempt]);
+
+  const send = useCallback((message) => {
+    if (connection.current) connection.current.send(message);
+  }, []);
+
+  const reconnect = useCallback(() => {
+    setLost(false);
+    setAttempt((count) => count + 1);
+  }, []);
+
+  return { send, lost, reconnect };
+};
+
+/**
+ * Whole seconds until the deadline (a Date.now() timestamp), updated while
+ * it runs. null when there is no deadline.
+ */
+export const useCountdown = (deadline) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [deadline]);
+
+  return deadline ? Math.max(0, Math.ceil((deadline - now) / 1000)) : null;
+};
@@ -0,0 +1,16 @@
+/**
+ * Instructor Dashboard Entry Point
+ *
+ * Mounts InstructorDashboard against the server that serves the page.
+ * Bundle this file to dashboard/dashboard.js (and the Tailwind output to
+ * dashboard/dashboard.css), then start the dashboard server with
+ * `--static dashboard`.
+ */
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import InstructorDashboard from '../components/InstructorDashboard';
+
+createRoot(document.getElementById('root')).render(
+  <InstructorDashboard server={window.location.origin} />
+);
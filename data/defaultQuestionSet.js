@@ -0,0 +1,1343 @@
+/**
+ * Built-in DNS Question Set
+ *
+ * The default question bank shipped with DNSQuiz: 68 multiple-choice
+ * questions (five of them about a DNS message's hex dump), a multi-select,
+ * an ordering and a matching question, plus zone-file exercises, and two
+ * troubleshooting scenarios (data/scenarios.js). Domain names and lab addresses are
+ * written as {{placeholder}} tokens and filled in from the session's
+ * generated environment at render time (see lib/questionSet.js and
+ * lib/environment.js). Every question has a hint for training attempts
+ * that points the way without giving the answer away. German and Brazilian
+ * Portuguese translations live in data/translations/.
+ *
+ * Topics:
+ * - records     DNS record types and zone data
+ * - bind        BIND 9 configuration and zone files
+ * - okd         OKD/OpenShift DNS requirements
+ * - tools       dig and nslookup usage
+ * - dnssec      DNSSEC and DNS security
+ * - resolvers   Recursive resolvers and alternative DNS servers
+ * - public-dns  Public DNS providers, DoH and DoT
+ */
+
+import de from './translations/de';
+import ptBR from './translations/pt-BR';
+import scenarios from './scenarios';
+
+const defaultQuestionSet = {
+  id: 'dns-core',
+  title: 'DNS Knowledge Quiz',
+  version: 1,
+  topics: [
+    { id: 'records', label: 'DNS Records' },
+    { id: 'bind', label: 'BIND 9' },
+    { id: 'okd', label: 'OKD/OpenShift' },
+    { id: 'tools', label: 'dig & nslookup' },
+    { id: 'dnssec', label: 'DNSSEC & Security' },
+    { id: 'resolvers', label: 'Resolvers' },
+    { id: 'public-dns', label: 'Public DNS' }
+  ],
+  questions: [
+    {
+      id: 'a-record',
+      topics: ['records'],
+      difficulty: 'beginner',
+      rating: -2.2,
+      question: "What type of DNS record maps a hostname to an IPv4 address?",
+      options: ["AAAA record", "A record", "CNAME record", "PTR record"],
+      correct: 1,
+      hint: "The record type is named after the word 'Address'; IPv6 gets a longer name.",
+      explanation: "An A record (Address record) maps a hostname to an IPv4 address. For example, 'web.{{example}} A {{webIp}}' tells DNS that web.{{example}} is at IP {{webIp}}. AAAA records are for IPv6 addresses, CNAME creates aliases, and PTR does reverse lookups (IP to hostname)."
+    },
+    {
+      id: 'zone-at-symbol',
+      topics: ['bind'],
+      difficulty: 'beginner',
+      rating: -1.2,
+      question: "In a BIND zone file, what does the @ symbol represent?",
+      options: ["The DNS server's IP", "The zone origin/domain name", "A comment", "An alias"],
+      correct: 1,
+      hint: "Think of the name the whole zone file is about, the one $ORIGIN sets.",
+      explanation: "The @ symbol is shorthand for the zone origin, which is the domain name of the zone itself. If your zone file is for '{{primary}}', then @ represents '{{primary}}'. This saves you from typing the full domain name repeatedly. For example, '@ IN A {{dnsIp}}' means '{{primary}} IN A {{dnsIp}}'."
+    },
+    {
+      id: 'split-horizon',
+      topics: ['bind'],
+      difficulty: 'intermediate',
+      rating: 0.1,
+      question: "What is split-horizon DNS?",
+      options: [
+        "DNS that works over two ISPs",
+        "Serving different DNS answers to internal vs external clients",
+        "A backup DNS configuration",
+        "DNS that splits traffic between servers"
+      ],
+      correct: 1,
+      hint: "The 'horizon' is the edge of your network: who is asking decides what they see.",
+      explanation: "Split-horizon DNS means serving different DNS responses based on who's asking. Internal clients might get private IPs (like {{ingressIp}} for {{secondary}}) while external clients get your public IP. This is accomplished in BIND using 'views' - one for trusted/internal clients and one for external. It's perfect for homelabs where you want internal direct access but also public access to services."
+    },
+    {
+      id: 'mx-record',
+      topics: ['records'],
+      difficulty: 'beginner',
+      rating: -2.0,
+      question: "Which DNS record type is used to specify mail servers for a domain?",
+      options: ["A record", "MX record", "CNAME record", "TXT record"],
+      correct: 1,
+      hint: "The record's two letters stand for 'Mail eXchanger'.",
+      explanation: "MX (Mail Exchange) records specify which servers handle email for a domain. They include a priority number - lower numbers are tried first. For example: '{{example}} MX 10 mail.{{example}}' means mail.{{example}} handles email, and the priority is 10. If you have multiple mail servers, you can list them with different priorities for redundancy."
+    },
+    {
+      id: 'ptr-record',
+      topics: ['records'],
+      difficulty: 'beginner',
+      rating: -1.4,
+      question: "What is the purpose of a PTR record?",
+      options: [
+        "Points to a primary server",
+        "Creates an alias for a hostname",
+        "Maps an IP address back to a hostname (reverse DNS)",
+        "Specifies the mail server priority"
+      ],
+      correct: 2,
+      hint: "It lives under in-addr.arpa and answers the question 'who is this address?'.",
+      explanation: "PTR (Pointer) records provide reverse DNS - mapping an IP address back to a hostname. While normal DNS goes from name to IP (forward lookup), PTR goes from IP to name (reverse lookup). These are crucial for mail servers (spam filters check them) and are stored in special reverse zones like '{{reverseZone}}' for the {{subnet}} network. Example: '{{nodeReverse}}. IN PTR master01.{{cluster}}.' maps {{nodeIp}} to master01.{{cluster}}."
+    },
+    {
+      id: 'okd-apps-wildcard',
+      topics: ['okd'],
+      difficulty: 'intermediate',
+      rating: 0.2,
+      question: "In an OKD/OpenShift cluster, what is the purpose of the wildcard DNS record *.apps.{{cluster}}?",
+      options: [
+        "To load balance between API servers",
+        "To route all application traffic through the ingress controller",
+        "To enable cluster communication",
+        "To configure storage"
+      ],
+      correct: 1,
+      hint: "Every route an application exposes ends in .apps; one component receives all of that HTTP traffic.",
+      explanation: "The wildcard *.apps record points ALL application routes to the OKD ingress controller/router. When you deploy an app that creates a route like 'myapp.apps.{{cluster}}' or '{{secondaryName}}.apps.{{cluster}}', the wildcard catches it and sends traffic to your ingress IP (like {{ingressIp}}). The ingress controller then uses HTTP host headers to route to the correct application pod. This is how OpenShift/OKD does multi-tenancy and dynamic routing without creating individual DNS records for each app."
+    },
+    {
+      id: 'ttl',
+      topics: ['records'],
+      difficulty: 'beginner',
+      rating: -1.8,
+      question: "What does TTL stand for in DNS, and what does it control?",
+      options: [
+        "Total Transfer Limit - maximum zone size",
+        "Time To Live - how long a DNS record is cached",
+        "Transfer Time Limit - maximum query time",
+        "Tunneling Transport Layer - encryption method"
+      ],
+      correct: 1,
+      hint: "The same idea as a packet's hop limit in IP: a lifetime after which a copy must be thrown away.",
+      explanation: "TTL (Time To Live) specifies how long (in seconds) a DNS record should be cached by resolvers before checking for updates. A TTL of 300 means 5 minutes - clients can cache that record for 5 minutes before querying again. Lower TTLs mean more frequent queries (more load) but faster propagation of changes. Higher TTLs reduce load but changes take longer to propagate. For dynamic IPs, you want low TTLs (300-600). For stable infrastructure, higher TTLs (3600-86400) are fine."
+    },
+    {
+      id: 'cname-vs-a',
+      topics: ['records'],
+      difficulty: 'beginner',
+      rating: -1.3,
+      question: "What is the difference between a CNAME and an A record?",
+      options: [
+        "CNAME is for IPv6, A is for IPv4",
+        "CNAME creates an alias to another name, A points to an IP",
+        "CNAME is faster than A records",
+        "A records cost more than CNAMEs"
+      ],
+      correct: 1,
+      hint: "One of the two never holds an address itself, only another name to look up.",
+      explanation: "A CNAME (Canonical Name) creates an alias that points to another hostname, while an A record points directly to an IP address. For example: 'www CNAME @' means www.{{example}} is an alias for {{example}} (which has the A record). CNAMEs cannot exist at the zone apex (@) and cannot coexist with other record types for the same name. The resolver follows the CNAME to find the eventual A/AAAA record. CNAMEs are useful when multiple names should point to the same place - change one A record instead of many."
+    },
+    {
+      id: 'soa-contents',
+      topics: ['records', 'bind'],
+      difficulty: 'intermediate',
+      rating: -0.2,
+      question: "What information is contained in a DNS SOA (Start of Authority) record?",
+      options: [
+        "Server IP addresses",
+        "Mail server settings",
+        "Zone metadata: primary server, admin email, serial, timers",
+        "Security certificates"
+      ],
+      correct: 2,
+      hint: "It's the first record of every zone and describes the zone itself, not any host in it.",
+      explanation: "The SOA record appears at the start of every zone file and contains critical metadata: (1) Primary nameserver for the zone, (2) Administrator's email (with @ replaced by .), (3) Serial number (used to track zone versions - increment when you make changes!), (4) Refresh timer (how often secondaries check for updates), (5) Retry timer (how long to wait if refresh fails), (6) Expire timer (when to stop serving if primary is unreachable), (7) Negative TTL (how long to cache 'domain doesn't exist' responses). This is the zone's 'birth certificate' - it must be correct!"
+    },
+    {
+      id: 'bind-views',
+      topics: ['bind'],
+      difficulty: 'intermediate',
+      rating: 0.3,
+      question: "In BIND configuration, what is the purpose of 'views'?",
+      options: [
+        "To monitor DNS traffic",
+        "To serve different DNS answers to different clients",
+        "To create DNS dashboards",
+        "To replicate zones"
+      ],
+      correct: 1,
+      hint: "A view matches clients, for example with match-clients, before any zone is consulted.",
+      explanation: "Views in BIND allow you to serve completely different DNS responses based on who's asking (matched by source IP). This is how you implement split-horizon DNS. You might have an 'internal' view that matches your LAN IPs (ACL 'trusted') with full zone data including private IPs, and an 'external' view for everyone else with only public-facing records. Each view can have its own zones, forwarders, and recursion settings. This is perfect for homelab scenarios where internal clients need private IPs but external clients need public IPs for the same hostnames."
+    },
+    {
+      id: 'soa-serial',
+      topics: ['bind'],
+      difficulty: 'intermediate',
+      rating: -0.3,
+      question: "Why is it important to increment the SOA serial number when you update a zone file?",
+      options: [
+        "For backup purposes",
+        "To notify secondary servers that the zone has changed",
+        "To improve DNS speed",
+        "It's not important"
+      ],
+      correct: 1,
+      hint: "Secondaries compare one number with their own copy to decide whether to transfer the zone.",
+      explanation: "The SOA serial number is THE mechanism that tells secondary (slave) DNS servers that a zone has been updated. Secondaries periodically check the primary's serial number. If it's HIGHER than their cached version, they request a zone transfer (AXFR or IXFR) to get the updates. If you forget to increment it, secondaries won't know to update! Convention is YYYYMMDDNN (2024122401 for first edit on Dec 24, 2024). Even if you don't have secondaries now, it's good practice - you might add them later, and the serial tracks your change history."
+    },
+    {
+      id: 'recursive-query',
+      topics: ['resolvers'],
+      difficulty: 'intermediate',
+      rating: 0.0,
+      question: "What type of DNS query does a recursive resolver perform?",
+      options: [
+        "It only checks its cache",
+        "It queries the entire DNS hierarchy on behalf of the client",
+        "It only forwards to other servers",
+        "It only serves authoritative answers"
+      ],
+      correct: 1,
+      hint: "'Recursive' means the resolver does all the legwork so the client gets a final answer.",
+      explanation: "A recursive resolver does the FULL DNS resolution work for the client. When you ask it for '{{secondary}}', it: (1) Checks its cache first, (2) If not cached, queries root servers to find {{secondaryTld}} nameservers, (3) Queries {{secondaryTld}} servers to find {{secondary}} nameservers, (4) Queries {{secondary}} nameservers for the final answer, (5) Returns the result to you and caches it. The client gets a single answer - the resolver did all the work. This is different from iterative queries where each server says 'ask this next server' and the client does the work. Most DNS servers you configure (like BIND on OPNsense) are recursive resolvers for your internal network."
+    },
+    {
+      id: 'okd-preinstall-record',
+      topics: ['okd'],
+      difficulty: 'intermediate',
+      rating: 0.5,
+      question: "For your OKD cluster, what DNS record must resolve BEFORE installation will succeed?",
+      options: [
+        "*.apps.{{cluster}} only",
+        "api.{{cluster}} only",
+        "Both api.{{cluster}} and api-int.{{cluster}}",
+        "Only the worker node records"
+      ],
+      correct: 2,
+      hint: "The installer and the nodes both talk to the Kubernetes API, from outside and from inside the cluster.",
+      explanation: "OKD/OpenShift installation REQUIRES both api.{{cluster}} and api-int.{{cluster}} to resolve before it will even start. The installer validates DNS as a preflight check. 'api' is the external API endpoint and 'api-int' is the internal API endpoint - they often point to the same IP/load balancer but MUST both exist. Additionally, the installer checks that *.apps.{{cluster}} resolves (for application routing) and that reverse DNS works for the nodes. Missing or incorrect DNS is the #1 reason OKD installations fail. Always test with 'dig' before running the installer!"
+    },
+    {
+      id: 'srv-record',
+      topics: ['records', 'okd'],
+      difficulty: 'intermediate',
+      rating: -0.1,
+      question: "What is the purpose of SRV records in DNS?",
+      options: [
+        "To serve web pages",
+        "To specify the location (hostname + port) of specific services",
+        "To create subdomains",
+        "To handle email routing"
+      ],
+      correct: 1,
+      hint: "An SRV name like _ldap._tcp.{{primary}} answers 'where' and 'on which port'.",
+      explanation: "SRV (Service) records specify not just WHERE a service is (hostname) but also WHAT PORT it runs on and its priority/weight for load balancing. Format: '_service._protocol.domain SRV priority weight port target'. For example, OKD uses SRV records for etcd discovery: '_etcd-server-ssl._tcp.{{cluster}} SRV 0 10 2380 etcd-0.{{cluster}}' tells clients that the etcd SSL service runs on etcd-0.{{cluster}} at port 2380. This allows clients to automatically discover services without hardcoding ports. Common uses: LDAP, SIP (VoIP), XMPP (chat), and Kubernetes/etcd."
+    },
+    {
+      id: 'cloudflare-ddns',
+      topics: ['public-dns'],
+      difficulty: 'intermediate',
+      rating: -0.4,
+      question: "When using Cloudflare for dynamic DNS, what gets updated when your public IP changes?",
+      options: [
+        "Your BIND configuration on OPNsense",
+        "The A records at Cloudflare pointing to your public IP",
+        "Your internal zone files",
+        "The TTL values"
+      ],
+      correct: 1,
+      hint: "Dynamic DNS keeps the public name pointing at whatever address your ISP handed out.",
+      explanation: "When using dynamic DNS with Cloudflare, a client (like OPNsense's ddclient or a script) detects when your ISP-assigned public IP changes and uses Cloudflare's API to UPDATE the A record(s) at Cloudflare to point to your NEW public IP. For example, if '{{secondary}}' pointed to 203.0.113.45 and your IP changes to 203.0.113.67, the dynamic DNS client updates Cloudflare so {{secondary}} now points to .67. Your BIND configuration and internal zone files DON'T change - they still point to internal IPs (10.0.1.x). This is why split-horizon is important: internal clients use BIND (private IPs), external clients use Cloudflare (public IP)."
+    },
+    {
+      id: 'bind-forwarders',
+      topics: ['bind', 'resolvers'],
+      difficulty: 'intermediate',
+      rating: -0.2,
+      question: "What is the purpose of the 'forwarders' directive in BIND configuration?",
+      options: [
+        "To send email",
+        "To specify upstream DNS servers for queries you can't answer",
+        "To copy zone files to other servers",
+        "To enable IPv6"
+      ],
+      correct: 1,
+      hint: "Forwarding sends queries the server can't answer itself on to other resolvers.",
+      explanation: "The 'forwarders' directive tells BIND which upstream DNS servers to query for domains you're not authoritative for. Instead of doing full recursive resolution (querying root servers, TLD servers, etc.), BIND forwards the query to these servers (like 1.1.1.1 or 8.8.8.8) and caches their response. This is faster and reduces load. Example: Your BIND is authoritative for {{primary}} and {{cluster}}, but when someone queries 'google.com', BIND forwards to Cloudflare (1.1.1.1), gets the answer, caches it, and returns it to the client. You can set global forwarders or per-zone forwarders."
+    },
+    {
+      id: 'zone-trailing-dot',
+      topics: ['bind'],
+      difficulty: 'intermediate',
+      rating: 0.4,
+      question: "In a zone file, what does it mean if a hostname DOESN'T end with a dot (.)?",
+      options: [
+        "It's an error",
+        "It's a relative name - the zone origin will be appended",
+        "It means it's a CNAME",
+        "It disables caching"
+      ],
+      correct: 1,
+      hint: "A trailing dot makes a name absolute; without it, BIND adds something to the end.",
+      explanation: "In DNS zone files, names without a trailing dot are RELATIVE - BIND automatically appends the zone origin. Names WITH a trailing dot are FQDN (Fully Qualified). Example in the {{primary}} zone: 'www' becomes 'www.{{primary}}' (relative), but 'www.{{primary}}.' stays as-is (FQDN with trailing dot). This is a common source of errors! If you write 'www.{{primary}}' (no trailing dot), BIND appends the zone origin and you get 'www.{{primary}}.{{primary}}' - probably not what you wanted! Always use EITHER relative names ('www') OR FQDNs with trailing dots ('www.{{primary}}')."
+    },
+    {
+      id: 'dnssec-overview',
+      topics: ['dnssec'],
+      difficulty: 'intermediate',
+      rating: -0.1,
+      question: "What is DNSSEC and what problem does it solve?",
+      options: [
+        "It encrypts DNS traffic",
+        "It speeds up DNS queries",
+        "It cryptographically signs DNS responses to prevent tampering",
+        "It provides DNS over HTTPS"
+      ],
+      correct: 2,
+      hint: "The 'SEC' adds signatures and proof of origin, not secrecy.",
+      explanation: "DNSSEC (DNS Security Extensions) uses cryptographic signatures to ensure DNS responses haven't been tampered with. It solves the problem of DNS cache poisoning and man-in-the-middle attacks where attackers could redirect you to fake sites by sending false DNS answers. DNSSEC doesn't ENCRYPT queries (that's DNS-over-HTTPS/TLS), but it does AUTHENTICATE them. When you enable DNSSEC validation on your resolver, it checks the digital signatures in DNS responses against a chain of trust from the root servers down. If signatures don't match, the response is rejected. It's complex to implement as an authoritative server (key management), but easy to enable validation on your resolver."
+    },
+    {
+      id: 'bind-on-firewall',
+      topics: ['bind'],
+      difficulty: 'intermediate',
+      rating: -0.3,
+      question: "Why might you want to run BIND on your firewall rather than a separate server?",
+      options: [
+        "It's required by law",
+        "Centralized control, first point of network entry, can enforce DNS-based policies",
+        "BIND only works on firewalls",
+        "It's cheaper"
+      ],
+      correct: 1,
+      hint: "Every device on the network already sends its traffic through the firewall.",
+      explanation: "Running DNS on your firewall (like OPNsense) offers several advantages: (1) Centralized control - all clients must use it, can't bypass easily, (2) Network choke point - you can log all DNS queries, (3) DNS-based filtering - block malware/ad domains before they resolve, (4) Integration - can work with DHCP to auto-create DNS entries, (5) Single point of management - firewall already handles routing, now DNS too. Downsides: firewall becomes more critical (if it fails, everything fails), potential performance impact if handling lots of queries, and separation of concerns - some prefer dedicated DNS servers. For homelabs, firewall-based DNS is very common and practical."
+    },
+    {
+      id: 'authoritative-vs-recursive',
+      topics: ['resolvers'],
+      difficulty: 'beginner',
+      rating: -0.9,
+      question: "What is the difference between an authoritative DNS server and a recursive resolver?",
+      options: [
+        "There is no difference",
+        "Authoritative has the actual zone data, recursive looks up answers on behalf of clients",
+        "Authoritative is faster",
+        "Recursive is only for root servers"
+      ],
+      correct: 1,
+      hint: "One kind of server owns the answers, the other goes and finds them.",
+      explanation: "An AUTHORITATIVE server has the official source data for specific zones - it's the 'owner' of that zone's records. When asked about its zones, it gives definitive answers (AA flag set). A RECURSIVE RESOLVER doesn't own any zones - it looks up answers on behalf of clients by querying other servers. Your BIND will be BOTH: authoritative for {{primary}} and {{cluster}} (you maintain the zone files), AND recursive for everything else (it queries on behalf of your internal clients). Public DNS like 8.8.8.8 are purely recursive - they don't own zones, just answer queries. Your domain registrar's nameservers are authoritative for your domain (from the internet's perspective)."
+    },
+    {
+      id: 'dig-trace',
+      topics: ['tools'],
+      difficulty: 'intermediate',
+      rating: -0.2,
+      question: "What does the 'dig +trace' command do?",
+      options: [
+        "Shows DNS packet traces",
+        "Traces the full DNS resolution path from root servers down",
+        "Monitors DNS traffic",
+        "Traces network routes"
+      ],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that follows the full delegation path for {{secondary}} starting at the root servers.",
+        answers: ["dig +trace {{secondary}}"]
+      },
+      hint: "The option follows each referral from the root zone itself instead of asking a resolver.",
+      explanation: "The 'dig +trace' command shows the ENTIRE DNS resolution process, starting from the root servers. It queries root servers for the TLD servers, then queries TLD servers for the authoritative servers, then queries authoritative servers for the final answer. This is incredibly useful for debugging DNS issues and understanding the delegation chain. For example, 'dig +trace {{secondary}}' would show: (1) query to root servers, (2) referral to {{tld}} servers, (3) referral to {{secondary}} nameservers, (4) final answer. You can see exactly where in the chain something might be broken."
+    },
+    {
+      id: 'caa-record',
+      topics: ['records', 'dnssec'],
+      difficulty: 'intermediate',
+      rating: 0.3,
+      question: "What is the purpose of a CAA (Certification Authority Authorization) record?",
+      options: [
+        "To specify mail server priorities",
+        "To authorize which Certificate Authorities can issue SSL certificates for your domain",
+        "To cache DNS records",
+        "To authenticate zone transfers"
+      ],
+      correct: 1,
+      hint: "It is checked by certificate authorities, not by browsers.",
+      explanation: "CAA records specify which Certificate Authorities (CAs) are allowed to issue SSL/TLS certificates for your domain. This prevents unauthorized CAs from issuing certificates for your domain, which could be used for man-in-the-middle attacks. Example: '{{secondary}} CAA 0 issue \"letsencrypt.org\"' means only Let's Encrypt can issue certificates for {{secondary}}. You can also use 'issuewild' for wildcards and 'iodef' to specify where to report violations. CAs are required to check CAA records before issuing certificates, making this an important security feature."
+    },
+    {
+      id: 'dig-aa-flag',
+      topics: ['tools'],
+      difficulty: 'intermediate',
+      rating: 0.2,
+      question: "In dig output, what does the 'aa' flag mean?",
+      options: [
+        "Abbreviated Answer",
+        "Authoritative Answer - the server is authoritative for this zone",
+        "Always Available",
+        "Authenticated Answer"
+      ],
+      correct: 1,
+      hint: "The flag appears when the answering server holds the zone itself.",
+      explanation: "The 'aa' (Authoritative Answer) flag in dig output indicates that the DNS server that responded is authoritative for the zone being queried - it has the official source data, not a cached copy. When you query your BIND server for records in your zones, you'll see 'aa' in the flags. When you query for external domains, you won't see 'aa' because your server is just forwarding/recursing. This flag helps you verify you're getting answers from the right place. If you expect an authoritative answer but don't see 'aa', you might be querying the wrong server or there's a delegation issue."
+    },
+    {
+      id: 'unbound',
+      topics: ['resolvers'],
+      difficulty: 'intermediate',
+      rating: 0.0,
+      question: "What is Unbound and how does it differ from BIND?",
+      options: [
+        "Unbound is just a newer version of BIND",
+        "Unbound is a validating, recursive DNS resolver focused on security, while BIND can be both authoritative and recursive",
+        "Unbound only works on Windows",
+        "They are exactly the same"
+      ],
+      correct: 1,
+      hint: "Unbound was written to do one job, resolving and validating, and to do it securely.",
+      explanation: "Unbound is a modern, security-focused validating recursive DNS resolver. Unlike BIND which can serve both authoritative and recursive roles, Unbound focuses ONLY on recursive resolution with built-in DNSSEC validation. It's designed to be faster, more secure, and easier to configure than BIND for recursive-only setups. Unbound is often used in combination with an authoritative server - for example, you might use Unbound for recursive queries and BIND (or NSD) for authoritative zones. Unbound is particularly popular for privacy-focused setups, DNS filtering, and as the DNS component in Pi-hole installations."
+    },
+    {
+      id: 'pihole',
+      topics: ['resolvers'],
+      difficulty: 'beginner',
+      rating: -1.5,
+      question: "What is Pi-hole and what DNS functionality does it provide?",
+      options: [
+        "A DNS server for Raspberry Pi only",
+        "A network-wide ad blocker that works as a DNS sinkhole",
+        "A VPN solution",
+        "A firewall application"
+      ],
+      correct: 1,
+      hint: "It answers queries for advertising domains with nothing, so the ads never load.",
+      explanation: "Pi-hole is a network-wide ad blocking solution that works as a DNS sinkhole. It runs a DNS server (typically using dnsmasq or Unbound) that blocks requests to known advertising and tracking domains by returning a null response (0.0.0.0). When a client queries an ad domain, Pi-hole blocks it at the DNS level before it even loads. It provides: (1) DNS-based ad blocking for all devices on your network, (2) DHCP server capabilities, (3) Web dashboard with statistics, (4) Custom blacklists/whitelists, (5) Query logging. You configure your network to use Pi-hole as the DNS server, and it forwards legitimate queries to upstream DNS servers like Cloudflare or Google while blocking ads."
+    },
+    {
+      id: 'dig-short',
+      topics: ['tools'],
+      difficulty: 'beginner',
+      rating: -1.6,
+      question: "What does the 'dig +short' command do?",
+      options: [
+        "Makes the query faster",
+        "Returns only the answer section with minimal output",
+        "Queries only short domain names",
+        "Uses UDP instead of TCP"
+      ],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that prints only the IP address for {{primary}}, with no other output.",
+        answers: ["dig +short {{primary}}"]
+      },
+      hint: "Compare its output with a plain dig: only the data you asked for is left.",
+      explanation: "The '+short' flag makes dig output only the essential answer, omitting all the header information, question section, authority section, and additional section. For example, 'dig +short {{secondary}}' might return just '{{ingressIp}}' instead of the full verbose output. This is extremely useful in scripts where you just need the IP address or for quick lookups where you don't need to see all the DNS metadata. You can combine it with other flags: 'dig +short +trace' or 'dig +short @8.8.8.8 {{secondary}}' to get concise output from specific servers."
+    },
+    {
+      id: 'dname-record',
+      topics: ['records'],
+      difficulty: 'advanced',
+      rating: 1.4,
+      question: "What is the purpose of a DNAME record?",
+      options: [
+        "Same as a CNAME record",
+        "Creates an alias for an entire subtree of the domain",
+        "Specifies domain administrators",
+        "Encrypts DNS responses"
+      ],
+      correct: 1,
+      hint: "A CNAME aliases one name; this record type does the same for everything below a name.",
+      explanation: "DNAME (Delegation Name) creates an alias for an ENTIRE subtree, unlike CNAME which only aliases a single name. If you set 'old.{{primary}} DNAME new.{{primary}}', then ANY query under old.{{primary}} gets redirected to new.{{primary}}. For example, www.old.{{primary}} becomes www.new.{{primary}}, mail.old.{{primary}} becomes mail.new.{{primary}}, etc. This is useful for domain migrations or when you want to redirect an entire subdomain tree without creating individual CNAMEs for every record."
+    },
+    {
+      id: 'dig-server',
+      topics: ['tools'],
+      difficulty: 'beginner',
+      rating: -1.1,
+      question: "How do you query a specific DNS server using dig?",
+      options: [
+        "dig -server 8.8.8.8 domain.com",
+        "dig @8.8.8.8 domain.com",
+        "dig --server=8.8.8.8 domain.com",
+        "dig domain.com > 8.8.8.8"
+      ],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that asks the DNS server at {{dnsIp}} for the A record of {{primary}}.",
+        answers: ["dig @{{dnsIp}} {{primary}}"]
+      },
+      hint: "dig's server argument starts with a symbol, the one used in e-mail addresses.",
+      explanation: "The '@' symbol specifies which DNS server to query. 'dig @8.8.8.8 {{secondary}}' queries Google's DNS, 'dig @1.1.1.1 {{secondary}}' queries Cloudflare, and 'dig @{{dnsIp}} {{secondary}}' queries your local BIND server. This is crucial for troubleshooting - you can verify that specific servers have the correct records. For example, after updating a zone file, you can query your BIND server directly to confirm it has the new records before testing from other networks. You can also query root servers directly: 'dig @a.root-servers.net' to see if there are issues at the root level."
+    },
+    {
+      id: 'nslookup-vs-dig',
+      topics: ['tools'],
+      difficulty: 'beginner',
+      rating: -1.0,
+      question: "What is the difference between nslookup and dig?",
+      options: [
+        "They are identical tools",
+        "nslookup is older/simpler, dig is more powerful with detailed output and more options",
+        "nslookup is for Windows only",
+        "dig is deprecated"
+      ],
+      correct: 1,
+      hint: "One tool comes from the early days of DNS with an interactive mode; the other shows the full DNS message.",
+      explanation: "nslookup is an older, simpler DNS query tool that's available on most platforms but is somewhat deprecated in favor of dig. dig (Domain Information Groper) is more powerful with detailed output, better formatting, and more query options. dig shows all sections of the DNS response (header, question, answer, authority, additional) and supports features like +trace, +short, DNSSEC validation, specific record type queries, and more. nslookup is interactive by default and easier for beginners, but dig is preferred by DNS professionals for its flexibility and detailed output. On Linux, dig is standard; on Windows, nslookup is more commonly available though dig can be installed."
+    },
+    {
+      id: 'aaaa-record',
+      topics: ['records'],
+      difficulty: 'beginner',
+      rating: -2.1,
+      question: "What DNS record type is used to specify IPv6 addresses?",
+      options: ["A6 record", "AAAA record", "IPv6 record", "A record with special syntax"],
+      correct: 1,
+      hint: "An IPv6 address is four times as long as an IPv4 address.",
+      explanation: "AAAA (quad-A) records map hostnames to IPv6 addresses, just like A records do for IPv4. Example: 'www.{{primary}} AAAA {{webIp6}}'. The name comes from IPv6 addresses being 128 bits (four times the 32 bits of IPv4, hence four A's). As IPv6 adoption grows, AAAA records become increasingly important. A single hostname can have both A and AAAA records, allowing dual-stack operation where clients can use either IPv4 or IPv6. Modern DNS servers should return both record types when querying for a hostname, and clients choose which to use based on their connectivity."
+    },
+    {
+      id: 'ula-prefix',
+      topics: ['records'],
+      difficulty: 'intermediate',
+      rating: 0.4,
+      question: "The homelab's IPv6 prefix is {{ulaPrefix}}. What kind of address space is that?",
+      options: [
+        "Global unicast, routable on the internet",
+        "Link-local, valid only on one network segment",
+        "Unique local (ULA), the IPv6 counterpart of RFC 1918 private ranges",
+        "The documentation prefix reserved for examples"
+      ],
+      correct: 2,
+      hint: "Look at the first byte of the prefix: fc00::/7 is set aside for private use.",
+      explanation: "Addresses under fd00::/8 are Unique Local Addresses (RFC 4193): a randomly chosen /48 per site, routable inside it but never on the internet - the IPv6 counterpart of private ranges like {{subnet}}. The lab network {{subnet}} is also {{ulaSubnet}}, so the DNS server is both {{dnsIp}} and {{dnsIp6}}, published as 'dns.{{primary}} AAAA {{dnsIp6}}' next to its A record. Like RFC 1918 addresses, ULAs belong in internal DNS only (e.g. an internal view), not in the public zone. Link-local addresses start with fe80::/10, and 2001:db8::/32 is reserved for documentation."
+    },
+    {
+      id: 'dig-any',
+      topics: ['tools'],
+      difficulty: 'intermediate',
+      rating: 0.4,
+      question: "What does the dig query type 'ANY' do?",
+      options: [
+        "Returns all record types for a domain",
+        "Matches any character in the domain name",
+        "Queries all DNS servers",
+        "It's deprecated and should not be used"
+      ],
+      correct: 3,
+      command: {
+        prompt: "Type a dig command that asks for all record types of {{primary}}.",
+        answers: ["dig {{primary}} ANY"]
+      },
+      hint: "RFC 8482 lets servers answer ANY queries with a minimal response, because they were abused for amplification attacks.",
+      explanation: "The ANY query type is largely DEPRECATED and many DNS servers now refuse to answer it. Originally, 'dig {{secondary}} ANY' would return all record types (A, AAAA, MX, TXT, etc.) for a domain. However, this became a vector for DNS amplification attacks where attackers would send small ANY queries that generated large responses, which they'd reflect at victims. Modern DNS servers (including Cloudflare, Google) either ignore ANY queries or return minimal responses. Instead, you should query for specific record types: 'dig {{secondary}} A', 'dig {{secondary}} MX', etc. RFC 8482 officially discourages the use of ANY queries."
+    },
+    {
+      id: 'cache-poisoning',
+      topics: ['dnssec'],
+      difficulty: 'advanced',
+      rating: 1.0,
+      question: "What is DNS cache poisoning and how does DNSSEC prevent it?",
+      options: [
+        "When DNS servers run out of memory",
+        "When attackers inject false DNS records into a resolver's cache; DNSSEC uses cryptographic signatures to verify authenticity",
+        "When DNS records expire too quickly",
+        "It's not a real security issue"
+      ],
+      correct: 1,
+      hint: "The attack plants forged answers in a resolver; the defence is a signature the forger can't produce.",
+      explanation: "DNS cache poisoning (also called DNS spoofing) is when an attacker manages to insert false DNS records into a resolver's cache, causing users to be directed to malicious sites. For example, an attacker might poison the cache so {{secondary}} points to their server instead of yours. DNSSEC prevents this by adding cryptographic signatures to DNS records. Each zone is signed with a private key, and resolvers can verify the signatures using the public key. If a response has been tampered with, the signature won't match and the resolver rejects it. DNSSEC creates a chain of trust from the root servers down, ensuring DNS responses are authentic and haven't been modified."
+    },
+    {
+      id: 'nslookup-server',
+      topics: ['tools'],
+      difficulty: 'beginner',
+      rating: -0.7,
+      question: "What command in nslookup switches to query a different DNS server?",
+      options: ["set server=8.8.8.8", "server 8.8.8.8", "use 8.8.8.8", "query 8.8.8.8"],
+      correct: 1,
+      command: {
+        prompt: "Type a non-interactive nslookup command that looks up {{secondary}} using Google's DNS server at 8.8.8.8.",
+        answers: ["nslookup {{secondary}} 8.8.8.8"]
+      },
+      hint: "In interactive mode, nslookup's command to switch servers is a single word followed by the address.",
+      explanation: "In nslookup's interactive mode, you use 'server 8.8.8.8' to switch to querying a different DNS server. The workflow is: (1) Type 'nslookup' to enter interactive mode, (2) Type 'server 8.8.8.8' to switch to Google's DNS, (3) Type your domain queries like '{{secondary}}', (4) Type 'exit' when done. You can also specify the server on the command line: 'nslookup {{secondary}} 8.8.8.8'. The 'server' command is particularly useful when you want to query multiple servers in sequence to compare their responses or troubleshoot DNS propagation issues."
+    },
+    {
+      id: 'txt-record',
+      topics: ['records'],
+      difficulty: 'beginner',
+      rating: -1.4,
+      question: "What is the purpose of a TXT record?",
+      options: [
+        "To store plain text only",
+        "To store arbitrary text data used for SPF, DKIM, domain verification, and other purposes",
+        "To encrypt DNS responses",
+        "To create text-based aliases"
+      ],
+      correct: 1,
+      hint: "SPF, DKIM and domain ownership checks all publish their data in this free-form record.",
+      explanation: "TXT records store arbitrary text data and have become crucial for email authentication and domain verification. Common uses: (1) SPF records - 'v=spf1 include:_spf.google.com ~all' specifies which servers can send email for your domain, (2) DKIM keys - public keys for email signature verification, (3) Domain verification - proving ownership to services like Google or Microsoft (e.g., 'google-site-verification=abc123'), (4) DMARC policies - email authentication policies, (5) General metadata - any text information you want to publish. TXT records can be queried with 'dig {{secondary}} TXT'. They're limited to 255 characters per string but can have multiple strings concatenated."
+    },
+    {
+      id: 'dig-mx',
+      topics: ['tools'],
+      difficulty: 'beginner',
+      rating: -1.5,
+      question: "How do you query only MX records using dig?",
+      options: [
+        "dig --mx domain.com",
+        "dig domain.com MX",
+        "dig -t MX domain.com",
+        "Both B and C are correct"
+      ],
+      fixedOptions: true,
+      correct: 3,
+      command: {
+        prompt: "Type a dig command that looks up only the MX records of {{example}}.",
+        answers: ["dig {{example}} MX"]
+      },
+      hint: "dig accepts the record type both as a plain argument and after an option letter.",
+      explanation: "You can specify the record type in dig in two ways: 'dig {{secondary}} MX' or 'dig -t MX {{secondary}}' - both are correct and do the same thing. The -t flag explicitly specifies the query type. You can use this for any record type: 'dig {{primary}} AAAA', 'dig {{cluster}} NS', 'dig {{secondary}} TXT', etc. This is much more efficient than querying for all records (which is discouraged anyway). Combining with +short is common: 'dig +short {{secondary}} MX' gives you just the mail servers without all the extra output."
+    },
+    {
+      id: 'dnsmasq',
+      topics: ['resolvers'],
+      difficulty: 'intermediate',
+      rating: -0.4,
+      question: "What is dnsmasq and where is it commonly used?",
+      options: [
+        "A DNS security scanner",
+        "A lightweight DNS/DHCP server often used in routers and embedded systems",
+        "A DNS monitoring tool",
+        "A BIND configuration helper"
+      ],
+      correct: 1,
+      hint: "Many home routers hand out addresses and answer DNS with the same small program.",
+      explanation: "dnsmasq is a lightweight DNS forwarder and DHCP server designed for small networks and embedded systems. It's commonly found in home routers, Pi-hole installations, and development environments. Unlike BIND which is full-featured but complex, dnsmasq is simple and efficient with a small memory footprint. It can: (1) Forward DNS queries to upstream servers, (2) Cache DNS responses, (3) Serve local DNS records from /etc/hosts, (4) Provide DHCP services, (5) Offer DNS-based ad blocking (as in Pi-hole). Configuration is simple - typically just one config file. It's perfect for homelabs and small networks where you don't need BIND's full authoritative server capabilities."
+    },
+    {
+      id: 'dig-norecurse',
+      topics: ['tools'],
+      difficulty: 'advanced',
+      rating: 1.1,
+      question: "What does 'dig +norecurse' do?",
+      options: [
+        "Disables recursion, getting only what the queried server knows directly",
+        "Makes the query faster",
+        "Prevents caching",
+        "It's an invalid option"
+      ],
+      correct: 0,
+      command: {
+        prompt: "Type a dig command that asks {{dnsIp}} about {{primary}} without requesting recursion.",
+        answers: ["dig @{{dnsIp}} +norecurse {{primary}}"]
+      },
+      hint: "The option clears the RD flag in the query.",
+      explanation: "The '+norecurse' flag tells dig to set the RD (Recursion Desired) flag to 0 in the query, meaning 'don't do recursive resolution'. When you query an authoritative server with +norecurse, it will only return records it's authoritative for - it won't go lookup answers elsewhere. This is useful for testing: (1) Verifying an authoritative server has the correct records, (2) Preventing recursive servers from doing lookups, (3) Understanding what each server in the chain knows directly. Example: 'dig @ns1.example.com +norecurse test.example.com' will only return an answer if ns1.example.com is authoritative for that domain."
+    },
+    {
+      id: 'soa-negative-ttl',
+      topics: ['records', 'bind'],
+      difficulty: 'advanced',
+      rating: 1.5,
+      question: "What is the purpose of the negative TTL in an SOA record?",
+      options: [
+        "How long to cache negative responses (domain doesn't exist)",
+        "How long before the zone expires",
+        "The minimum TTL for all records",
+        "It's deprecated and unused"
+      ],
+      correct: 0,
+      hint: "RFC 2308 redefined the SOA's last field for NXDOMAIN and NODATA answers.",
+      explanation: "The last field in the SOA record (historically called 'minimum TTL', now called 'negative TTL') specifies how long resolvers should cache 'NXDOMAIN' (non-existent domain) responses. If someone queries for 'doesnotexist.{{primary}}' and your server responds that it doesn't exist, resolvers will cache that negative answer for this duration. A value of 300 (5 minutes) means clients won't re-query for that non-existent domain for 5 minutes, reducing load. This is important for typos and scanning - you don't want resolvers repeatedly asking about domains that don't exist. RFC 2308 redefined this field specifically for negative caching."
+    },
+    {
+      id: 'dig-dnssec',
+      topics: ['tools', 'dnssec'],
+      difficulty: 'advanced',
+      rating: 1.2,
+      question: "How can you use dig to check if DNSSEC is enabled for a domain?",
+      options: [
+        "dig +dnssec domain.com",
+        "dig --check-dnssec domain.com",
+        "dig domain.com DNSSEC",
+        "dig +secure domain.com"
+      ],
+      correct: 0,
+      command: {
+        prompt: "Type a dig command that requests the A record of {{primary}} together with its DNSSEC signatures.",
+        answers: ["dig +dnssec {{primary}}"]
+      },
+      hint: "The option sets the DO bit, asking the server to include RRSIG records.",
+      explanation: "Use 'dig +dnssec {{secondary}}' to request DNSSEC-related records. If DNSSEC is enabled, you'll see RRSIG (signature) records in the response, and the 'ad' (authenticated data) flag will be set if your resolver validated the signatures. You can also query specifically for DNSSEC records: 'dig {{secondary}} DNSKEY' (public keys), 'dig {{secondary}} DS' (delegation signer), or 'dig {{secondary}} RRSIG' (signatures). The presence of these records indicates DNSSEC is configured. To verify the chain of trust is working, check that the 'ad' flag appears in the response when querying through a validating resolver."
+    },
+    {
+      id: 'doh',
+      topics: ['dnssec', 'public-dns'],
+      difficulty: 'intermediate',
+      rating: -0.3,
+      question: "What is DNS over HTTPS (DoH) and how does it differ from traditional DNS?",
+      options: [
+        "DNS queries encrypted in HTTPS, preventing ISP snooping",
+        "Faster DNS resolution",
+        "A backup DNS protocol",
+        "DNS for web servers only"
+      ],
+      correct: 0,
+      hint: "It wraps DNS in the same protocol your browser uses for secure web pages.",
+      explanation: "DNS over HTTPS (DoH) encrypts DNS queries inside HTTPS connections (port 443), making them look like regular web traffic. Traditional DNS uses unencrypted UDP/TCP on port 53, allowing ISPs and network operators to see all your DNS queries. DoH provides: (1) Privacy - queries can't be intercepted or logged by ISPs, (2) Security - prevents DNS spoofing on untrusted networks, (3) Bypass censorship - harder to block than traditional DNS. Browsers like Firefox and Chrome support DoH. Cloudflare (1.1.1.1/https://cloudflare-dns.com/dns-query) and Google (8.8.8.8/https://dns.google/dns-query) offer DoH endpoints. Some argue it bypasses network-level DNS filtering (like Pi-hole or parental controls)."
+    },
+    {
+      id: 'dig-answer',
+      topics: ['tools'],
+      difficulty: 'intermediate',
+      rating: 0.3,
+      question: "What does the dig option '+answer' do?",
+      options: [
+        "Shows only the answer section",
+        "Forces an answer even if cached",
+        "Validates the answer",
+        "It's an invalid option"
+      ],
+      correct: 0,
+      command: {
+        prompt: "Type a dig command that shows only the answer section for {{secondary}}.",
+        answers: ["dig +noall +answer {{secondary}}"]
+      },
+      hint: "dig's output has several sections, and each can be switched on or off by name.",
+      explanation: "The '+answer' option tells dig to show only the answer section of the DNS response, hiding the question, authority, and additional sections. This provides cleaner output than the full response but more detail than +short. Example: 'dig +answer {{secondary}}' will show just the answer records with their TTLs and record types, but not the full verbose output. You can combine flags: 'dig +answer +noall' first suppresses all sections, then +answer re-enables just the answer section. This is useful when you want to see the formatted answer section without all the metadata but with more context than +short provides."
+    },
+    {
+      id: 'zone-transfer',
+      topics: ['bind', 'tools'],
+      difficulty: 'intermediate',
+      rating: 0.2,
+      question: "What is a DNS zone transfer and what command requests one?",
+      options: [
+        "Moving a zone file; cp command",
+        "Copying all records from primary to secondary server; dig AXFR",
+        "Transferring ownership; whois update",
+        "It's a deprecated feature"
+      ],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that requests a full zone transfer of {{primary}} from {{dnsIp}}.",
+        answers: ["dig @{{dnsIp}} {{primary}} AXFR"]
+      },
+      hint: "Secondaries use this mechanism to get a full copy of the zone; its query type starts with 'A'.",
+      explanation: "A zone transfer (AXFR - full transfer, or IXFR - incremental transfer) copies all DNS records from a primary server to a secondary server. This is how secondary DNS servers stay synchronized. You can request one with 'dig {{primary}} AXFR @ns1.{{primary}}'. However, most servers restrict zone transfers to authorized secondaries only for security reasons - allowing public zone transfers lets anyone download your entire DNS database. In BIND, you control this with 'allow-transfer { trusted_servers; };'. Zone transfers are different from normal queries - they return the entire zone at once rather than individual records. Attackers historically used zone transfers for reconnaissance, which is why they're now typically blocked."
+    },
+    {
+      id: 'rd-flag',
+      topics: ['tools', 'resolvers'],
+      difficulty: 'intermediate',
+      rating: 0.3,
+      question: "What is the purpose of the 'rd' (Recursion Desired) flag in DNS queries?",
+      options: [
+        "Requests read-only access",
+        "Tells the server whether to perform recursive resolution",
+        "Marks records as deprecated",
+        "Enables debugging"
+      ],
+      correct: 1,
+      hint: "The flag's name says what the client wants the server to do.",
+      explanation: "The RD (Recursion Desired) flag in a DNS query tells the server whether the client wants recursive resolution. When RD=1 (default in most clients), the server should do all the work of finding the answer by querying other servers if needed. When RD=0 (like with dig +norecurse), the server should only return what it knows directly from its own authoritative data or cache. Recursive resolvers check this flag - if set, they'll perform full resolution; if not set, they'll only return cached results or referrals. Authoritative-only servers might ignore this flag. You can see the RD flag in dig output in the flags section."
+    },
+    {
+      id: 'pihole-ftl',
+      topics: ['resolvers'],
+      difficulty: 'advanced',
+      rating: 1.3,
+      question: "What DNS server software does Pi-hole use by default?",
+      options: ["BIND 9", "Unbound", "dnsmasq (or optionally Unbound)", "PowerDNS"],
+      correct: 2,
+      hint: "FTL is a fork of a lightweight DNS and DHCP server that is also common on routers.",
+      explanation: "Pi-hole uses dnsmasq as its default DNS server, though it can be configured to use Unbound instead. dnsmasq is lightweight and perfect for Pi-hole's use case - it forwards queries to upstream DNS servers while checking requests against blocklists first. If a domain is on the blocklist, Pi-hole returns 0.0.0.0 instead of forwarding the query. Many users install Unbound alongside Pi-hole for additional privacy and DNSSEC validation. The combination of Pi-hole (for ad blocking) + Unbound (for recursive resolution with DNSSEC) is popular because it eliminates dependency on upstream DNS providers while still blocking ads."
+    },
+    {
+      id: 'dot',
+      topics: ['dnssec', 'public-dns'],
+      difficulty: 'intermediate',
+      rating: 0.1,
+      question: "What is DNS over TLS (DoT) and how does it differ from DoH?",
+      options: [
+        "They are the same thing",
+        "DoT uses dedicated port 853, DoH uses port 443 (HTTPS)",
+        "DoT is faster than DoH",
+        "DoT is deprecated"
+      ],
+      correct: 1,
+      hint: "Both encrypt DNS; the difference lies in the port and transport they use.",
+      explanation: "DNS over TLS (DoT) encrypts DNS queries using TLS on dedicated port 853, while DNS over HTTPS (DoH) encrypts queries inside HTTPS on port 443. Both provide privacy and security, but differ in approach: DoT is more easily identifiable as DNS traffic (port 853) and can be blocked or allowed separately from web traffic. DoH blends into HTTPS traffic, making it harder to distinguish or block. Network administrators prefer DoT because it's transparent - they can see DoT is being used even if they can't see the queries. DoH is preferred for censorship resistance. Both require supporting clients and servers. Cloudflare and Google support both protocols."
+    },
+    {
+      id: 'dig-stats',
+      topics: ['tools'],
+      difficulty: 'intermediate',
+      rating: 0.0,
+      question: "What does 'dig +stats' show you?",
+      options: [
+        "Domain statistics",
+        "Query statistics including time, size, and flags",
+        "Server performance metrics",
+        "Historical DNS data"
+      ],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that looks up {{primary}} and shows only the query statistics.",
+        answers: ["dig +noall +stats {{primary}}"]
+      },
+      hint: "It controls the comment lines at the end of dig's output.",
+      explanation: "The '+stats' option (which is on by default) shows statistics about the DNS query at the bottom of dig output: query time (how long the query took in milliseconds), server queried, when it was queried, message size (bytes sent/received), and flags. This information helps troubleshoot performance issues. If query time is consistently high, there might be network issues or a slow DNS server. You can disable it with '+nostats' for cleaner output. The stats section also shows the 'MSG SIZE rcvd' which is useful for understanding response sizes and checking if responses are being truncated (TC flag) requiring TCP instead of UDP."
+    },
+    {
+      id: 'ds-record',
+      topics: ['dnssec'],
+      difficulty: 'advanced',
+      rating: 1.6,
+      question: "What is the purpose of a DS (Delegation Signer) record in DNSSEC?",
+      options: [
+        "Signs email messages",
+        "Establishes the chain of trust from parent zone to child zone",
+        "Delegates subdomains",
+        "It's a deprecated record type"
+      ],
+      correct: 1,
+      hint: "The parent zone holds a hash of the child's key, linking the two zones.",
+      explanation: "DS (Delegation Signer) records are crucial for DNSSEC's chain of trust. They're placed in the PARENT zone and contain a hash of the child zone's public key (DNSKEY). For example, the {{tld}} zone would have a DS record for {{primary}}, containing a hash of {{primary}}'s DNSKEY. This connects the trust chain: root signs TLD's DS record, TLD signs your domain's DS record, your domain signs its own records. Without DS records in the parent zone, there's a break in the chain of trust. When you enable DNSSEC for your domain, you must submit DS records to your registrar so they can publish them in the TLD zone. Query with: 'dig +dnssec {{primary}} DS'."
+    },
+    {
+      id: 'dig-reverse',
+      topics: ['tools'],
+      difficulty: 'beginner',
+      rating: -0.8,
+      question: "How do you perform a reverse DNS lookup using dig?",
+      options: ["dig -r {{dnsIp}}", "dig -x {{dnsIp}}", "dig reverse {{dnsIp}}", "dig {{dnsIp}} PTR"],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that finds the hostname for {{nodeIp}}.",
+        answers: ["dig -x {{nodeIp}}"]
+      },
+      hint: "dig has a one-letter option that builds the in-addr.arpa name for you.",
+      explanation: "Use 'dig -x IP_ADDRESS' for reverse lookups. dig automatically converts the IP to the proper format. 'dig -x {{nodeIp}}' automatically queries for '{{nodeReverse}} PTR'. This is much easier than manually constructing the reverse zone name. Reverse lookups are important for: (1) Mail servers - spam filters check reverse DNS, (2) Logging - converting IPs to hostnames in logs, (3) Security - verifying IP/hostname relationships, (4) Troubleshooting - confirming PTR records are configured correctly. You can also specify a server: 'dig -x {{nodeIp}} @{{dnsIp}}' to check reverse DNS on your local BIND server."
+    },
+    {
+      id: 'naptr-record',
+      topics: ['records'],
+      difficulty: 'advanced',
+      rating: 1.8,
+      question: "What is the purpose of NAPTR records?",
+      options: [
+        "Network address translation",
+        "Name Authority Pointer - used for ENUM, SIP, and complex rewrite rules",
+        "Network performance testing",
+        "They're deprecated"
+      ],
+      correct: 1,
+      hint: "It turns names into URIs with regular expressions, as telephony systems do with phone numbers.",
+      explanation: "NAPTR (Name Authority Pointer) records provide rule-based rewriting of domain names, primarily used for ENUM (telephone number mapping) and SIP (VoIP). They're complex records with fields for order, preference, flags, service, regexp (regular expression), and replacement. For example, ENUM uses NAPTR to convert phone numbers to SIP URIs or email addresses. The records can chain together, with each step transforming the query until reaching a final answer. While less common than A or MX records, NAPTR is crucial in telecommunications and VoIP systems. Most homelab users won't need them unless running VoIP infrastructure or ENUM services."
+    },
+    {
+      id: 'dig-tcp',
+      topics: ['tools'],
+      difficulty: 'intermediate',
+      rating: 0.1,
+      question: "What does the 'dig +tcp' option do?",
+      options: [
+        "Forces dig to use TCP instead of UDP for the query",
+        "Tests TCP connectivity",
+        "Queries only TCP services",
+        "It's an invalid option"
+      ],
+      correct: 0,
+      command: {
+        prompt: "Type a dig command that queries {{secondary}} over TCP instead of UDP.",
+        answers: ["dig +tcp {{secondary}}"]
+      },
+      hint: "DNS normally uses UDP, and large answers or zone transfers need the other transport.",
+      explanation: "The '+tcp' flag forces dig to use TCP for the DNS query instead of the default UDP. DNS normally uses UDP for efficiency, but falls back to TCP for large responses (over 512 bytes for traditional DNS, or when the TC (truncated) flag is set). You might manually force TCP to: (1) Test if TCP queries work (firewalls might block TCP/53), (2) Test large zone transfers (AXFR requires TCP), (3) Troubleshoot truncation issues, (4) Verify server supports TCP. Example: 'dig +tcp {{secondary}}'. TCP queries have slightly higher overhead but are more reliable for large responses. Some security tools block TCP/53 to prevent zone transfers, so testing both protocols is useful."
+    },
+    {
+      id: 'quad9',
+      topics: ['public-dns'],
+      difficulty: 'beginner',
+      rating: -0.9,
+      question: "What is Quad9 (9.9.9.9) and what makes it different from other public DNS services?",
+      options: [
+        "A gaming DNS service",
+        "A privacy-focused DNS service that blocks malicious domains",
+        "The fastest DNS resolver",
+        "A corporate DNS only"
+      ],
+      correct: 1,
+      hint: "The service is run by a non-profit and filters domains from threat intelligence feeds.",
+      explanation: "Quad9 (9.9.9.9) is a free, privacy-focused public DNS resolver operated by a nonprofit. Unlike Google (8.8.8.8) and Cloudflare (1.1.1.1) which focus on speed, Quad9 emphasizes security and privacy. It automatically blocks access to malicious domains using threat intelligence from multiple sources, protecting users from phishing, malware, and botnets. Quad9: (1) Doesn't log IP addresses, (2) Blocks known bad domains, (3) Supports DNSSEC, (4) Offers DoH and DoT, (5) Is nonprofit/privacy-focused. It's slower than Cloudflare but provides built-in threat protection. Good choice for homelabs wanting security without maintaining blocklists like Pi-hole."
+    },
+    {
+      id: 'dig-search',
+      topics: ['tools'],
+      difficulty: 'advanced',
+      rating: 1.2,
+      question: "What does the '+search' option do in dig?",
+      options: [
+        "Searches for the domain on Google",
+        "Uses the search domains from resolv.conf to try different suffixes",
+        "Performs a deep DNS search",
+        "It's deprecated"
+      ],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that resolves the short name 'webserver' using the search domains from /etc/resolv.conf.",
+        answers: ["dig +search webserver"]
+      },
+      hint: "/etc/resolv.conf has a line listing domains to append to short names.",
+      explanation: "The '+search' option tells dig to use the search domains from /etc/resolv.conf. If your resolv.conf has 'search {{primary}} {{cluster}}' and you run 'dig +search webserver', dig will try: (1) webserver.{{primary}}, (2) webserver.{{cluster}}, (3) webserver (as-is). This mimics how applications normally resolve names. By default, dig does NOT use search domains (+nosearch is default), which differs from how ping or ssh work. This can cause confusion - 'ping webserver' might work but 'dig webserver' fails because dig doesn't automatically append search domains. Use '+search' to troubleshoot why applications can resolve names that dig cannot."
+    },
+    {
+      id: 'zone-origin-directive',
+      topics: ['bind'],
+      difficulty: 'intermediate',
+      rating: 0.2,
+      question: "What is the purpose of the '$ORIGIN' directive in BIND zone files?",
+      options: [
+        "Specifies the server's IP address",
+        "Sets the base domain name that @ and relative names refer to",
+        "Defines the origin country",
+        "It's optional and unused"
+      ],
+      correct: 1,
+      hint: "The directive changes what @ and names without a trailing dot expand to.",
+      explanation: "The $ORIGIN directive in zone files sets what the @ symbol and relative names refer to. If you have '$ORIGIN {{cluster}}' in a zone file, then '@' means '{{cluster}}' and relative names like 'api' become 'api.{{cluster}}'. You can change $ORIGIN multiple times in a zone file to organize records. This is useful when including multiple subdomains in one file: '$ORIGIN apps.{{cluster}}' followed by records, then '$ORIGIN services.{{cluster}}' for another section. If $ORIGIN isn't specified, it defaults to the zone name from named.conf. The $ORIGIN must be a fully qualified domain name (end with a dot): '$ORIGIN {{cluster}}.' not '$ORIGIN {{cluster}}'."
+    },
+    {
+      id: 'google-dns',
+      topics: ['public-dns'],
+      difficulty: 'beginner',
+      rating: -1.7,
+      question: "What is Google Public DNS (8.8.8.8) and why might you use it?",
+      options: [
+        "A private DNS for Google services only",
+        "A free, fast, global anycast DNS resolver with good uptime",
+        "A paid DNS service",
+        "Only for Android devices"
+      ],
+      correct: 1,
+      hint: "8.8.8.8 is an anycast address served from many locations around the world.",
+      explanation: "Google Public DNS (8.8.8.8 and 8.8.4.4) is a free, globally distributed anycast DNS resolver launched in 2009. It's known for: (1) Speed - extensive global infrastructure with low latency, (2) Reliability - excellent uptime and DDoS protection, (3) Security - DNSSEC validation, (4) Standards compliance - follows RFCs strictly. However, privacy-conscious users avoid it because Google logs queries (they claim for 24-48 hours for troubleshooting). Alternative use cases: (1) Upstream resolver for Pi-hole or BIND, (2) Fallback DNS, (3) Testing/troubleshooting, (4) When ISP DNS is unreliable. Supports both IPv4 (8.8.8.8) and IPv6 (2001:4860:4860::8888), plus DoH and DoT."
+    },
+    {
+      id: 'aa-flag',
+      topics: ['resolvers'],
+      difficulty: 'intermediate',
+      rating: 0.4,
+      question: "What does the 'AA' flag in a DNS response mean?",
+      options: [
+        "Anonymous Access",
+        "Authoritative Answer - from an authoritative server",
+        "Always Available",
+        "Authenticated Answer"
+      ],
+      correct: 1,
+      hint: "The server that answered holds the zone itself instead of a cached copy.",
+      explanation: "The 'AA' (Authoritative Answer) flag indicates the responding server is authoritative for the queried zone - it owns the official data, not a cached copy. In dig output: 'flags: qr aa rd ra' shows the AA flag is set. When you query your BIND server for {{primary}} records, you should see AA because it's authoritative for that zone. When querying for google.com, you won't see AA from your BIND server (it's recursing/forwarding). If you query Google's nameservers directly for google.com, you WILL see AA. This flag helps verify: (1) You're querying the right server, (2) Answers are official, not cached, (3) Delegation is working correctly."
+    },
+    {
+      id: 'adguard',
+      topics: ['public-dns', 'resolvers'],
+      difficulty: 'intermediate',
+      rating: -0.2,
+      question: "What is AdGuard DNS and how does it compare to Pi-hole?",
+      options: [
+        "A DNS server software you install",
+        "A cloud-based DNS service with ad blocking (vs Pi-hole which is self-hosted)",
+        "A VPN service",
+        "A monitoring tool"
+      ],
+      correct: 1,
+      hint: "Think about where each one runs: on your own hardware, or as someone else's service.",
+      explanation: "AdGuard DNS is a cloud-based DNS service (94.140.14.14, 94.140.15.15) that blocks ads and trackers at the DNS level, similar to what Pi-hole does but hosted by AdGuard instead of on your network. Differences: Pi-hole is self-hosted (you control it, customize blocklists, see local stats), AdGuard DNS is cloud-hosted (easier setup, no maintenance, but less control). Pi-hole gives you full visibility and customization of what's blocked. AdGuard DNS is good for: (1) Devices outside your network, (2) Quick setup without hardware, (3) Mobile devices. However, your DNS queries go to AdGuard (privacy trade-off). You could use AdGuard DNS as upstream for Pi-hole (combining benefits), or use Pi-hole at home and AdGuard DNS when traveling."
+    },
+    {
+      id: 'fqdn-max-length',
+      topics: ['records'],
+      difficulty: 'advanced',
+      rating: 1.7,
+      question: "What is the maximum length of a DNS name (FQDN)?",
+      options: [
+        "63 characters",
+        "255 characters",
+        "253 characters (255 including length bytes)",
+        "512 characters"
+      ],
+      correct: 2,
+      hint: "A name is at most 255 octets on the wire, and each label carries a length byte.",
+      explanation: "DNS names (FQDNs - Fully Qualified Domain Names) have a maximum total length of 253 characters in text representation (255 in wire format, which includes length bytes). Additionally, each label (part between dots) can be at most 63 characters. So 'www.example.com' has three labels: 'www' (3), 'example' (7), 'com' (3). While you COULD create very long domains like 'this-is-a-really-long-subdomain-name-that-approaches-the-63-character-limit.example.com', practical domains are much shorter for usability. These limits are defined in RFC 1035 and are fundamental to DNS protocol design. Hitting these limits is rare but can occur with auto-generated subdomains or overly specific naming schemes."
+    },
+    {
+      id: 'dig-bufsize',
+      topics: ['tools'],
+      difficulty: 'advanced',
+      rating: 1.9,
+      question: "What does 'dig +bufsize=4096' do?",
+      options: [
+        "Increases cache size",
+        "Sets EDNS buffer size for receiving larger responses via UDP",
+        "Limits query size",
+        "It's an invalid option"
+      ],
+      correct: 1,
+      command: {
+        prompt: "Type a dig command that queries {{primary}} while advertising a 4096-byte EDNS buffer.",
+        answers: ["dig +bufsize=4096 {{primary}}"]
+      },
+      hint: "The option belongs to EDNS, which lifts the old 512-byte limit for UDP.",
+      explanation: "The '+bufsize' option sets the EDNS0 (Extension Mechanisms for DNS) buffer size, telling the server how large a UDP response you can accept. Traditional DNS over UDP is limited to 512 bytes, but EDNS0 allows larger responses. '+bufsize=4096' means you can accept UDP responses up to 4096 bytes. This is important for: (1) DNSSEC responses (which are large due to signatures), (2) Large TXT records, (3) Responses with many IPs. Without EDNS0, servers must truncate large responses (set TC flag) forcing a TCP retry. Most modern resolvers negotiate larger buffer sizes automatically. You might manually set it to test: (1) If large responses work, (2) What buffer size a server supports, (3) Path MTU issues."
+    },
+    {
+      id: 'cloudflare-dns',
+      topics: ['public-dns'],
+      difficulty: 'beginner',
+      rating: -1.6,
+      question: "What is Cloudflare DNS (1.1.1.1) known for?",
+      options: [
+        "Being the cheapest",
+        "Being one of the fastest public DNS resolvers with strong privacy focus",
+        "Best for gaming only",
+        "Enterprise-only service"
+      ],
+      correct: 1,
+      hint: "1.1.1.1 was launched with a promise not to log client addresses, and it tops speed rankings.",
+      explanation: "Cloudflare DNS (1.1.1.1 and 1.0.0.1) launched in 2018 as one of the fastest public DNS resolvers with a strong privacy commitment. Key features: (1) Speed - consistently ranks as fastest or near-fastest in benchmarks globally, (2) Privacy - commits to not logging IP addresses, purges logs within 24 hours, (3) Security - DNSSEC validation, (4) Free - no cost for public or premium versions, (5) Modern protocols - supports DoH and DoT, (6) Malware blocking - 1.1.1.2 variant blocks malware, (7) Family filtering - 1.1.1.3 blocks adult content. Popular choice for upstream resolver in Pi-hole, BIND, and Unbound. The 1.1.1.1 IP is easy to remember and type, contributing to its popularity in homelabs and enterprise."
+    },
+    {
+      id: 'zone-okd-records',
+      type: 'zone',
+      topics: ['okd', 'bind'],
+      difficulty: 'intermediate',
+      rating: 0.6,
+      question: "Zone file exercise: add the DNS records an OKD install needs",
+      zone: {
+        origin: '{{cluster}}',
+        prompt: "The zone for {{cluster}} only has its SOA and NS records. Add api and api-int pointing at the API load balancer ({{apiIp}}), and a wildcard that sends every application route under apps to the ingress controller ({{ingressIp}}).",
+        starter: `$ORIGIN {{cluster}}.
+$TTL 3600
+@       IN  SOA ns1.{{primary}}. hostmaster.{{primary}}. (
+            2024060101 ; serial
+            3600       ; refresh
+            900        ; retry
+            604800     ; expire
+            300 )      ; negative TTL
+        IN  NS  ns1.{{primary}}.
+
+; Add the OKD records below
+`,
+        requirements: [
+          { name: 'api.{{cluster}}', type: 'A', data: '{{apiIp}}' },
+          { name: 'api-int.{{cluster}}', type: 'A', data: '{{apiIp}}' },
+          { name: '*.apps.{{cluster}}', type: 'A', data: '{{ingressIp}}' }
+        ]
+      },
+      hint: "The zone's $ORIGIN is {{cluster}}., so relative names like api are enough; the wildcard label goes left of apps.",
+      explanation: "OKD needs three names before the installer can succeed: 'api.{{cluster}}' for external clients reaching the Kubernetes API, 'api-int.{{cluster}}' for nodes talking to the API internally, and the wildcard '*.apps.{{cluster}}' so every application route lands on the ingress controller. Because the zone's $ORIGIN is {{cluster}}., the records can be written with relative names: 'api IN A {{apiIp}}', 'api-int IN A {{apiIp}}' and '*.apps IN A {{ingressIp}}'. Writing 'api.{{cluster}}' without a trailing dot would expand to 'api.{{cluster}}.{{cluster}}.' - a classic zone file bug."
+    },
+    {
+      id: 'zone-fix-errors',
+      type: 'zone',
+      topics: ['bind', 'records'],
+      difficulty: 'advanced',
+      rating: 1.5,
+      question: "Zone file exercise: fix a zone that BIND refuses to load",
+      zone: {
+        origin: '{{primary}}',
+        prompt: "This zone for {{primary}} has several mistakes. Fix every error the checker reports while keeping the www, mail, MX and ftp records.",
+        starter: `$TTL 86400
+@       IN  SOA ns1.{{primary}}. hostmaster.{{primary}}. (
+            2024060101 3600 900 604800 300 )
+@       IN  CNAME   www
+ns1     IN  A       {{dnsIp}}
+www     IN  A       {{webIp}}
+mail    IN  A       {{mailIp}}
+@       IN  MX  10  mail.{{primary}}
+ftp     IN  CNAME   www
+ftp     IN  CNAME   mail
+`,
+        requirements: [
+          { name: '{{primary}}', type: 'NS' },
+          { name: 'www.{{primary}}', type: 'A' },
+          { name: 'mail.{{primary}}', type: 'A' },
+          { name: '{{primary}}', type: 'MX', data: '10 mail.{{primary}}.' },
+          { name: 'ftp.{{primary}}', type: 'CNAME' }
+        ]
+      },
+      hint: "Look for four faults: the zone names no nameserver, the apex is an alias, the MX target lacks its trailing dot, and ftp is an alias twice over.",
+      explanation: "The zone had four problems: (1) No NS record - every zone must list its nameservers at the apex, e.g. '@ IN NS ns1'. (2) A CNAME at the apex - {{primary}} already owns the SOA (and needs NS and MX), and a CNAME cannot coexist with other data, so the apex must use A/AAAA records instead. (3) The MX target 'mail.{{primary}}' had no trailing dot, so BIND would expand it to 'mail.{{primary}}.{{primary}}.' - write 'mail.{{primary}}.' or just 'mail'. (4) ftp had two CNAMEs - a name can only be an alias for one target, so keep exactly one."
+    },
+    {
+      id: 'sandbox-aa-flag',
+      topics: ['tools', 'resolvers'],
+      difficulty: 'intermediate',
+      rating: 0.5,
+      question: "In the sandbox, both queries return the same answer. Why does only the second response carry the 'aa' flag?",
+      sandbox: {
+        prompt: "Compare the flags line of each response.",
+        commands: [
+          'dig www.{{primary}}',
+          'dig +norecurse @ns1.{{primary}} www.{{primary}}'
+        ]
+      },
+      options: [
+        "The first query used TCP, which never sets aa",
+        "ns1.{{primary}} is authoritative for the zone; the resolver answered on its behalf",
+        "The resolver hides the aa flag to prevent cache poisoning",
+        "+norecurse turns on the aa flag"
+      ],
+      correct: 1,
+      hint: "Compare the server each query was sent to: which one actually holds the zone?",
+      explanation: "The aa (Authoritative Answer) flag is set only by a server that is authoritative for the zone holding the answer. The first query went to the recursive resolver ({{dnsIp}}), which fetched the records and answered from its own view - note 'rd ra' but no 'aa'. The second went straight to ns1.{{primary}}, which serves the {{primary}} zone itself, so its answer is authoritative. +norecurse just clears the rd bit; it doesn't request or grant aa."
+    },
+    {
+      id: 'sandbox-cache-ttl',
+      topics: ['resolvers'],
+      difficulty: 'beginner',
+      rating: -0.6,
+      question: "The sandbox ran the same query twice through the resolver. Why is the TTL lower and the query time 0 ms the second time?",
+      sandbox: {
+        prompt: "Look at the TTL column and the Query time line. Try 'Wait 5 minutes' and query again.",
+        commands: [
+          'dig {{secondary}}',
+          'dig {{secondary}}'
+        ]
+      },
+      options: [
+        "The authoritative server lowered the TTL between the queries",
+        "dig subtracts the elapsed time from the TTL on its own",
+        "The resolver answered from its cache and counts the TTL down until the record expires",
+        "The second query went to a different nameserver with shorter TTLs"
+      ],
+      correct: 2,
+      hint: "A resolver keeps answers for their TTL; what happens to the TTL while the answer sits there?",
+      explanation: "A recursive resolver caches each answer for its TTL. The first query had to walk root -> TLD -> authoritative, which shows up as query time. The second was served straight from cache (0 ms), and the TTL shown is the time remaining before the cached copy expires. Once it reaches zero the resolver must ask the authoritative servers again - which is why lowering TTLs before a migration speeds up propagation."
+    },
+    {
+      id: 'sandbox-trace',
+      topics: ['tools', 'resolvers'],
+      difficulty: 'advanced',
+      rating: 1.1,
+      question: "Following the +trace output, which server provides the final answer for the wildcard application route?",
+      sandbox: {
+        prompt: "Each ';; Received' line shows which server sent that step of the delegation.",
+        commands: ['dig +trace console-openshift-console.apps.{{cluster}}']
+      },
+      options: [
+        "a.root-servers.net",
+        "The TLD nameserver for {{tld}}",
+        "The recursive resolver {{dnsIp}}",
+        "ns1.{{primary}}"
+      ],
+      correct: 3,
+      hint: "Root and TLD servers only refer you further down; the last step reaches the zone's own server.",
+      explanation: "dig +trace performs the iteration itself: the root servers refer it to the {{tld}} TLD servers, which refer it to the nameservers for {{primary}} (ns1/ns2.{{primary}}). Only that last server holds the zone and answers - here from the '*.apps.{{cluster}}' wildcard record. The resolver is only used for the very first step, fetching the list of root servers."
+    },
+    {
+      id: 'packet-query-header',
+      topics: ['tools'],
+      difficulty: 'intermediate',
+      rating: 0.2,
+      question: "What is the ID of this query, and does it ask for recursion?",
+      packet: {
+        prompt: "A query captured while running 'dig www.{{primary}}'. The header is the first 12 bytes.",
+        message: {
+          id: 0x5e3a,
+          flags: { rd: true, ad: true },
+          question: { name: 'www.{{primary}}', type: 'A' },
+          edns: { udpSize: 1232 }
+        }
+      },
+      options: [
+        "ID 0x0120, and no recursion is requested",
+        "ID 0x5e3a, and RD is set, so the resolver is asked to recurse",
+        "ID 0x5e3a, and RD is clear, so this is an iterative query",
+        "ID 0x0001, the number of questions"
+      ],
+      correct: 1,
+      hint: "The ID is the first two bytes; the RD flag is the lowest bit of the third byte.",
+      explanation: "Bytes 0-1 (5e 3a) are the ID the client picked; the response has to echo it so the client can match the two. Bytes 2-3 (01 20) are the flags, not the ID: 0x0100 is RD, asking the resolver to do the recursion, and 0x0020 is AD, which dig sets to ask whether the data was validated. QR is 0, so this is a query. The four counts follow: one question, no answer or authority records, and one additional record - the EDNS OPT record at the end."
+    },
+    {
+      id: 'packet-answer-compression',
+      topics: ['tools', 'records'],
+      difficulty: 'intermediate',
+      rating: 0.5,
+      question: "How many records does the answer section of this response hold, and what do the bytes c0 0c at the start of each of them mean?",
+      packet: {
+        prompt: "The resolver's response to 'dig {{primary}} MX'.",
+        message: {
+          id: 0x9d41,
+          flags: { qr: true, rd: true, ra: true },
+          question: { name: '{{primary}}', type: 'MX' },
+          answer: [
+            { name: '{{primary}}', type: 'MX', ttl: 3600, data: '10 mail.{{primary}}.' },
+            { name: '{{primary}}', type: 'MX', ttl: 3600, data: '20 mail2.{{primary}}.' }
+          ],
+          additional: [
+            { name: 'mail.{{primary}}', type: 'A', ttl: 3600, data: '{{mailIp}}' }
+          ],
+          edns: { udpSize: 1232 }
+        }
+      },
+      options: [
+        "Two MX records; c0 0c is a compression pointer to the name {{primary}} at byte 12",
+        "Two MX records; c0 0c is the class of each record",
+        "Three records; c0 0c marks where each record starts",
+        "One MX record; c0 0c is its TTL"
+      ],
+      correct: 0,
+      hint: "ANCOUNT is in bytes 6-7; a byte starting with the bits 11 marks a pointer, and the question name starts at byte 12.",
+      explanation: "ANCOUNT (bytes 6-7) is 2; the A record for the mail server is in the additional section. A length byte with its two top bits set (0xc0) is a compression pointer: the other 14 bits give the offset where the name continues - 12, right after the header, where the question spells out {{primary}}. The mail server names inside the MX data point back the same way, so 'mail.{{primary}}' only costs the 'mail' label and a pointer."
+    },
+    {
+      id: 'packet-truncated',
+      topics: ['tools', 'resolvers'],
+      difficulty: 'intermediate',
+      rating: 0.7,
+      question: "The client sent a TXT query for {{secondary}} over UDP and got this response back. What should it do next?",
+      packet: {
+        message: {
+          id: 0x3f07,
+          flags: { qr: true, tc: true, rd: true, ra: true },
+          question: { name: '{{secondary}}', type: 'TXT' },
+          edns: { udpSize: 1232 }
+        }
+      },
+      options: [
+        "Treat {{secondary}} as having no TXT records, since ANCOUNT is 0",
+        "Send the query again over UDP with a new ID",
+        "Repeat the query over TCP, because the TC flag says the answer didn't fit",
+        "Ask the authoritative server instead, because the resolver refused"
+      ],
+      correct: 2,
+      hint: "Look at the flags in bytes 2-3: one bit says the response was cut short.",
+      explanation: "The flags are 83 80: QR, RD and RA, plus TC (0x0200). The answer was bigger than the 1232 bytes the client offered in its OPT record, so the resolver sent back just the header and question. An ANCOUNT of 0 here doesn't mean there are no TXT records - the client has to repeat the query over TCP, which dig does on its own unless you pass +ignore. Large TXT sets such as SPF, DKIM and site verification records are the usual cause."
+    },
+    {
+      id: 'packet-edns-opt',
+      topics: ['tools', 'dnssec'],
+      difficulty: 'advanced',
+      rating: 1.0,
+      question: "The last 11 bytes of this query are an OPT pseudo-record. What do they tell the server?",
+      packet: {
+        prompt: "A query captured while running 'dig +dnssec +bufsize=4096 {{primary}} SOA'.",
+        message: {
+          id: 0xa17c,
+          flags: { rd: true, ad: true },
+          question: { name: '{{primary}}', type: 'SOA' },
+          edns: { udpSize: 4096, do: true }
+        }
+      },
+      options: [
+        "The records may be cached for 4096 seconds, and the zone is signed",
+        "The client accepts UDP responses of up to 4096 bytes and wants DNSSEC records in the answer",
+        "The response must be sent over TCP, because it will be larger than 4096 bytes",
+        "The client will validate signatures itself, so the server must not"
+      ],
+      correct: 1,
+      hint: "An OPT record's CLASS field holds the UDP payload size, and its TTL field holds the DO bit.",
+      explanation: "OPT (type 41, 00 29) is EDNS's pseudo-record: it has an empty owner name (00) and reuses the fixed record fields. The CLASS field carries the largest UDP response the client accepts, 10 00 = 4096 bytes, and the TTL field carries the extended RCODE, the EDNS version and the flags - 80 00 is the DO bit, asking for RRSIG and other DNSSEC records. Whether the client validates is signalled by the CD flag in the header, which is clear here."
+    },
+    {
+      id: 'packet-tcp-length',
+      topics: ['tools', 'bind'],
+      difficulty: 'advanced',
+      rating: 1.3,
+      question: "This zone transfer request was captured on a TCP connection to ns1.{{primary}}. What are its first two bytes?",
+      packet: {
+        transport: 'tcp',
+        message: {
+          id: 0x1c2d,
+          flags: {},
+          question: { name: '{{primary}}', type: 'AXFR' }
+        }
+      },
+      options: [
+        "The message ID",
+        "The TCP port the response should be sent to",
+        "The length of the DNS message that follows",
+        "A checksum over the message"
+      ],
+      correct: 2,
+      hint: "Over TCP, DNS messages need framing, because a stream has no message boundaries.",
+      explanation: "TCP delivers a stream of bytes without message boundaries, so over TCP every DNS message is prefixed with its length as a 16-bit number (RFC 1035 section 4.2.2). The message itself starts at the third byte, with the ID 1c 2d. RD is clear: a zone transfer goes straight to an authoritative server, and always over TCP, since a whole zone rarely fits in one UDP datagram."
+    },
+    {
+      id: 'okd-required-records',
+      type: 'multi',
+      topics: ['okd'],
+      difficulty: 'intermediate',
+      rating: 0.3,
+      question: "Which DNS records have to exist before installing the OKD cluster {{cluster}}? Select all that apply.",
+      options: [
+        "An A record for api.{{cluster}} pointing at {{apiIp}}",
+        "An A record for api-int.{{cluster}} pointing at {{apiIp}}",
+        "A wildcard A record for *.apps.{{cluster}} pointing at {{ingressIp}}",
+        "An MX record for {{cluster}} so the cluster can send alert mail",
+        "A TXT record for {{cluster}} holding the pull secret"
+      ],
+      correct: [0, 1, 2],
+      hint: "Think about what the installer, the nodes and application routes need to reach; mail plays no part.",
+      explanation: "The installer checks three names: api.{{cluster}} for clients reaching the Kubernetes API, api-int.{{cluster}} for nodes talking to the API inside the cluster, and *.apps.{{cluster}} so every application route reaches the ingress controller at {{ingressIp}}. Alerts go out through Alertmanager receivers, not an MX record for the cluster domain, and the pull secret lives in install-config.yaml - it must never be published in DNS."
+    },
+    {
+      id: 'iterative-resolution-order',
+      type: 'order',
+      topics: ['resolvers'],
+      difficulty: 'intermediate',
+      rating: 0.6,
+      question: "Nothing is cached yet. Put the steps of looking up www.{{primary}} through the resolver {{dnsIp}} in order.",
+      items: [
+        "The client sends the query for www.{{primary}} to the resolver {{dnsIp}}",
+        "The resolver asks a root server, which refers it to the {{tld}} nameservers",
+        "A {{tld}} nameserver refers the resolver to the nameservers for {{primary}}",
+        "The authoritative nameserver for {{primary}} answers with the A record",
+        "The resolver caches the answer for its TTL and returns it to the client"
+      ],
+      hint: "Resolution starts at the client and moves from the top of the DNS tree downwards.",
+      explanation: "The client only ever talks to its resolver. The resolver walks the tree from the top: the root servers know who runs {{tld}}, the {{tld}} servers know who runs {{primary}}, and only the authoritative servers for {{primary}} hold the actual record. The resolver caches every answer along the way, so the next lookup in {{primary}} can skip straight to the last step."
+    },
+    {
+      id: 'record-purpose-match',
+      type: 'match',
+      topics: ['records', 'dnssec'],
+      difficulty: 'advanced',
+      rating: 1.2,
+      question: "Match each record type to what it is used for.",
+      pairs: [
+        { prompt: "SRV", answer: "Names the host and port that offer a service" },
+        { prompt: "NAPTR", answer: "Rewrites a name into a URI or another lookup, as ENUM and SIP do" },
+        { prompt: "CAA", answer: "Lists the certificate authorities allowed to issue certificates for the domain" },
+        { prompt: "DS", answer: "Holds a hash of the child zone's signing key in the parent zone" }
+      ],
+      hint: "Think of DNSSEC for one of them, certificates for another, and VoIP for two.",
+      explanation: "SRV records such as '_ldap._tcp.{{primary}}' give priority, weight, port and target host for a service. NAPTR records apply regular-expression rewrites, turning a phone number into a SIP URI for example. CAA records tell certificate authorities whether they may issue for {{primary}}. DS records sit in the parent zone and carry a digest of the child's key signing key, linking the DNSSEC chain of trust across the delegation."
+    }
+  ],
+  scenarios,
+  translations: { de, 'pt-BR': ptBR }
+};
+
+export default defaultQuestionSet;
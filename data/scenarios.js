@@ -0,0 +1,164 @@
+/**
+ * Built-in Troubleshooting Scenarios
+ *
+ * Case studies for scenario mode (see lib/scenarios.js), shipped with the
+ * default question set. Each one breaks the lab on purpose through its
+ * faults, and its dig commands run against that broken sandbox, so the
+ * output the learner reads is the evidence. Text uses the same
+ * {{placeholder}} tokens as the questions; translations live with the
+ * question translations in data/translations/.
+ */
+
+const scenarios = [
+  {
+    id: 'okd-bootstrap-hang',
+    title: "OKD install hangs at bootstrap",
+    topics: ['okd', 'tools'],
+    difficulty: 'intermediate',
+    brief: "You are installing the OKD cluster {{cluster}}. The bootstrap machine came up, but 'openshift-install wait-for bootstrap-complete' times out after 40 minutes. The control plane consoles show Ignition retrying the same request over and over. The lab resolver is {{dnsIp}}.",
+    faults: {
+      remove: [{ name: "api-int.{{cluster}}", type: "A" }]
+    },
+    steps: [
+      {
+        id: 'start',
+        text: "The installer logs only say that the API never became available. Where do you start?",
+        choices: [
+          { text: "Check that the external API name resolves", command: "dig api.{{cluster}}", next: 'api-ok' },
+          { text: "Check that the internal API name resolves", command: "dig api-int.{{cluster}}", next: 'api-int-missing' },
+          { text: "Check the wildcard for application routes", command: "dig test.apps.{{cluster}}", next: 'apps-ok' },
+          { text: "Destroy the cluster and run the installer again", next: 'reinstall' }
+        ]
+      },
+      {
+        id: 'api-ok',
+        text: "api.{{cluster}} resolves to the load balancer at {{apiIp}}, so clients outside the cluster can find the API. What next?",
+        choices: [
+          { text: "Check the internal API name the nodes use", command: "dig api-int.{{cluster}}", next: 'api-int-missing' },
+          { text: "Check the reverse lookup of the control plane node", command: "dig -x {{nodeIp}}", next: 'ptr-ok' },
+          { text: "Check the wildcard for application routes", command: "dig test.apps.{{cluster}}", next: 'apps-ok' }
+        ]
+      },
+      {
+        id: 'apps-ok',
+        text: "The *.apps wildcard answers with the ingress address {{ingressIp}}. The router only runs once the cluster is up, so this cannot be what holds up the bootstrap. What next?",
+        choices: [
+          { text: "Check the external API name", command: "dig api.{{cluster}}", next: 'api-ok' },
+          { text: "Check the internal API name", command: "dig api-int.{{cluster}}", next: 'api-int-missing' }
+        ]
+      },
+      {
+        id: 'ptr-ok',
+        text: "{{nodeIp}} maps back to master01.{{cluster}}, so the node will get the right hostname. What next?",
+        choices: [
+          { text: "Check the internal API name", command: "dig api-int.{{cluster}}", next: 'api-int-missing' },
+          { text: "Check the wildcard for application routes", command: "dig test.apps.{{cluster}}", next: 'apps-ok' }
+        ]
+      },
+      {
+        id: 'api-int-missing',
+        text: "The resolver answers NXDOMAIN for api-int.{{cluster}}, while api.{{cluster}} works. What is your hypothesis?",
+        choices: [
+          { text: "The nodes fetch their Ignition config from the machine config server at api-int.{{cluster}}:22623; without the record they never get it", next: 'solved' },
+          { text: "The lab resolver {{dnsIp}} is down", next: 'resolver-up' },
+          { text: "The record was added recently and has not reached the resolver yet; ask the authoritative server", command: "dig @ns1.{{primary}} api-int.{{cluster}}", next: 'authoritative-missing' }
+        ]
+      },
+      {
+        id: 'resolver-up',
+        text: "A resolver that is down does not answer at all - this one replied, with NXDOMAIN, and the other names resolve through it fine. What is your hypothesis now?",
+        choices: [
+          { text: "The nodes fetch their Ignition config from the machine config server at api-int.{{cluster}}:22623; without the record they never get it", next: 'solved' },
+          { text: "The record has not reached the resolver yet; ask the authoritative server", command: "dig @ns1.{{primary}} api-int.{{cluster}}", next: 'authoritative-missing' }
+        ]
+      },
+      {
+        id: 'authoritative-missing',
+        text: "The authoritative server itself answers NXDOMAIN with the aa flag set: the record is not in the zone at all, so waiting will not help. What is your hypothesis?",
+        choices: [
+          { text: "The nodes fetch their Ignition config from the machine config server at api-int.{{cluster}}:22623; without the record they never get it", next: 'solved' },
+          { text: "The zone has not been reloaded; restart the DNS server and wait", next: 'reinstall' }
+        ]
+      },
+      {
+        id: 'solved',
+        text: "Correct. Adding 'api-int.{{cluster}}. IN A {{apiIp}}' to the zone lets the control plane nodes reach the machine config server, and the bootstrap completes a few minutes later.",
+        outcome: 'solved'
+      },
+      {
+        id: 'reinstall',
+        text: "Another hour later the install hangs at exactly the same point. Whatever is wrong is in the environment, not in the install, and it is still there.",
+        outcome: 'unsolved'
+      }
+    ],
+    explanation: "OKD needs three names before it installs: api (for clients), api-int (for the nodes themselves) and the *.apps wildcard (for routes). During bootstrap the control plane nodes boot with a small pointer Ignition config that says 'fetch the rest from https://api-int.{{cluster}}:22623/config/master'. If api-int does not resolve, Ignition retries forever and the bootstrap never completes - while api, which the installer itself uses, looks perfectly healthy. The shortest diagnosis queries api-int directly and reads the NXDOMAIN for what it is; the *.apps wildcard and the PTR records matter, but not at this stage."
+  },
+  {
+    id: 'mail-bounces',
+    title: "Mail to the homelab domain bounces",
+    topics: ['records', 'tools'],
+    difficulty: 'beginner',
+    brief: "Since this morning, mail sent to anyone at {{primary}} bounces with 'Host or domain name not found'. The website at {{primary}} still loads, and nobody admits to touching the mail server.",
+    faults: {
+      remove: [{ name: "mail.{{primary}}" }]
+    },
+    steps: [
+      {
+        id: 'start',
+        text: "Senders' mail servers look up where to deliver mail for {{primary}} and give up. Where do you start?",
+        choices: [
+          { text: "Look up the mail exchangers for the domain", command: "dig {{primary}} MX", next: 'mx-ok' },
+          { text: "Check that the domain resolves at all", command: "dig {{primary}} A", next: 'apex-ok' },
+          { text: "Restart the mail server", next: 'restart' }
+        ]
+      },
+      {
+        id: 'apex-ok',
+        text: "{{primary}} resolves, so the zone is delegated and served. What next?",
+        choices: [
+          { text: "Look up the mail exchangers", command: "dig {{primary}} MX", next: 'mx-ok' },
+          { text: "Restart the mail server", next: 'restart' }
+        ]
+      },
+      {
+        id: 'restart',
+        text: "The mail server restarts cleanly and its logs show nothing unusual, but new bounces keep arriving. What next?",
+        choices: [
+          { text: "Look up the mail exchangers", command: "dig {{primary}} MX", next: 'mx-ok' },
+          { text: "Check that the domain resolves at all", command: "dig {{primary}} A", next: 'apex-ok' }
+        ]
+      },
+      {
+        id: 'mx-ok',
+        text: "The MX record is there and points at mail.{{primary}} with preference 10. What next?",
+        choices: [
+          { text: "Look up the address of the mail exchanger", command: "dig mail.{{primary}} A", next: 'mail-missing' },
+          { text: "Restart the mail server", next: 'restart' }
+        ]
+      },
+      {
+        id: 'mail-missing',
+        text: "The resolver answers NXDOMAIN for mail.{{primary}}. What is your hypothesis?",
+        choices: [
+          { text: "The MX record points at a name that has no address record, so senders cannot find a host to deliver to", next: 'solved' },
+          { text: "The MX record should point at an IP address instead of a name", next: 'mx-address' }
+        ]
+      },
+      {
+        id: 'mx-address',
+        text: "An MX record must name a host, never an address - it has always pointed at mail.{{primary}}, and that worked until this morning. What is your hypothesis now?",
+        choices: [
+          { text: "The MX record points at a name that has no address record, so senders cannot find a host to deliver to", next: 'solved' }
+        ]
+      },
+      {
+        id: 'solved',
+        text: "Correct. Someone deleted the A record for mail.{{primary}}. Putting it back makes the MX target resolvable again, and queued mail starts arriving.",
+        outcome: 'solved'
+      }
+    ],
+    explanation: "Delivering mail takes two lookups: the MX record names the host that accepts mail for {{primary}}, and that host's own A or AAAA record gives the address to connect to. Here the MX record was fine but its target, mail.{{primary}}, had been removed, so every sender failed on the second lookup. The shortest diagnosis follows the same two lookups a sending server makes; restarting the mail server cannot help, because the mail never reaches it."
+  }
+];
+
+export default scenarios;
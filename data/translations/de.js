@@ -0,0 +1,972 @@
+/**
+ * German Translation of the Built-in Question Set
+ *
+ * Keyed by question and scenario id (see SetTranslation in lib/questionSet.js). Options
+ * keep the order of the English originals so `correct` still applies, and
+ * {{placeholder}} tokens stay untranslated for the session's environment.
+ * Questions missing here are shown in English.
+ */
+
+const de = {
+  title: 'DNS-Wissensquiz',
+  topics: {
+    records: 'DNS-Einträge',
+    bind: 'BIND 9',
+    okd: 'OKD/OpenShift',
+    tools: 'dig & nslookup',
+    dnssec: 'DNSSEC & Sicherheit',
+    resolvers: 'Resolver',
+    'public-dns': 'Öffentliches DNS'
+  },
+  questions: {
+    'a-record': {
+      question: "Welcher DNS-Eintragstyp ordnet einem Hostnamen eine IPv4-Adresse zu?",
+      options: ["AAAA-Eintrag", "A-Eintrag", "CNAME-Eintrag", "PTR-Eintrag"],
+      hint: "Der Eintragstyp ist nach dem Wort 'Address' benannt; IPv6 bekommt einen längeren Namen.",
+      explanation: "Ein A-Eintrag (Address Record) ordnet einem Hostnamen eine IPv4-Adresse zu. So besagt 'web.{{example}} A {{webIp}}', dass web.{{example}} unter {{webIp}} erreichbar ist. AAAA-Einträge gelten für IPv6-Adressen, CNAME legt Aliase an und PTR dient der Rückwärtsauflösung (IP zu Hostname)."
+    },
+    'zone-at-symbol': {
+      question: "Wofür steht das @-Zeichen in einer BIND-Zonendatei?",
+      options: ["Die IP des DNS-Servers", "Den Ursprung bzw. Domainnamen der Zone", "Einen Kommentar", "Einen Alias"],
+      hint: "Denken Sie an den Namen, um den es in der ganzen Zonendatei geht - den, den $ORIGIN festlegt.",
+      explanation: "Das @-Zeichen ist die Kurzform für den Zonenursprung, also den Domainnamen der Zone selbst. Gehört Ihre Zonendatei zu '{{primary}}', steht @ für '{{primary}}'. So müssen Sie den vollständigen Domainnamen nicht ständig wiederholen. '@ IN A {{dnsIp}}' bedeutet zum Beispiel '{{primary}} IN A {{dnsIp}}'."
+    },
+    'split-horizon': {
+      question: "Was ist Split-Horizon-DNS?",
+      options: [
+        "DNS, das über zwei Provider läuft",
+        "Unterschiedliche DNS-Antworten für interne und externe Clients",
+        "Eine DNS-Konfiguration als Backup",
+        "DNS, das den Verkehr auf mehrere Server verteilt"
+      ],
+      hint: "Der 'Horizont' ist der Rand Ihres Netzes: Wer fragt, bestimmt, was er zu sehen bekommt.",
+      explanation: "Split-Horizon-DNS liefert je nach anfragendem Client unterschiedliche Antworten. Interne Clients erhalten etwa private IPs (wie {{ingressIp}} für {{secondary}}), externe dagegen Ihre öffentliche IP. In BIND wird das mit 'views' umgesetzt - eine für vertrauenswürdige/interne Clients und eine für externe. Ideal fürs Homelab, wenn Dienste intern direkt und zugleich öffentlich erreichbar sein sollen."
+    },
+    'mx-record': {
+      question: "Mit welchem DNS-Eintragstyp werden die Mailserver einer Domain angegeben?",
+      options: ["A-Eintrag", "MX-Eintrag", "CNAME-Eintrag", "TXT-Eintrag"],
+      hint: "Die zwei Buchstaben des Eintrags stehen für 'Mail eXchanger'.",
+      explanation: "MX-Einträge (Mail Exchange) legen fest, welche Server die E-Mails einer Domain annehmen. Sie enthalten eine Priorität - niedrigere Werte werden zuerst versucht. '{{example}} MX 10 mail.{{example}}' bedeutet zum Beispiel, dass mail.{{example}} mit Priorität 10 die E-Mails entgegennimmt. Mehrere Mailserver lassen sich zur Redundanz mit unterschiedlichen Prioritäten eintragen."
+    },
+    'ptr-record': {
+      question: "Wozu dient ein PTR-Eintrag?",
+      options: [
+        "Verweist auf einen primären Server",
+        "Legt einen Alias für einen Hostnamen an",
+        "Ordnet einer IP-Adresse wieder einen Hostnamen zu (Reverse DNS)",
+        "Legt die Priorität des Mailservers fest"
+      ],
+      hint: "Er liegt unter in-addr.arpa und beantwortet die Frage 'Wer ist diese Adresse?'.",
+      explanation: "PTR-Einträge (Pointer) ermöglichen Reverse DNS - die Zuordnung einer IP-Adresse zu einem Hostnamen. Normales DNS löst vom Namen zur IP auf (Vorwärtsauflösung), PTR von der IP zum Namen (Rückwärtsauflösung). Sie sind für Mailserver entscheidend (Spamfilter prüfen sie) und liegen in eigenen Reverse-Zonen wie '{{reverseZone}}' für das Netz {{subnet}}. Beispiel: '{{nodeReverse}}. IN PTR master01.{{cluster}}.' ordnet {{nodeIp}} master01.{{cluster}} zu."
+    },
+    'okd-apps-wildcard': {
+      question: "Wozu dient in einem OKD/OpenShift-Cluster der Wildcard-Eintrag *.apps.{{cluster}}?",
+      options: [
+        "Lastverteilung zwischen den API-Servern",
+        "Den gesamten Anwendungsverkehr über den Ingress-Controller leiten",
+        "Kommunikation innerhalb des Clusters ermöglichen",
+        "Speicher konfigurieren"
+      ],
+      hint: "Jede Route einer Anwendung endet auf .apps; eine Komponente nimmt diesen gesamten HTTP-Verkehr an.",
+      explanation: "Der Wildcard-Eintrag *.apps leitet ALLE Anwendungsrouten an den Ingress-Controller/Router von OKD. Legt eine App eine Route wie 'myapp.apps.{{cluster}}' oder '{{secondaryName}}.apps.{{cluster}}' an, greift die Wildcard und schickt den Verkehr an Ihre Ingress-IP (etwa {{ingressIp}}). Der Ingress-Controller leitet dann anhand des HTTP-Host-Headers an den richtigen Pod weiter. So realisiert OpenShift/OKD Mandantenfähigkeit und dynamisches Routing, ohne für jede App eigene DNS-Einträge anzulegen."
+    },
+    ttl: {
+      question: "Wofür steht TTL im DNS, und was steuert sie?",
+      options: [
+        "Total Transfer Limit - maximale Zonengröße",
+        "Time To Live - wie lange ein DNS-Eintrag zwischengespeichert wird",
+        "Transfer Time Limit - maximale Abfragedauer",
+        "Tunneling Transport Layer - Verschlüsselungsverfahren"
+      ],
+      hint: "Dieselbe Idee wie das Hop-Limit eines IP-Pakets: eine Lebensdauer, nach der eine Kopie verworfen werden muss.",
+      explanation: "Die TTL (Time To Live) gibt an, wie lange (in Sekunden) Resolver einen DNS-Eintrag zwischenspeichern dürfen, bevor sie erneut nachfragen. Eine TTL von 300 entspricht 5 Minuten. Niedrige TTLs bedeuten häufigere Abfragen (mehr Last), aber schnellere Verbreitung von Änderungen; hohe TTLs senken die Last, Änderungen brauchen aber länger. Für dynamische IPs empfehlen sich niedrige TTLs (300-600), für stabile Infrastruktur sind höhere (3600-86400) in Ordnung."
+    },
+    'cname-vs-a': {
+      question: "Worin unterscheiden sich ein CNAME- und ein A-Eintrag?",
+      options: [
+        "CNAME ist für IPv6, A für IPv4",
+        "CNAME legt einen Alias auf einen anderen Namen an, A verweist auf eine IP",
+        "CNAME ist schneller als A-Einträge",
+        "A-Einträge kosten mehr als CNAMEs"
+      ],
+      hint: "Einer der beiden enthält nie selbst eine Adresse, nur einen weiteren Namen zum Nachschlagen.",
+      explanation: "Ein CNAME (Canonical Name) ist ein Alias, der auf einen anderen Hostnamen verweist, während ein A-Eintrag direkt auf eine IP-Adresse zeigt. 'www CNAME @' bedeutet zum Beispiel, dass www.{{example}} ein Alias für {{example}} ist (das den A-Eintrag trägt). CNAMEs dürfen nicht an der Zonenspitze (@) stehen und nicht neben anderen Eintragstypen desselben Namens existieren. Der Resolver folgt dem CNAME bis zum eigentlichen A/AAAA-Eintrag. Praktisch, wenn mehrere Namen auf dasselbe Ziel zeigen sollen - dann ändern Sie nur einen A-Eintrag."
+    },
+    'soa-contents': {
+      question: "Welche Informationen enthält ein SOA-Eintrag (Start of Authority)?",
+      options: [
+        "IP-Adressen der Server",
+        "Einstellungen des Mailservers",
+        "Zonenmetadaten: primärer Server, Admin-E-Mail, Seriennummer, Timer",
+        "Sicherheitszertifikate"
+      ],
+      hint: "Er ist der erste Eintrag jeder Zone und beschreibt die Zone selbst, keinen Host darin.",
+      explanation: "Der SOA-Eintrag steht am Anfang jeder Zonendatei und enthält wichtige Metadaten: (1) primärer Nameserver der Zone, (2) E-Mail des Administrators (mit . statt @), (3) Seriennummer (kennzeichnet die Zonenversion - bei jeder Änderung erhöhen!), (4) Refresh-Timer (wie oft Secondaries nach Updates sehen), (5) Retry-Timer (Wartezeit nach fehlgeschlagenem Refresh), (6) Expire-Timer (wann Secondaries aufhören, die Zone auszuliefern, wenn der Primary nicht erreichbar ist), (7) negative TTL (wie lange 'Domain existiert nicht' zwischengespeichert wird). Er ist die 'Geburtsurkunde' der Zone - er muss stimmen!"
+    },
+    'bind-views': {
+      question: "Wozu dienen 'views' in der BIND-Konfiguration?",
+      options: [
+        "DNS-Verkehr überwachen",
+        "Unterschiedlichen Clients unterschiedliche DNS-Antworten liefern",
+        "DNS-Dashboards erstellen",
+        "Zonen replizieren"
+      ],
+      hint: "Eine View ordnet Clients zu, etwa mit match-clients, bevor irgendeine Zone befragt wird.",
+      explanation: "Mit Views liefert BIND je nach Anfragendem (erkannt an der Quell-IP) völlig unterschiedliche Antworten. So wird Split-Horizon-DNS umgesetzt. Eine 'internal'-View passt etwa auf Ihre LAN-IPs (ACL 'trusted') und enthält die vollständigen Zonendaten mit privaten IPs, eine 'external'-View für alle anderen nur die öffentlichen Einträge. Jede View kann eigene Zonen, Forwarder und Rekursionseinstellungen haben. Ideal fürs Homelab, wenn interne Clients für dieselben Hostnamen private und externe Clients öffentliche IPs brauchen."
+    },
+    'soa-serial': {
+      question: "Warum muss die SOA-Seriennummer bei jeder Änderung der Zonendatei erhöht werden?",
+      options: [
+        "Für Backups",
+        "Damit sekundäre Server erfahren, dass sich die Zone geändert hat",
+        "Um DNS zu beschleunigen",
+        "Das ist nicht wichtig"
+      ],
+      hint: "Secondaries vergleichen eine Zahl mit ihrer eigenen Kopie, um zu entscheiden, ob sie die Zone übertragen.",
+      explanation: "Die SOA-Seriennummer ist DER Mechanismus, über den sekundäre (Slave-)Server von einer Änderung erfahren. Secondaries prüfen regelmäßig die Seriennummer des Primary. Ist sie HÖHER als ihre eigene, fordern sie einen Zonentransfer (AXFR oder IXFR) an. Vergessen Sie das Erhöhen, bekommen die Secondaries nichts mit! Üblich ist JJJJMMTTNN (2024122401 für die erste Änderung am 24.12.2024). Auch ohne Secondaries ist das gute Praxis - sie kommen vielleicht später hinzu, und die Seriennummer dokumentiert Ihre Änderungen."
+    },
+    'recursive-query': {
+      question: "Welche Art von DNS-Abfrage führt ein rekursiver Resolver aus?",
+      options: [
+        "Er prüft nur seinen Cache",
+        "Er durchläuft im Auftrag des Clients die gesamte DNS-Hierarchie",
+        "Er leitet nur an andere Server weiter",
+        "Er liefert nur autoritative Antworten"
+      ],
+      hint: "'Rekursiv' heißt, der Resolver erledigt die ganze Laufarbeit, damit der Client eine endgültige Antwort erhält.",
+      explanation: "Ein rekursiver Resolver erledigt die GESAMTE Auflösung für den Client. Fragen Sie ihn nach '{{secondary}}', dann (1) prüft er zuerst seinen Cache, (2) fragt ohne Treffer die Root-Server nach den Nameservern für {{secondaryTld}}, (3) fragt die {{secondaryTld}}-Server nach den Nameservern für {{secondary}}, (4) fragt diese nach der endgültigen Antwort und (5) gibt sie Ihnen zurück und speichert sie zwischen. Der Client erhält eine einzige Antwort - die Arbeit hat der Resolver gemacht. Bei iterativen Abfragen dagegen verweist jeder Server nur auf den nächsten, und der Client erledigt die Arbeit. Die meisten DNS-Server, die Sie einrichten (etwa BIND auf OPNsense), sind rekursive Resolver für Ihr internes Netz."
+    },
+    'okd-preinstall-record': {
+      question: "Welcher DNS-Eintrag muss für Ihren OKD-Cluster auflösen, BEVOR die Installation gelingen kann?",
+      options: [
+        "Nur *.apps.{{cluster}}",
+        "Nur api.{{cluster}}",
+        "Sowohl api.{{cluster}} als auch api-int.{{cluster}}",
+        "Nur die Einträge der Worker-Nodes"
+      ],
+      hint: "Installer und Knoten sprechen beide mit der Kubernetes-API - von außerhalb und von innerhalb des Clusters.",
+      explanation: "Die Installation von OKD/OpenShift SETZT VORAUS, dass api.{{cluster}} und api-int.{{cluster}} auflösen, sonst startet sie gar nicht erst. Der Installer prüft DNS vorab. 'api' ist der externe, 'api-int' der interne API-Endpunkt - oft zeigen beide auf dieselbe IP bzw. denselben Load Balancer, aber BEIDE müssen existieren. Außerdem prüft der Installer, dass *.apps.{{cluster}} auflöst (für das Anwendungsrouting) und Reverse DNS für die Nodes funktioniert. Fehlendes oder falsches DNS ist der häufigste Grund für gescheiterte OKD-Installationen. Testen Sie vor dem Installer immer mit 'dig'!"
+    },
+    'srv-record': {
+      question: "Wozu dienen SRV-Einträge im DNS?",
+      options: [
+        "Webseiten ausliefern",
+        "Den Ort (Hostname + Port) bestimmter Dienste angeben",
+        "Subdomains anlegen",
+        "E-Mail-Routing steuern"
+      ],
+      hint: "Ein SRV-Name wie _ldap._tcp.{{primary}} beantwortet 'wo' und 'auf welchem Port'.",
+      explanation: "SRV-Einträge (Service) geben nicht nur an, WO ein Dienst läuft (Hostname), sondern auch auf WELCHEM PORT, sowie Priorität und Gewichtung für die Lastverteilung. Format: '_dienst._protokoll.domain SRV Priorität Gewicht Port Ziel'. OKD nutzt SRV-Einträge etwa zum Auffinden von etcd: '_etcd-server-ssl._tcp.{{cluster}} SRV 0 10 2380 etcd-0.{{cluster}}' teilt Clients mit, dass der etcd-SSL-Dienst auf etcd-0.{{cluster}} an Port 2380 läuft. So finden Clients Dienste ohne fest eingetragene Ports. Typische Einsätze: LDAP, SIP (VoIP), XMPP (Chat) und Kubernetes/etcd."
+    },
+    'cloudflare-ddns': {
+      question: "Was wird bei dynamischem DNS über Cloudflare aktualisiert, wenn sich Ihre öffentliche IP ändert?",
+      options: [
+        "Ihre BIND-Konfiguration auf OPNsense",
+        "Die A-Einträge bei Cloudflare, die auf Ihre öffentliche IP zeigen",
+        "Ihre internen Zonendateien",
+        "Die TTL-Werte"
+      ],
+      hint: "Dynamisches DNS sorgt dafür, dass der öffentliche Name auf die Adresse zeigt, die Ihr Provider gerade vergeben hat.",
+      explanation: "Bei dynamischem DNS mit Cloudflare erkennt ein Client (etwa ddclient auf OPNsense oder ein Skript), wenn sich die vom Provider vergebene öffentliche IP ändert, und AKTUALISIERT über die Cloudflare-API die A-Einträge, damit sie auf die NEUE IP zeigen. Zeigte '{{secondary}}' etwa auf 203.0.113.45 und Ihre IP wechselt auf 203.0.113.67, sorgt der Client dafür, dass {{secondary}} bei Cloudflare nun auf .67 zeigt. Ihre BIND-Konfiguration und die internen Zonendateien ändern sich NICHT - sie zeigen weiter auf interne IPs (10.0.1.x). Deshalb ist Split-Horizon wichtig: Interne Clients nutzen BIND (private IPs), externe Cloudflare (öffentliche IP)."
+    },
+    'bind-forwarders': {
+      question: "Wozu dient die Direktive 'forwarders' in der BIND-Konfiguration?",
+      options: [
+        "E-Mails versenden",
+        "Upstream-DNS-Server für Anfragen angeben, die man selbst nicht beantworten kann",
+        "Zonendateien auf andere Server kopieren",
+        "IPv6 aktivieren"
+      ],
+      hint: "Weiterleiten heißt, Anfragen, die der Server nicht selbst beantworten kann, an andere Resolver zu schicken.",
+      explanation: "Die Direktive 'forwarders' legt fest, welche Upstream-DNS-Server BIND für Domains fragt, für die es nicht autoritativ ist. Statt selbst vollständig rekursiv aufzulösen (Root-Server, TLD-Server usw.), reicht BIND die Anfrage an diese Server weiter (etwa 1.1.1.1 oder 8.8.8.8) und speichert deren Antwort zwischen. Das ist schneller und spart Last. Beispiel: Ihr BIND ist autoritativ für {{primary}} und {{cluster}}; fragt jemand nach 'google.com', leitet BIND an Cloudflare (1.1.1.1) weiter, speichert die Antwort und gibt sie an den Client zurück. Forwarder lassen sich global oder pro Zone setzen."
+    },
+    'zone-trailing-dot': {
+      question: "Was bedeutet es, wenn ein Hostname in einer Zonendatei NICHT mit einem Punkt (.) endet?",
+      options: [
+        "Das ist ein Fehler",
+        "Es ist ein relativer Name - der Zonenursprung wird angehängt",
+        "Es ist ein CNAME",
+        "Das Caching wird deaktiviert"
+      ],
+      hint: "Ein Punkt am Ende macht einen Namen absolut; ohne ihn hängt BIND etwas an.",
+      explanation: "In Zonendateien sind Namen ohne abschließenden Punkt RELATIV - BIND hängt automatisch den Zonenursprung an. Namen MIT abschließendem Punkt sind vollqualifiziert (FQDN). Beispiel in der Zone {{primary}}: Aus 'www' wird 'www.{{primary}}' (relativ), 'www.{{primary}}.' bleibt dagegen, wie es ist (FQDN mit Punkt). Eine häufige Fehlerquelle! Schreiben Sie 'www.{{primary}}' (ohne Punkt), hängt BIND den Ursprung an und Sie erhalten 'www.{{primary}}.{{primary}}' - vermutlich nicht gewollt! Verwenden Sie ENTWEDER relative Namen ('www') ODER FQDNs mit Punkt ('www.{{primary}}')."
+    },
+    'dnssec-overview': {
+      question: "Was ist DNSSEC, und welches Problem löst es?",
+      options: [
+        "Es verschlüsselt den DNS-Verkehr",
+        "Es beschleunigt DNS-Abfragen",
+        "Es signiert DNS-Antworten kryptografisch, um Manipulation zu verhindern",
+        "Es bietet DNS über HTTPS"
+      ],
+      hint: "Das 'SEC' fügt Signaturen und einen Herkunftsnachweis hinzu, keine Geheimhaltung.",
+      explanation: "DNSSEC (DNS Security Extensions) stellt mit kryptografischen Signaturen sicher, dass DNS-Antworten nicht manipuliert wurden. Es schützt vor Cache Poisoning und Man-in-the-Middle-Angriffen, bei denen Angreifer Sie mit gefälschten Antworten auf falsche Seiten umleiten. DNSSEC VERSCHLÜSSELT Abfragen nicht (das leisten DNS-over-HTTPS/TLS), es AUTHENTIFIZIERT sie. Mit aktivierter DNSSEC-Validierung prüft Ihr Resolver die Signaturen entlang einer Vertrauenskette von den Root-Servern abwärts. Passen sie nicht, wird die Antwort verworfen. Als autoritativer Server ist DNSSEC aufwendig (Schlüsselverwaltung), die Validierung im Resolver lässt sich aber leicht einschalten."
+    },
+    'bind-on-firewall': {
+      question: "Warum könnte man BIND auf der Firewall statt auf einem eigenen Server betreiben wollen?",
+      options: [
+        "Das ist gesetzlich vorgeschrieben",
+        "Zentrale Kontrolle, erster Eintrittspunkt ins Netz, DNS-basierte Richtlinien durchsetzbar",
+        "BIND läuft nur auf Firewalls",
+        "Es ist billiger"
+      ],
+      hint: "Jedes Gerät im Netz schickt seinen Verkehr ohnehin durch die Firewall.",
+      explanation: "DNS auf der Firewall (etwa OPNsense) bietet mehrere Vorteile: (1) zentrale Kontrolle - alle Clients müssen es nutzen und können es kaum umgehen, (2) Engpass im Netz - alle DNS-Abfragen lassen sich protokollieren, (3) DNS-basierte Filterung - Malware- und Werbedomains werden blockiert, bevor sie auflösen, (4) Integration - Zusammenspiel mit DHCP für automatische DNS-Einträge, (5) eine Stelle für die Verwaltung - die Firewall routet ohnehin schon. Nachteile: Die Firewall wird noch kritischer (fällt sie aus, fällt alles aus), mögliche Leistungseinbußen bei vielen Abfragen, und manche bevorzugen die Trennung der Aufgaben mit eigenen DNS-Servern. Im Homelab ist DNS auf der Firewall sehr verbreitet und praktisch."
+    },
+    'authoritative-vs-recursive': {
+      question: "Worin unterscheiden sich ein autoritativer DNS-Server und ein rekursiver Resolver?",
+      options: [
+        "Es gibt keinen Unterschied",
+        "Der autoritative hat die eigentlichen Zonendaten, der rekursive sucht Antworten im Auftrag von Clients",
+        "Der autoritative ist schneller",
+        "Rekursive gibt es nur für Root-Server"
+      ],
+      hint: "Die eine Art Server besitzt die Antworten, die andere geht sie suchen.",
+      explanation: "Ein AUTORITATIVER Server hält die offiziellen Daten bestimmter Zonen - er ist der 'Eigentümer' ihrer Einträge. Zu seinen Zonen gibt er verbindliche Antworten (AA-Flag gesetzt). Ein REKURSIVER RESOLVER besitzt keine Zonen - er sucht Antworten im Auftrag von Clients, indem er andere Server fragt. Ihr BIND ist BEIDES: autoritativ für {{primary}} und {{cluster}} (Sie pflegen die Zonendateien) UND rekursiv für alles andere (er fragt im Auftrag Ihrer internen Clients). Öffentliche Resolver wie 8.8.8.8 sind rein rekursiv - sie besitzen keine Zonen, sie beantworten nur Anfragen. Die Nameserver Ihres Registrars sind (aus Sicht des Internets) autoritativ für Ihre Domain."
+    },
+    'dig-trace': {
+      question: "Was macht der Befehl 'dig +trace'?",
+      options: [
+        "Zeigt Mitschnitte von DNS-Paketen",
+        "Verfolgt den gesamten Auflösungsweg von den Root-Servern abwärts",
+        "Überwacht den DNS-Verkehr",
+        "Verfolgt Netzwerkrouten"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der den gesamten Delegationsweg für {{secondary}} ab den Root-Servern verfolgt."
+      },
+      hint: "Die Option folgt jedem Verweis selbst, angefangen bei der Root-Zone, statt einen Resolver zu fragen.",
+      explanation: "Der Befehl 'dig +trace' zeigt den GESAMTEN Auflösungsvorgang, beginnend bei den Root-Servern. Er fragt die Root-Server nach den TLD-Servern, diese nach den autoritativen Servern und diese schließlich nach der Antwort. Das ist äußerst nützlich, um DNS-Probleme zu finden und die Delegationskette zu verstehen. 'dig +trace {{secondary}}' zeigt etwa: (1) Anfrage an die Root-Server, (2) Verweis auf die {{tld}}-Server, (3) Verweis auf die Nameserver von {{secondary}}, (4) endgültige Antwort. So sehen Sie genau, an welcher Stelle der Kette etwas klemmt."
+    },
+    'caa-record': {
+      question: "Wozu dient ein CAA-Eintrag (Certification Authority Authorization)?",
+      options: [
+        "Prioritäten von Mailservern festlegen",
+        "Festlegen, welche Zertifizierungsstellen SSL-Zertifikate für Ihre Domain ausstellen dürfen",
+        "DNS-Einträge zwischenspeichern",
+        "Zonentransfers authentifizieren"
+      ],
+      hint: "Er wird von Zertifizierungsstellen geprüft, nicht von Browsern.",
+      explanation: "CAA-Einträge legen fest, welche Zertifizierungsstellen (CAs) SSL/TLS-Zertifikate für Ihre Domain ausstellen dürfen. Das verhindert, dass nicht berechtigte CAs Zertifikate ausstellen, die für Man-in-the-Middle-Angriffe missbraucht werden könnten. Beispiel: '{{secondary}} CAA 0 issue \"letsencrypt.org\"' bedeutet, dass nur Let's Encrypt Zertifikate für {{secondary}} ausstellen darf. Mit 'issuewild' regeln Sie Wildcards, mit 'iodef' die Meldeadresse für Verstöße. CAs müssen CAA-Einträge vor der Ausstellung prüfen - ein wichtiges Sicherheitsmerkmal."
+    },
+    'dig-aa-flag': {
+      question: "Was bedeutet das Flag 'aa' in der Ausgabe von dig?",
+      options: [
+        "Abbreviated Answer (gekürzte Antwort)",
+        "Authoritative Answer - der Server ist für diese Zone autoritativ",
+        "Always Available (immer verfügbar)",
+        "Authenticated Answer (authentifizierte Antwort)"
+      ],
+      hint: "Das Flag erscheint, wenn der antwortende Server die Zone selbst vorhält.",
+      explanation: "Das Flag 'aa' (Authoritative Answer) zeigt, dass der antwortende Server für die abgefragte Zone autoritativ ist - er hat die offiziellen Daten, keine zwischengespeicherte Kopie. Fragen Sie Ihren BIND nach Einträgen Ihrer eigenen Zonen, steht 'aa' in den Flags. Bei externen Domains fehlt 'aa', weil Ihr Server nur weiterleitet bzw. rekursiv auflöst. So prüfen Sie, ob die Antwort von der richtigen Stelle kommt. Erwarten Sie eine autoritative Antwort, sehen aber kein 'aa', fragen Sie vielleicht den falschen Server oder die Delegation stimmt nicht."
+    },
+    unbound: {
+      question: "Was ist Unbound, und worin unterscheidet es sich von BIND?",
+      options: [
+        "Unbound ist nur eine neuere BIND-Version",
+        "Unbound ist ein validierender, rekursiver Resolver mit Fokus auf Sicherheit, BIND kann autoritativ und rekursiv arbeiten",
+        "Unbound läuft nur unter Windows",
+        "Sie sind völlig gleich"
+      ],
+      hint: "Unbound wurde für eine einzige Aufgabe geschrieben - auflösen und validieren - und soll sie sicher erledigen.",
+      explanation: "Unbound ist ein moderner, sicherheitsorientierter, validierender rekursiver Resolver. Anders als BIND, das autoritativ und rekursiv arbeiten kann, beschränkt sich Unbound AUSSCHLIESSLICH auf die rekursive Auflösung mit eingebauter DNSSEC-Validierung. Für reine Resolver-Setups soll es schneller, sicherer und einfacher zu konfigurieren sein als BIND. Oft wird Unbound mit einem autoritativen Server kombiniert - etwa Unbound für rekursive Anfragen und BIND (oder NSD) für die eigenen Zonen. Beliebt ist Unbound besonders für datenschutzorientierte Setups, DNS-Filterung und als DNS-Komponente in Pi-hole-Installationen."
+    },
+    pihole: {
+      question: "Was ist Pi-hole, und welche DNS-Funktion bietet es?",
+      options: [
+        "Ein DNS-Server nur für den Raspberry Pi",
+        "Ein netzwerkweiter Werbeblocker, der als DNS-Sinkhole arbeitet",
+        "Eine VPN-Lösung",
+        "Eine Firewall-Anwendung"
+      ],
+      hint: "Es beantwortet Anfragen nach Werbedomains mit nichts, sodass die Werbung nie geladen wird.",
+      explanation: "Pi-hole ist ein netzwerkweiter Werbeblocker, der als DNS-Sinkhole arbeitet. Er betreibt einen DNS-Server (meist dnsmasq oder Unbound), der Anfragen an bekannte Werbe- und Tracking-Domains mit einer Null-Antwort (0.0.0.0) blockiert. Fragt ein Client eine Werbedomain an, wird sie schon auf DNS-Ebene blockiert, bevor etwas geladen wird. Pi-hole bietet: (1) DNS-basiertes Werbeblocken für alle Geräte im Netz, (2) DHCP-Server, (3) Web-Dashboard mit Statistiken, (4) eigene Block- und Freigabelisten, (5) Abfrageprotokoll. Sie stellen Ihr Netz auf Pi-hole als DNS-Server um, und es leitet legitime Anfragen an Upstream-Server wie Cloudflare oder Google weiter, während es Werbung blockiert."
+    },
+    'dig-short': {
+      question: "Was macht der Befehl 'dig +short'?",
+      options: [
+        "Er beschleunigt die Abfrage",
+        "Er gibt nur den Antwortteil mit minimaler Ausgabe zurück",
+        "Er fragt nur kurze Domainnamen ab",
+        "Er nutzt UDP statt TCP"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der nur die IP-Adresse von {{primary}} ausgibt, ohne weitere Ausgabe."
+      },
+      hint: "Vergleichen Sie die Ausgabe mit einem einfachen dig: Übrig bleiben nur die Daten, nach denen Sie gefragt haben.",
+      explanation: "Mit '+short' gibt dig nur die eigentliche Antwort aus und lässt Header, Question-, Authority- und Additional-Abschnitt weg. 'dig +short {{secondary}}' liefert etwa nur '{{ingressIp}}' statt der ausführlichen Ausgabe. Das ist äußerst praktisch in Skripten, die nur die IP brauchen, oder für schnelle Nachschlagen ohne DNS-Metadaten. Es lässt sich mit anderen Optionen kombinieren: 'dig +short +trace' oder 'dig +short @8.8.8.8 {{secondary}}' für eine knappe Ausgabe von bestimmten Servern."
+    },
+    'dname-record': {
+      question: "Wozu dient ein DNAME-Eintrag?",
+      options: [
+        "Dasselbe wie ein CNAME-Eintrag",
+        "Legt einen Alias für einen ganzen Teilbaum der Domain an",
+        "Gibt die Administratoren der Domain an",
+        "Verschlüsselt DNS-Antworten"
+      ],
+      hint: "Ein CNAME ist ein Alias für einen Namen; dieser Eintragstyp tut dasselbe für alles unterhalb eines Namens.",
+      explanation: "DNAME (Delegation Name) legt einen Alias für einen GANZEN Teilbaum an, während CNAME nur einen einzelnen Namen umleitet. Mit 'old.{{primary}} DNAME new.{{primary}}' wird JEDE Anfrage unterhalb von old.{{primary}} nach new.{{primary}} umgeleitet. Aus www.old.{{primary}} wird so www.new.{{primary}}, aus mail.old.{{primary}} wird mail.new.{{primary}} usw. Das ist nützlich bei Domain-Umzügen oder wenn ein ganzer Subdomain-Baum umgeleitet werden soll, ohne für jeden Eintrag einen CNAME anzulegen."
+    },
+    'dig-server': {
+      question: "Wie fragt man mit dig einen bestimmten DNS-Server ab?",
+      options: [
+        "dig -server 8.8.8.8 domain.com",
+        "dig @8.8.8.8 domain.com",
+        "dig --server=8.8.8.8 domain.com",
+        "dig domain.com > 8.8.8.8"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der den DNS-Server {{dnsIp}} nach dem A-Eintrag von {{primary}} fragt."
+      },
+      hint: "Das Server-Argument von dig beginnt mit einem Zeichen - dem aus E-Mail-Adressen.",
+      explanation: "Das '@'-Zeichen gibt an, welcher DNS-Server gefragt wird. 'dig @8.8.8.8 {{secondary}}' fragt das DNS von Google, 'dig @1.1.1.1 {{secondary}}' Cloudflare und 'dig @{{dnsIp}} {{secondary}}' Ihren lokalen BIND. Das ist bei der Fehlersuche entscheidend - so prüfen Sie, ob bestimmte Server die richtigen Einträge haben. Nach einer Änderung an der Zonendatei fragen Sie etwa direkt Ihren BIND, um die neuen Einträge zu bestätigen, bevor Sie aus anderen Netzen testen. Auch Root-Server lassen sich direkt fragen: 'dig @a.root-servers.net', um Probleme auf Root-Ebene zu erkennen."
+    },
+    'nslookup-vs-dig': {
+      question: "Worin unterscheiden sich nslookup und dig?",
+      options: [
+        "Es sind identische Werkzeuge",
+        "nslookup ist älter/einfacher, dig ist mächtiger mit ausführlicher Ausgabe und mehr Optionen",
+        "nslookup gibt es nur für Windows",
+        "dig ist veraltet"
+      ],
+      hint: "Das eine Werkzeug stammt aus den Anfängen von DNS und hat einen interaktiven Modus; das andere zeigt die vollständige DNS-Nachricht.",
+      explanation: "nslookup ist ein älteres, einfacheres Abfragewerkzeug, das es auf den meisten Plattformen gibt, zugunsten von dig aber als teilweise überholt gilt. dig (Domain Information Groper) ist mächtiger, mit ausführlicher Ausgabe, besserer Formatierung und mehr Optionen. dig zeigt alle Abschnitte der Antwort (Header, Question, Answer, Authority, Additional) und unterstützt +trace, +short, DNSSEC-Validierung, Abfragen bestimmter Eintragstypen und mehr. nslookup ist standardmäßig interaktiv und für Einsteiger leichter, DNS-Profis bevorzugen aber dig wegen seiner Flexibilität und ausführlichen Ausgabe. Unter Linux ist dig Standard; unter Windows ist eher nslookup vorhanden, dig lässt sich aber nachinstallieren."
+    },
+    'aaaa-record': {
+      question: "Mit welchem DNS-Eintragstyp werden IPv6-Adressen angegeben?",
+      options: ["A6-Eintrag", "AAAA-Eintrag", "IPv6-Eintrag", "A-Eintrag mit besonderer Syntax"],
+      hint: "Eine IPv6-Adresse ist viermal so lang wie eine IPv4-Adresse.",
+      explanation: "AAAA-Einträge (Quad-A) ordnen Hostnamen IPv6-Adressen zu, so wie A-Einträge es für IPv4 tun. Beispiel: 'www.{{primary}} AAAA {{webIp6}}'. Der Name kommt daher, dass IPv6-Adressen 128 Bit lang sind - viermal so lang wie die 32 Bit von IPv4, daher vier A. Mit wachsender IPv6-Verbreitung werden AAAA-Einträge immer wichtiger. Ein Hostname kann A- und AAAA-Einträge zugleich haben (Dual Stack), sodass Clients IPv4 oder IPv6 nutzen können. Moderne DNS-Server liefern beide Typen, und Clients wählen je nach Anbindung."
+    },
+    'ula-prefix': {
+      question: "Das IPv6-Präfix des Homelabs ist {{ulaPrefix}}. Um welchen Adressraum handelt es sich?",
+      options: [
+        "Global Unicast, im Internet routbar",
+        "Link-local, nur in einem Netzsegment gültig",
+        "Unique Local (ULA), das IPv6-Gegenstück zu den privaten Bereichen aus RFC 1918",
+        "Das für Beispiele reservierte Dokumentationspräfix"
+      ],
+      hint: "Sehen Sie sich das erste Byte des Präfixes an: fc00::/7 ist für die private Nutzung reserviert.",
+      explanation: "Adressen unter fd00::/8 sind Unique Local Addresses (RFC 4193): ein zufällig gewähltes /48 pro Standort, innerhalb davon routbar, im Internet aber nie - das IPv6-Gegenstück zu privaten Bereichen wie {{subnet}}. Das Labornetz {{subnet}} ist zugleich {{ulaSubnet}}, der DNS-Server also sowohl {{dnsIp}} als auch {{dnsIp6}}, veröffentlicht als 'dns.{{primary}} AAAA {{dnsIp6}}' neben seinem A-Eintrag. Wie RFC-1918-Adressen gehören ULAs nur ins interne DNS (etwa in eine interne View), nicht in die öffentliche Zone. Link-local-Adressen beginnen mit fe80::/10, und 2001:db8::/32 ist für Dokumentation reserviert."
+    },
+    'dig-any': {
+      question: "Was bewirkt der dig-Abfragetyp 'ANY'?",
+      options: [
+        "Liefert alle Eintragstypen einer Domain",
+        "Passt auf beliebige Zeichen im Domainnamen",
+        "Fragt alle DNS-Server ab",
+        "Er ist veraltet und sollte nicht verwendet werden"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der alle Eintragstypen von {{primary}} abfragt."
+      },
+      hint: "RFC 8482 erlaubt Servern, ANY-Anfragen minimal zu beantworten, weil sie für Verstärkungsangriffe missbraucht wurden.",
+      explanation: "Der Abfragetyp ANY ist weitgehend VERALTET, und viele DNS-Server beantworten ihn nicht mehr. Ursprünglich lieferte 'dig {{secondary}} ANY' alle Eintragstypen (A, AAAA, MX, TXT usw.) einer Domain. Das wurde jedoch für DNS-Amplification-Angriffe missbraucht: Kleine ANY-Anfragen erzeugten große Antworten, die auf Opfer reflektiert wurden. Moderne Server (auch Cloudflare und Google) ignorieren ANY oder antworten minimal. Fragen Sie stattdessen gezielt nach Typen: 'dig {{secondary}} A', 'dig {{secondary}} MX' usw. RFC 8482 rät offiziell von ANY-Abfragen ab."
+    },
+    'cache-poisoning': {
+      question: "Was ist DNS Cache Poisoning, und wie verhindert DNSSEC es?",
+      options: [
+        "Wenn DNS-Servern der Speicher ausgeht",
+        "Angreifer schleusen falsche Einträge in den Cache eines Resolvers ein; DNSSEC prüft die Echtheit mit kryptografischen Signaturen",
+        "Wenn DNS-Einträge zu schnell ablaufen",
+        "Das ist kein echtes Sicherheitsproblem"
+      ],
+      hint: "Der Angriff schmuggelt gefälschte Antworten in einen Resolver; die Abwehr ist eine Signatur, die der Fälscher nicht erzeugen kann.",
+      explanation: "Beim DNS Cache Poisoning (auch DNS Spoofing) gelingt es einem Angreifer, falsche Einträge in den Cache eines Resolvers einzuschleusen, sodass Nutzer auf bösartige Seiten geleitet werden. Ein Angreifer könnte den Cache etwa so vergiften, dass {{secondary}} auf seinen statt auf Ihren Server zeigt. DNSSEC verhindert das durch kryptografische Signaturen an den Einträgen. Jede Zone wird mit einem privaten Schlüssel signiert, und Resolver prüfen die Signaturen mit dem öffentlichen Schlüssel. Wurde eine Antwort manipuliert, passt die Signatur nicht und der Resolver verwirft sie. DNSSEC bildet eine Vertrauenskette von den Root-Servern abwärts und stellt so sicher, dass Antworten echt und unverändert sind."
+    },
+    'nslookup-server': {
+      question: "Mit welchem nslookup-Befehl wechselt man zu einem anderen DNS-Server?",
+      options: ["set server=8.8.8.8", "server 8.8.8.8", "use 8.8.8.8", "query 8.8.8.8"],
+      command: {
+        prompt: "Geben Sie einen nicht interaktiven nslookup-Befehl ein, der {{secondary}} über den DNS-Server von Google (8.8.8.8) auflöst."
+      },
+      hint: "Im interaktiven Modus wechselt nslookup den Server mit einem einzelnen Wort, gefolgt von der Adresse.",
+      explanation: "Im interaktiven Modus von nslookup wechseln Sie mit 'server 8.8.8.8' zu einem anderen DNS-Server. Der Ablauf: (1) 'nslookup' startet den interaktiven Modus, (2) 'server 8.8.8.8' wechselt zum DNS von Google, (3) Domains wie '{{secondary}}' eingeben, (4) mit 'exit' beenden. Der Server lässt sich auch auf der Kommandozeile angeben: 'nslookup {{secondary}} 8.8.8.8'. Der Befehl 'server' ist besonders nützlich, um mehrere Server nacheinander zu fragen, ihre Antworten zu vergleichen oder Probleme bei der DNS-Verbreitung zu untersuchen."
+    },
+    'txt-record': {
+      question: "Wozu dient ein TXT-Eintrag?",
+      options: [
+        "Nur reinen Text speichern",
+        "Beliebige Textdaten für SPF, DKIM, Domain-Verifizierung und anderes speichern",
+        "DNS-Antworten verschlüsseln",
+        "Textbasierte Aliase anlegen"
+      ],
+      hint: "SPF, DKIM und Prüfungen des Domainbesitzes veröffentlichen ihre Daten alle in diesem frei formatierten Eintrag.",
+      explanation: "TXT-Einträge speichern beliebigen Text und sind für E-Mail-Authentifizierung und Domain-Verifizierung unverzichtbar geworden. Typische Einsätze: (1) SPF - 'v=spf1 include:_spf.google.com ~all' legt fest, welche Server E-Mails für Ihre Domain senden dürfen, (2) DKIM - öffentliche Schlüssel zur Prüfung von E-Mail-Signaturen, (3) Domain-Verifizierung - Nachweis des Besitzes gegenüber Diensten wie Google oder Microsoft (z. B. 'google-site-verification=abc123'), (4) DMARC - Richtlinien zur E-Mail-Authentifizierung, (5) allgemeine Metadaten - beliebige Informationen, die Sie veröffentlichen möchten. Abfragen lassen sie sich mit 'dig {{secondary}} TXT'. Pro Zeichenkette sind 255 Zeichen erlaubt, mehrere Zeichenketten werden aneinandergehängt."
+    },
+    'dig-mx': {
+      question: "Wie fragt man mit dig nur die MX-Einträge ab?",
+      options: [
+        "dig --mx domain.com",
+        "dig domain.com MX",
+        "dig -t MX domain.com",
+        "B und C sind beide richtig"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der nur die MX-Einträge von {{example}} abfragt."
+      },
+      hint: "dig nimmt den Eintragstyp sowohl als einfaches Argument als auch nach einem Optionsbuchstaben an.",
+      explanation: "Den Eintragstyp geben Sie in dig auf zwei Arten an: 'dig {{secondary}} MX' oder 'dig -t MX {{secondary}}' - beides ist richtig und bewirkt dasselbe. Die Option -t nennt den Abfragetyp ausdrücklich. Das funktioniert für jeden Typ: 'dig {{primary}} AAAA', 'dig {{cluster}} NS', 'dig {{secondary}} TXT' usw. Das ist viel effizienter, als alle Einträge abzufragen (wovon ohnehin abgeraten wird). Häufig kombiniert man es mit +short: 'dig +short {{secondary}} MX' liefert nur die Mailserver ohne weitere Ausgabe."
+    },
+    dnsmasq: {
+      question: "Was ist dnsmasq, und wo wird es häufig eingesetzt?",
+      options: [
+        "Ein DNS-Sicherheitsscanner",
+        "Ein schlanker DNS/DHCP-Server, oft in Routern und eingebetteten Systemen",
+        "Ein DNS-Überwachungswerkzeug",
+        "Ein Hilfsprogramm für die BIND-Konfiguration"
+      ],
+      hint: "Viele Heimrouter vergeben Adressen und beantworten DNS mit demselben kleinen Programm.",
+      explanation: "dnsmasq ist ein schlanker DNS-Forwarder und DHCP-Server für kleine Netze und eingebettete Systeme. Man findet ihn in Heimroutern, Pi-hole-Installationen und Entwicklungsumgebungen. Anders als das umfangreiche, aber komplexe BIND ist dnsmasq einfach und effizient mit geringem Speicherbedarf. Er kann: (1) DNS-Anfragen an Upstream-Server weiterleiten, (2) Antworten zwischenspeichern, (3) lokale Einträge aus /etc/hosts ausliefern, (4) DHCP anbieten, (5) DNS-basiert Werbung blockieren (wie in Pi-hole). Die Konfiguration ist einfach - meist eine einzige Datei. Ideal für Homelabs und kleine Netze, die nicht die vollen autoritativen Fähigkeiten von BIND brauchen."
+    },
+    'dig-norecurse': {
+      question: "Was macht 'dig +norecurse'?",
+      options: [
+        "Schaltet die Rekursion ab und liefert nur, was der gefragte Server selbst weiß",
+        "Beschleunigt die Abfrage",
+        "Verhindert das Zwischenspeichern",
+        "Das ist keine gültige Option"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der {{dnsIp}} nach {{primary}} fragt, ohne Rekursion anzufordern."
+      },
+      hint: "Die Option löscht das RD-Flag in der Anfrage.",
+      explanation: "Mit '+norecurse' setzt dig das RD-Flag (Recursion Desired) in der Anfrage auf 0, also 'nicht rekursiv auflösen'. Ein autoritativer Server liefert dann nur Einträge, für die er autoritativ ist - er sucht nicht anderswo nach Antworten. Das ist nützlich zum Testen: (1) prüfen, ob ein autoritativer Server die richtigen Einträge hat, (2) rekursive Server vom Nachschlagen abhalten, (3) verstehen, was jeder Server der Kette selbst weiß. Beispiel: 'dig @ns1.example.com +norecurse test.example.com' liefert nur dann eine Antwort, wenn ns1.example.com für diese Domain autoritativ ist."
+    },
+    'soa-negative-ttl': {
+      question: "Wozu dient die negative TTL in einem SOA-Eintrag?",
+      options: [
+        "Wie lange negative Antworten (Domain existiert nicht) zwischengespeichert werden",
+        "Wie lange es dauert, bis die Zone abläuft",
+        "Die minimale TTL aller Einträge",
+        "Sie ist veraltet und ungenutzt"
+      ],
+      hint: "RFC 2308 hat das letzte Feld des SOA für NXDOMAIN- und NODATA-Antworten neu definiert.",
+      explanation: "Das letzte Feld des SOA-Eintrags (früher 'minimum TTL', heute 'negative TTL') legt fest, wie lange Resolver NXDOMAIN-Antworten (Domain existiert nicht) zwischenspeichern. Fragt jemand nach 'doesnotexist.{{primary}}' und Ihr Server antwortet, dass es den Namen nicht gibt, merken sich Resolver diese negative Antwort für diese Dauer. Bei 300 (5 Minuten) fragen Clients 5 Minuten lang nicht erneut nach dem nicht existierenden Namen, was Last spart. Wichtig bei Tippfehlern und Scans - Resolver sollen nicht ständig nach Namen fragen, die es nicht gibt. RFC 2308 hat dieses Feld eigens für das negative Caching neu definiert."
+    },
+    'dig-dnssec': {
+      question: "Wie prüft man mit dig, ob DNSSEC für eine Domain aktiviert ist?",
+      options: [
+        "dig +dnssec domain.com",
+        "dig --check-dnssec domain.com",
+        "dig domain.com DNSSEC",
+        "dig +secure domain.com"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der den A-Eintrag von {{primary}} zusammen mit seinen DNSSEC-Signaturen anfordert."
+      },
+      hint: "Die Option setzt das DO-Bit und bittet den Server, RRSIG-Einträge mitzuliefern.",
+      explanation: "Mit 'dig +dnssec {{secondary}}' fordern Sie DNSSEC-Einträge mit an. Ist DNSSEC aktiv, enthält die Antwort RRSIG-Einträge (Signaturen), und das Flag 'ad' (Authenticated Data) ist gesetzt, wenn Ihr Resolver die Signaturen validiert hat. DNSSEC-Einträge lassen sich auch gezielt abfragen: 'dig {{secondary}} DNSKEY' (öffentliche Schlüssel), 'dig {{secondary}} DS' (Delegation Signer) oder 'dig {{secondary}} RRSIG' (Signaturen). Sind diese Einträge vorhanden, ist DNSSEC eingerichtet. Ob die Vertrauenskette funktioniert, sehen Sie am Flag 'ad' in der Antwort eines validierenden Resolvers."
+    },
+    doh: {
+      question: "Was ist DNS over HTTPS (DoH), und worin unterscheidet es sich von klassischem DNS?",
+      options: [
+        "In HTTPS verschlüsselte DNS-Anfragen, die der Provider nicht mitlesen kann",
+        "Schnellere DNS-Auflösung",
+        "Ein DNS-Ersatzprotokoll",
+        "DNS nur für Webserver"
+      ],
+      hint: "Es verpackt DNS in dasselbe Protokoll, das Ihr Browser für sichere Webseiten nutzt.",
+      explanation: "DNS over HTTPS (DoH) verpackt DNS-Anfragen verschlüsselt in HTTPS-Verbindungen (Port 443), sodass sie wie normaler Webverkehr aussehen. Klassisches DNS nutzt unverschlüsseltes UDP/TCP auf Port 53, wodurch Provider und Netzbetreiber alle Ihre Anfragen sehen. DoH bietet: (1) Privatsphäre - Provider können Anfragen nicht abfangen oder protokollieren, (2) Sicherheit - Schutz vor DNS-Spoofing in fremden Netzen, (3) Zensurumgehung - schwerer zu blockieren als klassisches DNS. Browser wie Firefox und Chrome unterstützen DoH. Cloudflare (1.1.1.1/https://cloudflare-dns.com/dns-query) und Google (8.8.8.8/https://dns.google/dns-query) bieten DoH-Endpunkte. Kritiker bemängeln, dass DoH DNS-Filter auf Netzebene umgeht (etwa Pi-hole oder Jugendschutz)."
+    },
+    'dig-answer': {
+      question: "Was bewirkt die dig-Option '+answer'?",
+      options: [
+        "Zeigt nur den Antwortteil",
+        "Erzwingt eine Antwort, auch wenn sie zwischengespeichert ist",
+        "Validiert die Antwort",
+        "Das ist keine gültige Option"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der für {{secondary}} nur den Antwortteil anzeigt."
+      },
+      hint: "Die Ausgabe von dig hat mehrere Abschnitte, und jeder lässt sich über seinen Namen ein- oder ausschalten.",
+      explanation: "Die Option '+answer' sorgt dafür, dass dig nur den Answer-Abschnitt zeigt und Question-, Authority- und Additional-Abschnitt ausblendet. Die Ausgabe ist übersichtlicher als die vollständige Antwort, aber ausführlicher als +short. 'dig +answer {{secondary}}' zeigt nur die Antworteinträge mit TTL und Typ. Optionen lassen sich kombinieren: 'dig +answer +noall' blendet erst alle Abschnitte aus, +answer schaltet dann nur den Antwortteil wieder ein. Praktisch, wenn Sie den formatierten Antwortteil ohne Metadaten, aber mit mehr Kontext als bei +short sehen möchten."
+    },
+    'zone-transfer': {
+      question: "Was ist ein DNS-Zonentransfer, und mit welchem Befehl fordert man ihn an?",
+      options: [
+        "Eine Zonendatei verschieben; Befehl cp",
+        "Alle Einträge vom primären auf den sekundären Server kopieren; dig AXFR",
+        "Den Besitzer wechseln; whois update",
+        "Das ist eine veraltete Funktion"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der von {{dnsIp}} einen vollständigen Zonentransfer von {{primary}} anfordert."
+      },
+      hint: "Secondaries holen sich so eine vollständige Kopie der Zone; der Anfragetyp beginnt mit 'A'.",
+      explanation: "Ein Zonentransfer (AXFR - vollständig, oder IXFR - inkrementell) kopiert alle DNS-Einträge vom primären auf einen sekundären Server. So bleiben sekundäre DNS-Server synchron. Anfordern lässt er sich mit 'dig {{primary}} AXFR @ns1.{{primary}}'. Die meisten Server erlauben Zonentransfers aus Sicherheitsgründen aber nur berechtigten Secondaries - öffentliche Transfers ließen jeden Ihre gesamte DNS-Datenbank herunterladen. In BIND steuern Sie das mit 'allow-transfer { trusted_servers; };'. Zonentransfers unterscheiden sich von normalen Abfragen: Sie liefern die ganze Zone auf einmal statt einzelner Einträge. Angreifer nutzten sie früher zur Aufklärung, daher sind sie heute meist gesperrt."
+    },
+    'rd-flag': {
+      question: "Wozu dient das Flag 'rd' (Recursion Desired) in DNS-Anfragen?",
+      options: [
+        "Fordert Nur-Lese-Zugriff an",
+        "Teilt dem Server mit, ob er rekursiv auflösen soll",
+        "Markiert Einträge als veraltet",
+        "Schaltet das Debugging ein"
+      ],
+      hint: "Der Name des Flags sagt, was der Client vom Server möchte.",
+      explanation: "Das RD-Flag (Recursion Desired) in einer DNS-Anfrage teilt dem Server mit, ob der Client eine rekursive Auflösung wünscht. Bei RD=1 (Standard bei den meisten Clients) soll der Server die ganze Arbeit übernehmen und bei Bedarf andere Server fragen. Bei RD=0 (etwa mit dig +norecurse) soll er nur liefern, was er aus seinen autoritativen Daten oder seinem Cache selbst weiß. Rekursive Resolver werten das Flag aus - ist es gesetzt, lösen sie vollständig auf, sonst liefern sie nur Cache-Inhalte oder Verweise. Rein autoritative Server ignorieren es unter Umständen. In der dig-Ausgabe steht das RD-Flag im Abschnitt flags."
+    },
+    'pihole-ftl': {
+      question: "Welche DNS-Serversoftware nutzt Pi-hole standardmäßig?",
+      options: ["BIND 9", "Unbound", "dnsmasq (oder wahlweise Unbound)", "PowerDNS"],
+      hint: "FTL ist ein Fork eines schlanken DNS- und DHCP-Servers, der auch auf Routern verbreitet ist.",
+      explanation: "Pi-hole nutzt standardmäßig dnsmasq als DNS-Server, lässt sich aber auch mit Unbound betreiben. dnsmasq ist schlank und passt gut zu Pi-hole - es leitet Anfragen an Upstream-Server weiter und prüft sie vorher gegen Blocklisten. Steht eine Domain auf der Blockliste, antwortet Pi-hole mit 0.0.0.0, statt weiterzuleiten. Viele installieren zusätzlich Unbound für mehr Privatsphäre und DNSSEC-Validierung. Die Kombination aus Pi-hole (Werbeblocker) und Unbound (rekursive Auflösung mit DNSSEC) ist beliebt, weil sie von Upstream-Anbietern unabhängig macht und trotzdem Werbung blockiert."
+    },
+    dot: {
+      question: "Was ist DNS over TLS (DoT), und worin unterscheidet es sich von DoH?",
+      options: [
+        "Das ist dasselbe",
+        "DoT nutzt den eigenen Port 853, DoH Port 443 (HTTPS)",
+        "DoT ist schneller als DoH",
+        "DoT ist veraltet"
+      ],
+      hint: "Beide verschlüsseln DNS; der Unterschied liegt im Port und im Transport, den sie nutzen.",
+      explanation: "DNS over TLS (DoT) verschlüsselt DNS-Anfragen mit TLS auf dem eigenen Port 853, DNS over HTTPS (DoH) dagegen innerhalb von HTTPS auf Port 443. Beide bieten Privatsphäre und Sicherheit, unterscheiden sich aber im Ansatz: DoT ist leichter als DNS-Verkehr erkennbar (Port 853) und lässt sich getrennt vom Webverkehr blockieren oder erlauben. DoH geht im HTTPS-Verkehr unter und ist schwerer zu unterscheiden oder zu blockieren. Netzwerkadministratoren bevorzugen DoT, weil es transparent ist - sie sehen, dass DoT genutzt wird, auch wenn sie die Anfragen nicht lesen können. DoH wird wegen der Zensurresistenz bevorzugt. Beide brauchen passende Clients und Server; Cloudflare und Google unterstützen beide Protokolle."
+    },
+    'dig-stats': {
+      question: "Was zeigt 'dig +stats' an?",
+      options: [
+        "Statistiken zur Domain",
+        "Statistiken zur Abfrage, etwa Dauer, Größe und Flags",
+        "Leistungskennzahlen des Servers",
+        "Historische DNS-Daten"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der {{primary}} abfragt und nur die Abfragestatistik anzeigt."
+      },
+      hint: "Sie steuert die Kommentarzeilen am Ende der Ausgabe von dig.",
+      explanation: "Die Option '+stats' (standardmäßig aktiv) zeigt am Ende der dig-Ausgabe Statistiken zur Abfrage: Abfragedauer in Millisekunden, gefragter Server, Zeitpunkt, Nachrichtengröße (gesendete/empfangene Bytes) und Flags. Das hilft bei Leistungsproblemen. Ist die Abfragedauer dauerhaft hoch, liegt vielleicht ein Netzproblem oder ein langsamer Server vor. Mit '+nostats' blenden Sie sie für eine übersichtlichere Ausgabe aus. Der Abschnitt zeigt auch 'MSG SIZE rcvd' - nützlich, um Antwortgrößen zu verstehen und zu prüfen, ob Antworten abgeschnitten werden (TC-Flag) und TCP statt UDP nötig ist."
+    },
+    'ds-record': {
+      question: "Wozu dient ein DS-Eintrag (Delegation Signer) bei DNSSEC?",
+      options: [
+        "Signiert E-Mails",
+        "Stellt die Vertrauenskette von der übergeordneten zur untergeordneten Zone her",
+        "Delegiert Subdomains",
+        "Das ist ein veralteter Eintragstyp"
+      ],
+      hint: "Die Elternzone enthält einen Hash des Schlüssels der Kindzone und verbindet so beide Zonen.",
+      explanation: "DS-Einträge (Delegation Signer) sind zentral für die Vertrauenskette von DNSSEC. Sie stehen in der ÜBERGEORDNETEN Zone und enthalten einen Hash des öffentlichen Schlüssels (DNSKEY) der untergeordneten Zone. Die Zone {{tld}} hätte etwa einen DS-Eintrag für {{primary}} mit einem Hash des DNSKEY von {{primary}}. So schließt sich die Kette: Root signiert den DS-Eintrag der TLD, die TLD signiert den DS-Eintrag Ihrer Domain, Ihre Domain signiert ihre eigenen Einträge. Fehlt der DS-Eintrag in der übergeordneten Zone, ist die Vertrauenskette unterbrochen. Aktivieren Sie DNSSEC für Ihre Domain, müssen Sie die DS-Einträge bei Ihrem Registrar einreichen, damit er sie in der TLD-Zone veröffentlicht. Abfrage: 'dig +dnssec {{primary}} DS'."
+    },
+    'dig-reverse': {
+      question: "Wie führt man mit dig eine Rückwärtsauflösung durch?",
+      options: ["dig -r {{dnsIp}}", "dig -x {{dnsIp}}", "dig reverse {{dnsIp}}", "dig {{dnsIp}} PTR"],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der den Hostnamen zu {{nodeIp}} ermittelt."
+      },
+      hint: "dig hat eine Option aus einem Buchstaben, die den in-addr.arpa-Namen für Sie bildet.",
+      explanation: "Für Rückwärtsauflösungen verwenden Sie 'dig -x IP_ADRESSE'. dig wandelt die IP automatisch ins passende Format um: 'dig -x {{nodeIp}}' fragt nach '{{nodeReverse}} PTR'. Das ist viel einfacher, als den Namen der Reverse-Zone von Hand zu bilden. Rückwärtsauflösungen sind wichtig für: (1) Mailserver - Spamfilter prüfen Reverse DNS, (2) Protokolle - IPs in Logs in Hostnamen umwandeln, (3) Sicherheit - Zuordnung von IP und Hostname prüfen, (4) Fehlersuche - korrekte PTR-Einträge bestätigen. Auch ein Server lässt sich angeben: 'dig -x {{nodeIp}} @{{dnsIp}}' prüft Reverse DNS auf Ihrem lokalen BIND."
+    },
+    'naptr-record': {
+      question: "Wozu dienen NAPTR-Einträge?",
+      options: [
+        "Netzwerkadressübersetzung",
+        "Name Authority Pointer - für ENUM, SIP und komplexe Umschreiberegeln",
+        "Leistungstests im Netzwerk",
+        "Sie sind veraltet"
+      ],
+      hint: "Er wandelt Namen mit regulären Ausdrücken in URIs um, wie es Telefoniesysteme mit Rufnummern tun.",
+      explanation: "NAPTR-Einträge (Name Authority Pointer) ermöglichen das regelbasierte Umschreiben von Domainnamen, vor allem für ENUM (Zuordnung von Telefonnummern) und SIP (VoIP). Es sind komplexe Einträge mit Feldern für Reihenfolge, Präferenz, Flags, Dienst, Regexp (regulärer Ausdruck) und Ersetzung. ENUM nutzt NAPTR etwa, um Telefonnummern in SIP-URIs oder E-Mail-Adressen umzuwandeln. Die Einträge lassen sich verketten, wobei jeder Schritt die Anfrage umformt, bis eine endgültige Antwort erreicht ist. Seltener als A- oder MX-Einträge, sind NAPTR-Einträge in Telekommunikation und VoIP unverzichtbar. Im Homelab braucht man sie meist nur für eigene VoIP-Infrastruktur oder ENUM-Dienste."
+    },
+    'dig-tcp': {
+      question: "Was bewirkt die Option 'dig +tcp'?",
+      options: [
+        "dig nutzt für die Abfrage TCP statt UDP",
+        "Testet die TCP-Verbindung",
+        "Fragt nur TCP-Dienste ab",
+        "Das ist keine gültige Option"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der {{secondary}} über TCP statt UDP abfragt."
+      },
+      hint: "DNS nutzt normalerweise UDP, und große Antworten oder Zonentransfers brauchen den anderen Transport.",
+      explanation: "Mit '+tcp' nutzt dig für die Abfrage TCP statt des standardmäßigen UDP. DNS verwendet aus Effizienzgründen normalerweise UDP und weicht bei großen Antworten auf TCP aus (über 512 Byte bei klassischem DNS oder wenn das TC-Flag gesetzt ist). TCP von Hand zu erzwingen hilft, um: (1) zu testen, ob TCP-Abfragen funktionieren (Firewalls blockieren mitunter TCP/53), (2) große Zonentransfers zu testen (AXFR braucht TCP), (3) Probleme mit abgeschnittenen Antworten zu untersuchen, (4) zu prüfen, ob der Server TCP unterstützt. Beispiel: 'dig +tcp {{secondary}}'. TCP-Abfragen haben etwas mehr Overhead, sind bei großen Antworten aber zuverlässiger. Manche Sicherheitswerkzeuge blockieren TCP/53, um Zonentransfers zu verhindern - daher lohnt es sich, beide Protokolle zu testen."
+    },
+    quad9: {
+      question: "Was ist Quad9 (9.9.9.9), und was unterscheidet es von anderen öffentlichen DNS-Diensten?",
+      options: [
+        "Ein DNS-Dienst für Gamer",
+        "Ein datenschutzorientierter DNS-Dienst, der bösartige Domains blockiert",
+        "Der schnellste DNS-Resolver",
+        "Ein reines Firmen-DNS"
+      ],
+      hint: "Der Dienst wird von einer gemeinnützigen Organisation betrieben und filtert Domains anhand von Threat-Intelligence-Feeds.",
+      explanation: "Quad9 (9.9.9.9) ist ein kostenloser, datenschutzorientierter öffentlicher Resolver, betrieben von einer gemeinnützigen Organisation. Während Google (8.8.8.8) und Cloudflare (1.1.1.1) auf Geschwindigkeit setzen, legt Quad9 den Schwerpunkt auf Sicherheit und Privatsphäre. Es blockiert bösartige Domains automatisch anhand von Bedrohungsdaten aus mehreren Quellen und schützt so vor Phishing, Malware und Botnetzen. Quad9: (1) protokolliert keine IP-Adressen, (2) blockiert bekannte schädliche Domains, (3) unterstützt DNSSEC, (4) bietet DoH und DoT, (5) ist gemeinnützig und datenschutzorientiert. Es ist langsamer als Cloudflare, bietet aber eingebauten Schutz. Eine gute Wahl für Homelabs, die Sicherheit wollen, ohne Blocklisten wie bei Pi-hole zu pflegen."
+    },
+    'dig-search': {
+      question: "Was bewirkt die Option '+search' in dig?",
+      options: [
+        "Sucht die Domain bei Google",
+        "Nutzt die Suchdomains aus resolv.conf, um verschiedene Suffixe zu probieren",
+        "Führt eine tiefe DNS-Suche durch",
+        "Sie ist veraltet"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der den Kurznamen 'webserver' mit den Suchdomains aus /etc/resolv.conf auflöst."
+      },
+      hint: "/etc/resolv.conf hat eine Zeile mit Domains, die an kurze Namen angehängt werden.",
+      explanation: "Mit '+search' nutzt dig die Suchdomains aus /etc/resolv.conf. Steht dort 'search {{primary}} {{cluster}}' und Sie rufen 'dig +search webserver' auf, probiert dig: (1) webserver.{{primary}}, (2) webserver.{{cluster}}, (3) webserver (unverändert). So lösen auch Anwendungen Namen normalerweise auf. Standardmäßig nutzt dig KEINE Suchdomains (+nosearch ist voreingestellt) - anders als ping oder ssh. Das sorgt für Verwirrung: 'ping webserver' funktioniert, 'dig webserver' aber nicht, weil dig keine Suchdomains anhängt. Mit '+search' finden Sie heraus, warum Anwendungen Namen auflösen können, an denen dig scheitert."
+    },
+    'zone-origin-directive': {
+      question: "Wozu dient die Direktive '$ORIGIN' in BIND-Zonendateien?",
+      options: [
+        "Gibt die IP-Adresse des Servers an",
+        "Legt den Basis-Domainnamen fest, auf den sich @ und relative Namen beziehen",
+        "Legt das Herkunftsland fest",
+        "Sie ist optional und ungenutzt"
+      ],
+      hint: "Die Direktive ändert, wozu @ und Namen ohne Punkt am Ende ergänzt werden.",
+      explanation: "Die Direktive $ORIGIN legt fest, worauf sich das @-Zeichen und relative Namen in Zonendateien beziehen. Steht '$ORIGIN {{cluster}}' in der Datei, bedeutet '@' '{{cluster}}', und relative Namen wie 'api' werden zu 'api.{{cluster}}'. $ORIGIN lässt sich in einer Zonendatei mehrfach ändern, um Einträge zu gliedern - praktisch, wenn eine Datei mehrere Subdomains enthält: '$ORIGIN apps.{{cluster}}' mit den zugehörigen Einträgen, danach '$ORIGIN services.{{cluster}}' für einen weiteren Abschnitt. Fehlt $ORIGIN, gilt der Zonenname aus named.conf. $ORIGIN muss vollqualifiziert sein (mit Punkt enden): '$ORIGIN {{cluster}}.' statt '$ORIGIN {{cluster}}'."
+    },
+    'google-dns': {
+      question: "Was ist Google Public DNS (8.8.8.8), und warum könnte man es nutzen?",
+      options: [
+        "Ein privates DNS nur für Google-Dienste",
+        "Ein kostenloser, schneller, weltweiter Anycast-Resolver mit hoher Verfügbarkeit",
+        "Ein kostenpflichtiger DNS-Dienst",
+        "Nur für Android-Geräte"
+      ],
+      hint: "8.8.8.8 ist eine Anycast-Adresse, die von vielen Standorten weltweit bedient wird.",
+      explanation: "Google Public DNS (8.8.8.8 und 8.8.4.4) ist ein kostenloser, weltweit verteilter Anycast-Resolver, gestartet 2009. Er ist bekannt für: (1) Geschwindigkeit - umfangreiche weltweite Infrastruktur mit geringer Latenz, (2) Zuverlässigkeit - hervorragende Verfügbarkeit und DDoS-Schutz, (3) Sicherheit - DNSSEC-Validierung, (4) Standardtreue - strikte Einhaltung der RFCs. Datenschutzbewusste Nutzer meiden ihn jedoch, weil Google Anfragen protokolliert (nach eigenen Angaben 24-48 Stunden zur Fehlersuche). Weitere Einsätze: (1) Upstream-Resolver für Pi-hole oder BIND, (2) Ausweich-DNS, (3) Tests und Fehlersuche, (4) wenn das DNS des Providers unzuverlässig ist. Unterstützt IPv4 (8.8.8.8) und IPv6 (2001:4860:4860::8888) sowie DoH und DoT."
+    },
+    'aa-flag': {
+      question: "Was bedeutet das Flag 'AA' in einer DNS-Antwort?",
+      options: [
+        "Anonymous Access (anonymer Zugriff)",
+        "Authoritative Answer - von einem autoritativen Server",
+        "Always Available (immer verfügbar)",
+        "Authenticated Answer (authentifizierte Antwort)"
+      ],
+      hint: "Der antwortende Server hält die Zone selbst vor, keine Kopie aus dem Cache.",
+      explanation: "Das Flag 'AA' (Authoritative Answer) zeigt, dass der antwortende Server für die abgefragte Zone autoritativ ist - er besitzt die offiziellen Daten, keine zwischengespeicherte Kopie. In der dig-Ausgabe zeigt 'flags: qr aa rd ra', dass AA gesetzt ist. Fragen Sie Ihren BIND nach Einträgen von {{primary}}, sollte AA erscheinen, weil er für diese Zone autoritativ ist. Bei google.com sehen Sie von Ihrem BIND kein AA (er löst rekursiv auf bzw. leitet weiter). Fragen Sie die Nameserver von Google direkt nach google.com, erscheint AA SEHR WOHL. Das Flag hilft zu prüfen: (1) ob Sie den richtigen Server fragen, (2) ob Antworten offiziell und nicht zwischengespeichert sind, (3) ob die Delegation funktioniert."
+    },
+    adguard: {
+      question: "Was ist AdGuard DNS, und wie schneidet es im Vergleich zu Pi-hole ab?",
+      options: [
+        "Eine DNS-Serversoftware zum Installieren",
+        "Ein Cloud-DNS-Dienst mit Werbeblocker (Pi-hole dagegen wird selbst betrieben)",
+        "Ein VPN-Dienst",
+        "Ein Überwachungswerkzeug"
+      ],
+      hint: "Überlegen Sie, wo jeweils was läuft: auf Ihrer eigenen Hardware oder als Dienst eines anderen Anbieters.",
+      explanation: "AdGuard DNS ist ein Cloud-DNS-Dienst (94.140.14.14, 94.140.15.15), der Werbung und Tracker auf DNS-Ebene blockiert - ähnlich wie Pi-hole, aber von AdGuard statt in Ihrem Netz betrieben. Die Unterschiede: Pi-hole betreiben Sie selbst (volle Kontrolle, eigene Blocklisten, lokale Statistiken), AdGuard DNS läuft in der Cloud (einfacher eingerichtet, wartungsfrei, aber weniger Kontrolle). Pi-hole bietet vollen Einblick und freie Anpassung dessen, was blockiert wird. AdGuard DNS eignet sich für: (1) Geräte außerhalb Ihres Netzes, (2) schnelle Einrichtung ohne Hardware, (3) Mobilgeräte. Ihre DNS-Anfragen gehen dabei allerdings an AdGuard (ein Kompromiss beim Datenschutz). Sie können AdGuard DNS auch als Upstream für Pi-hole nutzen (und die Vorteile kombinieren) oder zu Hause Pi-hole und unterwegs AdGuard DNS verwenden."
+    },
+    'fqdn-max-length': {
+      question: "Wie lang darf ein DNS-Name (FQDN) höchstens sein?",
+      options: [
+        "63 Zeichen",
+        "255 Zeichen",
+        "253 Zeichen (255 einschließlich der Längenbytes)",
+        "512 Zeichen"
+      ],
+      hint: "Ein Name ist in der Nachricht höchstens 255 Oktette lang, und jedes Label trägt ein Längenbyte.",
+      explanation: "DNS-Namen (FQDNs - Fully Qualified Domain Names) dürfen in Textdarstellung insgesamt höchstens 253 Zeichen lang sein (255 im Wire-Format, das die Längenbytes mitzählt). Zusätzlich darf jedes Label (der Teil zwischen zwei Punkten) höchstens 63 Zeichen haben. 'www.example.com' hat also drei Labels: 'www' (3), 'example' (7), 'com' (3). Man KÖNNTE sehr lange Namen wie 'this-is-a-really-long-subdomain-name-that-approaches-the-63-character-limit.example.com' anlegen, praktische Domains sind aber der Bedienbarkeit wegen viel kürzer. Die Grenzen stammen aus RFC 1035 und sind grundlegend für das DNS-Protokoll. Man stößt selten daran, am ehesten bei automatisch erzeugten Subdomains oder sehr ausführlichen Namensschemata."
+    },
+    'dig-bufsize': {
+      question: "Was macht 'dig +bufsize=4096'?",
+      options: [
+        "Vergrößert den Cache",
+        "Setzt die EDNS-Puffergröße, um größere Antworten über UDP zu empfangen",
+        "Begrenzt die Größe der Anfrage",
+        "Das ist keine gültige Option"
+      ],
+      command: {
+        prompt: "Geben Sie einen dig-Befehl ein, der {{primary}} abfragt und dabei einen EDNS-Puffer von 4096 Byte ankündigt."
+      },
+      hint: "Die Option gehört zu EDNS, das die alte 512-Byte-Grenze für UDP aufhebt.",
+      explanation: "Die Option '+bufsize' setzt die Puffergröße von EDNS0 (Extension Mechanisms for DNS) und teilt dem Server mit, wie große UDP-Antworten Sie annehmen. Klassisches DNS über UDP ist auf 512 Byte begrenzt, EDNS0 erlaubt größere Antworten. '+bufsize=4096' bedeutet, dass Sie UDP-Antworten bis 4096 Byte annehmen. Wichtig ist das für: (1) DNSSEC-Antworten (wegen der Signaturen groß), (2) große TXT-Einträge, (3) Antworten mit vielen IPs. Ohne EDNS0 müssen Server große Antworten abschneiden (TC-Flag setzen) und einen erneuten Versuch über TCP erzwingen. Die meisten modernen Resolver handeln größere Puffer automatisch aus. Von Hand setzen Sie den Wert etwa, um zu testen: (1) ob große Antworten funktionieren, (2) welche Puffergröße ein Server unterstützt, (3) ob es Probleme mit der Path MTU gibt."
+    },
+    'cloudflare-dns': {
+      question: "Wofür ist Cloudflare DNS (1.1.1.1) bekannt?",
+      options: [
+        "Am billigsten zu sein",
+        "Einer der schnellsten öffentlichen Resolver mit starkem Fokus auf Datenschutz zu sein",
+        "Nur fürs Gaming am besten zu sein",
+        "Ein reiner Dienst für Unternehmen zu sein"
+      ],
+      hint: "1.1.1.1 startete mit dem Versprechen, keine Client-Adressen zu protokollieren, und führt Geschwindigkeitsranglisten an.",
+      explanation: "Cloudflare DNS (1.1.1.1 und 1.0.0.1) startete 2018 als einer der schnellsten öffentlichen Resolver mit klarer Datenschutzzusage. Die wichtigsten Merkmale: (1) Geschwindigkeit - in Benchmarks weltweit regelmäßig der schnellste oder fast der schnellste, (2) Datenschutz - speichert keine IP-Adressen und löscht Protokolle binnen 24 Stunden, (3) Sicherheit - DNSSEC-Validierung, (4) kostenlos - sowohl die öffentliche als auch die Premium-Variante, (5) moderne Protokolle - unterstützt DoH und DoT, (6) Malware-Schutz - die Variante 1.1.1.2 blockiert Malware, (7) Familienfilter - 1.1.1.3 blockiert Inhalte für Erwachsene. Beliebt als Upstream-Resolver für Pi-hole, BIND und Unbound. Die IP 1.1.1.1 ist leicht zu merken und zu tippen, was zu ihrer Beliebtheit in Homelabs und Unternehmen beiträgt."
+    },
+    'zone-okd-records': {
+      question: "Zonendatei-Übung: die DNS-Einträge ergänzen, die eine OKD-Installation braucht",
+      zone: {
+        prompt: "Die Zone für {{cluster}} enthält nur ihre SOA- und NS-Einträge. Ergänzen Sie api und api-int mit Verweis auf den API-Load-Balancer ({{apiIp}}) sowie eine Wildcard, die jede Anwendungsroute unter apps an den Ingress-Controller ({{ingressIp}}) schickt."
+      },
+      hint: "Der $ORIGIN der Zone ist {{cluster}}., daher genügen relative Namen wie api; das Wildcard-Label steht links von apps.",
+      explanation: "OKD braucht drei Namen, bevor der Installer gelingen kann: 'api.{{cluster}}' für externe Clients, die die Kubernetes-API erreichen, 'api-int.{{cluster}}' für die interne Kommunikation der Nodes mit der API und die Wildcard '*.apps.{{cluster}}', damit jede Anwendungsroute beim Ingress-Controller landet. Da der $ORIGIN der Zone {{cluster}}. ist, lassen sich die Einträge relativ schreiben: 'api IN A {{apiIp}}', 'api-int IN A {{apiIp}}' und '*.apps IN A {{ingressIp}}'. 'api.{{cluster}}' ohne abschließenden Punkt würde zu 'api.{{cluster}}.{{cluster}}.' erweitert - ein klassischer Fehler in Zonendateien."
+    },
+    'zone-fix-errors': {
+      question: "Zonendatei-Übung: eine Zone reparieren, die BIND nicht laden will",
+      zone: {
+        prompt: "Diese Zone für {{primary}} enthält mehrere Fehler. Beheben Sie jeden Fehler, den die Prüfung meldet, und behalten Sie dabei die Einträge für www, mail, MX und ftp."
+      },
+      hint: "Suchen Sie vier Fehler: Die Zone nennt keinen Nameserver, die Zonenspitze ist ein Alias, dem MX-Ziel fehlt der Punkt am Ende, und ftp ist gleich zweimal ein Alias.",
+      explanation: "Die Zone hatte vier Probleme: (1) Kein NS-Eintrag - jede Zone muss an der Spitze ihre Nameserver nennen, etwa '@ IN NS ns1'. (2) Ein CNAME an der Zonenspitze - {{primary}} hat bereits den SOA-Eintrag (und braucht NS und MX), und ein CNAME kann nicht neben anderen Daten stehen, daher braucht die Spitze A/AAAA-Einträge. (3) Das MX-Ziel 'mail.{{primary}}' hatte keinen abschließenden Punkt, BIND würde es also zu 'mail.{{primary}}.{{primary}}.' erweitern - schreiben Sie 'mail.{{primary}}.' oder einfach 'mail'. (4) ftp hatte zwei CNAMEs - ein Name kann nur Alias für ein einziges Ziel sein, also genau einen behalten."
+    },
+    'sandbox-aa-flag': {
+      question: "In der Sandbox liefern beide Abfragen dieselbe Antwort. Warum trägt nur die zweite das Flag 'aa'?",
+      sandbox: {
+        prompt: "Vergleichen Sie die flags-Zeile der beiden Antworten."
+      },
+      options: [
+        "Die erste Abfrage lief über TCP, das aa nie setzt",
+        "ns1.{{primary}} ist für die Zone autoritativ; der Resolver hat stellvertretend geantwortet",
+        "Der Resolver verbirgt das Flag aa, um Cache Poisoning zu verhindern",
+        "+norecurse schaltet das Flag aa ein"
+      ],
+      hint: "Vergleichen Sie, an welchen Server jede Anfrage ging: Welcher hält die Zone tatsächlich vor?",
+      explanation: "Das Flag aa (Authoritative Answer) setzt nur ein Server, der für die Zone mit der Antwort autoritativ ist. Die erste Abfrage ging an den rekursiven Resolver ({{dnsIp}}), der die Einträge besorgt und aus eigener Sicht geantwortet hat - beachten Sie 'rd ra', aber kein 'aa'. Die zweite ging direkt an ns1.{{primary}}, der die Zone {{primary}} selbst ausliefert, daher ist seine Antwort autoritativ. +norecurse löscht nur das rd-Bit; es fordert aa weder an, noch gewährt es aa."
+    },
+    'sandbox-cache-ttl': {
+      question: "Die Sandbox hat dieselbe Abfrage zweimal über den Resolver gestellt. Warum ist die TTL beim zweiten Mal niedriger und die Abfragezeit 0 ms?",
+      sandbox: {
+        prompt: "Sehen Sie sich die TTL-Spalte und die Zeile Query time an. Probieren Sie '5 Minuten warten' und fragen Sie erneut."
+      },
+      options: [
+        "Der autoritative Server hat die TTL zwischen den Abfragen gesenkt",
+        "dig zieht die verstrichene Zeit selbst von der TTL ab",
+        "Der Resolver hat aus seinem Cache geantwortet und zählt die TTL herunter, bis der Eintrag abläuft",
+        "Die zweite Abfrage ging an einen anderen Nameserver mit kürzeren TTLs"
+      ],
+      hint: "Ein Resolver behält Antworten für ihre TTL; was passiert mit der TTL, solange die Antwort dort liegt?",
+      explanation: "Ein rekursiver Resolver speichert jede Antwort für die Dauer ihrer TTL zwischen. Die erste Abfrage musste Root -> TLD -> autoritativ durchlaufen, was sich in der Abfragezeit zeigt. Die zweite kam direkt aus dem Cache (0 ms), und die angezeigte TTL ist die Restzeit, bis die zwischengespeicherte Kopie abläuft. Erreicht sie null, muss der Resolver erneut die autoritativen Server fragen - deshalb beschleunigt das Senken der TTLs vor einem Umzug die Verbreitung."
+    },
+    'sandbox-trace': {
+      question: "Welcher Server liefert laut +trace-Ausgabe die endgültige Antwort für die Wildcard-Anwendungsroute?",
+      sandbox: {
+        prompt: "Jede Zeile ';; Received' zeigt, welcher Server diesen Schritt der Delegation gesendet hat."
+      },
+      options: [
+        "a.root-servers.net",
+        "Der TLD-Nameserver für {{tld}}",
+        "Der rekursive Resolver {{dnsIp}}",
+        "ns1.{{primary}}"
+      ],
+      hint: "Root- und TLD-Server verweisen nur weiter nach unten; der letzte Schritt erreicht den eigenen Server der Zone.",
+      explanation: "dig +trace führt die Iteration selbst durch: Die Root-Server verweisen auf die TLD-Server für {{tld}}, diese auf die Nameserver von {{primary}} (ns1/ns2.{{primary}}). Nur dieser letzte Server hält die Zone und antwortet - hier aus dem Wildcard-Eintrag '*.apps.{{cluster}}'. Der Resolver wird nur für den allerersten Schritt gebraucht, um die Liste der Root-Server zu holen."
+    },
+    'packet-query-header': {
+      question: "Welche ID hat diese Anfrage, und fordert sie Rekursion an?",
+      packet: {
+        prompt: "Eine Anfrage, mitgeschnitten beim Ausführen von 'dig www.{{primary}}'. Der Header besteht aus den ersten 12 Bytes."
+      },
+      options: [
+        "ID 0x0120, und es wird keine Rekursion angefordert",
+        "ID 0x5e3a, und RD ist gesetzt, der Resolver soll also rekursiv auflösen",
+        "ID 0x5e3a, und RD ist nicht gesetzt, es ist also eine iterative Anfrage",
+        "ID 0x0001, die Anzahl der Fragen"
+      ],
+      hint: "Die ID sind die ersten zwei Bytes; das RD-Flag ist das niedrigste Bit des dritten Bytes.",
+      explanation: "Die Bytes 0-1 (5e 3a) sind die vom Client gewählte ID; die Antwort muss sie wiederholen, damit der Client beide einander zuordnen kann. Die Bytes 2-3 (01 20) sind die Flags, nicht die ID: 0x0100 ist RD und bittet den Resolver, die Rekursion zu übernehmen, 0x0020 ist AD, das dig setzt, um zu erfragen, ob die Daten validiert wurden. QR ist 0, es handelt sich also um eine Anfrage. Danach folgen die vier Zähler: eine Frage, keine Answer- oder Authority-Einträge und ein Additional-Eintrag - der EDNS-OPT-Eintrag am Ende."
+    },
+    'packet-answer-compression': {
+      question: "Wie viele Einträge enthält die Answer-Sektion dieser Antwort, und was bedeuten die Bytes c0 0c am Anfang jedes Eintrags?",
+      packet: {
+        prompt: "Die Antwort des Resolvers auf 'dig {{primary}} MX'."
+      },
+      options: [
+        "Zwei MX-Einträge; c0 0c ist ein Kompressionszeiger auf den Namen {{primary}} bei Byte 12",
+        "Zwei MX-Einträge; c0 0c ist die Klasse jedes Eintrags",
+        "Drei Einträge; c0 0c markiert den Anfang jedes Eintrags",
+        "Ein MX-Eintrag; c0 0c ist seine TTL"
+      ],
+      hint: "ANCOUNT steht in den Bytes 6-7; ein Byte, das mit den Bits 11 beginnt, markiert einen Zeiger, und der Name der Frage beginnt bei Byte 12.",
+      explanation: "ANCOUNT (Bytes 6-7) ist 2; der A-Eintrag des Mailservers steht in der Additional-Sektion. Ein Längenbyte, dessen zwei oberste Bits gesetzt sind (0xc0), ist ein Kompressionszeiger: Die übrigen 14 Bits geben den Offset an, an dem der Name weitergeht - 12, direkt nach dem Header, wo die Frage {{primary}} ausschreibt. Die Mailservernamen in den MX-Daten verweisen auf dieselbe Weise zurück, sodass 'mail.{{primary}}' nur das Label 'mail' und einen Zeiger kostet."
+    },
+    'packet-truncated': {
+      question: "Der Client hat eine TXT-Anfrage für {{secondary}} über UDP gesendet und diese Antwort erhalten. Was sollte er als Nächstes tun?",
+      options: [
+        "Davon ausgehen, dass {{secondary}} keine TXT-Einträge hat, da ANCOUNT 0 ist",
+        "Die Anfrage mit einer neuen ID erneut über UDP senden",
+        "Die Anfrage über TCP wiederholen, weil das TC-Flag anzeigt, dass die Antwort nicht hineingepasst hat",
+        "Stattdessen den autoritativen Server fragen, weil der Resolver abgelehnt hat"
+      ],
+      hint: "Sehen Sie sich die Flags in den Bytes 2-3 an: Ein Bit sagt, dass die Antwort gekürzt wurde.",
+      explanation: "Die Flags lauten 83 80: QR, RD und RA, dazu TC (0x0200). Die Antwort war größer als die 1232 Bytes, die der Client in seinem OPT-Eintrag angeboten hat, daher hat der Resolver nur Header und Frage zurückgeschickt. Ein ANCOUNT von 0 bedeutet hier nicht, dass es keine TXT-Einträge gibt - der Client muss die Anfrage über TCP wiederholen, was dig von selbst tut, sofern Sie nicht +ignore angeben. Große TXT-Sets wie SPF-, DKIM- und Verifizierungseinträge sind die übliche Ursache."
+    },
+    'packet-edns-opt': {
+      question: "Die letzten 11 Bytes dieser Anfrage sind ein OPT-Pseudo-Eintrag. Was teilen sie dem Server mit?",
+      packet: {
+        prompt: "Eine Anfrage, mitgeschnitten beim Ausführen von 'dig +dnssec +bufsize=4096 {{primary}} SOA'."
+      },
+      options: [
+        "Die Einträge dürfen 4096 Sekunden lang gecacht werden, und die Zone ist signiert",
+        "Der Client akzeptiert UDP-Antworten bis 4096 Bytes und möchte DNSSEC-Einträge in der Antwort",
+        "Die Antwort muss über TCP gesendet werden, weil sie größer als 4096 Bytes wird",
+        "Der Client validiert Signaturen selbst, daher darf der Server es nicht tun"
+      ],
+      hint: "Das CLASS-Feld eines OPT-Eintrags enthält die UDP-Nutzlastgröße, sein TTL-Feld das DO-Bit.",
+      explanation: "OPT (Typ 41, 00 29) ist der Pseudo-Eintrag von EDNS: Er hat einen leeren Besitzernamen (00) und nutzt die festen Felder eines Eintrags um. Das CLASS-Feld enthält die größte UDP-Antwort, die der Client annimmt, 10 00 = 4096 Bytes, und das TTL-Feld enthält den erweiterten RCODE, die EDNS-Version und die Flags - 80 00 ist das DO-Bit, das RRSIG- und andere DNSSEC-Einträge anfordert. Ob der Client selbst validiert, zeigt das CD-Flag im Header an, das hier nicht gesetzt ist."
+    },
+    'packet-tcp-length': {
+      question: "Diese Zonentransfer-Anfrage wurde auf einer TCP-Verbindung zu ns1.{{primary}} mitgeschnitten. Was sind ihre ersten beiden Bytes?",
+      options: [
+        "Die Nachrichten-ID",
+        "Der TCP-Port, an den die Antwort gesendet werden soll",
+        "Die Länge der folgenden DNS-Nachricht",
+        "Eine Prüfsumme über die Nachricht"
+      ],
+      hint: "Über TCP brauchen DNS-Nachrichten eine Rahmung, denn ein Datenstrom kennt keine Nachrichtengrenzen.",
+      explanation: "TCP liefert einen Bytestrom ohne Nachrichtengrenzen, daher wird über TCP jeder DNS-Nachricht ihre Länge als 16-Bit-Zahl vorangestellt (RFC 1035, Abschnitt 4.2.2). Die Nachricht selbst beginnt beim dritten Byte, mit der ID 1c 2d. RD ist nicht gesetzt: Ein Zonentransfer geht direkt an einen autoritativen Server, und zwar immer über TCP, da eine ganze Zone selten in ein UDP-Datagramm passt."
+    },
+    'okd-required-records': {
+      question: "Welche DNS-Einträge müssen vor der Installation des OKD-Clusters {{cluster}} vorhanden sein? Wählen Sie alle zutreffenden aus.",
+      options: [
+        "Ein A-Eintrag für api.{{cluster}}, der auf {{apiIp}} zeigt",
+        "Ein A-Eintrag für api-int.{{cluster}}, der auf {{apiIp}} zeigt",
+        "Ein Wildcard-A-Eintrag für *.apps.{{cluster}}, der auf {{ingressIp}} zeigt",
+        "Ein MX-Eintrag für {{cluster}}, damit der Cluster Warnmeldungen per Mail senden kann",
+        "Ein TXT-Eintrag für {{cluster}} mit dem Pull-Secret"
+      ],
+      hint: "Überlegen Sie, was Installer, Knoten und Anwendungsrouten erreichen müssen; Mail spielt keine Rolle.",
+      explanation: "Das Installationsprogramm prüft drei Namen: api.{{cluster}} für Clients, die die Kubernetes-API erreichen, api-int.{{cluster}} für Knoten, die clusterintern mit der API sprechen, und *.apps.{{cluster}}, damit jede Anwendungsroute den Ingress-Controller unter {{ingressIp}} erreicht. Warnmeldungen gehen über Alertmanager-Empfänger hinaus, nicht über einen MX-Eintrag für die Cluster-Domain, und das Pull-Secret gehört in die install-config.yaml - es darf nie im DNS veröffentlicht werden."
+    },
+    'iterative-resolution-order': {
+      question: "Noch ist nichts zwischengespeichert. Bringen Sie die Schritte der Abfrage von www.{{primary}} über den Resolver {{dnsIp}} in die richtige Reihenfolge.",
+      items: [
+        "Der Client schickt die Abfrage für www.{{primary}} an den Resolver {{dnsIp}}",
+        "Der Resolver fragt einen Root-Server, der ihn an die Nameserver für {{tld}} verweist",
+        "Ein Nameserver für {{tld}} verweist den Resolver an die Nameserver von {{primary}}",
+        "Der autoritative Nameserver für {{primary}} antwortet mit dem A-Eintrag",
+        "Der Resolver speichert die Antwort für ihre TTL zwischen und gibt sie an den Client zurück"
+      ],
+      hint: "Die Auflösung beginnt beim Client und arbeitet sich von der Spitze des DNS-Baums nach unten.",
+      explanation: "Der Client spricht nur mit seinem Resolver. Der Resolver durchläuft den Baum von oben: Die Root-Server wissen, wer {{tld}} betreibt, die {{tld}}-Server wissen, wer {{primary}} betreibt, und nur die autoritativen Server für {{primary}} halten den eigentlichen Eintrag. Der Resolver speichert jede Antwort unterwegs zwischen, sodass die nächste Abfrage in {{primary}} direkt zum letzten Schritt springen kann."
+    },
+    'record-purpose-match': {
+      question: "Ordnen Sie jedem Eintragstyp seinen Zweck zu.",
+      pairs: [
+        { answer: "Nennt Host und Port, die einen Dienst anbieten" },
+        { answer: "Schreibt einen Namen in eine URI oder eine weitere Abfrage um, wie bei ENUM und SIP" },
+        { answer: "Listet die Zertifizierungsstellen, die Zertifikate für die Domain ausstellen dürfen" },
+        { answer: "Enthält in der übergeordneten Zone einen Hash des Signaturschlüssels der untergeordneten Zone" }
+      ],
+      hint: "Denken Sie bei einem an DNSSEC, bei einem an Zertifikate und bei zweien an VoIP.",
+      explanation: "SRV-Einträge wie '_ldap._tcp.{{primary}}' geben Priorität, Gewichtung, Port und Zielhost eines Dienstes an. NAPTR-Einträge wenden Umschreibungen mit regulären Ausdrücken an und machen zum Beispiel aus einer Telefonnummer eine SIP-URI. CAA-Einträge teilen Zertifizierungsstellen mit, ob sie für {{primary}} ausstellen dürfen. DS-Einträge stehen in der übergeordneten Zone und enthalten einen Hash des Key Signing Key der untergeordneten Zone; so setzen sie die DNSSEC-Vertrauenskette über die Delegation hinweg fort."
+    }
+  },
+  scenarios: {
+    'okd-bootstrap-hang': {
+      title: "OKD-Installation hängt beim Bootstrap",
+      brief: "Sie installieren den OKD-Cluster {{cluster}}. Die Bootstrap-Maschine ist hochgefahren, aber 'openshift-install wait-for bootstrap-complete' bricht nach 40 Minuten mit einer Zeitüberschreitung ab. Auf den Konsolen der Control-Plane-Knoten wiederholt Ignition immer wieder dieselbe Anfrage. Der Resolver des Labors ist {{dnsIp}}.",
+      steps: {
+        start: {
+          text: "Die Installer-Logs sagen nur, dass die API nie erreichbar wurde. Wo fangen Sie an?",
+          choices: [
+            "Prüfen, ob der externe API-Name auflöst",
+            "Prüfen, ob der interne API-Name auflöst",
+            "Den Wildcard-Eintrag für Anwendungsrouten prüfen",
+            "Den Cluster löschen und den Installer erneut ausführen"
+          ]
+        },
+        'api-ok': {
+          text: "api.{{cluster}} löst auf den Load Balancer unter {{apiIp}} auf; Clients außerhalb des Clusters finden die API also. Wie geht es weiter?",
+          choices: [
+            "Den internen API-Namen prüfen, den die Knoten verwenden",
+            "Die Rückwärtsauflösung des Control-Plane-Knotens prüfen",
+            "Den Wildcard-Eintrag für Anwendungsrouten prüfen"
+          ]
+        },
+        'apps-ok': {
+          text: "Der *.apps-Wildcard antwortet mit der Ingress-Adresse {{ingressIp}}. Der Router läuft erst, wenn der Cluster steht, daher kann das den Bootstrap nicht aufhalten. Wie geht es weiter?",
+          choices: [
+            "Den externen API-Namen prüfen",
+            "Den internen API-Namen prüfen"
+          ]
+        },
+        'ptr-ok': {
+          text: "{{nodeIp}} zeigt zurück auf master01.{{cluster}}; der Knoten erhält also den richtigen Hostnamen. Wie geht es weiter?",
+          choices: [
+            "Den internen API-Namen prüfen",
+            "Den Wildcard-Eintrag für Anwendungsrouten prüfen"
+          ]
+        },
+        'api-int-missing': {
+          text: "Der Resolver antwortet NXDOMAIN für api-int.{{cluster}}, während api.{{cluster}} funktioniert. Wie lautet Ihre Hypothese?",
+          choices: [
+            "Die Knoten holen ihre Ignition-Konfiguration vom Machine Config Server unter api-int.{{cluster}}:22623; ohne den Eintrag erhalten sie sie nie",
+            "Der Labor-Resolver {{dnsIp}} ist ausgefallen",
+            "Der Eintrag wurde erst kürzlich angelegt und ist noch nicht beim Resolver angekommen; den autoritativen Server fragen"
+          ]
+        },
+        'resolver-up': {
+          text: "Ein ausgefallener Resolver antwortet überhaupt nicht - dieser hat geantwortet, mit NXDOMAIN, und andere Namen lösen über ihn problemlos auf. Wie lautet Ihre Hypothese jetzt?",
+          choices: [
+            "Die Knoten holen ihre Ignition-Konfiguration vom Machine Config Server unter api-int.{{cluster}}:22623; ohne den Eintrag erhalten sie sie nie",
+            "Der Eintrag ist noch nicht beim Resolver angekommen; den autoritativen Server fragen"
+          ]
+        },
+        'authoritative-missing': {
+          text: "Auch der autoritative Server antwortet NXDOMAIN, mit gesetztem aa-Flag: Der Eintrag steht gar nicht in der Zone, Warten hilft also nicht. Wie lautet Ihre Hypothese?",
+          choices: [
+            "Die Knoten holen ihre Ignition-Konfiguration vom Machine Config Server unter api-int.{{cluster}}:22623; ohne den Eintrag erhalten sie sie nie",
+            "Die Zone wurde nicht neu geladen; den DNS-Server neu starten und abwarten"
+          ]
+        },
+        solved: {
+          text: "Richtig. Mit 'api-int.{{cluster}}. IN A {{apiIp}}' in der Zone erreichen die Control-Plane-Knoten den Machine Config Server, und der Bootstrap ist wenige Minuten später abgeschlossen."
+        },
+        reinstall: {
+          text: "Eine weitere Stunde später hängt die Installation an genau derselben Stelle. Der Fehler liegt in der Umgebung, nicht in der Installation, und er ist immer noch da."
+        }
+      },
+      explanation: "OKD braucht vor der Installation drei Namen: api (für Clients), api-int (für die Knoten selbst) und den *.apps-Wildcard (für Routen). Beim Bootstrap starten die Control-Plane-Knoten mit einer kleinen Ignition-Konfiguration, die nur sagt: 'Hole den Rest von https://api-int.{{cluster}}:22623/config/master'. Löst api-int nicht auf, versucht Ignition es endlos, und der Bootstrap wird nie fertig - während api, das der Installer selbst verwendet, völlig gesund aussieht. Die kürzeste Diagnose fragt api-int direkt ab und versteht das NXDOMAIN richtig; der *.apps-Wildcard und die PTR-Einträge sind wichtig, aber nicht in dieser Phase."
+    },
+    'mail-bounces': {
+      title: "E-Mails an die Homelab-Domain kommen zurück",
+      brief: "Seit heute Morgen kommen alle E-Mails an Adressen unter {{primary}} mit 'Host or domain name not found' zurück. Die Website unter {{primary}} lädt weiterhin, und niemand will den Mailserver angefasst haben.",
+      steps: {
+        start: {
+          text: "Die Mailserver der Absender schlagen nach, wohin E-Mails für {{primary}} zugestellt werden, und geben auf. Wo fangen Sie an?",
+          choices: [
+            "Die Mail-Exchanger der Domain abfragen",
+            "Prüfen, ob die Domain überhaupt auflöst",
+            "Den Mailserver neu starten"
+          ]
+        },
+        'apex-ok': {
+          text: "{{primary}} löst auf; die Zone ist also delegiert und wird ausgeliefert. Wie geht es weiter?",
+          choices: [
+            "Die Mail-Exchanger abfragen",
+            "Den Mailserver neu starten"
+          ]
+        },
+        restart: {
+          text: "Der Mailserver startet sauber neu, und seine Logs zeigen nichts Auffälliges, aber es kommen weiter neue Unzustellbarkeitsmeldungen. Wie geht es weiter?",
+          choices: [
+            "Die Mail-Exchanger abfragen",
+            "Prüfen, ob die Domain überhaupt auflöst"
+          ]
+        },
+        'mx-ok': {
+          text: "Der MX-Eintrag ist vorhanden und zeigt mit Präferenz 10 auf mail.{{primary}}. Wie geht es weiter?",
+          choices: [
+            "Die Adresse des Mail-Exchangers abfragen",
+            "Den Mailserver neu starten"
+          ]
+        },
+        'mail-missing': {
+          text: "Der Resolver antwortet NXDOMAIN für mail.{{primary}}. Wie lautet Ihre Hypothese?",
+          choices: [
+            "Der MX-Eintrag zeigt auf einen Namen ohne Adresseintrag, daher finden Absender keinen Host für die Zustellung",
+            "Der MX-Eintrag sollte auf eine IP-Adresse statt auf einen Namen zeigen"
+          ]
+        },
+        'mx-address': {
+          text: "Ein MX-Eintrag muss einen Host nennen, niemals eine Adresse - und er zeigte schon immer auf mail.{{primary}}, was bis heute Morgen funktioniert hat. Wie lautet Ihre Hypothese jetzt?",
+          choices: [
+            "Der MX-Eintrag zeigt auf einen Namen ohne Adresseintrag, daher finden Absender keinen Host für die Zustellung"
+          ]
+        },
+        solved: {
+          text: "Richtig. Jemand hat den A-Eintrag für mail.{{primary}} gelöscht. Sobald er wieder da ist, löst das MX-Ziel wieder auf, und die wartenden E-Mails kommen an."
+        }
+      },
+      explanation: "Für die Zustellung einer E-Mail braucht es zwei Abfragen: Der MX-Eintrag nennt den Host, der E-Mails für {{primary}} annimmt, und dessen eigener A- oder AAAA-Eintrag liefert die Adresse für die Verbindung. Hier war der MX-Eintrag in Ordnung, aber sein Ziel mail.{{primary}} war entfernt worden, sodass jeder Absender an der zweiten Abfrage scheiterte. Die kürzeste Diagnose folgt denselben zwei Abfragen wie ein sendender Server; ein Neustart des Mailservers kann nicht helfen, weil die E-Mails ihn gar nicht erst erreichen."
+    }
+  }
+};
+
+export default de;
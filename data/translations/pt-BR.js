@@ -0,0 +1,971 @@
+/**
+ * Brazilian Portuguese Translation of the Built-in Question Set
+ *
+ * Keyed by question and scenario id like data/translations/de.js; options follow the
+ * English order and {{placeholder}} tokens are kept as-is. Questions
+ * missing here are shown in English.
+ */
+
+const ptBR = {
+  title: 'Quiz de Conhecimentos de DNS',
+  topics: {
+    records: 'Registros DNS',
+    bind: 'BIND 9',
+    okd: 'OKD/OpenShift',
+    tools: 'dig e nslookup',
+    dnssec: 'DNSSEC e Segurança',
+    resolvers: 'Resolvers',
+    'public-dns': 'DNS Público'
+  },
+  questions: {
+    'a-record': {
+      question: "Qual tipo de registro DNS associa um nome de host a um endereço IPv4?",
+      options: ["Registro AAAA", "Registro A", "Registro CNAME", "Registro PTR"],
+      hint: "O tipo de registro tem o nome da palavra 'Address'; o IPv6 ganha um nome mais longo.",
+      explanation: "Um registro A (Address) associa um nome de host a um endereço IPv4. Por exemplo, 'web.{{example}} A {{webIp}}' informa ao DNS que web.{{example}} está no IP {{webIp}}. Registros AAAA são para endereços IPv6, CNAME cria apelidos e PTR faz a resolução reversa (de IP para nome de host)."
+    },
+    'zone-at-symbol': {
+      question: "Em um arquivo de zona do BIND, o que o símbolo @ representa?",
+      options: ["O IP do servidor DNS", "A origem/nome de domínio da zona", "Um comentário", "Um apelido"],
+      hint: "Pense no nome de que trata o arquivo de zona inteiro, aquele definido por $ORIGIN.",
+      explanation: "O símbolo @ é uma abreviação da origem da zona, ou seja, o próprio nome de domínio da zona. Se o seu arquivo de zona é de '{{primary}}', então @ representa '{{primary}}'. Isso evita digitar o nome de domínio completo repetidamente. Por exemplo, '@ IN A {{dnsIp}}' significa '{{primary}} IN A {{dnsIp}}'."
+    },
+    'split-horizon': {
+      question: "O que é DNS split-horizon?",
+      options: [
+        "DNS que funciona com dois provedores",
+        "Servir respostas DNS diferentes para clientes internos e externos",
+        "Uma configuração de DNS de backup",
+        "DNS que divide o tráfego entre servidores"
+      ],
+      hint: "O 'horizonte' é a borda da sua rede: quem pergunta decide o que vê.",
+      explanation: "DNS split-horizon significa dar respostas diferentes conforme quem pergunta. Clientes internos podem receber IPs privados (como {{ingressIp}} para {{secondary}}), enquanto clientes externos recebem seu IP público. No BIND isso é feito com 'views' - uma para clientes confiáveis/internos e outra para externos. É perfeito para homelabs em que você quer acesso interno direto e também acesso público aos serviços."
+    },
+    'mx-record': {
+      question: "Qual tipo de registro DNS indica os servidores de e-mail de um domínio?",
+      options: ["Registro A", "Registro MX", "Registro CNAME", "Registro TXT"],
+      hint: "As duas letras do registro significam 'Mail eXchanger'.",
+      explanation: "Registros MX (Mail Exchange) indicam quais servidores recebem os e-mails de um domínio. Eles incluem um número de prioridade - números menores são tentados primeiro. Por exemplo, '{{example}} MX 10 mail.{{example}}' significa que mail.{{example}} recebe os e-mails, com prioridade 10. Com vários servidores de e-mail, você pode listá-los com prioridades diferentes para ter redundância."
+    },
+    'ptr-record': {
+      question: "Qual é a finalidade de um registro PTR?",
+      options: [
+        "Aponta para um servidor primário",
+        "Cria um apelido para um nome de host",
+        "Associa um endereço IP de volta a um nome de host (DNS reverso)",
+        "Define a prioridade do servidor de e-mail"
+      ],
+      hint: "Ele fica em in-addr.arpa e responde à pergunta 'quem é este endereço?'.",
+      explanation: "Registros PTR (Pointer) fornecem o DNS reverso - associam um endereço IP de volta a um nome de host. O DNS normal vai do nome ao IP (resolução direta); o PTR vai do IP ao nome (resolução reversa). Eles são essenciais para servidores de e-mail (filtros de spam os verificam) e ficam em zonas reversas especiais como '{{reverseZone}}' para a rede {{subnet}}. Exemplo: '{{nodeReverse}}. IN PTR master01.{{cluster}}.' associa {{nodeIp}} a master01.{{cluster}}."
+    },
+    'okd-apps-wildcard': {
+      question: "Em um cluster OKD/OpenShift, qual é a finalidade do registro curinga *.apps.{{cluster}}?",
+      options: [
+        "Balancear a carga entre os servidores de API",
+        "Encaminhar todo o tráfego das aplicações pelo ingress controller",
+        "Permitir a comunicação dentro do cluster",
+        "Configurar o armazenamento"
+      ],
+      hint: "Toda rota que uma aplicação expõe termina em .apps; um componente recebe todo esse tráfego HTTP.",
+      explanation: "O registro curinga *.apps aponta TODAS as rotas de aplicação para o ingress controller/router do OKD. Quando você implanta uma aplicação que cria uma rota como 'myapp.apps.{{cluster}}' ou '{{secondaryName}}.apps.{{cluster}}', o curinga a captura e envia o tráfego para o IP do ingress (como {{ingressIp}}). O ingress controller então usa o cabeçalho HTTP Host para encaminhar ao pod certo. É assim que o OpenShift/OKD faz multilocação e roteamento dinâmico sem criar registros DNS individuais para cada aplicação."
+    },
+    ttl: {
+      question: "O que significa TTL no DNS e o que ele controla?",
+      options: [
+        "Total Transfer Limit - tamanho máximo da zona",
+        "Time To Live - por quanto tempo um registro DNS fica em cache",
+        "Transfer Time Limit - tempo máximo da consulta",
+        "Tunneling Transport Layer - método de criptografia"
+      ],
+      hint: "A mesma ideia do limite de saltos de um pacote IP: uma vida útil após a qual uma cópia deve ser descartada.",
+      explanation: "O TTL (Time To Live) define por quanto tempo (em segundos) os resolvers podem manter um registro em cache antes de consultar de novo. Um TTL de 300 equivale a 5 minutos. TTLs baixos significam consultas mais frequentes (mais carga), mas mudanças propagadas mais rápido; TTLs altos reduzem a carga, mas as mudanças demoram mais. Para IPs dinâmicos, use TTLs baixos (300-600). Para infraestrutura estável, TTLs altos (3600-86400) são adequados."
+    },
+    'cname-vs-a': {
+      question: "Qual é a diferença entre um registro CNAME e um registro A?",
+      options: [
+        "CNAME é para IPv6, A é para IPv4",
+        "CNAME cria um apelido para outro nome, A aponta para um IP",
+        "CNAME é mais rápido que registros A",
+        "Registros A custam mais que CNAMEs"
+      ],
+      hint: "Um dos dois nunca contém um endereço, apenas outro nome a ser consultado.",
+      explanation: "Um CNAME (Canonical Name) cria um apelido que aponta para outro nome de host, enquanto um registro A aponta diretamente para um endereço IP. Por exemplo, 'www CNAME @' significa que www.{{example}} é um apelido de {{example}} (que tem o registro A). CNAMEs não podem ficar no ápice da zona (@) nem coexistir com outros tipos de registro do mesmo nome. O resolver segue o CNAME até o registro A/AAAA final. São úteis quando vários nomes devem apontar para o mesmo lugar - basta mudar um registro A em vez de vários."
+    },
+    'soa-contents': {
+      question: "Que informações um registro SOA (Start of Authority) contém?",
+      options: [
+        "Endereços IP dos servidores",
+        "Configurações do servidor de e-mail",
+        "Metadados da zona: servidor primário, e-mail do administrador, serial, temporizadores",
+        "Certificados de segurança"
+      ],
+      hint: "É o primeiro registro de toda zona e descreve a própria zona, não um host dentro dela.",
+      explanation: "O registro SOA aparece no início de todo arquivo de zona e contém metadados essenciais: (1) servidor de nomes primário da zona, (2) e-mail do administrador (com o @ trocado por .), (3) número serial (controla as versões da zona - incremente a cada alteração!), (4) temporizador de refresh (com que frequência os secundários verificam atualizações), (5) temporizador de retry (quanto esperar se o refresh falhar), (6) temporizador de expire (quando parar de servir a zona se o primário estiver inacessível), (7) TTL negativo (por quanto tempo guardar respostas de 'domínio não existe'). É a 'certidão de nascimento' da zona - precisa estar correta!"
+    },
+    'bind-views': {
+      question: "Na configuração do BIND, qual é a finalidade das 'views'?",
+      options: [
+        "Monitorar o tráfego DNS",
+        "Servir respostas DNS diferentes para clientes diferentes",
+        "Criar painéis de DNS",
+        "Replicar zonas"
+      ],
+      hint: "Uma view seleciona clientes, por exemplo com match-clients, antes de qualquer zona ser consultada.",
+      explanation: "As views do BIND permitem servir respostas completamente diferentes conforme quem pergunta (identificado pelo IP de origem). É assim que se implementa o DNS split-horizon. Você pode ter uma view 'internal' que corresponde aos IPs da sua LAN (ACL 'trusted') com todos os dados da zona, incluindo IPs privados, e uma view 'external' para todos os demais, só com os registros públicos. Cada view pode ter suas próprias zonas, forwarders e configurações de recursão. É perfeito para homelabs em que clientes internos precisam de IPs privados e clientes externos de IPs públicos para os mesmos nomes."
+    },
+    'soa-serial': {
+      question: "Por que é importante incrementar o número serial do SOA ao atualizar um arquivo de zona?",
+      options: [
+        "Para fins de backup",
+        "Para avisar os servidores secundários de que a zona mudou",
+        "Para deixar o DNS mais rápido",
+        "Não é importante"
+      ],
+      hint: "Os secundários comparam um número com a sua própria cópia para decidir se transferem a zona.",
+      explanation: "O serial do SOA é O mecanismo que avisa os servidores DNS secundários (slaves) de que uma zona foi atualizada. Os secundários verificam periodicamente o serial do primário. Se for MAIOR que o da cópia deles, pedem uma transferência de zona (AXFR ou IXFR) para obter as mudanças. Se você esquecer de incrementá-lo, os secundários não vão saber que precisam atualizar! A convenção é AAAAMMDDNN (2024122401 para a primeira alteração em 24/12/2024). Mesmo sem secundários hoje, é uma boa prática - você pode adicioná-los depois, e o serial registra o histórico de alterações."
+    },
+    'recursive-query': {
+      question: "Que tipo de consulta DNS um resolver recursivo realiza?",
+      options: [
+        "Só verifica o próprio cache",
+        "Percorre toda a hierarquia do DNS em nome do cliente",
+        "Só encaminha para outros servidores",
+        "Só fornece respostas autoritativas"
+      ],
+      hint: "'Recursivo' significa que o resolvedor faz todo o trabalho para que o cliente receba uma resposta final.",
+      explanation: "Um resolver recursivo faz TODO o trabalho de resolução para o cliente. Quando você pergunta por '{{secondary}}', ele: (1) verifica primeiro o cache, (2) se não estiver lá, consulta os servidores raiz para achar os servidores de nomes de {{secondaryTld}}, (3) consulta os servidores de {{secondaryTld}} para achar os de {{secondary}}, (4) consulta os servidores de {{secondary}} pela resposta final, (5) devolve o resultado e o guarda em cache. O cliente recebe uma única resposta - o resolver fez todo o trabalho. Isso é diferente das consultas iterativas, em que cada servidor diz 'pergunte a este outro' e o cliente faz o trabalho. A maioria dos servidores DNS que você configura (como o BIND no OPNsense) são resolvers recursivos para a sua rede interna."
+    },
+    'okd-preinstall-record': {
+      question: "Para o seu cluster OKD, qual registro DNS precisa resolver ANTES que a instalação possa ter sucesso?",
+      options: [
+        "Apenas *.apps.{{cluster}}",
+        "Apenas api.{{cluster}}",
+        "Tanto api.{{cluster}} quanto api-int.{{cluster}}",
+        "Apenas os registros dos nós worker"
+      ],
+      hint: "O instalador e os nós falam com a API do Kubernetes, de fora e de dentro do cluster.",
+      explanation: "A instalação do OKD/OpenShift EXIGE que api.{{cluster}} e api-int.{{cluster}} resolvam antes mesmo de começar. O instalador valida o DNS como verificação prévia. 'api' é o endpoint externo da API e 'api-int' o interno - muitas vezes apontam para o mesmo IP/balanceador, mas os DOIS precisam existir. Além disso, o instalador verifica se *.apps.{{cluster}} resolve (para o roteamento das aplicações) e se o DNS reverso funciona para os nós. DNS ausente ou incorreto é o motivo número 1 de falhas na instalação do OKD. Sempre teste com 'dig' antes de rodar o instalador!"
+    },
+    'srv-record': {
+      question: "Qual é a finalidade dos registros SRV no DNS?",
+      options: [
+        "Servir páginas web",
+        "Indicar a localização (nome de host + porta) de serviços específicos",
+        "Criar subdomínios",
+        "Cuidar do roteamento de e-mail"
+      ],
+      hint: "Um nome SRV como _ldap._tcp.{{primary}} responde 'onde' e 'em qual porta'.",
+      explanation: "Registros SRV (Service) indicam não só ONDE um serviço está (nome de host), mas também em QUAL PORTA ele roda e sua prioridade/peso para balanceamento de carga. Formato: '_servico._protocolo.dominio SRV prioridade peso porta destino'. Por exemplo, o OKD usa registros SRV para descobrir o etcd: '_etcd-server-ssl._tcp.{{cluster}} SRV 0 10 2380 etcd-0.{{cluster}}' informa que o serviço SSL do etcd roda em etcd-0.{{cluster}} na porta 2380. Assim os clientes descobrem serviços sem portas fixas no código. Usos comuns: LDAP, SIP (VoIP), XMPP (chat) e Kubernetes/etcd."
+    },
+    'cloudflare-ddns': {
+      question: "Ao usar a Cloudflare para DNS dinâmico, o que é atualizado quando seu IP público muda?",
+      options: [
+        "Sua configuração do BIND no OPNsense",
+        "Os registros A na Cloudflare que apontam para seu IP público",
+        "Seus arquivos de zona internos",
+        "Os valores de TTL"
+      ],
+      hint: "O DNS dinâmico mantém o nome público apontando para o endereço que o seu provedor atribuiu.",
+      explanation: "Com DNS dinâmico na Cloudflare, um cliente (como o ddclient do OPNsense ou um script) detecta quando o IP público atribuído pelo provedor muda e usa a API da Cloudflare para ATUALIZAR os registros A, que passam a apontar para o NOVO IP. Por exemplo, se '{{secondary}}' apontava para 203.0.113.45 e seu IP muda para 203.0.113.67, o cliente atualiza a Cloudflare para que {{secondary}} aponte para .67. Sua configuração do BIND e os arquivos de zona internos NÃO mudam - continuam apontando para IPs internos (10.0.1.x). Por isso o split-horizon é importante: clientes internos usam o BIND (IPs privados), clientes externos usam a Cloudflare (IP público)."
+    },
+    'bind-forwarders': {
+      question: "Qual é a finalidade da diretiva 'forwarders' na configuração do BIND?",
+      options: [
+        "Enviar e-mails",
+        "Indicar servidores DNS upstream para consultas que você não sabe responder",
+        "Copiar arquivos de zona para outros servidores",
+        "Ativar o IPv6"
+      ],
+      hint: "Encaminhar significa enviar a outros resolvedores as consultas que o servidor não consegue responder sozinho.",
+      explanation: "A diretiva 'forwarders' diz ao BIND quais servidores DNS upstream consultar para domínios dos quais ele não é autoritativo. Em vez de fazer a resolução recursiva completa (servidores raiz, servidores de TLD etc.), o BIND encaminha a consulta a esses servidores (como 1.1.1.1 ou 8.8.8.8) e guarda a resposta em cache. Isso é mais rápido e reduz a carga. Exemplo: seu BIND é autoritativo para {{primary}} e {{cluster}}, mas quando alguém consulta 'google.com', o BIND encaminha para a Cloudflare (1.1.1.1), obtém a resposta, guarda em cache e a devolve ao cliente. Você pode definir forwarders globais ou por zona."
+    },
+    'zone-trailing-dot': {
+      question: "Em um arquivo de zona, o que significa um nome de host NÃO terminar com ponto (.)?",
+      options: [
+        "É um erro",
+        "É um nome relativo - a origem da zona será acrescentada",
+        "Significa que é um CNAME",
+        "Desativa o cache"
+      ],
+      hint: "Um ponto final torna o nome absoluto; sem ele, o BIND acrescenta algo ao final.",
+      explanation: "Em arquivos de zona, nomes sem ponto final são RELATIVOS - o BIND acrescenta automaticamente a origem da zona. Nomes COM ponto final são totalmente qualificados (FQDN). Exemplo na zona {{primary}}: 'www' vira 'www.{{primary}}' (relativo), mas 'www.{{primary}}.' fica como está (FQDN com ponto final). É uma fonte comum de erros! Se você escrever 'www.{{primary}}' (sem ponto final), o BIND acrescenta a origem e você obtém 'www.{{primary}}.{{primary}}' - provavelmente não era isso que você queria! Use SEMPRE nomes relativos ('www') OU FQDNs com ponto final ('www.{{primary}}')."
+    },
+    'dnssec-overview': {
+      question: "O que é DNSSEC e que problema ele resolve?",
+      options: [
+        "Criptografa o tráfego DNS",
+        "Acelera as consultas DNS",
+        "Assina criptograficamente as respostas DNS para impedir adulteração",
+        "Oferece DNS sobre HTTPS"
+      ],
+      hint: "O 'SEC' acrescenta assinaturas e prova de origem, não sigilo.",
+      explanation: "O DNSSEC (DNS Security Extensions) usa assinaturas criptográficas para garantir que as respostas DNS não foram adulteradas. Ele resolve o problema de envenenamento de cache e de ataques man-in-the-middle, em que atacantes redirecionam você para sites falsos com respostas DNS falsas. O DNSSEC não CRIPTOGRAFA as consultas (isso é o DNS-over-HTTPS/TLS), mas as AUTENTICA. Com a validação DNSSEC ativada no seu resolver, ele verifica as assinaturas digitais das respostas seguindo uma cadeia de confiança a partir dos servidores raiz. Se as assinaturas não conferem, a resposta é rejeitada. Implementar como servidor autoritativo é complexo (gestão de chaves), mas ativar a validação no resolver é fácil."
+    },
+    'bind-on-firewall': {
+      question: "Por que você pode querer rodar o BIND no firewall em vez de em um servidor separado?",
+      options: [
+        "É exigido por lei",
+        "Controle centralizado, primeiro ponto de entrada da rede, permite aplicar políticas baseadas em DNS",
+        "O BIND só funciona em firewalls",
+        "É mais barato"
+      ],
+      hint: "Todo dispositivo da rede já envia seu tráfego pelo firewall.",
+      explanation: "Rodar o DNS no firewall (como o OPNsense) traz várias vantagens: (1) controle centralizado - todos os clientes precisam usá-lo e não conseguem contorná-lo facilmente, (2) ponto de passagem da rede - dá para registrar todas as consultas DNS, (3) filtragem por DNS - bloqueia domínios de malware/anúncios antes que resolvam, (4) integração - funciona com o DHCP para criar entradas DNS automaticamente, (5) um único ponto de gestão - o firewall já cuida do roteamento, agora também do DNS. Desvantagens: o firewall fica ainda mais crítico (se ele cair, tudo cai), possível impacto no desempenho com muitas consultas e a separação de responsabilidades - há quem prefira servidores DNS dedicados. Em homelabs, DNS no firewall é muito comum e prático."
+    },
+    'authoritative-vs-recursive': {
+      question: "Qual é a diferença entre um servidor DNS autoritativo e um resolver recursivo?",
+      options: [
+        "Não há diferença",
+        "O autoritativo tem os dados reais da zona, o recursivo busca respostas em nome dos clientes",
+        "O autoritativo é mais rápido",
+        "O recursivo é só para servidores raiz"
+      ],
+      hint: "Um tipo de servidor é dono das respostas, o outro vai buscá-las.",
+      explanation: "Um servidor AUTORITATIVO tem os dados oficiais de zonas específicas - é o 'dono' dos registros dessas zonas. Quando perguntado sobre elas, dá respostas definitivas (flag AA ativada). Um RESOLVER RECURSIVO não é dono de nenhuma zona - ele busca respostas em nome dos clientes consultando outros servidores. Seu BIND será AS DUAS COISAS: autoritativo para {{primary}} e {{cluster}} (você mantém os arquivos de zona) E recursivo para todo o resto (consulta em nome dos seus clientes internos). DNS públicos como 8.8.8.8 são puramente recursivos - não são donos de zonas, só respondem consultas. Os servidores de nomes do seu registrador são autoritativos para o seu domínio (do ponto de vista da internet)."
+    },
+    'dig-trace': {
+      question: "O que o comando 'dig +trace' faz?",
+      options: [
+        "Mostra rastros de pacotes DNS",
+        "Rastreia todo o caminho de resolução a partir dos servidores raiz",
+        "Monitora o tráfego DNS",
+        "Rastreia rotas de rede"
+      ],
+      command: {
+        prompt: "Digite um comando dig que siga todo o caminho de delegação de {{secondary}} a partir dos servidores raiz."
+      },
+      hint: "A opção segue cada referência a partir da zona raiz por conta própria, em vez de perguntar a um resolvedor.",
+      explanation: "O comando 'dig +trace' mostra TODO o processo de resolução, começando pelos servidores raiz. Ele pergunta aos servidores raiz pelos servidores do TLD, depois aos servidores do TLD pelos servidores autoritativos e, por fim, aos autoritativos pela resposta final. Isso é extremamente útil para depurar problemas de DNS e entender a cadeia de delegação. Por exemplo, 'dig +trace {{secondary}}' mostraria: (1) consulta aos servidores raiz, (2) indicação dos servidores de {{tld}}, (3) indicação dos servidores de nomes de {{secondary}}, (4) resposta final. Você vê exatamente em que ponto da cadeia algo pode estar quebrado."
+    },
+    'caa-record': {
+      question: "Qual é a finalidade de um registro CAA (Certification Authority Authorization)?",
+      options: [
+        "Definir as prioridades dos servidores de e-mail",
+        "Autorizar quais Autoridades Certificadoras podem emitir certificados SSL para o seu domínio",
+        "Guardar registros DNS em cache",
+        "Autenticar transferências de zona"
+      ],
+      hint: "Ele é verificado pelas autoridades certificadoras, não pelos navegadores.",
+      explanation: "Registros CAA indicam quais Autoridades Certificadoras (CAs) podem emitir certificados SSL/TLS para o seu domínio. Isso impede que CAs não autorizadas emitam certificados para o seu domínio, que poderiam ser usados em ataques man-in-the-middle. Exemplo: '{{secondary}} CAA 0 issue \"letsencrypt.org\"' significa que apenas a Let's Encrypt pode emitir certificados para {{secondary}}. Também há 'issuewild' para curingas e 'iodef' para indicar onde relatar violações. As CAs são obrigadas a verificar os registros CAA antes de emitir certificados, o que torna isso um recurso de segurança importante."
+    },
+    'dig-aa-flag': {
+      question: "Na saída do dig, o que significa a flag 'aa'?",
+      options: [
+        "Abbreviated Answer (resposta abreviada)",
+        "Authoritative Answer - o servidor é autoritativo para esta zona",
+        "Always Available (sempre disponível)",
+        "Authenticated Answer (resposta autenticada)"
+      ],
+      hint: "A flag aparece quando o servidor que responde mantém a própria zona.",
+      explanation: "A flag 'aa' (Authoritative Answer) na saída do dig indica que o servidor que respondeu é autoritativo para a zona consultada - ele tem os dados oficiais, não uma cópia em cache. Ao consultar seu BIND sobre registros das suas zonas, você verá 'aa' nas flags. Para domínios externos, 'aa' não aparece, porque seu servidor está apenas encaminhando/resolvendo recursivamente. Essa flag ajuda a confirmar que a resposta vem do lugar certo. Se você espera uma resposta autoritativa e não vê 'aa', talvez esteja consultando o servidor errado ou haja um problema de delegação."
+    },
+    unbound: {
+      question: "O que é o Unbound e como ele difere do BIND?",
+      options: [
+        "O Unbound é só uma versão mais nova do BIND",
+        "O Unbound é um resolver DNS recursivo e validador focado em segurança, enquanto o BIND pode ser autoritativo e recursivo",
+        "O Unbound só funciona no Windows",
+        "Eles são exatamente iguais"
+      ],
+      hint: "O Unbound foi escrito para uma única tarefa, resolver e validar, e para fazê-la com segurança.",
+      explanation: "O Unbound é um resolver DNS recursivo, validador, moderno e focado em segurança. Diferente do BIND, que pode ter papel autoritativo e recursivo, o Unbound se concentra APENAS na resolução recursiva, com validação DNSSEC embutida. Ele foi projetado para ser mais rápido, mais seguro e mais fácil de configurar que o BIND em cenários só recursivos. O Unbound é frequentemente usado junto com um servidor autoritativo - por exemplo, Unbound para consultas recursivas e BIND (ou NSD) para as zonas autoritativas. É especialmente popular em configurações focadas em privacidade, filtragem de DNS e como componente DNS em instalações do Pi-hole."
+    },
+    pihole: {
+      question: "O que é o Pi-hole e que funcionalidade de DNS ele oferece?",
+      options: [
+        "Um servidor DNS só para Raspberry Pi",
+        "Um bloqueador de anúncios para toda a rede que funciona como sinkhole DNS",
+        "Uma solução de VPN",
+        "Um aplicativo de firewall"
+      ],
+      hint: "Ele responde às consultas de domínios de anúncios com nada, então os anúncios nunca carregam.",
+      explanation: "O Pi-hole é um bloqueador de anúncios para toda a rede que funciona como sinkhole DNS. Ele roda um servidor DNS (normalmente dnsmasq ou Unbound) que bloqueia pedidos a domínios conhecidos de anúncios e rastreamento, respondendo com um endereço nulo (0.0.0.0). Quando um cliente consulta um domínio de anúncio, o Pi-hole o bloqueia no nível do DNS, antes mesmo de carregar. Ele oferece: (1) bloqueio de anúncios por DNS para todos os dispositivos da rede, (2) servidor DHCP, (3) painel web com estatísticas, (4) listas de bloqueio/liberação personalizadas, (5) registro de consultas. Você configura a rede para usar o Pi-hole como servidor DNS, e ele encaminha as consultas legítimas para servidores upstream como Cloudflare ou Google enquanto bloqueia os anúncios."
+    },
+    'dig-short': {
+      question: "O que o comando 'dig +short' faz?",
+      options: [
+        "Deixa a consulta mais rápida",
+        "Retorna só a seção de resposta, com saída mínima",
+        "Consulta só nomes de domínio curtos",
+        "Usa UDP em vez de TCP"
+      ],
+      command: {
+        prompt: "Digite um comando dig que mostre apenas o endereço IP de {{primary}}, sem nenhuma outra saída."
+      },
+      hint: "Compare a saída com um dig simples: só restam os dados que você pediu.",
+      explanation: "A opção '+short' faz o dig mostrar só a resposta essencial, omitindo o cabeçalho e as seções question, authority e additional. Por exemplo, 'dig +short {{secondary}}' pode retornar só '{{ingressIp}}' em vez da saída completa. Isso é muito útil em scripts que só precisam do IP ou em consultas rápidas em que você não precisa ver todos os metadados. Dá para combinar com outras opções: 'dig +short +trace' ou 'dig +short @8.8.8.8 {{secondary}}' para obter uma saída concisa de servidores específicos."
+    },
+    'dname-record': {
+      question: "Qual é a finalidade de um registro DNAME?",
+      options: [
+        "O mesmo que um registro CNAME",
+        "Cria um apelido para toda uma subárvore do domínio",
+        "Indica os administradores do domínio",
+        "Criptografa as respostas DNS"
+      ],
+      hint: "Um CNAME é um apelido para um nome; este tipo de registro faz o mesmo para tudo abaixo de um nome.",
+      explanation: "O DNAME (Delegation Name) cria um apelido para uma subárvore INTEIRA, ao contrário do CNAME, que apelida um único nome. Com 'old.{{primary}} DNAME new.{{primary}}', QUALQUER consulta abaixo de old.{{primary}} é redirecionada para new.{{primary}}. Por exemplo, www.old.{{primary}} vira www.new.{{primary}}, mail.old.{{primary}} vira mail.new.{{primary}} e assim por diante. Isso é útil em migrações de domínio ou quando você quer redirecionar uma árvore inteira de subdomínios sem criar CNAMEs individuais para cada registro."
+    },
+    'dig-server': {
+      question: "Como consultar um servidor DNS específico com o dig?",
+      options: [
+        "dig -server 8.8.8.8 domain.com",
+        "dig @8.8.8.8 domain.com",
+        "dig --server=8.8.8.8 domain.com",
+        "dig domain.com > 8.8.8.8"
+      ],
+      command: {
+        prompt: "Digite um comando dig que pergunte ao servidor DNS {{dnsIp}} pelo registro A de {{primary}}."
+      },
+      hint: "O argumento de servidor do dig começa com um símbolo, o mesmo dos endereços de e-mail.",
+      explanation: "O símbolo '@' indica qual servidor DNS consultar. 'dig @8.8.8.8 {{secondary}}' consulta o DNS do Google, 'dig @1.1.1.1 {{secondary}}' consulta a Cloudflare e 'dig @{{dnsIp}} {{secondary}}' consulta o seu BIND local. Isso é crucial na solução de problemas - você confirma se servidores específicos têm os registros corretos. Por exemplo, depois de atualizar um arquivo de zona, você consulta o seu BIND diretamente para confirmar os novos registros antes de testar de outras redes. Também dá para consultar os servidores raiz diretamente: 'dig @a.root-servers.net', para ver se há problemas no nível da raiz."
+    },
+    'nslookup-vs-dig': {
+      question: "Qual é a diferença entre nslookup e dig?",
+      options: [
+        "São ferramentas idênticas",
+        "O nslookup é mais antigo/simples, o dig é mais poderoso, com saída detalhada e mais opções",
+        "O nslookup é só para Windows",
+        "O dig está obsoleto"
+      ],
+      hint: "Uma ferramenta vem dos primórdios do DNS e tem um modo interativo; a outra mostra a mensagem DNS completa.",
+      explanation: "O nslookup é uma ferramenta de consulta DNS mais antiga e simples, disponível na maioria das plataformas, mas considerada em parte obsoleta em favor do dig. O dig (Domain Information Groper) é mais poderoso, com saída detalhada, formatação melhor e mais opções. O dig mostra todas as seções da resposta (header, question, answer, authority, additional) e oferece recursos como +trace, +short, validação DNSSEC, consultas por tipo de registro e mais. O nslookup é interativo por padrão e mais fácil para iniciantes, mas profissionais de DNS preferem o dig pela flexibilidade e pela saída detalhada. No Linux, o dig é o padrão; no Windows, o nslookup é mais comum, embora o dig possa ser instalado."
+    },
+    'aaaa-record': {
+      question: "Qual tipo de registro DNS é usado para endereços IPv6?",
+      options: ["Registro A6", "Registro AAAA", "Registro IPv6", "Registro A com sintaxe especial"],
+      hint: "Um endereço IPv6 é quatro vezes mais longo que um endereço IPv4.",
+      explanation: "Registros AAAA (quad-A) associam nomes de host a endereços IPv6, assim como os registros A fazem para IPv4. Exemplo: 'www.{{primary}} AAAA {{webIp6}}'. O nome vem de os endereços IPv6 terem 128 bits (quatro vezes os 32 bits do IPv4, daí os quatro A). Com a adoção crescente do IPv6, os registros AAAA ficam cada vez mais importantes. Um mesmo nome pode ter registros A e AAAA, permitindo operação dual-stack em que os clientes usam IPv4 ou IPv6. Servidores DNS modernos devem retornar os dois tipos, e os clientes escolhem conforme a conectividade."
+    },
+    'ula-prefix': {
+      question: "O prefixo IPv6 do homelab é {{ulaPrefix}}. Que tipo de espaço de endereçamento é esse?",
+      options: [
+        "Global unicast, roteável na internet",
+        "Link-local, válido só em um segmento de rede",
+        "Unique local (ULA), a contraparte IPv6 das faixas privadas da RFC 1918",
+        "O prefixo de documentação reservado para exemplos"
+      ],
+      hint: "Olhe o primeiro byte do prefixo: fc00::/7 é reservado para uso privado.",
+      explanation: "Endereços sob fd00::/8 são Unique Local Addresses (RFC 4193): um /48 escolhido aleatoriamente por site, roteável dentro dele mas nunca na internet - a contraparte IPv6 de faixas privadas como {{subnet}}. A rede do laboratório {{subnet}} também é {{ulaSubnet}}, então o servidor DNS é ao mesmo tempo {{dnsIp}} e {{dnsIp6}}, publicado como 'dns.{{primary}} AAAA {{dnsIp6}}' ao lado do seu registro A. Assim como os endereços da RFC 1918, ULAs pertencem só ao DNS interno (por exemplo, uma view interna), não à zona pública. Endereços link-local começam com fe80::/10, e 2001:db8::/32 é reservado para documentação."
+    },
+    'dig-any': {
+      question: "O que faz o tipo de consulta 'ANY' do dig?",
+      options: [
+        "Retorna todos os tipos de registro de um domínio",
+        "Corresponde a qualquer caractere no nome de domínio",
+        "Consulta todos os servidores DNS",
+        "Está obsoleto e não deve ser usado"
+      ],
+      command: {
+        prompt: "Digite um comando dig que peça todos os tipos de registro de {{primary}}."
+      },
+      hint: "A RFC 8482 permite que servidores respondam a consultas ANY de forma mínima, porque elas eram usadas em ataques de amplificação.",
+      explanation: "O tipo de consulta ANY está praticamente OBSOLETO, e muitos servidores DNS hoje se recusam a respondê-lo. Originalmente, 'dig {{secondary}} ANY' retornava todos os tipos de registro (A, AAAA, MX, TXT etc.) de um domínio. Porém, isso virou vetor de ataques de amplificação de DNS: atacantes enviavam pequenas consultas ANY que geravam respostas grandes, refletidas contra as vítimas. Servidores modernos (incluindo Cloudflare e Google) ignoram consultas ANY ou dão respostas mínimas. Em vez disso, consulte tipos específicos: 'dig {{secondary}} A', 'dig {{secondary}} MX' etc. A RFC 8482 desencoraja oficialmente o uso de consultas ANY."
+    },
+    'cache-poisoning': {
+      question: "O que é envenenamento de cache DNS e como o DNSSEC o impede?",
+      options: [
+        "Quando os servidores DNS ficam sem memória",
+        "Quando atacantes injetam registros falsos no cache de um resolver; o DNSSEC usa assinaturas criptográficas para verificar a autenticidade",
+        "Quando os registros DNS expiram rápido demais",
+        "Não é um problema real de segurança"
+      ],
+      hint: "O ataque planta respostas falsas em um resolvedor; a defesa é uma assinatura que o falsificador não consegue produzir.",
+      explanation: "O envenenamento de cache DNS (também chamado de DNS spoofing) ocorre quando um atacante consegue inserir registros falsos no cache de um resolver, levando os usuários a sites maliciosos. Por exemplo, um atacante poderia envenenar o cache para que {{secondary}} aponte para o servidor dele em vez do seu. O DNSSEC impede isso adicionando assinaturas criptográficas aos registros. Cada zona é assinada com uma chave privada, e os resolvers verificam as assinaturas com a chave pública. Se uma resposta foi adulterada, a assinatura não confere e o resolver a rejeita. O DNSSEC cria uma cadeia de confiança a partir dos servidores raiz, garantindo que as respostas são autênticas e não foram modificadas."
+    },
+    'nslookup-server': {
+      question: "Qual comando do nslookup muda a consulta para outro servidor DNS?",
+      options: ["set server=8.8.8.8", "server 8.8.8.8", "use 8.8.8.8", "query 8.8.8.8"],
+      command: {
+        prompt: "Digite um comando nslookup não interativo que consulte {{secondary}} usando o servidor DNS do Google em 8.8.8.8."
+      },
+      hint: "No modo interativo, o nslookup troca de servidor com uma única palavra seguida do endereço.",
+      explanation: "No modo interativo do nslookup, você usa 'server 8.8.8.8' para passar a consultar outro servidor DNS. O fluxo é: (1) digite 'nslookup' para entrar no modo interativo, (2) digite 'server 8.8.8.8' para mudar para o DNS do Google, (3) digite os domínios, como '{{secondary}}', (4) digite 'exit' para sair. Também dá para indicar o servidor na linha de comando: 'nslookup {{secondary}} 8.8.8.8'. O comando 'server' é útil para consultar vários servidores em sequência, comparar as respostas ou investigar problemas de propagação de DNS."
+    },
+    'txt-record': {
+      question: "Qual é a finalidade de um registro TXT?",
+      options: [
+        "Guardar apenas texto simples",
+        "Guardar texto arbitrário usado para SPF, DKIM, verificação de domínio e outros fins",
+        "Criptografar respostas DNS",
+        "Criar apelidos baseados em texto"
+      ],
+      hint: "SPF, DKIM e verificações de posse de domínio publicam seus dados neste registro de formato livre.",
+      explanation: "Registros TXT guardam texto arbitrário e se tornaram essenciais para autenticação de e-mail e verificação de domínio. Usos comuns: (1) SPF - 'v=spf1 include:_spf.google.com ~all' indica quais servidores podem enviar e-mail pelo seu domínio, (2) chaves DKIM - chaves públicas para verificar assinaturas de e-mail, (3) verificação de domínio - provar a posse a serviços como Google ou Microsoft (ex.: 'google-site-verification=abc123'), (4) políticas DMARC - políticas de autenticação de e-mail, (5) metadados em geral - qualquer informação que você queira publicar. Eles podem ser consultados com 'dig {{secondary}} TXT'. Cada string é limitada a 255 caracteres, mas várias strings podem ser concatenadas."
+    },
+    'dig-mx': {
+      question: "Como consultar apenas os registros MX com o dig?",
+      options: [
+        "dig --mx domain.com",
+        "dig domain.com MX",
+        "dig -t MX domain.com",
+        "B e C estão corretas"
+      ],
+      command: {
+        prompt: "Digite um comando dig que consulte apenas os registros MX de {{example}}."
+      },
+      hint: "O dig aceita o tipo de registro tanto como argumento simples quanto depois de uma letra de opção.",
+      explanation: "Você pode indicar o tipo de registro no dig de duas formas: 'dig {{secondary}} MX' ou 'dig -t MX {{secondary}}' - as duas estão corretas e fazem a mesma coisa. A opção -t indica explicitamente o tipo de consulta. Isso vale para qualquer tipo: 'dig {{primary}} AAAA', 'dig {{cluster}} NS', 'dig {{secondary}} TXT' etc. É muito mais eficiente do que pedir todos os registros (o que, aliás, é desencorajado). É comum combinar com +short: 'dig +short {{secondary}} MX' mostra só os servidores de e-mail, sem o resto da saída."
+    },
+    dnsmasq: {
+      question: "O que é o dnsmasq e onde ele costuma ser usado?",
+      options: [
+        "Um scanner de segurança de DNS",
+        "Um servidor DNS/DHCP leve, muito usado em roteadores e sistemas embarcados",
+        "Uma ferramenta de monitoramento de DNS",
+        "Um assistente de configuração do BIND"
+      ],
+      hint: "Muitos roteadores domésticos distribuem endereços e respondem DNS com o mesmo pequeno programa.",
+      explanation: "O dnsmasq é um encaminhador DNS e servidor DHCP leve, feito para redes pequenas e sistemas embarcados. É comum em roteadores domésticos, instalações do Pi-hole e ambientes de desenvolvimento. Diferente do BIND, completo mas complexo, o dnsmasq é simples e eficiente, com pouco uso de memória. Ele pode: (1) encaminhar consultas DNS a servidores upstream, (2) guardar respostas em cache, (3) servir registros locais a partir do /etc/hosts, (4) oferecer DHCP, (5) bloquear anúncios por DNS (como no Pi-hole). A configuração é simples - normalmente um único arquivo. É perfeito para homelabs e redes pequenas que não precisam de todos os recursos de servidor autoritativo do BIND."
+    },
+    'dig-norecurse': {
+      question: "O que faz 'dig +norecurse'?",
+      options: [
+        "Desativa a recursão, obtendo só o que o servidor consultado sabe diretamente",
+        "Deixa a consulta mais rápida",
+        "Impede o cache",
+        "É uma opção inválida"
+      ],
+      command: {
+        prompt: "Digite um comando dig que pergunte a {{dnsIp}} sobre {{primary}} sem pedir recursão."
+      },
+      hint: "A opção desliga a flag RD na consulta.",
+      explanation: "A opção '+norecurse' faz o dig enviar a flag RD (Recursion Desired) como 0, ou seja, 'não faça resolução recursiva'. Ao consultar um servidor autoritativo com +norecurse, ele só retorna registros dos quais é autoritativo - não vai buscar respostas em outro lugar. Isso é útil para testar: (1) verificar se um servidor autoritativo tem os registros corretos, (2) impedir que servidores recursivos façam buscas, (3) entender o que cada servidor da cadeia sabe diretamente. Exemplo: 'dig @ns1.example.com +norecurse test.example.com' só retorna uma resposta se ns1.example.com for autoritativo para esse domínio."
+    },
+    'soa-negative-ttl': {
+      question: "Qual é a finalidade do TTL negativo em um registro SOA?",
+      options: [
+        "Por quanto tempo guardar respostas negativas (domínio não existe) em cache",
+        "Quanto tempo até a zona expirar",
+        "O TTL mínimo de todos os registros",
+        "Está obsoleto e não é usado"
+      ],
+      hint: "A RFC 2308 redefiniu o último campo do SOA para respostas NXDOMAIN e NODATA.",
+      explanation: "O último campo do registro SOA (historicamente chamado de 'minimum TTL', hoje 'TTL negativo') define por quanto tempo os resolvers guardam respostas NXDOMAIN (domínio inexistente). Se alguém consulta 'doesnotexist.{{primary}}' e seu servidor responde que o nome não existe, os resolvers guardam essa resposta negativa por esse tempo. Um valor de 300 (5 minutos) significa que os clientes não repetem a consulta por 5 minutos, reduzindo a carga. Isso é importante para erros de digitação e varreduras - você não quer resolvers perguntando repetidamente por nomes que não existem. A RFC 2308 redefiniu esse campo especificamente para o cache negativo."
+    },
+    'dig-dnssec': {
+      question: "Como usar o dig para verificar se o DNSSEC está ativado em um domínio?",
+      options: [
+        "dig +dnssec domain.com",
+        "dig --check-dnssec domain.com",
+        "dig domain.com DNSSEC",
+        "dig +secure domain.com"
+      ],
+      command: {
+        prompt: "Digite um comando dig que peça o registro A de {{primary}} junto com suas assinaturas DNSSEC."
+      },
+      hint: "A opção liga o bit DO, pedindo ao servidor que inclua registros RRSIG.",
+      explanation: "Use 'dig +dnssec {{secondary}}' para pedir os registros relacionados ao DNSSEC. Se o DNSSEC estiver ativado, você verá registros RRSIG (assinaturas) na resposta, e a flag 'ad' (authenticated data) estará ativada se o seu resolver validou as assinaturas. Também dá para consultar registros DNSSEC específicos: 'dig {{secondary}} DNSKEY' (chaves públicas), 'dig {{secondary}} DS' (delegation signer) ou 'dig {{secondary}} RRSIG' (assinaturas). A presença desses registros indica que o DNSSEC está configurado. Para confirmar que a cadeia de confiança funciona, verifique se a flag 'ad' aparece ao consultar por meio de um resolver validador."
+    },
+    doh: {
+      question: "O que é DNS over HTTPS (DoH) e como ele difere do DNS tradicional?",
+      options: [
+        "Consultas DNS criptografadas em HTTPS, impedindo a bisbilhotagem do provedor",
+        "Resolução DNS mais rápida",
+        "Um protocolo DNS de reserva",
+        "DNS só para servidores web"
+      ],
+      hint: "Ele embrulha o DNS no mesmo protocolo que o seu navegador usa para páginas seguras.",
+      explanation: "O DNS over HTTPS (DoH) criptografa as consultas DNS dentro de conexões HTTPS (porta 443), fazendo-as parecer tráfego web comum. O DNS tradicional usa UDP/TCP sem criptografia na porta 53, permitindo que provedores e operadores de rede vejam todas as suas consultas. O DoH oferece: (1) privacidade - as consultas não podem ser interceptadas nem registradas pelo provedor, (2) segurança - impede DNS spoofing em redes não confiáveis, (3) contornar censura - é mais difícil de bloquear que o DNS tradicional. Navegadores como Firefox e Chrome suportam DoH. Cloudflare (1.1.1.1/https://cloudflare-dns.com/dns-query) e Google (8.8.8.8/https://dns.google/dns-query) oferecem endpoints DoH. Há quem critique que ele contorna a filtragem de DNS da rede (como Pi-hole ou controle parental)."
+    },
+    'dig-answer': {
+      question: "O que faz a opção '+answer' do dig?",
+      options: [
+        "Mostra só a seção de resposta",
+        "Força uma resposta mesmo se estiver em cache",
+        "Valida a resposta",
+        "É uma opção inválida"
+      ],
+      command: {
+        prompt: "Digite um comando dig que mostre só a seção de resposta de {{secondary}}."
+      },
+      hint: "A saída do dig tem várias seções, e cada uma pode ser ligada ou desligada pelo nome.",
+      explanation: "A opção '+answer' faz o dig mostrar só a seção answer da resposta DNS, escondendo as seções question, authority e additional. A saída fica mais limpa que a completa, mas mais detalhada que a do +short. Exemplo: 'dig +answer {{secondary}}' mostra só os registros de resposta com TTL e tipo. Dá para combinar opções: 'dig +answer +noall' primeiro suprime todas as seções e depois +answer reativa só a de resposta. É útil quando você quer ver a seção de resposta formatada, sem os metadados, mas com mais contexto que o +short."
+    },
+    'zone-transfer': {
+      question: "O que é uma transferência de zona DNS e qual comando a solicita?",
+      options: [
+        "Mover um arquivo de zona; comando cp",
+        "Copiar todos os registros do servidor primário para o secundário; dig AXFR",
+        "Transferir a propriedade; whois update",
+        "É um recurso obsoleto"
+      ],
+      command: {
+        prompt: "Digite um comando dig que peça a {{dnsIp}} uma transferência completa da zona {{primary}}."
+      },
+      hint: "Os secundários usam este mecanismo para obter uma cópia completa da zona; o tipo de consulta começa com 'A'.",
+      explanation: "Uma transferência de zona (AXFR - completa, ou IXFR - incremental) copia todos os registros DNS de um servidor primário para um secundário. É assim que os servidores secundários ficam sincronizados. Você pode solicitar uma com 'dig {{primary}} AXFR @ns1.{{primary}}'. Porém, a maioria dos servidores só permite transferências para secundários autorizados, por segurança - permitir transferências públicas deixa qualquer um baixar todo o seu banco de dados DNS. No BIND, isso é controlado com 'allow-transfer { trusted_servers; };'. Transferências de zona diferem das consultas normais: retornam a zona inteira de uma vez, em vez de registros individuais. Atacantes usavam transferências de zona para reconhecimento, por isso hoje elas costumam ser bloqueadas."
+    },
+    'rd-flag': {
+      question: "Qual é a finalidade da flag 'rd' (Recursion Desired) nas consultas DNS?",
+      options: [
+        "Pede acesso somente leitura",
+        "Diz ao servidor se ele deve fazer resolução recursiva",
+        "Marca registros como obsoletos",
+        "Ativa a depuração"
+      ],
+      hint: "O nome da flag diz o que o cliente quer que o servidor faça.",
+      explanation: "A flag RD (Recursion Desired) em uma consulta DNS diz ao servidor se o cliente quer resolução recursiva. Com RD=1 (padrão na maioria dos clientes), o servidor deve fazer todo o trabalho de achar a resposta, consultando outros servidores se preciso. Com RD=0 (como no dig +norecurse), o servidor deve retornar só o que sabe diretamente, dos seus dados autoritativos ou do cache. Resolvers recursivos verificam essa flag - se ativada, fazem a resolução completa; se não, retornam só resultados em cache ou indicações. Servidores só autoritativos podem ignorá-la. Na saída do dig, a flag RD aparece na seção de flags."
+    },
+    'pihole-ftl': {
+      question: "Qual software de servidor DNS o Pi-hole usa por padrão?",
+      options: ["BIND 9", "Unbound", "dnsmasq (ou, opcionalmente, Unbound)", "PowerDNS"],
+      hint: "O FTL é um fork de um servidor DNS e DHCP leve, também comum em roteadores.",
+      explanation: "O Pi-hole usa o dnsmasq como servidor DNS padrão, mas pode ser configurado para usar o Unbound. O dnsmasq é leve e perfeito para o caso de uso do Pi-hole - encaminha consultas a servidores upstream verificando antes as listas de bloqueio. Se um domínio está na lista, o Pi-hole responde 0.0.0.0 em vez de encaminhar a consulta. Muitos usuários instalam o Unbound junto com o Pi-hole para ter mais privacidade e validação DNSSEC. A combinação Pi-hole (bloqueio de anúncios) + Unbound (resolução recursiva com DNSSEC) é popular porque elimina a dependência de provedores DNS upstream e ainda bloqueia anúncios."
+    },
+    dot: {
+      question: "O que é DNS over TLS (DoT) e como ele difere do DoH?",
+      options: [
+        "São a mesma coisa",
+        "O DoT usa a porta dedicada 853, o DoH usa a porta 443 (HTTPS)",
+        "O DoT é mais rápido que o DoH",
+        "O DoT está obsoleto"
+      ],
+      hint: "Os dois criptografam o DNS; a diferença está na porta e no transporte que usam.",
+      explanation: "O DNS over TLS (DoT) criptografa as consultas DNS com TLS na porta dedicada 853, enquanto o DNS over HTTPS (DoH) as criptografa dentro de HTTPS na porta 443. Os dois oferecem privacidade e segurança, mas com abordagens diferentes: o DoT é mais facilmente identificável como tráfego DNS (porta 853) e pode ser bloqueado ou liberado separadamente do tráfego web. O DoH se mistura ao tráfego HTTPS, sendo mais difícil de distinguir ou bloquear. Administradores de rede preferem o DoT por ser transparente - veem que o DoT está em uso, mesmo sem ver as consultas. O DoH é preferido para resistir à censura. Ambos exigem clientes e servidores compatíveis; Cloudflare e Google suportam os dois protocolos."
+    },
+    'dig-stats': {
+      question: "O que 'dig +stats' mostra?",
+      options: [
+        "Estatísticas do domínio",
+        "Estatísticas da consulta, incluindo tempo, tamanho e flags",
+        "Métricas de desempenho do servidor",
+        "Dados históricos de DNS"
+      ],
+      command: {
+        prompt: "Digite um comando dig que consulte {{primary}} e mostre só as estatísticas da consulta."
+      },
+      hint: "Ela controla as linhas de comentário no final da saída do dig.",
+      explanation: "A opção '+stats' (ativada por padrão) mostra estatísticas da consulta no fim da saída do dig: tempo da consulta (em milissegundos), servidor consultado, quando foi consultado, tamanho da mensagem (bytes enviados/recebidos) e flags. Essas informações ajudam a investigar problemas de desempenho. Se o tempo de consulta for sempre alto, pode haver problemas de rede ou um servidor DNS lento. Você pode desativá-la com '+nostats' para uma saída mais limpa. A seção também mostra o 'MSG SIZE rcvd', útil para entender o tamanho das respostas e verificar se estão sendo truncadas (flag TC), exigindo TCP em vez de UDP."
+    },
+    'ds-record': {
+      question: "Qual é a finalidade de um registro DS (Delegation Signer) no DNSSEC?",
+      options: [
+        "Assina mensagens de e-mail",
+        "Estabelece a cadeia de confiança da zona pai para a zona filha",
+        "Delega subdomínios",
+        "É um tipo de registro obsoleto"
+      ],
+      hint: "A zona pai guarda um hash da chave da zona filha, ligando as duas zonas.",
+      explanation: "Registros DS (Delegation Signer) são essenciais para a cadeia de confiança do DNSSEC. Eles ficam na zona PAI e contêm um hash da chave pública (DNSKEY) da zona filha. Por exemplo, a zona {{tld}} teria um registro DS de {{primary}} com um hash do DNSKEY de {{primary}}. Isso liga a cadeia: a raiz assina o registro DS do TLD, o TLD assina o registro DS do seu domínio e o seu domínio assina os próprios registros. Sem registros DS na zona pai, a cadeia de confiança se rompe. Ao ativar o DNSSEC no seu domínio, você precisa enviar os registros DS ao seu registrador para que ele os publique na zona do TLD. Consulte com: 'dig +dnssec {{primary}} DS'."
+    },
+    'dig-reverse': {
+      question: "Como fazer uma consulta de DNS reverso com o dig?",
+      options: ["dig -r {{dnsIp}}", "dig -x {{dnsIp}}", "dig reverse {{dnsIp}}", "dig {{dnsIp}} PTR"],
+      command: {
+        prompt: "Digite um comando dig que descubra o nome de host de {{nodeIp}}."
+      },
+      hint: "O dig tem uma opção de uma letra que monta o nome in-addr.arpa para você.",
+      explanation: "Use 'dig -x ENDERECO_IP' para consultas reversas. O dig converte o IP automaticamente para o formato certo: 'dig -x {{nodeIp}}' consulta '{{nodeReverse}} PTR'. Isso é bem mais fácil do que montar à mão o nome da zona reversa. Consultas reversas são importantes para: (1) servidores de e-mail - filtros de spam verificam o DNS reverso, (2) logs - converter IPs em nomes de host, (3) segurança - verificar a relação entre IP e nome de host, (4) solução de problemas - confirmar que os registros PTR estão configurados corretamente. Também dá para indicar um servidor: 'dig -x {{nodeIp}} @{{dnsIp}}' para verificar o DNS reverso no seu BIND local."
+    },
+    'naptr-record': {
+      question: "Qual é a finalidade dos registros NAPTR?",
+      options: [
+        "Tradução de endereços de rede",
+        "Name Authority Pointer - usado em ENUM, SIP e regras de reescrita complexas",
+        "Testes de desempenho de rede",
+        "Estão obsoletos"
+      ],
+      hint: "Ele transforma nomes em URIs com expressões regulares, como os sistemas de telefonia fazem com números de telefone.",
+      explanation: "Registros NAPTR (Name Authority Pointer) permitem reescrever nomes de domínio com base em regras, usados principalmente em ENUM (mapeamento de números de telefone) e SIP (VoIP). São registros complexos, com campos de ordem, preferência, flags, serviço, regexp (expressão regular) e substituição. Por exemplo, o ENUM usa NAPTR para converter números de telefone em URIs SIP ou endereços de e-mail. Os registros podem ser encadeados, e cada passo transforma a consulta até chegar a uma resposta final. Embora menos comuns que registros A ou MX, os NAPTR são essenciais em telecomunicações e sistemas VoIP. A maioria dos homelabs não precisa deles, a menos que rode infraestrutura VoIP ou serviços ENUM."
+    },
+    'dig-tcp': {
+      question: "O que faz a opção 'dig +tcp'?",
+      options: [
+        "Força o dig a usar TCP em vez de UDP na consulta",
+        "Testa a conectividade TCP",
+        "Consulta só serviços TCP",
+        "É uma opção inválida"
+      ],
+      command: {
+        prompt: "Digite um comando dig que consulte {{secondary}} por TCP em vez de UDP."
+      },
+      hint: "O DNS normalmente usa UDP, e respostas grandes ou transferências de zona precisam do outro transporte.",
+      explanation: "A opção '+tcp' força o dig a usar TCP na consulta em vez do UDP padrão. O DNS normalmente usa UDP por eficiência, mas recorre ao TCP para respostas grandes (acima de 512 bytes no DNS tradicional, ou quando a flag TC de truncamento está ativada). Você pode forçar o TCP manualmente para: (1) testar se consultas TCP funcionam (firewalls podem bloquear TCP/53), (2) testar grandes transferências de zona (AXFR exige TCP), (3) investigar problemas de truncamento, (4) verificar se o servidor suporta TCP. Exemplo: 'dig +tcp {{secondary}}'. Consultas TCP têm um pouco mais de overhead, mas são mais confiáveis para respostas grandes. Algumas ferramentas de segurança bloqueiam TCP/53 para impedir transferências de zona, então vale testar os dois protocolos."
+    },
+    quad9: {
+      question: "O que é o Quad9 (9.9.9.9) e o que o diferencia de outros serviços de DNS público?",
+      options: [
+        "Um serviço de DNS para jogos",
+        "Um serviço de DNS focado em privacidade que bloqueia domínios maliciosos",
+        "O resolver DNS mais rápido",
+        "Um DNS só para empresas"
+      ],
+      hint: "O serviço é mantido por uma organização sem fins lucrativos e filtra domínios a partir de feeds de inteligência de ameaças.",
+      explanation: "O Quad9 (9.9.9.9) é um resolver DNS público gratuito e focado em privacidade, operado por uma organização sem fins lucrativos. Enquanto Google (8.8.8.8) e Cloudflare (1.1.1.1) focam em velocidade, o Quad9 prioriza segurança e privacidade. Ele bloqueia automaticamente o acesso a domínios maliciosos usando inteligência de ameaças de várias fontes, protegendo contra phishing, malware e botnets. O Quad9: (1) não registra endereços IP, (2) bloqueia domínios maliciosos conhecidos, (3) suporta DNSSEC, (4) oferece DoH e DoT, (5) é sem fins lucrativos e focado em privacidade. É mais lento que a Cloudflare, mas traz proteção embutida contra ameaças. Boa escolha para homelabs que querem segurança sem manter listas de bloqueio como no Pi-hole."
+    },
+    'dig-search': {
+      question: "O que faz a opção '+search' do dig?",
+      options: [
+        "Pesquisa o domínio no Google",
+        "Usa os domínios de busca do resolv.conf para tentar sufixos diferentes",
+        "Faz uma busca DNS profunda",
+        "Está obsoleta"
+      ],
+      command: {
+        prompt: "Digite um comando dig que resolva o nome curto 'webserver' usando os domínios de busca do /etc/resolv.conf."
+      },
+      hint: "O /etc/resolv.conf tem uma linha com domínios a acrescentar a nomes curtos.",
+      explanation: "A opção '+search' faz o dig usar os domínios de busca do /etc/resolv.conf. Se o seu resolv.conf tem 'search {{primary}} {{cluster}}' e você roda 'dig +search webserver', o dig tenta: (1) webserver.{{primary}}, (2) webserver.{{cluster}}, (3) webserver (como está). É assim que as aplicações normalmente resolvem nomes. Por padrão, o dig NÃO usa domínios de busca (+nosearch é o padrão), diferente de ping ou ssh. Isso causa confusão - 'ping webserver' pode funcionar e 'dig webserver' falhar, porque o dig não acrescenta os domínios de busca. Use '+search' para descobrir por que as aplicações resolvem nomes que o dig não resolve."
+    },
+    'zone-origin-directive': {
+      question: "Qual é a finalidade da diretiva '$ORIGIN' nos arquivos de zona do BIND?",
+      options: [
+        "Indica o endereço IP do servidor",
+        "Define o nome de domínio base ao qual @ e os nomes relativos se referem",
+        "Define o país de origem",
+        "É opcional e não é usada"
+      ],
+      hint: "A diretiva muda aquilo em que @ e os nomes sem ponto final são expandidos.",
+      explanation: "A diretiva $ORIGIN define a que o símbolo @ e os nomes relativos se referem no arquivo de zona. Com '$ORIGIN {{cluster}}' no arquivo, '@' significa '{{cluster}}' e nomes relativos como 'api' viram 'api.{{cluster}}'. Você pode mudar o $ORIGIN várias vezes no mesmo arquivo para organizar os registros. Isso é útil quando um arquivo inclui vários subdomínios: '$ORIGIN apps.{{cluster}}' seguido dos registros, depois '$ORIGIN services.{{cluster}}' para outra seção. Se o $ORIGIN não for indicado, vale o nome da zona do named.conf. O $ORIGIN precisa ser um nome totalmente qualificado (terminar com ponto): '$ORIGIN {{cluster}}.' e não '$ORIGIN {{cluster}}'."
+    },
+    'google-dns': {
+      question: "O que é o Google Public DNS (8.8.8.8) e por que você o usaria?",
+      options: [
+        "Um DNS privado só para serviços do Google",
+        "Um resolver DNS anycast global, gratuito e rápido, com boa disponibilidade",
+        "Um serviço de DNS pago",
+        "Só para dispositivos Android"
+      ],
+      hint: "8.8.8.8 é um endereço anycast atendido a partir de muitos locais no mundo.",
+      explanation: "O Google Public DNS (8.8.8.8 e 8.8.4.4) é um resolver DNS anycast gratuito e distribuído globalmente, lançado em 2009. É conhecido por: (1) velocidade - ampla infraestrutura global com baixa latência, (2) confiabilidade - excelente disponibilidade e proteção contra DDoS, (3) segurança - validação DNSSEC, (4) conformidade com padrões - segue as RFCs à risca. Porém, usuários preocupados com privacidade o evitam porque o Google registra as consultas (segundo a empresa, por 24-48 horas para solução de problemas). Outros usos: (1) resolver upstream para Pi-hole ou BIND, (2) DNS de reserva, (3) testes e solução de problemas, (4) quando o DNS do provedor não é confiável. Suporta IPv4 (8.8.8.8) e IPv6 (2001:4860:4860::8888), além de DoH e DoT."
+    },
+    'aa-flag': {
+      question: "O que significa a flag 'AA' em uma resposta DNS?",
+      options: [
+        "Anonymous Access (acesso anônimo)",
+        "Authoritative Answer - vinda de um servidor autoritativo",
+        "Always Available (sempre disponível)",
+        "Authenticated Answer (resposta autenticada)"
+      ],
+      hint: "O servidor que respondeu mantém a própria zona, e não uma cópia em cache.",
+      explanation: "A flag 'AA' (Authoritative Answer) indica que o servidor que respondeu é autoritativo para a zona consultada - ele é dono dos dados oficiais, não de uma cópia em cache. Na saída do dig, 'flags: qr aa rd ra' mostra a flag AA ativada. Ao consultar seu BIND sobre registros de {{primary}}, você deve ver AA, porque ele é autoritativo para essa zona. Ao consultar google.com, você não verá AA vindo do seu BIND (ele está resolvendo recursivamente/encaminhando). Se consultar diretamente os servidores de nomes do Google sobre google.com, VERÁ AA. Essa flag ajuda a verificar: (1) se você está consultando o servidor certo, (2) se as respostas são oficiais e não de cache, (3) se a delegação está funcionando."
+    },
+    adguard: {
+      question: "O que é o AdGuard DNS e como ele se compara ao Pi-hole?",
+      options: [
+        "Um software de servidor DNS que você instala",
+        "Um serviço de DNS na nuvem com bloqueio de anúncios (o Pi-hole é auto-hospedado)",
+        "Um serviço de VPN",
+        "Uma ferramenta de monitoramento"
+      ],
+      hint: "Pense em onde cada um roda: no seu próprio hardware ou como serviço de outra empresa.",
+      explanation: "O AdGuard DNS é um serviço de DNS na nuvem (94.140.14.14, 94.140.15.15) que bloqueia anúncios e rastreadores no nível do DNS, parecido com o Pi-hole, mas hospedado pela AdGuard em vez de na sua rede. Diferenças: o Pi-hole é auto-hospedado (você controla, personaliza as listas de bloqueio, vê estatísticas locais); o AdGuard DNS fica na nuvem (configuração mais fácil, sem manutenção, mas menos controle). O Pi-hole dá visibilidade e personalização totais do que é bloqueado. O AdGuard DNS é bom para: (1) dispositivos fora da sua rede, (2) configuração rápida sem hardware, (3) dispositivos móveis. Porém, suas consultas DNS vão para a AdGuard (uma troca em privacidade). Você pode usar o AdGuard DNS como upstream do Pi-hole (somando os benefícios) ou usar o Pi-hole em casa e o AdGuard DNS em viagens."
+    },
+    'fqdn-max-length': {
+      question: "Qual é o comprimento máximo de um nome DNS (FQDN)?",
+      options: [
+        "63 caracteres",
+        "255 caracteres",
+        "253 caracteres (255 incluindo os bytes de comprimento)",
+        "512 caracteres"
+      ],
+      hint: "Um nome tem no máximo 255 octetos na mensagem, e cada rótulo carrega um byte de comprimento.",
+      explanation: "Nomes DNS (FQDNs - Fully Qualified Domain Names) têm comprimento máximo de 253 caracteres na representação em texto (255 no formato de transmissão, que inclui os bytes de comprimento). Além disso, cada rótulo (parte entre pontos) pode ter no máximo 63 caracteres. Assim, 'www.example.com' tem três rótulos: 'www' (3), 'example' (7), 'com' (3). Embora você POSSA criar domínios muito longos como 'this-is-a-really-long-subdomain-name-that-approaches-the-63-character-limit.example.com', domínios práticos são bem mais curtos por usabilidade. Esses limites são definidos na RFC 1035 e são fundamentais no projeto do protocolo DNS. Atingi-los é raro, mas pode acontecer com subdomínios gerados automaticamente ou esquemas de nomes muito específicos."
+    },
+    'dig-bufsize': {
+      question: "O que faz 'dig +bufsize=4096'?",
+      options: [
+        "Aumenta o tamanho do cache",
+        "Define o tamanho do buffer EDNS para receber respostas maiores por UDP",
+        "Limita o tamanho da consulta",
+        "É uma opção inválida"
+      ],
+      command: {
+        prompt: "Digite um comando dig que consulte {{primary}} anunciando um buffer EDNS de 4096 bytes."
+      },
+      hint: "A opção pertence ao EDNS, que elimina o antigo limite de 512 bytes do UDP.",
+      explanation: "A opção '+bufsize' define o tamanho do buffer EDNS0 (Extension Mechanisms for DNS), informando ao servidor o tamanho da resposta UDP que você aceita. O DNS tradicional sobre UDP é limitado a 512 bytes, mas o EDNS0 permite respostas maiores. '+bufsize=4096' significa que você aceita respostas UDP de até 4096 bytes. Isso é importante para: (1) respostas DNSSEC (grandes por causa das assinaturas), (2) registros TXT grandes, (3) respostas com muitos IPs. Sem EDNS0, os servidores precisam truncar respostas grandes (ativar a flag TC), forçando uma nova tentativa por TCP. A maioria dos resolvers modernos negocia buffers maiores automaticamente. Você pode defini-lo manualmente para testar: (1) se respostas grandes funcionam, (2) qual tamanho de buffer um servidor suporta, (3) problemas de MTU no caminho."
+    },
+    'cloudflare-dns': {
+      question: "Pelo que o DNS da Cloudflare (1.1.1.1) é conhecido?",
+      options: [
+        "Por ser o mais barato",
+        "Por ser um dos resolvers DNS públicos mais rápidos, com forte foco em privacidade",
+        "Por ser o melhor só para jogos",
+        "Por ser um serviço só para empresas"
+      ],
+      hint: "O 1.1.1.1 foi lançado com a promessa de não registrar os endereços dos clientes e lidera rankings de velocidade.",
+      explanation: "O DNS da Cloudflare (1.1.1.1 e 1.0.0.1) foi lançado em 2018 como um dos resolvers DNS públicos mais rápidos, com forte compromisso com a privacidade. Principais recursos: (1) velocidade - aparece sempre entre os mais rápidos nos benchmarks globais, (2) privacidade - compromete-se a não registrar endereços IP e apaga os logs em 24 horas, (3) segurança - validação DNSSEC, (4) gratuito - sem custo nas versões pública e premium, (5) protocolos modernos - suporta DoH e DoT, (6) bloqueio de malware - a variante 1.1.1.2 bloqueia malware, (7) filtro familiar - 1.1.1.3 bloqueia conteúdo adulto. É uma escolha popular de resolver upstream para Pi-hole, BIND e Unbound. O IP 1.1.1.1 é fácil de lembrar e digitar, o que contribui para sua popularidade em homelabs e empresas."
+    },
+    'zone-okd-records': {
+      question: "Exercício de arquivo de zona: adicione os registros DNS de que uma instalação do OKD precisa",
+      zone: {
+        prompt: "A zona de {{cluster}} só tem os registros SOA e NS. Adicione api e api-int apontando para o balanceador da API ({{apiIp}}) e um curinga que envie todas as rotas de aplicação sob apps para o ingress controller ({{ingressIp}})."
+      },
+      hint: "O $ORIGIN da zona é {{cluster}}., então nomes relativos como api bastam; o rótulo curinga fica à esquerda de apps.",
+      explanation: "O OKD precisa de três nomes antes que o instalador possa ter sucesso: 'api.{{cluster}}' para clientes externos acessarem a API do Kubernetes, 'api-int.{{cluster}}' para os nós falarem com a API internamente e o curinga '*.apps.{{cluster}}' para que todas as rotas de aplicação cheguem ao ingress controller. Como o $ORIGIN da zona é {{cluster}}., os registros podem usar nomes relativos: 'api IN A {{apiIp}}', 'api-int IN A {{apiIp}}' e '*.apps IN A {{ingressIp}}'. Escrever 'api.{{cluster}}' sem ponto final expandiria para 'api.{{cluster}}.{{cluster}}.' - um erro clássico de arquivo de zona."
+    },
+    'zone-fix-errors': {
+      question: "Exercício de arquivo de zona: conserte uma zona que o BIND se recusa a carregar",
+      zone: {
+        prompt: "Esta zona de {{primary}} tem vários erros. Corrija todos os erros apontados pelo verificador, mantendo os registros www, mail, MX e ftp."
+      },
+      hint: "Procure quatro falhas: a zona não indica nenhum servidor de nomes, o ápice é um apelido, falta o ponto final no destino do MX e ftp é apelido duas vezes.",
+      explanation: "A zona tinha quatro problemas: (1) nenhum registro NS - toda zona precisa listar seus servidores de nomes no ápice, ex.: '@ IN NS ns1'. (2) Um CNAME no ápice - {{primary}} já tem o SOA (e precisa de NS e MX), e um CNAME não pode coexistir com outros dados, então o ápice deve usar registros A/AAAA. (3) O destino do MX, 'mail.{{primary}}', não tinha ponto final, então o BIND o expandiria para 'mail.{{primary}}.{{primary}}.' - escreva 'mail.{{primary}}.' ou apenas 'mail'. (4) ftp tinha dois CNAMEs - um nome só pode ser apelido de um único destino, então mantenha exatamente um."
+    },
+    'sandbox-aa-flag': {
+      question: "No sandbox, as duas consultas retornam a mesma resposta. Por que só a segunda traz a flag 'aa'?",
+      sandbox: {
+        prompt: "Compare a linha de flags de cada resposta."
+      },
+      options: [
+        "A primeira consulta usou TCP, que nunca ativa aa",
+        "ns1.{{primary}} é autoritativo para a zona; o resolver respondeu em nome dele",
+        "O resolver esconde a flag aa para impedir envenenamento de cache",
+        "+norecurse ativa a flag aa"
+      ],
+      hint: "Compare para qual servidor cada consulta foi enviada: qual deles mantém de fato a zona?",
+      explanation: "A flag aa (Authoritative Answer) só é ativada por um servidor autoritativo para a zona que contém a resposta. A primeira consulta foi ao resolver recursivo ({{dnsIp}}), que buscou os registros e respondeu pela própria visão - note 'rd ra', mas nenhum 'aa'. A segunda foi direto a ns1.{{primary}}, que serve a própria zona {{primary}}, então a resposta é autoritativa. O +norecurse só zera o bit rd; ele não pede nem concede aa."
+    },
+    'sandbox-cache-ttl': {
+      question: "O sandbox fez a mesma consulta duas vezes pelo resolver. Por que o TTL é menor e o tempo de consulta é 0 ms na segunda vez?",
+      sandbox: {
+        prompt: "Observe a coluna de TTL e a linha Query time. Experimente 'Esperar 5 minutos' e consulte de novo."
+      },
+      options: [
+        "O servidor autoritativo reduziu o TTL entre as consultas",
+        "O próprio dig desconta o tempo decorrido do TTL",
+        "O resolver respondeu do cache e vai descontando o TTL até o registro expirar",
+        "A segunda consulta foi a outro servidor de nomes com TTLs menores"
+      ],
+      hint: "Um resolvedor guarda respostas pelo TTL delas; o que acontece com o TTL enquanto a resposta fica lá?",
+      explanation: "Um resolver recursivo guarda cada resposta em cache pelo tempo do TTL. A primeira consulta precisou percorrer raiz -> TLD -> autoritativo, o que aparece no tempo de consulta. A segunda veio direto do cache (0 ms), e o TTL mostrado é o tempo que falta para a cópia em cache expirar. Quando ele chega a zero, o resolver precisa perguntar de novo aos servidores autoritativos - por isso reduzir os TTLs antes de uma migração acelera a propagação."
+    },
+    'sandbox-trace': {
+      question: "Seguindo a saída do +trace, qual servidor fornece a resposta final para a rota de aplicação curinga?",
+      sandbox: {
+        prompt: "Cada linha ';; Received' mostra qual servidor enviou aquele passo da delegação."
+      },
+      options: [
+        "a.root-servers.net",
+        "O servidor de nomes do TLD {{tld}}",
+        "O resolver recursivo {{dnsIp}}",
+        "ns1.{{primary}}"
+      ],
+      hint: "Os servidores raiz e de TLD só indicam o próximo nível abaixo; o último passo chega ao servidor da própria zona.",
+      explanation: "O dig +trace faz a iteração por conta própria: os servidores raiz o encaminham aos servidores do TLD {{tld}}, que o encaminham aos servidores de nomes de {{primary}} (ns1/ns2.{{primary}}). Só esse último servidor tem a zona e responde - aqui, a partir do registro curinga '*.apps.{{cluster}}'. O resolver só é usado no primeiro passo, para obter a lista de servidores raiz."
+    },
+    'packet-query-header': {
+      question: "Qual é o ID desta consulta, e ela pede recursão?",
+      packet: {
+        prompt: "Uma consulta capturada ao executar 'dig www.{{primary}}'. O cabeçalho são os primeiros 12 bytes."
+      },
+      options: [
+        "ID 0x0120, e nenhuma recursão é pedida",
+        "ID 0x5e3a, e RD está ligado, então o resolver deve fazer a recursão",
+        "ID 0x5e3a, e RD está desligado, então é uma consulta iterativa",
+        "ID 0x0001, o número de perguntas"
+      ],
+      hint: "O ID são os dois primeiros bytes; a flag RD é o bit mais baixo do terceiro byte.",
+      explanation: "Os bytes 0-1 (5e 3a) são o ID escolhido pelo cliente; a resposta precisa repeti-lo para que o cliente consiga associar as duas. Os bytes 2-3 (01 20) são as flags, não o ID: 0x0100 é RD, pedindo ao resolver que faça a recursão, e 0x0020 é AD, que o dig liga para perguntar se os dados foram validados. QR é 0, então é uma consulta. Em seguida vêm os quatro contadores: uma pergunta, nenhum registro de answer ou authority e um registro additional - o registro EDNS OPT no final."
+    },
+    'packet-answer-compression': {
+      question: "Quantos registros a seção answer desta resposta contém, e o que significam os bytes c0 0c no início de cada um deles?",
+      packet: {
+        prompt: "A resposta do resolver para 'dig {{primary}} MX'."
+      },
+      options: [
+        "Dois registros MX; c0 0c é um ponteiro de compressão para o nome {{primary}} no byte 12",
+        "Dois registros MX; c0 0c é a classe de cada registro",
+        "Três registros; c0 0c marca onde cada registro começa",
+        "Um registro MX; c0 0c é o seu TTL"
+      ],
+      hint: "O ANCOUNT está nos bytes 6-7; um byte que começa com os bits 11 marca um ponteiro, e o nome da pergunta começa no byte 12.",
+      explanation: "O ANCOUNT (bytes 6-7) é 2; o registro A do servidor de e-mail está na seção additional. Um byte de tamanho com os dois bits mais altos ligados (0xc0) é um ponteiro de compressão: os outros 14 bits dão o offset onde o nome continua - 12, logo após o cabeçalho, onde a pergunta escreve {{primary}} por extenso. Os nomes dos servidores de e-mail dentro dos dados MX apontam para trás do mesmo jeito, então 'mail.{{primary}}' custa só o rótulo 'mail' e um ponteiro."
+    },
+    'packet-truncated': {
+      question: "O cliente enviou uma consulta TXT para {{secondary}} por UDP e recebeu esta resposta. O que ele deve fazer em seguida?",
+      options: [
+        "Considerar que {{secondary}} não tem registros TXT, já que o ANCOUNT é 0",
+        "Enviar a consulta de novo por UDP com um novo ID",
+        "Repetir a consulta por TCP, porque a flag TC indica que a resposta não coube",
+        "Perguntar ao servidor autoritativo, porque o resolver recusou"
+      ],
+      hint: "Olhe as flags nos bytes 2-3: um bit diz que a resposta foi cortada.",
+      explanation: "As flags são 83 80: QR, RD e RA, mais TC (0x0200). A resposta era maior que os 1232 bytes que o cliente ofereceu no seu registro OPT, então o resolver devolveu só o cabeçalho e a pergunta. Um ANCOUNT de 0 aqui não significa que não há registros TXT - o cliente precisa repetir a consulta por TCP, o que o dig faz sozinho a menos que você passe +ignore. Conjuntos TXT grandes, como registros SPF, DKIM e de verificação de site, são a causa habitual."
+    },
+    'packet-edns-opt': {
+      question: "Os últimos 11 bytes desta consulta são um pseudorregistro OPT. O que eles dizem ao servidor?",
+      packet: {
+        prompt: "Uma consulta capturada ao executar 'dig +dnssec +bufsize=4096 {{primary}} SOA'."
+      },
+      options: [
+        "Os registros podem ficar em cache por 4096 segundos, e a zona é assinada",
+        "O cliente aceita respostas UDP de até 4096 bytes e quer registros DNSSEC na resposta",
+        "A resposta precisa ir por TCP, porque terá mais de 4096 bytes",
+        "O cliente mesmo vai validar as assinaturas, então o servidor não deve fazê-lo"
+      ],
+      hint: "O campo CLASS de um registro OPT guarda o tamanho de payload UDP, e o campo TTL guarda o bit DO.",
+      explanation: "OPT (tipo 41, 00 29) é o pseudorregistro do EDNS: ele tem um nome de dono vazio (00) e reaproveita os campos fixos de um registro. O campo CLASS traz a maior resposta UDP que o cliente aceita, 10 00 = 4096 bytes, e o campo TTL traz o RCODE estendido, a versão do EDNS e as flags - 80 00 é o bit DO, pedindo RRSIG e outros registros DNSSEC. Se o cliente valida por conta própria é indicado pela flag CD no cabeçalho, que aqui está desligada."
+    },
+    'packet-tcp-length': {
+      question: "Esta requisição de transferência de zona foi capturada numa conexão TCP para ns1.{{primary}}. O que são os seus dois primeiros bytes?",
+      options: [
+        "O ID da mensagem",
+        "A porta TCP para a qual a resposta deve ser enviada",
+        "O tamanho da mensagem DNS que vem a seguir",
+        "Um checksum da mensagem"
+      ],
+      hint: "Sobre TCP, as mensagens DNS precisam de enquadramento, porque um fluxo não tem limites de mensagem.",
+      explanation: "O TCP entrega um fluxo de bytes sem limites entre mensagens, então por TCP cada mensagem DNS é precedida do seu tamanho como um número de 16 bits (RFC 1035, seção 4.2.2). A mensagem em si começa no terceiro byte, com o ID 1c 2d. RD está desligado: uma transferência de zona vai direto a um servidor autoritativo, e sempre por TCP, já que uma zona inteira raramente cabe num datagrama UDP."
+    },
+    'okd-required-records': {
+      question: "Quais registros DNS precisam existir antes de instalar o cluster OKD {{cluster}}? Selecione todos os que se aplicam.",
+      options: [
+        "Um registro A para api.{{cluster}} apontando para {{apiIp}}",
+        "Um registro A para api-int.{{cluster}} apontando para {{apiIp}}",
+        "Um registro A curinga para *.apps.{{cluster}} apontando para {{ingressIp}}",
+        "Um registro MX para {{cluster}} para o cluster enviar alertas por e-mail",
+        "Um registro TXT para {{cluster}} com o pull secret"
+      ],
+      hint: "Pense no que o instalador, os nós e as rotas de aplicação precisam alcançar; e-mail não tem papel nenhum.",
+      explanation: "O instalador verifica três nomes: api.{{cluster}} para clientes que acessam a API do Kubernetes, api-int.{{cluster}} para os nós que falam com a API dentro do cluster, e *.apps.{{cluster}} para que toda rota de aplicação chegue ao ingress controller em {{ingressIp}}. Os alertas saem pelos receivers do Alertmanager, não por um registro MX do domínio do cluster, e o pull secret fica no install-config.yaml - ele nunca deve ser publicado no DNS."
+    },
+    'iterative-resolution-order': {
+      question: "Nada está em cache ainda. Coloque em ordem as etapas da consulta de www.{{primary}} pelo resolver {{dnsIp}}.",
+      items: [
+        "O cliente envia a consulta de www.{{primary}} ao resolver {{dnsIp}}",
+        "O resolver pergunta a um servidor raiz, que o encaminha aos servidores de nomes de {{tld}}",
+        "Um servidor de nomes de {{tld}} encaminha o resolver aos servidores de nomes de {{primary}}",
+        "O servidor de nomes autoritativo de {{primary}} responde com o registro A",
+        "O resolver guarda a resposta em cache pelo TTL e a devolve ao cliente"
+      ],
+      hint: "A resolução começa no cliente e desce a partir do topo da árvore do DNS.",
+      explanation: "O cliente só conversa com o seu resolver. O resolver percorre a árvore a partir do topo: os servidores raiz sabem quem opera {{tld}}, os servidores de {{tld}} sabem quem opera {{primary}}, e só os servidores autoritativos de {{primary}} têm o registro em si. O resolver guarda em cache cada resposta pelo caminho, então a próxima consulta em {{primary}} pode ir direto para a última etapa."
+    },
+    'record-purpose-match': {
+      question: "Associe cada tipo de registro à sua finalidade.",
+      pairs: [
+        { answer: "Indica o host e a porta que oferecem um serviço" },
+        { answer: "Reescreve um nome em uma URI ou em outra consulta, como fazem o ENUM e o SIP" },
+        { answer: "Lista as autoridades certificadoras que podem emitir certificados para o domínio" },
+        { answer: "Guarda na zona pai um hash da chave de assinatura da zona filha" }
+      ],
+      hint: "Pense em DNSSEC para um deles, em certificados para outro e em VoIP para dois.",
+      explanation: "Registros SRV como '_ldap._tcp.{{primary}}' informam prioridade, peso, porta e host de destino de um serviço. Registros NAPTR aplicam reescritas com expressões regulares, transformando por exemplo um número de telefone em uma URI SIP. Registros CAA dizem às autoridades certificadoras se elas podem emitir para {{primary}}. Registros DS ficam na zona pai e levam um hash da key signing key da zona filha, ligando a cadeia de confiança do DNSSEC através da delegação."
+    }
+  },
+  scenarios: {
+    'okd-bootstrap-hang': {
+      title: "A instalação do OKD trava no bootstrap",
+      brief: "Você está instalando o cluster OKD {{cluster}}. A máquina de bootstrap subiu, mas 'openshift-install wait-for bootstrap-complete' expira depois de 40 minutos. Os consoles dos nós do control plane mostram o Ignition repetindo a mesma requisição sem parar. O resolvedor do laboratório é {{dnsIp}}.",
+      steps: {
+        start: {
+          text: "Os logs do instalador só dizem que a API nunca ficou disponível. Por onde você começa?",
+          choices: [
+            "Verificar se o nome externo da API resolve",
+            "Verificar se o nome interno da API resolve",
+            "Verificar o curinga das rotas de aplicação",
+            "Destruir o cluster e rodar o instalador de novo"
+          ]
+        },
+        'api-ok': {
+          text: "api.{{cluster}} resolve para o balanceador de carga em {{apiIp}}, então clientes fora do cluster encontram a API. E agora?",
+          choices: [
+            "Verificar o nome interno da API que os nós usam",
+            "Verificar a resolução reversa do nó do control plane",
+            "Verificar o curinga das rotas de aplicação"
+          ]
+        },
+        'apps-ok': {
+          text: "O curinga *.apps responde com o endereço de ingress {{ingressIp}}. O router só roda depois que o cluster está de pé, então isso não pode estar segurando o bootstrap. E agora?",
+          choices: [
+            "Verificar o nome externo da API",
+            "Verificar o nome interno da API"
+          ]
+        },
+        'ptr-ok': {
+          text: "{{nodeIp}} aponta de volta para master01.{{cluster}}, então o nó vai receber o hostname certo. E agora?",
+          choices: [
+            "Verificar o nome interno da API",
+            "Verificar o curinga das rotas de aplicação"
+          ]
+        },
+        'api-int-missing': {
+          text: "O resolvedor responde NXDOMAIN para api-int.{{cluster}}, enquanto api.{{cluster}} funciona. Qual é a sua hipótese?",
+          choices: [
+            "Os nós buscam a configuração do Ignition no machine config server em api-int.{{cluster}}:22623; sem o registro, nunca a recebem",
+            "O resolvedor do laboratório {{dnsIp}} está fora do ar",
+            "O registro foi criado há pouco e ainda não chegou ao resolvedor; perguntar ao servidor autoritativo"
+          ]
+        },
+        'resolver-up': {
+          text: "Um resolvedor fora do ar não responde nada - este respondeu, com NXDOMAIN, e os outros nomes resolvem por ele sem problema. Qual é a sua hipótese agora?",
+          choices: [
+            "Os nós buscam a configuração do Ignition no machine config server em api-int.{{cluster}}:22623; sem o registro, nunca a recebem",
+            "O registro ainda não chegou ao resolvedor; perguntar ao servidor autoritativo"
+          ]
+        },
+        'authoritative-missing': {
+          text: "O próprio servidor autoritativo responde NXDOMAIN com a flag aa: o registro simplesmente não está na zona, então esperar não adianta. Qual é a sua hipótese?",
+          choices: [
+            "Os nós buscam a configuração do Ignition no machine config server em api-int.{{cluster}}:22623; sem o registro, nunca a recebem",
+            "A zona não foi recarregada; reiniciar o servidor DNS e esperar"
+          ]
+        },
+        solved: {
+          text: "Correto. Com 'api-int.{{cluster}}. IN A {{apiIp}}' na zona, os nós do control plane alcançam o machine config server, e o bootstrap termina poucos minutos depois."
+        },
+        reinstall: {
+          text: "Uma hora depois, a instalação trava exatamente no mesmo ponto. O problema está no ambiente, não na instalação, e continua lá."
+        }
+      },
+      explanation: "O OKD precisa de três nomes antes de instalar: api (para os clientes), api-int (para os próprios nós) e o curinga *.apps (para as rotas). Durante o bootstrap, os nós do control plane sobem com uma pequena configuração do Ignition que diz 'busque o resto em https://api-int.{{cluster}}:22623/config/master'. Se api-int não resolve, o Ignition tenta para sempre e o bootstrap nunca termina - enquanto api, que o próprio instalador usa, parece perfeitamente saudável. O diagnóstico mais curto consulta api-int diretamente e entende o NXDOMAIN; o curinga *.apps e os registros PTR importam, mas não nesta fase."
+    },
+    'mail-bounces': {
+      title: "E-mails para o domínio do homelab voltam",
+      brief: "Desde hoje de manhã, todo e-mail enviado para endereços em {{primary}} volta com 'Host or domain name not found'. O site em {{primary}} continua carregando, e ninguém admite ter mexido no servidor de e-mail.",
+      steps: {
+        start: {
+          text: "Os servidores de e-mail dos remetentes consultam para onde entregar as mensagens de {{primary}} e desistem. Por onde você começa?",
+          choices: [
+            "Consultar os servidores de e-mail (MX) do domínio",
+            "Verificar se o domínio resolve",
+            "Reiniciar o servidor de e-mail"
+          ]
+        },
+        'apex-ok': {
+          text: "{{primary}} resolve, então a zona está delegada e sendo servida. E agora?",
+          choices: [
+            "Consultar os servidores de e-mail (MX)",
+            "Reiniciar o servidor de e-mail"
+          ]
+        },
+        restart: {
+          text: "O servidor de e-mail reinicia sem erros e os logs não mostram nada de estranho, mas novas devoluções continuam chegando. E agora?",
+          choices: [
+            "Consultar os servidores de e-mail (MX)",
+            "Verificar se o domínio resolve"
+          ]
+        },
+        'mx-ok': {
+          text: "O registro MX existe e aponta para mail.{{primary}} com preferência 10. E agora?",
+          choices: [
+            "Consultar o endereço do servidor de e-mail",
+            "Reiniciar o servidor de e-mail"
+          ]
+        },
+        'mail-missing': {
+          text: "O resolvedor responde NXDOMAIN para mail.{{primary}}. Qual é a sua hipótese?",
+          choices: [
+            "O registro MX aponta para um nome sem registro de endereço, então os remetentes não encontram um host para entregar",
+            "O registro MX deveria apontar para um endereço IP em vez de um nome"
+          ]
+        },
+        'mx-address': {
+          text: "Um registro MX precisa indicar um host, nunca um endereço - e ele sempre apontou para mail.{{primary}}, o que funcionou até hoje de manhã. Qual é a sua hipótese agora?",
+          choices: [
+            "O registro MX aponta para um nome sem registro de endereço, então os remetentes não encontram um host para entregar"
+          ]
+        },
+        solved: {
+          text: "Correto. Alguém apagou o registro A de mail.{{primary}}. Com ele de volta, o destino do MX volta a resolver e os e-mails na fila começam a chegar."
+        }
+      },
+      explanation: "Entregar um e-mail exige duas consultas: o registro MX indica o host que aceita e-mails para {{primary}}, e o registro A ou AAAA desse host dá o endereço para a conexão. Aqui o MX estava certo, mas o destino dele, mail.{{primary}}, tinha sido removido, então todo remetente falhava na segunda consulta. O diagnóstico mais curto segue as mesmas duas consultas de um servidor remetente; reiniciar o servidor de e-mail não adianta, porque as mensagens nem chegam até ele."
+    }
+  }
+};
+
+export default ptBR;
@@ -0,0 +1,193 @@
+/**
+ * Adaptive Testing
+ *
+ * Computerized adaptive testing with the Rasch (one-parameter IRT) model.
+ * Every question has a difficulty rating and the learner an ability on the
+ * same logit scale; the chance of a correct answer is
+ * 1 / (1 + e^(rating - ability)). After each answer the ability is
+ * re-estimated (expected a posteriori, standard normal prior) and the next
+ * question is the one most informative at that estimate - the one the
+ * learner is closest to 50/50 on. The attempt ends once the estimate's
+ * standard error is small enough, not after a fixed number of questions.
+ *
+ * Picks are seeded like everything else in an attempt, so a seed and the
+ * same answers replay the same sequence.
+ */
+
+import { createRng } from './random';
+
+/**
+ * @typedef {Object} AdaptiveSettings
+ * @property {number} targetError - Stop once the ability's standard error is at or below this
+ * @property {number} minQuestions - Never stop before this many answers
+ * @property {number} maxQuestions - Always stop after this many answers
+ */
+
+/** @type {AdaptiveSettings} */
+export const DEFAULT_ADAPTIVE = {
+  targetError: 0.5,
+  minQuestions: 5,
+  maxQuestions: 25
+};
+
+/**
+ * Rating for questions without their own, by difficulty label.
+ */
+export const DIFFICULTY_RATINGS = {
+  beginner: -1,
+  intermediate: 0,
+  advanced: 1
+};
+
+// Abilities below -0.5 read as beginner, above 0.5 as advanced
+const LEVEL_THRESHOLDS = [['beginner', -0.5], ['intermediate', 0.5], ['advanced', Infinity]];
+
+// Pick at random among this many of the most informative questions, so
+// learners at the same level don't all see the same sequence
+const RANDOMESQUE = 3;
+
+// Quadrature grid for the posterior, -4 to 4 in steps of 0.1
+const GRID = Array.from({ length: 81 }, (_, index) => -4 + index / 10);
+
+/**
+ * @typedef {Object} AbilityEstimate
+ * @property {number} ability - Logit scale; 0 is an even chance on an intermediate question
+ * @property {number} error - Standard error of the estimate
+ * @property {'beginner' | 'intermediate' | 'advanced'} level
+ * @property {number} percent - Chance of answering an intermediate question correctly, 0-100
+ * @property {number} answered - Number of answers it is based on
+ */
+
+/**
+ * The question's rating, falling back to its difficulty label.
+ *
+ * @param {import('./questionSet').Question} question
+ */
+export const questionRating = (question) =>
+  typeof question.rating === 'number' ? question.rating : DIFFICULTY_RATINGS[question.difficulty] ?? 0;
+
+/**
+ * Rasch model probability of a correct answer.
+ */
+export const probabilityCorrect = (ability, rating) => 1 / (1 + Math.exp(rating - ability));
+
+/**
+ * Difficulty label matching an ability.
+ */
+export const abilityLevel = (ability) => LEVEL_THRESHOLDS.find(([, upper]) => ability < upper)[0];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Estimate ability from rated responses. With no responses this is the
+ * prior: ability 0, error 1.
+ *
+ * @param {{ rating: number, correct: boolean }[]} responses
+ * @returns {AbilityEstimate}
+ */
+export const estimateAbility = (responses) => {
+  const weights = GRID.map((ability) =>
+    responses.reduce((weight, { rating, correct }) => {
+      const p = probabilityCorrect(ability, rating);
+      return weight * (correct ? p : 1 - p);
+    }, Math.exp(-(ability * ability) / 2))
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const mean = GRID.reduce((sum, ability, index) => sum + ability * weights[index], 0) / total;
+  const variance = GRID.reduce((sum, ability, index) => sum + (ability - mean) ** 2 * weights[index], 0) / total;
+
+  return {
+    ability: round(mean),
+    error: round(Math.sqrt(variance)),
+    level: abilityLevel(mean),
+    percent: Math.round(probabilityCorrect(mean, 0) * 100),
+    answered: responses.length
+  };
+};
+
+/**
+ * Pair each answer with its question's rating.
+ *
+ * @param {import('./questionSet').Question[]} questions - Any superset of the answered questions
+ * @param {import('./storage').AnswerRecord[]} answers
+ */
+export const ratedResponses = (questions, answers) => {
+  const questionById = new Map(questions.map((q) => [q.id, q]));
+  return answers
+    .filter((answer) => questionById.has(answer.questionId))
+    .map((answer) => ({ rating: questionRating(questionById.get(answer.questionId)), correct: answer.correct }));
+};
+
+/**
+ * Whether the attempt has seen enough: the estimate is confident (after the
+ * minimum), the maximum is reached, or the pool has run out.
+ *
+ * @param {import('./questionSet').Question[]} pool - Questions the attempt draws from
+ * @param {import('./storage').AnswerRecord[]} answers
+ * @param {AdaptiveSettings} [settings]
+ */
+export const adaptiveFinished = (pool, answers, settings = DEFAULT_ADAPTIVE) => {
+  if (answers.length >= settings.maxQuestions || answers.length >= pool.length) return true;
+  if (answers.length < settings.minQuestions) return false;
+  return estimateAbility(ratedResponses(pool, answers)).error <= settings.targetError;
+};
+
+/**
+ * The next question to ask: among the unanswered questions, one of the
+ * RANDOMESQUE most informative at the current estimate. Returns null once
+ * adaptiveFinished says to stop.
+ *
+ * @param {import('./questionSet').Question[]} pool
+ * @param {import('./storage').AnswerRecord[]} answers
+ * @param {string} seed - The attempt seed
+ * @param {AdaptiveSettings} [settings]
+ * @returns {import('./questionSet').Question | null}
+ */
+export const nextAdaptiveQuestion = (pool, answers, seed, settings = DEFAULT_ADAPTIVE) => {
+  if (adaptiveFinished(pool, answers, settings)) return null;
+  const { ability } = estimateAbility(ratedResponses(pool, answers));
+  const answered = new Set(answers.map((answer) => answer.questionId));
+  // Fisher information p(1 - p) peaks where the rating matches the ability
+  const information = (q) => {
+    const p = probabilityCorrect(ability, questionRating(q));
+    return p * (1 - p);
+  };
+  const candidates = pool
+    .filter((q) => !answered.has(q.id))
+    .sort((a, b) => information(b) - information(a) || a.id.localeCompare(b.id))
+    .slice(0, RANDOMESQUE);
+  // A stream per position, so resuming mid-attempt picks as the original would have
+  const rng = createRng(seed, `adaptive:${answers.length}`);
+  return candidates[Math.floor(rng() * candidates.length)];
+};
+
+/**
+ * Ability estimated separately from each topic's answers, in the question
+ * set's topic order. Fewer answers mean a wider error, shown alongside.
+ *
+ * @param {import('./questionSet').Question[]} questions
+ * @param {import('./storage').AnswerRecord[]} answers
+ * @param {import('./questionSet').Topic[]} topics
+ * @returns {(AbilityEstimate & { id: string, label: string })[]}
+ */
+export const proficiencyByTopic = (questions, answers, topics) => {
+  const questionById = new Map(questions.map((q) => [q.id, q]));
+  const labels = new Map(topics.map((topic) => [topic.id, topic.label]));
+  const byTopic = new Map();
+
+  answers.forEach((answer) => {
+    const question = questionById.get(answer.questionId);
+    if (!question) return;
+    question.topics.forEach((topic) => {
+      const responses = byTopic.get(topic) || [];
+      responses.push({ rating: questionRating(question), correct: answer.correct });
+      byTopic.set(topic, responses);
+    });
+  });
+
+  const order = topics.map((topic) => topic.id);
+  const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+  return [...byTopic.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([id, responses]) => ({ id, label: labels.get(id) || id, ...estimateAbility(responses) }));
+};
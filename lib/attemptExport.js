@@ -0,0 +1,227 @@
+/**
+ * Attempt Export
+ *
+ * Turns a finished attempt into files a learner can keep: the full result
+ * as JSON, one CSV row per question for spreadsheets, and a Markdown study
+ * sheet of the missed questions. Questions are expected as shown in the
+ * attempt (resolved and shuffled), so option text and explanations already
+ * carry the session's lab environment.
+ *
+ * Every builder takes an optional translator (lib/i18n.js) for the study
+ * sheet's headings and the zone exercise's model answer. CSV column names
+ * stay English so spreadsheets and scripts can rely on them.
+ */
+
+import { createTranslator } from './i18n';
+import { answerCredit } from './questionTypes';
+
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+
+/**
+ * @typedef {Object} AttemptRow
+ * @property {number} number - Position in the attempt, from 1
+ * @property {string} questionId
+ * @property {string[]} topics
+ * @property {string} question
+ * @property {string} response - Chosen option text, typed command, zone file, picked
+ *   options, order or matches; '' when unanswered
+ * @property {string} correctAnswer
+ * @property {boolean} correct
+ * @property {number} credit - 0 to 1; between the two for partly right answers
+ * @property {boolean} hint - Answered after taking the hint
+ * @property {import('./training').ConfidenceLevel | null} confidence - Rating given before checking
+ * @property {number | null} timeSeconds
+ * @property {boolean} flagged
+ */
+
+const optionText = (question, index) => `${OPTION_LETTERS[index]}. ${question.options[index]}`;
+
+// Ordered items read as 'first → second → third', matches as 'SRV = ...; CAA = ...'
+const orderText = (question, order) => order.map((index) => question.items[index]).join(' → ');
+
+const matchText = (question, matches) =>
+  question.pairs
+    .map((pair, index) => `${pair.prompt} = ${matches[index] === null ? '' : question.pairs[matches[index]].answer}`)
+    .join('; ');
+
+const responseText = (question, answer) => {
+  if (!answer) return '';
+  if (answer.command !== undefined) return answer.command;
+  if (answer.zone !== undefined) return answer.zone;
+  if (answer.choices !== undefined) return answer.choices.map((index) => optionText(question, index)).join('; ');
+  if (answer.order !== undefined) return orderText(question, answer.order);
+  if (answer.matches !== undefined) return matchText(question, answer.matches);
+  if (answer.choice === null || answer.choice === undefined) return '';
+  return optionText(question, answer.choice);
+};
+
+const correctText = (question, answer, t) => {
+  if (question.type === 'zone') return t('export.zoneAnswer');
+  if (question.type === 'multi') return question.correct.map((index) => optionText(question, index)).join('; ');
+  if (question.type === 'order') return orderText(question, question.items.map((item, index) => index));
+  if (question.type === 'match') return matchText(question, question.pairs.map((pair, index) => index));
+  if (answer && answer.command !== undefined) return question.command.answers[0];
+  return optionText(question, question.correct);
+};
+
+/**
+ * Pair each question of the attempt with its answer.
+ *
+ * @param {Object[]} questions - Resolved questions in attempt order
+ * @param {import('./storage').AnswerRecord[]} answers
+ * @param {import('./i18n').Translator['t']} [t]
+ * @returns {AttemptRow[]}
+ */
+export const attemptRows = (questions, answers, t = createTranslator().t) =>
+  questions.map((question, index) => {
+    const answer = answers.find((a) => a.questionId === question.id);
+    return {
+      number: index + 1,
+      questionId: question.id,
+      topics: question.topics || [],
+      question: question.question,
+      response: responseText(question, answer),
+      correctAnswer: correctText(question, answer, t),
+      correct: Boolean(answer && answer.correct),
+      credit: answer ? answerCredit(answer) : 0,
+      hint: Boolean(answer && answer.hint),
+      confidence: (answer && answer.confidence) || null,
+      timeSeconds: answer ? Math.round(answer.elapsedMs / 100) / 10 : null,
+      flagged: Boolean(answer && answer.flagged)
+    };
+  });
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [title] - Question set title
+ * @property {import('./i18n').Translator} [translator] - Defaults to English
+ */
+
+/**
+ * The attempt result with each question spelled out, as pretty-printed JSON.
+ *
+ * @param {import('../Quiz').QuizResult} result
+ * @param {Object[]} questions
+ * @param {ExportOptions} [options]
+ */
+export const attemptToJSON = (result, questions, { title, translator = createTranslator() } = {}) =>
+  JSON.stringify({ title, ...result, questions: attemptRows(questions, result.answers, translator.t) }, null, 2) + '\n';
+
+// RFC 4180: quote fields containing separators, quotes or line breaks
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['number', (row) => row.number],
+  ['question_id', (row) => row.questionId],
+  ['topics', (row) => row.topics.join(' ')],
+  ['question', (row) => row.question],
+  ['choice', (row) => row.response],
+  ['correct_answer', (row) => row.correctAnswer],
+  ['correct', (row) => (row.correct ? 'yes' : 'no')],
+  ['credit', (row) => row.credit],
+  ['hint', (row) => (row.hint ? 'yes' : '')],
+  ['confidence', (row) => row.confidence],
+  ['time_seconds', (row) => row.timeSeconds],
+  ['flagged', (row) => (row.flagged ? 'yes' : '')]
+];
+
+/**
+ * One row per question with the choice, correctness, credit and time taken.
+ *
+ * @param {import('../Quiz').QuizResult} result
+ * @param {Object[]} questions
+ * @param {ExportOptions} [options]
+ */
+export const attemptToCSV = (result, questions, { translator = createTranslator() } = {}) => {
+  const lines = [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...attemptRows(questions, result.answers, translator.t).map((row) =>
+      CSV_COLUMNS.map(([, value]) => csvField(value(row))).join(',')
+    )
+  ];
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Environment keys listed on the study sheet, with the catalog key of each label
+const ENVIRONMENT_ROWS = [
+  ['primary', 'domains.primary'],
+  ['cluster', 'domains.cluster'],
+  ['secondary', 'domains.secondary'],
+  ['example', 'domains.example'],
+  ['subnet', 'environment.subnet'],
+  ['ulaSubnet', 'environment.ulaSubnet'],
+  ['dnsIp', 'environment.dnsIp']
+];
+
+// Multi-line answers (zone files) read better fenced than inline
+const markdownAnswer = (text, t) =>
+  text.includes('\n') ? `\n\n\`\`\`\n${text}\n\`\`\`` : ` ${text || `_${t('export.noAnswer')}_`}`;
+
+/**
+ * A study sheet of the missed questions with their explanations, headed by
+ * the lab environment the attempt used so the examples make sense on their own.
+ *
+ * @param {import('../Quiz').QuizResult} result
+ * @param {Object[]} questions
+ * @param {ExportOptions} [options]
+ */
+export const attemptToMarkdown = (
+  result,
+  questions,
+  { title = 'DNS Knowledge Quiz', translator = createTranslator() } = {}
+) => {
+  const { t, formatPercent } = translator;
+  const missed = attemptRows(questions, result.answers, t).filter((row) => !row.correct);
+  const byId = Object.fromEntries(questions.map((q) => [q.id, q]));
+  // Attempts saved before environments were generated only carry their domains
+  const environment = result.environment || result.domains || {};
+
+  const lines = [
+    `# ${t('export.title', { title })}`,
+    '',
+    t('export.summary', {
+      date: result.date.slice(0, 10),
+      score: result.score,
+      total: result.total,
+      percent: formatPercent(result.percent),
+      seed: result.seed
+    }),
+    '',
+    `## ${t('export.environment')}`,
+    '',
+    ...ENVIRONMENT_ROWS.filter(([key]) => environment[key]).map(
+      ([key, label]) => `- ${t(label)}: \`${environment[key]}\``
+    ),
+    '',
+    `## ${t('export.missed', { count: missed.length })}`,
+    ''
+  ];
+
+  if (missed.length === 0) {
+    lines.push(t('export.nothingMissed'), '');
+  }
+
+  missed.forEach((row) => {
+    lines.push(
+      `### ${row.number}. ${row.question}`,
+      '',
+      `**${t('export.yourAnswer')}**${markdownAnswer(row.response, t)}`,
+      '',
+      `**${t('export.correctAnswer')}** ${row.correctAnswer}`,
+      '',
+      byId[row.questionId].explanation,
+      ''
+    );
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Suggested file name for an export, e.g. dns-quiz-default-2024-05-01-abc123.csv
+ */
+export const attemptFileName = (result, extension) =>
+  `dns-quiz-${result.questionSetId}-${result.date.slice(0, 10)}-${result.seed}.${extension}`;
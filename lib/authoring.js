@@ -0,0 +1,180 @@
+/**
+ * Question Authoring
+ *
+ * Helpers behind the authoring screen: blank questions and topic ids for a
+ * draft set, and the checks run on every edit. Problems are returned as
+ * data (a field, a code and message parameters) so the screen can show
+ * them next to the field in the learner's language; a set with no
+ * problems loads with loadQuestionSet and passes the import schema.
+ */
+
+import { fillPlaceholders, placeholderNames, resolveQuestion } from './questionSet';
+import { encodeMessage } from './dnsMessage';
+
+const OPTION_LETTERS = 'ABCDEFGHI';
+const SET_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * @typedef {Object} AuthoringProblem
+ * @property {string} field - 'id', 'question', 'options', 'option:<index>',
+ *   'correct', 'explanation', 'hint', 'command', 'zone', 'sandbox', 'packet', 'translations',
+ *   'setId', 'title' or 'questions'
+ * @property {string} code - Catalog key suffix, e.g. 'optionDuplicate'
+ * @property {Object} [params] - Message parameters
+ */
+
+/**
+ * Turn a label into an id usable for questions, topics and sets.
+ *
+ * @param {string} text
+ * @returns {string} e.g. 'Reverse DNS' -> 'reverse-dns'
+ */
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * A blank multiple-choice question with an id not used yet.
+ *
+ * @param {string[]} existingIds
+ * @returns {import('./questionSet').Question}
+ */
+export const newQuestion = (existingIds) => {
+  let number = existingIds.length + 1;
+  while (existingIds.includes(`question-${number}`)) number += 1;
+  return {
+    id: `question-${number}`,
+    type: 'choice',
+    topics: [],
+    difficulty: 'intermediate',
+    question: '',
+    options: ['', ''],
+    correct: 0,
+    explanation: ''
+  };
+};
+
+// Every piece of text a question can put on screen, by the field it belongs to
+const questionTexts = (question) => [
+  ['question', question.question || ''],
+  ...(question.options || []).map((option, index) => [`option:${index}`, option]),
+  ...(question.items || []).map((item) => ['question', item]),
+  ...(question.pairs || []).flatMap((pair) => [['question', pair.prompt], ['question', pair.answer]]),
+  ['explanation', question.explanation || ''],
+  ...(question.hint ? [['hint', question.hint]] : []),
+  ...(question.command ? [question.command.prompt, ...question.command.answers].map((text) => ['command', text]) : []),
+  ...(question.zone
+    ? [question.zone.origin, question.zone.prompt, question.zone.starter || '']
+      .concat((question.zone.requirements || []).flatMap((requirement) => [requirement.name, requirement.data || '']))
+      .map((text) => ['zone', text])
+    : []),
+  ...(question.sandbox ? [question.sandbox.prompt || '', ...question.sandbox.commands].map((text) => ['sandbox', text]) : []),
+  ...(question.packet
+    ? [question.packet.prompt || '', (question.packet.message.question || {}).name || '']
+      .concat(['answer', 'authority', 'additional'].flatMap((section) =>
+        (question.packet.message[section] || []).flatMap((record) => [record.name, String(record.data)])))
+      .map((text) => ['packet', text])
+    : [])
+];
+
+/**
+ * Check one question of a draft.
+ *
+ * @param {import('./questionSet').Question} question
+ * @param {{ environment: Object, otherIds?: string[] }} context - The
+ *   environment placeholders are checked against, and the ids of the set's
+ *   other questions
+ * @returns {AuthoringProblem[]}
+ */
+export const validateQuestion = (question, { environment, otherIds = [] }) => {
+  const problems = [];
+  const add = (field, code, params) => problems.push({ field, code, ...(params && { params }) });
+
+  if (!question.id.trim()) add('id', 'idMissing');
+  else if (otherIds.includes(question.id)) add('id', 'idDuplicate', { id: question.id });
+  if (!(question.question || '').trim()) add('question', 'questionEmpty');
+
+  if ((question.type || 'choice') === 'choice') {
+    const options = question.options || [];
+    if (options.length < 2) add('options', 'optionsTooFew');
+
+    // Compared as shown, so '{{primary}}' and the primary domain typed out count as the same
+    const seen = new Map();
+    options.forEach((option, index) => {
+      const letter = OPTION_LETTERS[index];
+      const shown = fillPlaceholders(option, environment).trim().toLowerCase();
+      if (!shown) {
+        add(`option:${index}`, 'optionEmpty', { letter });
+      } else if (seen.has(shown)) {
+        add(`option:${index}`, 'optionDuplicate', { letter, first: OPTION_LETTERS[seen.get(shown)] });
+      } else {
+        seen.set(shown, index);
+      }
+    });
+
+    if (!Number.isInteger(question.correct) || question.correct < 0 || question.correct >= options.length) {
+      add('correct', 'correctOutOfRange', { count: options.length });
+    }
+  }
+
+  if (!(question.explanation || '').trim()) add('explanation', 'explanationEmpty');
+  if (question.hint !== undefined && !question.hint.trim()) add('hint', 'hintEmpty');
+
+  if (question.packet) {
+    try {
+      encodeMessage(resolveQuestion(question, environment).packet.message, { tcp: question.packet.transport === 'tcp' });
+    } catch (e) {
+      add('packet', 'packetInvalid', { message: e.message });
+    }
+  }
+
+  const reported = new Set();
+  questionTexts(question).forEach(([field, text]) => {
+    placeholderNames(text)
+      .filter((name) => !Object.prototype.hasOwnProperty.call(environment, name) && !reported.has(name))
+      .forEach((name) => {
+        reported.add(name);
+        add(field, 'placeholderUnknown', { name: `{{${name}}}` });
+      });
+  });
+
+  return problems;
+};
+
+/**
+ * Check a whole draft set: its id and title, every question, and that
+ * translations still match each question's number of options.
+ *
+ * @param {import('./questionSet').QuestionSet} set
+ * @param {Object} environment
+ * @returns {{ set: AuthoringProblem[], questions: AuthoringProblem[][], count: number }}
+ */
+export const validateAuthoredSet = (set, environment) => {
+  const problems = [];
+  if (!SET_ID_PATTERN.test(set.id || '')) problems.push({ field: 'setId', code: 'setIdInvalid' });
+  if (!(set.title || '').trim()) problems.push({ field: 'title', code: 'titleEmpty' });
+  if (set.questions.length === 0) problems.push({ field: 'questions', code: 'noQuestions' });
+
+  const ids = set.questions.map((q) => q.id);
+  const questions = set.questions.map((question, index) => {
+    const questionProblems = validateQuestion(question, {
+      environment,
+      otherIds: ids.filter((id, other) => other !== index)
+    });
+    Object.entries(set.translations || {}).forEach(([locale, translation]) => {
+      const translated = translation.questions && translation.questions[question.id];
+      if (translated && translated.options && translated.options.length !== (question.options || []).length) {
+        questionProblems.push({ field: 'translations', code: 'translationOptions', params: { locale } });
+      }
+    });
+    return questionProblems;
+  });
+
+  return {
+    set: problems,
+    questions,
+    count: problems.length + questions.reduce((sum, list) => sum + list.length, 0)
+  };
+};
@@ -0,0 +1,105 @@
+/**
+ * Instructor Dashboard Client
+ *
+ * Talks to the dashboard server (server/dashboardServer.mjs). The reporter
+ * sends every completed attempt there, with each answer's chosen option in
+ * its authored position so option counts add up across shuffled attempts;
+ * the client reads the collected attempts back for
+ * components/InstructorDashboard.jsx.
+ *
+ * Reporting is best effort, like the xAPI reporter: a server that is down
+ * never breaks the quiz.
+ */
+
+const apiUrl = (server, path) => `${server.replace(/\/$/, '')}/api/${path}`;
+
+/**
+ * Reporter that submits completed attempts to the dashboard server. Pass it
+ * as DNSQuiz's `reporter` prop, or combine it with others through
+ * combineReporters in lib/xapi.js.
+ *
+ * @param {Object} options
+ * @param {string} options.server - Dashboard server URL, e.g. http://192.168.1.20:8788
+ * @param {{ id: string, name: string }} options.learner - Who is taking the quiz
+ * @param {typeof fetch} [options.fetch]
+ * @param {(error: Error) => void} [options.onError]
+ * @returns {import('./xapi').QuizReporter}
+ */
+export const createDashboardReporter = ({ server, learner, fetch: fetchImpl = globalThis.fetch, onError = () => {} }) => {
+  let title = null;
+
+  return {
+    attempted: (attempt) => {
+      title = attempt.title;
+    },
+
+    answered: () => {},
+
+    completed: (result) => {
+      const body = {
+        learner,
+        questionSetId: result.questionSetId,
+        title,
+        seed: String(result.seed),
+        mode: result.mode,
+        date: result.date,
+        score: result.score,
+        total: result.total,
+        percent: result.percent,
+        ...(result.passed !== undefined && { passed: result.passed }),
+        durationMs: result.durationMs,
+        answers: result.answers.map((answer) => ({
+          questionId: answer.questionId,
+          option: answer.option ?? null,
+          correct: answer.correct,
+          ...(answer.credit !== undefined && { credit: answer.credit }),
+          elapsedMs: answer.elapsedMs
+        }))
+      };
+      try {
+        Promise.resolve(fetchImpl(apiUrl(server, 'attempts'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }))
+          .then((response) => {
+            if (!response.ok) throw new Error(`Dashboard server rejected the attempt: ${response.status}`);
+          })
+          .catch(onError);
+      } catch (e) {
+        onError(e);
+      }
+    }
+  };
+};
+
+/**
+ * Read access to the collected results. Reading needs the server's access
+ * token when it was started with one; failed requests reject with an error
+ * carrying the HTTP `status`, 401 for a missing or wrong token.
+ *
+ * @param {Object} options
+ * @param {string} options.server
+ * @param {string} [options.token]
+ * @param {typeof fetch} [options.fetch]
+ */
+export const createDashboardClient = ({ server, token, fetch: fetchImpl = globalThis.fetch }) => {
+  const get = async (path) => {
+    const response = await fetchImpl(apiUrl(server, path), {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    if (!response.ok) {
+      const error = new Error(`Dashboard server error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  };
+
+  return {
+    /** @returns {Promise<{ id: string, title: string, attempts: number, learners: number, latest: string }[]>} */
+    questionSets: () => get('question-sets'),
+    /** @returns {Promise<import('./itemAnalysis').CollectedAttempt[]>} Oldest first */
+    attempts: (questionSetId) => get(`attempts?questionSet=${encodeURIComponent(questionSetId)}`)
+  };
+};
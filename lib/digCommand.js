@@ -0,0 +1,269 @@
+/**
+ * dig / nslookup Command Parsing
+ *
+ * Parses a typed dig or nslookup command line into a normalized query so
+ * typed answers can be compared by meaning rather than spelling. Argument
+ * order, case, trailing dots, option abbreviations and equivalent spellings
+ * (`-t MX`, `-x 10.0.1.11` vs `11.1.0.10.in-addr.arpa PTR`, `+vc` vs `+tcp`)
+ * all normalize to the same structure.
+ */
+
+/**
+ * @typedef {Object} ParsedCommand
+ * @property {'dig' | 'nslookup'} tool
+ * @property {string | null} server - Server to query, null for the system resolver
+ * @property {number} port
+ * @property {string} name - Query name, lowercase without trailing dot ('.' for root)
+ * @property {string} type - Record type, uppercase
+ * @property {string} class - Query class, uppercase
+ * @property {string[]} flags - Sorted query options in dig form (e.g. '+short', '+bufsize=4096')
+ */
+
+export const RECORD_TYPES = [
+  'A', 'AAAA', 'AFSDB', 'ANY', 'AXFR', 'CAA', 'CDNSKEY', 'CDS', 'CERT', 'CNAME', 'DNAME', 'DNSKEY', 'DS',
+  'HINFO', 'HTTPS', 'IXFR', 'KEY', 'LOC', 'MX', 'NAPTR', 'NS', 'NSEC', 'NSEC3', 'NSEC3PARAM', 'OPT', 'PTR',
+  'RP', 'RRSIG', 'SIG', 'SOA', 'SPF', 'SRV', 'SSHFP', 'SVCB', 'TLSA', 'TXT'
+];
+
+const CLASSES = { IN: 'IN', CH: 'CH', CHAOS: 'CH', HS: 'HS', HESIOD: 'HS' };
+
+// dig query options, used to expand unambiguous abbreviations (+rec, +ans, ...)
+const DIG_OPTIONS = [
+  'aaflag', 'aaonly', 'additional', 'adflag', 'all', 'answer', 'authority', 'besteffort', 'bufsize',
+  'cdflag', 'class', 'cmd', 'comments', 'cookie', 'crypto', 'defname', 'dnssec', 'domain', 'edns',
+  'expire', 'fail', 'header-only', 'identify', 'idnin', 'idnout', 'ignore', 'keepalive', 'keepopen',
+  'multiline', 'ndots', 'nsid', 'nssearch', 'onesoa', 'opcode', 'qr', 'question', 'raflag', 'rdflag',
+  'recurse', 'retry', 'rrcomments', 'search', 'short', 'showsearch', 'split', 'stats', 'subnet',
+  'tcflag', 'tcp', 'time', 'timeout', 'trace', 'tries', 'ttlid', 'ttlunits', 'vc', 'yaml', 'zflag'
+];
+
+// Different spellings of the same option
+const OPTION_ALIASES = { vc: 'tcp', rdflag: 'recurse', aaonly: 'aaflag', timeout: 'time' };
+
+// dig flags that take the next argument as their value
+const DIG_VALUE_FLAGS = ['-b', '-c', '-f', '-k', '-p', '-q', '-t', '-x', '-y'];
+
+// nslookup options that map onto dig query options
+const NSLOOKUP_OPTIONS = {
+  recurse: '+recurse',
+  norecurse: '+norecurse',
+  vc: '+tcp',
+  novc: '+notcp',
+  search: '+search',
+  nosearch: '+nosearch',
+  debug: '+all',
+  d2: '+all'
+};
+
+/**
+ * Split a command line into words, honouring simple single/double quotes.
+ */
+const tokenize = (line) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+};
+
+const normalizeName = (name) => {
+  const lower = name.toLowerCase();
+  if (lower === '.') return '.';
+  return lower.replace(/\.+$/, '');
+};
+
+const expandIPv6 = (address) => {
+  const [head, tail = ''] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+  const groups = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+  return groups.map((group) => group.padStart(4, '0')).join('');
+};
+
+/**
+ * Build the reverse-lookup name for an IPv4 or IPv6 address, as `dig -x` does.
+ */
+export const reverseName = (address) => {
+  if (address.includes(':')) {
+    return expandIPv6(address.toLowerCase()).split('').reverse().join('.') + '.ip6.arpa';
+  }
+  return address.split('.').reverse().join('.') + '.in-addr.arpa';
+};
+
+const normalizeDigOption = (token) => {
+  const body = token.slice(1).toLowerCase();
+  const [rawName, value] = body.split('=');
+  const negated = rawName.startsWith('no') && !DIG_OPTIONS.includes(rawName);
+  const stem = negated ? rawName.slice(2) : rawName;
+
+  const exact = DIG_OPTIONS.includes(stem) ? stem : null;
+  const candidates = DIG_OPTIONS.filter((option) => option.startsWith(stem));
+  const expanded = exact || (candidates.length === 1 ? candidates[0] : stem);
+  const name = OPTION_ALIASES[expanded] || expanded;
+
+  return `+${negated ? 'no' : ''}${name}${value !== undefined ? `=${value}` : ''}`;
+};
+
+const parseDig = (args) => {
+  const query = { server: null, port: 53, name: null, type: null, class: null, flags: [] };
+  let reverse = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const upper = arg.toUpperCase();
+
+    if (arg.startsWith('@')) {
+      query.server = normalizeName(arg.slice(1));
+    } else if (arg.startsWith('+')) {
+      query.flags.push(normalizeDigOption(arg));
+    } else if (DIG_VALUE_FLAGS.includes(arg)) {
+      const value = args[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      if (arg === '-x') {
+        query.name = reverseName(value);
+        reverse = true;
+      } else if (arg === '-t') {
+        query.type = value.toUpperCase();
+      } else if (arg === '-c') {
+        query.class = CLASSES[value.toUpperCase()] || value.toUpperCase();
+      } else if (arg === '-q') {
+        query.name = normalizeName(value);
+      } else if (arg === '-p') {
+        query.port = Number(value);
+      }
+    } else if (arg.startsWith('-')) {
+      // -4, -6, -m, -u, -v etc. don't change what is being asked
+    } else if (RECORD_TYPES.includes(upper) && query.type === null) {
+      query.type = upper;
+    } else if (CLASSES[upper] && query.class === null) {
+      query.class = CLASSES[upper];
+    } else if (query.name === null) {
+      query.name = normalizeName(arg);
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (query.name === null) {
+    // Bare `dig` asks for the root NS records
+    query.name = '.';
+    query.type = query.type || 'NS';
+  }
+
+  return { ...query, type: query.type || (reverse ? 'PTR' : 'A'), class: query.class || 'IN' };
+};
+
+const parseNslookup = (args) => {
+  const query = { server: null, port: 53, name: null, type: 'A', class: 'IN', flags: [] };
+
+  args.forEach((arg) => {
+    if (arg.startsWith('-')) {
+      const [option, value] = arg.slice(1).toLowerCase().split('=');
+      if (['type', 'querytype', 'query', 'q', 't', 'ty'].includes(option) && value) {
+        query.type = value.toUpperCase();
+      } else if (['class', 'cl'].includes(option) && value) {
+        query.class = CLASSES[value.toUpperCase()] || value.toUpperCase();
+      } else if (option === 'port' && value) {
+        query.port = Number(value);
+      } else if (NSLOOKUP_OPTIONS[option]) {
+        query.flags.push(NSLOOKUP_OPTIONS[option]);
+      }
+    } else if (query.name === null) {
+      query.name = normalizeName(arg);
+    } else if (query.server === null) {
+      query.server = normalizeName(arg);
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  });
+
+  if (query.name === null) throw new Error('nslookup needs a name to look up');
+
+  // Like dig -x, nslookup turns a bare IP address into a PTR query
+  if (/^[\d.]+$/.test(query.name) || query.name.includes(':')) {
+    query.name = reverseName(query.name);
+    query.type = 'PTR';
+  }
+
+  return query;
+};
+
+/**
+ * Parse a dig or nslookup command line.
+ *
+ * @param {string} line
+ * @returns {ParsedCommand}
+ * @throws {Error} If the line is not a dig/nslookup command or is malformed
+ */
+export const parseCommand = (line) => {
+  const tokens = tokenize(line.trim().replace(/^\$\s*/, ''));
+  const [tool, ...args] = tokens;
+  const toolName = (tool || '').toLowerCase();
+
+  let parsed;
+  if (toolName === 'dig') parsed = parseDig(args);
+  else if (toolName === 'nslookup') parsed = parseNslookup(args);
+  else throw new Error('Command must start with dig or nslookup');
+
+  return { tool: toolName, ...parsed, flags: [...new Set(parsed.flags)].sort() };
+};
+
+/**
+ * Try to parse a command, returning null instead of throwing.
+ */
+export const tryParseCommand = (line) => {
+  try {
+    return parseCommand(line);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * List the ways two parsed commands differ, in learner-facing wording.
+ * The tool itself is not compared: `nslookup -type=mx x` asks the same as
+ * `dig x mx`.
+ *
+ * @returns {string[]} Empty when the commands are equivalent
+ */
+export const describeDifferences = (actual, expected) => {
+  const differences = [];
+  if (actual.name !== expected.name) differences.push(`queries ${actual.name} instead of ${expected.name}`);
+  if (actual.type !== expected.type) differences.push(`asks for ${actual.type} instead of ${expected.type}`);
+  if (actual.class !== expected.class) differences.push(`uses class ${actual.class} instead of ${expected.class}`);
+  if (actual.server !== expected.server) {
+    differences.push(expected.server ? `should query server ${expected.server}` : 'should use the default resolver');
+  }
+  if (actual.port !== expected.port) differences.push(`should use port ${expected.port}`);
+
+  const missing = expected.flags.filter((flag) => !actual.flags.includes(flag));
+  const extra = actual.flags.filter((flag) => !expected.flags.includes(flag));
+  if (missing.length > 0) differences.push(`is missing ${missing.join(' ')}`);
+  if (extra.length > 0) differences.push(`has extra ${extra.join(' ')}`);
+  return differences;
+};
+
+/**
+ * Check a typed command against one or more accepted answers.
+ *
+ * @param {string} input
+ * @param {string[]} accepted
+ * @returns {{ correct: boolean, parsed: ParsedCommand | null, differences: string[] }}
+ */
+export const checkCommand = (input, accepted) => {
+  const parsed = tryParseCommand(input);
+  if (!parsed) {
+    return { correct: false, parsed: null, differences: ['is not a valid dig or nslookup command'] };
+  }
+
+  let closest = null;
+  for (const answer of accepted) {
+    const differences = describeDifferences(parsed, parseCommand(answer));
+    if (differences.length === 0) return { correct: true, parsed, differences };
+    if (!closest || differences.length < closest.length) closest = differences;
+  }
+  return { correct: false, parsed, differences: closest || [] };
+};
@@ -0,0 +1,629 @@
+/**
+ * DNS Messages
+ *
+ * Encodes and decodes DNS messages in the RFC 1035 wire format, for packet
+ * decoding questions and the sandbox's message sizes. Names are compressed
+ * with pointers wherever RFC 3597 allows it: owner names, and names inside
+ * NS, CNAME, SOA, PTR and MX data. The EDNS OPT pseudo-record (RFC 6891) is
+ * read into `edns` instead of the additional section. Decoding also returns
+ * the byte range of every field, grouped by header, question and record, so
+ * a hex dump can be annotated field by field.
+ *
+ * Messages use the same shape as the sandbox's SimMessage (lib/dnsSandbox.js),
+ * with record data in presentation format: `{ name: 'example.com.', ttl: 300,
+ * type: 'MX', data: '10 mail.example.com.' }`.
+ */
+
+const TYPES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33,
+  OPT: 41, DS: 43, RRSIG: 46, DNSKEY: 48, CAA: 257, AXFR: 252, ANY: 255
+};
+const CLASSES = { IN: 1, CH: 3, HS: 4, ANY: 255 };
+const OPCODES = { QUERY: 0, IQUERY: 1, STATUS: 2, NOTIFY: 4, UPDATE: 5 };
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 };
+const EDNS_OPTIONS = { 3: 'NSID', 8: 'CLIENT-SUBNET', 10: 'COOKIE', 12: 'PADDING' };
+
+// Bit positions in the header's second 16-bit word; bit 6 is the reserved Z bit
+const FLAG_BITS = { qr: 15, aa: 10, tc: 9, rd: 8, ra: 7, ad: 5, cd: 4 };
+const DO_BIT = 0x8000;
+
+// RFC 3597: only the RFC 1035 types may carry compressed names in their data
+const COMPRESSIBLE = ['NS', 'CNAME', 'SOA', 'PTR', 'MX'];
+
+const MAX_LABEL = 63;
+const MAX_NAME = 255;
+const MAX_POINTER = 0x3fff;
+
+/**
+ * @typedef {Object} MessageRecord
+ * @property {string} name - Owner name, absolute
+ * @property {string} type - e.g. 'A', or 'TYPE65' for types without a name
+ * @property {string} [class] - Defaults to 'IN'
+ * @property {number} ttl
+ * @property {string} data - Presentation-format RDATA
+ */
+
+/**
+ * @typedef {Object} Message
+ * @property {number} id
+ * @property {string} [opcode] - Defaults to 'QUERY'
+ * @property {string} [status] - RCODE, defaults to 'NOERROR'
+ * @property {{ qr?: boolean, aa?: boolean, tc?: boolean, rd?: boolean, ra?: boolean, ad?: boolean, cd?: boolean }} flags
+ * @property {{ name: string, type: string, class?: string } | null} question
+ * @property {MessageRecord[]} [answer]
+ * @property {MessageRecord[]} [authority]
+ * @property {MessageRecord[]} [additional]
+ * @property {{ udpSize: number, do?: boolean, version?: number, options?: { code: number, data: string }[] }} [edns]
+ *   The OPT pseudo-record; `data` of an option is hex
+ */
+
+/**
+ * @typedef {Object} MessageField
+ * @property {number} start - Offset of the first byte in the encoded bytes
+ * @property {number} end - Offset after the last byte
+ * @property {string} label - Field name as in RFC 1035, e.g. 'QDCOUNT' or 'RDATA'
+ * @property {string} value - Decoded value in presentation format
+ * @property {number} [pointer] - For compressed names, the offset the name continues at
+ */
+
+/**
+ * @typedef {Object} MessageGroup
+ * @property {'transport' | 'header' | 'question' | 'answer' | 'authority' | 'additional'} section
+ * @property {string} summary - The header flags, question or record in one line
+ * @property {boolean} [opt] - The EDNS OPT pseudo-record
+ * @property {MessageField[]} fields
+ */
+
+const codeOf = (table, name, prefix) => {
+  const upper = String(name).toUpperCase();
+  if (table[upper] !== undefined) return table[upper];
+  // RFC 3597 generic names such as TYPE65 and CLASS3
+  const match = new RegExp(`^${prefix}(\\d+)$`).exec(upper);
+  if (match && Number(match[1]) <= 0xffff) return Number(match[1]);
+  throw new Error(`Unknown ${prefix === 'TYPE' ? 'record type' : 'class'} ${name}`);
+};
+
+const nameOf = (table, code, prefix) => Object.keys(table).find((key) => table[key] === code) ?? `${prefix}${code}`;
+
+const hex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (text) => {
+  const clean = text.replace(/\s+/g, '');
+  if (!/^([0-9a-f]{2})*$/i.test(clean)) throw new Error(`Invalid hex data ${text}`);
+  return (clean.match(/../g) || []).map((pair) => parseInt(pair, 16));
+};
+
+// UTF-8 by hand rather than with TextEncoder, which not every environment the
+// quiz is bundled for provides
+const utf8 = (text) =>
+  Array.from(text).flatMap((char) => {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return [code];
+    if (code < 0x800) return [0xc0 | (code >> 6), 0x80 | (code & 0x3f)];
+    if (code < 0x10000) return [0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f)];
+    return [0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f)];
+  });
+
+// Text with \DDD and \X escapes, as in zone files, to bytes
+const unescapeBytes = (text) => {
+  const bytes = [];
+  for (const [, decimal, escaped, plain] of text.matchAll(/\\(\d{3})|\\(.)|([^\\]+)/gs)) {
+    if (decimal !== undefined) bytes.push(Number(decimal) & 0xff);
+    else bytes.push(...utf8(escaped ?? plain));
+  }
+  return bytes;
+};
+
+// Bytes to presentation text, escaping what isn't printable ASCII; quoted
+// strings keep their spaces
+const escapeBytes = (bytes, special, quoted = false) =>
+  Array.from(bytes, (byte) => {
+    const char = String.fromCharCode(byte);
+    if (byte < (quoted ? 0x20 : 0x21) || byte > 0x7e) return `\\${String(byte).padStart(3, '0')}`;
+    return special.includes(char) ? `\\${char}` : char;
+  }).join('');
+
+// Split a name into label byte arrays, honouring escaped dots
+const nameLabels = (name) => {
+  const text = name.endsWith('.') && !name.endsWith('\\.') ? name.slice(0, -1) : name;
+  if (text === '') return [];
+  const labels = [];
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      const escape = /^\d{3}/.test(text.slice(i + 1, i + 4)) ? text.slice(i, i + 4) : text.slice(i, i + 2);
+      current += escape;
+      i += escape.length - 1;
+    } else if (text[i] === '.') {
+      labels.push(current);
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+  labels.push(current);
+
+  const encoded = labels.map(unescapeBytes);
+  if (encoded.some((label) => label.length === 0)) throw new Error(`Empty label in ${name}`);
+  if (encoded.some((label) => label.length > MAX_LABEL)) throw new Error(`Label longer than ${MAX_LABEL} bytes in ${name}`);
+  if (encoded.reduce((sum, label) => sum + label.length + 1, 1) > MAX_NAME) throw new Error(`Name longer than ${MAX_NAME} bytes: ${name}`);
+  return encoded;
+};
+
+const parseIPv4 = (text) => {
+  const parts = text.split('.');
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    throw new Error(`Invalid IPv4 address ${text}`);
+  }
+  return parts.map(Number);
+};
+
+const parseIPv6 = (text) => {
+  const halves = text.split('::');
+  if (halves.length > 2) throw new Error(`Invalid IPv6 address ${text}`);
+  const groups = (part) => (part ? part.split(':') : []);
+  const head = groups(halves[0]);
+  const tail = halves.length === 2 ? groups(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) throw new Error(`Invalid IPv6 address ${text}`);
+
+  const all = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (all.some((group) => !/^[0-9a-f]{1,4}$/i.test(group))) throw new Error(`Invalid IPv6 address ${text}`);
+  return all.flatMap((group) => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+};
+
+// RFC 5952 form: lower case, no leading zeros, the longest run of zero groups as ::
+const formatIPv6 = (bytes) => {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push((bytes[i] << 8) | bytes[i + 1]);
+  let best = { start: -1, length: 1 };
+  for (let start = 0; start < 8; start++) {
+    let length = 0;
+    while (start + length < 8 && groups[start + length] === 0) length++;
+    if (length > best.length) best = { start, length };
+  }
+  const text = groups.map((group) => group.toString(16));
+  if (best.start === -1) return text.join(':');
+  return `${text.slice(0, best.start).join(':')}::${text.slice(best.start + best.length).join(':')}`;
+};
+
+// Zone-file style fields: quoted strings (with their escapes) or bare words
+const textFields = (data) =>
+  [...data.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g)].map(([, quoted, bare]) => quoted ?? bare);
+
+const uint = (text, max, what) => {
+  if (!/^\d+$/.test(text || '') || Number(text) > max) throw new Error(`Invalid ${what} ${text}`);
+  return Number(text);
+};
+
+const createWriter = () => {
+  const bytes = [];
+  const offsets = new Map();
+
+  const writer = {
+    bytes,
+    u8: (value) => bytes.push(value & 0xff),
+    u16: (value) => bytes.push((value >> 8) & 0xff, value & 0xff),
+    u32: (value) => bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff),
+    raw: (data) => data.forEach((byte) => bytes.push(byte & 0xff)),
+    // Write a name, pointing back at an earlier copy of its longest known suffix
+    name: (name, compress) => {
+      const labels = nameLabels(name);
+      for (let i = 0; i < labels.length; i++) {
+        const suffix = labels.slice(i).map((label) => escapeBytes(label, '.\\').toLowerCase()).join('.');
+        if (compress && offsets.has(suffix)) {
+          writer.u16(0xc000 | offsets.get(suffix));
+          return;
+        }
+        if (bytes.length <= MAX_POINTER && !offsets.has(suffix)) offsets.set(suffix, bytes.length);
+        writer.u8(labels[i].length);
+        writer.raw(labels[i]);
+      }
+      writer.u8(0);
+    }
+  };
+  return writer;
+};
+
+const writeRdata = (writer, type, data) => {
+  const fields = textFields(data);
+  const compress = COMPRESSIBLE.includes(type);
+
+  // RFC 3597 generic form works for every type: \# <length> <hex>
+  if (fields[0] === '\\#') {
+    const bytes = fromHex(fields.slice(2).join(''));
+    if (bytes.length !== uint(fields[1], 0xffff, 'RDATA length')) throw new Error(`RDATA length does not match in ${data}`);
+    writer.raw(bytes);
+    return;
+  }
+
+  switch (type) {
+    case 'A':
+      writer.raw(parseIPv4(data.trim()));
+      break;
+    case 'AAAA':
+      writer.raw(parseIPv6(data.trim()));
+      break;
+    case 'NS':
+    case 'CNAME':
+    case 'PTR':
+      writer.name(fields[0] || '', compress);
+      break;
+    case 'MX':
+      writer.u16(uint(fields[0], 0xffff, 'MX preference'));
+      writer.name(fields[1] || '', compress);
+      break;
+    case 'SOA':
+      if (fields.length !== 7) throw new Error(`SOA needs seven fields: ${data}`);
+      writer.name(fields[0], compress);
+      writer.name(fields[1], compress);
+      fields.slice(2).forEach((value) => writer.u32(uint(value, 0xffffffff, 'SOA value')));
+      break;
+    case 'TXT':
+      if (fields.length === 0) throw new Error('TXT needs at least one string');
+      fields.map(unescapeBytes).forEach((bytes) => {
+        if (bytes.length > 255) throw new Error('TXT strings are at most 255 bytes');
+        writer.u8(bytes.length);
+        writer.raw(bytes);
+      });
+      break;
+    case 'SRV':
+      if (fields.length !== 4) throw new Error(`SRV needs priority, weight, port and target: ${data}`);
+      fields.slice(0, 3).forEach((value) => writer.u16(uint(value, 0xffff, 'SRV value')));
+      writer.name(fields[3], false);
+      break;
+    case 'CAA': {
+      if (fields.length !== 3) throw new Error(`CAA needs flags, tag and value: ${data}`);
+      const tag = utf8(fields[1]);
+      writer.u8(uint(fields[0], 255, 'CAA flags'));
+      writer.u8(tag.length);
+      writer.raw(tag);
+      writer.raw(unescapeBytes(fields[2]));
+      break;
+    }
+    case 'DS':
+      if (fields.length < 4) throw new Error(`DS needs key tag, algorithm, digest type and digest: ${data}`);
+      writer.u16(uint(fields[0], 0xffff, 'DS key tag'));
+      writer.u8(uint(fields[1], 255, 'DS algorithm'));
+      writer.u8(uint(fields[2], 255, 'DS digest type'));
+      writer.raw(fromHex(fields.slice(3).join('')));
+      break;
+    default:
+      throw new Error(`No presentation format for ${type} data; use \\# <length> <hex>`);
+  }
+};
+
+const writeRecord = (writer, record) => {
+  const type = String(record.type).toUpperCase();
+  writer.name(record.name, true);
+  writer.u16(codeOf(TYPES, type, 'TYPE'));
+  writer.u16(codeOf(CLASSES, record.class || 'IN', 'CLASS'));
+  writer.u32(record.ttl);
+  const lengthAt = writer.bytes.length;
+  writer.u16(0);
+  writeRdata(writer, type, String(record.data));
+  const length = writer.bytes.length - lengthAt - 2;
+  writer.bytes[lengthAt] = length >> 8;
+  writer.bytes[lengthAt + 1] = length & 0xff;
+};
+
+const writeOpt = (writer, edns, rcode) => {
+  writer.u8(0);
+  writer.u16(TYPES.OPT);
+  writer.u16(edns.udpSize);
+  // The TTL field holds the upper RCODE bits, the EDNS version and the flags
+  writer.u8(rcode >> 4);
+  writer.u8(edns.version || 0);
+  writer.u16(edns.do ? DO_BIT : 0);
+  const options = (edns.options || []).map(({ code, data }) => ({ code, bytes: fromHex(data || '') }));
+  writer.u16(options.reduce((sum, option) => sum + 4 + option.bytes.length, 0));
+  options.forEach(({ code, bytes }) => {
+    writer.u16(code);
+    writer.u16(bytes.length);
+    writer.raw(bytes);
+  });
+};
+
+/**
+ * Encode a message to wire format.
+ *
+ * @param {Message} message
+ * @param {{ tcp?: boolean }} [options] - Over TCP the message is prefixed
+ *   with its two-byte length (RFC 1035 section 4.2.2)
+ * @returns {Uint8Array}
+ * @throws {Error} When a name, type or record data can't be encoded
+ */
+export const encodeMessage = (message, { tcp = false } = {}) => {
+  const writer = createWriter();
+  const sections = ['answer', 'authority', 'additional'].map((section) => message[section] || []);
+  const rcode = codeOf(RCODES, message.status || 'NOERROR', 'RCODE');
+  const flags = message.flags || {};
+
+  writer.u16(message.id);
+  writer.u16(
+    Object.entries(FLAG_BITS).reduce((word, [flag, bit]) => (flags[flag] ? word | (1 << bit) : word), 0) |
+    (codeOf(OPCODES, message.opcode || 'QUERY', 'OPCODE') << 11) |
+    (rcode & 0xf)
+  );
+  writer.u16(message.question ? 1 : 0);
+  writer.u16(sections[0].length);
+  writer.u16(sections[1].length);
+  writer.u16(sections[2].length + (message.edns ? 1 : 0));
+
+  if (message.question) {
+    writer.name(message.question.name, true);
+    writer.u16(codeOf(TYPES, message.question.type, 'TYPE'));
+    writer.u16(codeOf(CLASSES, message.question.class || 'IN', 'CLASS'));
+  }
+  sections.forEach((records) => records.forEach((record) => writeRecord(writer, record)));
+  if (message.edns) writeOpt(writer, message.edns, rcode);
+
+  const bytes = tcp ? [writer.bytes.length >> 8, writer.bytes.length & 0xff, ...writer.bytes] : writer.bytes;
+  return Uint8Array.from(bytes);
+};
+
+const createReader = (data, base) => {
+  const need = (offset, count, what) => {
+    if (offset + count > data.length) throw new Error(`Message ends at byte ${data.length} inside the ${what}`);
+  };
+
+  return {
+    need,
+    u8: (offset, what) => {
+      need(offset, 1, what);
+      return data[offset];
+    },
+    u16: (offset, what) => {
+      need(offset, 2, what);
+      return (data[offset] << 8) | data[offset + 1];
+    },
+    u32: (offset, what) => {
+      need(offset, 4, what);
+      return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+    },
+    // A name and where it ends in place; pointers must point before the
+    // name part that contains them, so a malicious loop can't hang the decoder
+    name: (offset, what) => {
+      const labels = [];
+      let cursor = offset;
+      let limit = offset;
+      let end = null;
+      let pointer;
+      let size = 1;
+      for (;;) {
+        need(cursor, 1, what);
+        const length = data[cursor];
+        if ((length & 0xc0) === 0xc0) {
+          need(cursor, 2, what);
+          const target = ((length & 0x3f) << 8) | data[cursor + 1];
+          if (base + target >= limit) throw new Error(`Compression pointer at byte ${cursor} does not point backwards`);
+          if (end === null) {
+            end = cursor + 2;
+            pointer = base + target;
+          }
+          cursor = base + target;
+          limit = cursor;
+        } else if (length & 0xc0) {
+          throw new Error(`Unsupported label type at byte ${cursor}`);
+        } else if (length === 0) {
+          if (end === null) end = cursor + 1;
+          break;
+        } else {
+          need(cursor + 1, length, what);
+          size += length + 1;
+          if (size > MAX_NAME) throw new Error(`Name at byte ${offset} is longer than ${MAX_NAME} bytes`);
+          labels.push(escapeBytes(data.subarray(cursor + 1, cursor + 1 + length), '.\\'));
+          cursor += length + 1;
+        }
+      }
+      return { name: labels.length ? `${labels.join('.')}.` : '.', end, pointer };
+    }
+  };
+};
+
+const readRdata = (reader, data, type, start, length) => {
+  const end = start + length;
+  const bytes = data.subarray(start, end);
+  const generic = () => `\\# ${length}${length ? ` ${hex(bytes)}` : ''}`;
+  const nameAt = (offset) => {
+    const { name, end: after } = reader.name(offset, 'RDATA');
+    if (after > end) throw new Error(`Name in RDATA at byte ${offset} runs past the record`);
+    return { name, after };
+  };
+
+  switch (type) {
+    case 'A':
+      return length === 4 ? Array.from(bytes).join('.') : generic();
+    case 'AAAA':
+      return length === 16 ? formatIPv6(bytes) : generic();
+    case 'NS':
+    case 'CNAME':
+    case 'PTR':
+      return nameAt(start).name;
+    case 'MX':
+      return `${reader.u16(start, 'RDATA')} ${nameAt(start + 2).name}`;
+    case 'SRV':
+      return `${reader.u16(start, 'RDATA')} ${reader.u16(start + 2, 'RDATA')} ${reader.u16(start + 4, 'RDATA')} ${nameAt(start + 6).name}`;
+    case 'SOA': {
+      const mname = nameAt(start);
+      const rname = nameAt(mname.after);
+      const values = [0, 4, 8, 12, 16].map((offset) => reader.u32(rname.after + offset, 'RDATA'));
+      return [mname.name, rname.name, ...values].join(' ');
+    }
+    case 'TXT': {
+      const strings = [];
+      for (let offset = start; offset < end;) {
+        const size = data[offset];
+        if (offset + 1 + size > end) throw new Error(`TXT string at byte ${offset} runs past the record`);
+        strings.push(`"${escapeBytes(data.subarray(offset + 1, offset + 1 + size), '"\\', true)}"`);
+        offset += size + 1;
+      }
+      return strings.join(' ');
+    }
+    case 'CAA': {
+      const tagLength = data[start + 1];
+      const tag = escapeBytes(data.subarray(start + 2, start + 2 + tagLength), '');
+      const value = escapeBytes(data.subarray(start + 2 + tagLength, end), '"\\', true);
+      return `${data[start]} ${tag} "${value}"`;
+    }
+    case 'DS':
+      return `${reader.u16(start, 'RDATA')} ${data[start + 2]} ${data[start + 3]} ${hex(bytes.subarray(4)).toUpperCase()}`;
+    default:
+      return generic();
+  }
+};
+
+/**
+ * Decode a message from wire format.
+ *
+ * @param {Uint8Array | number[]} input
+ * @param {{ tcp?: boolean }} [options] - Expect the two-byte TCP length prefix
+ * @returns {{ message: Message, groups: MessageGroup[] }} Field offsets count
+ *   from the start of `input`, including a TCP length prefix
+ * @throws {Error} When the message is cut short or malformed
+ */
+export const decodeMessage = (input, { tcp = false } = {}) => {
+  const data = input instanceof Uint8Array ? input : Uint8Array.from(input);
+  const groups = [];
+  const base = tcp ? 2 : 0;
+  const reader = createReader(data, base);
+  const field = (start, end, label, value, extra) => ({ start, end, label, value: String(value), ...extra });
+
+  if (tcp) {
+    const length = reader.u16(0, 'TCP length');
+    if (length !== data.length - 2) throw new Error(`TCP length says ${length} bytes but the message has ${data.length - 2}`);
+    groups.push({ section: 'transport', summary: `${length} bytes`, fields: [field(0, 2, 'Length', length)] });
+  }
+
+  const id = reader.u16(base, 'header');
+  const word = reader.u16(base + 2, 'header');
+  const counts = [4, 6, 8, 10].map((offset) => reader.u16(base + offset, 'header'));
+  const flags = Object.fromEntries(Object.entries(FLAG_BITS).map(([flag, bit]) => [flag, Boolean(word & (1 << bit))]));
+  const opcode = nameOf(OPCODES, (word >> 11) & 0xf, 'OPCODE');
+  let rcode = word & 0xf;
+  const flagNames = Object.keys(flags).filter((flag) => flags[flag]).join(' ');
+
+  const header = {
+    section: 'header',
+    summary: '',
+    fields: [
+      field(base, base + 2, 'ID', `${id} (0x${id.toString(16).padStart(4, '0')})`),
+      field(base + 2, base + 4, 'Flags', `${flagNames || 'none'}; opcode ${opcode}; rcode ${nameOf(RCODES, rcode, 'RCODE')}`),
+      ...['QDCOUNT', 'ANCOUNT', 'NSCOUNT', 'ARCOUNT'].map((label, index) =>
+        field(base + 4 + index * 2, base + 6 + index * 2, label, counts[index]))
+    ]
+  };
+  groups.push(header);
+
+  let offset = base + 12;
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const name = reader.name(offset, 'question');
+    const type = nameOf(TYPES, reader.u16(name.end, 'question'), 'TYPE');
+    const qclass = nameOf(CLASSES, reader.u16(name.end + 2, 'question'), 'CLASS');
+    questions.push({ name: name.name, type, ...(qclass !== 'IN' && { class: qclass }) });
+    groups.push({
+      section: 'question',
+      summary: `${name.name} ${qclass} ${type}`,
+      fields: [
+        field(offset, name.end, 'QNAME', name.name, name.pointer !== undefined ? { pointer: name.pointer } : undefined),
+        field(name.end, name.end + 2, 'QTYPE', type),
+        field(name.end + 2, name.end + 4, 'QCLASS', qclass)
+      ]
+    });
+    offset = name.end + 4;
+  }
+
+  const message = {
+    id,
+    opcode,
+    status: '',
+    flags,
+    question: questions[0] || null,
+    answer: [],
+    authority: [],
+    additional: []
+  };
+
+  ['answer', 'authority', 'additional'].forEach((section, index) => {
+    for (let i = 0; i < counts[index + 1]; i++) {
+      const start = offset;
+      const name = reader.name(offset, section);
+      const typeCode = reader.u16(name.end, section);
+      const type = nameOf(TYPES, typeCode, 'TYPE');
+      const classCode = reader.u16(name.end + 2, section);
+      const ttl = reader.u32(name.end + 4, section);
+      const length = reader.u16(name.end + 8, section);
+      const rdataStart = name.end + 10;
+      reader.need(rdataStart, length, section);
+      offset = rdataStart + length;
+      const nameField = field(start, name.end, 'NAME', name.name, name.pointer !== undefined ? { pointer: name.pointer } : undefined);
+
+      if (type === 'OPT') {
+        const options = [];
+        for (let at = rdataStart; at < offset;) {
+          const code = reader.u16(at, 'EDNS option');
+          const size = reader.u16(at + 2, 'EDNS option');
+          reader.need(at + 4, size, 'EDNS option');
+          options.push({ code, data: hex(data.subarray(at + 4, at + 4 + size)) });
+          at += 4 + size;
+        }
+        message.edns = {
+          udpSize: classCode,
+          do: Boolean(ttl & DO_BIT),
+          version: (ttl >>> 16) & 0xff,
+          ...(options.length && { options })
+        };
+        rcode |= (ttl >>> 24) << 4;
+        groups.push({
+          section,
+          opt: true,
+          summary: `EDNS version ${message.edns.version}, udp ${classCode}${message.edns.do ? ', do' : ''}`,
+          fields: [
+            nameField,
+            field(name.end, name.end + 2, 'TYPE', `OPT (${typeCode})`),
+            field(name.end + 2, name.end + 4, 'UDP payload size', classCode),
+            field(name.end + 4, name.end + 5, 'Extended RCODE', ttl >>> 24),
+            field(name.end + 5, name.end + 6, 'EDNS version', message.edns.version),
+            field(name.end + 6, name.end + 8, 'EDNS flags', message.edns.do ? 'do' : 'none'),
+            field(name.end + 8, rdataStart, 'RDLENGTH', length),
+            ...(length
+              ? [field(rdataStart, offset, 'Options', options.map((option) => `${EDNS_OPTIONS[option.code] || `OPT${option.code}`} ${option.data}`).join(', '))]
+              : [])
+          ]
+        });
+        continue;
+      }
+
+      const record = {
+        name: name.name,
+        ttl,
+        type,
+        ...(classCode !== CLASSES.IN && { class: nameOf(CLASSES, classCode, 'CLASS') }),
+        data: readRdata(reader, data, type, rdataStart, length)
+      };
+      message[section].push(record);
+      groups.push({
+        section,
+        summary: `${record.name} ${ttl} ${record.class || 'IN'} ${type} ${record.data}`,
+        fields: [
+          nameField,
+          field(name.end, name.end + 2, 'TYPE', `${type} (${typeCode})`),
+          field(name.end + 2, name.end + 4, 'CLASS', record.class || 'IN'),
+          field(name.end + 4, name.end + 8, 'TTL', ttl),
+          field(name.end + 8, rdataStart, 'RDLENGTH', length),
+          ...(length ? [field(rdataStart, offset, 'RDATA', record.data)] : [])
+        ]
+      });
+    }
+  });
+
+  if (offset !== data.length) throw new Error(`${data.length - offset} bytes left over after the last record`);
+
+  message.status = nameOf(RCODES, rcode, 'RCODE');
+  header.summary = `id ${id}, ${flagNames ? `flags ${flagNames}, ` : ''}${message.status}`;
+  return { message, groups };
+};
@@ -0,0 +1,581 @@
+/**
+ * Simulated DNS Sandbox
+ *
+ * An offline, deterministic DNS hierarchy built from the session's lab
+ * environment: root servers, a TLD server per TLD in use, authoritative
+ * servers for each domain and a caching recursive resolver at the lab's DNS
+ * address, which also serves the lab's reverse zone. dig-style commands typed into the
+ * sandbox are answered with realistic dig output - header flags, sections,
+ * TTLs counting down in the resolver cache and +trace delegation steps.
+ *
+ * Everything random (message ids, latencies) comes from the seeded PRNG, so
+ * the same environment and seed always produce the same output.
+ *
+ * Troubleshooting scenarios break the hierarchy on purpose: faults remove
+ * records from the zones or add wrong ones before the first query.
+ */
+
+import { createRng } from './random';
+import { parseCommand } from './digCommand';
+import { encodeMessage } from './dnsMessage';
+
+const DIG_VERSION = '9.18.24';
+const DEFAULT_BUFSIZE = 1232;
+
+// Simulated wall clock starts here; each command advances it a little
+const EPOCH = Date.UTC(2024, 5, 3, 9, 0, 0);
+const SECONDS_PER_COMMAND = 2;
+
+const ROOT_SERVERS = [
+  { name: 'a.root-servers.net.', ip: '198.41.0.4' },
+  { name: 'b.root-servers.net.', ip: '170.247.170.2' }
+];
+
+/**
+ * @typedef {Object} SimRecord
+ * @property {string} name - Absolute owner name with trailing dot
+ * @property {number} ttl
+ * @property {string} type
+ * @property {string} data - Presentation-format RDATA
+ */
+
+/**
+ * @typedef {Object} SimMessage
+ * @property {number} id
+ * @property {'NOERROR' | 'NXDOMAIN' | 'REFUSED' | 'SERVFAIL'} status
+ * @property {{ qr: boolean, aa: boolean, tc: boolean, rd: boolean, ra: boolean }} flags
+ * @property {{ name: string, type: string }} question
+ * @property {SimRecord[]} answer
+ * @property {SimRecord[]} authority
+ * @property {SimRecord[]} additional
+ */
+
+/**
+ * Changes to the healthy hierarchy, applied to whichever zones hold the
+ * names. Names are absolute or relative to the root.
+ *
+ * @typedef {Object} SandboxFaults
+ * @property {{ name: string, type?: string }[]} [remove] - Records to delete;
+ *   without a type, every record at the name
+ * @property {{ name: string, type: string, data: string, ttl?: number }[]} [add] - Records
+ *   to add to the closest enclosing zone; `ttl` defaults to 300
+ */
+
+const fqdn = (name) => {
+  const lower = name.toLowerCase();
+  return lower.endsWith('.') ? lower : `${lower}.`;
+};
+
+const parentOf = (name) => (name === '.' ? null : name.slice(name.indexOf('.') + 1) || '.');
+
+const isAtOrBelow = (name, zone) => zone === '.' || name === zone || name.endsWith(`.${zone}`);
+
+const record = (name, ttl, type, data) => ({ name: fqdn(name), ttl, type, data });
+
+const soaRecord = (zone, mname, rname, minimum, ttl = 3600) =>
+  record(zone, ttl, 'SOA', `${mname} ${rname} 2024060301 7200 900 1209600 ${minimum}`);
+
+/**
+ * Build the zones and servers for the session's environment.
+ */
+const buildHierarchy = (environment) => {
+  const servers = [];
+  const domainNames = [...new Set([environment.primary, environment.secondary, environment.example].map(fqdn))];
+  const tlds = [...new Set(domainNames.map(parentOf))];
+
+  const rootZone = {
+    origin: '.',
+    records: [
+      soaRecord('.', 'a.root-servers.net.', 'nstld.verisign-grs.com.', 86400, 86400),
+      ...ROOT_SERVERS.map((server) => record('.', 518400, 'NS', server.name)),
+      ...ROOT_SERVERS.map((server) => record(server.name, 518400, 'A', server.ip))
+    ]
+  };
+  ROOT_SERVERS.forEach((server) => servers.push({ ...server, kind: 'root', zones: [rootZone] }));
+
+  tlds.forEach((tld, tldIndex) => {
+    const nsName = `a.nic.${tld}`;
+    const nsIp = `192.0.2.${10 + tldIndex}`;
+    rootZone.records.push(record(tld, 172800, 'NS', nsName), record(nsName, 172800, 'A', nsIp));
+
+    const tldZone = {
+      origin: tld,
+      records: [
+        soaRecord(tld, nsName, `hostmaster.nic.${tld}`, 3600, 900),
+        record(tld, 172800, 'NS', nsName),
+        record(nsName, 172800, 'A', nsIp)
+      ]
+    };
+    servers.push({ name: nsName, ip: nsIp, kind: 'tld', zones: [tldZone] });
+
+    domainNames.filter((domain) => parentOf(domain) === tld).forEach((domain) => {
+      const index = domainNames.indexOf(domain);
+      const nameservers = [
+        { name: `ns1.${domain}`, ip: `203.0.113.${53 + index * 2}` },
+        { name: `ns2.${domain}`, ip: `198.51.100.${53 + index * 2}` }
+      ];
+      nameservers.forEach((ns) => {
+        tldZone.records.push(record(domain, 172800, 'NS', ns.name), record(ns.name, 172800, 'A', ns.ip));
+      });
+
+      const zone = { origin: domain, records: buildDomainZone(domain, nameservers, index, environment) };
+      nameservers.forEach((ns) => servers.push({ ...ns, kind: 'auth', zones: [zone] }));
+    });
+  });
+
+  servers.push({ name: 'resolver.', ip: environment.dnsIp, kind: 'resolver', zones: [buildReverseZone(environment)] });
+  return { servers };
+};
+
+// Zones are shared by the servers that host them, so each is changed once
+const applyFaults = (servers, { remove = [], add = [] }) => {
+  const zones = [...new Set(servers.flatMap((server) => server.zones))];
+  remove.forEach((fault) => {
+    const name = fqdn(fault.name);
+    zones.forEach((zone) => {
+      zone.records = zone.records.filter((r) => r.name !== name || (fault.type && r.type !== fault.type.toUpperCase()));
+    });
+  });
+  add.forEach((fault) => {
+    const name = fqdn(fault.name);
+    const zone = zones
+      .filter((z) => isAtOrBelow(name, z.origin))
+      .sort((a, b) => b.origin.length - a.origin.length)[0];
+    zone.records.push(record(name, fault.ttl ?? 300, fault.type.toUpperCase(), fault.data));
+  });
+};
+
+const buildDomainZone = (domain, nameservers, index, environment) => {
+  const web = `203.0.113.${10 + index * 20}`;
+  const records = [
+    soaRecord(domain, nameservers[0].name, `hostmaster.${domain}`, 300),
+    ...nameservers.map((ns) => record(domain, 86400, 'NS', ns.name)),
+    ...nameservers.map((ns) => record(ns.name, 86400, 'A', ns.ip)),
+    record(domain, 300, 'A', web),
+    record(domain, 3600, 'MX', `10 mail.${domain}`),
+    record(domain, 3600, 'TXT', '"v=spf1 mx -all"'),
+    record(`www.${domain}`, 3600, 'CNAME', domain),
+    record(`mail.${domain}`, 3600, 'A', `203.0.113.${11 + index * 20}`)
+  ];
+
+  // The homelab domain also carries the OKD cluster records
+  if (domain === fqdn(environment.primary)) {
+    const cluster = fqdn(environment.cluster);
+    records.push(
+      record(`dns.${domain}`, 3600, 'A', environment.dnsIp),
+      record(`dns.${domain}`, 3600, 'AAAA', environment.dnsIp6),
+      record(`api.${cluster}`, 300, 'A', environment.apiIp),
+      record(`api.${cluster}`, 300, 'AAAA', environment.apiIp6),
+      record(`api-int.${cluster}`, 300, 'A', environment.apiIp),
+      record(`*.apps.${cluster}`, 300, 'A', environment.ingressIp),
+      record(`*.apps.${cluster}`, 300, 'AAAA', environment.ingressIp6),
+      record(`master01.${cluster}`, 300, 'A', environment.nodeIp)
+    );
+  }
+  return records;
+};
+
+/**
+ * The lab's in-addr.arpa zone, served by the internal DNS server itself.
+ */
+const buildReverseZone = (environment) => {
+  const origin = fqdn(environment.reverseZone);
+  const nameserver = fqdn(`dns.${environment.primary}`);
+  const ptr = (ip, target) => record(`${ip.split('.').pop()}.${origin}`, 3600, 'PTR', fqdn(target));
+  return {
+    origin,
+    records: [
+      soaRecord(origin, nameserver, fqdn(`hostmaster.${environment.primary}`), 3600),
+      record(origin, 86400, 'NS', nameserver),
+      ptr(environment.dnsIp, nameserver),
+      ptr(environment.apiIp, `api.${environment.cluster}`),
+      ptr(environment.nodeIp, `master01.${environment.cluster}`)
+    ]
+  };
+};
+
+/**
+ * Answer a query the way an authoritative (non-recursive) server would:
+ * an authoritative answer, a referral to a child zone, NXDOMAIN/NODATA with
+ * the SOA, or REFUSED for names outside its zones.
+ */
+const answerAuthoritatively = (server, name, type) => {
+  const zone = server.zones
+    .filter((z) => isAtOrBelow(name, z.origin))
+    .sort((a, b) => b.origin.length - a.origin.length)[0];
+  const empty = { answer: [], authority: [], additional: [] };
+
+  if (!zone) return { ...empty, status: 'REFUSED', aa: false };
+
+  const soa = zone.records.filter((r) => r.type === 'SOA');
+  const glueFor = (nsRecords) =>
+    nsRecords.flatMap((ns) => zone.records.filter((r) => r.name === ns.data && (r.type === 'A' || r.type === 'AAAA')));
+
+  // Walk down from the zone apex looking for a delegation point
+  const labels = name === '.' ? [] : name.slice(0, -1).split('.');
+  for (let i = labels.length - 1; i >= 0; i--) {
+    const candidate = `${labels.slice(i).join('.')}.`;
+    if (candidate === zone.origin || !isAtOrBelow(candidate, zone.origin)) continue;
+    const cut = zone.records.filter((r) => r.name === candidate && r.type === 'NS');
+    if (cut.length > 0 && !(candidate === name && type === 'DS')) {
+      return { ...empty, status: 'NOERROR', aa: false, authority: cut, additional: glueFor(cut) };
+    }
+  }
+
+  if (type === 'AXFR') {
+    return { ...empty, status: 'NOERROR', aa: true, answer: [...soa, ...zone.records.filter((r) => r.type !== 'SOA'), ...soa] };
+  }
+
+  const lookup = (owner) => {
+    const exact = zone.records.filter((r) => r.name === owner);
+    if (exact.length > 0) return exact;
+    // Wildcard: *.<closest existing parent>
+    let parent = parentOf(owner);
+    while (parent && isAtOrBelow(parent, zone.origin)) {
+      const wildcard = zone.records.filter((r) => r.name === `*.${parent}`);
+      if (wildcard.length > 0) return wildcard.map((r) => ({ ...r, name: owner }));
+      if (zone.records.some((r) => r.name === parent)) break;
+      parent = parentOf(parent);
+    }
+    return [];
+  };
+
+  const answer = [];
+  let owner = name;
+  for (let hops = 0; hops < 8; hops++) {
+    const found = lookup(owner);
+    const matching = type === 'ANY' ? found : found.filter((r) => r.type === type);
+    if (matching.length > 0) {
+      answer.push(...matching);
+      break;
+    }
+    const cname = found.find((r) => r.type === 'CNAME');
+    if (!cname) {
+      if (answer.length === 0) {
+        const exists = found.length > 0 || zone.records.some((r) => r.name.endsWith(`.${owner}`));
+        return { ...empty, status: exists ? 'NOERROR' : 'NXDOMAIN', aa: true, authority: soa };
+      }
+      break;
+    }
+    answer.push(cname);
+    owner = cname.data;
+    if (!isAtOrBelow(owner, zone.origin)) break;
+  }
+
+  const additional = answer
+    .filter((r) => r.type === 'NS' || r.type === 'MX')
+    .flatMap((r) => zone.records.filter((a) => a.name === r.data.split(' ').pop() && a.type === 'A'));
+
+  return { ...empty, status: 'NOERROR', aa: true, answer, additional };
+};
+
+const negativeTtl = (soa) => (soa ? Math.min(soa.ttl, Number(soa.data.split(' ').pop())) : 0);
+
+/**
+ * Create a sandbox for one scenario.
+ *
+ * @param {import('./environment').LabEnvironment} environment
+ * @param {string | number} seed
+ * @param {SandboxFaults} [faults] - What a troubleshooting scenario breaks
+ */
+export const createSandbox = (environment, seed, faults = {}) => {
+  const { servers } = buildHierarchy(environment);
+  applyFaults(servers, faults);
+  const rng = createRng(seed, 'sandbox');
+  const cache = new Map();
+  let clock = 0;
+
+  const latency = (min, max) => min + Math.floor(rng() * (max - min + 1));
+  const nextId = () => Math.floor(rng() * 65536);
+
+  const findServer = (nameOrIp) => {
+    if (!nameOrIp) return servers.find((s) => s.kind === 'resolver');
+    const key = nameOrIp.toLowerCase();
+    return servers.find((s) => s.ip === key || s.name === fqdn(key));
+  };
+
+  const cacheGet = (name, type) => {
+    const entry = cache.get(`${name}|${type}`);
+    if (!entry || entry.expires <= clock) return null;
+    const remaining = entry.expires - clock;
+    return {
+      ...entry,
+      records: entry.records.map((r) => ({ ...r, ttl: Math.min(r.ttl, remaining) })),
+      authority: entry.authority.map((r) => ({ ...r, ttl: Math.min(r.ttl, remaining) }))
+    };
+  };
+
+  const cachePut = (name, type, entry, ttl) => {
+    if (ttl > 0) cache.set(`${name}|${type}`, { ...entry, expires: clock + ttl });
+  };
+
+  /**
+   * Iterative resolution from the root, as the recursive resolver does it.
+   * Returns the final response plus every step taken, for +trace.
+   */
+  const iterate = (name, type) => {
+    const steps = [];
+    let current = ROOT_SERVERS.map((root) => findServer(root.ip));
+    for (let depth = 0; depth < 10; depth++) {
+      const server = current[0];
+      const response = answerAuthoritatively(server, name, type);
+      steps.push({ server, response, time: latency(8, 40) });
+      if (response.answer.length > 0 || response.authority.every((r) => r.type !== 'NS')) {
+        return { response, steps };
+      }
+      const next = response.authority.map((ns) => findServer(ns.data)).filter(Boolean);
+      if (next.length === 0) break;
+      current = next;
+    }
+    return { response: { status: 'SERVFAIL', aa: false, answer: [], authority: [], additional: [] }, steps };
+  };
+
+  const resolve = (name, type, depth = 0) => {
+    const cached = cacheGet(name, type);
+    if (cached) return { ...cached, answer: cached.records, time: 0, additional: [] };
+
+    const { response, steps } = iterate(name, type);
+    const time = steps.reduce((sum, step) => sum + step.time, 0);
+
+    if (response.status === 'NXDOMAIN' || (response.status === 'NOERROR' && response.answer.length === 0)) {
+      cachePut(name, type, { status: response.status, records: [], authority: response.authority }, negativeTtl(response.authority[0]));
+      return { status: response.status, answer: [], authority: response.authority, additional: [], time };
+    }
+
+    let answer = response.answer;
+    const last = answer[answer.length - 1];
+    // Chase a CNAME that leaves the zone
+    if (last && last.type === 'CNAME' && type !== 'CNAME' && depth < 5) {
+      const chased = resolve(last.data, type, depth + 1);
+      answer = [...answer, ...chased.answer];
+    }
+
+    const ttl = Math.min(...answer.map((r) => r.ttl));
+    cachePut(name, type, { status: response.status, records: answer, authority: [] }, ttl);
+    return { status: response.status, answer, authority: [], additional: [], time };
+  };
+
+  /**
+   * Send one query to a server.
+   *
+   * @returns {SimMessage & { time: number, server: Object }}
+   */
+  const query = (server, name, type, { rd = true } = {}) => {
+    const id = nextId();
+    const question = { name, type };
+    // The resolver answers its own local zones (the lab's reverse zone) directly
+    const isLocal = server.zones.some((zone) => isAtOrBelow(name, zone.origin));
+
+    if (server.kind === 'resolver' && !isLocal) {
+      if (type === 'AXFR') {
+        return { id, status: 'REFUSED', flags: { qr: true, aa: false, tc: false, rd, ra: true }, question, answer: [], authority: [], additional: [], time: 1, server };
+      }
+      const result = rd ? resolve(name, type) : { ...(cacheGet(name, type) || { status: 'NOERROR', records: [], authority: [] }), time: 0 };
+      return {
+        id,
+        status: result.status,
+        flags: { qr: true, aa: false, tc: false, rd, ra: true },
+        question,
+        answer: result.answer || result.records || [],
+        authority: result.authority || [],
+        additional: result.additional || [],
+        time: result.time,
+        server
+      };
+    }
+
+    const response = answerAuthoritatively(server, name, type);
+    return {
+      id,
+      status: response.status,
+      flags: { qr: true, aa: response.aa, tc: false, rd, ra: server.kind === 'resolver' },
+      question,
+      answer: response.answer,
+      authority: response.authority,
+      additional: response.additional,
+      time: isLocal && server.kind === 'resolver' ? 1 : latency(8, 40),
+      server
+    };
+  };
+
+  /**
+   * Run a dig command line and return its output.
+   */
+  const run = (line) => {
+    clock += SECONDS_PER_COMMAND;
+    let command;
+    try {
+      command = parseCommand(line);
+    } catch (e) {
+      return `;; ${e.message}`;
+    }
+    if (command.tool !== 'dig') {
+      return ';; The sandbox only speaks dig - try the same query with dig';
+    }
+
+    const server = findServer(command.server);
+    if (!server) {
+      return `;; communications error to ${command.server}#53: timed out\n;; no servers could be reached`;
+    }
+
+    const options = digOptions(command.flags);
+    const name = fqdn(command.name);
+    const context = { line, command, options, clock };
+
+    if (options.trace) {
+      return formatTrace(context, query(findServer(null), '.', 'NS'), iterate(name, command.type).steps);
+    }
+    if (command.type === 'AXFR') {
+      return formatTransfer(context, query(server, name, 'AXFR', { rd: false }));
+    }
+    return formatResponse(context, query(server, name, command.type, { rd: options.recurse }));
+  };
+
+  return {
+    run,
+    servers,
+    /** Move the simulated clock forward, e.g. to let cached records expire */
+    advance: (seconds) => {
+      clock += seconds;
+    },
+    flushCache: () => cache.clear()
+  };
+};
+
+/**
+ * Turn the normalized dig flags into output and query options.
+ */
+const digOptions = (flags) => {
+  const options = {
+    recurse: true,
+    trace: false,
+    short: false,
+    tcp: false,
+    dnssec: false,
+    bufsize: DEFAULT_BUFSIZE,
+    sections: { cmd: true, comments: true, question: true, answer: true, authority: true, additional: true, stats: true }
+  };
+
+  // parseCommand sorts the flags, so apply +[no]all before the per-section
+  // toggles as dig does for `+noall +answer`
+  const isAll = (flag) => flag === '+all' || flag === '+noall';
+  [...flags.filter(isAll), ...flags.filter((flag) => !isAll(flag))].forEach((flag) => {
+    const [rawName, value] = flag.slice(1).split('=');
+    const negated = rawName.startsWith('no');
+    const name = negated ? rawName.slice(2) : rawName;
+
+    if (name === 'all') {
+      Object.keys(options.sections).forEach((section) => {
+        options.sections[section] = !negated;
+      });
+    } else if (name in options.sections) {
+      options.sections[name] = !negated;
+    } else if (name === 'recurse') options.recurse = !negated;
+    else if (name === 'trace') options.trace = !negated;
+    else if (name === 'short') options.short = !negated;
+    else if (name === 'tcp') options.tcp = !negated;
+    else if (name === 'dnssec') options.dnssec = !negated;
+    else if (name === 'bufsize' && value) options.bufsize = Number(value);
+  });
+
+  return options;
+};
+
+const pad = (name) => name + '\t'.repeat(Math.max(1, Math.ceil((24 - name.length) / 8)));
+
+const formatRecord = (r) => `${pad(r.name)}${r.ttl}\tIN\t${r.type}\t${r.data}`;
+
+const formatWhen = (clock) => {
+  const date = new Date(EPOCH + clock * 1000);
+  const [weekday, , , , time] = date.toUTCString().replace(',', '').split(' ');
+  const month = date.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${weekday} ${month} ${day} ${time} UTC ${date.getUTCFullYear()}`;
+};
+
+// Size of the message on the wire, with the OPT record dig adds
+const messageSize = (message, bufsize = DEFAULT_BUFSIZE) =>
+  encodeMessage({ id: 0, flags: {}, ...message, edns: { udpSize: bufsize } }).length;
+
+const serverLabel = (server) => `${server.ip}#53(${server.kind === 'resolver' ? server.ip : server.name.replace(/\.$/, '')})`;
+
+const formatResponse = ({ line, options, clock }, message) => {
+  if (options.short) {
+    return message.answer.map((r) => r.data).join('\n');
+  }
+
+  const { sections } = options;
+  const out = [];
+  const flagNames = ['qr', 'aa', 'tc', 'rd', 'ra'].filter((flag) => message.flags[flag]);
+
+  if (sections.cmd) {
+    out.push(`; <<>> DiG ${DIG_VERSION} <<>> ${line.trim().replace(/^\$?\s*dig\s*/i, '')}`);
+    out.push(';; global options: +cmd');
+  }
+  if (sections.comments) {
+    out.push(';; Got answer:');
+    out.push(`;; ->>HEADER<<- opcode: QUERY, status: ${message.status}, id: ${message.id}`);
+    out.push(
+      `;; flags: ${flagNames.join(' ')}; QUERY: 1, ANSWER: ${message.answer.length}, ` +
+      `AUTHORITY: ${message.authority.length}, ADDITIONAL: ${message.additional.length + 1}`
+    );
+    if (message.flags.rd && !message.flags.ra) {
+      out.push(';; WARNING: recursion requested but not available');
+    }
+    out.push('');
+    out.push(';; OPT PSEUDOSECTION:');
+    out.push(`; EDNS: version: 0, flags:${options.dnssec ? ' do' : ''}; udp: ${options.bufsize}`);
+  }
+  if (sections.question) {
+    if (sections.comments) out.push(';; QUESTION SECTION:');
+    out.push(`;${pad(message.question.name)}\tIN\t${message.question.type}`);
+  }
+
+  [['answer', 'ANSWER'], ['authority', 'AUTHORITY'], ['additional', 'ADDITIONAL']].forEach(([key, title]) => {
+    if (!sections[key] || message[key].length === 0) return;
+    if (sections.comments) out.push('', `;; ${title} SECTION:`);
+    out.push(...message[key].map(formatRecord));
+  });
+
+  if (sections.stats) {
+    out.push('');
+    out.push(`;; Query time: ${message.time} msec`);
+    out.push(`;; SERVER: ${serverLabel(message.server)} (${options.tcp ? 'TCP' : 'UDP'})`);
+    out.push(`;; WHEN: ${formatWhen(clock)}`);
+    out.push(`;; MSG SIZE  rcvd: ${messageSize(message, options.bufsize)}`);
+  }
+
+  return out.join('\n');
+};
+
+const formatTransfer = ({ line, options, clock }, message) => {
+  const out = [`; <<>> DiG ${DIG_VERSION} <<>> ${line.trim().replace(/^\$?\s*dig\s*/i, '')}`, ';; global options: +cmd'];
+  if (message.status !== 'NOERROR' || message.answer.length === 0) {
+    out.push('; Transfer failed.');
+    return out.join('\n');
+  }
+  out.push(...message.answer.map(formatRecord));
+  if (options.sections.stats) {
+    out.push(`;; Query time: ${message.time} msec`);
+    out.push(`;; SERVER: ${serverLabel(message.server)} (TCP)`);
+    out.push(`;; WHEN: ${formatWhen(clock)}`);
+    out.push(`;; XFR size: ${message.answer.length} records (messages 1, bytes ${messageSize(message)})`);
+  }
+  return out.join('\n');
+};
+
+const formatTrace = ({ line, command }, rootQuery, steps) => {
+  const out = [`; <<>> DiG ${DIG_VERSION} <<>> ${line.trim().replace(/^\$?\s*dig\s*/i, '')}`, ';; global options: +cmd'];
+
+  out.push(...rootQuery.answer.map(formatRecord));
+  out.push(`;; Received ${messageSize(rootQuery)} bytes from ${serverLabel(rootQuery.server)} in ${rootQuery.time} ms`, '');
+
+  steps.forEach(({ server, response, time }) => {
+    const shown = response.answer.length > 0 ? response.answer : response.authority;
+    out.push(...shown.map(formatRecord));
+    const message = { question: { name: fqdn(command.name), type: command.type }, ...response };
+    out.push(`;; Received ${messageSize(message)} bytes from ${serverLabel(server)} in ${time} ms`, '');
+  });
+
+  return out.join('\n').trimEnd();
+};
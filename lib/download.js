@@ -0,0 +1,41 @@
+/**
+ * File Downloads
+ *
+ * Saves generated text (exports of attempts and question sets) as a file
+ * through a temporary object URL. Does nothing outside the browser.
+ */
+
+/**
+ * @param {string} fileName
+ * @param {string} contents
+ * @param {string} [type] - MIME type
+ */
+export const downloadFile = (fileName, contents, type = 'text/plain') => {
+  if (typeof document === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) return;
+
+  const url = URL.createObjectURL(new Blob([contents], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Read a file picked in an <input type="file"> as text.
+ *
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readFileAsText = (file) =>
+  typeof file.text === 'function'
+    ? file.text()
+    : new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+      });
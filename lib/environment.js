@@ -0,0 +1,197 @@
+/**
+ * Lab Environment
+ *
+ * Generates the fake homelab every question is written against: domain
+ * names, the OKD cluster, an RFC 1918 /24 with its in-addr.arpa reverse
+ * zone, an IPv6 ULA prefix (RFC 4193) and the addresses of the lab's hosts.
+ * The parts are derived from each other - the reverse zone from the subnet,
+ * the ULA /64 from the subnet's third octet, each host's IPv6 address from
+ * its IPv4 host number - so a question about the DNS server and another
+ * about its PTR record talk about the same machine.
+ *
+ * The result is a flat object of strings; each key is also a question
+ * placeholder (see lib/questionSet.js). Pass a seeded rng from
+ * lib/random.js to make it reproducible, and withPinnedEnvironment to swap
+ * in a team's real names and networks.
+ */
+
+import { pick } from './random';
+
+const domainWords = ['stellar', 'quantum', 'nexus', 'apex', 'zenith', 'vertex', 'pulse', 'forge', 'orbit', 'prism'];
+const tlds = ['.com', '.org', '.net', '.pro', '.cloud', '.tech', '.io', '.dev', '.app', '.site'];
+const clusterNames = ['okd', 'ocp', 'lab', 'k8s', 'prod', 'dev', 'edge', 'core'];
+
+/** Hosts with a fixed role in the lab; each gets `<role>Ip` and `<role>Ip6`. */
+export const HOST_ROLES = ['dns', 'api', 'ingress', 'web', 'mail', 'node'];
+
+/**
+ * @typedef {Object} LabEnvironment
+ * @property {string} primary - Main homelab domain, e.g. 'stellar.io'
+ * @property {string} cluster - OKD cluster subdomain, '<clusterName>.<primary>'
+ * @property {string} clusterName - e.g. 'okd'
+ * @property {string} secondary - Public website domain
+ * @property {string} example - Generic example domain
+ * @property {string} subdomain - Name part of primary
+ * @property {string} tld - TLD of primary, with leading dot
+ * @property {string} secondaryName - Name part of secondary
+ * @property {string} secondaryTld - TLD of secondary, without leading dot
+ * @property {string} subnet - Lab network, e.g. '10.0.1.0/24'
+ * @property {string} reverseZone - e.g. '1.0.10.in-addr.arpa'
+ * @property {string} ulaPrefix - Site ULA prefix, e.g. 'fd3c:91a2:7e04::/48'
+ * @property {string} ulaSubnet - Lab network's /64, e.g. 'fd3c:91a2:7e04:1::/64'
+ * @property {string} dnsIp - Internal BIND server and recursive resolver
+ * @property {string} apiIp - OKD API load balancer
+ * @property {string} ingressIp - OKD ingress controller
+ * @property {string} webIp - Internal web server
+ * @property {string} mailIp - Mail server
+ * @property {string} nodeIp - A cluster node
+ * @property {string} nodeReverse - In-addr.arpa name of nodeIp
+ */
+
+const randomInt = (max, rng) => Math.floor(rng() * max);
+
+const randomHex = (digits, rng) =>
+  Array.from({ length: digits }, () => randomInt(16, rng).toString(16)).join('');
+
+/**
+ * The reverse lookup name of an IPv4 address, as dig -x builds it.
+ *
+ * @param {string} ip - e.g. '10.0.1.11'
+ * @returns {string} e.g. '11.1.0.10.in-addr.arpa'
+ */
+export const reverseName = (ip) => `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+
+const parseSubnet = (subnet) => {
+  const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.0\/24$/.exec(subnet);
+  if (!match || match.slice(1).some((octet) => Number(octet) > 255)) {
+    throw new Error(`Lab subnet must be an IPv4 /24 such as 10.0.1.0/24, got "${subnet}"`);
+  }
+  return match.slice(1).join('.');
+};
+
+const parseUlaPrefix = (prefix) => {
+  const match = /^(fd[0-9a-f]{2}:[0-9a-f]{1,4}:[0-9a-f]{1,4})::\/48$/i.exec(prefix);
+  if (!match) {
+    throw new Error(`ULA prefix must be a /48 under fd00::/8 such as fd3c:91a2:7e04::/48, got "${prefix}"`);
+  }
+  return match[1].toLowerCase();
+};
+
+/**
+ * Lay out the addressing for a /24 network ('10.0.1') and ULA /48
+ * ('fd3c:91a2:7e04'). Host numbers are the last octet of each role's IPv4
+ * address and are reused as the interface id of its IPv6 address.
+ */
+const addressing = (network, ula, hostNumbers) => {
+  const ulaNetwork = `${ula}:${Number(network.split('.')[2]).toString(16)}`;
+  const hosts = {};
+  HOST_ROLES.forEach((role) => {
+    hosts[`${role}Ip`] = `${network}.${hostNumbers[role]}`;
+    hosts[`${role}Ip6`] = `${ulaNetwork}::${hostNumbers[role]}`;
+  });
+
+  return {
+    subnet: `${network}.0/24`,
+    reverseZone: reverseName(network),
+    ulaPrefix: `${ula}::/48`,
+    ulaSubnet: `${ulaNetwork}::/64`,
+    ...hosts,
+    nodeReverse: reverseName(hosts.nodeIp)
+  };
+};
+
+const splitDomain = (domain) => [domain.slice(0, domain.indexOf('.')), domain.slice(domain.indexOf('.'))];
+
+const naming = (primary, secondary, example, clusterName) => ({
+  primary,
+  cluster: `${clusterName}.${primary}`,
+  clusterName,
+  secondary,
+  example,
+  subdomain: splitDomain(primary)[0],
+  tld: splitDomain(primary)[1],
+  secondaryName: splitDomain(secondary)[0],
+  secondaryTld: splitDomain(secondary)[1].slice(1)
+});
+
+/**
+ * Generate a lab environment.
+ *
+ * @param {() => number} [rng]
+ * @returns {LabEnvironment}
+ */
+export const generateEnvironment = (rng = Math.random) => {
+  const getRandomDomain = () => pick(domainWords, rng) + pick(tlds, rng);
+
+  const getUniqueDomain = (existing) => {
+    let domain;
+    do {
+      domain = getRandomDomain();
+    } while (existing.includes(domain));
+    return domain;
+  };
+
+  const primary = getRandomDomain();
+  const secondary = getUniqueDomain([primary]);
+  const example = getUniqueDomain([primary, secondary]);
+  const clusterName = pick(clusterNames, rng);
+
+  // One /24 from each of the three RFC 1918 blocks is equally likely
+  const network = pick([
+    () => `10.${randomInt(256, rng)}.${randomInt(256, rng)}`,
+    () => `172.${16 + randomInt(16, rng)}.${randomInt(256, rng)}`,
+    () => `192.168.${randomInt(256, rng)}`
+  ], rng)();
+  const ula = `fd${randomHex(2, rng)}:${randomHex(4, rng)}:${randomHex(4, rng)}`;
+
+  // The DNS server sits low in the range, the rest on distinct addresses above it
+  const hostNumbers = { dns: 1 + randomInt(9, rng) };
+  const taken = new Set();
+  HOST_ROLES.slice(1).forEach((role) => {
+    let number;
+    do {
+      number = 10 + randomInt(90, rng);
+    } while (taken.has(number));
+    taken.add(number);
+    hostNumbers[role] = number;
+  });
+
+  return {
+    ...naming(primary, secondary, example, clusterName),
+    ...addressing(network, ula, hostNumbers)
+  };
+};
+
+/**
+ * Override parts of a generated environment, e.g. with a team's real
+ * homelab naming. Derived values follow what is pinned unless they are
+ * pinned too: the cluster follows primary and clusterName, the reverse zone
+ * and host addresses follow subnet, the ULA /64 and host IPv6 addresses
+ * follow ulaPrefix, and nodeReverse follows nodeIp. A pinned host address
+ * also pins that host's number for its IPv6 address; the others keep their
+ * generated values.
+ *
+ * @param {LabEnvironment} generated - Result of generateEnvironment
+ * @param {Partial<LabEnvironment>} [pinned]
+ * @returns {LabEnvironment}
+ * @throws {Error} If subnet is not an IPv4 /24 or ulaPrefix is not a ULA /48
+ */
+export const withPinnedEnvironment = (generated, pinned) => {
+  if (!pinned) return generated;
+  const primary = pinned.primary || generated.primary;
+  const clusterName = pinned.clusterName || (pinned.cluster ? splitDomain(pinned.cluster)[0] : generated.clusterName);
+  const network = parseSubnet(pinned.subnet || generated.subnet);
+  const ula = parseUlaPrefix(pinned.ulaPrefix || generated.ulaPrefix);
+  const hostNumbers = Object.fromEntries(
+    HOST_ROLES.map((role) => [role, (pinned[`${role}Ip`] || generated[`${role}Ip`]).split('.').pop()])
+  );
+
+  const environment = {
+    ...generated,
+    ...naming(primary, pinned.secondary || generated.secondary, pinned.example || generated.example, clusterName),
+    ...addressing(network, ula, hostNumbers),
+    ...pinned
+  };
+  // A pinned nodeIp may lie outside the subnet
+  return { ...environment, nodeReverse: pinned.nodeReverse || reverseName(environment.nodeIp) };
+};
@@ -0,0 +1,66 @@
+/**
+ * Exam Mode
+ *
+ * Settings and grading for timed exams. Unlike a practice quiz, an exam
+ * keeps answers editable and hidden until it is submitted (or the time runs
+ * out), and the result is a plain pass/fail against a pass mark.
+ */
+
+import { authoredOption } from './shuffle';
+
+/**
+ * @typedef {Object} ExamSettings
+ * @property {number | null} timeLimit - Seconds for the whole exam, null for no limit
+ * @property {number | null} questionTimeLimit - Seconds per question, null for no
+ *   limit. A question locks once its time is used up.
+ * @property {number} passMark - Percentage needed to pass (0-100)
+ */
+
+/** @type {ExamSettings} */
+export const DEFAULT_EXAM = { timeLimit: 30 * 60, questionTimeLimit: null, passMark: 70 };
+
+/**
+ * Format a number of seconds as m:ss, or h:mm:ss from an hour up.
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Turn exam responses into answer records, one per question, in question
+ * order. Unanswered questions are recorded with a null choice.
+ *
+ * @param {Object[]} questions
+ * @param {Object<string, number>} responses - Chosen option index by question id
+ * @param {Object<string, number>} spent - Seconds spent by question id
+ * @param {Object<string, boolean>} flagged - Flagged question ids
+ * @returns {import('./storage').AnswerRecord[]}
+ */
+export const gradeExam = (questions, responses, spent = {}, flagged = {}) =>
+  questions.map((q) => {
+    const choice = responses[q.id] ?? null;
+    return {
+      questionId: q.id,
+      choice,
+      option: authoredOption(q, choice),
+      correct: choice === q.correct,
+      elapsedMs: (spent[q.id] || 0) * 1000,
+      ...(flagged[q.id] && { flagged: true })
+    };
+  });
+
+/**
+ * Compare a score against the pass mark. The exact score is compared, so
+ * 69.5% fails a 70% mark even though it is shown rounded up. The comparison
+ * stays in whole numbers: 29/50 as a percentage is 57.99999999999999.
+ *
+ * @returns {{ percent: number, passed: boolean }} percent is rounded for display
+ */
+export const examOutcome = (score, total, passMark) => {
+  if (total <= 0) return { percent: 0, passed: false };
+  return { percent: Math.round((score / total) * 100), passed: score * 100 >= passMark * total };
+};
@@ -0,0 +1,90 @@
+/**
+ * Internationalization
+ *
+ * Looks up UI strings in the per-locale catalogs in locales/, falling back
+ * to English for anything a catalog doesn't cover, and formats numbers and
+ * percentages for the locale with Intl. Question content is translated by
+ * the question set itself (see localizeQuestionSet in lib/questionSet.js).
+ *
+ * Catalog entries are plain strings with {name} parameters, or objects of
+ * plural forms ({ one, other }) chosen by the `count` parameter.
+ */
+
+import en from '../locales/en';
+import de from '../locales/de';
+import ptBR from '../locales/pt-BR';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'pt-BR', label: 'Português (Brasil)' }
+];
+
+const CATALOGS = { en, de, 'pt-BR': ptBR };
+
+const PARAM_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Find a supported locale for a requested one: an exact match, then the
+ * same language in another region ('de-AT' -> 'de', 'pt' -> 'pt-BR').
+ *
+ * @param {string} [requested]
+ * @returns {string | null}
+ */
+export const matchLocale = (requested) => {
+  if (!requested) return null;
+  const lower = requested.toLowerCase();
+  const exact = LOCALES.find(({ code }) => code.toLowerCase() === lower);
+  if (exact) return exact.code;
+  const language = lower.split('-')[0];
+  const sameLanguage = LOCALES.find(({ code }) => code.toLowerCase().split('-')[0] === language);
+  return sameLanguage ? sameLanguage.code : null;
+};
+
+/**
+ * The first supported locale among the browser's preferred languages.
+ */
+export const detectLocale = (
+  languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []
+) => languages.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+
+/**
+ * @typedef {Object} Translator
+ * @property {string} locale
+ * @property {(key: string, params?: Object) => string} t
+ * @property {(value: number) => string} formatNumber
+ * @property {(percent: number) => string} formatPercent - Takes 0-100, e.g. 70 -> "70 %" in German
+ */
+
+/**
+ * Create the lookup and formatting functions for one locale.
+ *
+ * @param {string} [locale]
+ * @returns {Translator}
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE) => {
+  const catalog = CATALOGS[locale] || {};
+  const numbers = new Intl.NumberFormat(locale);
+  const percents = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 });
+  const plurals = new Intl.PluralRules(locale);
+
+  const t = (key, params = {}) => {
+    let entry = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+    if (typeof entry === 'object') {
+      entry = entry[plurals.select(params.count)] ?? entry.other;
+    }
+    return entry.replace(PARAM_PATTERN, (match, name) => {
+      if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+      return typeof params[name] === 'number' ? numbers.format(params[name]) : String(params[name]);
+    });
+  };
+
+  return {
+    locale,
+    t,
+    formatNumber: (value) => numbers.format(value),
+    formatPercent: (percent) => percents.format(percent / 100)
+  };
+};
@@ -0,0 +1,172 @@
+/**
+ * Item Analysis
+ *
+ * Cohort statistics for the instructor dashboard, computed from the
+ * completed attempts the dashboard server collects (see
+ * server/dashboardServer.mjs): each learner's history, and for every
+ * question the share answered correctly, its discrimination index, the
+ * average time taken and how often each option was chosen.
+ *
+ * The discrimination index is the classic upper-lower one: learners who
+ * answered the question are ranked by their attempt's score, and the share
+ * correct in the bottom 27% is taken from the share correct in the top 27%.
+ * Good questions score 0.3 or more; one near zero doesn't tell strong
+ * learners from weak ones, and a negative one - strong learners missing it
+ * more often - usually means a wrong answer key or a misleading option.
+ */
+
+/** Share of responders in each of the upper and lower groups. */
+export const GROUP_SHARE = 0.27;
+
+/** Fewer responses than this and the discrimination index is left out. */
+export const MIN_RESPONSES = 5;
+
+/** Discrimination below this is flagged as weak. */
+export const LOW_DISCRIMINATION = 0.2;
+
+/**
+ * An answer as the dashboard server stores it. `option` is the authored
+ * index of the chosen option (before shuffling), for multiple-choice questions.
+ *
+ * @typedef {Object} CollectedAnswer
+ * @property {string} questionId
+ * @property {number | null} option
+ * @property {boolean} correct
+ * @property {number} [credit]
+ * @property {number} elapsedMs
+ */
+
+/**
+ * @typedef {Object} CollectedAttempt
+ * @property {number} id
+ * @property {{ id: string, name: string }} learner
+ * @property {string} questionSetId
+ * @property {string} mode
+ * @property {string} date - ISO timestamp of completion
+ * @property {number} score
+ * @property {number} total
+ * @property {number} percent
+ * @property {boolean} [passed]
+ * @property {number} durationMs
+ * @property {CollectedAnswer[]} answers
+ */
+
+/**
+ * @typedef {Object} ItemStats
+ * @property {string} questionId
+ * @property {Object | null} question - The question from the set, null if the set no longer has it
+ * @property {number} responses
+ * @property {number | null} percentCorrect - 0-100, null without responses
+ * @property {number | null} discrimination - -1 to 1, null below MIN_RESPONSES
+ * @property {number | null} averageTimeMs
+ * @property {number[] | null} optionCounts - Times each authored option was chosen (multiple choice only)
+ * @property {number | null} topDistractor - The most chosen wrong option, if any was chosen
+ * @property {('distractor' | 'negative' | 'weak')[]} flags - 'distractor' when a wrong
+ *   option was chosen more often than the right one, 'negative' and 'weak' for the
+ *   discrimination index
+ */
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const share = (answers) => answers.filter((answer) => answer.correct).length / answers.length;
+
+const attemptShare = (attempt) => (attempt.total > 0 ? attempt.score / attempt.total : 0);
+
+/**
+ * Upper-lower discrimination index for one question's responses.
+ *
+ * @param {{ answer: CollectedAnswer, attempt: CollectedAttempt }[]} responses
+ * @returns {number | null}
+ */
+export const discriminationIndex = (responses) => {
+  if (responses.length < MIN_RESPONSES) return null;
+  const ranked = [...responses].sort((a, b) => attemptShare(b.attempt) - attemptShare(a.attempt));
+  const size = Math.max(1, Math.round(ranked.length * GROUP_SHARE));
+  const upper = ranked.slice(0, size).map(({ answer }) => answer);
+  const lower = ranked.slice(-size).map(({ answer }) => answer);
+  return round(share(upper) - share(lower), 2);
+};
+
+const optionStats = (question, answers) => {
+  if (!question || question.type !== 'choice') return { optionCounts: null, topDistractor: null };
+  const optionCounts = question.options.map(() => 0);
+  answers.forEach((answer) => {
+    if (Number.isInteger(answer.option) && answer.option >= 0 && answer.option < optionCounts.length) {
+      optionCounts[answer.option]++;
+    }
+  });
+  const topDistractor = optionCounts.reduce(
+    (top, count, index) => (index !== question.correct && count > 0 && (top === null || count > optionCounts[top]) ? index : top),
+    null
+  );
+  return { optionCounts, topDistractor };
+};
+
+/**
+ * Statistics for every question of the set, in set order, followed by any
+ * question ids the attempts answered that the set doesn't have (renamed or
+ * removed since).
+ *
+ * @param {Object[]} questions - The set's questions, unshuffled
+ * @param {CollectedAttempt[]} attempts
+ * @returns {ItemStats[]}
+ */
+export const analyzeItems = (questions, attempts) => {
+  const responses = new Map(questions.map((question) => [question.id, []]));
+  attempts.forEach((attempt) => {
+    attempt.answers.forEach((answer) => {
+      if (!responses.has(answer.questionId)) responses.set(answer.questionId, []);
+      responses.get(answer.questionId).push({ answer, attempt });
+    });
+  });
+
+  return [...responses.entries()].map(([questionId, itemResponses]) => {
+    const question = questions.find((q) => q.id === questionId) || null;
+    const answers = itemResponses.map(({ answer }) => answer);
+    const discrimination = discriminationIndex(itemResponses);
+    const { optionCounts, topDistractor } = optionStats(question, answers);
+
+    const flags = [];
+    if (topDistractor !== null && optionCounts[topDistractor] > optionCounts[question.correct]) flags.push('distractor');
+    if (discrimination !== null && discrimination < 0) flags.push('negative');
+    else if (discrimination !== null && discrimination < LOW_DISCRIMINATION) flags.push('weak');
+
+    return {
+      questionId,
+      question,
+      responses: answers.length,
+      percentCorrect: answers.length > 0 ? round(share(answers) * 100, 1) : null,
+      discrimination,
+      averageTimeMs: answers.length > 0 ? Math.round(answers.reduce((sum, answer) => sum + answer.elapsedMs, 0) / answers.length) : null,
+      optionCounts,
+      topDistractor,
+      flags
+    };
+  });
+};
+
+/**
+ * Each learner's attempts, newest first, with their best and latest score.
+ * Learners are sorted by name.
+ *
+ * @param {CollectedAttempt[]} attempts
+ * @returns {{ id: string, name: string, attempts: CollectedAttempt[], best: number, latest: number }[]}
+ */
+export const learnerHistories = (attempts) => {
+  const learners = new Map();
+  attempts.forEach((attempt) => {
+    if (!learners.has(attempt.learner.id)) learners.set(attempt.learner.id, { ...attempt.learner, attempts: [] });
+    learners.get(attempt.learner.id).attempts.push(attempt);
+  });
+  return [...learners.values()]
+    .map((learner) => {
+      const sorted = [...learner.attempts].sort((a, b) => b.date.localeCompare(a.date));
+      return {
+        ...learner,
+        attempts: sorted,
+        best: Math.max(...sorted.map((attempt) => attempt.percent)),
+        latest: sorted[0].percent
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
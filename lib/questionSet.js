@@ -0,0 +1,595 @@
+/**
+ * Question Set Format
+ *
+ * A question set is a plain object (or its JSON form) that DNSQuiz can load
+ * instead of the built-in bank. Domain names and lab addresses inside
+ * question text, options and explanations are written as {{placeholder}}
+ * tokens and are filled in from the session's environment (lib/environment.js)
+ * when the quiz renders.
+ *
+ * Available placeholders:
+ * - {{primary}}        Primary homelab domain (e.g. stellar.io)
+ * - {{cluster}}        OKD cluster subdomain (<clusterName>.<primary>)
+ * - {{clusterName}}    Cluster name (e.g. okd)
+ * - {{secondary}}      Public website domain
+ * - {{example}}        Generic example domain
+ * - {{subdomain}}      Name part of the primary domain
+ * - {{tld}}            TLD of the primary domain, with leading dot
+ * - {{secondaryName}}  Name part of the secondary domain
+ * - {{secondaryTld}}   TLD of the secondary domain, without leading dot
+ * - {{subnet}}         Lab network, an RFC 1918 /24 (e.g. 10.0.1.0/24)
+ * - {{reverseZone}}    Its reverse zone (e.g. 1.0.10.in-addr.arpa)
+ * - {{ulaPrefix}}      Site IPv6 ULA /48 (e.g. fd3c:91a2:7e04::/48)
+ * - {{ulaSubnet}}      Lab network's ULA /64 (e.g. fd3c:91a2:7e04:1::/64)
+ * - {{dnsIp}}          Internal BIND server and resolver; also apiIp,
+ *                      ingressIp, webIp, mailIp and nodeIp, each with an
+ *                      IPv6 twin ({{dnsIp6}} etc.)
+ * - {{nodeReverse}}    In-addr.arpa name of nodeIp
+ *
+ * A set can carry translations keyed by locale and question id. Translated
+ * text keeps the same {{placeholder}} tokens and anything not translated
+ * falls back to the set's own (English) text; see localizeQuestionSet.
+ *
+ * A set can also carry troubleshooting scenarios: case studies whose steps
+ * branch on the learner's choices (see lib/scenarios.js). Their text,
+ * commands and faults use the same placeholders.
+ *
+ * Sets are shared as JSON files. importQuestionSet validates a file against
+ * the schema in lib/questionSetSchema.js before loading it, and
+ * exportQuestionSet writes one back out with placeholders intact.
+ */
+
+import { QUESTION_SET_SCHEMA, validateSchema } from './questionSetSchema';
+import { shortestSolution } from './scenarios';
+
+/**
+ * @typedef {'beginner' | 'intermediate' | 'advanced'} Difficulty
+ */
+
+/**
+ * @typedef {Object} Topic
+ * @property {string} id - Stable topic identifier used in question tags
+ * @property {string} label - Display name
+ */
+
+/**
+ * @typedef {Object} CommandAnswer
+ * @property {string} prompt - Task the learner types a command for, may contain placeholders
+ * @property {string[]} answers - Accepted dig/nslookup commands, compared after
+ *   normalization (see lib/digCommand.js), may contain placeholders
+ */
+
+/**
+ * @typedef {Object} ZoneExercise
+ * @property {string} origin - Zone name, may contain placeholders
+ * @property {string} prompt - Task description, may contain placeholders
+ * @property {string} starter - Initial zone file text, may contain placeholders
+ * @property {import('./zoneFile').ZoneRequirement[]} [requirements] - Records the
+ *   finished zone must contain, may contain placeholders
+ */
+
+/**
+ * @typedef {Object} SandboxScenario
+ * @property {string} [prompt] - What to look for in the output, may contain placeholders
+ * @property {string[]} commands - dig commands run in the simulated DNS sandbox
+ *   (see lib/dnsSandbox.js) before the question is shown, may contain placeholders
+ */
+
+/**
+ * @typedef {Object} PacketExhibit
+ * @property {string} [prompt] - What to look at in the dump, may contain placeholders
+ * @property {'udp' | 'tcp'} [transport] - Defaults to 'udp'; over TCP the dump
+ *   starts with the two-byte message length
+ * @property {import('./dnsMessage').Message} message - The DNS message shown as
+ *   a hex dump (see lib/dnsMessage.js); names and record data may contain placeholders
+ */
+
+/**
+ * @typedef {Object} MatchPair
+ * @property {string} prompt - Left-hand side, e.g. a record type, may contain placeholders
+ * @property {string} answer - What it matches, may contain placeholders
+ */
+
+/**
+ * @typedef {'choice' | 'multi' | 'order' | 'match' | 'zone'} QuestionType
+ */
+
+/**
+ * @typedef {Object} Question
+ * @property {string} id - Stable identifier, unique within the set
+ * @property {QuestionType} [type] - Defaults to 'choice'
+ * @property {string[]} topics - Topic ids this question belongs to
+ * @property {Difficulty} difficulty
+ * @property {number} [rating] - IRT difficulty on the logit scale, about -3 (easy) to 3 (hard).
+ *   Drives adaptive mode; defaults from `difficulty` (see lib/adaptive.js)
+ * @property {string} question - Question text, may contain placeholders
+ * @property {string[]} [options] - Answer options for 'choice' and 'multi' questions, may contain placeholders
+ * @property {boolean} [fixedOptions] - Keep the options in authored order when shuffling, for
+ *   options that refer to others by letter
+ * @property {number | number[]} [correct] - Index into options of the correct answer;
+ *   for 'multi' questions, the indexes of every correct option
+ * @property {string[]} [items] - 'order' questions: the items in their correct order,
+ *   may contain placeholders. They are shown scrambled
+ * @property {MatchPair[]} [pairs] - 'match' questions: each prompt with its answer.
+ *   The answers are offered scrambled for every prompt
+ * @property {string} [hint] - A nudge learners can ask for in training attempts, at a cost;
+ *   may contain placeholders
+ * @property {string} explanation - Shown after answering, may contain placeholders
+ * @property {CommandAnswer} [command] - Optional typed-command alternative to the options
+ * @property {ZoneExercise} [zone] - Exercise definition for 'zone' questions
+ * @property {SandboxScenario} [sandbox] - Resolver sandbox shown with the question
+ * @property {PacketExhibit} [packet] - DNS message hex dump shown with the question
+ */
+
+/**
+ * Translated text for one question. Every field is optional; options, items
+ * and pairs must have the same length and order as the original.
+ *
+ * @typedef {Object} QuestionTranslation
+ * @property {string} [question]
+ * @property {string[]} [options]
+ * @property {string[]} [items]
+ * @property {{ prompt?: string, answer?: string }[]} [pairs]
+ * @property {string} [hint]
+ * @property {string} [explanation]
+ * @property {{ prompt: string }} [command]
+ * @property {{ prompt: string }} [zone]
+ * @property {{ prompt: string }} [sandbox]
+ * @property {{ prompt: string }} [packet]
+ */
+
+/**
+ * @typedef {Object} ScenarioChoice
+ * @property {string} text - What the learner does or concludes, may contain placeholders
+ * @property {string} [command] - dig command run in the scenario's sandbox when
+ *   chosen; its output opens the next step. May contain placeholders
+ * @property {string} next - Id of the step the choice leads to
+ */
+
+/**
+ * @typedef {Object} ScenarioStep
+ * @property {string} id - Unique within the scenario
+ * @property {string} text - What the learner sees or learns, may contain placeholders
+ * @property {ScenarioChoice[]} [choices] - What to do next; a step without choices ends the case
+ * @property {'solved' | 'unsolved'} [outcome] - Endings only: whether the root cause was found
+ */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} id - Stable identifier, unique among the set's scenarios
+ * @property {string} title
+ * @property {string[]} topics - Topic ids, as for questions
+ * @property {Difficulty} difficulty
+ * @property {string} brief - The incident as reported, may contain placeholders
+ * @property {import('./dnsSandbox').SandboxFaults} [faults] - What is broken in the
+ *   simulated DNS hierarchy; names and data may contain placeholders
+ * @property {ScenarioStep[]} steps - The first step is where the case starts
+ * @property {string} explanation - Shown once the case ends, may contain placeholders
+ */
+
+/**
+ * Translated text for one scenario. Choices must have the same length and
+ * order as the original; commands and faults are not translated.
+ *
+ * @typedef {Object} ScenarioTranslation
+ * @property {string} [title]
+ * @property {string} [brief]
+ * @property {string} [explanation]
+ * @property {Object<string, { text?: string, choices?: string[] }>} [steps] - By step id
+ */
+
+/**
+ * @typedef {Object} SetTranslation
+ * @property {string} [title]
+ * @property {Object<string, string>} [topics] - Topic labels by topic id
+ * @property {Object<string, QuestionTranslation>} [questions] - By question id
+ * @property {Object<string, ScenarioTranslation>} [scenarios] - By scenario id
+ */
+
+/**
+ * @typedef {Object} QuestionSet
+ * @property {string} id
+ * @property {string} title
+ * @property {number} version
+ * @property {Topic[]} [topics]
+ * @property {Question[]} questions
+ * @property {Scenario[]} [scenarios]
+ * @property {Object<string, SetTranslation>} [translations] - By locale, e.g. 'de' or 'pt-BR'
+ */
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+export const QUESTION_TYPES = ['choice', 'multi', 'order', 'match', 'zone'];
+export const SCENARIO_OUTCOMES = ['solved', 'unsolved'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9]*)\s*\}\}/g;
+
+/**
+ * Replace {{placeholder}} tokens with values from the environment object.
+ * Unknown placeholders are left as-is so they are easy to spot.
+ */
+export const fillPlaceholders = (text, environment) =>
+  text.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(environment, name) ? environment[name] : match
+  );
+
+/**
+ * The placeholder names used in a piece of text, in order of appearance.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const placeholderNames = (text) => [...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]);
+
+// Names and record data of a packet's message; ids, flags and TTLs have no placeholders
+const fillMessage = (message, environment) => ({
+  ...message,
+  ...(message.question && {
+    question: { ...message.question, name: fillPlaceholders(message.question.name, environment) }
+  }),
+  ...Object.fromEntries(
+    ['answer', 'authority', 'additional']
+      .filter((section) => message[section])
+      .map((section) => [
+        section,
+        message[section].map((record) => ({
+          ...record,
+          name: fillPlaceholders(record.name, environment),
+          data: fillPlaceholders(String(record.data), environment)
+        }))
+      ])
+  )
+});
+
+/**
+ * Return a copy of the question with all display text filled in.
+ */
+export const resolveQuestion = (question, environment) => ({
+  ...question,
+  question: fillPlaceholders(question.question, environment),
+  ...(question.options && { options: question.options.map((option) => fillPlaceholders(option, environment)) }),
+  ...(question.items && { items: question.items.map((item) => fillPlaceholders(item, environment)) }),
+  ...(question.pairs && {
+    pairs: question.pairs.map((pair) => ({
+      prompt: fillPlaceholders(pair.prompt, environment),
+      answer: fillPlaceholders(pair.answer, environment)
+    }))
+  }),
+  ...(question.hint && { hint: fillPlaceholders(question.hint, environment) }),
+  explanation: fillPlaceholders(question.explanation, environment),
+  ...(question.command && {
+    command: {
+      prompt: fillPlaceholders(question.command.prompt, environment),
+      answers: question.command.answers.map((answer) => fillPlaceholders(answer, environment))
+    }
+  }),
+  ...(question.sandbox && {
+    sandbox: {
+      ...question.sandbox,
+      ...(question.sandbox.prompt && { prompt: fillPlaceholders(question.sandbox.prompt, environment) }),
+      commands: question.sandbox.commands.map((command) => fillPlaceholders(command, environment))
+    }
+  }),
+  ...(question.packet && {
+    packet: {
+      ...question.packet,
+      ...(question.packet.prompt && { prompt: fillPlaceholders(question.packet.prompt, environment) }),
+      message: fillMessage(question.packet.message, environment)
+    }
+  }),
+  ...(question.zone && {
+    zone: {
+      ...question.zone,
+      origin: fillPlaceholders(question.zone.origin, environment),
+      prompt: fillPlaceholders(question.zone.prompt, environment),
+      starter: fillPlaceholders(question.zone.starter || '', environment),
+      requirements: (question.zone.requirements || []).map((requirement) => ({
+        ...requirement,
+        name: fillPlaceholders(requirement.name, environment),
+        ...(requirement.data !== undefined && { data: fillPlaceholders(requirement.data, environment) })
+      }))
+    }
+  })
+});
+
+/**
+ * Return a copy of the scenario with all display text, commands and faults
+ * filled in.
+ */
+export const resolveScenario = (scenario, environment) => ({
+  ...scenario,
+  brief: fillPlaceholders(scenario.brief, environment),
+  explanation: fillPlaceholders(scenario.explanation, environment),
+  ...(scenario.faults && {
+    faults: {
+      remove: (scenario.faults.remove || []).map((fault) => ({ ...fault, name: fillPlaceholders(fault.name, environment) })),
+      add: (scenario.faults.add || []).map((fault) => ({
+        ...fault,
+        name: fillPlaceholders(fault.name, environment),
+        data: fillPlaceholders(fault.data, environment)
+      }))
+    }
+  }),
+  steps: scenario.steps.map((step) => ({
+    ...step,
+    text: fillPlaceholders(step.text, environment),
+    ...(step.choices && {
+      choices: step.choices.map((choice) => ({
+        ...choice,
+        text: fillPlaceholders(choice.text, environment),
+        ...(choice.command && { command: fillPlaceholders(choice.command, environment) })
+      }))
+    })
+  }))
+});
+
+// Every step reachable by id, endings marked, and a way to the root cause
+const checkScenario = (scenario, index) => {
+  const label = scenario.id || `#${index}`;
+  if (!scenario.id) throw new Error(`Scenario ${label} is missing an id`);
+  if (!scenario.title || !scenario.brief) throw new Error(`Scenario ${label} needs a title and a brief`);
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) throw new Error(`Scenario ${label} has no steps`);
+
+  const stepIds = new Set();
+  scenario.steps.forEach((step) => {
+    if (!step.id || stepIds.has(step.id)) throw new Error(`Scenario ${label} has a step with a missing or duplicate id`);
+    stepIds.add(step.id);
+  });
+  scenario.steps.forEach((step) => {
+    const choices = step.choices || [];
+    if (choices.length === 0 && !SCENARIO_OUTCOMES.includes(step.outcome)) {
+      throw new Error(`Scenario ${label} step ${step.id} has no choices and no outcome`);
+    }
+    if (choices.length > 0 && step.outcome) {
+      throw new Error(`Scenario ${label} step ${step.id} has an outcome but also choices`);
+    }
+    choices.forEach((choice) => {
+      if (!choice.text || !stepIds.has(choice.next)) {
+        throw new Error(`Scenario ${label} step ${step.id} has a choice without text or a known next step`);
+      }
+    });
+  });
+  if (shortestSolution(scenario) === null) throw new Error(`Scenario ${label} can't be solved from its first step`);
+};
+
+/**
+ * Parse and sanity-check a question set. Accepts either an object or a JSON
+ * string and throws with the offending question id on malformed entries.
+ *
+ * @param {QuestionSet | string} source
+ * @returns {QuestionSet}
+ */
+export const loadQuestionSet = (source) => {
+  const set = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!set || !Array.isArray(set.questions) || set.questions.length === 0) {
+    throw new Error('Question set must contain a non-empty questions array');
+  }
+
+  const seen = new Set();
+  set.questions.forEach((q, index) => {
+    const label = q.id || `#${index}`;
+    if (!q.id) throw new Error(`Question ${label} is missing an id`);
+    if (seen.has(q.id)) throw new Error(`Duplicate question id: ${q.id}`);
+    seen.add(q.id);
+    const type = q.type || 'choice';
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new Error(`Question ${label} has unknown type '${type}'`);
+    }
+    if (q.fixedOptions !== undefined && typeof q.fixedOptions !== 'boolean') {
+      throw new Error(`Question ${label} has a fixedOptions flag that is not true or false`);
+    }
+    if (q.hint !== undefined && (typeof q.hint !== 'string' || !q.hint.trim())) {
+      throw new Error(`Question ${label} has an empty hint`);
+    }
+    if (q.sandbox && (!Array.isArray(q.sandbox.commands) || q.sandbox.commands.length === 0)) {
+      throw new Error(`Question ${label} has a sandbox without commands`);
+    }
+    if (q.packet && (!q.packet.message || !Number.isInteger(q.packet.message.id) || !q.packet.message.question)) {
+      throw new Error(`Question ${label} has a packet without a message id and question`);
+    }
+    if (type === 'zone') {
+      if (!q.zone || !q.zone.origin || !q.zone.prompt) {
+        throw new Error(`Question ${label} is a zone exercise without an origin or prompt`);
+      }
+      return;
+    }
+    if (type === 'order') {
+      if (!Array.isArray(q.items) || q.items.length < 2) {
+        throw new Error(`Question ${label} needs at least two items to order`);
+      }
+      return;
+    }
+    if (type === 'match') {
+      if (!Array.isArray(q.pairs) || q.pairs.length < 2 || q.pairs.some((pair) => !pair || !pair.prompt || !pair.answer)) {
+        throw new Error(`Question ${label} needs at least two pairs, each with a prompt and an answer`);
+      }
+      return;
+    }
+    if (!Array.isArray(q.options) || q.options.length < 2) {
+      throw new Error(`Question ${label} needs at least two options`);
+    }
+    const inRange = (index) => Number.isInteger(index) && index >= 0 && index < q.options.length;
+    if (type === 'multi') {
+      if (!Array.isArray(q.correct) || q.correct.length === 0 || !q.correct.every(inRange) ||
+        new Set(q.correct).size !== q.correct.length) {
+        throw new Error(`Question ${label} needs a list of distinct, in-range correct indexes`);
+      }
+    } else if (!inRange(q.correct)) {
+      throw new Error(`Question ${label} has an out-of-range correct index`);
+    }
+    if (q.command && (!q.command.prompt || !Array.isArray(q.command.answers) || q.command.answers.length === 0)) {
+      throw new Error(`Question ${label} has a command without a prompt or accepted answers`);
+    }
+  });
+
+  const scenarios = set.scenarios || [];
+  scenarios.forEach(checkScenario);
+  if (new Set(scenarios.map((scenario) => scenario.id)).size !== scenarios.length) {
+    throw new Error('Duplicate scenario id');
+  }
+
+  // A translation with a different number of options would mark the wrong answer correct
+  const byId = new Map(set.questions.map((q) => [q.id, q]));
+  const scenariosById = new Map(scenarios.map((scenario) => [scenario.id, scenario]));
+  Object.entries(set.translations || {}).forEach(([locale, translation]) => {
+    Object.entries(translation.questions || {}).forEach(([id, translated]) => {
+      const original = byId.get(id);
+      if (!original) throw new Error(`Translation '${locale}' refers to unknown question ${id}`);
+      ['options', 'items', 'pairs'].forEach((field) => {
+        if (translated[field] && (!original[field] || translated[field].length !== original[field].length)) {
+          throw new Error(`Translation '${locale}' of question ${id} has a different number of ${field}`);
+        }
+      });
+    });
+    Object.entries(translation.scenarios || {}).forEach(([id, translated]) => {
+      const original = scenariosById.get(id);
+      if (!original) throw new Error(`Translation '${locale}' refers to unknown scenario ${id}`);
+      Object.entries(translated.steps || {}).forEach(([stepId, step]) => {
+        const originalStep = original.steps.find((other) => other.id === stepId);
+        if (!originalStep) throw new Error(`Translation '${locale}' of scenario ${id} refers to unknown step ${stepId}`);
+        if (step.choices && step.choices.length !== (originalStep.choices || []).length) {
+          throw new Error(`Translation '${locale}' of scenario ${id} step ${stepId} has a different number of choices`);
+        }
+      });
+    });
+  });
+
+  return {
+    topics: [],
+    ...set,
+    questions: set.questions.map((q) => ({
+      type: 'choice',
+      topics: [],
+      difficulty: 'intermediate',
+      ...q
+    })),
+    scenarios: scenarios.map((scenario) => ({
+      topics: [],
+      difficulty: 'intermediate',
+      ...scenario
+    }))
+  };
+};
+
+const withPrompt = (original, translated) =>
+  original && translated && translated.prompt ? { ...original, prompt: translated.prompt } : original;
+
+const localizeQuestion = (question, translated) => {
+  if (!translated) return question;
+  return {
+    ...question,
+    question: translated.question || question.question,
+    explanation: translated.explanation || question.explanation,
+    ...(question.hint && translated.hint && { hint: translated.hint }),
+    ...(question.options && translated.options && { options: translated.options }),
+    ...(question.items && translated.items && { items: translated.items }),
+    ...(question.pairs && translated.pairs && {
+      pairs: question.pairs.map((pair, index) => ({ ...pair, ...translated.pairs[index] }))
+    }),
+    ...(question.command && { command: withPrompt(question.command, translated.command) }),
+    ...(question.zone && { zone: withPrompt(question.zone, translated.zone) }),
+    ...(question.sandbox && { sandbox: withPrompt(question.sandbox, translated.sandbox) }),
+    ...(question.packet && { packet: withPrompt(question.packet, translated.packet) })
+  };
+};
+
+const localizeScenario = (scenario, translated) => {
+  if (!translated) return scenario;
+  const steps = translated.steps || {};
+  return {
+    ...scenario,
+    title: translated.title || scenario.title,
+    brief: translated.brief || scenario.brief,
+    explanation: translated.explanation || scenario.explanation,
+    steps: scenario.steps.map((step) => {
+      const translatedStep = steps[step.id] || {};
+      return {
+        ...step,
+        text: translatedStep.text || step.text,
+        ...(step.choices && translatedStep.choices && {
+          choices: step.choices.map((choice, index) => ({ ...choice, text: translatedStep.choices[index] }))
+        })
+      };
+    })
+  };
+};
+
+/**
+ * Return the set with its title, topic labels, question and scenario text
+ * in the given locale where a translation exists. Ids, correct indexes,
+ * accepted commands, zone data, packet messages and scenario commands and
+ * faults are never translated. Placeholders are filled in
+ * afterwards by resolveQuestion, as for untranslated text.
+ *
+ * @param {QuestionSet} set - A loaded set
+ * @param {string} locale
+ * @returns {QuestionSet}
+ */
+export const localizeQuestionSet = (set, locale) => {
+  const translation = set.translations && set.translations[locale];
+  if (!translation) return set;
+  const topicLabels = translation.topics || {};
+  const questions = translation.questions || {};
+  const scenarios = translation.scenarios || {};
+
+  return {
+    ...set,
+    title: translation.title || set.title,
+    topics: set.topics.map((topic) => ({ ...topic, label: topicLabels[topic.id] || topic.label })),
+    questions: set.questions.map((q) => localizeQuestion(q, questions[q.id])),
+    ...(set.scenarios && { scenarios: set.scenarios.map((scenario) => localizeScenario(scenario, scenarios[scenario.id])) })
+  };
+};
+
+// Schema errors past this many are summarized so a wrong file stays readable
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Parse a shared question set file. Unlike loadQuestionSet this is strict:
+ * the JSON must match the schema, so typos such as `corect` are reported
+ * instead of silently ignored.
+ *
+ * @param {string} text - File contents
+ * @returns {QuestionSet}
+ * @throws {Error} Listing every problem found, one per line
+ */
+export const importQuestionSet = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not a valid JSON file: ${e.message}`);
+  }
+
+  const errors = validateSchema(parsed, QUESTION_SET_SCHEMA);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+    throw new Error(shown.join('\n'));
+  }
+
+  return loadQuestionSet(parsed);
+};
+
+/**
+ * Serialize a question set for sharing. Pass the set as authored, not
+ * resolved questions, so {{placeholder}} tokens survive the round trip.
+ *
+ * @param {QuestionSet} set
+ * @returns {string} Pretty-printed JSON
+ */
+export const exportQuestionSet = ({ id, title, version, topics, questions, scenarios, translations }) =>
+  JSON.stringify(
+    {
+      id,
+      title,
+      version,
+      topics,
+      // Keep each question's id first, ahead of the defaults loadQuestionSet fills in
+      questions: questions.map(({ id: questionId, ...rest }) => ({ id: questionId, ...rest })),
+      ...(scenarios && scenarios.length > 0 && { scenarios }),
+      translations
+    },
+    null,
+    2
+  ) + '\n';
@@ -0,0 +1,404 @@
+/**
+ * Question Set Schema
+ *
+ * JSON Schema (draft-07) for shareable question set files, plus a small
+ * validator for the subset of keywords the schema uses, so imports can be
+ * checked in the browser without a schema library. Semantic checks that a
+ * schema can't express (duplicate ids, `correct` in range) are left to
+ * loadQuestionSet in lib/questionSet.js.
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const matchPair = {
+  type: 'object',
+  required: ['prompt', 'answer'],
+  additionalProperties: false,
+  properties: {
+    prompt: { type: 'string', minLength: 1 },
+    answer: { type: 'string', minLength: 1 }
+  }
+};
+
+const messageRecord = {
+  type: 'object',
+  required: ['name', 'type', 'ttl', 'data'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { type: 'string', minLength: 1 },
+    class: { type: 'string' },
+    ttl: { type: 'integer', minimum: 0, maximum: 2147483647 },
+    data: { type: 'string' }
+  }
+};
+
+const recordList = { type: 'array', items: messageRecord };
+
+// A DNS message as lib/dnsMessage.js encodes it; record data is checked when it is encoded
+const dnsMessage = {
+  type: 'object',
+  required: ['id', 'question'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 0, maximum: 65535 },
+    opcode: { enum: ['QUERY', 'IQUERY', 'STATUS', 'NOTIFY', 'UPDATE'] },
+    status: { enum: ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED'] },
+    flags: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(['qr', 'aa', 'tc', 'rd', 'ra', 'ad', 'cd'].map((flag) => [flag, { type: 'boolean' }]))
+    },
+    question: {
+      type: 'object',
+      required: ['name', 'type'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string', minLength: 1 },
+        class: { type: 'string' }
+      }
+    },
+    answer: recordList,
+    authority: recordList,
+    additional: recordList,
+    edns: {
+      type: 'object',
+      required: ['udpSize'],
+      additionalProperties: false,
+      properties: {
+        udpSize: { type: 'integer', minimum: 0, maximum: 65535 },
+        do: { type: 'boolean' },
+        version: { type: 'integer', minimum: 0, maximum: 255 },
+        options: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['code'],
+            additionalProperties: false,
+            properties: {
+              code: { type: 'integer', minimum: 0, maximum: 65535 },
+              data: { type: 'string', pattern: '^([0-9a-fA-F]{2})*$' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const questionSchema = {
+  type: 'object',
+  required: ['id', 'question', 'explanation'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { enum: ['choice', 'multi', 'order', 'match', 'zone'] },
+    topics: stringArray,
+    difficulty: { enum: ['beginner', 'intermediate', 'advanced'] },
+    rating: { type: 'number', minimum: -4, maximum: 4 },
+    question: { type: 'string', minLength: 1 },
+    options: { type: 'array', minItems: 2, items: { type: 'string' } },
+    fixedOptions: { type: 'boolean' },
+    // One index, or every correct index for 'multi' questions
+    correct: { type: ['integer', 'array'], minimum: 0, minItems: 1, items: { type: 'integer', minimum: 0 } },
+    items: { type: 'array', minItems: 2, items: { type: 'string' } },
+    pairs: { type: 'array', minItems: 2, items: matchPair },
+    hint: { type: 'string', minLength: 1 },
+    explanation: { type: 'string' },
+    command: {
+      type: 'object',
+      required: ['prompt', 'answers'],
+      additionalProperties: false,
+      properties: {
+        prompt: { type: 'string' },
+        answers: { type: 'array', minItems: 1, items: { type: 'string' } }
+      }
+    },
+    zone: {
+      type: 'object',
+      required: ['origin', 'prompt'],
+      additionalProperties: false,
+      properties: {
+        origin: { type: 'string', minLength: 1 },
+        prompt: { type: 'string' },
+        starter: { type: 'string' },
+        requirements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'type'],
+            additionalProperties: false,
+            properties: {
+              name: { type: 'string' },
+              type: { type: 'string' },
+              data: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    sandbox: {
+      type: 'object',
+      required: ['commands'],
+      additionalProperties: false,
+      properties: {
+        prompt: { type: 'string' },
+        commands: { type: 'array', minItems: 1, items: { type: 'string' } }
+      }
+    },
+    packet: {
+      type: 'object',
+      required: ['message'],
+      additionalProperties: false,
+      properties: {
+        prompt: { type: 'string' },
+        transport: { enum: ['udp', 'tcp'] },
+        message: dnsMessage
+      }
+    }
+  }
+};
+
+const scenarioChoice = {
+  type: 'object',
+  required: ['text', 'next'],
+  additionalProperties: false,
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    command: { type: 'string', minLength: 1 },
+    next: { type: 'string', minLength: 1 }
+  }
+};
+
+// Step ids and whether the case can be solved are checked by loadQuestionSet
+const scenarioSchema = {
+  type: 'object',
+  required: ['id', 'title', 'brief', 'steps', 'explanation'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    topics: stringArray,
+    difficulty: { enum: ['beginner', 'intermediate', 'advanced'] },
+    brief: { type: 'string', minLength: 1 },
+    faults: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        remove: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            additionalProperties: false,
+            properties: { name: { type: 'string', minLength: 1 }, type: { type: 'string' } }
+          }
+        },
+        add: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'type', 'data'],
+            additionalProperties: false,
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              type: { type: 'string', minLength: 1 },
+              data: { type: 'string' },
+              ttl: { type: 'integer', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'text'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          text: { type: 'string', minLength: 1 },
+          choices: { type: 'array', items: scenarioChoice },
+          outcome: { enum: ['solved', 'unsolved'] }
+        }
+      }
+    },
+    explanation: { type: 'string' }
+  }
+};
+
+const promptOnly = {
+  type: 'object',
+  required: ['prompt'],
+  additionalProperties: false,
+  properties: { prompt: { type: 'string' } }
+};
+
+// Per-locale text; lengths and ids are checked against the questions by loadQuestionSet
+const translationSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string' },
+    topics: { type: 'object', additionalProperties: { type: 'string' } },
+    questions: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          question: { type: 'string' },
+          options: stringArray,
+          items: stringArray,
+          pairs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: { prompt: { type: 'string' }, answer: { type: 'string' } }
+            }
+          },
+          hint: { type: 'string' },
+          explanation: { type: 'string' },
+          command: promptOnly,
+          zone: promptOnly,
+          sandbox: promptOnly,
+          packet: promptOnly
+        }
+      }
+    },
+    scenarios: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string' },
+          brief: { type: 'string' },
+          explanation: { type: 'string' },
+          steps: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              additionalProperties: false,
+              properties: { text: { type: 'string' }, choices: stringArray }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+export const QUESTION_SET_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'DNS Quiz question set',
+  type: 'object',
+  required: ['id', 'title', 'questions'],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+    title: { type: 'string', minLength: 1 },
+    version: { type: 'integer', minimum: 1 },
+    topics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'label'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          label: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    questions: { type: 'array', minItems: 1, items: questionSchema },
+    scenarios: { type: 'array', items: scenarioSchema },
+    translations: { type: 'object', additionalProperties: translationSchema }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (Array.isArray(type)) return type.some((option) => matchesType(value, option));
+  return type === 'number' ? typeof value === 'number' : typeOf(value) === type;
+};
+
+const withArticle = (name) => `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+
+// 'an integer', or 'an integer or an array' for a list of types
+const typeLabel = (type) => [].concat(type).map(withArticle).join(' or ');
+
+const pathLabel = (path) => path.replace(/^\./, '') || '(root)';
+
+/**
+ * Validate a value against a schema, returning readable errors such as
+ * "questions[3].correct must be an integer". Supports type (one name or a
+ * list), required, properties, additionalProperties (false, or a schema for
+ * map values), items, enum, minItems, minLength, minimum, maximum and pattern.
+ *
+ * @param {*} value
+ * @param {Object} [schema]
+ * @returns {string[]} Empty when valid
+ */
+export const validateSchema = (value, schema = QUESTION_SET_SCHEMA, path = '') => {
+  const errors = [];
+  const at = pathLabel(path);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} must be one of ${schema.enum.map((v) => `'${v}'`).join(', ')}`];
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${at} must be ${typeLabel(schema.type)}`];
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${at} must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} must be at least ${schema.minimum}`);
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at} must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path ? `${at}.` : ''}${key} is required`);
+    });
+    Object.keys(value).forEach((key) => {
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path ? `${at}.` : ''}${key} is not a known property`);
+      }
+    });
+  }
+
+  return errors;
+};
@@ -0,0 +1,85 @@
+/**
+ * Question Types
+ *
+ * Grading for the question types beyond single choice: multi-select,
+ * ordering and matching. Each check takes a resolved question and the
+ * learner's response and returns whether it is fully right plus the credit
+ * it earns, from 0 to 1. Attempt scores add up credit, so a multi-select
+ * that is half right is worth half a question; `correct` stays a boolean
+ * for everything that only cares about right or wrong (spaced repetition,
+ * adaptive ability estimates, retrying missed questions).
+ */
+
+/**
+ * Credit for a recorded answer. Single-choice, command and zone answers
+ * carry no credit field and score 1 or 0.
+ *
+ * @param {import('./storage').AnswerRecord} answer
+ * @returns {number}
+ */
+export const answerCredit = (answer) => answer.credit ?? (answer.correct ? 1 : 0);
+
+// Rounded so credits like 1/3 add up to whole numbers on the results page
+const round = (credit) => Math.round(credit * 1000) / 1000;
+
+/**
+ * Grade a multi-select answer. Each correct option picked earns a share of
+ * the credit and each wrong pick takes one away, so ticking every box
+ * scores nothing; the credit never goes below 0.
+ *
+ * @param {{ options: string[], correct: number[] }} question
+ * @param {number[]} choices - Indexes of the picked options
+ * @returns {{ correct: boolean, credit: number, missed: number[], wrong: number[] }}
+ */
+export const checkMultiSelect = (question, choices) => {
+  const hits = choices.filter((index) => question.correct.includes(index));
+  const wrong = choices.filter((index) => !question.correct.includes(index));
+  const missed = question.correct.filter((index) => !choices.includes(index));
+  const credit = round(Math.max(0, (hits.length - wrong.length) / question.correct.length));
+  return { correct: missed.length === 0 && wrong.length === 0, credit, missed, wrong };
+};
+
+/**
+ * Grade an ordering answer. Credit is the share of item pairs placed in the
+ * right relative order, so one item out of place costs less than a
+ * reversed list.
+ *
+ * @param {{ items: string[] }} question - Items in their correct order
+ * @param {number[]} order - Item indexes in the order the learner put them
+ * @returns {{ correct: boolean, credit: number, placed: boolean[] }} `placed`
+ *   says for each position of the learner's order whether the item is in its own place
+ */
+export const checkOrdering = (question, order) => {
+  let inOrder = 0;
+  let pairs = 0;
+  order.forEach((first, i) => {
+    order.slice(i + 1).forEach((second) => {
+      pairs += 1;
+      if (first < second) inOrder += 1;
+    });
+  });
+  const placed = order.map((item, position) => item === position);
+  return {
+    correct: placed.every(Boolean) && order.length === question.items.length,
+    credit: round(pairs === 0 ? 0 : inOrder / pairs),
+    placed
+  };
+};
+
+/**
+ * Grade a matching answer. Each pair matched right earns an equal share.
+ *
+ * @param {{ pairs: { prompt: string, answer: string }[] }} question
+ * @param {(number | null)[]} matches - For each pair, the index of the pair
+ *   whose answer the learner chose, or null
+ * @returns {{ correct: boolean, credit: number, matched: boolean[] }}
+ */
+export const checkMatching = (question, matches) => {
+  // Two prompts may share an answer text, so compare the text rather than the index
+  const matched = question.pairs.map(
+    (pair, index) => matches[index] !== null && matches[index] !== undefined &&
+      question.pairs[matches[index]].answer === pair.answer
+  );
+  const count = matched.filter(Boolean).length;
+  return { correct: count === question.pairs.length, credit: round(count / question.pairs.length), matched };
+};
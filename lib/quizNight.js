@@ -0,0 +1,121 @@
+/**
+ * Quiz Night
+ *
+ * Client side of host/player quiz nights run through the WebSocket server in
+ * server/quizNightServer.mjs. The host opens a room with the attempt's seed
+ * and lab environment, so every player sees the same generated names and
+ * addresses, then sends the questions one at a time. Players answer from
+ * their own devices; the server times and scores each answer and returns
+ * the leaderboard.
+ *
+ * Messages are JSON objects tagged with `type`:
+ *
+ * Host -> server
+ * - host { title, seed, environment, total } - open a room
+ * - question { index, question, options, correct, timeLimit } - `correct` stays on the server
+ * - reveal - close the question and score it
+ * - end - send the final leaderboard
+ *
+ * Player -> server
+ * - join { code, name } - join, or rejoin under the same name to keep the score
+ * - answer { index, choice }
+ *
+ * Server -> clients
+ * - room { code } - to the host
+ * - players { players, answered } - to the host when players join, leave or answer
+ * - joined { code, name, title, seed, environment, total, score } - to a player
+ * - question { index, total, question, options, timeLimit, remaining } - to players
+ * - answered { index, choice } - to the player who answered
+ * - reveal { index, correct, results, leaderboard } - to everyone
+ * - ended { leaderboard } - to everyone
+ * - closed - to players when the host leaves
+ * - error { reason } - 'noRoom', 'noName', 'nameTaken' or 'tooLate'
+ */
+
+/** Seconds each question stays open unless the quizNight prop says otherwise. */
+export const DEFAULT_TIME_LIMIT = 20;
+
+/**
+ * @typedef {Object} QuizNightSettings
+ * @property {string} server - WebSocket URL of the quiz night server, e.g. 'ws://192.168.1.20:8787'
+ * @property {number} [timeLimit] - Seconds per question (default 20)
+ */
+
+/**
+ * @typedef {Object} LeaderboardEntry
+ * @property {string} name
+ * @property {number} score
+ * @property {number} correct - Number of correct answers
+ * @property {number} rank - 1-based; tied scores share a rank
+ * @property {boolean} connected
+ */
+
+/**
+ * @typedef {Object} QuizNightConnection
+ * @property {(message: Object) => void} send - Queued until the socket opens
+ * @property {() => void} close
+ */
+
+/**
+ * Open a connection to the quiz night server. Unparseable messages are
+ * ignored; onClose fires once if the connection fails or drops, but not
+ * after close().
+ *
+ * @param {string} url
+ * @param {{ onMessage: (message: Object) => void, onClose?: () => void }} handlers
+ * @returns {QuizNightConnection}
+ */
+export const connectQuizNight = (url, { onMessage, onClose }) => {
+  const pending = [];
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch (e) {
+    // A malformed URL throws straight away; report it like a failed connection
+    setTimeout(() => onClose && onClose(), 0);
+    return { send: () => {}, close: () => {} };
+  }
+
+  socket.onopen = () => {
+    pending.splice(0).forEach((text) => socket.send(text));
+  };
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    if (message && typeof message === 'object') onMessage(message);
+  };
+  socket.onclose = () => {
+    if (onClose) onClose();
+  };
+
+  return {
+    send: (message) => {
+      const text = JSON.stringify(message);
+      if (socket.readyState === WebSocket.OPEN) socket.send(text);
+      else if (socket.readyState === WebSocket.CONNECTING) pending.push(text);
+    },
+    close: () => {
+      socket.onclose = null;
+      socket.close();
+    }
+  };
+};
+
+/**
+ * How many players picked each option in a reveal's results.
+ *
+ * @param {{ choice: number | null }[]} results
+ * @param {number} optionCount
+ * @returns {number[]}
+ */
+export const countChoices = (results, optionCount) => {
+  const counts = Array(optionCount).fill(0);
+  results.forEach(({ choice }) => {
+    if (choice !== null && choice < optionCount) counts[choice] += 1;
+  });
+  return counts;
+};
@@ -0,0 +1,64 @@
+/**
+ * Seeded Randomness
+ *
+ * Everything random about an attempt (domains, question order, option order)
+ * is drawn from a PRNG seeded by a single value, so an attempt can be
+ * replayed exactly by reusing its seed.
+ */
+
+/**
+ * Hash a string or number seed into a 32-bit unsigned integer (xmur3).
+ */
+const hashSeed = (seed) => {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+};
+
+/**
+ * Create a mulberry32 PRNG. Returns a function yielding floats in [0, 1),
+ * a drop-in replacement for Math.random.
+ *
+ * @param {string | number} seed
+ * @param {string} [stream] - Optional label to derive an independent sequence
+ *   from the same seed (e.g. 'domains', 'order')
+ */
+export const createRng = (seed, stream = '') => {
+  let state = hashSeed(stream ? `${seed}:${stream}` : seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Generate a fresh seed for a new attempt. Short base-36 so it is easy to
+ * read out or paste back in.
+ */
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32).toString(36);
+
+/**
+ * Pick a random element from an array.
+ */
+export const pick = (array, rng) => array[Math.floor(rng() * array.length)];
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates).
+ */
+export const shuffle = (array, rng) => {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
@@ -0,0 +1,101 @@
+/**
+ * Troubleshooting Scenarios
+ *
+ * A scenario is a case study played as a graph of steps. Each step says what
+ * the learner sees, and each of its choices - running a dig command, or
+ * settling on a hypothesis - leads to another step. Steps without choices
+ * end the case, with the root cause found or without. Scenarios are authored
+ * in the question set next to the questions (see lib/questionSet.js), and
+ * their commands run in a sandbox with the scenario's faults applied (see
+ * lib/dnsSandbox.js).
+ *
+ * Scoring rewards a short diagnosis: reaching the root cause in the fewest
+ * possible steps earns full credit, and every extra step takes a share off.
+ */
+
+/**
+ * @typedef {Object} ScenarioResult
+ * @property {boolean} solved
+ * @property {number} steps - Choices made
+ * @property {number} optimal - Fewest choices that solve the case
+ * @property {number} credit - From 0 to 1
+ * @property {string} date - ISO timestamp
+ */
+
+// Rounded like question credit, so results add up on screen
+const round = (credit) => Math.round(credit * 1000) / 1000;
+
+const stepMap = (scenario) => new Map(scenario.steps.map((step) => [step.id, step]));
+
+/**
+ * The fewest choices that lead from the first step to a solved ending.
+ *
+ * @param {import('./questionSet').Scenario} scenario
+ * @returns {number | null} null when no solved ending can be reached
+ */
+export const shortestSolution = (scenario) => {
+  const steps = stepMap(scenario);
+  const distance = new Map([[scenario.steps[0].id, 0]]);
+  const queue = [scenario.steps[0]];
+  while (queue.length > 0) {
+    const step = queue.shift();
+    if (step.outcome === 'solved') return distance.get(step.id);
+    (step.choices || []).forEach((choice) => {
+      const next = steps.get(choice.next);
+      if (next && !distance.has(next.id)) {
+        distance.set(next.id, distance.get(step.id) + 1);
+        queue.push(next);
+      }
+    });
+  }
+  return null;
+};
+
+/**
+ * Follow a path of choices from the first step.
+ *
+ * @param {import('./questionSet').Scenario} scenario
+ * @param {number[]} path - Index of the choice taken at each step
+ * @returns {{ visited: { step: Object, choice: Object }[], current: Object }} The
+ *   steps passed with the choice taken at each, and the step reached
+ */
+export const followPath = (scenario, path) => {
+  const steps = stepMap(scenario);
+  const visited = [];
+  let current = scenario.steps[0];
+  path.forEach((index) => {
+    const choice = current.choices[index];
+    visited.push({ step: current, choice });
+    current = steps.get(choice.next);
+  });
+  return { visited, current };
+};
+
+/**
+ * Score a finished play-through. A solved case earns the shortest possible
+ * number of steps divided by the number taken; an unsolved one earns nothing.
+ *
+ * @param {import('./questionSet').Scenario} scenario
+ * @param {number[]} path - Index of the choice taken at each step
+ * @returns {{ solved: boolean, steps: number, optimal: number, credit: number }}
+ */
+export const scoreScenario = (scenario, path) => {
+  const { current } = followPath(scenario, path);
+  const solved = current.outcome === 'solved';
+  const optimal = shortestSolution(scenario);
+  return { solved, steps: path.length, optimal, credit: solved ? round(optimal / path.length) : 0 };
+};
+
+/**
+ * The better of two results for the same scenario: solved beats unsolved,
+ * then more credit wins.
+ *
+ * @param {ScenarioResult | undefined} best
+ * @param {ScenarioResult} result
+ * @returns {ScenarioResult}
+ */
+export const betterResult = (best, result) => {
+  if (!best) return result;
+  if (result.solved !== best.solved) return result.solved ? result : best;
+  return result.credit > best.credit ? result : best;
+};
@@ -0,0 +1,208 @@
+/**
+ * SCORM Reporting
+ *
+ * Reports quiz events to a SCORM 1.2 or SCORM 2004 LMS through the runtime
+ * API object the LMS exposes (`API` or `API_1484_11`) on a parent or opener
+ * window. Implements the same reporter interface as lib/xapi.js, so DNSQuiz
+ * treats both alike; see scorm/ for packaging the quiz as a SCORM module.
+ */
+
+import { authoredOption, unshuffledOptions } from './shuffle';
+
+// How far up the frame hierarchy to look, as in the ADL sample code
+const MAX_PARENTS = 7;
+
+const findInParents = (start, name) => {
+  let win = start;
+  for (let depth = 0; win && depth <= MAX_PARENTS; depth++) {
+    try {
+      if (win[name]) return win[name];
+    } catch (e) {
+      // Cross-origin frame - keep climbing
+    }
+    if (!win.parent || win.parent === win) break;
+    win = win.parent;
+  }
+  return null;
+};
+
+/**
+ * Locate the LMS runtime API, preferring SCORM 2004.
+ *
+ * @param {Window} [win]
+ * @returns {{ api: Object, version: '1.2' | '2004' } | null}
+ */
+export const findScormApi = (win = typeof window !== 'undefined' ? window : null) => {
+  if (!win) return null;
+  const candidates = [win, win.opener].filter(Boolean);
+  for (const start of candidates) {
+    const api2004 = findInParents(start, 'API_1484_11');
+    if (api2004) return { api: api2004, version: '2004' };
+    const api12 = findInParents(start, 'API');
+    if (api12) return { api: api12, version: '1.2' };
+  }
+  return null;
+};
+
+/**
+ * Format milliseconds as a SCORM 1.2 CMITimespan (HHHH:MM:SS.SS).
+ */
+export const cmiTimespan = (ms) => {
+  const totalSeconds = Math.max(0, ms) / 1000;
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = (totalSeconds % 60).toFixed(2).padStart(5, '0');
+  return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${seconds}`;
+};
+
+const isoDuration = (ms) => `PT${Math.round(ms / 10) / 100}S`;
+
+// Interaction type, correct response pattern and learner response for an answer.
+// Typed commands are fill-ins and zone files long fill-ins where the version has them,
+// cut to that type's length limit. Options are numbered in authored order, so patterns
+// and responses don't depend on the shuffle.
+const interactionOf = (shown, answer, { separators: { list, pair }, longFillIn, responseLimits }) => {
+  const question = unshuffledOptions(shown);
+  const ids = (values) => values.join(list);
+  const pairs = (matches) =>
+    ids(matches.map((match, index) => (match === null ? null : `${index}${pair}${match}`)).filter((value) => value !== null));
+
+  if (answer.command !== undefined || answer.zone !== undefined) {
+    const type = answer.zone !== undefined ? longFillIn : 'fill-in';
+    return { type, response: String(answer.command ?? answer.zone).slice(0, responseLimits[type]) };
+  }
+  if (answer.order !== undefined) {
+    return { type: 'sequencing', pattern: ids(question.items.map((item, index) => index)), response: ids(answer.order) };
+  }
+  if (answer.matches !== undefined) {
+    return { type: 'matching', pattern: pairs(question.pairs.map((item, index) => index)), response: pairs(answer.matches) };
+  }
+  if (answer.choices !== undefined) {
+    const choices = answer.choices.map((choice) => authoredOption(shown, choice)).sort((a, b) => a - b);
+    return { type: 'choice', pattern: ids(question.correct), response: ids(choices) };
+  }
+  const option = answer.option ?? authoredOption(shown, answer.choice);
+  return { type: 'choice', pattern: String(question.correct), response: option === null ? '' : String(option) };
+};
+
+// The runtime call names and data model paths differ between versions
+const DIALECTS = {
+  '1.2': {
+    initialize: 'LMSInitialize',
+    setValue: 'LMSSetValue',
+    getValue: 'LMSGetValue',
+    commit: 'LMSCommit',
+    terminate: 'LMSFinish',
+    duration: cmiTimespan,
+    interactionResult: (correct) => (correct ? 'correct' : 'wrong'),
+    learnerResponse: 'student_response',
+    separators: { list: ',', pair: '.' },
+    longFillIn: 'fill-in',
+    responseLimits: { 'fill-in': 255 },
+    status: 'cmi.core.lesson_status',
+    notStarted: ['', 'not attempted'],
+    finish: (result) => [
+      ['cmi.core.score.raw', String(result.percent)],
+      ['cmi.core.score.min', '0'],
+      ['cmi.core.score.max', '100'],
+      ['cmi.core.lesson_status', result.passed === undefined ? 'completed' : result.passed ? 'passed' : 'failed'],
+      ['cmi.core.session_time', cmiTimespan(result.durationMs)]
+    ]
+  },
+  '2004': {
+    initialize: 'Initialize',
+    setValue: 'SetValue',
+    getValue: 'GetValue',
+    commit: 'Commit',
+    terminate: 'Terminate',
+    duration: isoDuration,
+    interactionResult: (correct) => (correct ? 'correct' : 'incorrect'),
+    learnerResponse: 'learner_response',
+    separators: { list: '[,]', pair: '[.]' },
+    longFillIn: 'long-fill-in',
+    responseLimits: { 'fill-in': 250, 'long-fill-in': 4000 },
+    status: 'cmi.completion_status',
+    notStarted: ['', 'not attempted', 'unknown'],
+    finish: (result) => [
+      ['cmi.score.raw', String(result.score)],
+      ['cmi.score.min', '0'],
+      ['cmi.score.max', String(result.total)],
+      ['cmi.score.scaled', String(result.total > 0 ? Math.round((result.score / result.total) * 10000) / 10000 : 0)],
+      ['cmi.completion_status', 'completed'],
+      ...(result.passed !== undefined ? [['cmi.success_status', result.passed ? 'passed' : 'failed']] : []),
+      ['cmi.session_time', isoDuration(result.durationMs)]
+    ]
+  }
+};
+
+/**
+ * Create a reporter that records attempts, interactions and the final
+ * score in the LMS. The session is opened on the first attempt and stays
+ * open across "Try Again"; call terminate() when the page unloads.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.api] - LMS runtime API; found automatically when omitted
+ * @param {'1.2' | '2004'} [options.version]
+ * @returns {import('./xapi').QuizReporter & { terminate: () => void, connected: boolean }}
+ */
+export const createScormReporter = ({ api, version } = {}) => {
+  const found = api ? { api, version: version || '2004' } : findScormApi();
+  const dialect = found ? DIALECTS[found.version] : null;
+  let initialized = false;
+  let terminated = false;
+
+  const call = (method, ...args) => {
+    if (!found || terminated) return '';
+    try {
+      return found.api[dialect[method]](...args);
+    } catch (e) {
+      return '';
+    }
+  };
+
+  const setValues = (pairs) => pairs.forEach(([key, value]) => call('setValue', key, value));
+
+  return {
+    connected: Boolean(found),
+
+    attempted: () => {
+      if (initialized) return;
+      initialized = String(call('initialize', '')) === 'true';
+      // Only a module not started yet is marked incomplete; "Try Again" and coming
+      // back to a module already passed or completed keep the LMS status
+      if (initialized && dialect.notStarted.includes(String(call('getValue', dialect.status)))) {
+        call('setValue', dialect.status, 'incomplete');
+        call('commit', '');
+      }
+    },
+
+    answered: (question, answer) => {
+      if (!initialized) return;
+      const index = Number(call('getValue', 'cmi.interactions._count')) || 0;
+      const prefix = `cmi.interactions.${index}`;
+      const { type, pattern, response } = interactionOf(question, answer, dialect);
+
+      setValues([
+        [`${prefix}.id`, question.id],
+        [`${prefix}.type`, type],
+        ...(pattern !== undefined ? [[`${prefix}.correct_responses.0.pattern`, pattern]] : []),
+        [`${prefix}.${dialect.learnerResponse}`, response],
+        [`${prefix}.result`, dialect.interactionResult(answer.correct)],
+        [`${prefix}.latency`, dialect.duration(answer.elapsedMs)]
+      ]);
+    },
+
+    completed: (result) => {
+      if (!initialized) return;
+      setValues(dialect.finish(result));
+      call('commit', '');
+    },
+
+    terminate: () => {
+      if (!initialized || terminated) return;
+      call('commit', '');
+      call('terminate', '');
+      terminated = true;
+    }
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * Question Shuffling
+ *
+ * Randomizes question order and the order of each question's options so the
+ * position of the correct answer carries no information. The `correct` index
+ * (or indexes, for multi-select) is remapped to follow its option.
+ *
+ * Questions with `fixedOptions` keep their options in authored order, for
+ * options that refer to each other by letter ("Both B and C are correct").
+ *
+ * Ordering and matching questions are scrambled with scrambledOrder whatever
+ * the shuffle setting, since their authored order is the answer.
+ */
+
+import { createRng, shuffle } from './random';
+
+/**
+ * Return a copy of the question with its options shuffled and `correct`
+ * pointing at the same option text as before. `optionOrder` keeps the
+ * authored index of each displayed option, so answers can be reported
+ * against the question set rather than one attempt's order.
+ */
+export const shuffleOptions = (question, rng) => {
+  if (!question.options) return question;
+  const order = shuffle(question.options.map((_, index) => index), rng);
+  // The order is still drawn, so the questions after this one shuffle the same with or without the flag
+  if (question.fixedOptions) return question;
+  return {
+    ...question,
+    options: order.map((index) => question.options[index]),
+    correct: Array.isArray(question.correct)
+      ? question.correct.map((index) => order.indexOf(index)).sort((a, b) => a - b)
+      : order.indexOf(question.correct),
+    optionOrder: order
+  };
+};
+
+/**
+ * The authored index of the option displayed at `choice`, for answer
+ * records; null stays null.
+ *
+ * @param {Object} question - As displayed, possibly shuffled
+ * @param {number | null} choice
+ * @returns {number | null}
+ */
+export const authoredOption = (question, choice) => {
+  if (choice === null) return null;
+  return question.optionOrder ? question.optionOrder[choice] : choice;
+};
+
+/**
+ * Undo shuffleOptions: a copy of the question with its options back in
+ * authored order and `correct` following them, for reports that must
+ * describe the question the same way in every attempt.
+ *
+ * @param {Object} question - As displayed, possibly shuffled
+ * @returns {Object}
+ */
+export const unshuffledOptions = (question) => {
+  if (!question.optionOrder) return question;
+  const { optionOrder, ...rest } = question;
+  const options = [];
+  optionOrder.forEach((authored, shown) => {
+    options[authored] = question.options[shown];
+  });
+  return {
+    ...rest,
+    options,
+    correct: Array.isArray(question.correct)
+      ? question.correct.map((index) => optionOrder[index]).sort((a, b) => a - b)
+      : optionOrder[question.correct]
+  };
+};
+
+/**
+ * A random order of the indexes 0..length-1 that is never the identity,
+ * so an ordering question doesn't start out solved.
+ *
+ * @param {number} length
+ * @param {() => number} rng
+ * @returns {number[]}
+ */
+export const scrambledOrder = (length, rng) => {
+  const indexes = Array.from({ length }, (_, index) => index);
+  let order;
+  do {
+    order = shuffle(indexes, rng);
+  } while (length > 1 && order.every((index, position) => index === position));
+  return order;
+};
+
+/**
+ * Shuffle question order and every question's options from a seed. The same
+ * seed and question list always produce the same attempt.
+ */
+export const shuffleQuestions = (questions, seed) => {
+  const rng = createRng(seed, 'order');
+  return shuffle(questions, rng).map((question) => shuffleOptions(question, rng));
+};
+
+/**
+ * Shuffle every question's options from a seed but keep the questions in
+ * the order given, for a study queue that is already in review order.
+ */
+export const shuffleOptionsInOrder = (questions, seed) => {
+  const rng = createRng(seed, 'order');
+  return questions.map((question) => shuffleOptions(question, rng));
+};
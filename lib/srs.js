@@ -0,0 +1,129 @@
+/**
+ * Spaced Repetition
+ *
+ * SM-2 scheduling for study mode. Each question gets a card tracking its
+ * ease factor, current interval and next due date. Answers are graded on
+ * the SM-2 0-5 quality scale from correctness and response time: missed
+ * questions reset to a one-day interval, quick correct answers grow the
+ * interval fastest.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const INITIAL_EASE = 2.5;
+
+// An interval this long (in days) counts as fully mastered
+const MASTERY_INTERVAL = 21;
+
+// Response time thresholds for grading correct answers
+const FAST_ANSWER_MS = 10 * 1000;
+const SLOW_ANSWER_MS = 30 * 1000;
+
+/**
+ * @typedef {Object} StudyCard
+ * @property {number} ease - SM-2 easiness factor (>= 1.3)
+ * @property {number} interval - Days until the next review
+ * @property {number} repetitions - Consecutive successful reviews
+ * @property {string} due - ISO timestamp of the next review
+ * @property {string} lastReviewed - ISO timestamp of the last review
+ */
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Map an answer to an SM-2 quality grade (0-5). A right answer found with
+ * the help of a hint counts as recalled with difficulty.
+ */
+export const gradeAnswer = (correct, elapsedMs, hinted = false) => {
+  if (!correct) return elapsedMs < FAST_ANSWER_MS ? 1 : 2;
+  if (hinted) return 3;
+  if (elapsedMs < FAST_ANSWER_MS) return 5;
+  if (elapsedMs < SLOW_ANSWER_MS) return 4;
+  return 3;
+};
+
+/**
+ * Apply one review to a card (or start a new one) and schedule the next.
+ *
+ * @param {StudyCard | undefined} card
+ * @param {number} quality - SM-2 grade 0-5
+ * @param {Date} [now]
+ * @returns {StudyCard}
+ */
+export const reviewCard = (card, quality, now = new Date()) => {
+  const previous = card || { ease: INITIAL_EASE, interval: 0, repetitions: 0 };
+  let { ease, interval, repetitions } = previous;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * ease);
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due: new Date(startOfDay(now).getTime() + interval * DAY_MS).toISOString(),
+    lastReviewed: now.toISOString()
+  };
+};
+
+/**
+ * Whether a card is due for review on the given day.
+ */
+export const isDue = (card, now = new Date()) =>
+  !card || new Date(card.due).getTime() < startOfDay(now).getTime() + DAY_MS;
+
+/**
+ * Build today's study queue: every reviewed card that is due, most overdue
+ * first, followed by up to `newLimit` questions that have never been studied.
+ *
+ * @param {import('./questionSet').Question[]} questions
+ * @param {Object<string, StudyCard>} cards - Keyed by question id
+ * @returns {string[]} Question ids
+ */
+export const getStudyQueue = (questions, cards, { now = new Date(), newLimit = 10 } = {}) => {
+  const due = questions
+    .filter((q) => cards[q.id] && isDue(cards[q.id], now))
+    .sort((a, b) => new Date(cards[a.id].due) - new Date(cards[b.id].due));
+  const fresh = questions.filter((q) => !cards[q.id]).slice(0, newLimit);
+  return [...due, ...fresh].map((q) => q.id);
+};
+
+/**
+ * Count reviewed cards due today and never-studied questions.
+ */
+export const countDue = (questions, cards, now = new Date()) => ({
+  due: questions.filter((q) => cards[q.id] && isDue(cards[q.id], now)).length,
+  unseen: questions.filter((q) => !cards[q.id]).length
+});
+
+/**
+ * Mastery per topic as a percentage. Each card contributes its interval as a
+ * fraction of MASTERY_INTERVAL (capped at 1); unseen questions contribute 0.
+ *
+ * @returns {{ id: string, label: string, percent: number }[]}
+ */
+export const masteryByTopic = (questions, cards, topics) =>
+  topics
+    .map((topic) => {
+      const tagged = questions.filter((q) => q.topics.includes(topic.id));
+      if (tagged.length === 0) return null;
+      const total = tagged.reduce((sum, q) => {
+        const card = cards[q.id];
+        return sum + (card ? Math.min(card.interval / MASTERY_INTERVAL, 1) : 0);
+      }, 0);
+      return { id: topic.id, label: topic.label, percent: Math.round((total / tagged.length) * 100) };
+    })
+    .filter(Boolean);
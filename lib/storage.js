@@ -0,0 +1,195 @@
+/**
+ * Quiz Persistence
+ *
+ * Keeps what the quiz remembers between visits:
+ * - The unfinished attempt, per question set
+ * - A history of completed attempts
+ * - Study mode's spaced-repetition cards, per question set
+ * - The best result of each troubleshooting scenario, per question set
+ * - A question set imported on the start screen
+ * - The authoring screen's draft
+ * - The chosen language
+ *
+ * The backend is anything with the Web Storage getItem/setItem/removeItem
+ * interface: localStorage in the browser, or createMemoryStorage() in tests
+ * and server-side rendering.
+ *
+ * Storage is best effort. Quota errors, private browsing and corrupt entries
+ * never break the quiz; they just mean nothing is saved or restored.
+ */
+
+const STORAGE_PREFIX = 'dnsQuiz';
+const HISTORY_LIMIT = 100;
+
+/**
+ * @typedef {Object} AnswerRecord
+ * @property {string} questionId
+ * @property {number | null} choice - Index of the selected option as displayed;
+ *   null for multi-select, ordering and matching answers
+ * @property {number | null} [option] - The same option's index as authored, before
+ *   shuffling; multiple-choice answers only
+ * @property {number[]} [choices] - Indexes of the options picked in a multi-select question
+ * @property {number[]} [order] - Item indexes in the order the learner put them
+ * @property {(number | null)[]} [matches] - For each matching pair, the pair whose answer was chosen
+ * @property {boolean} correct - Fully right
+ * @property {number} [credit] - Partial credit from 0 to 1, for the question types that give it
+ *   and for answers given after a hint
+ * @property {number} elapsedMs - Time from showing the question to answering
+ * @property {boolean} [flagged] - Flagged for review during an exam
+ * @property {boolean} [hint] - The hint was shown before answering
+ * @property {number[]} [removed] - Displayed indexes of the options a 50/50 removed
+ * @property {'low' | 'medium' | 'high'} [confidence] - How sure the learner said they were
+ */
+
+/**
+ * @typedef {Object} Progress
+ * @property {string} questionSetId
+ * @property {string} seed
+ * @property {boolean} shuffle
+ * @property {Object} selection - Topics, count, question ids and mode of the attempt
+ * @property {number} [total] - Questions in the attempt (the most an adaptive one asks)
+ * @property {number} currentQuestion
+ * @property {number} score
+ * @property {AnswerRecord[]} answers
+ * @property {number | null} selectedAnswer
+ * @property {boolean} showExplanation
+ * @property {{ hint: boolean, removed: number[] | null }} [assists] - Hint and 50/50 taken on
+ *   the current question
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} AttemptRecord
+ * @property {string} questionSetId
+ * @property {string} seed
+ * @property {string} mode - 'quiz', 'study' or 'exam'
+ * @property {string} date - ISO timestamp of completion
+ * @property {number} score
+ * @property {number} total
+ * @property {number} [percent] - Rounded percentage correct
+ * @property {AnswerRecord[]} answers
+ * @property {Object} environment - The lab environment the attempt was played in (older records carry `domains` instead)
+ * @property {number} [durationMs] - Time taken
+ * @property {boolean} [passed] - Whether the pass mark was reached, when one applies
+ */
+
+/**
+ * In-memory Storage implementation, for tests or environments without
+ * localStorage.
+ */
+export const createMemoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    clear: () => data.clear()
+  };
+};
+
+/**
+ * Return window.localStorage when it is usable, otherwise an in-memory stub.
+ */
+export const getDefaultStorage = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    }
+  } catch (e) {
+    // Accessing localStorage throws when storage is disabled
+  }
+  return createMemoryStorage();
+};
+
+const readJSON = (backend, key) => {
+  try {
+    const raw = backend.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeJSON = (backend, key, value) => {
+  try {
+    backend.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // Ignore quota and serialization errors
+  }
+};
+
+const remove = (backend, key) => {
+  try {
+    backend.removeItem(key);
+  } catch (e) {
+    // Ignore
+  }
+};
+
+/**
+ * Create a store for quiz progress and history on top of a storage backend.
+ * Progress is kept per question set so switching sets doesn't clobber it.
+ */
+export const createQuizStore = (backend = getDefaultStorage()) => {
+  const progressKey = (questionSetId) => `${STORAGE_PREFIX}:progress:${questionSetId}`;
+  const historyKey = `${STORAGE_PREFIX}:history`;
+  const studyKey = (questionSetId) => `${STORAGE_PREFIX}:study:${questionSetId}`;
+  const scenarioKey = (questionSetId) => `${STORAGE_PREFIX}:scenarios:${questionSetId}`;
+  const customSetKey = `${STORAGE_PREFIX}:customSet`;
+  const localeKey = `${STORAGE_PREFIX}:locale`;
+  const draftKey = `${STORAGE_PREFIX}:authoringDraft`;
+
+  return {
+    /** @returns {Progress | null} */
+    loadProgress: (questionSetId) => readJSON(backend, progressKey(questionSetId)),
+
+    /** @param {Progress} progress */
+    saveProgress: (progress) =>
+      writeJSON(backend, progressKey(progress.questionSetId), {
+        ...progress,
+        updatedAt: new Date().toISOString()
+      }),
+
+    clearProgress: (questionSetId) => remove(backend, progressKey(questionSetId)),
+
+    /** @returns {AttemptRecord[]} Most recent first */
+    getHistory: () => readJSON(backend, historyKey) || [],
+
+    /** @param {AttemptRecord} attempt */
+    addAttempt: (attempt) => {
+      const history = readJSON(backend, historyKey) || [];
+      writeJSON(backend, historyKey, [attempt, ...history].slice(0, HISTORY_LIMIT));
+    },
+
+    clearHistory: () => remove(backend, historyKey),
+
+    /** @returns {Object<string, import('./srs').StudyCard>} Spaced-repetition cards by question id */
+    loadStudyCards: (questionSetId) => readJSON(backend, studyKey(questionSetId)) || {},
+
+    saveStudyCards: (questionSetId, cards) => writeJSON(backend, studyKey(questionSetId), cards),
+
+    /** @returns {Object<string, import('./scenarios').ScenarioResult>} Best result by scenario id */
+    loadScenarioResults: (questionSetId) => readJSON(backend, scenarioKey(questionSetId)) || {},
+
+    saveScenarioResults: (questionSetId, results) => writeJSON(backend, scenarioKey(questionSetId), results),
+
+    /** @returns {import('./questionSet').QuestionSet | null} Question set imported on the start screen */
+    loadCustomSet: () => readJSON(backend, customSetKey),
+
+    saveCustomSet: (set) => writeJSON(backend, customSetKey, set),
+
+    clearCustomSet: () => remove(backend, customSetKey),
+
+    /** @returns {import('./questionSet').QuestionSet | null} Unfinished set from the authoring screen */
+    loadAuthoringDraft: () => readJSON(backend, draftKey),
+
+    saveAuthoringDraft: (set) => writeJSON(backend, draftKey, set),
+
+    clearAuthoringDraft: () => remove(backend, draftKey),
+
+    /** @returns {string | null} Locale picked with the language switcher */
+    loadLocale: () => readJSON(backend, localeKey),
+
+    saveLocale: (locale) => writeJSON(backend, localeKey, locale)
+  };
+};
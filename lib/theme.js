@@ -0,0 +1,86 @@
+/**
+ * Themes
+ *
+ * Colour classes for the quiz, grouped by role. Every class is written out
+ * in full so Tailwind's content scan picks them up - add this file to the
+ * `content` globs of the host's Tailwind config.
+ */
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} surface - Background of the outer quiz panel
+ * @property {string} primary - Main action buttons
+ * @property {string} secondary - Secondary (outlined) buttons
+ * @property {string} link - Text buttons and links
+ * @property {string} accent - Highlighted text such as the final score
+ * @property {string} bar - Filled part of progress bars
+ * @property {string} selected - Selected option or chip
+ * @property {string} selectable - Hover state of an unselected option or chip
+ * @property {string} outline - Border for highlighted panels and the current item
+ * @property {string} tint - Light background for domain names and hovered items
+ * @property {string} focus - Border of a focused text input
+ * @property {string} ring - Keyboard focus ring on options and buttons
+ */
+
+/** @type {Object<string, Theme>} */
+export const THEMES = {
+  indigo: {
+    surface: 'bg-gradient-to-br from-blue-50 to-indigo-50',
+    primary: 'bg-indigo-600 text-white hover:bg-indigo-700',
+    secondary: 'bg-white text-indigo-700 border-2 border-indigo-200 hover:bg-indigo-50',
+    link: 'text-indigo-700 hover:text-indigo-900',
+    accent: 'text-indigo-600',
+    bar: 'bg-indigo-600',
+    selected: 'border-indigo-500 bg-indigo-50 text-indigo-900',
+    selectable: 'hover:border-indigo-300 hover:bg-indigo-50',
+    outline: 'border-indigo-500',
+    tint: 'bg-indigo-50',
+    focus: 'focus-within:border-indigo-500',
+    ring: 'focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 focus-visible:ring-offset-2'
+  },
+  emerald: {
+    surface: 'bg-gradient-to-br from-green-50 to-emerald-50',
+    primary: 'bg-emerald-600 text-white hover:bg-emerald-700',
+    secondary: 'bg-white text-emerald-700 border-2 border-emerald-200 hover:bg-emerald-50',
+    link: 'text-emerald-700 hover:text-emerald-900',
+    accent: 'text-emerald-600',
+    bar: 'bg-emerald-600',
+    selected: 'border-emerald-500 bg-emerald-50 text-emerald-900',
+    selectable: 'hover:border-emerald-300 hover:bg-emerald-50',
+    outline: 'border-emerald-500',
+    tint: 'bg-emerald-50',
+    focus: 'focus-within:border-emerald-500',
+    ring: 'focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-500 focus-visible:ring-offset-2'
+  },
+  slate: {
+    surface: 'bg-gradient-to-br from-gray-50 to-slate-100',
+    primary: 'bg-slate-700 text-white hover:bg-slate-800',
+    secondary: 'bg-white text-slate-700 border-2 border-slate-300 hover:bg-slate-50',
+    link: 'text-slate-700 hover:text-slate-900',
+    accent: 'text-slate-700',
+    bar: 'bg-slate-700',
+    selected: 'border-slate-600 bg-slate-100 text-slate-900',
+    selectable: 'hover:border-slate-400 hover:bg-slate-50',
+    outline: 'border-slate-600',
+    tint: 'bg-slate-100',
+    focus: 'focus-within:border-slate-600',
+    ring: 'focus:outline-none focus-visible:ring-2 focus-visible:ring-slate-600 focus-visible:ring-offset-2'
+  }
+};
+
+/**
+ * Resolve the theme prop: a built-in theme name, or an object whose roles
+ * override the default theme (optionally starting from a named `base`).
+ *
+ * @param {string | (Partial<Theme> & { base?: string })} [theme]
+ * @returns {Theme}
+ */
+export const resolveTheme = (theme) => {
+  if (!theme) return THEMES.indigo;
+  if (typeof theme === 'string') {
+    if (!THEMES[theme]) throw new Error(`Unknown theme '${theme}'`);
+    return THEMES[theme];
+  }
+  const { base = 'indigo', ...overrides } = theme;
+  return { ...resolveTheme(base), ...overrides };
+};
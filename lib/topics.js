@@ -0,0 +1,62 @@
+/**
+ * Topic Helpers
+ *
+ * Filtering a question bank down to selected topics and breaking attempt
+ * results down per topic.
+ */
+
+import { answerCredit } from './questionTypes';
+
+/**
+ * Keep questions tagged with at least one of the given topic ids. A null or
+ * empty selection means every topic.
+ */
+export const filterByTopics = (questions, topicIds) => {
+  if (!topicIds || topicIds.length === 0) return questions;
+  return questions.filter((q) => q.topics.some((topic) => topicIds.includes(topic)));
+};
+
+/**
+ * Count how many questions carry each topic.
+ *
+ * @returns {Object<string, number>}
+ */
+export const countByTopic = (questions) =>
+  questions.reduce((counts, q) => {
+    q.topics.forEach((topic) => {
+      counts[topic] = (counts[topic] || 0) + 1;
+    });
+    return counts;
+  }, {});
+
+/**
+ * Break an attempt's answers down per topic. A question tagged with several
+ * topics counts towards each of them, and partly right answers count their
+ * credit.
+ *
+ * @param {import('./questionSet').Question[]} questions
+ * @param {import('./storage').AnswerRecord[]} answers
+ * @param {import('./questionSet').Topic[]} topics
+ * @returns {{ id: string, label: string, correct: number, total: number }[]}
+ */
+export const scoreByTopic = (questions, answers, topics) => {
+  const questionById = new Map(questions.map((q) => [q.id, q]));
+  const labels = new Map(topics.map((topic) => [topic.id, topic.label]));
+  const results = new Map();
+
+  answers.forEach((answer) => {
+    const question = questionById.get(answer.questionId);
+    if (!question) return;
+    question.topics.forEach((topic) => {
+      const entry = results.get(topic) || { id: topic, label: labels.get(topic) || topic, correct: 0, total: 0 };
+      entry.total += 1;
+      entry.correct += answerCredit(answer);
+      results.set(topic, entry);
+    });
+  });
+
+  // Keep the question set's topic order; topics the set doesn't declare go last
+  const order = topics.map((topic) => topic.id);
+  const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+  return [...results.values()].sort((a, b) => rank(a.id) - rank(b.id));
+};
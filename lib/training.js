@@ -0,0 +1,152 @@
+/**
+ * Training Aids
+ *
+ * Hints, the 50/50 lifeline and confidence ratings for practice attempts,
+ * and the calibration report built from the ratings.
+ *
+ * A hint costs a share of the question's credit. The 50/50 removes two
+ * wrong options of a multiple-choice question, a limited number of times
+ * per attempt. Confidence is rated before an answer is checked and scored
+ * with certainty-based marking (Gardner-Medwin): a right answer earns 1, 2
+ * or 3 marks at low, medium or high confidence, a wrong one 0, -2 or -6.
+ * Each level pays best over a range of accuracy - low below 67%, medium
+ * from 67% to 80%, high above 80% - so comparing the accuracy at each level
+ * with its range shows whether a learner is over- or underconfident.
+ */
+
+import { createRng, shuffle } from './random';
+import { answerCredit } from './questionTypes';
+
+/**
+ * @typedef {Object} TrainingSettings
+ * @property {number} hintCost - Share of a question's credit a hint costs, 0-1
+ * @property {number} lifelines - 50/50s per attempt
+ * @property {boolean} confidence - Ask for a confidence rating before checking each answer
+ */
+
+/** @type {TrainingSettings} */
+export const DEFAULT_TRAINING = { hintCost: 0.5, lifelines: 1, confidence: true };
+
+/** @typedef {'low' | 'medium' | 'high'} ConfidenceLevel */
+
+/** @type {ConfidenceLevel[]} */
+export const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+/** Certainty-based marks for a right and a wrong answer at each level. */
+export const CONFIDENCE_MARKS = {
+  low: { right: 1, wrong: 0 },
+  medium: { right: 2, wrong: -2 },
+  high: { right: 3, wrong: -6 }
+};
+
+/** Accuracy, as a share 0-1, over which each level earns the most marks. */
+export const CONFIDENCE_RANGES = {
+  low: [0, 2 / 3],
+  medium: [2 / 3, 0.8],
+  high: [0.8, 1]
+};
+
+const round = (credit) => Math.round(credit * 1000) / 1000;
+
+/**
+ * Credit for an answer given after taking the hint.
+ *
+ * @param {{ correct: boolean, credit?: number }} answer
+ * @param {number} hintCost
+ * @returns {number}
+ */
+export const hintedCredit = (answer, hintCost) => round(answerCredit(answer) * (1 - hintCost));
+
+/**
+ * The two wrong options a 50/50 removes, as displayed indexes in ascending
+ * order, or null for questions with fewer than three wrong options (where
+ * it would leave only the answer) and for questions with `fixedOptions`,
+ * whose options refer to each other. Seeded per question, so a replayed
+ * attempt removes the same two.
+ *
+ * @param {{ id: string, options?: string[], correct: number }} question - As displayed
+ * @param {string} seed - The attempt seed
+ * @returns {number[] | null}
+ */
+export const fiftyFifty = (question, seed) => {
+  if (question.type !== 'choice' || question.fixedOptions) return null;
+  const wrong = question.options.map((option, index) => index).filter((index) => index !== question.correct);
+  if (wrong.length < 3) return null;
+  return shuffle(wrong, createRng(seed, `fifty-fifty:${question.id}`)).slice(0, 2).sort((a, b) => a - b);
+};
+
+/**
+ * Marks as shown to learners, with a plus sign on gains.
+ *
+ * @param {number} mark
+ * @param {(value: number) => string} formatNumber - From the translator
+ */
+export const signedMark = (mark, formatNumber) => (mark > 0 ? `+${formatNumber(mark)}` : formatNumber(mark));
+
+/**
+ * Certainty-based marks for one rated answer. Partly right answers count as
+ * wrong.
+ *
+ * @param {{ correct: boolean, confidence: ConfidenceLevel }} answer
+ * @returns {number}
+ */
+export const confidenceMark = (answer) => CONFIDENCE_MARKS[answer.confidence][answer.correct ? 'right' : 'wrong'];
+
+/**
+ * Confidence-weighted score over the rated answers, against the best
+ * possible: every answer right at high confidence.
+ *
+ * @param {import('./storage').AnswerRecord[]} answers
+ * @returns {{ score: number, max: number, rated: number }}
+ */
+export const confidenceScore = (answers) => {
+  const rated = answers.filter((answer) => answer.confidence);
+  return {
+    score: rated.reduce((sum, answer) => sum + confidenceMark(answer), 0),
+    max: rated.length * CONFIDENCE_MARKS.high.right,
+    rated: rated.length
+  };
+};
+
+/**
+ * @typedef {Object} CalibrationLevel
+ * @property {ConfidenceLevel} level
+ * @property {number} answered
+ * @property {number} correct
+ * @property {number | null} percent - 0-100, null when no answer had this rating
+ * @property {'over' | 'under' | 'calibrated' | null} verdict - 'over' when accuracy is
+ *   below the level's range, 'under' when above it
+ */
+
+/**
+ * How accurate the learner was at each confidence level, and the questions
+ * answered wrongly at high confidence.
+ *
+ * @param {import('./storage').AnswerRecord[]} answers
+ * @returns {{ levels: CalibrationLevel[], confidentlyWrong: string[] } & ReturnType<typeof confidenceScore>}
+ */
+export const calibrationReport = (answers) => {
+  const levels = CONFIDENCE_LEVELS.map((level) => {
+    const rated = answers.filter((answer) => answer.confidence === level);
+    const correct = rated.filter((answer) => answer.correct).length;
+    if (rated.length === 0) return { level, answered: 0, correct: 0, percent: null, verdict: null };
+
+    const share = correct / rated.length;
+    const [low, high] = CONFIDENCE_RANGES[level];
+    return {
+      level,
+      answered: rated.length,
+      correct,
+      percent: Math.round(share * 100),
+      verdict: share < low ? 'over' : share > high ? 'under' : 'calibrated'
+    };
+  });
+
+  return {
+    ...confidenceScore(answers),
+    levels,
+    confidentlyWrong: answers
+      .filter((answer) => answer.confidence === 'high' && !answer.correct)
+      .map((answer) => answer.questionId)
+  };
+};
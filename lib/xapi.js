@@ -0,0 +1,285 @@
+/**
+ * xAPI Reporting
+ *
+ * Turns quiz events into xAPI (Experience API 1.0.3) statements - attempted,
+ * answered, completed and passed/failed - and hands them to a transport.
+ * The transport is pluggable: post to a real LRS, collect in memory for
+ * tests, or point at a local mock LRS.
+ *
+ * Reporting is best effort, like storage: a failing transport never breaks
+ * the quiz.
+ */
+
+import { authoredOption, unshuffledOptions } from './shuffle';
+
+const XAPI_VERSION = '1.0.3';
+
+export const VERBS = {
+  attempted: { id: 'http://adlnet.gov/expapi/verbs/attempted', display: { 'en-US': 'attempted' } },
+  answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+  completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } },
+  passed: { id: 'http://adlnet.gov/expapi/verbs/passed', display: { 'en-US': 'passed' } },
+  failed: { id: 'http://adlnet.gov/expapi/verbs/failed', display: { 'en-US': 'failed' } }
+};
+
+const ACTIVITY_TYPES = {
+  assessment: 'http://adlnet.gov/expapi/activities/assessment',
+  interaction: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+};
+
+const EXTENSIONS = {
+  seed: 'urn:dns-quiz:extensions:seed',
+  mode: 'urn:dns-quiz:extensions:mode'
+};
+
+/**
+ * Events a reporter receives from DNSQuiz. The xAPI reporter below and the
+ * SCORM reporter in lib/scorm.js both implement it.
+ *
+ * @typedef {Object} QuizReporter
+ * @property {(attempt: { questionSetId: string, title: string, seed: string, mode: string, locale?: string }) => void} attempted
+ * @property {(question: Object, answer: import('./storage').AnswerRecord) => void} answered
+ * @property {(result: Object) => void} completed - Receives the QuizResult passed to onComplete
+ */
+
+/**
+ * @typedef {Object} XapiTransport
+ * @property {(statements: Object[]) => Promise<void>} send
+ */
+
+const uuid = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r % 4) + 8).toString(16);
+  });
+};
+
+/**
+ * Format milliseconds as an ISO 8601 duration (PT12.5S).
+ */
+export const isoDuration = (ms) => `PT${Math.round(ms / 10) / 100}S`;
+
+/**
+ * RFC 5646 tag for xAPI language maps. Plain English keeps the 'en-US' the
+ * statements have always used, so existing LRS reports don't split.
+ */
+const languageTag = (locale) => (!locale || locale === 'en' ? 'en-US' : locale);
+
+// Interaction components are listed with their index as id
+const components = (texts, language) => texts.map((text, index) => ({ id: String(index), description: { [language]: text } }));
+
+// Response patterns: '0[,]2' for several ids, '0[.]1' for a matched pair
+const idList = (ids) => ids.map(String).join('[,]');
+const pairList = (matches) =>
+  idList(matches.map((match, index) => (match === null ? null : `${index}[.]${match}`)).filter(Boolean));
+
+/**
+ * Describe a question as an xAPI interaction activity definition, with its
+ * text in the attempt's language. Options are listed in authored order, so
+ * the activity has the same definition whatever an attempt's shuffle.
+ */
+const interactionDefinition = (shown, language) => {
+  const question = unshuffledOptions(shown);
+  const base = { name: { [language]: question.question }, type: ACTIVITY_TYPES.interaction };
+  if (question.type === 'zone') {
+    return { ...base, interactionType: 'long-fill-in' };
+  }
+  if (question.type === 'order') {
+    return {
+      ...base,
+      interactionType: 'sequencing',
+      choices: components(question.items, language),
+      correctResponsesPattern: [idList(question.items.map((item, index) => index))]
+    };
+  }
+  if (question.type === 'match') {
+    return {
+      ...base,
+      interactionType: 'matching',
+      source: components(question.pairs.map((pair) => pair.prompt), language),
+      target: components(question.pairs.map((pair) => pair.answer), language),
+      correctResponsesPattern: [pairList(question.pairs.map((pair, index) => index))]
+    };
+  }
+  return {
+    ...base,
+    interactionType: 'choice',
+    choices: components(question.options, language),
+    correctResponsesPattern: [Array.isArray(question.correct) ? idList(question.correct) : String(question.correct)]
+  };
+};
+
+/**
+ * The response as xAPI expects it: authored option indexes for choice
+ * questions, item indexes for ordering, prompt[.]answer pairs for matching,
+ * otherwise the typed command or zone text.
+ */
+const responseOf = (question, answer) => {
+  if (answer.command !== undefined) return answer.command;
+  if (answer.zone !== undefined) return answer.zone;
+  if (answer.choices !== undefined) {
+    return idList(answer.choices.map((choice) => authoredOption(question, choice)).sort((a, b) => a - b));
+  }
+  if (answer.order !== undefined) return idList(answer.order);
+  if (answer.matches !== undefined) return pairList(answer.matches);
+  const option = answer.option ?? authoredOption(question, answer.choice);
+  return option === null ? '' : String(option);
+};
+
+/**
+ * Create a reporter that emits xAPI statements.
+ *
+ * @param {Object} options
+ * @param {XapiTransport} options.transport
+ * @param {Object} options.actor - xAPI Agent, e.g. { name, mbox: 'mailto:...' }
+ * @param {string} [options.activityId] - IRI of the quiz activity, defaults to
+ *   `urn:dns-quiz:<questionSetId>`; question activities are `<activityId>/questions/<questionId>`
+ * @param {(error: Error) => void} [options.onError]
+ * @returns {QuizReporter}
+ */
+export const createXapiReporter = ({
+  transport,
+  actor,
+  activityId,
+  onError = () => {}
+}) => {
+  let attempt = null;
+
+  const quizActivity = () => ({
+    objectType: 'Activity',
+    id: attempt.activityId,
+    definition: { name: { [attempt.language]: attempt.title }, type: ACTIVITY_TYPES.assessment }
+  });
+
+  const context = (extra = {}) => ({
+    registration: attempt.registration,
+    language: attempt.language,
+    extensions: { [EXTENSIONS.seed]: attempt.seed, [EXTENSIONS.mode]: attempt.mode },
+    ...extra
+  });
+
+  const emit = (statements) => {
+    try {
+      Promise.resolve(transport.send(statements)).catch(onError);
+    } catch (e) {
+      onError(e);
+    }
+  };
+
+  const statement = (verb, object, fields) => ({
+    id: uuid(),
+    actor,
+    verb,
+    object,
+    timestamp: new Date().toISOString(),
+    ...fields
+  });
+
+  return {
+    attempted: ({ questionSetId, title, seed, mode, locale }) => {
+      attempt = {
+        activityId: activityId || `urn:dns-quiz:${questionSetId}`,
+        registration: uuid(),
+        seed: String(seed),
+        mode,
+        title,
+        language: languageTag(locale)
+      };
+      emit([statement(VERBS.attempted, quizActivity(), { context: context() })]);
+    },
+
+    answered: (question, answer) => {
+      if (!attempt) return;
+      emit([
+        statement(
+          VERBS.answered,
+          { objectType: 'Activity', id: `${attempt.activityId}/questions/${question.id}`, definition: interactionDefinition(question, attempt.language) },
+          {
+            result: {
+              success: answer.correct,
+              response: responseOf(question, answer),
+              duration: isoDuration(answer.elapsedMs),
+              // Partial credit from multi-select, ordering and matching
+              ...(answer.credit !== undefined && { score: { scaled: answer.credit } })
+            },
+            context: context({ contextActivities: { parent: [{ id: attempt.activityId }] } })
+          }
+        )
+      ]);
+    },
+
+    completed: (result) => {
+      if (!attempt) return;
+      const score = {
+        raw: result.score,
+        min: 0,
+        max: result.total,
+        scaled: result.total > 0 ? Math.round((result.score / result.total) * 10000) / 10000 : 0
+      };
+      const outcome = {
+        score,
+        completion: true,
+        duration: isoDuration(result.durationMs),
+        ...(result.passed !== undefined && { success: result.passed })
+      };
+      const statements = [statement(VERBS.completed, quizActivity(), { result: outcome, context: context() })];
+      if (result.passed !== undefined) {
+        statements.push(statement(result.passed ? VERBS.passed : VERBS.failed, quizActivity(), { result: outcome, context: context() }));
+      }
+      emit(statements);
+      attempt = null;
+    }
+  };
+};
+
+/**
+ * Transport that POSTs statements to an LRS statements endpoint.
+ *
+ * @param {Object} options
+ * @param {string} options.endpoint - LRS base URL, e.g. https://lrs.example.com/xapi
+ * @param {string} [options.auth] - Authorization header value, e.g. 'Basic ...'
+ * @param {typeof fetch} [options.fetch]
+ * @returns {XapiTransport}
+ */
+export const createLrsTransport = ({ endpoint, auth, fetch: fetchImpl = globalThis.fetch }) => ({
+  send: async (statements) => {
+    const response = await fetchImpl(`${endpoint.replace(/\/$/, '')}/statements`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Experience-API-Version': XAPI_VERSION,
+        ...(auth && { Authorization: auth })
+      },
+      body: JSON.stringify(statements)
+    });
+    if (!response.ok) {
+      throw new Error(`LRS rejected statements: ${response.status}`);
+    }
+  }
+});
+
+/**
+ * Transport that keeps statements in memory, for tests and local debugging.
+ */
+export const createMemoryTransport = () => {
+  const statements = [];
+  return {
+    statements,
+    send: async (batch) => {
+      statements.push(...batch);
+    }
+  };
+};
+
+/**
+ * Fan quiz events out to several reporters, e.g. xAPI and SCORM together.
+ *
+ * @param {...QuizReporter} reporters
+ * @returns {QuizReporter}
+ */
+export const combineReporters = (...reporters) => ({
+  attempted: (attempt) => reporters.forEach((reporter) => reporter.attempted(attempt)),
+  answered: (question, answer) => reporters.forEach((reporter) => reporter.answered(question, answer)),
+  completed: (result) => reporters.forEach((reporter) => reporter.completed(result))
+});
@@ -0,0 +1,475 @@
+/**
+ * BIND Zone File Parser and Linter
+ *
+ * An RFC 1035 master-file parser for zone-file exercises. Handles $ORIGIN and
+ * $TTL, blank owners, @, relative names, TTL/class in either order,
+ * parenthesized multi-line records (such as the SOA) and comments, then lints
+ * the result for the mistakes people actually make in BIND zones: missing
+ * trailing dots, CNAMEs at the apex or next to other data, duplicate CNAMEs
+ * and zones without NS records.
+ *
+ * All problems are reported as diagnostics with the 1-based line they start on.
+ */
+
+/**
+ * @typedef {Object} ZoneRecord
+ * @property {number} line - Line the record starts on
+ * @property {string} name - Absolute owner name, lowercase, with trailing dot
+ * @property {number | null} ttl
+ * @property {string} class
+ * @property {string} type - Uppercase record type
+ * @property {string[]} data - RDATA fields, with domain-name fields made absolute
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {number} line
+ * @property {'error' | 'warning'} severity
+ * @property {string} message
+ */
+
+const CLASSES = ['IN', 'CH', 'HS'];
+
+// Common TLDs, used to spot names that were meant to be fully qualified
+const COMMON_TLDS = [
+  'com', 'org', 'net', 'edu', 'gov', 'io', 'dev', 'app', 'pro', 'cloud', 'tech', 'site', 'info', 'biz',
+  'co', 'uk', 'de', 'br', 'us', 'eu', 'arpa', 'local', 'lan', 'home', 'internal'
+];
+
+// Which RDATA fields hold domain names, per record type
+const NAME_FIELDS = {
+  NS: [0],
+  CNAME: [0],
+  PTR: [0],
+  DNAME: [0],
+  MX: [1],
+  SRV: [3],
+  SOA: [0, 1]
+};
+
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parse a TTL such as 3600, 1h or 1h30m into seconds. Returns null when the
+ * value isn't a TTL.
+ */
+export const parseTtl = (value) => {
+  if (/^\d+$/.test(value)) return Number(value);
+  const pattern = /(\d+)([smhdw])/gi;
+  if (!/^(\d+[smhdw])+$/i.test(value)) return null;
+  let total = 0;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    total += Number(match[1]) * TTL_UNITS[match[2].toLowerCase()];
+  }
+  return total;
+};
+
+const isIPv4 = (value) =>
+  /^\d{1,3}(\.\d{1,3}){3}$/.test(value) && value.split('.').every((octet) => Number(octet) <= 255);
+
+const isIPv6 = (value) =>
+  /^[0-9a-f:.]+$/i.test(value) && value.includes(':') && (value.match(/::/g) || []).length <= 1;
+
+const isUint = (value, max) => /^\d+$/.test(value) && Number(value) <= max;
+
+const normalizeOrigin = (origin) => {
+  const lower = origin.toLowerCase();
+  return lower.endsWith('.') ? lower : `${lower}.`;
+};
+
+/**
+ * Make a name absolute against the current origin.
+ */
+const absolute = (name, origin) => {
+  if (name === '@') return origin;
+  const lower = name.toLowerCase();
+  if (lower.endsWith('.')) return lower;
+  return origin === '.' ? `${lower}.` : `${lower}.${origin}`;
+};
+
+/**
+ * Split the file into logical entries: comments stripped, parenthesized
+ * continuations joined, each tagged with its starting line and whether it
+ * began with whitespace (a blank owner).
+ */
+const tokenizeEntries = (text, diagnostics) => {
+  const entries = [];
+  let current = null;
+  let depth = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    const tokens = [];
+    let token = '';
+    let inQuotes = false;
+
+    const flush = () => {
+      if (token !== '') tokens.push(token);
+      token = '';
+    };
+
+    for (let i = 0; i < rawLine.length; i++) {
+      const ch = rawLine[i];
+      if (inQuotes) {
+        token += ch;
+        if (ch === '"' && rawLine[i - 1] !== '\\') {
+          inQuotes = false;
+          flush();
+        }
+      } else if (ch === '"') {
+        flush();
+        token = '"';
+        inQuotes = true;
+      } else if (ch === ';') {
+        break;
+      } else if (ch === '(') {
+        flush();
+        depth += 1;
+      } else if (ch === ')') {
+        flush();
+        depth -= 1;
+        if (depth < 0) {
+          diagnostics.push({ line, severity: 'error', message: "Unmatched ')'" });
+          depth = 0;
+        }
+      } else if (/\s/.test(ch)) {
+        flush();
+      } else {
+        token += ch;
+      }
+    }
+    if (inQuotes) {
+      diagnostics.push({ line, severity: 'error', message: 'Unterminated quoted string' });
+    }
+    flush();
+
+    if (current) {
+      current.tokens.push(...tokens);
+    } else if (tokens.length > 0) {
+      current = { line, blankOwner: /^\s/.test(rawLine), tokens };
+    }
+
+    if (current && depth === 0) {
+      entries.push(current);
+      current = null;
+    }
+  });
+
+  if (current) {
+    diagnostics.push({ line: current.line, severity: 'error', message: "Unmatched '(' - record is never closed" });
+    entries.push(current);
+  }
+
+  return entries;
+};
+
+const validateRdata = (type, data, line, diagnostics) => {
+  const fail = (message) => diagnostics.push({ line, severity: 'error', message: `${type} record: ${message}` });
+  const expect = (count) => {
+    if (data.length !== count) {
+      fail(`expected ${count} field${count === 1 ? '' : 's'}, found ${data.length}`);
+      return false;
+    }
+    return true;
+  };
+
+  switch (type) {
+    case 'A':
+      if (expect(1) && !isIPv4(data[0])) fail(`'${data[0]}' is not a valid IPv4 address`);
+      break;
+    case 'AAAA':
+      if (expect(1) && !isIPv6(data[0])) fail(`'${data[0]}' is not a valid IPv6 address`);
+      break;
+    case 'NS':
+    case 'CNAME':
+    case 'PTR':
+    case 'DNAME':
+      expect(1);
+      break;
+    case 'MX':
+      if (expect(2) && !isUint(data[0], 65535)) fail(`preference '${data[0]}' must be a number`);
+      break;
+    case 'SRV':
+      if (expect(4) && !data.slice(0, 3).every((value) => isUint(value, 65535))) {
+        fail('priority, weight and port must be numbers');
+      }
+      break;
+    case 'SOA':
+      if (expect(7) && !data.slice(2).every((value) => parseTtl(value) !== null)) {
+        fail('serial and timers must be numbers');
+      }
+      break;
+    case 'TXT':
+      if (data.length === 0) fail('needs at least one string');
+      break;
+    case 'CAA':
+      if (data.length < 3 || !isUint(data[0], 255)) fail('expected flags, tag and value');
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Flag relative names that were almost certainly meant to be fully
+ * qualified: 'ns1.example.com' inside example.com becomes
+ * 'ns1.example.com.example.com.'.
+ */
+const checkTrailingDot = (value, currentOrigin, zoneOrigin, label, line, diagnostics) => {
+  if (value === '@' || value.endsWith('.') || !value.includes('.')) return;
+
+  const lower = value.toLowerCase();
+  const bareOrigin = zoneOrigin.replace(/\.$/, '');
+  const expanded = absolute(value, currentOrigin);
+
+  if (lower === bareOrigin || lower.endsWith(`.${bareOrigin}`)) {
+    diagnostics.push({
+      line,
+      severity: 'error',
+      message: `${label} '${value}' is missing its trailing dot and expands to '${expanded}'`
+    });
+  } else if (COMMON_TLDS.includes(lower.split('.').pop())) {
+    diagnostics.push({
+      line,
+      severity: 'warning',
+      message: `${label} '${value}' looks fully qualified but has no trailing dot; it expands to '${expanded}'`
+    });
+  }
+};
+
+/**
+ * Parse a zone file.
+ *
+ * @param {string} text
+ * @param {{ origin: string, defaultTtl?: number }} options - origin is the zone name
+ * @returns {{ records: ZoneRecord[], diagnostics: Diagnostic[], origin: string }}
+ */
+export const parseZone = (text, { origin, defaultTtl = null } = {}) => {
+  const diagnostics = [];
+  const records = [];
+  const zoneOrigin = normalizeOrigin(origin);
+  let currentOrigin = zoneOrigin;
+  let currentTtl = defaultTtl;
+  let lastOwner = null;
+
+  tokenizeEntries(text, diagnostics).forEach(({ line, blankOwner, tokens }) => {
+    const [first] = tokens;
+
+    if (first.startsWith('$')) {
+      const directive = first.toUpperCase();
+      if (directive === '$ORIGIN') {
+        if (!tokens[1]) {
+          diagnostics.push({ line, severity: 'error', message: '$ORIGIN needs a domain name' });
+        } else {
+          if (!tokens[1].endsWith('.')) {
+            diagnostics.push({
+              line,
+              severity: 'warning',
+              message: `$ORIGIN ${tokens[1]} has no trailing dot, so it is relative to ${currentOrigin}`
+            });
+          }
+          currentOrigin = absolute(tokens[1], currentOrigin);
+        }
+      } else if (directive === '$TTL') {
+        const ttl = tokens[1] !== undefined ? parseTtl(tokens[1]) : null;
+        if (ttl === null) diagnostics.push({ line, severity: 'error', message: '$TTL needs a numeric TTL' });
+        else currentTtl = ttl;
+      } else {
+        diagnostics.push({ line, severity: 'error', message: `${first} is not supported here` });
+      }
+      return;
+    }
+
+    let rest = tokens;
+    let owner;
+    if (blankOwner) {
+      if (!lastOwner) {
+        diagnostics.push({ line, severity: 'error', message: 'Record has no owner name and there is no previous owner' });
+        return;
+      }
+      owner = lastOwner;
+    } else {
+      checkTrailingDot(rest[0], currentOrigin, zoneOrigin, 'Owner name', line, diagnostics);
+      owner = absolute(rest[0], currentOrigin);
+      rest = rest.slice(1);
+    }
+    lastOwner = owner;
+
+    let ttl = null;
+    let recordClass = null;
+    while (rest.length > 0) {
+      const upper = rest[0].toUpperCase();
+      if (ttl === null && parseTtl(rest[0]) !== null) {
+        ttl = parseTtl(rest[0]);
+      } else if (recordClass === null && CLASSES.includes(upper)) {
+        recordClass = upper;
+      } else {
+        break;
+      }
+      rest = rest.slice(1);
+    }
+
+    if (rest.length === 0) {
+      diagnostics.push({ line, severity: 'error', message: 'Record is missing its type' });
+      return;
+    }
+
+    const type = rest[0].toUpperCase();
+    if (!/^[A-Z][A-Z0-9]*$/.test(type)) {
+      diagnostics.push({ line, severity: 'error', message: `'${rest[0]}' is not a record type` });
+      return;
+    }
+
+    const raw = rest.slice(1);
+    validateRdata(type, raw, line, diagnostics);
+
+    const nameFields = NAME_FIELDS[type] || [];
+    const data = raw.map((value, index) => {
+      if (!nameFields.includes(index)) return value;
+      checkTrailingDot(value, currentOrigin, zoneOrigin, `${type} target`, line, diagnostics);
+      return absolute(value, currentOrigin);
+    });
+
+    if (ttl === null) ttl = currentTtl;
+    if (ttl === null && type === 'SOA' && parseTtl(raw[6] || '') !== null) {
+      ttl = parseTtl(raw[6]);
+      currentTtl = ttl;
+    }
+
+    records.push({ line, name: owner, ttl, class: recordClass || 'IN', type, data });
+  });
+
+  return { records, diagnostics, origin: zoneOrigin };
+};
+
+const isInZone = (name, origin) => name === origin || name.endsWith(`.${origin}`);
+
+/**
+ * Check parsed records for zone-level mistakes.
+ *
+ * @param {ZoneRecord[]} records
+ * @param {string} origin - Zone name
+ * @returns {Diagnostic[]}
+ */
+export const lintZone = (records, origin) => {
+  const zoneOrigin = normalizeOrigin(origin);
+  const diagnostics = [];
+  const byName = new Map();
+  records.forEach((record) => {
+    if (!byName.has(record.name)) byName.set(record.name, []);
+    byName.get(record.name).push(record);
+  });
+
+  const apex = byName.get(zoneOrigin) || [];
+  const soas = apex.filter((record) => record.type === 'SOA');
+  if (soas.length === 0) {
+    diagnostics.push({ line: 1, severity: 'error', message: `Zone ${zoneOrigin} has no SOA record at the apex` });
+  } else if (soas.length > 1) {
+    diagnostics.push({ line: soas[1].line, severity: 'error', message: 'Zone has more than one SOA record' });
+  }
+  if (!apex.some((record) => record.type === 'NS')) {
+    diagnostics.push({ line: soas[0]?.line || 1, severity: 'error', message: `Zone ${zoneOrigin} has no NS records at the apex` });
+  }
+
+  records.forEach((record) => {
+    if (!isInZone(record.name, zoneOrigin)) {
+      diagnostics.push({ line: record.line, severity: 'error', message: `${record.name} is outside the zone ${zoneOrigin}` });
+    }
+    if (record.type === 'SOA' && record.name !== zoneOrigin) {
+      diagnostics.push({ line: record.line, severity: 'error', message: 'SOA record must be at the zone apex (@)' });
+    }
+    if (record.ttl === null) {
+      diagnostics.push({ line: record.line, severity: 'warning', message: 'No TTL specified and no $TTL in effect' });
+    }
+  });
+
+  byName.forEach((group, name) => {
+    const cnames = group.filter((record) => record.type === 'CNAME');
+    if (cnames.length === 0) return;
+
+    if (name === zoneOrigin) {
+      diagnostics.push({ line: cnames[0].line, severity: 'error', message: 'CNAME is not allowed at the zone apex' });
+    }
+    cnames.slice(1).forEach((record) => {
+      diagnostics.push({
+        line: record.line,
+        severity: 'error',
+        message: `Duplicate CNAME for ${name} (first defined on line ${cnames[0].line})`
+      });
+    });
+    group
+      .filter((record) => !['CNAME', 'RRSIG', 'NSEC'].includes(record.type))
+      .forEach((record) => {
+        if (name === zoneOrigin && ['SOA', 'NS'].includes(record.type)) return;
+        diagnostics.push({
+          line: record.line,
+          severity: 'error',
+          message: `${name} has a CNAME and other data (${record.type})`
+        });
+      });
+  });
+
+  // In-zone NS and MX targets should resolve, and must not be aliases
+  records
+    .filter((record) => ['NS', 'MX'].includes(record.type))
+    .forEach((record) => {
+      const target = record.data[NAME_FIELDS[record.type][0]];
+      if (!target || !isInZone(target, zoneOrigin)) return;
+      // Already reported as a missing trailing dot
+      if (target.endsWith(`.${zoneOrigin.slice(0, -1)}.${zoneOrigin}`)) return;
+      const targetRecords = byName.get(target) || [];
+      if (targetRecords.some((r) => r.type === 'CNAME')) {
+        diagnostics.push({ line: record.line, severity: 'error', message: `${record.type} target ${target} is a CNAME` });
+      } else if (!targetRecords.some((r) => r.type === 'A' || r.type === 'AAAA')) {
+        diagnostics.push({
+          line: record.line,
+          severity: 'warning',
+          message: `${record.type} target ${target} has no A or AAAA record in this zone`
+        });
+      }
+    });
+
+  return diagnostics;
+};
+
+/**
+ * Parse and lint in one go, with diagnostics sorted by line.
+ */
+export const checkZone = (text, origin) => {
+  const { records, diagnostics } = parseZone(text, { origin });
+  const all = [...diagnostics, ...lintZone(records, origin)].sort((a, b) => a.line - b.line);
+  return { records, diagnostics: all, errors: all.filter((d) => d.severity === 'error') };
+};
+
+/**
+ * @typedef {Object} ZoneRequirement
+ * @property {string} name - Owner name, absolute (trailing dot optional)
+ * @property {string} type
+ * @property {string} [data] - Expected RDATA, space separated; omit to accept any
+ */
+
+/**
+ * Grade a zone-file exercise: the zone must have no errors and contain every
+ * required record.
+ *
+ * @param {string} text
+ * @param {{ origin: string, requirements?: ZoneRequirement[] }} exercise
+ * @returns {{ correct: boolean, diagnostics: Diagnostic[], missing: ZoneRequirement[] }}
+ */
+export const checkZoneExercise = (text, { origin, requirements = [] }) => {
+  const { records, diagnostics, errors } = checkZone(text, origin);
+
+  const missing = requirements.filter((requirement) => {
+    const name = normalizeOrigin(requirement.name);
+    const type = requirement.type.toUpperCase();
+    return !records.some((record) => {
+      if (record.name !== name || record.type !== type) return false;
+      if (requirement.data === undefined) return true;
+      const expected = requirement.data.trim().split(/\s+/).map((value) => value.toLowerCase());
+      return expected.every((value, index) => (record.data[index] || '').toLowerCase() === value);
+    });
+  });
+
+  return { correct: errors.length === 0 && missing.length === 0, diagnostics, missing };
+};
@@ -0,0 +1,390 @@
+/**
+ * German UI Strings
+ *
+ * Missing keys fall back to English (locales/en.js).
+ */
+
+const de = {
+  'language.label': 'Sprache',
+
+  'environment.heading': 'Laborumgebung in diesem Quiz:',
+  'domains.primary': 'Primäre Homelab-Domain',
+  'domains.cluster': 'OKD-Cluster-Subdomain',
+  'domains.secondary': 'Öffentliche Website-Domain',
+  'domains.example': 'Allgemeine Beispieldomain',
+  'environment.subnet': 'Labornetz',
+  'environment.ulaSubnet': 'Labornetz (IPv6-ULA)',
+  'environment.dnsIp': 'Interner DNS-Server und Resolver',
+
+  'resume.heading': 'Willkommen zurück! 👋',
+  'resume.unfinished': 'Sie haben einen unvollständigen Durchgang.',
+  'resume.position': 'Frage {current} von {total}, Punktzahl {score}',
+  'resume.resume': 'Dort weitermachen, wo Sie aufgehört haben',
+  'resume.startOver': 'Neu beginnen',
+
+  'start.intro': 'Wählen Sie die Themen, die Sie üben möchten, oder lassen Sie alle abgewählt für ein vollständiges Quiz.',
+  'start.topics': 'Themen',
+  'start.allTopics': 'Alle Themen',
+  'start.count': 'Anzahl der Fragen',
+  'start.all': 'Alle ({count})',
+  'start.start': { one: 'Quiz starten ({count} Frage)', other: 'Quiz starten ({count} Fragen)' },
+  'start.exam': 'Prüfungsmodus',
+  'start.examPerQuestion': '{time} pro Frage',
+  'start.examTotal': '{time} für die gesamte Prüfung',
+  'start.examUntimed': 'Keine Zeitbegrenzung',
+  'start.examRules': 'Bestehensgrenze {passMark} · Antworten werden erst nach dem Abgeben bewertet',
+  'start.startExam': { one: 'Prüfung starten ({count} Frage)', other: 'Prüfung starten ({count} Fragen)' },
+  'start.study': 'Lernmodus',
+  'start.due': '{count} heute fällig',
+  'start.unseen': '{count} noch nicht gelernt',
+  'start.studyIntro': 'Verteilte Wiederholung bringt falsch beantwortete Fragen früher zurück und zeigt beherrschte seltener.',
+  'start.mastered': '{percent} beherrscht',
+  'start.startStudy': { one: '{count} Frage lernen', other: '{count} Fragen lernen' },
+  'start.nothingDue': 'Heute nichts fällig',
+  'start.scenarios': 'Fehlersuche-Szenarien',
+  'start.scenariosIntro': 'Untersuchen Sie eine defekte Umgebung Schritt für Schritt: Wählen Sie, welches dig Sie ausführen, lesen Sie die Ausgabe und benennen Sie die Ursache. Je weniger Schritte Sie brauchen, desto höher Ihre Punktzahl.',
+  'start.openScenarios': { one: '{count} Szenario öffnen', other: '{count} Szenarien öffnen' },
+  'start.adaptive': 'Adaptiver Modus',
+  'start.adaptiveIntro': 'Die Fragen werden mit Ihren Antworten schwerer oder leichter, und das Quiz endet, sobald es Ihr Niveau sicher einschätzen kann: nach {min} bis {max} Fragen.',
+  'start.startAdaptive': 'Adaptives Quiz starten',
+
+  'bank.heading': 'Fragenkatalog',
+  'bank.using': 'Aktiv: „{title}“ · {count} Fragen. Eigene Kataloge lassen sich als JSON-Dateien teilen.',
+  'bank.imported': 'Importiert: „{title}“ · {count} Fragen. Eigene Kataloge lassen sich als JSON-Dateien teilen.',
+  'bank.import': 'JSON importieren',
+  'bank.export': 'JSON exportieren',
+  'bank.reset': 'Mitgelieferte Fragen verwenden',
+  'bank.importFailed': '{file} konnte nicht importiert werden:',
+  'bank.edit': 'Fragen bearbeiten',
+
+  'author.heading': 'Fragen verfassen',
+  'author.intro': 'Schreiben oder bearbeiten Sie Fragen und prüfen Sie jede in der Vorschau. Der Entwurf wird beim Tippen gespeichert.',
+  'author.close': 'Zurück zum Start',
+  'author.setTitle': 'Titel des Katalogs',
+  'author.setId': 'ID des Katalogs',
+  'author.question': 'Frage',
+  'author.addQuestion': 'Frage hinzufügen',
+  'author.deleteQuestion': 'Löschen',
+  'author.id': 'ID der Frage',
+  'author.questionText': 'Fragetext',
+  'author.options': 'Antworten',
+  'author.optionsHint': 'Wählen Sie die richtige Antwort. Platzhalter wie {{primary}} funktionieren auch hier.',
+  'author.markCorrect': 'Antwort {letter} ist richtig',
+  'author.option': 'Antwort {letter}',
+  'author.removeOption': 'Antwort {letter} entfernen',
+  'author.addOption': 'Antwort hinzufügen',
+  'author.fixedOptions': "Reihenfolge beim Mischen beibehalten (für Antworten wie 'B und C sind beide richtig')",
+  'author.otherType': 'Dies ist eine Frage vom Typ {type}; die Übung selbst wird in der JSON-Datei bearbeitet. Text, Erklärung, Themen und Schwierigkeit können Sie hier ändern.',
+  'author.explanation': 'Erklärung',
+  'author.hint': 'Hinweis (optional)',
+  'author.topics': 'Themen',
+  'author.newTopic': 'Neues Thema',
+  'author.addTopic': 'Thema hinzufügen',
+  'author.difficulty': 'Schwierigkeit',
+  'author.placeholders': 'Platzhalter dieser Umgebung',
+  'author.preview': 'Vorschau',
+  'author.noPreview': 'Korrigieren Sie ID, Antworten und richtige Antwort, um eine Vorschau zu sehen.',
+  'author.problems': { one: 'Vor dem Export ist {count} Problem zu beheben', other: 'Vor dem Export sind {count} Probleme zu beheben' },
+  'author.ready': 'Keine Probleme gefunden',
+  'author.discard': 'Entwurf verwerfen',
+  'author.export': 'JSON exportieren',
+  'author.use': 'Diesen Katalog verwenden',
+  'author.problem.idMissing': 'Geben Sie der Frage eine ID.',
+  'author.problem.idDuplicate': 'Eine andere Frage hat bereits die ID {id}.',
+  'author.problem.questionEmpty': 'Der Fragetext ist leer.',
+  'author.problem.optionsTooFew': 'Fügen Sie mindestens zwei Antworten hinzu.',
+  'author.problem.optionEmpty': 'Antwort {letter} ist leer.',
+  'author.problem.optionDuplicate': 'Antwort {letter} lautet genauso wie Antwort {first}.',
+  'author.problem.correctOutOfRange': 'Markieren Sie eine der Antworten als richtig.',
+  'author.problem.explanationEmpty': 'Die Erklärung ist leer.',
+  'author.problem.hintEmpty': 'Der Hinweis ist leer. Entfernen Sie ihn oder schreiben Sie einen.',
+  'author.problem.placeholderUnknown': '{name} ist kein Platzhalter der Laborumgebung.',
+  'author.problem.packetInvalid': 'Das Paket lässt sich nicht kodieren: {message}',
+  'author.problem.setIdInvalid': 'Verwenden Sie für die ID des Katalogs Kleinbuchstaben, Ziffern und Bindestriche.',
+  'author.problem.titleEmpty': 'Der Katalog braucht einen Titel.',
+  'author.problem.noQuestions': 'Fügen Sie mindestens eine Frage hinzu.',
+  'author.problem.translationOptions': 'Die Übersetzung {locale} hat eine andere Anzahl von Antworten.',
+
+  'night.heading': 'Quizabend',
+  'night.intro': 'Gemeinsam im lokalen Netzwerk spielen: Der Host zeigt die Fragen, alle antworten auf dem eigenen Gerät, und eine Live-Rangliste wertet Richtigkeit und Tempo.',
+  'night.host': { one: 'Quizabend veranstalten ({count} Frage)', other: 'Quizabend veranstalten ({count} Fragen)' },
+  'night.code': 'Raumcode',
+  'night.name': 'Ihr Name',
+  'night.join': 'Beitreten',
+  'night.connecting': 'Verbindung zum Quizabend-Server wird hergestellt...',
+  'night.joinAt': 'Spieler: Öffnen Sie das Quiz auf Ihrem Gerät, geben Sie diesen Raumcode und Ihren Namen ein und wählen Sie Beitreten.',
+  'night.players': { one: '{count} Spieler', other: '{count} Spieler' },
+  'night.noPlayers': 'Warten auf Spieler...',
+  'night.start': 'Erste Frage starten',
+  'night.cancel': 'Abbrechen',
+  'night.timeLeft': 'Verbleibende Sekunden',
+  'night.answeredCount': '{answered} von {count} haben geantwortet',
+  'night.votes': { one: '{count} Stimme', other: '{count} Stimmen' },
+  'night.reveal': 'Antwort aufdecken',
+  'night.next': 'Nächste Frage',
+  'night.finish': 'Endergebnis',
+  'night.leaderboard': 'Rangliste',
+  'night.finalResults': 'Endergebnis 🏆',
+  'night.correctCount': '{count} richtig',
+  'night.you': 'Sie',
+  'night.offline': 'getrennt',
+  'night.waiting': 'Sie sind dabei, {name}! Warten auf den Start durch den Host...',
+  'night.waitingNext': 'Warten auf die nächste Frage...',
+  'night.locked': 'Antwort gespeichert. Warten auf die anderen...',
+  'night.timeUp': 'Die Zeit ist um!',
+  'night.tooLate': 'Zu spät - die Zeit war schon abgelaufen.',
+  'night.noAnswer': 'Diesmal keine Antwort.',
+  'night.earned': { one: '+{count} Punkt', other: '+{count} Punkte' },
+  'night.place': 'Platz {rank} von {total}',
+  'night.closed': 'Der Host hat den Quizabend beendet.',
+  'night.connectionLost': 'Die Verbindung zum Quizabend-Server wurde unterbrochen.',
+  'night.rejoin': 'Erneut beitreten',
+  'night.leave': 'Verlassen',
+  'night.backToStart': 'Zurück zum Startbildschirm',
+  'night.error.noRoom': 'Es gibt keinen Quizabend mit diesem Raumcode.',
+  'night.error.noName': 'Geben Sie einen Namen ein, um beizutreten.',
+  'night.error.nameTaken': 'Jemand in diesem Raum hat schon diesen Namen. Wählen Sie einen anderen.',
+
+  'quiz.position': 'Frage {current} von {total}',
+  'quiz.adaptivePosition': 'Frage {current} · endet, sobald die Einschätzung sicher ist, höchstens {max}',
+  'quiz.progress': 'Quiz-Fortschritt',
+  'quiz.score': 'Punkte: {score}/{answered}',
+  'quiz.multipleChoice': 'Multiple Choice',
+  'quiz.typeCommand': 'Befehl eintippen',
+  'quiz.keys': 'Tasten: 1–{count} oder A–{letter} zum Antworten, Enter für die nächste Frage',
+  'quiz.correct': 'Richtig! ✓',
+  'quiz.incorrect': 'Nicht ganz...',
+  'quiz.partial': 'Teilweise richtig: {percent} der Punkte',
+  'quiz.next': 'Nächste Frage',
+  'quiz.seeResults': 'Ergebnis anzeigen',
+
+  'options.correctAnswer': 'Richtige Antwort',
+  'options.yourAnswer': 'Ihre Antwort',
+  'options.yourAnswerCorrect': 'Ihre Antwort, richtig',
+  'options.removed': 'durch 50/50 entfernt',
+
+  'multi.hint': 'Wählen Sie alle zutreffenden Antworten aus und prüfen Sie dann.',
+  'multi.check': 'Antwort prüfen',
+  'multi.missed': 'Übersehen',
+  'multi.wrongPick': 'Falsch gewählt',
+
+  'order.hint': 'Ziehen Sie die Einträge in die richtige Reihenfolge oder verwenden Sie die Pfeiltasten.',
+  'order.moveUp': '„{item}“ nach oben verschieben',
+  'order.moveDown': '„{item}“ nach unten verschieben',
+  'order.moved': '„{item}“ auf Position {position} von {total} verschoben',
+  'order.inPlace': 'An der richtigen Stelle',
+  'order.belongsAt': 'Gehört an Position {position}',
+  'order.check': 'Reihenfolge prüfen',
+
+  'match.hint': 'Wählen Sie für jeden Eintrag die passende Antwort.',
+  'match.choose': 'Auswählen…',
+  'match.right': 'Richtig zugeordnet',
+  'match.wrong': 'Falsch zugeordnet',
+  'match.check': 'Zuordnung prüfen',
+
+  'packet.caption': 'DNS-Nachricht, {count} Bytes über {transport}',
+  'packet.invalid': 'Dieses Paket kann nicht angezeigt werden: {message}',
+  'packet.breakdown': 'Aufschlüsselung des Pakets',
+  'packet.breakdownHint': 'Zeigen Sie auf ein Feld oder fokussieren Sie es, um seine Bytes im Dump hervorzuheben, oder zeigen Sie auf ein Byte, um sein Feld zu finden.',
+  'packet.length': { one: '{count} Byte', other: '{count} Bytes' },
+  'packet.pointer': 'komprimiert, weiter bei {offset}',
+  'packet.section.transport': 'TCP-Länge',
+  'packet.section.header': 'Header',
+  'packet.section.question': 'Frage',
+  'packet.section.answer': 'Antwort',
+  'packet.section.authority': 'Autorität',
+  'packet.section.additional': 'Zusätzlich',
+  'packet.section.opt': 'EDNS (OPT)',
+
+  'command.check': 'Prüfen',
+  'command.differences': 'Abweichung vom erwarteten Befehl: {differences}.',
+  'command.expected': 'Erwartet:',
+
+  'zone.editorLabel': 'Zonendatei für {origin}',
+  'zone.line': 'Zeile {line}:',
+  'zone.clean': 'Zone wird fehlerfrei geparst',
+  'zone.missing': 'Es fehlen noch:',
+  'zone.check': 'Zone prüfen',
+
+  'sandbox.ready': 'Resolver {resolver} ist bereit. Probieren Sie: dig www.{primary}, dig +trace {secondary} oder dig -x {node}',
+  'sandbox.commandLabel': 'dig-Befehl',
+  'sandbox.run': 'Ausführen',
+  'sandbox.wait': '5 Minuten warten',
+  'sandbox.waited': '5 Minuten später...',
+  'sandbox.flush': 'Resolver-Cache leeren',
+  'sandbox.flushed': 'Resolver-Cache geleert (rndc flush)',
+
+  'exam.timeRemaining': 'Verbleibende Zeit',
+  'exam.timeElapsed': 'Verstrichene Zeit',
+  'exam.lastMinute': 'Weniger als eine Minute übrig',
+  'exam.questions': 'Fragen',
+  'exam.chip': 'Frage {number}',
+  'exam.answered': 'beantwortet',
+  'exam.notAnswered': 'nicht beantwortet',
+  'exam.flagged': 'markiert',
+  'exam.timeUp': 'Zeit abgelaufen',
+  'exam.flag': 'Markieren',
+  'exam.flaggedBadge': 'Markiert',
+  'exam.questionTimeUp': 'Die Zeit für diese Frage ist abgelaufen.',
+  'exam.keys': 'Tasten: 1–{count} oder A–{letter} zum Auswählen',
+  'exam.previous': 'Zurück',
+  'exam.next': 'Weiter',
+  'exam.confirm': '{answered} von {total} beantwortet',
+  'exam.confirmFlagged': '{count} markiert',
+  'exam.confirmFinal': 'Nach dem Abgeben können Antworten nicht mehr geändert werden.',
+  'exam.keepWorking': 'Weiterarbeiten',
+  'exam.submit': 'Prüfung abgeben',
+  'exam.finish': 'Prüfung beenden ({answered}/{total} beantwortet)',
+
+  'results.examComplete': 'Prüfung abgeschlossen! 📝',
+  'results.studyComplete': 'Lerneinheit abgeschlossen! 📚',
+  'results.quizComplete': 'Quiz abgeschlossen! 🎓',
+  'results.adaptiveComplete': 'Adaptives Quiz abgeschlossen! 🎯',
+  'results.level': 'Geschätztes Niveau: {level}',
+  'results.ability': 'Fähigkeit {ability} ± {error} auf der Schwierigkeitsskala der Fragen',
+  'results.proficiency': 'Geschätztes Können nach Thema',
+  'results.topicLevel': { one: '{level} · {count} Antwort', other: '{level} · {count} Antworten' },
+  'results.proficiencyNote': 'Die Balken zeigen die geschätzte Chance, eine mittelschwere Frage zum Thema richtig zu beantworten. Themen mit wenigen Antworten sind nur grob geschätzt.',
+  'results.percentCorrect': '{percent} richtig',
+  'results.pass': 'BESTANDEN',
+  'results.fail': 'NICHT BESTANDEN',
+  'results.passMark': 'Bestehensgrenze {passMark} · Benötigte Zeit {time}',
+  'results.timedOut': 'Die Zeit ist abgelaufen - die Prüfung wurde automatisch abgegeben.',
+  'results.byTopic': 'Nach Thema',
+  'results.seed': 'Seed des Durchgangs:',
+  'results.download': 'Herunterladen:',
+  'results.studySheet': 'Lernblatt',
+  'results.review': 'Antworten durchgehen',
+  'results.tryAgain': 'Nochmal versuchen',
+  'results.changeTopics': 'Andere Themen wählen',
+  'results.perfect': 'Perfekt! Sie beherrschen DNS! 🎉',
+  'results.excellent': 'Hervorragend! Sie haben die DNS-Konzepte gut im Griff. 🌟',
+  'results.good': 'Gut gemacht! Sie verstehen die Grundlagen. Bleiben Sie dran! 👍',
+  'results.fair': 'Nicht schlecht! Lesen Sie die Erklärungen und versuchen Sie es erneut. 📚',
+  'results.keepLearning': 'Weiterlernen! DNS zu meistern braucht Zeit. Wiederholen und nochmal versuchen! 💪',
+
+  'level.beginner': 'Einsteiger',
+  'level.intermediate': 'Fortgeschritten',
+  'level.advanced': 'Experte',
+
+  'review.heading': 'Antworten durchgehen',
+  'review.back': 'Ergebnis',
+  'review.incorrectOnly': 'Nur falsche',
+  'review.topic': 'Thema',
+  'review.allTopics': 'Alle Themen',
+  'review.showing': '{visible} von {total} angezeigt',
+  'review.retryMissed': 'Nur die {count} falsch beantworteten wiederholen',
+  'review.noMatches': 'Keine Fragen passen zu diesen Filtern.',
+  'review.correct': 'Richtig:',
+  'review.incorrect': 'Falsch:',
+  'review.yourAnswer': 'Ihre Antwort:',
+  'review.noAnswer': 'Keine Antwort',
+  'review.correctAnswer': 'Richtige Antwort:',
+  'review.partial': 'Teilweise richtig:',
+  'review.credit': 'Teilpunkte: {percent}',
+
+  'scenario.heading': 'Fehlersuche-Szenarien',
+  'scenario.intro': 'Jeder Fall spielt in Ihrer Laborumgebung, in der absichtlich etwas kaputt gemacht wurde. Finden Sie die Ursache in möglichst wenigen Schritten.',
+  'scenario.notPlayed': 'Noch nicht gespielt',
+  'scenario.notSolved': 'Noch nicht gelöst',
+  'scenario.best': { one: 'Bestes Ergebnis: in {count} Schritt gelöst ({percent})', other: 'Bestes Ergebnis: in {count} Schritten gelöst ({percent})' },
+  'scenario.start': 'Fall starten',
+  'scenario.back': 'Zurück zum Startbildschirm',
+  'scenario.stepsTaken': { one: '{count} Schritt', other: '{count} Schritte' },
+  'scenario.brief': 'Vorfall',
+  'scenario.youChose': 'Ihre Wahl:',
+  'scenario.next': 'Was tun Sie als Nächstes?',
+  'scenario.solved': 'Ursache gefunden',
+  'scenario.unsolved': 'Fall nicht gelöst',
+  'scenario.score': { one: 'Sie haben {count} Schritt gebraucht; die kürzeste Diagnose braucht {optimal}.', other: 'Sie haben {count} Schritte gebraucht; die kürzeste Diagnose braucht {optimal}.' },
+  'scenario.noCredit': 'Die Ursache wurde nicht gefunden.',
+  'scenario.credit': 'Punktzahl: {percent}',
+  'scenario.debrief': 'Nachbesprechung',
+  'scenario.list': 'Alle Szenarien',
+  'scenario.retry': 'Erneut versuchen',
+
+  'dashboard.title': 'Dashboard für Lehrende',
+  'dashboard.refresh': 'Aktualisieren',
+  'dashboard.loading': 'Ergebnisse werden geladen …',
+  'dashboard.unreachable': 'Der Dashboard-Server unter {server} ist nicht erreichbar.',
+  'dashboard.tokenHeading': 'Zugangstoken',
+  'dashboard.tokenIntro': 'Dieser Dashboard-Server benötigt ein Zugangstoken, um Ergebnisse anzuzeigen.',
+  'dashboard.tokenRejected': 'Der Server hat dieses Token nicht akzeptiert. Bitte prüfen Sie es und versuchen Sie es erneut.',
+  'dashboard.tokenLabel': 'Token',
+  'dashboard.tokenSubmit': 'Ergebnisse anzeigen',
+  'dashboard.empty': 'Es wurden noch keine Durchgänge übermittelt.',
+  'dashboard.questionSet': 'Fragensammlung',
+  'dashboard.attempts': { one: '{count} Durchgang', other: '{count} Durchgänge' },
+  'dashboard.learners': { one: '{count} teilnehmende Person', other: '{count} Teilnehmende' },
+  'dashboard.view.items': 'Fragen',
+  'dashboard.view.learners': 'Teilnehmende',
+  'dashboard.sort': 'Sortieren nach',
+  'dashboard.sort.problems': 'Probleme zuerst',
+  'dashboard.sort.correct': 'Anteil richtig',
+  'dashboard.sort.discrimination': 'Trennschärfe',
+  'dashboard.sort.order': 'Reihenfolge der Sammlung',
+  'dashboard.question': 'Frage',
+  'dashboard.responses': 'Antworten',
+  'dashboard.percentCorrect': 'Richtig',
+  'dashboard.discrimination': 'Trennschärfe',
+  'dashboard.averageTime': 'Ø Zeit',
+  'dashboard.notEnough': 'Benötigt mindestens {count} Antworten',
+  'dashboard.unknownQuestion': 'Nicht mehr in dieser Fragensammlung',
+  'dashboard.flag.distractor': 'Distraktor häufiger als die Lösung',
+  'dashboard.flag.negative': 'Negative Trennschärfe',
+  'dashboard.flag.weak': 'Schwache Trennschärfe',
+  'dashboard.options': 'Gewählte Optionen',
+  'dashboard.correctOption': 'richtige Antwort',
+  'dashboard.noOptions': 'Optionszählungen gibt es nur für Multiple-Choice-Fragen.',
+  'dashboard.learner': 'Name',
+  'dashboard.attemptCount': 'Durchgänge',
+  'dashboard.best': 'Bestes',
+  'dashboard.latest': 'Letztes',
+  'dashboard.lastDate': 'Letzter Durchgang',
+  'dashboard.history': 'Durchgänge von {name}',
+  'dashboard.mode.quiz': 'Quiz',
+  'dashboard.mode.study': 'Lernen',
+  'dashboard.mode.exam': 'Prüfung',
+  'dashboard.mode.adaptive': 'Adaptiv',
+
+  'training.hint': 'Hinweis (kostet {percent} der Punkte)',
+  'training.fiftyFifty': { one: '50/50 (noch {count})', other: '50/50 (noch {count})' },
+  'training.hintLabel': 'Hinweis:',
+  'training.hintUsed': 'Sie haben den Hinweis genutzt, daher bringt diese Antwort {points} Punkte.',
+
+  'confidence.heading': 'Wie sicher sind Sie?',
+  'confidence.intro': 'Schätzen Sie Ihre Sicherheit ein, bevor die Antwort geprüft wird. Ein Fehler bei großer Sicherheit kostet mehr als Raten.',
+  'confidence.low': 'Unsicher',
+  'confidence.medium': 'Ziemlich sicher',
+  'confidence.high': 'Ganz sicher',
+  'confidence.marks': 'Richtig {right} · falsch {wrong}',
+  'confidence.result': 'Sicherheit: {level} ({mark} Punkte)',
+
+  'calibration.heading': 'Sicherheit und Treffsicherheit',
+  'calibration.score': 'Nach Sicherheit gewichtete Wertung: {score} von {max} Punkten',
+  'calibration.level': 'Sicherheit',
+  'calibration.answers': 'Antworten',
+  'calibration.correct': 'Richtig',
+  'calibration.target': 'Passt bei',
+  'calibration.verdict': 'Einschätzung',
+  'calibration.range': '{low}–{high}',
+  'calibration.over': 'Zu sicher',
+  'calibration.under': 'Zu vorsichtig',
+  'calibration.calibrated': 'Gut eingeschätzt',
+  'calibration.note': 'Jede Stufe bringt die meisten Punkte, wenn Ihre Trefferquote auf dieser Stufe im passenden Bereich liegt.',
+  'calibration.confidentlyWrong': { one: '{count} sicherer Fehler', other: '{count} sichere Fehler' },
+  'calibration.noneConfidentlyWrong': 'Keine Ihrer ganz sicheren Antworten war falsch.',
+  'calibration.confidentlyWrongIntro': 'Bei diesen Antworten waren Sie sich ganz sicher, doch sie waren falsch. Solche Fehlannahmen sind im produktiven DNS am gefährlichsten, wiederholen Sie sie daher zuerst.',
+
+  'export.title': 'Lernblatt: {title}',
+  'export.summary': 'Durchgang vom {date}: {score}/{total} ({percent}), Seed `{seed}`',
+  'export.environment': 'Laborumgebung',
+  'export.missed': 'Falsch beantwortete Fragen ({count})',
+  'export.nothingMissed': 'In diesem Durchgang wurde nichts falsch beantwortet.',
+  'export.yourAnswer': 'Ihre Antwort:',
+  'export.correctAnswer': 'Richtige Antwort:',
+  'export.noAnswer': 'Keine Antwort',
+  'export.zoneAnswer': 'Eine Zonendatei, die alle Prüfungen besteht'
+};
+
+export default de;
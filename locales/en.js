@@ -0,0 +1,391 @@
+/**
+ * English UI Strings
+ *
+ * The reference catalog: every key used by the components is defined here,
+ * and other locales fall back to it key by key (see lib/i18n.js).
+ */
+
+const en = {
+  'language.label': 'Language',
+
+  'environment.heading': 'Lab environment for this quiz:',
+  'domains.primary': 'Primary homelab domain',
+  'domains.cluster': 'OKD cluster subdomain',
+  'domains.secondary': 'Public website domain',
+  'domains.example': 'Generic example domain',
+  'environment.subnet': 'Lab network',
+  'environment.ulaSubnet': 'Lab network (IPv6 ULA)',
+  'environment.dnsIp': 'Internal DNS server and resolver',
+
+  'resume.heading': 'Welcome back! 👋',
+  'resume.unfinished': 'You have an unfinished attempt.',
+  'resume.position': 'Question {current} of {total}, score {score}',
+  'resume.resume': 'Resume where you left off',
+  'resume.startOver': 'Start over',
+
+  'start.intro': 'Pick the areas you want to practice, or leave them all unselected for a full quiz.',
+  'start.topics': 'Topics',
+  'start.allTopics': 'All topics',
+  'start.count': 'Number of questions',
+  'start.all': 'All ({count})',
+  'start.start': { one: 'Start Quiz ({count} question)', other: 'Start Quiz ({count} questions)' },
+  'start.exam': 'Exam mode',
+  'start.examPerQuestion': '{time} per question',
+  'start.examTotal': '{time} for the whole exam',
+  'start.examUntimed': 'No time limit',
+  'start.examRules': 'pass mark {passMark} · answers are only marked when you submit',
+  'start.startExam': { one: 'Start Exam ({count} question)', other: 'Start Exam ({count} questions)' },
+  'start.study': 'Study mode',
+  'start.due': '{count} due today',
+  'start.unseen': '{count} not yet studied',
+  'start.studyIntro': 'Spaced repetition brings missed questions back sooner and shows mastered ones less often.',
+  'start.mastered': '{percent} mastered',
+  'start.startStudy': { one: 'Study {count} question', other: 'Study {count} questions' },
+  'start.nothingDue': 'Nothing due today',
+  'start.scenarios': 'Troubleshooting scenarios',
+  'start.scenariosIntro': 'Work through a broken setup step by step: pick which dig to run, read the output and name the root cause. The fewer steps you take, the higher your score.',
+  'start.openScenarios': { one: 'Open {count} scenario', other: 'Open {count} scenarios' },
+  'start.adaptive': 'Adaptive mode',
+  'start.adaptiveIntro': 'Questions get harder or easier with your answers, and the quiz ends as soon as it is confident of your level: after {min} to {max} questions.',
+  'start.startAdaptive': 'Start Adaptive Quiz',
+
+  'bank.heading': 'Question bank',
+  'bank.using': 'Using "{title}" · {count} questions. Share custom banks as JSON files.',
+  'bank.imported': 'Imported set "{title}" · {count} questions. Share custom banks as JSON files.',
+  'bank.import': 'Import JSON',
+  'bank.export': 'Export JSON',
+  'bank.reset': 'Use built-in questions',
+  'bank.importFailed': '{file} could not be imported:',
+  'bank.edit': 'Edit questions',
+
+  'author.heading': 'Question authoring',
+  'author.intro': 'Write or edit questions and check each one in the preview. The draft is saved as you type.',
+  'author.close': 'Back to start',
+  'author.setTitle': 'Set title',
+  'author.setId': 'Set id',
+  'author.question': 'Question',
+  'author.addQuestion': 'Add question',
+  'author.deleteQuestion': 'Delete',
+  'author.id': 'Question id',
+  'author.questionText': 'Question text',
+  'author.options': 'Options',
+  'author.optionsHint': 'Select the correct answer. Placeholders such as {{primary}} work here too.',
+  'author.markCorrect': 'Option {letter} is correct',
+  'author.option': 'Option {letter}',
+  'author.removeOption': 'Remove option {letter}',
+  'author.addOption': 'Add option',
+  'author.fixedOptions': "Keep this order when shuffling (for options like 'Both B and C')",
+  'author.otherType': 'This is a {type} question; its exercise is edited in the JSON file. Text, explanation, topics and difficulty can be changed here.',
+  'author.explanation': 'Explanation',
+  'author.hint': 'Hint (optional)',
+  'author.topics': 'Topics',
+  'author.newTopic': 'New topic',
+  'author.addTopic': 'Add topic',
+  'author.difficulty': 'Difficulty',
+  'author.placeholders': 'Placeholders in this environment',
+  'author.preview': 'Preview',
+  'author.noPreview': 'Fix the id, options and correct answer to see a preview.',
+  'author.problems': { one: '{count} problem to fix before exporting', other: '{count} problems to fix before exporting' },
+  'author.ready': 'No problems found',
+  'author.discard': 'Discard draft',
+  'author.export': 'Export JSON',
+  'author.use': 'Use this set',
+  'author.problem.idMissing': 'Give the question an id.',
+  'author.problem.idDuplicate': 'Another question already has the id {id}.',
+  'author.problem.questionEmpty': 'The question text is empty.',
+  'author.problem.optionsTooFew': 'Add at least two options.',
+  'author.problem.optionEmpty': 'Option {letter} is empty.',
+  'author.problem.optionDuplicate': 'Option {letter} reads the same as option {first}.',
+  'author.problem.correctOutOfRange': 'Mark one of the options as the correct answer.',
+  'author.problem.explanationEmpty': 'The explanation is empty.',
+  'author.problem.hintEmpty': 'The hint is empty. Remove it or write one.',
+  'author.problem.placeholderUnknown': '{name} is not a placeholder of the lab environment.',
+  'author.problem.packetInvalid': "The packet can't be encoded: {message}",
+  'author.problem.setIdInvalid': 'Use lowercase letters, digits and hyphens for the set id.',
+  'author.problem.titleEmpty': 'The set needs a title.',
+  'author.problem.noQuestions': 'Add at least one question.',
+  'author.problem.translationOptions': 'The {locale} translation has a different number of options.',
+
+  'night.heading': 'Quiz night',
+  'night.intro': 'Play together on the local network: the host puts up each question, everyone answers on their own device, and a live leaderboard scores correctness and speed.',
+  'night.host': { one: 'Host a quiz night ({count} question)', other: 'Host a quiz night ({count} questions)' },
+  'night.code': 'Room code',
+  'night.name': 'Your name',
+  'night.join': 'Join',
+  'night.connecting': 'Connecting to the quiz night server...',
+  'night.joinAt': 'Players: open the quiz on your device, enter this room code and your name, then choose Join.',
+  'night.players': { one: '{count} player', other: '{count} players' },
+  'night.noPlayers': 'Waiting for players to join...',
+  'night.start': 'Start the first question',
+  'night.cancel': 'Cancel',
+  'night.timeLeft': 'Seconds left',
+  'night.answeredCount': '{answered} of {count} answered',
+  'night.votes': { one: '{count} vote', other: '{count} votes' },
+  'night.reveal': 'Reveal the answer',
+  'night.next': 'Next question',
+  'night.finish': 'Final results',
+  'night.leaderboard': 'Leaderboard',
+  'night.finalResults': 'Final results 🏆',
+  'night.correctCount': '{count} correct',
+  'night.you': 'you',
+  'night.offline': 'disconnected',
+  'night.waiting': "You're in, {name}! Waiting for the host to start...",
+  'night.waitingNext': 'Waiting for the next question...',
+  'night.locked': 'Answer locked in. Waiting for the others...',
+  'night.timeUp': "Time's up!",
+  'night.tooLate': 'Too late - time had already run out.',
+  'night.noAnswer': 'No answer this time.',
+  'night.earned': { one: '+{count} point', other: '+{count} points' },
+  'night.place': 'Place {rank} of {total}',
+  'night.closed': 'The host has ended the quiz night.',
+  'night.connectionLost': 'The connection to the quiz night server was lost.',
+  'night.rejoin': 'Rejoin',
+  'night.leave': 'Leave',
+  'night.backToStart': 'Back to the start screen',
+  'night.error.noRoom': 'There is no quiz night with that room code.',
+  'night.error.noName': 'Enter a name to join.',
+  'night.error.nameTaken': 'Someone in this room already has that name. Pick another one.',
+
+  'quiz.position': 'Question {current} of {total}',
+  'quiz.adaptivePosition': 'Question {current} · ends when confident, at most {max}',
+  'quiz.progress': 'Quiz progress',
+  'quiz.score': 'Score: {score}/{answered}',
+  'quiz.multipleChoice': 'Multiple choice',
+  'quiz.typeCommand': 'Type the command',
+  'quiz.keys': 'Keys: 1–{count} or A–{letter} to answer, Enter for the next question',
+  'quiz.correct': 'Correct! ✓',
+  'quiz.incorrect': 'Not quite...',
+  'quiz.partial': 'Partly correct: {percent} credit',
+  'quiz.next': 'Next Question',
+  'quiz.seeResults': 'See Results',
+
+  'options.correctAnswer': 'Correct answer',
+  'options.yourAnswer': 'Your answer',
+  'options.yourAnswerCorrect': 'Your answer, correct',
+  'options.removed': 'removed by 50/50',
+
+  'multi.hint': 'Select every answer that applies, then check.',
+  'multi.check': 'Check Answer',
+  'multi.missed': 'Missed',
+  'multi.wrongPick': 'Wrong pick',
+
+  'order.hint': 'Drag the items into the right order, or use the arrow buttons.',
+  'order.moveUp': 'Move "{item}" up',
+  'order.moveDown': 'Move "{item}" down',
+  'order.moved': '"{item}" moved to position {position} of {total}',
+  'order.inPlace': 'In place',
+  'order.belongsAt': 'Belongs at {position}',
+  'order.check': 'Check Order',
+
+  'match.hint': 'Pick the matching answer for each item.',
+  'match.choose': 'Choose…',
+  'match.right': 'Matched correctly',
+  'match.wrong': 'Matched wrongly',
+  'match.check': 'Check Matches',
+
+  'packet.caption': 'DNS message, {count} bytes over {transport}',
+  'packet.invalid': "This packet can't be shown: {message}",
+  'packet.breakdown': 'Packet breakdown',
+  'packet.breakdownHint': 'Hover over or focus a field to highlight its bytes in the dump, or hover over a byte to find its field.',
+  'packet.length': { one: '{count} byte', other: '{count} bytes' },
+  'packet.pointer': 'compressed, continues at {offset}',
+  'packet.section.transport': 'TCP length',
+  'packet.section.header': 'Header',
+  'packet.section.question': 'Question',
+  'packet.section.answer': 'Answer',
+  'packet.section.authority': 'Authority',
+  'packet.section.additional': 'Additional',
+  'packet.section.opt': 'EDNS (OPT)',
+
+  'command.check': 'Check',
+  'command.differences': 'Your command {differences}.',
+  'command.expected': 'Expected:',
+
+  'zone.editorLabel': 'Zone file for {origin}',
+  'zone.line': 'line {line}:',
+  'zone.clean': 'Zone parses cleanly',
+  'zone.missing': 'Still missing:',
+  'zone.check': 'Check Zone',
+
+  'sandbox.ready': 'Resolver {resolver} is ready. Try: dig www.{primary}, dig +trace {secondary} or dig -x {node}',
+  'sandbox.commandLabel': 'dig command',
+  'sandbox.run': 'Run',
+  'sandbox.wait': 'Wait 5 minutes',
+  'sandbox.waited': '5 minutes later...',
+  'sandbox.flush': 'Flush resolver cache',
+  'sandbox.flushed': 'Resolver cache flushed (rndc flush)',
+
+  'exam.timeRemaining': 'Time remaining',
+  'exam.timeElapsed': 'Time elapsed',
+  'exam.lastMinute': 'Less than one minute left',
+  'exam.questions': 'Questions',
+  'exam.chip': 'Question {number}',
+  'exam.answered': 'answered',
+  'exam.notAnswered': 'not answered',
+  'exam.flagged': 'flagged',
+  'exam.timeUp': 'time up',
+  'exam.flag': 'Flag',
+  'exam.flaggedBadge': 'Flagged',
+  'exam.questionTimeUp': 'Time is up for this question.',
+  'exam.keys': 'Keys: 1–{count} or A–{letter} to choose',
+  'exam.previous': 'Previous',
+  'exam.next': 'Next',
+  'exam.confirm': '{answered} of {total} answered',
+  'exam.confirmFlagged': '{count} flagged',
+  'exam.confirmFinal': "Answers can't be changed after submitting.",
+  'exam.keepWorking': 'Keep working',
+  'exam.submit': 'Submit exam',
+  'exam.finish': 'Finish exam ({answered}/{total} answered)',
+
+  'results.examComplete': 'Exam Complete! 📝',
+  'results.studyComplete': 'Study Session Complete! 📚',
+  'results.quizComplete': 'Quiz Complete! 🎓',
+  'results.adaptiveComplete': 'Adaptive Quiz Complete! 🎯',
+  'results.level': 'Estimated level: {level}',
+  'results.ability': 'Ability {ability} ± {error} on the question rating scale',
+  'results.proficiency': 'Estimated proficiency by topic',
+  'results.topicLevel': { one: '{level} · {count} answer', other: '{level} · {count} answers' },
+  'results.proficiencyNote': 'Bars show the estimated chance of answering an intermediate question on the topic correctly. Topics with only a few answers are rough estimates.',
+  'results.percentCorrect': '{percent} correct',
+  'results.pass': 'PASS',
+  'results.fail': 'FAIL',
+  'results.passMark': 'Pass mark {passMark} · Time taken {time}',
+  'results.timedOut': 'Time ran out - the exam was submitted automatically.',
+  'results.byTopic': 'By topic',
+  'results.seed': 'Attempt seed:',
+  'results.download': 'Download:',
+  'results.studySheet': 'Study sheet',
+  'results.review': 'Review Answers',
+  'results.tryAgain': 'Try Again',
+  'results.changeTopics': 'Choose different topics',
+  'results.perfect': "Perfect! You've mastered DNS! 🎉",
+  'results.excellent': 'Excellent work! You have a strong grasp of DNS concepts. 🌟',
+  'results.good': 'Good job! You understand the fundamentals. Keep practicing! 👍',
+  'results.fair': 'Not bad! Review the explanations and try again. 📚',
+  'results.keepLearning': 'Keep learning! DNS takes time to master. Review and retry! 💪',
+
+  'level.beginner': 'Beginner',
+  'level.intermediate': 'Intermediate',
+  'level.advanced': 'Advanced',
+
+  'review.heading': 'Review Answers',
+  'review.back': 'Results',
+  'review.incorrectOnly': 'Incorrect only',
+  'review.topic': 'Topic',
+  'review.allTopics': 'All topics',
+  'review.showing': 'Showing {visible} of {total}',
+  'review.retryMissed': 'Retry only the {count} I missed',
+  'review.noMatches': 'No questions match these filters.',
+  'review.correct': 'Correct:',
+  'review.incorrect': 'Incorrect:',
+  'review.yourAnswer': 'Your answer:',
+  'review.noAnswer': 'No answer',
+  'review.correctAnswer': 'Correct answer:',
+  'review.partial': 'Partly correct:',
+  'review.credit': 'Partial credit: {percent}',
+
+  'scenario.heading': 'Troubleshooting scenarios',
+  'scenario.intro': "Each case is set in your lab environment, where something has been broken on purpose. Find the root cause in as few steps as you can.",
+  'scenario.notPlayed': 'Not played yet',
+  'scenario.notSolved': 'Not solved yet',
+  'scenario.best': { one: 'Best: solved in {count} step ({percent})', other: 'Best: solved in {count} steps ({percent})' },
+  'scenario.start': 'Start case',
+  'scenario.back': 'Back to the start screen',
+  'scenario.stepsTaken': { one: '{count} step', other: '{count} steps' },
+  'scenario.brief': 'Incident',
+  'scenario.youChose': 'You chose:',
+  'scenario.next': 'What do you do next?',
+  'scenario.solved': 'Root cause found',
+  'scenario.unsolved': 'Case not solved',
+  'scenario.score': { one: 'You took {count} step; the shortest diagnosis takes {optimal}.', other: 'You took {count} steps; the shortest diagnosis takes {optimal}.' },
+  'scenario.noCredit': 'The root cause was not found.',
+  'scenario.credit': 'Score: {percent}',
+  'scenario.debrief': 'Debrief',
+  'scenario.list': 'All scenarios',
+  'scenario.retry': 'Try again',
+
+  'dashboard.title': 'Instructor dashboard',
+  'dashboard.refresh': 'Refresh',
+  'dashboard.loading': 'Loading results…',
+  'dashboard.unreachable': 'The dashboard server at {server} could not be reached.',
+  'dashboard.tokenHeading': 'Access token',
+  'dashboard.tokenIntro': 'This dashboard server needs an access token to show results.',
+  'dashboard.tokenRejected': 'The server did not accept that token. Please check it and try again.',
+  'dashboard.tokenLabel': 'Token',
+  'dashboard.tokenSubmit': 'Show results',
+  'dashboard.empty': 'No attempts have been submitted yet.',
+  'dashboard.questionSet': 'Question set',
+  'dashboard.attempts': { one: '{count} attempt', other: '{count} attempts' },
+  'dashboard.learners': { one: '{count} learner', other: '{count} learners' },
+  'dashboard.view.items': 'Questions',
+  'dashboard.view.learners': 'Learners',
+  'dashboard.sort': 'Sort by',
+  'dashboard.sort.problems': 'Problems first',
+  'dashboard.sort.correct': 'Percent correct',
+  'dashboard.sort.discrimination': 'Discrimination',
+  'dashboard.sort.order': 'Question set order',
+  'dashboard.question': 'Question',
+  'dashboard.responses': 'Answers',
+  'dashboard.percentCorrect': 'Correct',
+  'dashboard.discrimination': 'Discrimination',
+  'dashboard.averageTime': 'Avg. time',
+  'dashboard.notEnough': 'Needs at least {count} answers',
+  'dashboard.unknownQuestion': 'No longer in this question set',
+  'dashboard.flag.distractor': 'Distractor beats the answer',
+  'dashboard.flag.negative': 'Negative discrimination',
+  'dashboard.flag.weak': 'Weak discrimination',
+  'dashboard.options': 'Chosen options',
+  'dashboard.correctOption': 'correct answer',
+  'dashboard.noOptions': 'Option counts are only kept for multiple-choice questions.',
+  'dashboard.learner': 'Learner',
+  'dashboard.attemptCount': 'Attempts',
+  'dashboard.best': 'Best',
+  'dashboard.latest': 'Latest',
+  'dashboard.lastDate': 'Last attempt',
+  'dashboard.history': 'Attempts by {name}',
+  'dashboard.mode.quiz': 'Quiz',
+  'dashboard.mode.study': 'Study',
+  'dashboard.mode.exam': 'Exam',
+  'dashboard.mode.adaptive': 'Adaptive',
+
+  'training.hint': 'Hint (costs {percent} of the points)',
+  'training.fiftyFifty': { one: '50/50 ({count} left)', other: '50/50 ({count} left)' },
+  'training.hintLabel': 'Hint:',
+  'training.hintUsed': 'You took the hint, so this answer earns {points} points.',
+
+  'confidence.heading': 'How sure are you?',
+  'confidence.intro': 'Rate your confidence before the answer is checked. A confident mistake costs more than a guess.',
+  'confidence.low': 'Not sure',
+  'confidence.medium': 'Fairly sure',
+  'confidence.high': 'Certain',
+  'confidence.marks': 'Right {right} · wrong {wrong}',
+  'confidence.result': 'Confidence: {level} ({mark} marks)',
+
+  'calibration.heading': 'Confidence and accuracy',
+  'calibration.score': 'Confidence-weighted score: {score} of {max} marks',
+  'calibration.level': 'Confidence',
+  'calibration.answers': 'Answers',
+  'calibration.correct': 'Correct',
+  'calibration.target': 'Suits',
+  'calibration.verdict': 'Verdict',
+  'calibration.range': '{low}–{high}',
+  'calibration.over': 'Overconfident',
+  'calibration.under': 'Underconfident',
+  'calibration.calibrated': 'Well calibrated',
+  'calibration.note': 'Each confidence level earns the most marks when your accuracy at that level falls in the range it suits.',
+  'calibration.confidentlyWrong': { one: '{count} confident mistake', other: '{count} confident mistakes' },
+  'calibration.noneConfidentlyWrong': 'None of your answers was wrong at high confidence.',
+  'calibration.confidentlyWrongIntro': 'You were certain of these answers, but they were wrong. Misconceptions like these are the most dangerous in production DNS, so review them first.',
+
+  'export.title': 'Study sheet: {title}',
+  'export.summary': 'Attempt of {date}: {score}/{total} ({percent}), seed `{seed}`',
+  'export.environment': 'Lab environment',
+  'export.missed': 'Missed questions ({count})',
+  'export.nothingMissed': 'Nothing missed in this attempt.',
+  'export.yourAnswer': 'Your answer:',
+  'export.correctAnswer': 'Correct answer:',
+  'export.noAnswer': 'No answer',
+  'export.zoneAnswer': 'A zone file that passes all checks'
+};
+
+export default en;
@@ -0,0 +1,390 @@
+/**
+ * Brazilian Portuguese UI Strings
+ *
+ * Missing keys fall back to English (locales/en.js).
+ */
+
+const ptBR = {
+  'language.label': 'Idioma',
+
+  'environment.heading': 'Ambiente de laboratório deste quiz:',
+  'domains.primary': 'Domínio principal do homelab',
+  'domains.cluster': 'Subdomínio do cluster OKD',
+  'domains.secondary': 'Domínio do site público',
+  'domains.example': 'Domínio de exemplo genérico',
+  'environment.subnet': 'Rede do laboratório',
+  'environment.ulaSubnet': 'Rede do laboratório (ULA IPv6)',
+  'environment.dnsIp': 'Servidor DNS interno e resolver',
+
+  'resume.heading': 'Bem-vindo de volta! 👋',
+  'resume.unfinished': 'Você tem uma tentativa não concluída.',
+  'resume.position': 'Pergunta {current} de {total}, pontuação {score}',
+  'resume.resume': 'Continuar de onde parou',
+  'resume.startOver': 'Recomeçar',
+
+  'start.intro': 'Escolha as áreas que deseja praticar ou deixe todas desmarcadas para um quiz completo.',
+  'start.topics': 'Tópicos',
+  'start.allTopics': 'Todos os tópicos',
+  'start.count': 'Número de perguntas',
+  'start.all': 'Todas ({count})',
+  'start.start': { one: 'Iniciar quiz ({count} pergunta)', other: 'Iniciar quiz ({count} perguntas)' },
+  'start.exam': 'Modo prova',
+  'start.examPerQuestion': '{time} por pergunta',
+  'start.examTotal': '{time} para a prova inteira',
+  'start.examUntimed': 'Sem limite de tempo',
+  'start.examRules': 'nota mínima {passMark} · as respostas só são corrigidas ao enviar',
+  'start.startExam': { one: 'Iniciar prova ({count} pergunta)', other: 'Iniciar prova ({count} perguntas)' },
+  'start.study': 'Modo estudo',
+  'start.due': '{count} para revisar hoje',
+  'start.unseen': '{count} ainda não estudadas',
+  'start.studyIntro': 'A repetição espaçada traz de volta mais cedo as perguntas erradas e mostra menos as já dominadas.',
+  'start.mastered': '{percent} dominado',
+  'start.startStudy': { one: 'Estudar {count} pergunta', other: 'Estudar {count} perguntas' },
+  'start.nothingDue': 'Nada para revisar hoje',
+  'start.scenarios': 'Cenários de diagnóstico',
+  'start.scenariosIntro': 'Investigue um ambiente com defeito passo a passo: escolha qual dig executar, leia a saída e aponte a causa raiz. Quanto menos passos, maior a sua pontuação.',
+  'start.openScenarios': { one: 'Abrir {count} cenário', other: 'Abrir {count} cenários' },
+  'start.adaptive': 'Modo adaptativo',
+  'start.adaptiveIntro': 'As perguntas ficam mais difíceis ou mais fáceis conforme suas respostas, e o quiz termina assim que tiver confiança no seu nível: depois de {min} a {max} perguntas.',
+  'start.startAdaptive': 'Iniciar quiz adaptativo',
+
+  'bank.heading': 'Banco de perguntas',
+  'bank.using': 'Usando "{title}" · {count} perguntas. Compartilhe bancos personalizados como arquivos JSON.',
+  'bank.imported': 'Conjunto importado "{title}" · {count} perguntas. Compartilhe bancos personalizados como arquivos JSON.',
+  'bank.import': 'Importar JSON',
+  'bank.export': 'Exportar JSON',
+  'bank.reset': 'Usar as perguntas incluídas',
+  'bank.importFailed': 'Não foi possível importar {file}:',
+  'bank.edit': 'Editar perguntas',
+
+  'author.heading': 'Criação de perguntas',
+  'author.intro': 'Escreva ou edite perguntas e confira cada uma na pré-visualização. O rascunho é salvo enquanto você digita.',
+  'author.close': 'Voltar ao início',
+  'author.setTitle': 'Título do conjunto',
+  'author.setId': 'ID do conjunto',
+  'author.question': 'Pergunta',
+  'author.addQuestion': 'Adicionar pergunta',
+  'author.deleteQuestion': 'Excluir',
+  'author.id': 'ID da pergunta',
+  'author.questionText': 'Texto da pergunta',
+  'author.options': 'Alternativas',
+  'author.optionsHint': 'Selecione a resposta correta. Marcadores como {{primary}} também funcionam aqui.',
+  'author.markCorrect': 'A alternativa {letter} é a correta',
+  'author.option': 'Alternativa {letter}',
+  'author.removeOption': 'Remover a alternativa {letter}',
+  'author.addOption': 'Adicionar alternativa',
+  'author.fixedOptions': "Manter esta ordem ao embaralhar (para alternativas como 'B e C estão corretas')",
+  'author.otherType': 'Esta é uma pergunta do tipo {type}; o exercício é editado no arquivo JSON. Texto, explicação, tópicos e dificuldade podem ser alterados aqui.',
+  'author.explanation': 'Explicação',
+  'author.hint': 'Dica (opcional)',
+  'author.topics': 'Tópicos',
+  'author.newTopic': 'Novo tópico',
+  'author.addTopic': 'Adicionar tópico',
+  'author.difficulty': 'Dificuldade',
+  'author.placeholders': 'Marcadores deste ambiente',
+  'author.preview': 'Pré-visualização',
+  'author.noPreview': 'Corrija o ID, as alternativas e a resposta correta para ver a pré-visualização.',
+  'author.problems': { one: '{count} problema a corrigir antes de exportar', other: '{count} problemas a corrigir antes de exportar' },
+  'author.ready': 'Nenhum problema encontrado',
+  'author.discard': 'Descartar rascunho',
+  'author.export': 'Exportar JSON',
+  'author.use': 'Usar este conjunto',
+  'author.problem.idMissing': 'Dê um ID à pergunta.',
+  'author.problem.idDuplicate': 'Outra pergunta já tem o ID {id}.',
+  'author.problem.questionEmpty': 'O texto da pergunta está vazio.',
+  'author.problem.optionsTooFew': 'Adicione pelo menos duas alternativas.',
+  'author.problem.optionEmpty': 'A alternativa {letter} está vazia.',
+  'author.problem.optionDuplicate': 'A alternativa {letter} é igual à alternativa {first}.',
+  'author.problem.correctOutOfRange': 'Marque uma das alternativas como a resposta correta.',
+  'author.problem.explanationEmpty': 'A explicação está vazia.',
+  'author.problem.hintEmpty': 'A dica está vazia. Remova-a ou escreva uma.',
+  'author.problem.placeholderUnknown': '{name} não é um marcador do ambiente de laboratório.',
+  'author.problem.packetInvalid': 'Não é possível codificar o pacote: {message}',
+  'author.problem.setIdInvalid': 'Use letras minúsculas, dígitos e hifens no ID do conjunto.',
+  'author.problem.titleEmpty': 'O conjunto precisa de um título.',
+  'author.problem.noQuestions': 'Adicione pelo menos uma pergunta.',
+  'author.problem.translationOptions': 'A tradução {locale} tem um número diferente de alternativas.',
+
+  'night.heading': 'Noite de quiz',
+  'night.intro': 'Joguem juntos na rede local: o anfitrião mostra cada pergunta, todos respondem no próprio dispositivo e um placar ao vivo pontua acertos e rapidez.',
+  'night.host': { one: 'Organizar uma noite de quiz ({count} pergunta)', other: 'Organizar uma noite de quiz ({count} perguntas)' },
+  'night.code': 'Código da sala',
+  'night.name': 'Seu nome',
+  'night.join': 'Entrar',
+  'night.connecting': 'Conectando ao servidor da noite de quiz...',
+  'night.joinAt': 'Jogadores: abram o quiz no seu dispositivo, digitem este código da sala e seu nome e escolham Entrar.',
+  'night.players': { one: '{count} jogador', other: '{count} jogadores' },
+  'night.noPlayers': 'Aguardando jogadores...',
+  'night.start': 'Começar a primeira pergunta',
+  'night.cancel': 'Cancelar',
+  'night.timeLeft': 'Segundos restantes',
+  'night.answeredCount': '{answered} de {count} responderam',
+  'night.votes': { one: '{count} voto', other: '{count} votos' },
+  'night.reveal': 'Revelar a resposta',
+  'night.next': 'Próxima pergunta',
+  'night.finish': 'Resultado final',
+  'night.leaderboard': 'Placar',
+  'night.finalResults': 'Resultado final 🏆',
+  'night.correctCount': '{count} certas',
+  'night.you': 'você',
+  'night.offline': 'desconectado',
+  'night.waiting': 'Você está dentro, {name}! Aguardando o anfitrião começar...',
+  'night.waitingNext': 'Aguardando a próxima pergunta...',
+  'night.locked': 'Resposta registrada. Aguardando os outros...',
+  'night.timeUp': 'Acabou o tempo!',
+  'night.tooLate': 'Tarde demais - o tempo já tinha acabado.',
+  'night.noAnswer': 'Sem resposta desta vez.',
+  'night.earned': { one: '+{count} ponto', other: '+{count} pontos' },
+  'night.place': '{rank}º lugar de {total}',
+  'night.closed': 'O anfitrião encerrou a noite de quiz.',
+  'night.connectionLost': 'A conexão com o servidor da noite de quiz caiu.',
+  'night.rejoin': 'Entrar de novo',
+  'night.leave': 'Sair',
+  'night.backToStart': 'Voltar à tela inicial',
+  'night.error.noRoom': 'Não existe noite de quiz com esse código de sala.',
+  'night.error.noName': 'Digite um nome para entrar.',
+  'night.error.nameTaken': 'Alguém nesta sala já usa esse nome. Escolha outro.',
+
+  'quiz.position': 'Pergunta {current} de {total}',
+  'quiz.adaptivePosition': 'Pergunta {current} · termina quando houver confiança, no máximo {max}',
+  'quiz.progress': 'Progresso do quiz',
+  'quiz.score': 'Pontuação: {score}/{answered}',
+  'quiz.multipleChoice': 'Múltipla escolha',
+  'quiz.typeCommand': 'Digitar o comando',
+  'quiz.keys': 'Teclas: 1–{count} ou A–{letter} para responder, Enter para a próxima pergunta',
+  'quiz.correct': 'Correto! ✓',
+  'quiz.incorrect': 'Não foi dessa vez...',
+  'quiz.partial': 'Parcialmente correto: {percent} dos pontos',
+  'quiz.next': 'Próxima pergunta',
+  'quiz.seeResults': 'Ver resultado',
+
+  'options.correctAnswer': 'Resposta correta',
+  'options.yourAnswer': 'Sua resposta',
+  'options.yourAnswerCorrect': 'Sua resposta, correta',
+  'options.removed': 'removida pelo 50/50',
+
+  'multi.hint': 'Selecione todas as respostas que se aplicam e depois verifique.',
+  'multi.check': 'Verificar resposta',
+  'multi.missed': 'Faltou marcar',
+  'multi.wrongPick': 'Marcada por engano',
+
+  'order.hint': 'Arraste os itens para a ordem certa ou use os botões de seta.',
+  'order.moveUp': 'Mover "{item}" para cima',
+  'order.moveDown': 'Mover "{item}" para baixo',
+  'order.moved': '"{item}" movido para a posição {position} de {total}',
+  'order.inPlace': 'No lugar certo',
+  'order.belongsAt': 'Vai na posição {position}',
+  'order.check': 'Verificar ordem',
+
+  'match.hint': 'Escolha a resposta correspondente para cada item.',
+  'match.choose': 'Escolha…',
+  'match.right': 'Associado corretamente',
+  'match.wrong': 'Associado incorretamente',
+  'match.check': 'Verificar associações',
+
+  'packet.caption': 'Mensagem DNS, {count} bytes via {transport}',
+  'packet.invalid': 'Não é possível exibir este pacote: {message}',
+  'packet.breakdown': 'Detalhamento do pacote',
+  'packet.breakdownHint': 'Passe o mouse sobre um campo ou coloque o foco nele para destacar seus bytes no dump, ou passe o mouse sobre um byte para encontrar o campo.',
+  'packet.length': { one: '{count} byte', other: '{count} bytes' },
+  'packet.pointer': 'comprimido, continua em {offset}',
+  'packet.section.transport': 'Tamanho TCP',
+  'packet.section.header': 'Cabeçalho',
+  'packet.section.question': 'Pergunta',
+  'packet.section.answer': 'Resposta',
+  'packet.section.authority': 'Autoridade',
+  'packet.section.additional': 'Adicional',
+  'packet.section.opt': 'EDNS (OPT)',
+
+  'command.check': 'Verificar',
+  'command.differences': 'Diferença em relação ao comando esperado: {differences}.',
+  'command.expected': 'Esperado:',
+
+  'zone.editorLabel': 'Arquivo de zona para {origin}',
+  'zone.line': 'linha {line}:',
+  'zone.clean': 'A zona é interpretada sem erros',
+  'zone.missing': 'Ainda faltam:',
+  'zone.check': 'Verificar zona',
+
+  'sandbox.ready': 'O resolver {resolver} está pronto. Experimente: dig www.{primary}, dig +trace {secondary} ou dig -x {node}',
+  'sandbox.commandLabel': 'comando dig',
+  'sandbox.run': 'Executar',
+  'sandbox.wait': 'Esperar 5 minutos',
+  'sandbox.waited': '5 minutos depois...',
+  'sandbox.flush': 'Limpar cache do resolver',
+  'sandbox.flushed': 'Cache do resolver limpo (rndc flush)',
+
+  'exam.timeRemaining': 'Tempo restante',
+  'exam.timeElapsed': 'Tempo decorrido',
+  'exam.lastMinute': 'Menos de um minuto restante',
+  'exam.questions': 'Perguntas',
+  'exam.chip': 'Pergunta {number}',
+  'exam.answered': 'respondida',
+  'exam.notAnswered': 'não respondida',
+  'exam.flagged': 'marcada',
+  'exam.timeUp': 'tempo esgotado',
+  'exam.flag': 'Marcar',
+  'exam.flaggedBadge': 'Marcada',
+  'exam.questionTimeUp': 'O tempo para esta pergunta acabou.',
+  'exam.keys': 'Teclas: 1–{count} ou A–{letter} para escolher',
+  'exam.previous': 'Anterior',
+  'exam.next': 'Próxima',
+  'exam.confirm': '{answered} de {total} respondidas',
+  'exam.confirmFlagged': '{count} marcadas',
+  'exam.confirmFinal': 'As respostas não podem ser alteradas depois do envio.',
+  'exam.keepWorking': 'Continuar respondendo',
+  'exam.submit': 'Enviar prova',
+  'exam.finish': 'Encerrar prova ({answered}/{total} respondidas)',
+
+  'results.examComplete': 'Prova concluída! 📝',
+  'results.studyComplete': 'Sessão de estudo concluída! 📚',
+  'results.quizComplete': 'Quiz concluído! 🎓',
+  'results.adaptiveComplete': 'Quiz adaptativo concluído! 🎯',
+  'results.level': 'Nível estimado: {level}',
+  'results.ability': 'Habilidade {ability} ± {error} na escala de dificuldade das perguntas',
+  'results.proficiency': 'Proficiência estimada por tópico',
+  'results.topicLevel': { one: '{level} · {count} resposta', other: '{level} · {count} respostas' },
+  'results.proficiencyNote': 'As barras mostram a chance estimada de acertar uma pergunta intermediária do tópico. Tópicos com poucas respostas são estimativas aproximadas.',
+  'results.percentCorrect': '{percent} de acertos',
+  'results.pass': 'APROVADO',
+  'results.fail': 'REPROVADO',
+  'results.passMark': 'Nota mínima {passMark} · Tempo gasto {time}',
+  'results.timedOut': 'O tempo acabou - a prova foi enviada automaticamente.',
+  'results.byTopic': 'Por tópico',
+  'results.seed': 'Seed da tentativa:',
+  'results.download': 'Baixar:',
+  'results.studySheet': 'Folha de estudo',
+  'results.review': 'Revisar respostas',
+  'results.tryAgain': 'Tentar novamente',
+  'results.changeTopics': 'Escolher outros tópicos',
+  'results.perfect': 'Perfeito! Você domina DNS! 🎉',
+  'results.excellent': 'Excelente! Você tem um ótimo domínio dos conceitos de DNS. 🌟',
+  'results.good': 'Bom trabalho! Você entende os fundamentos. Continue praticando! 👍',
+  'results.fair': 'Nada mal! Revise as explicações e tente novamente. 📚',
+  'results.keepLearning': 'Continue aprendendo! Dominar DNS leva tempo. Revise e tente de novo! 💪',
+
+  'level.beginner': 'Iniciante',
+  'level.intermediate': 'Intermediário',
+  'level.advanced': 'Avançado',
+
+  'review.heading': 'Revisar respostas',
+  'review.back': 'Resultado',
+  'review.incorrectOnly': 'Só as erradas',
+  'review.topic': 'Tópico',
+  'review.allTopics': 'Todos os tópicos',
+  'review.showing': 'Mostrando {visible} de {total}',
+  'review.retryMissed': 'Refazer só as {count} que errei',
+  'review.noMatches': 'Nenhuma pergunta corresponde a esses filtros.',
+  'review.correct': 'Correta:',
+  'review.incorrect': 'Incorreta:',
+  'review.yourAnswer': 'Sua resposta:',
+  'review.noAnswer': 'Sem resposta',
+  'review.correctAnswer': 'Resposta correta:',
+  'review.partial': 'Parcialmente correta:',
+  'review.credit': 'Crédito parcial: {percent}',
+
+  'scenario.heading': 'Cenários de diagnóstico',
+  'scenario.intro': 'Cada caso se passa no seu ambiente de laboratório, onde algo foi quebrado de propósito. Encontre a causa raiz no menor número de passos possível.',
+  'scenario.notPlayed': 'Ainda não jogado',
+  'scenario.notSolved': 'Ainda não resolvido',
+  'scenario.best': { one: 'Melhor resultado: resolvido em {count} passo ({percent})', other: 'Melhor resultado: resolvido em {count} passos ({percent})' },
+  'scenario.start': 'Iniciar caso',
+  'scenario.back': 'Voltar à tela inicial',
+  'scenario.stepsTaken': { one: '{count} passo', other: '{count} passos' },
+  'scenario.brief': 'Incidente',
+  'scenario.youChose': 'Você escolheu:',
+  'scenario.next': 'O que você faz agora?',
+  'scenario.solved': 'Causa raiz encontrada',
+  'scenario.unsolved': 'Caso não resolvido',
+  'scenario.score': { one: 'Você levou {count} passo; o diagnóstico mais curto leva {optimal}.', other: 'Você levou {count} passos; o diagnóstico mais curto leva {optimal}.' },
+  'scenario.noCredit': 'A causa raiz não foi encontrada.',
+  'scenario.credit': 'Pontuação: {percent}',
+  'scenario.debrief': 'Análise do caso',
+  'scenario.list': 'Todos os cenários',
+  'scenario.retry': 'Tentar de novo',
+
+  'dashboard.title': 'Painel do instrutor',
+  'dashboard.refresh': 'Atualizar',
+  'dashboard.loading': 'Carregando resultados…',
+  'dashboard.unreachable': 'Não foi possível acessar o servidor do painel em {server}.',
+  'dashboard.tokenHeading': 'Token de acesso',
+  'dashboard.tokenIntro': 'Este servidor do painel precisa de um token de acesso para mostrar os resultados.',
+  'dashboard.tokenRejected': 'O servidor não aceitou esse token. Verifique-o e tente de novo.',
+  'dashboard.tokenLabel': 'Token',
+  'dashboard.tokenSubmit': 'Mostrar resultados',
+  'dashboard.empty': 'Nenhuma tentativa foi enviada ainda.',
+  'dashboard.questionSet': 'Conjunto de perguntas',
+  'dashboard.attempts': { one: '{count} tentativa', other: '{count} tentativas' },
+  'dashboard.learners': { one: '{count} aluno', other: '{count} alunos' },
+  'dashboard.view.items': 'Perguntas',
+  'dashboard.view.learners': 'Alunos',
+  'dashboard.sort': 'Ordenar por',
+  'dashboard.sort.problems': 'Problemas primeiro',
+  'dashboard.sort.correct': 'Percentual de acertos',
+  'dashboard.sort.discrimination': 'Discriminação',
+  'dashboard.sort.order': 'Ordem do conjunto',
+  'dashboard.question': 'Pergunta',
+  'dashboard.responses': 'Respostas',
+  'dashboard.percentCorrect': 'Acertos',
+  'dashboard.discrimination': 'Discriminação',
+  'dashboard.averageTime': 'Tempo médio',
+  'dashboard.notEnough': 'Precisa de pelo menos {count} respostas',
+  'dashboard.unknownQuestion': 'Não está mais neste conjunto de perguntas',
+  'dashboard.flag.distractor': 'Distrator mais escolhido que a resposta',
+  'dashboard.flag.negative': 'Discriminação negativa',
+  'dashboard.flag.weak': 'Discriminação fraca',
+  'dashboard.options': 'Opções escolhidas',
+  'dashboard.correctOption': 'resposta correta',
+  'dashboard.noOptions': 'A contagem de opções só é registrada para perguntas de múltipla escolha.',
+  'dashboard.learner': 'Aluno',
+  'dashboard.attemptCount': 'Tentativas',
+  'dashboard.best': 'Melhor',
+  'dashboard.latest': 'Última',
+  'dashboard.lastDate': 'Última tentativa',
+  'dashboard.history': 'Tentativas de {name}',
+  'dashboard.mode.quiz': 'Quiz',
+  'dashboard.mode.study': 'Estudo',
+  'dashboard.mode.exam': 'Prova',
+  'dashboard.mode.adaptive': 'Adaptativo',
+
+  'training.hint': 'Dica (custa {percent} dos pontos)',
+  'training.fiftyFifty': { one: '50/50 (resta {count})', other: '50/50 (restam {count})' },
+  'training.hintLabel': 'Dica:',
+  'training.hintUsed': 'Você usou a dica, então esta resposta vale {points} pontos.',
+
+  'confidence.heading': 'Qual é a sua certeza?',
+  'confidence.intro': 'Avalie sua confiança antes de a resposta ser verificada. Um erro com certeza custa mais que um chute.',
+  'confidence.low': 'Não tenho certeza',
+  'confidence.medium': 'Quase certo',
+  'confidence.high': 'Certeza absoluta',
+  'confidence.marks': 'Certo {right} · errado {wrong}',
+  'confidence.result': 'Confiança: {level} ({mark} pontos)',
+
+  'calibration.heading': 'Confiança e acertos',
+  'calibration.score': 'Pontuação ponderada pela confiança: {score} de {max} pontos',
+  'calibration.level': 'Confiança',
+  'calibration.answers': 'Respostas',
+  'calibration.correct': 'Corretas',
+  'calibration.target': 'Indicada para',
+  'calibration.verdict': 'Avaliação',
+  'calibration.range': '{low}–{high}',
+  'calibration.over': 'Confiança excessiva',
+  'calibration.under': 'Confiança insuficiente',
+  'calibration.calibrated': 'Bem calibrada',
+  'calibration.note': 'Cada nível de confiança rende mais pontos quando sua taxa de acerto nesse nível fica na faixa indicada.',
+  'calibration.confidentlyWrong': { one: '{count} erro com certeza', other: '{count} erros com certeza' },
+  'calibration.noneConfidentlyWrong': 'Nenhuma resposta dada com certeza absoluta estava errada.',
+  'calibration.confidentlyWrongIntro': 'Você tinha certeza destas respostas, mas elas estavam erradas. Equívocos assim são os mais perigosos no DNS em produção, então revise-os primeiro.',
+
+  'export.title': 'Folha de estudo: {title}',
+  'export.summary': 'Tentativa de {date}: {score}/{total} ({percent}), seed `{seed}`',
+  'export.environment': 'Ambiente de laboratório',
+  'export.missed': 'Perguntas erradas ({count})',
+  'export.nothingMissed': 'Nenhuma pergunta errada nesta tentativa.',
+  'export.yourAnswer': 'Sua resposta:',
+  'export.correctAnswer': 'Resposta correta:',
+  'export.noAnswer': 'Sem resposta',
+  'export.zoneAnswer': 'Um arquivo de zona que passe em todas as verificações'
+};
+
+export default ptBR;
@@ -0,0 +1,22 @@
+/**
+ * SCORM Entry Point
+ *
+ * Mounts DNSQuiz inside an LMS launch page and reports to the LMS through
+ * the SCORM runtime API. Bundle this file to scorm/quiz.js (and the
+ * Tailwind output to scorm/quiz.css), then zip the scorm/ directory.
+ */
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import DNSQuiz from '../Quiz';
+import { createScormReporter } from '../lib/scorm';
+
+const reporter = createScormReporter();
+
+// The LMS expects the session to be closed when the learner leaves
+window.addEventListener('pagehide', reporter.terminate);
+window.addEventListener('beforeunload', reporter.terminate);
+
+createRoot(document.getElementById('root')).render(
+  <DNSQuiz reporter={reporter} passMark={70} />
+);
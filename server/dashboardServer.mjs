@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * Instructor Dashboard Server
+ *
+ * Collects completed quiz attempts in a SQLite database and hands them to
+ * the instructor dashboard (components/InstructorDashboard.jsx), which
+ * works out learner histories and item statistics from them. Learners'
+ * quizzes submit through the dashboard reporter in lib/dashboard.js.
+ *
+ *   node server/dashboardServer.mjs [--port 8788] [--db dashboard.sqlite] [--static dashboard] [--token SECRET]
+ *
+ * Needs better-sqlite3 (an optional dependency in package.json). Anyone who
+ * can reach the server can submit attempts; with --token (or
+ * DASHBOARD_TOKEN), reading them needs `Authorization: Bearer <token>`.
+ * `--static` serves the bundled dashboard page (see dashboard/main.jsx).
+ *
+ * HTTP API, all JSON:
+ *   POST /api/attempts                    Submit a completed attempt
+ *   GET  /api/question-sets               Question sets with attempt and learner counts
+ *   GET  /api/attempts?questionSet=<id>   A set's attempts with their answers, oldest first
+ */
+
+import { createServer } from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+export const DEFAULT_PORT = 8788;
+export const DEFAULT_DATABASE = 'dashboard.sqlite';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_ANSWERS = 1000;
+const MAX_ID_LENGTH = 100;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS learners (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    learner_id TEXT NOT NULL REFERENCES learners (id),
+    question_set_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    seed TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    date TEXT NOT NULL,
+    score REAL NOT NULL,
+    total INTEGER NOT NULL,
+    percent INTEGER NOT NULL,
+    passed INTEGER,
+    duration_ms INTEGER NOT NULL,
+    received_at TEXT NOT NULL,
+    UNIQUE (learner_id, question_set_id, seed, date)
+  );
+  CREATE INDEX IF NOT EXISTS attempts_by_set ON attempts (question_set_id, date);
+  CREATE TABLE IF NOT EXISTS answers (
+    attempt_id INTEGER NOT NULL REFERENCES attempts (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    question_id TEXT NOT NULL,
+    chosen_option INTEGER,
+    correct INTEGER NOT NULL,
+    credit REAL,
+    elapsed_ms INTEGER NOT NULL,
+    PRIMARY KEY (attempt_id, position)
+  );
+`;
+
+const isId = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+/**
+ * Check a submitted attempt. Returns the problems found, empty if it can
+ * be stored.
+ *
+ * @param {Object} attempt - The body the dashboard reporter posts
+ * @returns {string[]}
+ */
+export const validateAttempt = (attempt) => {
+  if (!attempt || typeof attempt !== 'object') return ['Expected an attempt object'];
+  const problems = [];
+  if (!attempt.learner || !isId(attempt.learner.id)) problems.push('learner.id must be a non-empty string');
+  if (!attempt.learner || typeof attempt.learner.name !== 'string' || !attempt.learner.name.trim()) {
+    problems.push('learner.name must be a non-empty string');
+  }
+  if (!isId(attempt.questionSetId)) problems.push('questionSetId must be a non-empty string');
+  if (typeof attempt.date !== 'string' || Number.isNaN(Date.parse(attempt.date))) problems.push('date must be an ISO timestamp');
+  ['score', 'total', 'percent', 'durationMs'].forEach((field) => {
+    if (!isCount(attempt[field])) problems.push(`${field} must be a number of at least 0`);
+  });
+  if (attempt.passed !== undefined && typeof attempt.passed !== 'boolean') problems.push('passed must be true or false');
+  if (!Array.isArray(attempt.answers) || attempt.answers.length > MAX_ANSWERS) {
+    problems.push(`answers must be a list of at most ${MAX_ANSWERS}`);
+  } else {
+    attempt.answers.forEach((answer, index) => {
+      if (!answer || !isId(answer.questionId)) problems.push(`answers[${index}].questionId must be a non-empty string`);
+      else if (typeof answer.correct !== 'boolean') problems.push(`answers[${index}].correct must be true or false`);
+      else if (!isCount(answer.elapsedMs)) problems.push(`answers[${index}].elapsedMs must be a number of at least 0`);
+      else if (answer.option !== undefined && answer.option !== null && !Number.isInteger(answer.option)) {
+        problems.push(`answers[${index}].option must be an option index or null`);
+      } else if (answer.credit !== undefined && answer.credit !== null && !(isCount(answer.credit) && answer.credit <= 1)) {
+        problems.push(`answers[${index}].credit must be a number from 0 to 1`);
+      }
+    });
+  }
+  return problems;
+};
+
+/**
+ * Queries over an open better-sqlite3 database, creating the tables on
+ * first use.
+ *
+ * @param {Object} db - A better-sqlite3 Database
+ */
+export const createDashboardStore = (db) => {
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const upsertLearner = db.prepare(
+    'INSERT INTO learners (id, name) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET name = excluded.name'
+  );
+  const insertAttempt = db.prepare(`
+    INSERT OR IGNORE INTO attempts
+      (learner_id, question_set_id, title, seed, mode, date, score, total, percent, passed, duration_ms, received_at)
+    VALUES
+      (@learnerId, @questionSetId, @title, @seed, @mode, @date, @score, @total, @percent, @passed, @durationMs, @receivedAt)
+  `);
+  const findAttempt = db.prepare(
+    'SELECT id FROM attempts WHERE learner_id = ? AND question_set_id = ? AND seed = ? AND date = ?'
+  );
+  const insertAnswer = db.prepare(`
+    INSERT INTO answers (attempt_id, position, question_id, chosen_option, correct, credit, elapsed_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const selectQuestionSets = db.prepare(`
+    SELECT question_set_id AS id, MAX(title) AS title, COUNT(*) AS attempts,
+      COUNT(DISTINCT learner_id) AS learners, MAX(date) AS latest
+    FROM attempts GROUP BY question_set_id ORDER BY latest DESC
+  `);
+  const selectAttempts = db.prepare(`
+    SELECT attempts.*, learners.name AS learner_name
+    FROM attempts JOIN learners ON learners.id = attempts.learner_id
+    WHERE question_set_id = ? ORDER BY date, attempts.id
+  `);
+  const selectAnswers = db.prepare(`
+    SELECT answers.* FROM answers JOIN attempts ON attempts.id = answers.attempt_id
+    WHERE attempts.question_set_id = ? ORDER BY attempt_id, position
+  `);
+
+  // A reporter retrying the same attempt gets the stored one back
+  const addAttempt = db.transaction((attempt, receivedAt) => {
+    upsertLearner.run(attempt.learner.id, attempt.learner.name.trim());
+    const key = [attempt.learner.id, attempt.questionSetId, String(attempt.seed ?? ''), attempt.date];
+    const { changes, lastInsertRowid } = insertAttempt.run({
+      learnerId: attempt.learner.id,
+      questionSetId: attempt.questionSetId,
+      title: String(attempt.title ?? ''),
+      seed: key[2],
+      mode: String(attempt.mode ?? 'quiz'),
+      date: attempt.date,
+      score: attempt.score,
+      total: attempt.total,
+      percent: attempt.percent,
+      passed: attempt.passed === undefined ? null : Number(attempt.passed),
+      durationMs: Math.round(attempt.durationMs),
+      receivedAt
+    });
+    if (changes === 0) return { id: findAttempt.get(...key).id, created: false };
+    attempt.answers.forEach((answer, position) => {
+      insertAnswer.run(
+        lastInsertRowid,
+        position,
+        answer.questionId,
+        answer.option ?? null,
+        Number(answer.correct),
+        answer.credit ?? null,
+        Math.round(answer.elapsedMs)
+      );
+    });
+    return { id: Number(lastInsertRowid), created: true };
+  });
+
+  return {
+    /**
+     * @returns {{ id: number, created: boolean }} created is false for a resubmission
+     */
+    addAttempt: (attempt, receivedAt = new Date().toISOString()) => addAttempt(attempt, receivedAt),
+
+    questionSets: () => selectQuestionSets.all(),
+
+    /** @returns {import('../lib/itemAnalysis').CollectedAttempt[]} */
+    attempts: (questionSetId) => {
+      const answers = new Map();
+      selectAnswers.all(questionSetId).forEach((row) => {
+        if (!answers.has(row.attempt_id)) answers.set(row.attempt_id, []);
+        answers.get(row.attempt_id).push({
+          questionId: row.question_id,
+          option: row.chosen_option,
+          correct: Boolean(row.correct),
+          ...(row.credit !== null && { credit: row.credit }),
+          elapsedMs: row.elapsed_ms
+        });
+      });
+      return selectAttempts.all(questionSetId).map((row) => ({
+        id: row.id,
+        learner: { id: row.learner_id, name: row.learner_name },
+        questionSetId: row.question_set_id,
+        title: row.title,
+        seed: row.seed,
+        mode: row.mode,
+        date: row.date,
+        score: row.score,
+        total: row.total,
+        percent: row.percent,
+        ...(row.passed !== null && { passed: Boolean(row.passed) }),
+        durationMs: row.duration_ms,
+        answers: answers.get(row.id) || []
+      }));
+    }
+  };
+};
+
+// The dashboard and the quizzes are usually served from other origins
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS }).end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let length = 0;
+    // An oversized body is read to the end, so the client still gets the 413
+    req.on('data', (chunk) => {
+      length += chunk.length;
+      if (length <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (length > MAX_BODY_BYTES) reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      else resolveBody(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+
+const authorized = (req, token) => {
+  if (!token) return true;
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+const serveStatic = async (root, pathname, res) => {
+  const file = normalize(join(root, pathname.endsWith('/') ? `${pathname}index.html` : pathname));
+  if (file !== root && !file.startsWith(root + sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' }).end(body);
+  } catch (e) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found\n');
+  }
+};
+
+/**
+ * Handle one HTTP request against the store.
+ *
+ * @param {ReturnType<typeof createDashboardStore>} store
+ * @param {{ token?: string, root?: string | null }} options
+ */
+export const createRequestHandler = (store, { token, root = null } = {}) => async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS).end();
+    return;
+  }
+
+  if (url.pathname === '/api/attempts' && req.method === 'POST') {
+    let attempt;
+    try {
+      attempt = JSON.parse(await readBody(req));
+    } catch (e) {
+      sendJson(res, e.status || 400, { error: e.status ? e.message : 'Request body is not valid JSON' });
+      return;
+    }
+    const problems = validateAttempt(attempt);
+    if (problems.length > 0) {
+      sendJson(res, 400, { error: 'Invalid attempt', problems });
+      return;
+    }
+    const { id, created } = store.addAttempt(attempt);
+    sendJson(res, created ? 201 : 200, { id });
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+    } else if (!authorized(req, token)) {
+      sendJson(res, 401, { error: 'A valid access token is needed' });
+    } else if (url.pathname === '/api/question-sets') {
+      sendJson(res, 200, store.questionSets());
+    } else if (url.pathname === '/api/attempts' && url.searchParams.get('questionSet')) {
+      sendJson(res, 200, store.attempts(url.searchParams.get('questionSet')));
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+    return;
+  }
+
+  if (root && req.method === 'GET') {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Bad request\n');
+      return;
+    }
+    await serveStatic(root, pathname, res);
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('DNS quiz dashboard server: see /api/\n');
+};
+
+/**
+ * Open the database and start the HTTP server.
+ *
+ * @param {{ port?: number, host?: string, database?: string, staticDir?: string, token?: string }} [options]
+ * @returns {Promise<import('node:http').Server>}
+ */
+export const startDashboardServer = async ({
+  port = DEFAULT_PORT,
+  host = '0.0.0.0',
+  database = DEFAULT_DATABASE,
+  staticDir,
+  token
+} = {}) => {
+  // Loaded here so the rest of the repo doesn't need the native module
+  const { default: Database } = await import('better-sqlite3');
+  const db = new Database(database);
+  const handler = createRequestHandler(createDashboardStore(db), { token, root: staticDir ? resolve(staticDir) : null });
+
+  const server = createServer((req, res) => {
+    handler(req, res).catch(() => {
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal error' });
+    });
+  });
+  server.on('close', () => db.close());
+  server.listen(port, host);
+  return server;
+};
+
+// Addresses quizzes on the same network can reach
+const lanAddresses = () =>
+  Object.values(networkInterfaces())
+    .flat()
+    .filter((address) => address && address.family === 'IPv4' && !address.internal)
+    .map((address) => address.address);
+
+const parseArgs = (argv) => {
+  const options = {
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    database: process.env.DASHBOARD_DB || DEFAULT_DATABASE,
+    staticDir: process.env.STATIC_DIR,
+    token: process.env.DASHBOARD_TOKEN
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--db') options.database = argv[++i];
+    else if (argv[i] === '--static') options.staticDir = argv[++i];
+    else if (argv[i] === '--token') options.token = argv[++i];
+    else if (argv[i] === '--host') options.host = argv[++i];
+  }
+  return options;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  const options = parseArgs(process.argv.slice(2));
+  startDashboardServer(options).then(
+    (server) => {
+      server.on('listening', () => {
+        const { port } = server.address();
+        console.log(`Dashboard server listening on port ${port}, storing attempts in ${resolve(options.database)}`);
+        lanAddresses().forEach((address) => {
+          console.log(`  server:    http://${address}:${port}`);
+          if (options.staticDir) console.log(`  dashboard: http://${address}:${port}/`);
+        });
+        if (!options.token) console.log('  No --token given: anyone who can reach the server can read the results');
+      });
+    },
+    (error) => {
+      console.error(error.code === 'ERR_MODULE_NOT_FOUND' ? 'The dashboard server needs better-sqlite3: npm install better-sqlite3' : error.message);
+      process.exitCode = 1;
+    }
+  );
+}
@@ -0,0 +1,502 @@
+#!/usr/bin/env node
+/**
+ * Quiz Night Server
+ *
+ * Relays host/player quiz nights on a local network. The host's browser
+ * opens a room and drives it question by question; players join with the
+ * room code from their own devices. The server keeps each question's answer
+ * to itself, times every response and scores it for correctness and speed,
+ * then sends the leaderboard to everyone.
+ *
+ * No dependencies: plain Node (18+) with a minimal RFC 6455 WebSocket
+ * implementation, so it runs anywhere `node` does. It can also serve a built
+ * copy of the quiz so players only need the host's address.
+ *
+ *   node server/quizNightServer.mjs [--port 8787] [--static ./dist]
+ *
+ * The message protocol is documented in lib/quizNight.js.
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomInt } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+export const DEFAULT_PORT = 8787;
+export const DEFAULT_TIME_LIMIT = 20;
+
+// Every correct answer is worth BASE_POINTS, plus up to SPEED_POINTS more
+// the faster it came in
+export const BASE_POINTS = 500;
+export const SPEED_POINTS = 500;
+
+// Answers in flight when the clock runs out still count, for no speed bonus
+const LATE_GRACE_MS = 1000;
+const MAX_NAME_LENGTH = 20;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const PING_INTERVAL_MS = 30 * 1000;
+
+// No 0/O or 1/I so codes read out loud across a room survive
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Points for one answer: nothing if wrong, otherwise BASE_POINTS plus a
+ * speed bonus that falls linearly from SPEED_POINTS at 0s to 0 at the limit.
+ *
+ * @param {boolean} correct
+ * @param {number} elapsedMs - Time from the question opening to the answer
+ * @param {number} timeLimit - Seconds allowed for the question
+ */
+export const scoreAnswer = (correct, elapsedMs, timeLimit) => {
+  if (!correct) return 0;
+  const remaining = Math.max(0, 1 - elapsedMs / (timeLimit * 1000));
+  return BASE_POINTS + Math.round(SPEED_POINTS * remaining);
+};
+
+/**
+ * Players ordered by score, then name. Tied scores share a rank.
+ */
+export const rankPlayers = (players) => {
+  const sorted = [...players]
+    .map(({ name, score, correct, socket }) => ({ name, score, correct, connected: Boolean(socket) }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  let rank = 0;
+  return sorted.map((player, index) => {
+    if (index === 0 || sorted[index - 1].score !== player.score) rank = index + 1;
+    return { ...player, rank };
+  });
+};
+
+// WebSocket framing (RFC 6455). Only what browsers send is handled: masked
+// text frames, fragmentation, ping/pong and close.
+
+const acceptKey = (key) => createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const length = payload.length;
+  const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode;
+  if (length < 126) {
+    header[1] = length;
+  } else if (length < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Wrap an upgraded socket as a small message channel.
+ */
+const createConnection = (socket, { onMessage, onClose }) => {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+  let alive = true;
+
+  const close = (code = 1000) => {
+    if (closed) return;
+    closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(encodeFrame(0x8, payload));
+    onClose();
+  };
+
+  const connection = {
+    send: (message) => {
+      if (!closed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+    },
+    close,
+    // Phones that sleep drop off without a close frame; two missed pings end the connection
+    ping: () => {
+      if (!alive) return close(1001);
+      alive = false;
+      socket.write(encodeFrame(0x9));
+    }
+  };
+
+  const handleFrame = (opcode, payload) => {
+    if (opcode === 0x8) return close();
+    if (opcode === 0x9) return socket.write(encodeFrame(0xa, payload));
+    if (opcode === 0xa) {
+      alive = true;
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(payload.toString('utf8'));
+    } catch (e) {
+      return;
+    }
+    if (message && typeof message === 'object') onMessage(message);
+  };
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2 && !closed) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        const long = buffer.readBigUInt64BE(2);
+        length = long > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(long);
+        offset = 10;
+      }
+      // Clients must mask their frames; oversized messages are refused outright
+      if (!masked) return close(1002);
+      if (length > MAX_MESSAGE_BYTES) return close(1009);
+      if (buffer.length < offset + 4 + length) return;
+
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffer = buffer.subarray(offset + 4 + length);
+
+      if (opcode >= 0x8) {
+        handleFrame(opcode, payload);
+      } else {
+        fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(fragments);
+          fragments = [];
+          if (message.length > MAX_MESSAGE_BYTES) return close(1009);
+          handleFrame(opcode || 0x1, message);
+        }
+      }
+    }
+  });
+
+  socket.on('close', () => {
+    if (closed) return;
+    closed = true;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return connection;
+};
+
+// Rooms
+
+/**
+ * @param {{ now?: () => number, random?: (max: number) => number }} [options]
+ *   Clock and code generator, replaceable for tests
+ */
+export const createQuizNight = ({ now = Date.now, random = randomInt } = {}) => {
+  const rooms = new Map();
+
+  const newCode = () => {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[random(CODE_ALPHABET.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+  };
+
+  const leaderboard = (room) => rankPlayers(room.players.values());
+
+  const broadcast = (room, message) => {
+    room.players.forEach((player) => {
+      if (player.socket) player.socket.send(message);
+    });
+  };
+
+  // The host sees who is in the room and how many have answered the open question
+  const updateHost = (room) => {
+    room.host.send({
+      type: 'players',
+      players: leaderboard(room),
+      answered: room.current ? room.current.answers.size : 0
+    });
+  };
+
+  // What a player (re)joining mid-game needs to catch up
+  const questionMessage = ({ index, question, options, timeLimit, openedAt }, total) => ({
+    type: 'question',
+    index,
+    total,
+    question,
+    options,
+    timeLimit,
+    // Sent as time left rather than a deadline so device clocks don't matter
+    remaining: Math.max(0, timeLimit * 1000 - (now() - openedAt))
+  });
+
+  const handleHost = (client, message) => {
+    const room = client.room;
+
+    if (message.type === 'host' && !room) {
+      const code = newCode();
+      client.role = 'host';
+      client.room = {
+        code,
+        host: client.connection,
+        title: String(message.title || ''),
+        seed: String(message.seed || ''),
+        environment: message.environment || {},
+        total: Number(message.total) || 0,
+        players: new Map(),
+        current: null,
+        ended: false
+      };
+      rooms.set(code, client.room);
+      client.connection.send({ type: 'room', code });
+      return;
+    }
+    if (!room) return;
+
+    if (message.type === 'question') {
+      const options = Array.isArray(message.options) ? message.options.map(String) : [];
+      room.current = {
+        index: Number(message.index) || 0,
+        question: String(message.question || ''),
+        options,
+        correct: Number(message.correct),
+        timeLimit: Number(message.timeLimit) > 0 ? Number(message.timeLimit) : DEFAULT_TIME_LIMIT,
+        openedAt: now(),
+        answers: new Map(),
+        revealed: false
+      };
+      broadcast(room, questionMessage(room.current, room.total));
+      updateHost(room);
+    } else if (message.type === 'reveal' && room.current && !room.current.revealed) {
+      const current = room.current;
+      current.revealed = true;
+      const results = [...room.players.values()].map((player) => {
+        const answer = current.answers.get(player.name);
+        const correct = Boolean(answer) && answer.choice === current.correct;
+        const points = answer ? scoreAnswer(correct, answer.elapsedMs, current.timeLimit) : 0;
+        player.score += points;
+        if (correct) player.correct += 1;
+        return { name: player.name, choice: answer ? answer.choice : null, correct, points };
+      });
+      const reveal = { type: 'reveal', index: current.index, correct: current.correct, results, leaderboard: leaderboard(room) };
+      broadcast(room, reveal);
+      room.host.send(reveal);
+    } else if (message.type === 'end') {
+      room.ended = true;
+      room.current = null;
+      const ended = { type: 'ended', leaderboard: leaderboard(room) };
+      broadcast(room, ended);
+      room.host.send(ended);
+    }
+  };
+
+  const handlePlayer = (client, message) => {
+    if (message.type === 'join' && !client.room) {
+      const room = rooms.get(String(message.code || '').trim().toUpperCase());
+      const name = String(message.name || '').trim().slice(0, MAX_NAME_LENGTH);
+      if (!room) return client.connection.send({ type: 'error', reason: 'noRoom' });
+      if (!name) return client.connection.send({ type: 'error', reason: 'noName' });
+
+      // Rejoining under the same name keeps the score, e.g. after a phone went to sleep
+      const existing = room.players.get(name);
+      if (existing && existing.socket) return client.connection.send({ type: 'error', reason: 'nameTaken' });
+      const player = existing || { name, score: 0, correct: 0, socket: null };
+      player.socket = client.connection;
+      room.players.set(name, player);
+      client.role = 'player';
+      client.room = room;
+      client.name = name;
+
+      client.connection.send({
+        type: 'joined',
+        code: room.code,
+        name,
+        title: room.title,
+        seed: room.seed,
+        environment: room.environment,
+        total: room.total,
+        score: player.score
+      });
+      if (room.ended) {
+        client.connection.send({ type: 'ended', leaderboard: leaderboard(room) });
+      } else if (room.current && !room.current.revealed) {
+        client.connection.send(questionMessage(room.current, room.total));
+        const answer = room.current.answers.get(name);
+        if (answer) client.connection.send({ type: 'answered', index: room.current.index, choice: answer.choice });
+      }
+      updateHost(room);
+      return;
+    }
+
+    const room = client.room;
+    if (message.type === 'answer' && room && room.current) {
+      const current = room.current;
+      const choice = Number(message.choice);
+      const elapsedMs = now() - current.openedAt;
+      if (current.revealed || Number(message.index) !== current.index || current.answers.has(client.name)) return;
+      if (!Number.isInteger(choice) || choice < 0 || choice >= current.options.length) return;
+      if (elapsedMs > current.timeLimit * 1000 + LATE_GRACE_MS) {
+        return client.connection.send({ type: 'error', reason: 'tooLate' });
+      }
+      current.answers.set(client.name, { choice, elapsedMs });
+      client.connection.send({ type: 'answered', index: current.index, choice });
+      updateHost(room);
+    }
+  };
+
+  const handleClose = (client) => {
+    const room = client.room;
+    if (!room) return;
+    if (client.role === 'host') {
+      broadcast(room, { type: 'closed' });
+      room.players.forEach((player) => player.socket && player.socket.close());
+      rooms.delete(room.code);
+    } else {
+      const player = room.players.get(client.name);
+      if (player && player.socket === client.connection) player.socket = null;
+      if (rooms.has(room.code)) updateHost(room);
+    }
+  };
+
+  /**
+   * Attach a connection. Returns the handlers the transport calls.
+   */
+  const connect = (connection) => {
+    const client = { connection, role: null, room: null, name: null };
+    return {
+      message: (message) => {
+        if (message.type === 'host' || client.role === 'host') handleHost(client, message);
+        else handlePlayer(client, message);
+      },
+      close: () => handleClose(client)
+    };
+  };
+
+  return { connect, rooms };
+};
+
+// Static files, so a built quiz can be served from the same machine
+
+const serveStatic = async (root, url, res) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch (e) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Bad request\n');
+    return;
+  }
+  const file = normalize(join(root, pathname.endsWith('/') ? `${pathname}index.html` : pathname));
+  if (file !== root && !file.startsWith(root + sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' }).end(body);
+  } catch (e) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found\n');
+  }
+};
+
+/**
+ * Start the HTTP server and accept WebSocket upgrades on any path.
+ *
+ * @param {{ port?: number, host?: string, staticDir?: string }} [options]
+ * @returns {import('node:http').Server}
+ */
+export const startQuizNightServer = ({ port = DEFAULT_PORT, host = '0.0.0.0', staticDir } = {}) => {
+  const quizNight = createQuizNight();
+  const connections = new Set();
+  const root = staticDir ? resolve(staticDir) : null;
+
+  const server = createServer((req, res) => {
+    if (root && req.method === 'GET') {
+      serveStatic(root, req.url, res).catch(() => {
+        if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Internal error\n');
+      });
+      return;
+    }
+    res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8', Upgrade: 'websocket' });
+    res.end('DNS quiz night server: connect with a WebSocket\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+
+    let handlers;
+    const connection = createConnection(socket, {
+      onMessage: (message) => handlers.message(message),
+      onClose: () => {
+        connections.delete(connection);
+        handlers.close();
+      }
+    });
+    handlers = quizNight.connect(connection);
+    connections.add(connection);
+  });
+
+  const heartbeat = setInterval(() => connections.forEach((connection) => connection.ping()), PING_INTERVAL_MS);
+  server.on('close', () => clearInterval(heartbeat));
+
+  server.listen(port, host);
+  return server;
+};
+
+// Addresses players on the same network can reach
+const lanAddresses = () =>
+  Object.values(networkInterfaces())
+    .flat()
+    .filter((address) => address && address.family === 'IPv4' && !address.internal)
+    .map((address) => address.address);
+
+const parseArgs = (argv) => {
+  const options = { port: Number(process.env.PORT) || DEFAULT_PORT, staticDir: process.env.STATIC_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--static') options.staticDir = argv[++i];
+    else if (argv[i] === '--host') options.host = argv[++i];
+  }
+  return options;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  const options = parseArgs(process.argv.slice(2));
+  const server = startQuizNightServer(options);
+  server.on('listening', () => {
+    const { port } = server.address();
+    console.log(`Quiz night server listening on port ${port}`);
+    lanAddresses().forEach((address) => {
+      console.log(`  server: ws://${address}:${port}`);
+      if (options.staticDir) console.log(`  quiz:   http://${address}:${port}/`);
+    });
+  });
+}